@@ -0,0 +1,164 @@
+console.log('Trading Places | Loading approval-queue.js');
+
+/**
+ * Trading Places Module - Approval Queue
+ * GM window listing players' purchases and sales with their price breakdown, to approve or reject
+ */
+
+import { formatCanonicalValue, resolveCurrencyContext } from './currency-display.js';
+
+const MODULE_ID = "fvtt-trading-places";
+
+// Check if ApplicationV2 is available before defining the class
+if (typeof foundry?.applications?.api?.ApplicationV2 === 'undefined' ||
+    typeof foundry?.applications?.api?.HandlebarsApplicationMixin === 'undefined') {
+    console.warn('Trading Places | ApplicationV2 Handlebars mixin not available, approval queue will not be loaded');
+} else {
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+const HandlebarsApplication = HandlebarsApplicationMixin(ApplicationV2);
+
+// Resolved requests shown below the queue
+const RECENT_LIMIT = 5;
+
+class ApprovalQueue extends HandlebarsApplication {
+
+    static DEFAULT_OPTIONS = {
+        id: "trading-places-approval-queue",
+        tag: "div",
+        window: {
+            title: "Trade Requests",
+            icon: "fas fa-user-check",
+            resizable: true,
+            minimizable: true,
+            maximizable: false
+        },
+        position: {
+            width: 520,
+            height: 600
+        },
+        classes: ["trading-places", "approval-queue", "application-v2"]
+    };
+
+    static PARTS = {
+        content: {
+            template: `modules/${MODULE_ID}/templates/approval-queue.hbs`
+        }
+    };
+
+    constructor(dataManager, options = {}) {
+        super(options);
+        this.dataManager = dataManager;
+        this.busy = false;
+    }
+
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        const queue = this.dataManager.getTradeRequests();
+
+        context.pending = queue.getPending().map(request => this._describeRequest(request));
+        context.recent = queue.getResolved().slice(0, RECENT_LIMIT).map(request => this._describeRequest(request));
+        context.hasPending = context.pending.length > 0;
+        context.busy = this.busy;
+        return context;
+    }
+
+    _attachPartListeners(partId, htmlElement, options) {
+        super._attachPartListeners(partId, htmlElement, options);
+
+        htmlElement.querySelectorAll('.approve-request-btn').forEach(button => {
+            button.addEventListener('click', () => this._onApprove(button.dataset.requestId));
+        });
+
+        htmlElement.querySelectorAll('.reject-request-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const reason = htmlElement.querySelector(`.reject-reason[data-request-id="${button.dataset.requestId}"]`)?.value?.trim();
+                this._onReject(button.dataset.requestId, reason || null);
+            });
+        });
+    }
+
+    /**
+     * Build the display card for a request
+     * @private
+     */
+    _describeRequest(request) {
+        const isSale = request.type === 'sale';
+        return {
+            id: request.id,
+            isSale,
+            verb: isSale ? 'sell' : 'buy',
+            icon: isSale ? 'fa-hand-holding-usd' : 'fa-shopping-cart',
+            userName: request.userName,
+            actorName: request.actorName || 'no character',
+            cargo: request.cargo,
+            quality: request.payload?.transaction?.quality || null,
+            quantity: request.quantity,
+            settlement: request.settlement,
+            season: request.season,
+            lines: request.breakdown.lines.map(line => ({ label: line.label, amount: this._formatCurrency(line.amount) })),
+            discountPercent: request.breakdown.discountPercent,
+            total: this._formatCurrency(request.breakdown.total),
+            totalLabel: isSale ? 'Party receives' : 'Party pays',
+            status: request.status,
+            reason: request.reason,
+            resolvedBy: request.resolvedBy
+        };
+    }
+
+    _formatCurrency(value) {
+        return formatCanonicalValue(value, resolveCurrencyContext(this.dataManager), { defaultText: `${value} BP` });
+    }
+
+    _getApprovals() {
+        const approvals = window.TradingPlaces?.getTradeApprovals?.();
+        if (!approvals) {
+            throw new Error('Trade approvals are not available');
+        }
+        return approvals;
+    }
+
+    async _onApprove(requestId) {
+        if (this.busy) {
+            return;
+        }
+
+        this.busy = true;
+        try {
+            const outcome = await this._getApprovals().approve(requestId);
+            if (outcome.status === 'approved') {
+                ui.notifications.info(`Approved the ${outcome.type} of ${outcome.quantity} EP of ${outcome.cargo}`);
+            } else {
+                ui.notifications.warn(`Could not apply the ${outcome.type} of ${outcome.cargo}: ${outcome.error}`);
+            }
+        } catch (error) {
+            console.error('Trading Places | Failed to approve trade request:', error);
+            ui.notifications.error(error.message);
+        } finally {
+            this.busy = false;
+            await this.render(false);
+        }
+    }
+
+    async _onReject(requestId, reason) {
+        try {
+            await this._getApprovals().reject(requestId, reason);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to reject trade request:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    static async show(dataManager) {
+        const queue = new ApprovalQueue(dataManager);
+        await queue.render(true);
+        return queue;
+    }
+}
+
+// Export class globally
+window.TradingPlacesApprovalQueue = ApprovalQueue;
+console.log('Trading Places | Approval queue registered globally');
+
+} // End of ApplicationV2 availability check
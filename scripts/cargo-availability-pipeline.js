@@ -1,3 +1,5 @@
+import { EconomicEvents } from './economic-events.js';
+
 class CargoAvailabilityPipeline {
     constructor(dataManager, options = {}) {
         if (!dataManager) {
@@ -77,6 +79,11 @@ class CargoAvailabilityPipeline {
             };
         };
 
+        // Each slot is held by one of the settlement's regular merchants, while there are enough of them
+        const roster = this._getRoster();
+        const regulars = roster ? roster.drawMerchants(settlementProps.name, cargoSlotPlan.producerSlots, this.random) : [];
+        let recruited = false;
+
         const slots = [];
         for (let index = 0; index < cargoSlotPlan.producerSlots; index += 1) {
             const slotRollFunction = createFoundryRollFunction(index + 1);
@@ -91,7 +98,9 @@ class CargoAvailabilityPipeline {
                 description: `Cargo slot ${index + 1} availability check`,
                 postToChat: true
             });
-            const isAvailable = availabilityRoll <= finalChance;
+            const regular = regulars[index] || null;
+            // Pinned merchants are at the market every time
+            const isAvailable = regular?.pinned === true || availabilityRoll <= finalChance;
             
             if (!isAvailable) {
                 // If not available, skip generating the rest of the attributes
@@ -115,8 +124,19 @@ class CargoAvailabilityPipeline {
                 settlementFlags,
                 candidateTable,
                 season: normalizedSeason,
-                rollFunction: slotRollFunction
+                rollFunction: slotRollFunction,
+                regular
             });
+
+            // A slot nobody on the roster holds goes to a newcomer, who stays on
+            if (roster && !regular) {
+                const newcomer = roster.recruit(settlementProps.name, {
+                    skill: slotDetails.merchant.skill,
+                    specialities: [slotDetails.cargo.name]
+                }, this.random);
+                slotDetails.merchant = { ...this._describeRegular(newcomer), calculation: slotDetails.merchant.calculation, newcomer: true };
+                recruited = true;
+            }
             
             slotDetails.isSlotAvailable = true;
             slotDetails.availability = {
@@ -128,6 +148,10 @@ class CargoAvailabilityPipeline {
             slots.push(slotDetails);
         }
 
+        if (recruited) {
+            await this._saveRoster();
+        }
+
         return {
             settlement: settlementContext,
             slotPlan: cargoSlotPlan,
@@ -352,7 +376,60 @@ class CargoAvailabilityPipeline {
         };
     }
 
-    async _processSlot({ slotNumber, settlementProps, settlementFlags, candidateTable, season, rollFunction = null }) {
+    _getRoster() {
+        return typeof this.dataManager.getMerchantRoster === 'function' ? this.dataManager.getMerchantRoster() : null;
+    }
+
+    async _saveRoster() {
+        try {
+            await this.dataManager.saveMerchantRoster();
+        } catch (error) {
+            // The market has been drawn, so the newcomers are only lost for next time
+            console.warn('Trading Places | Could not save the merchant roster:', error);
+        }
+    }
+
+    /**
+     * Describe a roster merchant as a slot's merchant
+     * @private
+     */
+    _describeRegular(merchant) {
+        return {
+            id: merchant.id,
+            name: merchant.name,
+            skill: merchant.skill,
+            specialities: merchant.specialities,
+            pinned: merchant.pinned,
+            dealCount: (merchant.deals || []).length,
+            calculation: null,
+            regular: true
+        };
+    }
+
+    /**
+     * Narrow the cargo candidates to a specialist's goods, when any are to be had
+     * @private
+     */
+    _filterForSpecialities(candidateTable, regular) {
+        const roster = this._getRoster();
+        if (!roster || !regular?.specialities?.length) {
+            return candidateTable;
+        }
+
+        const entries = candidateTable.entries.filter(entry => roster.dealsIn(regular, entry));
+        if (entries.length === 0) {
+            return candidateTable;
+        }
+
+        const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+        return {
+            ...candidateTable,
+            totalWeight,
+            entries: entries.map(entry => ({ ...entry, probability: totalWeight > 0 ? (entry.weight / totalWeight) * 100 : 0 }))
+        };
+    }
+
+    async _processSlot({ slotNumber, settlementProps, settlementFlags, candidateTable, season, rollFunction = null, regular = null }) {
         if (!candidateTable.entries || candidateTable.entries.length === 0) {
             throw new Error('No cargo candidates available to process cargo slots');
         }
@@ -360,12 +437,14 @@ class CargoAvailabilityPipeline {
         // Get the roll function for this slot
         const slotRollFunction = typeof rollFunction === 'function' ? rollFunction : this._percentile;
 
-        const selection = await this._selectCargo(candidateTable, slotRollFunction);
+        const selection = await this._selectCargo(this._filterForSpecialities(candidateTable, regular), slotRollFunction);
         const balance = this._calculateBalance(selection, settlementProps, settlementFlags, season);
         const amount = await this._rollCargoAmount(balance, settlementProps, season, slotRollFunction, slotNumber);
         const quality = await this._evaluateQuality(balance, settlementProps, settlementFlags, slotRollFunction, slotNumber, selection.cargoData);
         const contraband = await this._evaluateContraband(settlementProps, settlementFlags, season, slotRollFunction, slotNumber);
-        const merchantSkill = await this._generateMerchant(settlementProps, slotRollFunction, slotNumber);
+        const merchantSkill = regular
+            ? this._describeRegular(regular)
+            : await this._generateMerchant(settlementProps, slotRollFunction, slotNumber);
         const desperation = this._buildDesperation(balance);
         const pricing = this._calculatePricing(selection, amount, quality, contraband, balance, season);
 
@@ -535,6 +614,26 @@ class CargoAvailabilityPipeline {
             }
         }
 
+        const events = this._getActiveEvents(settlementProps);
+        events.forEach(event => {
+            const shifts = EconomicEvents.getShifts(event, selection.name, selection.category);
+            applyMultiplier('supply', shifts.supply, `Event: ${event.name} supply`);
+            applyMultiplier('demand', shifts.demand, `Event: ${event.name} demand`);
+        });
+
+        const market = this._getMarketEntry(settlementProps, selection.name, season);
+        if (market && market.depletion > 0) {
+            const shift = this.dataManager.getMarketLedger().calculateBalanceShift(market);
+            const depletedPercent = Math.round(market.depletion * 100);
+            applyMultiplier('supply', shift.supply, `Market stock depleted (${depletedPercent}%)`);
+            applyMultiplier('demand', shift.demand, `Market stock depleted (${depletedPercent}%)`);
+        }
+
+        const saturation = this._getMarketSaturation(settlementProps, selection.name);
+        if (saturation && saturation.supplyShift > 0) {
+            applyMultiplier('supply', saturation.supplyShift, `Recent sales flooded market (${saturation.volume} EP)`);
+        }
+
         const clamp = equilibriumConfig.clamp || {};
         if (typeof clamp.min === 'number') {
             supply = Math.max(clamp.min, supply);
@@ -568,10 +667,51 @@ class CargoAvailabilityPipeline {
             demand: Math.round(demand),
             ratio,
             state,
-            history
+            history,
+            market,
+            events: events.map(event => event.name)
         };
     }
 
+    _getActiveEvents(settlementProps) {
+        if (typeof this.dataManager.getActiveEconomicEvents !== 'function') {
+            return [];
+        }
+
+        try {
+            return this.dataManager.getActiveEconomicEvents(settlementProps);
+        } catch (error) {
+            this.logger?.logSystem?.('Economic Events', 'Economic events unavailable, ignoring them', { error: error.message });
+            return [];
+        }
+    }
+
+    _getMarketEntry(settlementProps, cargoName, season) {
+        if (typeof this.dataManager.getMarketLedger !== 'function' || !cargoName) {
+            return null;
+        }
+
+        try {
+            return this.dataManager.getMarketLedger().getEntry(settlementProps.name, cargoName, season);
+        } catch (error) {
+            this.logger?.logSystem?.('Market', 'Market ledger unavailable, using an undisturbed market', { error: error.message });
+            return null;
+        }
+    }
+
+    _getMarketSaturation(settlementProps, cargoName) {
+        if (typeof this.dataManager.getMarketSaturation !== 'function' || !cargoName) {
+            return null;
+        }
+
+        try {
+            return this.dataManager.getMarketSaturation(settlementProps.name, cargoName);
+        } catch (error) {
+            this.logger?.logSystem?.('Market', 'Market ledger unavailable, ignoring recent sales', { error: error.message });
+            return null;
+        }
+    }
+
     async _rollCargoAmount(balance, settlementProps, season, rollFunction = null, slotNumber = null) {
         const amountConfig = this.tradingConfig.cargoAmount || {};
         const roundTo = amountConfig.roundTo ?? 10;
@@ -600,7 +740,6 @@ class CargoAvailabilityPipeline {
             totalEP = minimumEP;
         }
 
-        const units = totalEP / roundTo;
         const notes = [
             `1d100 roll ${roll} ⇒ rounded chunk ${baseRoll} EP`,
             `Size rating ×${sizeRating.toFixed(2)} ⇒ ${Math.round(baseEP)} EP`,
@@ -612,6 +751,15 @@ class CargoAvailabilityPipeline {
             notes.push(`Minimum availability applied (${minimumEP} EP)`);
         }
 
+        const market = balance.market;
+        if (market && market.depletion > 0) {
+            const stockLimit = Math.max(minimumEP, Math.floor(market.stock / roundTo) * roundTo);
+            if (totalEP > stockLimit) {
+                totalEP = stockLimit;
+                notes.push(`Market stock ${market.stock}/${market.baseline} EP limits availability to ${stockLimit} EP`);
+            }
+        }
+
         return {
             roll,
             season,
@@ -624,7 +772,7 @@ class CargoAvailabilityPipeline {
             supplyRatio: Number(ratio.toFixed(2)),
             adjustedEP: Math.round(adjustedEP),
             totalEP,
-            units,
+            units: totalEP / roundTo,
             notes
         };
     }
@@ -645,7 +793,7 @@ class CargoAvailabilityPipeline {
         if (isWineBrandy) {
             return await this._evaluateWineBrandyQuality(cargoData, settlementFlags, rollFunction);
         } else {
-            return await this._evaluateStandardQuality(balance, settlementProps, settlementFlags, rollFunction, slotNumber);
+            return await this._evaluateStandardQuality(balance, settlementProps, settlementFlags, rollFunction, slotNumber, cargoData);
         }
     }
 
@@ -693,7 +841,7 @@ class CargoAvailabilityPipeline {
         };
     }
 
-    async _evaluateStandardQuality(balance, settlementProps, settlementFlags, rollFunction = null, slotNumber = null) {
+    async _evaluateStandardQuality(balance, settlementProps, settlementFlags, rollFunction = null, slotNumber = null, cargoData = null) {
         const qualityConfig = this.tradingConfig.qualityEvaluation || {};
         const clamp = qualityConfig.clamp || {};
 
@@ -713,6 +861,14 @@ class CargoAvailabilityPipeline {
             components.push({ label: 'Flag quality bonus', value: flagBonus });
         }
 
+        this._getActiveEvents(settlementProps).forEach(event => {
+            const qualityShift = EconomicEvents.getShifts(event, cargoData?.name, cargoData?.category).quality;
+            if (qualityShift) {
+                score += qualityShift;
+                components.push({ label: `Event: ${event.name} quality`, value: qualityShift });
+            }
+        });
+
         const pressureModifier = qualityConfig.marketPressureModifiers?.[balance.state] ?? 0;
         if (pressureModifier) {
             score += pressureModifier;
@@ -1,7 +1,10 @@
 /**
  * Cargo Distribution Charts - Pie charts showing cargo spawn probabilities
+ * and line charts showing how recorded prices moved
  */
 
+import { formatCanonicalValue, resolveCurrencyContext } from './currency-display.js';
+
 class CargoDistributionCharts {
     constructor(dataManager, cargoAvailabilityPipeline) {
         this.dataManager = dataManager;
@@ -275,6 +278,151 @@ class CargoDistributionCharts {
         };
     }
 
+    /**
+     * Build price trend lines for a settlement from the recorded price history
+     * One line per cargo and quality, most recently priced first
+     * @param {Object} settlement - Settlement data
+     * @param {Object} options - { source, maxSeries } where source is a price source or list of sources
+     * @returns {Object} Trend data with series and axis ranges
+     */
+    calculatePriceTrends(settlement, options = {}) {
+        const { source = null, maxSeries = 5 } = options;
+        if (!settlement || typeof this.dataManager?.getPriceHistory !== 'function') {
+            return { series: [] };
+        }
+
+        try {
+            const history = this.dataManager.getPriceHistory();
+            const series = [];
+
+            history.getCargoNames(settlement.name).forEach(cargoName => {
+                const byQuality = new Map();
+                history.getHistory(settlement.name, cargoName, { source }).forEach(point => {
+                    if (!byQuality.has(point.quality)) {
+                        byQuality.set(point.quality, []);
+                    }
+                    byQuality.get(point.quality).push(point);
+                });
+
+                byQuality.forEach((points, quality) => {
+                    const first = points[0].price;
+                    const latest = points[points.length - 1];
+                    series.push({
+                        name: `${cargoName} (${quality})`,
+                        cargo: cargoName,
+                        quality,
+                        points,
+                        latest,
+                        change: first > 0 ? ((latest.price - first) / first) * 100 : 0
+                    });
+                });
+            });
+
+            series.sort((a, b) => b.latest.time - a.latest.time);
+            const shown = series.slice(0, maxSeries);
+            const allPoints = shown.flatMap(entry => entry.points);
+
+            return {
+                series: shown,
+                minTime: Math.min(...allPoints.map(point => point.time)),
+                maxTime: Math.max(...allPoints.map(point => point.time)),
+                minPrice: Math.min(...allPoints.map(point => point.price)),
+                maxPrice: Math.max(...allPoints.map(point => point.price))
+            };
+        } catch (error) {
+            console.error('Trading Places | Error calculating price trends:', error);
+            return { series: [] };
+        }
+    }
+
+    /**
+     * Render line chart for recorded prices
+     * @param {string} canvasId - Canvas element ID
+     * @param {string} legendId - Legend container ID
+     * @param {Object} trendData - Trend data from calculatePriceTrends()
+     */
+    renderLineChart(canvasId, legendId, trendData) {
+        const canvas = document.getElementById(canvasId);
+        const legendContainer = document.getElementById(legendId);
+
+        if (!canvas || !legendContainer) {
+            return;
+        }
+
+        if (this.charts.has(canvasId)) {
+            this.charts.get(canvasId).destroy();
+        }
+
+        const ctx = canvas.getContext('2d');
+        const series = trendData.series || [];
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        if (series.length === 0) {
+            ctx.fillStyle = '#666';
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('No prices recorded yet', canvas.width / 2, canvas.height / 2);
+            legendContainer.innerHTML = '<div class="legend-item"><span class="legend-label">Prices are recorded as markets are checked and cargo is traded</span></div>';
+            return;
+        }
+
+        const colors = this.generateColors(series.length);
+        const padding = 24;
+        const width = canvas.width - padding * 2;
+        const height = canvas.height - padding * 2;
+        const timeRange = trendData.maxTime - trendData.minTime || 1;
+        const priceRange = trendData.maxPrice - trendData.minPrice || 1;
+        const toX = time => padding + ((time - trendData.minTime) / timeRange) * width;
+        const toY = price => padding + height - ((price - trendData.minPrice) / priceRange) * height;
+
+        // Draw axes
+        ctx.strokeStyle = '#999';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding, padding);
+        ctx.lineTo(padding, padding + height);
+        ctx.lineTo(padding + width, padding + height);
+        ctx.stroke();
+
+        series.forEach((entry, index) => {
+            ctx.strokeStyle = colors[index];
+            ctx.fillStyle = colors[index];
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            entry.points.forEach((point, pointIndex) => {
+                const x = toX(point.time);
+                const y = toY(point.price);
+                if (pointIndex === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+
+            // Mark each recorded price so single points stay visible
+            entry.points.forEach(point => {
+                ctx.beginPath();
+                ctx.arc(toX(point.time), toY(point.price), 2.5, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+        });
+
+        const currencyContext = resolveCurrencyContext(this.dataManager);
+        const formatPrice = value => formatCanonicalValue(Math.round(value), currencyContext, { defaultText: `${value} BP` });
+        const formatTime = value => window.TradingPlacesClock ? window.TradingPlacesClock.format(value) : value;
+
+        legendContainer.innerHTML = series.map((entry, index) => `
+            <div class="legend-item" title="${entry.points.length} price(s) since ${formatTime(entry.points[0].time)}; latest ${formatTime(entry.latest.time)}">
+                <div class="legend-color" style="background-color: ${colors[index]}"></div>
+                <span class="legend-label">${entry.name}</span>
+                <span class="legend-percentage">${formatPrice(entry.latest.price)}/EP (${entry.change >= 0 ? '+' : ''}${entry.change.toFixed(0)}%)</span>
+            </div>
+        `).join('');
+
+        this.charts.set(canvasId, { destroy: () => ctx.clearRect(0, 0, canvas.width, canvas.height) });
+    }
+
     /**
      * Update both buying and selling charts
      * @param {Object} settlement - Settlement data
@@ -293,6 +441,8 @@ class CargoDistributionCharts {
             // Clear charts if no settlement
             this.renderPieChart('buying-cargo-distribution-chart', 'buying-chart-legend', { entries: [] });
             this.renderPieChart('selling-cargo-distribution-chart', 'selling-chart-legend', { entries: [] });
+            this.renderLineChart('buying-price-history-chart', 'buying-price-history-legend', { series: [] });
+            this.renderLineChart('selling-price-history-chart', 'selling-price-history-legend', { series: [] });
             return;
         }
 
@@ -322,6 +472,18 @@ class CargoDistributionCharts {
             buyerDistribution,
             'Buyer Demand Distribution'
         );
+
+        // Price trends: asking prices and purchases on the buying tab, offers and sales on the selling tab
+        this.renderLineChart(
+            'buying-price-history-chart',
+            'buying-price-history-legend',
+            this.calculatePriceTrends(settlement, { source: ['market', 'purchase'] })
+        );
+        this.renderLineChart(
+            'selling-price-history-chart',
+            'selling-price-history-legend',
+            this.calculatePriceTrends(settlement, { source: ['offer', 'sale'] })
+        );
     }
 
     /**
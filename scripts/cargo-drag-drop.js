@@ -0,0 +1,116 @@
+/**
+ * Trading Places Module - Cargo Drag and Drop
+ * Drag data for market slots, and finding what a drop refers to
+ */
+
+console.log('Trading Places | Loading cargo-drag-drop.js');
+
+import { CargoItems } from './cargo-items.js';
+
+const DRAG_TYPE = 'TradingPlacesCargo';
+
+/**
+ * Cargo Drag and Drop class for moving cargo between the market, actor sheets and the selling tab
+ *
+ * A market slot dragged from the buying tab carries only what identifies it: the settlement, the
+ * slot number and the cargo. Prices and stock are looked up again in the market when the slot is
+ * dropped, so a stale drag cannot buy at an old price or more than the merchant has left. A cargo
+ * item dragged from an actor sheet is matched to its lot in the hold through its flags.
+ */
+export class CargoDragDrop {
+    static DRAG_TYPE = DRAG_TYPE;
+
+    /**
+     * Build the drag data for a market slot
+     * @param {Object} cargo - Successful cargo entry from the market
+     * @param {Object|string} settlement - Settlement the market is at
+     * @returns {Object} - { type, settlement, slotNumber, name, category }
+     */
+    static slotDragData(cargo, settlement) {
+        return {
+            type: DRAG_TYPE,
+            settlement: typeof settlement === 'string' ? settlement : settlement?.name || null,
+            slotNumber: cargo.slotNumber ?? null,
+            name: cargo.name,
+            category: cargo.category || null
+        };
+    }
+
+    /**
+     * @param {Object} data - Drag data
+     * @returns {boolean} - Whether the data is a market slot
+     */
+    static isMarketSlot(data) {
+        return data?.type === DRAG_TYPE && typeof data.name === 'string' && data.name.length > 0;
+    }
+
+    /**
+     * Read the drag data from a drop event
+     * @param {DragEvent} event - Drop event
+     * @returns {Object|null} - Drag data, or null when the drop carries none
+     */
+    static readDropData(event) {
+        try {
+            const text = event?.dataTransfer?.getData('text/plain');
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Find the market slot a drop refers to
+     * @param {Array} successfulCargo - The market's successful cargo
+     * @param {Object} data - Market slot drag data
+     * @returns {Object|null} - Cargo entry, or null when the slot has gone
+     */
+    static findSlot(successfulCargo = [], data = {}) {
+        return (successfulCargo || []).find(cargo =>
+            cargo.name === data.name &&
+            (data.slotNumber === null || data.slotNumber === undefined || cargo.slotNumber === data.slotNumber)) || null;
+    }
+
+    /**
+     * @param {Object} cargo - Successful cargo entry
+     * @returns {number} - EP the merchant still has
+     */
+    static availableQuantity(cargo) {
+        return Math.max(0, Number(cargo?.totalEP ?? cargo?.quantity) || 0);
+    }
+
+    /**
+     * Find the hold lot a cargo item belongs to
+     * The lot id in the item's flags decides; items without one are matched through the lot's
+     * item references, then by cargo type and real quality
+     * @param {Array} hold - Hold lots
+     * @param {Object} item - Foundry Item
+     * @returns {Object|null} - Hold lot, or null when the item is not cargo in the hold
+     */
+    static findLot(hold = [], item) {
+        const flags = CargoItems.getFlags(item);
+        if (!flags?.cargoType) {
+            return null;
+        }
+
+        const lots = hold || [];
+        const byId = flags.lotId ? lots.find(lot => lot.id === flags.lotId) : null;
+        if (byId) {
+            return byId;
+        }
+
+        const byRef = lots.find(lot => Array.isArray(lot.items) && lot.items.some(ref => ref.itemId === item.id));
+        if (byRef) {
+            return byRef;
+        }
+
+        const quality = String(flags.quality || '').toLowerCase();
+        return lots.find(lot =>
+            lot.cargo === flags.cargoType &&
+            String(lot.actualTier || lot.quality || '').toLowerCase() === quality) || null;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesCargoDragDrop = CargoDragDrop;
+}
@@ -0,0 +1,222 @@
+/**
+ * Trading Places Module - Cargo Items
+ * Cargo carried as actor items, with where and how it was bought kept in the item's flags
+ */
+
+console.log('Trading Places | Loading cargo-items.js');
+
+const MODULE_ID = "fvtt-trading-places";
+const FLAG_KEY = 'cargo';
+
+/**
+ * Cargo Items class for reading the hold from actors' items
+ *
+ * Every cargo item the module creates carries a `cargo` flag with the cargo type, its real
+ * quality, the lot it belongs to and its provenance: where and when it was bought, what it cost
+ * and whether it is contraband. The items decide what is in the hold: a lot whose items have
+ * been deleted from a sheet leaves the hold, a lot's quantity is what its items hold (on however
+ * many actors), and a flagged item the hold does not know about becomes a lot of its own. The
+ * hold keeps what only the module tracks, such as how far a lot has spoiled.
+ * Lots bought without an actor have no items and are left as they are.
+ */
+export class CargoItems {
+    static FLAG_SCOPE = MODULE_ID;
+    static FLAG_KEY = FLAG_KEY;
+
+    /**
+     * Build the provenance flag for a new cargo item
+     * @param {string} cargoName - Cargo type
+     * @param {Object} cargoData - Cargo type information ({ category })
+     * @param {Object} purchaseInfo - { lotId, quality, claimedQuality, settlement, season, purchaseDate, purchaseTime, totalPrice, pricePerUnit, contraband, merchant }
+     * @returns {Object} - Flag data
+     */
+    static buildFlags(cargoName, cargoData = {}, purchaseInfo = {}) {
+        return {
+            lotId: purchaseInfo.lotId || null,
+            cargoType: cargoName,
+            category: cargoData.category || null,
+            quality: purchaseInfo.quality || 'Average',
+            claimedQuality: purchaseInfo.claimedQuality || null,
+            settlement: purchaseInfo.settlement || null,
+            season: purchaseInfo.season || null,
+            purchaseDate: purchaseInfo.purchaseDate || null,
+            purchaseTime: Number.isFinite(purchaseInfo.purchaseTime) ? purchaseInfo.purchaseTime : null,
+            purchasePrice: Number(purchaseInfo.totalPrice) || 0,
+            pricePerEP: Number(purchaseInfo.pricePerUnit) || 0,
+            contraband: purchaseInfo.contraband === true,
+            merchant: purchaseInfo.merchant || null
+        };
+    }
+
+    /**
+     * @param {Object} item - Foundry Item (or its data)
+     * @returns {Object|null} - The item's cargo flag
+     */
+    static getFlags(item) {
+        return item?.flags?.[MODULE_ID]?.[FLAG_KEY] || null;
+    }
+
+    /**
+     * @param {Object} item - Foundry Item
+     * @returns {boolean} - Whether the item is cargo bought through the module
+     */
+    static isCargoItem(item) {
+        return Boolean(CargoItems.getFlags(item)?.cargoType);
+    }
+
+    /**
+     * Collect the flagged cargo items of a set of actors
+     * @param {Iterable} actors - Foundry actors
+     * @returns {Array} - [{ actorId, itemId, quantity, flags }]
+     */
+    static collect(actors = []) {
+        const found = [];
+        for (const actor of actors || []) {
+            // Foundry collections iterate over their values, as arrays do
+            for (const item of actor?.items?.values?.() || []) {
+                const flags = CargoItems.getFlags(item);
+                if (!flags?.cargoType) {
+                    continue;
+                }
+                found.push({
+                    actorId: actor.id,
+                    itemId: item.id,
+                    quantity: Number(item.system?.quantity?.value) || 0,
+                    flags
+                });
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Build a hold lot from the items carrying it
+     * @param {string} lotId - Lot id
+     * @param {Array} items - Entries from collect() for the lot
+     * @returns {Object} - Hold lot
+     */
+    static toLot(lotId, items) {
+        const { flags } = items[0];
+        const quantity = items.reduce((total, entry) => total + entry.quantity, 0);
+        const totalCost = items.reduce((total, entry) => total + (Number(entry.flags.purchasePrice) || 0), 0);
+
+        const lot = {
+            id: lotId,
+            cargo: flags.cargoType,
+            category: flags.category,
+            quantity,
+            pricePerEP: quantity > 0 && totalCost > 0 ? totalCost / quantity : flags.pricePerEP,
+            totalCost,
+            settlement: flags.settlement,
+            season: flags.season,
+            date: flags.purchaseDate,
+            worldTime: flags.purchaseTime,
+            contraband: flags.contraband === true,
+            merchant: flags.merchant || 'Unknown Merchant',
+            quality: flags.claimedQuality || flags.quality,
+            items: CargoItems._refs(items)
+        };
+        if (flags.claimedQuality && flags.claimedQuality !== flags.quality) {
+            lot.actualTier = flags.quality;
+            lot.merchantQuality = flags.claimedQuality;
+        }
+        return lot;
+    }
+
+    /**
+     * Bring the hold in line with the cargo items
+     * @param {Array} hold - Current hold lots
+     * @param {Array} items - Entries from collect()
+     * @returns {Object} - { cargo, changed } where cargo is the new hold
+     */
+    static reconcile(hold = [], items = []) {
+        const byLot = new Map();
+        items.forEach(entry => {
+            // An item flagged without a lot is a lot of its own
+            const lotId = entry.flags.lotId || entry.itemId;
+            if (!byLot.has(lotId)) {
+                byLot.set(lotId, []);
+            }
+            byLot.get(lotId).push(entry);
+        });
+
+        let changed = false;
+        const cargo = [];
+        (hold || []).forEach(lot => {
+            const lotItems = byLot.get(lot.id);
+            if (!lotItems) {
+                if (Array.isArray(lot.items) && lot.items.length > 0) {
+                    // Its items were deleted, sold off or emptied on the sheet
+                    changed = true;
+                    return;
+                }
+                cargo.push(lot);
+                return;
+            }
+
+            byLot.delete(lot.id);
+            const quantity = lotItems.reduce((total, entry) => total + entry.quantity, 0);
+            if (quantity <= 0) {
+                changed = true;
+                return;
+            }
+
+            const refs = CargoItems._refs(lotItems);
+            const realTier = lotItems[0].flags.quality;
+            const updated = { ...lot, quantity, items: refs };
+            if (lot.actualTier) {
+                updated.actualTier = realTier;
+            } else {
+                updated.quality = realTier;
+            }
+            if (quantity !== lot.quantity && Number.isFinite(lot.totalCost) && lot.totalCost > 0) {
+                updated.pricePerEP = lot.totalCost / quantity;
+            }
+
+            if (quantity !== lot.quantity ||
+                (updated.actualTier || updated.quality) !== (lot.actualTier || lot.quality) ||
+                JSON.stringify(refs) !== JSON.stringify(lot.items || [])) {
+                changed = true;
+            }
+            cargo.push(updated);
+        });
+
+        byLot.forEach((lotItems, lotId) => {
+            const lot = CargoItems.toLot(lotId, lotItems);
+            if (lot.quantity > 0) {
+                cargo.push(lot);
+                changed = true;
+            }
+        });
+
+        return { cargo, changed };
+    }
+
+    /**
+     * Work out the item updates that make a lot's items match the lot
+     * The lot's quantity is shared out in proportion to what each item held, the remainder going to the first item
+     * @param {Object} lot - Hold lot with `items`
+     * @returns {Array} - [{ actorId, itemId, quantity, quality }] with quantity 0 for items to delete
+     */
+    static planItemUpdates(lot) {
+        const refs = Array.isArray(lot.items) ? lot.items : [];
+        const held = refs.reduce((total, ref) => total + ref.quantity, 0);
+        const target = Math.max(0, lot.quantity || 0);
+        const quality = lot.actualTier || lot.quality;
+
+        const shares = refs.map(ref => (held > 0 ? Math.floor(target * ref.quantity / held) : 0));
+        if (shares.length > 0) {
+            shares[0] += target - shares.reduce((total, share) => total + share, 0);
+        }
+        return refs.map((ref, index) => ({ actorId: ref.actorId, itemId: ref.itemId, quantity: shares[index], quality }));
+    }
+
+    static _refs(items) {
+        return items.map(entry => ({ actorId: entry.actorId, itemId: entry.itemId, quantity: entry.quantity }));
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesCargoItems = CargoItems;
+}
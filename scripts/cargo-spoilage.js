@@ -0,0 +1,251 @@
+/**
+ * Trading Places Module - Cargo Spoilage
+ * Perishable cargo losing quality or quantity the longer it sits in the hold
+ */
+
+console.log('Trading Places | Loading cargo-spoilage.js');
+
+import { SECONDS_PER_DAY } from './trading-clock.js';
+
+// Quality tiers from lowest to highest, as used by the quality system
+const STANDARD_TIERS = ['Poor', 'Common', 'Average', 'High', 'Exceptional'];
+const WINE_BRANDY_TIERS = ['swill', 'passable', 'average', 'good', 'excellent', 'top_shelf'];
+
+const DAYS_PER_WEEK = 7;
+
+/**
+ * Cargo Spoilage class for ageing perishable cargo against world time
+ *
+ * Cargo types opt in with a `perishability` block in cargo-types.json:
+ * `shelfLifeDays` is how long the goods keep, `qualityStepsPerWeek` how many quality tiers
+ * they drop for every week past that, `quantityLossPerWeek` the fraction lost each week past
+ * it and `storageModifiers` how fast they age in each kind of storage (1 in the hold).
+ * Decay is worked out from the total age of each lot and what has already been applied, so
+ * running it twice for the same moment changes nothing. A lot that drops below the lowest
+ * tier, or whose last EP is lost, has spoiled and leaves the hold.
+ */
+export class CargoSpoilage {
+    /**
+     * @param {Object} config - `spoilage` section of the trading config ({ warningDays, storageModifiers })
+     * @param {Array} cargoTypes - Cargo type definitions
+     */
+    constructor(config = {}, cargoTypes = []) {
+        this.config = config || {};
+        this.cargoTypes = Array.isArray(cargoTypes) ? cargoTypes : [];
+    }
+
+    /**
+     * Get the cargo type definition for a cargo entry
+     * @param {Object} cargo - Cargo entry from the party's hold
+     * @returns {Object|null}
+     */
+    getCargoType(cargo) {
+        const name = cargo?.cargo || cargo?.name || cargo?.type;
+        return this.cargoTypes.find(type => type.name === name) || null;
+    }
+
+    /**
+     * Get the perishability rules for a cargo entry
+     * @param {Object} cargo - Cargo entry
+     * @returns {Object|null} - { shelfLifeDays, qualityStepsPerWeek, quantityLossPerWeek, warningDays, storageModifiers }
+     *                          or null when the cargo keeps indefinitely
+     */
+    getPerishability(cargo) {
+        const perishability = this.getCargoType(cargo)?.perishability;
+        if (!perishability || !Number.isFinite(perishability.shelfLifeDays)) {
+            return null;
+        }
+
+        return {
+            shelfLifeDays: perishability.shelfLifeDays,
+            qualityStepsPerWeek: perishability.qualityStepsPerWeek ?? 0,
+            quantityLossPerWeek: perishability.quantityLossPerWeek ?? 0,
+            warningDays: perishability.warningDays ?? this.config.warningDays ?? 3,
+            storageModifiers: { ...(this.config.storageModifiers || {}), ...(perishability.storageModifiers || {}) }
+        };
+    }
+
+    /**
+     * Get the quality tiers of a cargo from lowest to highest
+     * @param {Object} cargo - Cargo entry
+     * @returns {Array<string>}
+     */
+    getQualityTiers(cargo) {
+        const cargoType = this.getCargoType(cargo);
+        if (cargoType?.qualitySystem === 'wine_brandy') {
+            return cargoType.qualityTiers ? Object.keys(cargoType.qualityTiers) : WINE_BRANDY_TIERS;
+        }
+        return STANDARD_TIERS;
+    }
+
+    /**
+     * Step a quality tier down, keeping the capitalisation of the original
+     * @param {Array<string>} tiers - Tiers from lowest to highest
+     * @param {string} quality - Current tier
+     * @param {number} steps - Tiers to drop
+     * @returns {string|null} - New tier, or null when it drops below the lowest
+     */
+    stepQuality(tiers, quality, steps) {
+        const current = String(quality || 'Average');
+        let index = tiers.findIndex(tier => tier.toLowerCase() === current.toLowerCase());
+        if (index === -1) {
+            index = tiers.findIndex(tier => tier.toLowerCase() === 'average');
+        }
+
+        const newIndex = index - steps;
+        if (newIndex < 0) {
+            return null;
+        }
+
+        const tier = tiers[newIndex];
+        const capitalised = current.charAt(0) === current.charAt(0).toUpperCase();
+        return capitalised ? tier.charAt(0).toUpperCase() + tier.slice(1) : tier.toLowerCase();
+    }
+
+    /**
+     * Work out how old a lot is in effective days of storage
+     * @param {Object} cargo - Cargo entry
+     * @param {Object} perishability - Result of getPerishability()
+     * @param {number} now - World time in seconds
+     * @returns {number}
+     * @private
+     */
+    _getAgeDays(cargo, perishability, now) {
+        const state = cargo.spoilage || {};
+        const lastCheck = Number.isFinite(state.lastCheck) ? state.lastCheck : cargo.worldTime;
+        if (!Number.isFinite(lastCheck)) {
+            return state.ageDays || 0;
+        }
+
+        const modifier = perishability.storageModifiers[cargo.storage || 'hold'] ?? 1;
+        return (state.ageDays || 0) + Math.max(0, (now - lastCheck) / SECONDS_PER_DAY) * modifier;
+    }
+
+    /**
+     * Describe how close a lot is to spoiling
+     * @param {Object} cargo - Cargo entry
+     * @param {number} now - World time in seconds
+     * @returns {Object} - { perishable, ageDays, shelfLifeDays, daysUntilDecay, warning, decaying }
+     *                     daysUntilDecay counts down to the next loss of quality or quantity
+     */
+    getStatus(cargo, now) {
+        const perishability = this.getPerishability(cargo);
+        if (!perishability) {
+            return { perishable: false, warning: false, decaying: false };
+        }
+
+        const ageDays = this._getAgeDays(cargo, perishability, now);
+        const overdue = ageDays - perishability.shelfLifeDays;
+        const intervals = [];
+        if (perishability.qualityStepsPerWeek > 0) {
+            intervals.push(DAYS_PER_WEEK / perishability.qualityStepsPerWeek);
+        }
+        if (perishability.quantityLossPerWeek > 0) {
+            intervals.push(DAYS_PER_WEEK);
+        }
+        const daysUntilDecay = Math.min(...intervals.map(interval =>
+            overdue < 0 ? interval - overdue : interval - (overdue % interval)
+        ));
+
+        return {
+            perishable: true,
+            ageDays,
+            shelfLifeDays: perishability.shelfLifeDays,
+            daysUntilDecay,
+            warning: daysUntilDecay <= perishability.warningDays,
+            decaying: overdue >= 0
+        };
+    }
+
+    /**
+     * Age every lot in the hold up to the given moment
+     * @param {Array} cargoList - Current cargo entries
+     * @param {number} now - World time in seconds
+     * @returns {Object} - { cargo, changes: [{ cargo, from, to }], spoiled: [entries], changed }
+     *                     where cargo is the new hold and from/to are { quality, quantity }.
+     *                     changed is only set when goods were lost, as the age of a lot can
+     *                     always be worked out again from its last saved state
+     */
+    applyDecay(cargoList = [], now) {
+        if (!Number.isFinite(now)) {
+            throw new Error('Spoilage time must be a number of seconds');
+        }
+
+        const cargo = [];
+        const changes = [];
+        const spoiled = [];
+
+        (Array.isArray(cargoList) ? cargoList : []).forEach(entry => {
+            const perishability = this.getPerishability(entry);
+            if (!perishability) {
+                cargo.push(entry);
+                return;
+            }
+
+            const state = entry.spoilage || {};
+            const ageDays = this._getAgeDays(entry, perishability, now);
+            const overdueWeeks = Math.max(0, ageDays - perishability.shelfLifeDays) / DAYS_PER_WEEK;
+            const stepsDue = Math.floor(overdueWeeks * perishability.qualityStepsPerWeek);
+            const weeksDue = perishability.quantityLossPerWeek > 0 ? Math.floor(overdueWeeks) : 0;
+            const newSteps = stepsDue - (state.stepsApplied || 0);
+            const newWeeks = weeksDue - (state.weeksApplied || 0);
+
+            const updated = {
+                ...entry,
+                spoilage: { lastCheck: now, ageDays, stepsApplied: stepsDue, weeksApplied: weeksDue }
+            };
+
+            if (newSteps <= 0 && newWeeks <= 0) {
+                cargo.push(updated);
+                return;
+            }
+
+            const from = { quality: entry.actualTier || entry.quality, quantity: entry.quantity };
+            const tiers = this.getQualityTiers(entry);
+            if (newSteps > 0) {
+                const realTier = this.stepQuality(tiers, entry.actualTier || entry.quality, newSteps);
+                if (realTier === null) {
+                    spoiled.push(entry);
+                    return;
+                }
+                if (entry.actualTier) {
+                    updated.actualTier = realTier;
+                    // A dishonest merchant's claimed tier still drops, but never below the lowest
+                    updated.quality = this.stepQuality(tiers, entry.quality, newSteps) || tiers[0];
+                } else {
+                    updated.quality = realTier;
+                }
+            }
+
+            if (newWeeks > 0) {
+                const quantity = Math.floor(entry.quantity * Math.pow(1 - perishability.quantityLossPerWeek, newWeeks));
+                if (quantity <= 0) {
+                    spoiled.push(entry);
+                    return;
+                }
+                if (quantity !== entry.quantity) {
+                    // What was paid for the lot stays with what is left of it
+                    updated.quantity = quantity;
+                    if (Number.isFinite(entry.totalCost) && entry.totalCost > 0) {
+                        updated.pricePerEP = entry.totalCost / quantity;
+                    }
+                }
+            }
+
+            cargo.push(updated);
+            changes.push({ cargo: updated, from, to: { quality: updated.actualTier || updated.quality, quantity: updated.quantity } });
+        });
+
+        return {
+            cargo,
+            changes,
+            spoiled,
+            changed: changes.length > 0 || spoiled.length > 0
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesCargoSpoilage = CargoSpoilage;
+}
@@ -3,6 +3,8 @@
  * Comprehensive validation system for startup configuration and system compatibility
  */
 
+import { RouteNetwork } from './route-network.js';
+
 /**
  * Configuration Validator class for validating module setup and system compatibility
  */
@@ -726,7 +728,8 @@ class ConfigValidator {
             const contentValidation = this.validateDatasetContent(
                 dataset.config,
                 { settlements: dataset.settlements || [] },
-                { cargoTypes: dataset.cargoTypes || [] }
+                { cargoTypes: dataset.cargoTypes || [] },
+                dataset.routes ? { routes: dataset.routes } : null
             );
 
             if (!contentValidation.valid) {
@@ -792,12 +795,23 @@ class ConfigValidator {
                 result.errors.push(`Invalid settlement files: ${files.settlements.invalidFiles.join(', ')}`);
             }
 
+            // The route network is optional - only validate it when the file exists
+            const routesFile = await this.validateConfigFile(`${basePath}/routes.json`, 'routes');
+            if (routesFile.accessible) {
+                result.files.routes = routesFile;
+                if (!routesFile.validJSON) {
+                    result.valid = false;
+                    result.errors.push(`Dataset file invalid JSON: routes.json - ${routesFile.parseError}`);
+                }
+            }
+
             // If files are accessible, validate content structure
             if (files.config.validJSON && files.settlements.validJSON && files.cargoTypes.validJSON) {
                 const contentValidation = this.validateDatasetContent(
                     files.config.content,
                     files.settlements.content,
-                    files.cargoTypes.content
+                    files.cargoTypes.content,
+                    routesFile.validJSON ? routesFile.content : null
                 );
 
                 if (!contentValidation.valid) {
@@ -821,9 +835,10 @@ class ConfigValidator {
      * @param {Object} config - Config data
      * @param {Object} settlements - Settlements data
      * @param {Object} cargoTypes - Cargo types data
+     * @param {Object|null} routes - Optional route network data
      * @returns {Object} - Content validation result
      */
-    validateDatasetContent(config, settlements, cargoTypes) {
+    validateDatasetContent(config, settlements, cargoTypes, routes = null) {
         const result = {
             valid: true,
             errors: [],
@@ -832,7 +847,8 @@ class ConfigValidator {
                 settlements: 0,
                 cargoTypes: 0,
                 regions: 0,
-                categories: 0
+                categories: 0,
+                routes: 0
             }
         };
 
@@ -865,6 +881,17 @@ class ConfigValidator {
             result.statistics.cargoTypes = cargoValidation.count;
             result.statistics.categories = cargoValidation.categories;
 
+            // Validate route network (optional)
+            if (routes) {
+                const routesValidation = this.validateRoutesStructure(routes, settlements);
+                if (!routesValidation.valid) {
+                    result.valid = false;
+                    result.errors.push('Routes validation failed:');
+                    result.errors.push(...routesValidation.errors.map(err => `  - ${err}`));
+                }
+                result.statistics.routes = routesValidation.count;
+            }
+
         } catch (error) {
             result.valid = false;
             result.errors.push(`Content validation error: ${error.message}`);
@@ -1065,6 +1092,37 @@ class ConfigValidator {
         return result;
     }
 
+    /**
+     * Validate route network structure
+     * Every edge must point to settlements that exist in the dataset
+     * @param {Object} routes - Route network data
+     * @param {Object} settlements - Settlements data
+     * @returns {Object} - Validation result
+     */
+    validateRoutesStructure(routes, settlements) {
+        const result = {
+            valid: true,
+            errors: [],
+            count: 0
+        };
+
+        if (!routes || !Array.isArray(routes.routes)) {
+            result.valid = false;
+            result.errors.push('Routes data must contain a routes array');
+            return result;
+        }
+
+        const errors = RouteNetwork.validateRoutes(routes.routes, settlements?.settlements || []);
+        if (errors.length > 0) {
+            result.valid = false;
+            result.errors.push(...errors);
+        }
+
+        result.count = routes.routes.length;
+
+        return result;
+    }
+
     /**
      * Validate module dependencies
      * @returns {Object} - Validation result
@@ -1193,6 +1251,9 @@ class ConfigValidator {
                     if (datasetResult.statistics) {
                         report += `    Settlements: ${datasetResult.statistics.settlements}\n`;
                         report += `    Cargo Types: ${datasetResult.statistics.cargoTypes}\n`;
+                        if (datasetResult.statistics.routes) {
+                            report += `    Routes: ${datasetResult.statistics.routes}\n`;
+                        }
                     }
                 }
             }
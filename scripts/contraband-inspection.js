@@ -0,0 +1,234 @@
+/**
+ * Trading Places Module - Contraband Inspection
+ * Searches of the party's cargo by settlement authorities, with fines, confiscation and bribes
+ */
+
+console.log('Trading Places | Loading contraband-inspection.js');
+
+// Strength of each class of fighting force: A full-time soldiers, B trained, C levied
+const DEFAULT_FORCE_WEIGHTS = { a: 3, b: 2, c: 1 };
+
+/**
+ * Contraband Inspection class for working out whether and how the party is searched
+ *
+ * Settings come from the `inspections` section of the trading config; chances are fractions
+ * and amounts are in canonical units (BP). The chance of a search starts at `baseChance`,
+ * adds a bonus for the occasion (arriving or selling), for the strength of the garrison and
+ * militia, for the settlement's flags and for the amount of contraband aboard. A search that
+ * finds contraband leaves the party a choice: pay the fine and surrender the contraband, or
+ * offer a bribe. A refused bribe multiplies the fine and the contraband is taken anyway.
+ */
+export class ContrabandInspection {
+    /**
+     * @param {Object} config - `inspections` section of the trading config
+     *                          ({ baseChance, triggers, forces, flagBonuses, contraband, maxChance, fine, bribe })
+     */
+    constructor(config = {}) {
+        this.config = config || {};
+    }
+
+    /**
+     * Check whether a cargo entry is contraband
+     * @param {Object} cargo - Cargo entry from the party's hold
+     * @returns {boolean}
+     */
+    static isContraband(cargo) {
+        return !!cargo && (cargo.contraband === true || cargo.contraband?.contraband === true);
+    }
+
+    /**
+     * Get the contraband in the party's hold
+     * @param {Array} cargoList - Current cargo entries
+     * @returns {Object} - { cargo: [entries], quantity } where quantity is the total EP
+     */
+    getContrabandAboard(cargoList = []) {
+        const cargo = (Array.isArray(cargoList) ? cargoList : [])
+            .filter(entry => ContrabandInspection.isContraband(entry) && Number(entry.quantity) > 0);
+        return {
+            cargo,
+            quantity: cargo.reduce((sum, entry) => sum + Number(entry.quantity), 0)
+        };
+    }
+
+    /**
+     * Work out the weighted strength of a garrison or militia
+     * Accepts the object form ({ a, b, c }) and the legacy array form (["20a", "40b"])
+     * @param {Object|Array} forces - Garrison or militia
+     * @returns {number} - Weighted strength
+     */
+    getForceStrength(forces) {
+        const weights = { ...DEFAULT_FORCE_WEIGHTS, ...(this.config.forces?.weights || {}) };
+        let counts = forces;
+
+        if (Array.isArray(forces)) {
+            counts = {};
+            forces.forEach(entry => {
+                const match = /^(\d+)\s*([a-z])$/i.exec(String(entry).trim());
+                if (match) {
+                    const key = match[2].toLowerCase();
+                    counts[key] = (counts[key] || 0) + Number(match[1]);
+                }
+            });
+        }
+
+        if (!counts || typeof counts !== 'object') {
+            return 0;
+        }
+
+        return Object.entries(counts)
+            .reduce((sum, [key, count]) => sum + (Number(count) || 0) * (weights[key.toLowerCase()] ?? 0), 0);
+    }
+
+    /**
+     * Work out the chance of the party's cargo being searched
+     * @param {Object} settlement - Settlement object
+     * @param {Array} cargoList - Current cargo entries
+     * @param {string} trigger - 'arrival' or 'sale'
+     * @returns {Object} - { chance, steps: [{ label, value, current }], contrabandEP } with chance as a percentage
+     */
+    calculateChance(settlement, cargoList = [], trigger = 'arrival') {
+        if (!settlement) {
+            throw new Error('Inspection settlement is required');
+        }
+
+        const config = this.config;
+        const forces = config.forces || {};
+        const contrabandConfig = config.contraband || {};
+        let chance = config.baseChance ?? 0.05;
+        const steps = [{ label: 'Base chance', value: chance, current: chance }];
+        const addStep = (label, value) => {
+            if (value !== 0) {
+                chance += value;
+                steps.push({ label, value, current: chance });
+            }
+        };
+
+        addStep(trigger === 'sale' ? 'Selling in the market' : 'Arriving at the docks', config.triggers?.[trigger] ?? 0);
+
+        const chancePer100 = forces.chancePer100 ?? 0.02;
+        const maxForceBonus = forces.maxBonus ?? 0.25;
+        const garrisonStrength = this.getForceStrength(settlement.garrison);
+        const militiaStrength = this.getForceStrength(settlement.militia) * (forces.militiaFactor ?? 0.5);
+        addStep('Garrison', Math.min(maxForceBonus, (garrisonStrength / 100) * chancePer100));
+        addStep('Militia', Math.min(maxForceBonus, (militiaStrength / 100) * chancePer100));
+
+        (settlement.flags || []).forEach(flag => {
+            addStep(`Flag: ${flag}`, config.flagBonuses?.[flag] ?? 0);
+        });
+
+        const { quantity } = this.getContrabandAboard(cargoList);
+        const contrabandBonus = Math.min(contrabandConfig.maxBonus ?? 0.2, (quantity / 10) * (contrabandConfig.chancePer10EP ?? 0.01));
+        addStep(`Contraband aboard (${quantity} EP)`, contrabandBonus);
+
+        chance = Math.max(0, Math.min(config.maxChance ?? 0.9, chance));
+
+        return {
+            chance: chance * 100,
+            steps,
+            contrabandEP: quantity
+        };
+    }
+
+    /**
+     * Decide whether the party is searched and what the search turns up
+     * @param {Object} settlement - Settlement object
+     * @param {Array} cargoList - Current cargo entries
+     * @param {Object} options - { trigger, roll } where roll is a 1d100 result
+     * @returns {Object} - { trigger, chance, roll, steps, inspected, contraband, contrabandEP, found }
+     */
+    inspect(settlement, cargoList = [], { trigger = 'arrival', roll } = {}) {
+        if (!['arrival', 'sale'].includes(trigger)) {
+            throw new Error(`Unknown inspection trigger: ${trigger}`);
+        }
+        if (!Number.isFinite(roll)) {
+            throw new Error('Inspection roll must be a number');
+        }
+
+        const { chance, steps, contrabandEP } = this.calculateChance(settlement, cargoList, trigger);
+        const { cargo } = this.getContrabandAboard(cargoList);
+        const inspected = roll <= chance;
+
+        return {
+            trigger,
+            settlement: settlement.name,
+            chance,
+            roll,
+            steps,
+            inspected,
+            contraband: inspected ? cargo : [],
+            contrabandEP: inspected ? contrabandEP : 0,
+            found: inspected && cargo.length > 0
+        };
+    }
+
+    /**
+     * Get the value of a cargo entry in canonical units
+     * @param {Object} cargo - Cargo entry
+     * @returns {number}
+     */
+    getCargoValue(cargo) {
+        const totalCost = Number(cargo?.totalCost);
+        if (Number.isFinite(totalCost) && totalCost > 0) {
+            return totalCost;
+        }
+        return (Number(cargo?.pricePerEP) || 0) * (Number(cargo?.quantity) || 0);
+    }
+
+    /**
+     * Work out the penalty and the bribe on offer for contraband that was found
+     * @param {Object} settlement - Settlement object
+     * @param {Array} contraband - Contraband cargo entries
+     * @returns {Object} - { value, fine, bribe: { amount, chance } } with bribe chance as a percentage
+     */
+    assessPenalty(settlement, contraband = []) {
+        const fineConfig = this.config.fine || {};
+        const bribeConfig = this.config.bribe || {};
+        const value = contraband.reduce((sum, cargo) => sum + this.getCargoValue(cargo), 0);
+
+        const fine = Math.max(fineConfig.minimum ?? 0, Math.round(value * (fineConfig.rate ?? 0.5)));
+        const bribeAmount = Math.max(bribeConfig.minimum ?? 0, Math.round(value * (bribeConfig.rate ?? 0.25)));
+
+        let bribeChance = bribeConfig.baseChance ?? 0.7;
+        (settlement?.flags || []).forEach(flag => {
+            bribeChance -= bribeConfig.flagPenalties?.[flag] ?? 0;
+        });
+        bribeChance = Math.max(bribeConfig.minChance ?? 0.1, Math.min(0.95, bribeChance));
+
+        return {
+            value,
+            fine,
+            bribe: {
+                amount: bribeAmount,
+                chance: Math.round(bribeChance * 1000) / 10
+            }
+        };
+    }
+
+    /**
+     * Settle a bribe attempt
+     * @param {Object} penalty - Result of assessPenalty()
+     * @param {number} roll - 1d100 result
+     * @returns {Object} - { success, roll, chance, paid, fine, confiscate }
+     *                     paid is the bribe handed over; fine is what is owed on top
+     */
+    resolveBribe(penalty, roll) {
+        if (!Number.isFinite(roll)) {
+            throw new Error('Bribe roll must be a number');
+        }
+
+        const success = roll <= penalty.bribe.chance;
+        return {
+            success,
+            roll,
+            chance: penalty.bribe.chance,
+            paid: success ? penalty.bribe.amount : 0,
+            fine: success ? 0 : Math.round(penalty.fine * (this.config.bribe?.failedFineMultiplier ?? 2)),
+            confiscate: !success
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesContrabandInspection = ContrabandInspection;
+}
@@ -0,0 +1,245 @@
+console.log('Trading Places | Loading contract-board.js');
+
+/**
+ * Trading Places Module - Contract Board
+ * Window listing delivery contracts offered at the selected settlement and those the party holds
+ */
+
+import { formatCanonicalValue, resolveCurrencyContext } from './currency-display.js';
+
+const MODULE_ID = "fvtt-trading-places";
+
+// Check if ApplicationV2 is available before defining the class
+if (typeof foundry?.applications?.api?.ApplicationV2 === 'undefined' ||
+    typeof foundry?.applications?.api?.HandlebarsApplicationMixin === 'undefined') {
+    console.warn('Trading Places | ApplicationV2 Handlebars mixin not available, contract board will not be loaded');
+} else {
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+const HandlebarsApplication = HandlebarsApplicationMixin(ApplicationV2);
+
+class ContractBoard extends HandlebarsApplication {
+
+    static DEFAULT_OPTIONS = {
+        id: "trading-places-delivery-contracts",
+        tag: "div",
+        window: {
+            title: "Delivery Contracts",
+            icon: "fas fa-file-signature",
+            resizable: true,
+            minimizable: true,
+            maximizable: false
+        },
+        position: {
+            width: 600,
+            height: 640
+        },
+        classes: ["trading-places", "contract-board", "application-v2"]
+    };
+
+    static PARTS = {
+        content: {
+            template: `modules/${MODULE_ID}/templates/contract-board.hbs`
+        }
+    };
+
+    /**
+     * @param {Object} dataManager - DataManager instance
+     * @param {Object} options - { settlement, season, systemAdapter } plus ApplicationV2 options
+     */
+    constructor(dataManager, options = {}) {
+        const { settlement = null, season = 'spring', systemAdapter = null, ...appOptions } = options;
+        super(appOptions);
+        this.dataManager = dataManager;
+        this.settlement = settlement;
+        this.season = season;
+        this.systemAdapter = systemAdapter;
+    }
+
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        const registry = this.dataManager.getDeliveryContracts();
+
+        context.isGM = !!game.user?.isGM;
+        if (context.isGM && this.settlement && registry.getOffers(this.settlement).length === 0) {
+            // Post fresh offers the first time the GM views the board after the last ones lapsed
+            registry.generateOffers(this.settlement, { season: this.season });
+            await this.dataManager.saveDeliveryContracts();
+        }
+
+        context.settlementName = this.settlement?.name || null;
+        context.offers = this.settlement
+            ? registry.getOffers(this.settlement).map(contract => this._describeContract(registry, contract))
+            : [];
+        context.hasOffers = context.offers.length > 0;
+
+        context.accepted = registry.getAcceptedContracts().map(contract => this._describeContract(registry, contract));
+        context.hasAccepted = context.accepted.length > 0;
+
+        context.closed = registry.getContracts()
+            .filter(contract => ['completed', 'failed'].includes(contract.status))
+            .map(contract => this._describeContract(registry, contract));
+        context.hasClosed = context.closed.length > 0;
+        return context;
+    }
+
+    _attachPartListeners(partId, htmlElement, options) {
+        super._attachPartListeners(partId, htmlElement, options);
+
+        htmlElement.querySelectorAll('.accept-contract-btn').forEach(button => {
+            button.addEventListener('click', () => this._onAcceptContract(button.dataset.contractId));
+        });
+
+        htmlElement.querySelectorAll('.settle-contract-btn').forEach(button => {
+            button.addEventListener('click', () => this._onSettleContract(button.dataset.contractId));
+        });
+
+        const repostBtn = htmlElement.querySelector('.repost-contracts-btn');
+        if (repostBtn) {
+            repostBtn.addEventListener('click', () => this._onRepostOffers());
+        }
+
+        const pruneBtn = htmlElement.querySelector('.prune-contracts-btn');
+        if (pruneBtn) {
+            pruneBtn.addEventListener('click', () => this._onPruneContracts());
+        }
+    }
+
+    /**
+     * Build the display row for a contract
+     * @private
+     */
+    _describeContract(registry, contract) {
+        const status = registry.getStatus(contract);
+        const format = value => this._formatCurrency(value);
+        const row = {
+            id: contract.id,
+            cargoName: contract.cargoName,
+            quantity: contract.quantity,
+            minimumQuality: contract.minimumQuality,
+            origin: contract.origin,
+            destination: contract.destination,
+            reward: format(contract.reward),
+            status,
+            delivered: contract.delivered,
+            deadline: contract.deadline === null
+                ? `${contract.durationDays} days from acceptance`
+                : this._formatTime(contract.deadline)
+        };
+
+        if (status === 'accepted' || status === 'overdue') {
+            const estimate = registry.calculateSettlement(contract);
+            row.remaining = status === 'overdue'
+                ? `${estimate.daysLate} days overdue`
+                : `${Math.ceil(registry.getRemainingDays(contract))} days left`;
+            row.settleEstimate = format(estimate.payout);
+        }
+        if (contract.payout !== null && contract.payout !== undefined) {
+            row.payout = format(contract.payout);
+        }
+        return row;
+    }
+
+    _formatCurrency(value) {
+        return formatCanonicalValue(value, resolveCurrencyContext(this.dataManager), { defaultText: `${value} BP` });
+    }
+
+    _formatTime(worldTime) {
+        return window.TradingPlacesClock ? window.TradingPlacesClock.format(worldTime) : worldTime;
+    }
+
+    _getActor() {
+        const controlledTokens = canvas.tokens?.controlled || [];
+        return controlledTokens[0]?.actor || game.user?.character || null;
+    }
+
+    /**
+     * Players cannot write the contracts setting, so their changes are made by the GM's client
+     * @returns {Promise<Object>} - The GM client's outcome
+     * @private
+     */
+    async _askGM(request) {
+        const approvals = window.TradingPlaces?.getTradeApprovals?.();
+        if (!approvals) {
+            throw new Error('Trade approvals are not available');
+        }
+        const outcome = await approvals.requestContract(request);
+        if (outcome.error) {
+            throw new Error(outcome.error);
+        }
+        return outcome;
+    }
+
+    async _onAcceptContract(contractId) {
+        try {
+            const contract = game.user?.isGM
+                ? await this.dataManager.acceptDeliveryContract(contractId, game.user.id)
+                : (await this._askGM({ type: 'accept', contractId })).result;
+            ui.notifications.info(`Contract accepted: ${contract.quantity} EP of ${contract.cargoName} to ${contract.destination}`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to accept contract:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    /**
+     * Close a contract with a short delivery, paying or charging the actor
+     * @private
+     */
+    async _onSettleContract(contractId) {
+        try {
+            const actor = this._getActor();
+            const result = game.user?.isGM
+                ? await this.dataManager.settleDeliveryContract(contractId, actor, this.systemAdapter)
+                : (await this._askGM({ type: 'settle', contractId, actorId: actor?.id || null })).result;
+
+            if (result.purseError) {
+                ui.notifications.warn(result.purseError);
+            }
+            const verb = result.payout >= 0 ? 'paid' : 'fined';
+            ui.notifications.info(`Contract ${result.contract.status}: ${verb} ${this._formatCurrency(Math.abs(result.payout))}`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to settle contract:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    async _onRepostOffers() {
+        try {
+            const registry = this.dataManager.getDeliveryContracts();
+            registry.getOffers(this.settlement).forEach(contract => registry.removeContract(contract.id));
+            registry.generateOffers(this.settlement, { season: this.season });
+            await this.dataManager.saveDeliveryContracts();
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to post new contracts:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    async _onPruneContracts() {
+        try {
+            const removed = this.dataManager.getDeliveryContracts().pruneClosed();
+            await this.dataManager.saveDeliveryContracts();
+            ui.notifications.info(`Removed ${removed} closed contract(s)`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to remove closed contracts:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    static async show(dataManager, options = {}) {
+        const board = new ContractBoard(dataManager, options);
+        await board.render(true);
+        return board;
+    }
+}
+
+// Export class globally
+window.TradingPlacesContractBoard = ContractBoard;
+console.log('Trading Places | Contract board registered globally');
+
+} // End of ApplicationV2 availability check
@@ -0,0 +1,332 @@
+console.log('Trading Places | Loading credit-ledger.js');
+
+/**
+ * Trading Places Module - Credit Ledger
+ * Window for the party's loans and letters of credit, and what the merchant houses at the selected settlement offer
+ */
+
+import { formatCanonicalValue, resolveCurrencyContext } from './currency-display.js';
+
+const MODULE_ID = "fvtt-trading-places";
+
+// Check if ApplicationV2 is available before defining the class
+if (typeof foundry?.applications?.api?.ApplicationV2 === 'undefined' ||
+    typeof foundry?.applications?.api?.HandlebarsApplicationMixin === 'undefined') {
+    console.warn('Trading Places | ApplicationV2 Handlebars mixin not available, credit ledger will not be loaded');
+} else {
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+const HandlebarsApplication = HandlebarsApplicationMixin(ApplicationV2);
+
+class CreditLedger extends HandlebarsApplication {
+
+    static DEFAULT_OPTIONS = {
+        id: "trading-places-credit-ledger",
+        tag: "div",
+        window: {
+            title: "Loans & Letters of Credit",
+            icon: "fas fa-landmark",
+            resizable: true,
+            minimizable: true,
+            maximizable: false
+        },
+        position: {
+            width: 620,
+            height: 680
+        },
+        classes: ["trading-places", "credit-ledger", "application-v2"]
+    };
+
+    static PARTS = {
+        content: {
+            template: `modules/${MODULE_ID}/templates/credit-ledger.hbs`
+        }
+    };
+
+    /**
+     * @param {Object} dataManager - DataManager instance
+     * @param {Object} options - { settlement, systemAdapter } plus ApplicationV2 options
+     */
+    constructor(dataManager, options = {}) {
+        const { settlement = null, systemAdapter = null, ...appOptions } = options;
+        super(appOptions);
+        this.dataManager = dataManager;
+        this.settlement = settlement;
+        this.systemAdapter = systemAdapter;
+    }
+
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        const credit = this.dataManager.getMerchantCredit();
+        const terms = this.settlement ? credit.getLenderTerms(this.settlement) : null;
+
+        context.isGM = !!game.user?.isGM;
+        context.settlementName = this.settlement?.name || null;
+        context.terms = terms && {
+            interest: `${Math.round(terms.interestPerWeek * 1000) / 10}% a week`,
+            termDays: terms.termDays,
+            available: this._formatCurrency(terms.available),
+            collateral: `${Math.round(terms.collateralShare * 100)}%`,
+            letterFee: `${Math.round(terms.letterFee * 1000) / 10}%`
+        };
+
+        context.loans = credit.getOpenLoans().map(loan => this._describeLoan(credit, loan));
+        context.hasLoans = context.loans.length > 0;
+        context.letters = credit.getOpenLetters().map(letter => this._describeLetter(letter));
+        context.hasLetters = context.letters.length > 0;
+        context.canDraw = Boolean(terms);
+
+        context.closed = [
+            ...credit.getLoans().filter(loan => loan.status !== 'active').map(loan => this._describeLoan(credit, loan)),
+            ...credit.getLetters().filter(letter => letter.status !== 'open').map(letter => this._describeLetter(letter))
+        ];
+        context.hasClosed = context.closed.length > 0;
+        return context;
+    }
+
+    _attachPartListeners(partId, htmlElement, options) {
+        super._attachPartListeners(partId, htmlElement, options);
+
+        const borrowBtn = htmlElement.querySelector('.take-loan-btn');
+        if (borrowBtn) {
+            borrowBtn.addEventListener('click', () => this._onTakeLoan(htmlElement));
+        }
+
+        const letterBtn = htmlElement.querySelector('.issue-letter-btn');
+        if (letterBtn) {
+            letterBtn.addEventListener('click', () => this._onIssueLetter(htmlElement));
+        }
+
+        htmlElement.querySelectorAll('.repay-loan-btn').forEach(button => {
+            button.addEventListener('click', () => this._onRepayLoan(button.dataset.loanId, htmlElement));
+        });
+
+        htmlElement.querySelectorAll('.loan-penalty-btn').forEach(button => {
+            button.addEventListener('click', () => this._onApplyPenalty(button.dataset.loanId));
+        });
+
+        htmlElement.querySelectorAll('.forfeit-loan-btn').forEach(button => {
+            button.addEventListener('click', () => this._onForfeitCollateral(button.dataset.loanId));
+        });
+
+        htmlElement.querySelectorAll('.draw-letter-btn').forEach(button => {
+            button.addEventListener('click', () => this._onDrawLetter(button.dataset.letterId, htmlElement));
+        });
+
+        const pruneBtn = htmlElement.querySelector('.prune-credit-btn');
+        if (pruneBtn) {
+            pruneBtn.addEventListener('click', () => this._onPruneClosed());
+        }
+    }
+
+    /**
+     * Build the display row for a loan
+     * @private
+     */
+    _describeLoan(credit, loan) {
+        const status = credit.getStatus(loan);
+        const penalties = (loan.penalties || []).reduce((total, penalty) => total + penalty.amount, 0);
+        return {
+            id: loan.id,
+            kind: 'loan',
+            lender: loan.lender,
+            borrowerName: loan.borrowerName,
+            principal: this._formatCurrency(loan.principal),
+            interest: this._formatCurrency(loan.interest),
+            penalties: penalties > 0 ? this._formatCurrency(penalties) : null,
+            owed: this._formatCurrency(credit.getAmountOwed(loan)),
+            owedValue: credit.getAmountOwed(loan),
+            collateral: `${loan.collateral.description} (${this._formatCurrency(loan.collateral.value)})`,
+            due: this._formatTime(loan.dueAt),
+            status,
+            overdue: status === 'overdue'
+        };
+    }
+
+    /**
+     * Build the display row for a letter of credit
+     * @private
+     */
+    _describeLetter(letter) {
+        return {
+            id: letter.id,
+            kind: 'letter',
+            issuer: letter.issuer,
+            holderName: letter.holderName,
+            amount: this._formatCurrency(letter.amount),
+            balance: this._formatCurrency(letter.balance),
+            balanceValue: letter.balance,
+            issued: this._formatTime(letter.issuedAt),
+            draws: (letter.draws || []).map(draw => `${this._formatCurrency(draw.amount)} at ${draw.settlement}`),
+            status: letter.status
+        };
+    }
+
+    _formatCurrency(value) {
+        return formatCanonicalValue(value, resolveCurrencyContext(this.dataManager), { defaultText: `${value} BP` });
+    }
+
+    _formatTime(worldTime) {
+        return window.TradingPlacesClock ? window.TradingPlacesClock.format(worldTime) : worldTime;
+    }
+
+    _getActor() {
+        const controlledTokens = canvas.tokens?.controlled || [];
+        return controlledTokens[0]?.actor || game.user?.character || null;
+    }
+
+    _requireActor() {
+        const actor = this._getActor();
+        if (!actor || !this.systemAdapter) {
+            throw new Error('Select a token or assign a character to move the coin');
+        }
+        return actor;
+    }
+
+    /**
+     * Move coin into or out of the actor's purse
+     * The unsaved credit change is dropped when the purse cannot be updated
+     * @private
+     */
+    async _moveCoin(actor, amount, reason) {
+        const gold = this.systemAdapter.toPrimaryDenomination(Math.abs(amount));
+        const result = amount >= 0
+            ? await this.systemAdapter.addCurrency(actor, gold, reason)
+            : await this.systemAdapter.deductCurrency(actor, gold, reason);
+        if (!result?.success) {
+            this.dataManager.merchantCredit = null;
+            throw new Error(result?.error || `Could not update ${actor.name}'s purse`);
+        }
+    }
+
+    async _onTakeLoan(htmlElement) {
+        try {
+            const actor = this._requireActor();
+            const value = selector => htmlElement.querySelector(selector)?.value?.trim() ?? '';
+            const loan = this.dataManager.getMerchantCredit().takeLoan(this.settlement, value('#loan-amount'), {
+                collateral: { description: value('#loan-collateral'), value: value('#loan-collateral-value') },
+                borrowerId: actor.id,
+                borrowerName: actor.name
+            });
+
+            await this._moveCoin(actor, loan.principal, `Loan from ${loan.lender}`);
+            await this.dataManager.saveMerchantCredit();
+            ui.notifications.info(`${actor.name} borrowed ${this._formatCurrency(loan.principal)} from ${loan.lender}, due ${this._formatTime(loan.dueAt)}`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to take loan:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    async _onRepayLoan(loanId, htmlElement) {
+        try {
+            const actor = this._requireActor();
+            const input = htmlElement.querySelector(`.repay-amount[data-loan-id="${loanId}"]`);
+            const result = this.dataManager.getMerchantCredit().repay(loanId, input?.value);
+
+            await this._moveCoin(actor, -result.paid, `Repayment to ${result.loan.lender}`);
+            await this.dataManager.saveMerchantCredit();
+            ui.notifications.info(result.owed === 0
+                ? `The loan from ${result.loan.lender} is repaid`
+                : `Repaid ${this._formatCurrency(result.paid)} to ${result.loan.lender}; ${this._formatCurrency(result.owed)} still owed`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to repay loan:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    async _onApplyPenalty(loanId) {
+        try {
+            const penalty = this.dataManager.getMerchantCredit().applyPenalty(loanId);
+            await this.dataManager.saveMerchantCredit();
+            ui.notifications.info(`Penalty of ${this._formatCurrency(penalty.amount)} added to the loan`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to apply penalty:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    async _onForfeitCollateral(loanId) {
+        try {
+            const loan = this.dataManager.getMerchantCredit().getLoan(loanId);
+            const confirmed = await foundry.applications.api.DialogV2.confirm({
+                window: { title: 'Seize Collateral' },
+                content: `<p>${loan?.lender} seizes ${loan?.collateral?.description} and writes off the loan. Remove the collateral from the party by hand.</p>`,
+                rejectClose: false,
+                modal: true
+            });
+            if (!confirmed) {
+                return;
+            }
+
+            this.dataManager.getMerchantCredit().forfeitCollateral(loanId);
+            await this.dataManager.saveMerchantCredit();
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to seize collateral:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    async _onIssueLetter(htmlElement) {
+        try {
+            const actor = this._requireActor();
+            const amount = htmlElement.querySelector('#letter-amount')?.value?.trim() ?? '';
+            const letter = this.dataManager.getMerchantCredit().issueLetter(this.settlement, amount, {
+                holderId: actor.id,
+                holderName: actor.name
+            });
+
+            await this._moveCoin(actor, -(letter.amount + letter.fee), `Letter of credit from ${letter.issuer}`);
+            await this.dataManager.saveMerchantCredit();
+            ui.notifications.info(`${actor.name} bought a letter of credit for ${this._formatCurrency(letter.amount)} (fee ${this._formatCurrency(letter.fee)})`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to issue letter of credit:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    async _onDrawLetter(letterId, htmlElement) {
+        try {
+            const actor = this._requireActor();
+            const input = htmlElement.querySelector(`.draw-amount[data-letter-id="${letterId}"]`);
+            const { letter, drawn } = this.dataManager.getMerchantCredit().drawLetter(letterId, this.settlement, input?.value?.trim());
+
+            await this._moveCoin(actor, drawn, `Drawn on a letter of credit from ${letter.issuer}`);
+            await this.dataManager.saveMerchantCredit();
+            ui.notifications.info(`${actor.name} drew ${this._formatCurrency(drawn)}; ${this._formatCurrency(letter.balance)} left on the letter`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to draw on letter of credit:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    async _onPruneClosed() {
+        try {
+            const removed = this.dataManager.getMerchantCredit().pruneClosed();
+            await this.dataManager.saveMerchantCredit();
+            ui.notifications.info(`Removed ${removed} closed loan(s) and letter(s)`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to remove closed loans:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    static async show(dataManager, options = {}) {
+        const ledger = new CreditLedger(dataManager, options);
+        await ledger.render(true);
+        return ledger;
+    }
+}
+
+// Export class globally
+window.TradingPlacesCreditLedger = CreditLedger;
+console.log('Trading Places | Credit ledger registered globally');
+
+} // End of ApplicationV2 availability check
@@ -13,6 +13,7 @@ class DataManagementV2 extends foundry.applications.api.HandlebarsApplicationMix
             settlements: '',
             cargo: ''
         };
+        this.rosterSettlement = null; // Settlement whose merchants the Merchants tab shows
     }
 
     static get DEFAULT_OPTIONS() {
@@ -65,6 +66,13 @@ class DataManagementV2 extends foundry.applications.api.HandlebarsApplicationMix
         // Sort cargo types
         const sortedCargo = [...cargoTypes].sort((a, b) => a.name.localeCompare(b.name));
 
+        // The Merchants tab starts on the first settlement with a roster
+        const settlementNames = settlements.map(settlement => settlement.name);
+        if (!settlementNames.includes(this.rosterSettlement)) {
+            const withRoster = this.dataManager.getMerchantRoster().getSettlementNames();
+            this.rosterSettlement = withRoster.find(name => settlementNames.includes(name)) || settlementNames[0] || null;
+        }
+
         return {
             settlementsByRegion,
             sortedRegions,
@@ -72,7 +80,9 @@ class DataManagementV2 extends foundry.applications.api.HandlebarsApplicationMix
             searchFilters: this.searchFilters,
             currentDataset: this.currentDataset,
             tradingConfig,
-            config
+            config,
+            settlementNames,
+            rosterSettlement: this.rosterSettlement
         };
     }
 
@@ -124,6 +134,9 @@ class DataManagementV2 extends foundry.applications.api.HandlebarsApplicationMix
                         <button class="trading-places-dm-tab" data-tab="cargo">
                             Cargo Types (${context.cargoTypes.length})
                         </button>
+                        <button class="trading-places-dm-tab" data-tab="merchants">
+                            Merchants
+                        </button>
                         <button class="trading-places-dm-tab" data-tab="trading-config">
                             Trading Config
                         </button>
@@ -160,6 +173,21 @@ class DataManagementV2 extends foundry.applications.api.HandlebarsApplicationMix
                             </div>
                         </div>
                         
+                        <!-- Merchants Tab -->
+                        <div class="trading-places-dm-tab-panel" data-panel="merchants">
+                            <div class="trading-places-dm-search">
+                                <select id="roster-settlement" class="trading-places-dm-roster-select">
+                                    ${context.settlementNames.map(name => `
+                                        <option value="${name}" ${name === context.rosterSettlement ? 'selected' : ''}>${name}</option>
+                                    `).join('')}
+                                </select>
+                                <button class="trading-places-dm-add-btn" data-action="add-merchant">Add Merchant</button>
+                            </div>
+                            <div class="trading-places-dm-list" id="merchants-list">
+                                ${this._renderMerchantList(context.rosterSettlement)}
+                            </div>
+                        </div>
+                        
                         <!-- Trading Config Tab -->
                         <div class="trading-places-dm-tab-panel" data-panel="trading-config">
                             <pre>${JSON.stringify(context.tradingConfig, null, 2)}</pre>
@@ -310,6 +338,39 @@ class DataManagementV2 extends foundry.applications.api.HandlebarsApplicationMix
         `).join('');
     }
 
+    _renderMerchantList(settlementName) {
+        if (!settlementName) {
+            return '<p class="trading-places-dm-empty">Add a settlement to give it merchants.</p>';
+        }
+
+        const merchants = this.dataManager.getMerchantRoster().getMerchants(settlementName);
+        if (merchants.length === 0) {
+            return `<p class="trading-places-dm-empty">${settlementName} has no regular merchants yet. They join as the market is checked, or add them here.</p>`;
+        }
+
+        return merchants.map(merchant => {
+            const lastDeal = merchant.deals?.[0];
+            const dealText = lastDeal
+                ? `${merchant.deals.length} deal(s), last ${lastDeal.type === 'sale' ? 'bought' : 'sold'} ${lastDeal.quantity} EP of ${lastDeal.cargo}`
+                : 'No deals with the party';
+            return `
+                <div class="trading-places-dm-item ${merchant.pinned ? 'pinned' : ''}">
+                    <div class="trading-places-dm-item-info">
+                        <div class="trading-places-dm-item-name">${merchant.pinned ? '<i class="fas fa-thumbtack"></i> ' : ''}${merchant.name}</div>
+                        <div class="trading-places-dm-item-details">
+                            Skill ${merchant.skill} • ${merchant.specialities.length ? `Deals in ${merchant.specialities.join(', ')}` : 'Deals in anything'} • ${dealText}
+                        </div>
+                    </div>
+                    <div class="trading-places-dm-item-actions">
+                        <button class="trading-places-dm-btn" data-action="pin-merchant" data-name="${merchant.id}">${merchant.pinned ? 'Unpin' : 'Pin'}</button>
+                        <button class="trading-places-dm-btn edit" data-action="edit-merchant" data-name="${merchant.id}">Edit</button>
+                        <button class="trading-places-dm-btn delete" data-action="delete-merchant" data-name="${merchant.id}">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
     _renderDatasetSelector(context) {
         // Get available datasets from the dataManager
         const datasets = this._getAvailableDatasets();
@@ -404,6 +465,12 @@ class DataManagementV2 extends foundry.applications.api.HandlebarsApplicationMix
             this._switchDataset(datasetId);
         });
         
+        // Merchant roster settlement
+        html.find('#roster-settlement').change((e) => {
+            this.rosterSettlement = $(e.currentTarget).val();
+            this._updateMerchantList();
+        });
+        
         // Search functionality
         html.find('.trading-places-dm-search-input').on('input', (e) => {
             const type = $(e.currentTarget).data('type');
@@ -541,6 +608,18 @@ class DataManagementV2 extends foundry.applications.api.HandlebarsApplicationMix
         });
     }
 
+    _updateMerchantList() {
+        const list = $(this.element).find('#merchants-list');
+        list.html(this._renderMerchantList(this.rosterSettlement));
+
+        // Reattach action handlers for the new list only
+        list.find('[data-action]').click((e) => {
+            const action = $(e.currentTarget).data('action');
+            const name = $(e.currentTarget).data('name');
+            this._handleAction(action, name);
+        });
+    }
+
     async _updateCargoList() {
         const context = await this._prepareContext();
         const html = this._renderCargoList(context.cargoTypes);
@@ -586,6 +665,18 @@ class DataManagementV2 extends foundry.applications.api.HandlebarsApplicationMix
             case 'import-cargo':
                 this._importCargo();
                 break;
+            case 'add-merchant':
+                this._addMerchant();
+                break;
+            case 'edit-merchant':
+                this._editMerchant(name);
+                break;
+            case 'pin-merchant':
+                this._toggleMerchantPin(name);
+                break;
+            case 'delete-merchant':
+                this._deleteMerchant(name);
+                break;
             case 'add-dataset':
                 this._addDataset();
                 break;
@@ -1386,6 +1477,135 @@ class DataManagementV2 extends foundry.applications.api.HandlebarsApplicationMix
         });
     }
 
+    // Merchant roster methods
+    _merchantFormContent(merchant = {}) {
+        return `
+            <div style="padding: 10px;">
+                <div style="margin-bottom: 10px;">
+                    <label style="display: block; margin-bottom: 5px; font-weight: bold;">Name:</label>
+                    <input type="text" id="merchant-name" value="${merchant.name || ''}" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 3px;">
+                </div>
+                <div style="margin-bottom: 10px;">
+                    <label style="display: block; margin-bottom: 5px; font-weight: bold;">Haggle Skill (5-95):</label>
+                    <input type="number" id="merchant-skill" min="5" max="95" value="${merchant.skill ?? 40}" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 3px;">
+                </div>
+                <div style="margin-bottom: 10px;">
+                    <label style="display: block; margin-bottom: 5px; font-weight: bold;">Specialities (cargo names or categories, comma-separated):</label>
+                    <input type="text" id="merchant-specialities" value="${(merchant.specialities || []).join(', ')}" placeholder="Wine, Textiles" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 3px;">
+                </div>
+                <div style="margin-bottom: 10px;">
+                    <label style="display: block; margin-bottom: 5px; font-weight: bold;">Notes:</label>
+                    <textarea id="merchant-notes" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 3px; height: 60px;">${merchant.notes || ''}</textarea>
+                </div>
+                <div style="margin-bottom: 10px;">
+                    <label><input type="checkbox" id="merchant-pinned" ${merchant.pinned ? 'checked' : ''}> Pinned (at the market every time it is checked)</label>
+                </div>
+            </div>
+        `;
+    }
+
+    _readMerchantForm(element) {
+        return {
+            name: element.querySelector('#merchant-name').value,
+            skill: element.querySelector('#merchant-skill').value,
+            specialities: element.querySelector('#merchant-specialities').value,
+            notes: element.querySelector('#merchant-notes').value,
+            pinned: element.querySelector('#merchant-pinned').checked
+        };
+    }
+
+    async _saveMerchantRoster(message) {
+        await this.dataManager.saveMerchantRoster();
+        ui.notifications.info(message);
+        this._updateMerchantList();
+    }
+
+    _addMerchant() {
+        const settlementName = this.rosterSettlement;
+        if (!settlementName) {
+            ui.notifications.warn('Select a settlement first');
+            return;
+        }
+
+        new foundry.applications.api.DialogV2({
+            window: { title: `Add Merchant in ${settlementName}` },
+            content: this._merchantFormContent(),
+            buttons: [{
+                action: "save",
+                label: "Save",
+                callback: async (event, button, dialog) => {
+                    try {
+                        const merchant = this.dataManager.getMerchantRoster().addMerchant(settlementName, this._readMerchantForm(dialog.element));
+                        await this._saveMerchantRoster(`${merchant.name} added to the merchants of ${settlementName}`);
+                    } catch (error) {
+                        this.dataManager.merchantRoster = null;
+                        ui.notifications.error(`Failed to add merchant: ${error.message}`);
+                    }
+                }
+            }, {
+                action: "cancel",
+                label: "Cancel"
+            }]
+        }).render(true);
+    }
+
+    _editMerchant(id) {
+        const settlementName = this.rosterSettlement;
+        const merchant = this.dataManager.getMerchantRoster().getMerchant(settlementName, id);
+        if (!merchant) {
+            ui.notifications.error('Merchant not found');
+            return;
+        }
+
+        new foundry.applications.api.DialogV2({
+            window: { title: `Edit Merchant: ${merchant.name}` },
+            content: this._merchantFormContent(merchant),
+            buttons: [{
+                action: "save",
+                label: "Save",
+                callback: async (event, button, dialog) => {
+                    try {
+                        const updated = this.dataManager.getMerchantRoster().updateMerchant(settlementName, id, this._readMerchantForm(dialog.element));
+                        await this._saveMerchantRoster(`${updated.name} updated`);
+                    } catch (error) {
+                        this.dataManager.merchantRoster = null;
+                        ui.notifications.error(`Failed to update merchant: ${error.message}`);
+                    }
+                }
+            }, {
+                action: "cancel",
+                label: "Cancel"
+            }]
+        }).render(true);
+    }
+
+    async _toggleMerchantPin(id) {
+        try {
+            const roster = this.dataManager.getMerchantRoster();
+            const merchant = roster.setPinned(this.rosterSettlement, id, !roster.getMerchant(this.rosterSettlement, id)?.pinned);
+            await this._saveMerchantRoster(`${merchant.name} ${merchant.pinned ? 'pinned' : 'unpinned'}`);
+        } catch (error) {
+            ui.notifications.error(`Failed to pin merchant: ${error.message}`);
+        }
+    }
+
+    _deleteMerchant(id) {
+        const settlementName = this.rosterSettlement;
+        const merchant = this.dataManager.getMerchantRoster().getMerchant(settlementName, id);
+        foundry.applications.api.DialogV2.confirm({
+            window: { title: "Delete Merchant" },
+            content: `<p>Remove ${merchant?.name || 'this merchant'} and their dealings with the party from ${settlementName}?</p>`,
+            yes: async () => {
+                try {
+                    this.dataManager.getMerchantRoster().removeMerchant(settlementName, id);
+                    await this._saveMerchantRoster(`${merchant?.name || 'Merchant'} removed`);
+                } catch (error) {
+                    ui.notifications.error(`Failed to delete merchant: ${error.message}`);
+                }
+            }
+        });
+    }
+
     // Import/Export methods
     _exportSettlements() {
         try {
@@ -7,6 +7,23 @@ console.log('🔧 Loading data-manager.js...');
 
 // Import DatasetPersistence class
 import { DatasetPersistence } from './dataset-persistence.js';
+import { RouteNetwork } from './route-network.js';
+import { MarketLedger } from './market-ledger.js';
+import { EconomicEvents } from './economic-events.js';
+import { RumorBoard, PlayerRumorJournal } from './rumor-board.js';
+import { DeliveryContracts } from './delivery-contracts.js';
+import { PriceHistory } from './price-history.js';
+import { TariffSchedule } from './tariff-schedule.js';
+import { ContrabandInspection } from './contraband-inspection.js';
+import { CargoSpoilage } from './cargo-spoilage.js';
+import { VesselFleet } from './vessel-fleet.js';
+import { WarehouseStorage } from './warehouse-storage.js';
+import { MerchantCredit } from './merchant-credit.js';
+import { ReputationTracker } from './reputation-tracker.js';
+import { MerchantRoster } from './merchant-roster.js';
+import { ProfitReport } from './profit-report.js';
+import { TradeApprovalQueue } from './trade-approval.js';
+import { CargoItems } from './cargo-items.js';
 
 const MODULE_ID = "fvtt-trading-places";
 
@@ -67,6 +84,20 @@ class DataManager {
         this.currentDataset = null; // The active dataset object
         this.cargo = []; // Cargo inventory for active dataset
         this.history = []; // Transaction history for active dataset
+        this.routes = []; // Optional river/road route edges for active dataset
+        this.routeNetwork = null; // Built lazily from routes
+        this.marketLedger = null; // Built lazily from the marketState setting
+        this.economicEvents = null; // Built lazily from the economicEvents setting
+        this.rumorBoard = null; // Built lazily from the rumorBoard setting
+        this.deliveryContracts = null; // Built lazily from the deliveryContracts setting
+        this.priceHistory = null; // Built lazily from the priceHistory setting
+        this.vesselFleet = null; // Built lazily from the vessels setting
+        this.warehouseStorage = null; // Built lazily from the warehouses setting
+        this.merchantCredit = null; // Built lazily from the merchantCredit setting
+        this.reputation = null; // Built lazily from the reputation setting
+        this.merchantRoster = null; // Built lazily from the merchantRoster setting
+        this.tradeRequests = null; // Built lazily from the tradeRequests setting
+        this.rumorTemplates = null; // Loaded from datasets/rumors.json, shared by every dataset
     }
 
     /**
@@ -124,6 +155,8 @@ class DataManager {
         // Load the active dataset
         await this.loadActiveDataset();
 
+        await this.loadRumorTemplates();
+
         console.log('✅ DataManager initialized');
     }
 
@@ -178,6 +211,19 @@ class DataManager {
         this.sourceFlags = this.currentDataset?.sourceFlags || {};
         this.cargo = this.currentDataset?.cargo || [];
         this.history = this.currentDataset?.history || [];
+        this.routes = this.currentDataset?.routes || [];
+        this.routeNetwork = null;
+        this.marketLedger = null;
+        this.economicEvents = null;
+        this.rumorBoard = null;
+        this.deliveryContracts = null;
+        this.priceHistory = null;
+        this.vesselFleet = null;
+        this.warehouseStorage = null;
+        this.merchantCredit = null;
+        this.reputation = null;
+        this.merchantRoster = null;
+        this.tradeRequests = null;
 
         console.log(`📦 Loaded dataset: ${this.activeDatasetName}`, {
             settlements: this.settlements.length,
@@ -230,6 +276,7 @@ class DataManager {
         this.currentDataset.sourceFlags = this.sourceFlags;
         this.currentDataset.cargo = this.cargo;
         this.currentDataset.history = this.history;
+        this.currentDataset.routes = this.routes;
 
         console.log('🚛 CARGO_PERSIST: Updated currentDataset object', {
             cargoCount: this.currentDataset.cargo?.length || 0,
@@ -1345,6 +1392,7 @@ class DataManager {
                 config: this.config,
                 tradingConfig: this.tradingConfig,
                 sourceFlags: this.sourceFlags,
+                routes: this.routes,
                 lastModified: new Date().toISOString()
             };
 
@@ -1436,6 +1484,19 @@ class DataManager {
             this.config = datasetData.config || {};
             this.tradingConfig = datasetData.tradingConfig || {};
             this.sourceFlags = datasetData.sourceFlags || {};
+            this.routes = datasetData.routes || [];
+            this.routeNetwork = null;
+            this.marketLedger = null;
+            this.economicEvents = null;
+            this.rumorBoard = null;
+            this.deliveryContracts = null;
+            this.priceHistory = null;
+            this.vesselFleet = null;
+            this.warehouseStorage = null;
+            this.merchantCredit = null;
+            this.reputation = null;
+            this.merchantRoster = null;
+            this.tradeRequests = null;
             this.normalizedCurrencyConfig = null;
             this.currencyContextCache = null;
 
@@ -2882,6 +2943,1013 @@ class DataManager {
         }
     }
 
+    /**
+     * Get the route network for the active dataset
+     * @returns {RouteNetwork} - Route network built from the dataset routes
+     */
+    getRouteNetwork() {
+        if (!this.routeNetwork) {
+            this.routeNetwork = new RouteNetwork(this.routes, this.tradingConfig?.routes);
+        }
+        return this.routeNetwork;
+    }
+
+    /**
+     * Get the tariff schedule for the active dataset
+     * @returns {TariffSchedule} - Market taxes, tolls and duties from the `tariffs` section of the trading config
+     */
+    getTariffSchedule() {
+        return new TariffSchedule(this.tradingConfig?.tariffs);
+    }
+
+    /**
+     * Get the contraband inspection rules for the active dataset
+     * @returns {ContrabandInspection} - Search chances and penalties from the `inspections` section of the trading config
+     */
+    getContrabandInspection() {
+        return new ContrabandInspection(this.tradingConfig?.inspections);
+    }
+
+    /**
+     * Get the spoilage rules for the active dataset
+     * @returns {CargoSpoilage} - Perishability from the cargo types and the `spoilage` section of the trading config
+     */
+    getCargoSpoilage() {
+        return new CargoSpoilage(this.tradingConfig?.spoilage, this.cargoTypes);
+    }
+
+    /**
+     * Age the perishable cargo in the hold and persist whatever was lost, on the cargo items too
+     * @param {number} now - World time in seconds
+     * @returns {Promise<Object>} - Result of CargoSpoilage.applyDecay()
+     */
+    async applyCargoSpoilage(now) {
+        const result = this.getCargoSpoilage().applyDecay(this.cargo || [], now);
+        if (!result.changed) {
+            return result;
+        }
+
+        this.cargo = result.cargo;
+        await this._saveHold();
+
+        // The items carry the cargo, so they lose what the hold lost
+        for (const lot of [...result.changes.map(change => change.cargo), ...result.spoiled.map(lot => ({ ...lot, quantity: 0 }))]) {
+            await this._updateCargoItems(lot);
+        }
+
+        return result;
+    }
+
+    /**
+     * Bring the hold in line with the cargo items the actors carry
+     * @param {Iterable} actors - Actors to read (defaults to every actor in the world)
+     * @param {Object} options - { save } to persist a changed hold (only the GM can)
+     * @returns {Promise<Object>} - Result of CargoItems.reconcile()
+     */
+    async syncCargoFromItems(actors = null, options = {}) {
+        const source = actors || (typeof game !== 'undefined' ? game.actors?.contents || [] : []);
+        const result = CargoItems.reconcile(this.cargo || [], CargoItems.collect(source));
+        if (!result.changed) {
+            return result;
+        }
+
+        this.cargo = result.cargo;
+        if (options.save) {
+            await this._saveHold();
+        }
+        return result;
+    }
+
+    /**
+     * Save the hold to the dataset and the currentCargo setting
+     * @private
+     */
+    async _saveHold() {
+        await this.saveCurrentDataset();
+
+        if (typeof game !== 'undefined' && game.settings) {
+            const allCargoData = game.settings.get(MODULE_ID, 'currentCargo') || {};
+            allCargoData[this.activeDatasetName] = this.cargo;
+            await game.settings.set(MODULE_ID, 'currentCargo', allCargoData);
+        }
+    }
+
+    /**
+     * Set a lot's items to its quantity and real quality, deleting those left empty
+     * @param {Object} lot - Hold lot with `items`
+     * @private
+     */
+    async _updateCargoItems(lot) {
+        for (const update of CargoItems.planItemUpdates(lot)) {
+            const actor = typeof game !== 'undefined' ? game.actors?.get(update.actorId) : null;
+            const item = actor?.items?.get(update.itemId);
+            if (!item) {
+                continue;
+            }
+
+            try {
+                if (update.quantity <= 0) {
+                    await actor.deleteEmbeddedDocuments('Item', [item.id]);
+                } else {
+                    await item.update({
+                        'system.quantity.value': update.quantity,
+                        [`flags.${CargoItems.FLAG_SCOPE}.${CargoItems.FLAG_KEY}.quality`]: update.quality
+                    });
+                }
+            } catch (error) {
+                console.error(`Trading Places | Failed to update the ${lot.cargo} item on ${actor.name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Get the direct river and road connections of a settlement
+     * @param {string} settlementName - Settlement name
+     * @returns {Array} - Array of legs leaving the settlement
+     */
+    getRoutesFrom(settlementName) {
+        return this.getRouteNetwork().getConnections(settlementName);
+    }
+
+    /**
+     * Find the shortest and cheapest paths between two settlements
+     * @param {string} fromName - Starting settlement name
+     * @param {string} toName - Destination settlement name
+     * @returns {Object} - { from, to, shortest, cheapest } (paths are null when unreachable)
+     */
+    findRoutes(fromName, toName) {
+        const from = this.getSettlement(fromName);
+        if (!from) {
+            throw new Error(`Unknown settlement: ${fromName}`);
+        }
+
+        const to = this.getSettlement(toName);
+        if (!to) {
+            throw new Error(`Unknown settlement: ${toName}`);
+        }
+
+        const { shortest, cheapest } = this.getRouteNetwork().findRoutes(from.name, to.name);
+
+        this.getLogger().logSystem('Routes', `Route lookup: ${from.name} → ${to.name}`, {
+            reachable: !!shortest,
+            shortestDistance: shortest?.distance,
+            cheapestCost: cheapest?.cost
+        });
+
+        return {
+            from: from.name,
+            to: to.name,
+            shortest,
+            cheapest
+        };
+    }
+
+    /**
+     * Validate the route network against the loaded settlements
+     * @returns {Object} - Validation result with success flag and errors
+     */
+    validateRoutes() {
+        const errors = RouteNetwork.validateRoutes(this.routes, this.settlements);
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Get the market ledger for the active dataset
+     * @returns {MarketLedger} - Ledger of settlement stock, loaded from the marketState setting
+     */
+    getMarketLedger() {
+        if (!this.marketLedger) {
+            let state = {};
+            try {
+                if (typeof game !== 'undefined' && game.settings) {
+                    const allMarketState = game.settings.get(MODULE_ID, 'marketState') || {};
+                    state = allMarketState[this.activeDatasetName] || {};
+                }
+            } catch (error) {
+                console.warn('Could not read marketState setting, starting with undisturbed markets');
+            }
+
+            this.marketLedger = new MarketLedger(this, { state, logger: this.logger });
+        }
+        return this.marketLedger;
+    }
+
+    /**
+     * Get the current stock of a cargo at a settlement
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} cargoName - Cargo type name
+     * @param {string} season - Current season
+     * @returns {Object} - { settlement, cargo, stock, baseline, depletion, lastUpdated }
+     */
+    getMarketEntry(settlement, cargoName, season = 'spring') {
+        return this.getMarketLedger().getEntry(settlement, cargoName, season);
+    }
+
+    /**
+     * Record a purchase against the settlement market and persist the ledger
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} cargoName - Cargo type name
+     * @param {number} quantity - Quantity bought in EP
+     * @param {string} season - Current season
+     * @returns {Promise<Object>} - Updated market entry
+     */
+    async recordMarketPurchase(settlement, cargoName, quantity, season = 'spring') {
+        const entry = this.getMarketLedger().recordPurchase(settlement, cargoName, quantity, season);
+        await this.saveMarketState();
+        return entry;
+    }
+
+    /**
+     * Get how far recent sales of a cargo have flooded a settlement market
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} cargoName - Cargo type name
+     * @returns {Object} - { volume, capacity, saturation, priceMultiplier, supplyShift, ... }
+     */
+    getMarketSaturation(settlement, cargoName) {
+        return this.getMarketLedger().getSaleSaturation(settlement, cargoName);
+    }
+
+    /**
+     * Record a sale against the settlement market and persist the ledger
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} cargoName - Cargo type name
+     * @param {number} quantity - Quantity sold in EP
+     * @returns {Promise<Object>} - Updated sale saturation
+     */
+    async recordMarketSale(settlement, cargoName, quantity) {
+        const saturation = this.getMarketLedger().recordSale(settlement, cargoName, quantity);
+        await this.saveMarketState();
+        return saturation;
+    }
+
+    /**
+     * Undo a recorded purchase: return stock to a market that has not yet recovered and persist the ledger
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} cargoName - Cargo type name
+     * @param {number} quantity - Quantity returned in EP
+     * @param {string} season - Current season
+     * @returns {Promise<Object|null>} - Updated market entry, or null if nothing was returned
+     */
+    async returnMarketStock(settlement, cargoName, quantity, season = 'spring') {
+        const entry = this.getMarketLedger().returnStock(settlement, cargoName, quantity, season);
+        if (entry) {
+            await this.saveMarketState();
+        }
+        return entry;
+    }
+
+    /**
+     * Undo a recorded sale: take it out of the sold volume that is still flooding the market
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} cargoName - Cargo type name
+     * @param {number} quantity - Quantity sold in EP
+     * @returns {Promise<Object|null>} - Updated sale saturation, or null if nothing was withdrawn
+     */
+    async withdrawMarketSale(settlement, cargoName, quantity) {
+        const saturation = this.getMarketLedger().withdrawSale(settlement, cargoName, quantity);
+        if (saturation) {
+            await this.saveMarketState();
+        }
+        return saturation;
+    }
+
+    /**
+     * Persist the market ledger for the active dataset
+     * @returns {Promise<void>}
+     */
+    async saveMarketState() {
+        if (!this.marketLedger || typeof game === 'undefined' || !game.settings) {
+            return;
+        }
+
+        const allMarketState = game.settings.get(MODULE_ID, 'marketState') || {};
+        allMarketState[this.activeDatasetName] = this.marketLedger.toJSON();
+        await game.settings.set(MODULE_ID, 'marketState', allMarketState);
+    }
+
+    /**
+     * Get the economic events declared for the active dataset
+     * @returns {EconomicEvents} - Event registry, loaded from the economicEvents setting
+     */
+    getEconomicEvents() {
+        if (!this.economicEvents) {
+            let events = [];
+            try {
+                if (typeof game !== 'undefined' && game.settings) {
+                    const allEvents = game.settings.get(MODULE_ID, 'economicEvents') || {};
+                    events = Array.isArray(allEvents[this.activeDatasetName]) ? allEvents[this.activeDatasetName] : [];
+                }
+            } catch (error) {
+                console.warn('Could not read economicEvents setting, starting with no events');
+            }
+
+            this.economicEvents = new EconomicEvents({ events, logger: this.logger });
+        }
+        return this.economicEvents;
+    }
+
+    /**
+     * Get the economic events in effect at a settlement
+     * @param {Object|string} settlement - Settlement object or name
+     * @returns {Array} - Active events covering the settlement
+     */
+    getActiveEconomicEvents(settlement) {
+        const resolved = typeof settlement === 'string' ? this.getSettlement(settlement) : settlement;
+        if (!resolved) {
+            return [];
+        }
+        return this.getEconomicEvents().getActiveEvents(resolved);
+    }
+
+    /**
+     * Persist the economic events for the active dataset
+     * @returns {Promise<void>}
+     */
+    async saveEconomicEvents() {
+        if (!this.economicEvents || typeof game === 'undefined' || !game.settings) {
+            return;
+        }
+
+        const allEvents = game.settings.get(MODULE_ID, 'economicEvents') || {};
+        allEvents[this.activeDatasetName] = this.economicEvents.toJSON();
+        await game.settings.set(MODULE_ID, 'economicEvents', allEvents);
+    }
+
+    /**
+     * Load the rumor templates from datasets/rumors.json
+     * Falls back to the built-in templates when the file cannot be read
+     * @returns {Promise<Array|null>} - Loaded templates
+     */
+    async loadRumorTemplates() {
+        try {
+            const data = await this.loadFile(`modules/${MODULE_ID}/datasets/rumors.json`);
+            this.rumorTemplates = Array.isArray(data?.rumors) ? data.rumors : null;
+        } catch (error) {
+            console.warn('Could not load rumor templates, using built-in rumors:', error.message);
+            this.rumorTemplates = null;
+        }
+        this.rumorBoard = null;
+        return this.rumorTemplates;
+    }
+
+    /**
+     * Get the rumor board for the active dataset
+     * The board knows which rumors are true, so only the GM's client reads it
+     * @returns {RumorBoard} - Rumors, loaded from the rumorBoard setting
+     */
+    getRumorBoard() {
+        if (!this.rumorBoard) {
+            let state = {};
+            try {
+                if (typeof game !== 'undefined' && game.settings) {
+                    const allBoards = game.settings.get(MODULE_ID, 'rumorBoard') || {};
+                    state = allBoards[this.activeDatasetName] || {};
+                }
+            } catch (error) {
+                console.warn('Could not read rumorBoard setting, starting with no rumors');
+            }
+
+            const config = this.tradingConfig?.rumors || {};
+            this.rumorBoard = new RumorBoard({
+                rumors: state.rumors,
+                templates: this.rumorTemplates,
+                truthChance: config.truthChance,
+                durationDays: config.durationDays,
+                logger: this.logger
+            });
+        }
+        return this.rumorBoard;
+    }
+
+    /**
+     * Persist the rumor board for the active dataset
+     * @returns {Promise<void>}
+     */
+    async saveRumorBoard() {
+        if (!this.rumorBoard || typeof game === 'undefined' || !game.settings) {
+            return;
+        }
+
+        const allBoards = game.settings.get(MODULE_ID, 'rumorBoard') || {};
+        allBoards[this.activeDatasetName] = this.rumorBoard.toJSON();
+        await game.settings.set(MODULE_ID, 'rumorBoard', allBoards);
+    }
+
+    /**
+     * Get the rumors a player has heard in the active dataset
+     * @param {string} userId - Foundry user id
+     * @returns {PlayerRumorJournal} - Journal, loaded from the user's rumorJournal flag
+     */
+    getRumorJournal(userId) {
+        const user = typeof game !== 'undefined' ? game.users?.get(userId) : null;
+        const allJournals = user?.getFlag(MODULE_ID, 'rumorJournal') || {};
+        return new PlayerRumorJournal({ entries: allJournals[this.activeDatasetName] });
+    }
+
+    /**
+     * Persist a player's rumor journal for the active dataset
+     * Players can write their own flags, and the GM can write anyone's
+     * @param {string} userId - Foundry user id
+     * @param {PlayerRumorJournal} journal - Journal to save
+     * @returns {Promise<void>}
+     */
+    async saveRumorJournal(userId, journal) {
+        const user = typeof game !== 'undefined' ? game.users?.get(userId) : null;
+        if (!user) {
+            return;
+        }
+
+        await user.setFlag(MODULE_ID, 'rumorJournal', { [this.activeDatasetName]: journal.toJSON() });
+    }
+
+    /**
+     * Record a board rumor in a player's journal
+     * @param {string} userId - Foundry user id
+     * @param {Object} rumor - Rumor board entry
+     * @param {Object} details - { learnedIn, verified }
+     * @returns {Promise<Object>} - Journal entry
+     */
+    async recordHeardRumor(userId, rumor, details = {}) {
+        const journal = this.getRumorJournal(userId);
+        const entry = journal.record(rumor, details);
+        await this.saveRumorJournal(userId, journal);
+        return entry;
+    }
+
+    /**
+     * Drop rumors removed from the board from every player's journal
+     * @param {Array} rumorIds - Removed rumor ids
+     * @returns {Promise<void>}
+     */
+    async forgetRumors(rumorIds) {
+        if (typeof game === 'undefined' || !game.users || rumorIds.length === 0) {
+            return;
+        }
+
+        for (const user of game.users) {
+            const journal = this.getRumorJournal(user.id);
+            if (journal.forget(rumorIds) > 0) {
+                await this.saveRumorJournal(user.id, journal);
+            }
+        }
+    }
+
+    /**
+     * Get the delivery contracts for the active dataset
+     * @returns {DeliveryContracts} - Contract registry, loaded from the deliveryContracts setting
+     */
+    getDeliveryContracts() {
+        if (!this.deliveryContracts) {
+            let contracts = [];
+            try {
+                if (typeof game !== 'undefined' && game.settings) {
+                    const allContracts = game.settings.get(MODULE_ID, 'deliveryContracts') || {};
+                    contracts = Array.isArray(allContracts[this.activeDatasetName]) ? allContracts[this.activeDatasetName] : [];
+                }
+            } catch (error) {
+                console.warn('Could not read deliveryContracts setting, starting with no contracts');
+            }
+
+            this.deliveryContracts = new DeliveryContracts(this, { contracts, logger: this.logger });
+        }
+        return this.deliveryContracts;
+    }
+
+    /**
+     * Persist the delivery contracts for the active dataset
+     * @returns {Promise<void>}
+     */
+    async saveDeliveryContracts() {
+        if (!this.deliveryContracts || typeof game === 'undefined' || !game.settings) {
+            return;
+        }
+
+        const allContracts = game.settings.get(MODULE_ID, 'deliveryContracts') || {};
+        allContracts[this.activeDatasetName] = this.deliveryContracts.toJSON();
+        await game.settings.set(MODULE_ID, 'deliveryContracts', allContracts);
+    }
+
+    /**
+     * Accept an offered delivery contract for a user and save it
+     * @param {string} contractId - Contract id
+     * @param {string} userId - Foundry user id of whoever accepted it
+     * @returns {Promise<Object>} - The accepted contract
+     */
+    async acceptDeliveryContract(contractId, userId) {
+        const contract = this.getDeliveryContracts().acceptContract(contractId, userId);
+        await this.saveDeliveryContracts();
+        return contract;
+    }
+
+    /**
+     * Close a contract with what has been delivered, paying or charging the actor, and save it
+     * The destination remembers a contract kept or broken
+     * @param {string} contractId - Contract id
+     * @param {Object} actor - Actor paid or charged, or null to leave it to the GM
+     * @param {Object} systemAdapter - SystemAdapter used to move the coin
+     * @returns {Promise<Object>} - DeliveryContracts.settleContract() result, with purseError when the coin could not be moved
+     */
+    async settleDeliveryContract(contractId, actor, systemAdapter) {
+        const result = this.getDeliveryContracts().settleContract(contractId);
+        const reason = `Delivery contract: ${result.contract.cargoName} to ${result.contract.destination}`;
+        let purseError = null;
+
+        if (actor && systemAdapter && result.payout !== 0) {
+            const amount = systemAdapter.toPrimaryDenomination(Math.abs(result.payout));
+            const currencyResult = result.payout > 0
+                ? await systemAdapter.addCurrency(actor, amount, reason)
+                : await systemAdapter.deductCurrency(actor, amount, reason);
+            if (!currencyResult?.success) {
+                purseError = `Could not update ${actor.name}'s purse: ${currencyResult?.error || 'unknown error'}`;
+            }
+        }
+
+        await this.saveDeliveryContracts();
+        try {
+            await this.recordReputation(result.contract.destination,
+                result.contract.status === 'completed' ? 'contractCompleted' : 'contractFailed',
+                { note: `${result.contract.quantity} EP of ${result.contract.cargoName}` });
+        } catch (error) {
+            // The contract itself has been settled, so a reputation failure is only logged
+            console.error('Trading Places | Failed to record contract in reputation:', error);
+        }
+        return { ...result, purseError };
+    }
+
+    /**
+     * Count a sale towards the delivery contracts due where it was made and save them
+     * Each completed contract pays its reward (less any late penalty) to the actor, and its destination remembers it
+     * @param {Object} sale - { settlement, cargo, quality, quantity }
+     * @param {Object} actor - Actor receiving the rewards, or null to leave them to the GM
+     * @param {Object} systemAdapter - SystemAdapter used to pay the rewards
+     * @returns {Promise<Array>} - Deliveries as returned by DeliveryContracts.recordDelivery()
+     */
+    async recordContractDelivery(sale, actor, systemAdapter) {
+        const deliveries = this.getDeliveryContracts().recordDelivery(sale.settlement, sale.cargo, sale.quality, sale.quantity);
+
+        for (const { contract, settlement } of deliveries) {
+            if (!settlement) {
+                continue;
+            }
+            if (actor && systemAdapter && settlement.payout > 0) {
+                await systemAdapter.addCurrency(actor, systemAdapter.toPrimaryDenomination(settlement.payout), `Delivery contract: ${contract.quantity} EP of ${contract.cargoName} to ${contract.destination}`);
+            }
+            await this.recordReputation(contract.destination, 'contractCompleted', {
+                note: `Delivered ${contract.quantity} EP of ${contract.cargoName}`
+            });
+        }
+
+        if (deliveries.length > 0) {
+            await this.saveDeliveryContracts();
+        }
+        return deliveries;
+    }
+
+    /**
+     * Get the party's vessels for the active dataset
+     * @returns {VesselFleet} - Boats and wagons, loaded from the vessels setting
+     */
+    getVesselFleet() {
+        if (!this.vesselFleet) {
+            let state = {};
+            try {
+                if (typeof game !== 'undefined' && game.settings) {
+                    const allFleets = game.settings.get(MODULE_ID, 'vessels') || {};
+                    state = allFleets[this.activeDatasetName] || {};
+                }
+            } catch (error) {
+                console.warn('Could not read vessels setting, starting with no vessels');
+            }
+
+            this.vesselFleet = new VesselFleet(this.tradingConfig?.vessels, {
+                vessels: state.vessels,
+                activeVesselId: state.activeVesselId,
+                logger: this.logger
+            });
+        }
+        return this.vesselFleet;
+    }
+
+    /**
+     * Persist the party's vessels for the active dataset
+     * @returns {Promise<void>}
+     */
+    async saveVesselFleet() {
+        if (!this.vesselFleet || typeof game === 'undefined' || !game.settings) {
+            return;
+        }
+
+        const allFleets = game.settings.get(MODULE_ID, 'vessels') || {};
+        allFleets[this.activeDatasetName] = this.vesselFleet.toJSON();
+        await game.settings.set(MODULE_ID, 'vessels', allFleets);
+    }
+
+    /**
+     * Get the party's warehouses for the active dataset
+     * @returns {WarehouseStorage} - Warehouses and storage fees, loaded from the warehouses setting
+     */
+    getWarehouseStorage() {
+        if (!this.warehouseStorage) {
+            let state = {};
+            try {
+                if (typeof game !== 'undefined' && game.settings) {
+                    const allStorage = game.settings.get(MODULE_ID, 'warehouses') || {};
+                    state = allStorage[this.activeDatasetName] || {};
+                }
+            } catch (error) {
+                console.warn('Could not read warehouses setting, starting with no warehouses');
+            }
+
+            this.warehouseStorage = new WarehouseStorage(this.tradingConfig?.warehouses, {
+                warehouses: state.warehouses,
+                charges: state.charges,
+                logger: this.logger
+            });
+        }
+        return this.warehouseStorage;
+    }
+
+    /**
+     * Persist the party's warehouses for the active dataset
+     * @returns {Promise<void>}
+     */
+    async saveWarehouseStorage() {
+        if (!this.warehouseStorage || typeof game === 'undefined' || !game.settings) {
+            return;
+        }
+
+        const allStorage = game.settings.get(MODULE_ID, 'warehouses') || {};
+        allStorage[this.activeDatasetName] = this.warehouseStorage.toJSON();
+        await game.settings.set(MODULE_ID, 'warehouses', allStorage);
+    }
+
+    /**
+     * Store a lot in the party's warehouse at a settlement, renting one there if needed
+     * @param {string} lotId - Lot to store
+     * @param {string} settlement - Settlement name
+     * @param {Object} options - { payerId } for a newly rented warehouse
+     * @returns {Promise<Object>} - { lot, warehouse, rented }
+     */
+    async storeCargo(lotId, settlement, options = {}) {
+        const storage = this.getWarehouseStorage();
+        const rented = !storage.getWarehouseAt(settlement);
+        const warehouse = storage.rent(settlement, { payerId: options.payerId });
+        const hold = [...(this.cargo || [])];
+        const lot = storage.store(hold, lotId, warehouse);
+
+        this.cargo = hold;
+        await this._saveHold();
+        await this.saveWarehouseStorage();
+        return { lot, warehouse, rented };
+    }
+
+    /**
+     * Take a lot out of storage at the settlement the party is at
+     * @param {string} lotId - Lot to retrieve
+     * @param {string} settlement - Settlement name
+     * @returns {Promise<Object>} - Result of WarehouseStorage.retrieve()
+     */
+    async retrieveCargo(lotId, settlement) {
+        const hold = [...(this.cargo || [])];
+        const result = this.getWarehouseStorage().retrieve(hold, lotId, settlement);
+
+        this.cargo = hold;
+        await this._saveHold();
+        await this.saveWarehouseStorage();
+        return result;
+    }
+
+    /**
+     * Get the party's loans and letters of credit for the active dataset
+     * @returns {MerchantCredit} - Loans and letters, loaded from the merchantCredit setting
+     */
+    getMerchantCredit() {
+        if (!this.merchantCredit) {
+            let state = {};
+            try {
+                if (typeof game !== 'undefined' && game.settings) {
+                    const allCredit = game.settings.get(MODULE_ID, 'merchantCredit') || {};
+                    state = allCredit[this.activeDatasetName] || {};
+                }
+            } catch (error) {
+                console.warn('Could not read merchantCredit setting, starting with no loans');
+            }
+
+            this.merchantCredit = new MerchantCredit(this, {
+                loans: state.loans,
+                letters: state.letters,
+                logger: this.logger
+            });
+        }
+        return this.merchantCredit;
+    }
+
+    /**
+     * Persist the party's loans and letters of credit for the active dataset
+     * @returns {Promise<void>}
+     */
+    async saveMerchantCredit() {
+        if (!this.merchantCredit || typeof game === 'undefined' || !game.settings) {
+            return;
+        }
+
+        const allCredit = game.settings.get(MODULE_ID, 'merchantCredit') || {};
+        allCredit[this.activeDatasetName] = this.merchantCredit.toJSON();
+        await game.settings.set(MODULE_ID, 'merchantCredit', allCredit);
+    }
+
+    /**
+     * Get the party's reputation for the active dataset
+     * @returns {ReputationTracker} - Reputation per settlement and region, loaded from the reputation setting
+     */
+    getReputation() {
+        if (!this.reputation) {
+            let state = {};
+            try {
+                if (typeof game !== 'undefined' && game.settings) {
+                    const allReputation = game.settings.get(MODULE_ID, 'reputation') || {};
+                    state = allReputation[this.activeDatasetName] || {};
+                }
+            } catch (error) {
+                console.warn('Could not read reputation setting, starting with no reputation');
+            }
+
+            this.reputation = new ReputationTracker(this.tradingConfig?.reputation, {
+                settlements: state.settlements,
+                regions: state.regions,
+                events: state.events,
+                logger: this.logger
+            });
+        }
+        return this.reputation;
+    }
+
+    /**
+     * Persist the party's reputation for the active dataset
+     * @returns {Promise<void>}
+     */
+    async saveReputation() {
+        if (!this.reputation || typeof game === 'undefined' || !game.settings) {
+            return;
+        }
+
+        const allReputation = game.settings.get(MODULE_ID, 'reputation') || {};
+        allReputation[this.activeDatasetName] = this.reputation.toJSON();
+        await game.settings.set(MODULE_ID, 'reputation', allReputation);
+    }
+
+    /**
+     * Record a reputation event at a settlement and save it
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} type - Event type from the reputation config, or 'adjustment'
+     * @param {Object} options - { change, note } as for ReputationTracker.record()
+     * @returns {Promise<Object|null>} - The recorded event, or null when it changes nothing
+     */
+    async recordReputation(settlement, type, options = {}) {
+        const resolved = typeof settlement === 'string'
+            ? this.getSettlement(settlement) || { name: settlement }
+            : settlement;
+        const event = this.getReputation().record(resolved, type, options);
+        if (event) {
+            await this.saveReputation();
+        }
+        return event;
+    }
+
+    /**
+     * Record what a completed purchase or sale does for the party's reputation where it was made
+     * @param {Object} transaction - Purchase or sale ({ settlement, cargo, quantity, isSale, discountPercent })
+     * @returns {Promise<Object|null>} - The recorded event, or null for a trade that is neither fair nor heavily haggled
+     */
+    async recordTradeReputation(transaction) {
+        const type = this.getReputation().classifyTrade(transaction);
+        if (!type || !transaction?.settlement) {
+            return null;
+        }
+        return this.recordReputation(transaction.settlement, type, {
+            note: `${transaction.isSale ? 'Sold' : 'Bought'} ${transaction.quantity} EP of ${transaction.cargo}`
+        });
+    }
+
+    /**
+     * Get the recurring merchants of every settlement, for the active dataset
+     * @returns {MerchantRoster} - Merchants by settlement, loaded from the merchantRoster setting
+     */
+    getMerchantRoster() {
+        if (!this.merchantRoster) {
+            let rosters = {};
+            try {
+                if (typeof game !== 'undefined' && game.settings) {
+                    const allRosters = game.settings.get(MODULE_ID, 'merchantRoster') || {};
+                    rosters = allRosters[this.activeDatasetName] || {};
+                }
+            } catch (error) {
+                console.warn('Could not read merchantRoster setting, starting with no merchants');
+            }
+
+            this.merchantRoster = new MerchantRoster(this.tradingConfig?.merchantRoster, {
+                rosters,
+                logger: this.logger
+            });
+        }
+        return this.merchantRoster;
+    }
+
+    /**
+     * Persist the merchant rosters for the active dataset
+     * @returns {Promise<void>}
+     */
+    async saveMerchantRoster() {
+        if (!this.merchantRoster || typeof game === 'undefined' || !game.settings) {
+            return;
+        }
+
+        const allRosters = game.settings.get(MODULE_ID, 'merchantRoster') || {};
+        allRosters[this.activeDatasetName] = this.merchantRoster.toJSON();
+        await game.settings.set(MODULE_ID, 'merchantRoster', allRosters);
+    }
+
+    /**
+     * Note a completed purchase or sale in the record of the roster merchant it was made with
+     * @param {Object} transaction - Purchase or sale ({ settlement, merchantId, isSale, cargo, quantity, totalCost })
+     * @returns {Promise<Object|null>} - The recorded deal, or null when the merchant is not on the roster
+     */
+    async recordMerchantDeal(transaction) {
+        const roster = this.getMerchantRoster();
+        if (!transaction?.merchantId || !roster.getMerchant(transaction.settlement, transaction.merchantId)) {
+            return null;
+        }
+
+        const deal = roster.recordDeal(transaction.settlement, transaction.merchantId, {
+            type: transaction.isSale ? 'sale' : 'purchase',
+            cargo: transaction.cargo,
+            quantity: transaction.quantity,
+            total: transaction.totalCost
+        });
+        await this.saveMerchantRoster();
+        return deal;
+    }
+
+    /**
+     * Get the players' trade requests waiting for the GM, for the active dataset
+     * @returns {TradeApprovalQueue} - Request queue, loaded from the tradeRequests setting
+     */
+    getTradeRequests() {
+        if (!this.tradeRequests) {
+            let state = {};
+            try {
+                if (typeof game !== 'undefined' && game.settings) {
+                    const allRequests = game.settings.get(MODULE_ID, 'tradeRequests') || {};
+                    state = allRequests[this.activeDatasetName] || {};
+                }
+            } catch (error) {
+                console.warn('Could not read tradeRequests setting, starting with an empty queue');
+            }
+
+            this.tradeRequests = new TradeApprovalQueue(this.tradingConfig?.tradeApproval, {
+                requests: state.requests,
+                logger: this.logger
+            });
+        }
+        return this.tradeRequests;
+    }
+
+    /**
+     * Persist the trade request queue for the active dataset (GM only, as it is a world setting)
+     * @returns {Promise<void>}
+     */
+    async saveTradeRequests() {
+        if (!this.tradeRequests || typeof game === 'undefined' || !game.settings) {
+            return;
+        }
+
+        const allRequests = game.settings.get(MODULE_ID, 'tradeRequests') || {};
+        allRequests[this.activeDatasetName] = this.tradeRequests.toJSON();
+        await game.settings.set(MODULE_ID, 'tradeRequests', allRequests);
+    }
+
+    /**
+     * Get the party's hold size
+     * Uses the active vessel, falling back to the cargoCapacity setting when the party has none
+     * @returns {number} - Capacity in EP
+     */
+    getCargoCapacity() {
+        const vesselCapacity = this.getVesselFleet().getCapacity();
+        if (vesselCapacity !== null) {
+            return vesselCapacity;
+        }
+
+        try {
+            if (typeof game !== 'undefined' && game.settings) {
+                return game.settings.get(MODULE_ID, 'cargoCapacity') || 400;
+            }
+        } catch (error) {
+            console.warn('Could not read cargoCapacity setting, using 400 EP');
+        }
+        return 400;
+    }
+
+    /**
+     * Build the profit and loss report from the transaction history and the cargo in the hold
+     * Held cargo is valued at the average recorded sale and offer price, or the seasonal base price
+     * @param {string} season - Season used for the base price estimate (defaults to the current season)
+     * @returns {Object} - Result of ProfitReport.build()
+     */
+    getProfitReport(season = null) {
+        const currentSeason = season || this.currentSeason || 'spring';
+        const estimatePrice = cargo => {
+            const { summary } = this.getPriceHistory().getCargoHistory(cargo.cargo, {
+                quality: cargo.quality,
+                source: ['offer', 'sale']
+            });
+            if (summary) {
+                return summary.average;
+            }
+
+            const cargoType = this.cargoTypes?.find(type => type.name === cargo.cargo);
+            if (!cargoType) {
+                return null;
+            }
+            try {
+                // Base prices are per 10 EP
+                return this.getSeasonalPrice(cargoType, currentSeason, cargo.quality) / 10;
+            } catch (error) {
+                return null;
+            }
+        };
+
+        return new ProfitReport({ estimatePrice, logger: this.logger })
+            .build(this.history || [], this.cargo || [], this.getWarehouseStorage().getCharges());
+    }
+
+    /**
+     * Get the price history for the active dataset
+     * @returns {PriceHistory} - Recorded price points, loaded from the priceHistory setting
+     */
+    getPriceHistory() {
+        if (!this.priceHistory) {
+            let state = {};
+            try {
+                if (typeof game !== 'undefined' && game.settings) {
+                    const allHistory = game.settings.get(MODULE_ID, 'priceHistory') || {};
+                    state = allHistory[this.activeDatasetName] || {};
+                }
+            } catch (error) {
+                console.warn('Could not read priceHistory setting, starting with no price history');
+            }
+
+            const config = this.tradingConfig?.priceHistory || {};
+            this.priceHistory = new PriceHistory({
+                state,
+                maxPointsPerSeries: config.maxPointsPerSeries,
+                retentionDays: config.retentionDays,
+                fairBand: config.fairBand,
+                logger: this.logger
+            });
+        }
+        return this.priceHistory;
+    }
+
+    /**
+     * Record price points and persist the price history
+     * @param {Array} points - { settlement, cargo, quality, price, source } with price in BP per EP
+     * @returns {Promise<number>} - Number of points recorded
+     */
+    async recordPrices(points) {
+        const history = this.getPriceHistory();
+        const recorded = history.recordPrices(points);
+        history.pruneExpired();
+        await this.savePriceHistory();
+        return recorded;
+    }
+
+    /**
+     * Get the recorded prices of one cargo across every settlement
+     * @param {string} cargoName - Cargo type name
+     * @param {Object} filters - { quality, source, since }
+     * @returns {Object} - { cargo, settlements, summary } (see PriceHistory.getCargoHistory)
+     */
+    getCargoPriceHistory(cargoName, filters = {}) {
+        return this.getPriceHistory().getCargoHistory(cargoName, filters);
+    }
+
+    /**
+     * Persist the price history for the active dataset
+     * @returns {Promise<void>}
+     */
+    async savePriceHistory() {
+        if (!this.priceHistory || typeof game === 'undefined' || !game.settings) {
+            return;
+        }
+
+        const allHistory = game.settings.get(MODULE_ID, 'priceHistory') || {};
+        allHistory[this.activeDatasetName] = this.priceHistory.toJSON();
+        await game.settings.set(MODULE_ID, 'priceHistory', allHistory);
+    }
+
     /**
      * Calculate cargo slots for a settlement
      * @param {Object} settlement - Settlement object
@@ -114,6 +114,7 @@ export class DatasetPersistence {
             config: {},
             tradingConfig: {},
             sourceFlags: {},
+            routes: [],
             cargo: [],
             history: []
         };
@@ -179,9 +180,21 @@ export class DatasetPersistence {
             console.warn('Failed to load source-flags.json:', error);
         }
         
+        // Load route network (optional)
+        try {
+            const response = await fetch(`${basePath}/routes.json`);
+            if (response.ok) {
+                const routeData = await response.json();
+                dataset.routes = routeData.routes || [];
+            }
+        } catch (error) {
+            console.warn('Failed to load routes.json:', error);
+        }
+        
         console.log(`💾 Dataset ${datasetInfo.id} loaded:`, {
             settlements: dataset.settlements.length,
             cargoTypes: dataset.cargoTypes.length,
+            routes: dataset.routes.length,
             hasConfig: !!dataset.config.currency,
             hasTradingConfig: !!dataset.tradingConfig.populationThresholds
         });
@@ -301,6 +314,7 @@ export class DatasetPersistence {
             },
             tradingConfig: this.getDefaultTradingConfig(),
             sourceFlags: {},
+            routes: [],
             cargo: [],
             history: []
         };
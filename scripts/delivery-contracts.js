@@ -0,0 +1,566 @@
+/**
+ * Trading Places Module - Delivery Contracts
+ * Settlement delivery contracts generated from settlement demands and equilibrium
+ */
+
+console.log('Trading Places | Loading delivery-contracts.js');
+
+import { EquilibriumCalculator } from './equilibrium-calculator.js';
+import { TradingClock, SECONDS_PER_DAY } from './trading-clock.js';
+import { RecordId } from './record-id.js';
+
+const STANDARD_QUALITIES = ['Poor', 'Common', 'Average', 'High', 'Exceptional'];
+
+// Other quality names in use, mapped onto the standard scale
+const QUALITY_ALIASES = {
+    good: 'High',
+    excellent: 'Exceptional'
+};
+
+// Wine/brandy tiers mapped onto the standard scale (same pairing SellingFlow uses for pricing)
+const TIERED_QUALITY_ALIASES = {
+    swill: 'Poor',
+    passable: 'Common',
+    average: 'Average',
+    good: 'Average',
+    excellent: 'High',
+    top_shelf: 'Exceptional'
+};
+
+/**
+ * Delivery Contracts class for generating, accepting and settling contracts
+ *
+ * Contracts are offered at a settlement and ask the party to bring a cargo to another settlement
+ * that demands it. Demand is read from the destination's `demands` list and its equilibrium
+ * (which already includes flag, season and economic event effects); destination flags raise the
+ * reward and can raise the minimum quality. Offers lapse after `offerDays`. Accepting a contract
+ * starts its deadline; selling matching cargo at the destination counts as delivery. A contract
+ * completes as soon as the full quantity is delivered; the party can settle it early for a short
+ * delivery. Late completion loses part of the reward and undelivered cargo costs a penalty.
+ */
+export class DeliveryContracts {
+    /**
+     * @param {Object} dataManager - DataManager instance (settlements, cargo types, trading config, routes)
+     * @param {Object} options - { contracts, now, random, logger } where now() returns world time in seconds
+     */
+    constructor(dataManager, options = {}) {
+        if (!dataManager) {
+            throw new Error('DeliveryContracts requires a DataManager instance');
+        }
+
+        this.dataManager = dataManager;
+        this.contracts = Array.isArray(options.contracts) ? options.contracts : [];
+        this.now = typeof options.now === 'function' ? options.now : () => TradingClock.now();
+        this.random = typeof options.random === 'function' ? options.random : () => Math.random();
+        this.logger = options.logger || null;
+        this.equilibriumCalculator = null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * Get the `contracts` section of the trading config with defaults applied
+     * @returns {Object} - Contract configuration
+     */
+    getConfig() {
+        const config = this.dataManager.tradingConfig?.contracts || {};
+        return {
+            offersPerSettlement: config.offersPerSettlement ?? 3,
+            offerDays: config.offerDays ?? 7,
+            maxTravelDays: config.maxTravelDays ?? 14,
+            defaultTravelDays: config.defaultTravelDays ?? 7,
+            deadlineSlackDays: config.deadlineSlackDays ?? 5,
+            quantityPerSize: config.quantityPerSize ?? 20,
+            rewardMultiplier: config.rewardMultiplier ?? 0.5,
+            flagRewardMultipliers: config.flagRewardMultipliers || {},
+            minimumQualityByWealth: config.minimumQualityByWealth || {},
+            flagMinimumQuality: config.flagMinimumQuality || {},
+            demandAliases: config.demandAliases || {},
+            latePenaltyPerDay: config.latePenaltyPerDay ?? 0.1,
+            shortfallPenalty: config.shortfallPenalty ?? 0.5
+        };
+    }
+
+    _getEquilibriumCalculator() {
+        if (!this.equilibriumCalculator) {
+            this.equilibriumCalculator = new EquilibriumCalculator(this.dataManager.tradingConfig, this.dataManager.sourceFlags || {});
+        }
+        return this.equilibriumCalculator;
+    }
+
+    _resolveSettlement(settlement) {
+        const resolved = typeof settlement === 'string' ? this.dataManager.getSettlement(settlement) : settlement;
+        if (!resolved || !resolved.name) {
+            throw new Error(`Unknown settlement: ${typeof settlement === 'string' ? settlement : settlement?.name}`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Get every recorded contract
+     * @returns {Array} - Contracts in any status
+     */
+    getContracts() {
+        return this.contracts;
+    }
+
+    /**
+     * Get a contract by id
+     * @param {string} contractId - Contract id
+     * @returns {Object|null} - Contract or null if not found
+     */
+    getContract(contractId) {
+        return this.contracts.find(contract => contract.id === contractId) || null;
+    }
+
+    /**
+     * Get the offers still open at a settlement
+     * @param {Object|string} settlement - Settlement object or name
+     * @returns {Array} - Offered contracts that have not lapsed
+     */
+    getOffers(settlement) {
+        const name = this._resolveSettlement(settlement).name;
+        const now = this.now();
+        return this.contracts.filter(contract =>
+            contract.origin === name && this.getStatus(contract, now) === 'offered'
+        );
+    }
+
+    /**
+     * Get the contracts the party has accepted and not yet settled
+     * @returns {Array} - Accepted contracts
+     */
+    getAcceptedContracts() {
+        return this.contracts.filter(contract => contract.status === 'accepted');
+    }
+
+    /**
+     * Describe the state of a contract
+     * @param {Object} contract - Contract
+     * @param {number} now - World time in seconds (defaults to now)
+     * @returns {string} - 'offered', 'lapsed', 'accepted', 'overdue', 'completed' or 'failed'
+     */
+    getStatus(contract, now = this.now()) {
+        if (contract.status === 'offered') {
+            return now >= contract.offerExpiresAt ? 'lapsed' : 'offered';
+        }
+        if (contract.status === 'accepted' && now > contract.deadline) {
+            return 'overdue';
+        }
+        return contract.status;
+    }
+
+    /**
+     * Get the in-game days left before an accepted contract is due
+     * @param {Object} contract - Contract
+     * @returns {number|null} - Remaining days (never negative), or null when not accepted
+     */
+    getRemainingDays(contract) {
+        return typeof contract.deadline === 'number'
+            ? TradingClock.elapsedDays(this.now(), contract.deadline)
+            : null;
+    }
+
+    /**
+     * Generate new offers at a settlement, replacing its lapsed offers
+     * @param {Object|string} settlement - Settlement offering the contracts
+     * @param {Object} options - { season, count }
+     * @returns {Array} - New offers (fewer than requested when too few destinations demand anything)
+     */
+    generateOffers(settlement, options = {}) {
+        const origin = this._resolveSettlement(settlement);
+        const config = this.getConfig();
+        const season = options.season || 'spring';
+        const count = options.count ?? config.offersPerSettlement;
+
+        this.contracts = this.contracts.filter(contract =>
+            !(contract.origin === origin.name && this.getStatus(contract) === 'lapsed')
+        );
+
+        const candidates = this._findCandidates(origin, season);
+        const offers = [];
+        while (offers.length < count && candidates.length > 0) {
+            const candidate = this._pickWeighted(candidates);
+            candidates.splice(candidates.indexOf(candidate), 1);
+            offers.push(this._createOffer(origin, candidate));
+        }
+
+        this.contracts.push(...offers);
+
+        this.getLogger().logSystem('Delivery Contracts', `Generated ${offers.length} offers at ${origin.name}`, {
+            candidates: candidates.length + offers.length,
+            offers: offers.map(offer => `${offer.quantity} EP ${offer.cargoName} → ${offer.destination}`)
+        });
+
+        return offers;
+    }
+
+    /**
+     * Accept an offered contract, starting its deadline
+     * @param {string} contractId - Contract id
+     * @param {string} acceptedBy - Id of the user accepting for the party
+     * @returns {Object} - Accepted contract
+     */
+    acceptContract(contractId, acceptedBy = null) {
+        const contract = this._requireContract(contractId);
+        const status = this.getStatus(contract);
+        if (status !== 'offered') {
+            throw new Error(`Contract cannot be accepted: it is ${status}`);
+        }
+
+        const now = this.now();
+        contract.status = 'accepted';
+        contract.acceptedAt = now;
+        contract.acceptedBy = acceptedBy;
+        contract.deadline = now + contract.durationDays * SECONDS_PER_DAY;
+        return contract;
+    }
+
+    /**
+     * Count a sale towards the accepted contracts it satisfies
+     * Cargo goes to the earliest-due matching contract first; full contracts settle immediately
+     * @param {Object|string} settlement - Settlement where the cargo was sold
+     * @param {string} cargoName - Cargo sold
+     * @param {string} quality - Quality of the cargo sold
+     * @param {number} quantity - Quantity sold in EP
+     * @returns {Array} - { contract, delivered, completed, settlement } for each contract credited
+     */
+    recordDelivery(settlement, cargoName, quality, quantity) {
+        const destination = this._resolveSettlement(settlement).name;
+        const matching = this.getAcceptedContracts()
+            .filter(contract =>
+                contract.destination === destination &&
+                contract.cargoName === cargoName &&
+                this.meetsQuality(contract, quality)
+            )
+            .sort((a, b) => a.deadline - b.deadline);
+
+        let remaining = quantity;
+        const results = [];
+        for (const contract of matching) {
+            if (remaining <= 0) {
+                break;
+            }
+
+            const delivered = Math.min(remaining, contract.quantity - contract.delivered);
+            contract.delivered += delivered;
+            remaining -= delivered;
+
+            const completed = contract.delivered >= contract.quantity;
+            results.push({
+                contract,
+                delivered,
+                completed,
+                settlement: completed ? this.settleContract(contract.id) : null
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Close an accepted contract with what has been delivered so far
+     * @param {string} contractId - Contract id
+     * @returns {Object} - { contract, payout, reward, latePenalty, shortfallPenalty, daysLate } (payout may be negative)
+     */
+    settleContract(contractId) {
+        const contract = this._requireContract(contractId);
+        if (contract.status !== 'accepted') {
+            throw new Error(`Contract cannot be settled: it is ${contract.status}`);
+        }
+
+        const result = this.calculateSettlement(contract);
+        contract.status = contract.delivered >= contract.quantity ? 'completed' : 'failed';
+        contract.settledAt = this.now();
+        contract.payout = result.payout;
+
+        this.getLogger().logDecision('Delivery Contracts', `Contract ${contract.status}: ${contract.cargoName} → ${contract.destination}`, {
+            delivered: contract.delivered,
+            quantity: contract.quantity,
+            ...result
+        });
+
+        return { contract, ...result };
+    }
+
+    /**
+     * Work out what settling a contract now would pay
+     * The delivered share of the reward is reduced by `latePenaltyPerDay` for each day late;
+     * each undelivered share costs `shortfallPenalty` of its reward
+     * @param {Object} contract - Accepted contract
+     * @returns {Object} - { payout, reward, latePenalty, shortfallPenalty, daysLate }
+     */
+    calculateSettlement(contract) {
+        const config = this.getConfig();
+        const deliveredShare = Math.min(1, contract.delivered / contract.quantity);
+        const daysLate = Math.max(0, Math.ceil((this.now() - contract.deadline) / SECONDS_PER_DAY));
+
+        const earned = contract.reward * deliveredShare;
+        const latePenalty = Math.round(earned * Math.min(1, daysLate * config.latePenaltyPerDay));
+        const shortfallPenalty = Math.round(contract.reward * (1 - deliveredShare) * config.shortfallPenalty);
+
+        return {
+            payout: Math.round(earned) - latePenalty - shortfallPenalty,
+            reward: Math.round(earned),
+            latePenalty,
+            shortfallPenalty,
+            daysLate
+        };
+    }
+
+    /**
+     * Check whether cargo of a quality satisfies a contract
+     * @param {Object} contract - Contract
+     * @param {string|Object} quality - Quality tier name (or { tier })
+     * @returns {boolean} - True if the quality is at least the contract minimum
+     */
+    meetsQuality(contract, quality) {
+        const cargoData = this._getCargoData(contract.cargoName);
+        return this._rankQuality(quality, cargoData) >= this._rankQuality(contract.minimumQuality, null);
+    }
+
+    /**
+     * Remove a contract
+     * @param {string} contractId - Contract id
+     * @returns {boolean} - True if a contract was removed
+     */
+    removeContract(contractId) {
+        const before = this.contracts.length;
+        this.contracts = this.contracts.filter(contract => contract.id !== contractId);
+        return this.contracts.length < before;
+    }
+
+    /**
+     * Remove lapsed offers and settled contracts
+     * @returns {number} - Number of contracts removed
+     */
+    pruneClosed() {
+        const now = this.now();
+        const before = this.contracts.length;
+        this.contracts = this.contracts.filter(contract =>
+            ['offered', 'accepted', 'overdue'].includes(this.getStatus(contract, now))
+        );
+        return before - this.contracts.length;
+    }
+
+    /**
+     * Get the serialisable contract list
+     * @returns {Array} - Contracts
+     */
+    toJSON() {
+        return this.contracts;
+    }
+
+    /**
+     * Find destination/cargo pairs worth a contract from this settlement
+     * Each entry in a destination's `demands` can name a cargo type, a cargo category or a
+     * `demandAliases` key listing the cargo types it stands for (e.g. Grain)
+     * @private
+     */
+    _findCandidates(origin, season) {
+        const config = this.getConfig();
+        const cargoTypes = this.dataManager.cargoTypes || [];
+        const candidates = [];
+
+        (this.dataManager.settlements || []).forEach(destination => {
+            if (destination.name === origin.name || !Array.isArray(destination.demands) || destination.demands.length === 0) {
+                return;
+            }
+
+            const travelDays = this._getTravelDays(origin, destination);
+            if (travelDays === null || travelDays > config.maxTravelDays) {
+                return;
+            }
+
+            destination.demands.forEach(demand => {
+                const options = this._resolveDemand(demand, cargoTypes, config.demandAliases);
+                if (options.length === 0) {
+                    return;
+                }
+
+                const cargoData = options[Math.floor(this.random() * options.length)];
+                const equilibrium = this._getEquilibriumCalculator().calculateEquilibrium(
+                    { ...destination, flags: destination.flags || [], wealth: destination.wealth ?? 3 },
+                    cargoData.name,
+                    { season, cargoData, events: this._getActiveEvents(destination) }
+                );
+                if (equilibrium.state === 'blocked') {
+                    return;
+                }
+
+                candidates.push({
+                    destination,
+                    cargoData,
+                    travelDays,
+                    season,
+                    pressure: equilibrium.demand / Math.max(1, equilibrium.supply)
+                });
+            });
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Resolve a demand entry to the cargo types that satisfy it
+     * @private
+     */
+    _resolveDemand(demand, cargoTypes, demandAliases) {
+        const aliasKey = Object.keys(demandAliases).find(key => key.toLowerCase() === String(demand).toLowerCase());
+        const names = (aliasKey ? demandAliases[aliasKey] : [demand]).map(name => String(name).toLowerCase());
+
+        const byName = cargoTypes.filter(cargo => names.includes(cargo.name.toLowerCase()));
+        return byName.length > 0
+            ? byName
+            : cargoTypes.filter(cargo => names.includes(String(cargo.category).toLowerCase()));
+    }
+
+    /**
+     * Get the travel time between two settlements
+     * Uses the route network, falling back to `defaultTravelDays` within the same region
+     * @private
+     */
+    _getTravelDays(origin, destination) {
+        try {
+            if (typeof this.dataManager.getRouteNetwork === 'function') {
+                const path = this.dataManager.getRouteNetwork().findPath(origin.name, destination.name);
+                if (path) {
+                    return path.travelDays;
+                }
+            }
+        } catch (error) {
+            // Unreachable by the route network; fall back to the region check
+        }
+
+        return origin.region && origin.region === destination.region ? this.getConfig().defaultTravelDays : null;
+    }
+
+    _getActiveEvents(settlement) {
+        if (typeof this.dataManager.getActiveEconomicEvents !== 'function') {
+            return [];
+        }
+
+        try {
+            return this.dataManager.getActiveEconomicEvents(settlement);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    _pickWeighted(candidates) {
+        const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.pressure, 0);
+        let roll = this.random() * totalWeight;
+        for (const candidate of candidates) {
+            roll -= candidate.pressure;
+            if (roll < 0) {
+                return candidate;
+            }
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    /**
+     * Build an offer for a destination/cargo pair
+     * Quantity scales with destination size and demand pressure; the reward is a share of the
+     * cargo's base value on top of the sale price, raised by demand pressure and destination flags
+     * @private
+     */
+    _createOffer(origin, candidate) {
+        const config = this.getConfig();
+        const { destination, cargoData, travelDays, season, pressure } = candidate;
+        const flags = destination.flags || [];
+
+        const sizeRating = Math.max(1, this.dataManager.convertSizeToNumeric(destination.size) || 1);
+        const demandFactor = Math.min(2, Math.max(0.5, pressure));
+        const quantity = Math.max(10, Math.round((config.quantityPerSize * sizeRating * demandFactor) / 10) * 10);
+
+        const flagMultiplier = flags.reduce((product, flag) => product * (config.flagRewardMultipliers[flag] ?? 1), 1);
+        const basePriceInBP = this.dataManager.getSeasonalPrice(cargoData, season);
+        const reward = Math.max(1, Math.round((basePriceInBP / 10) * quantity * config.rewardMultiplier * demandFactor * flagMultiplier));
+
+        const now = this.now();
+        return {
+            id: RecordId.generate('contract'),
+            origin: origin.name,
+            destination: destination.name,
+            cargoName: cargoData.name,
+            category: cargoData.category,
+            quantity,
+            minimumQuality: this._getMinimumQuality(destination),
+            reward,
+            durationDays: Math.ceil(travelDays) + config.deadlineSlackDays,
+            offeredAt: now,
+            offerExpiresAt: now + config.offerDays * SECONDS_PER_DAY,
+            status: 'offered',
+            acceptedAt: null,
+            acceptedBy: null,
+            deadline: null,
+            delivered: 0,
+            settledAt: null,
+            payout: null
+        };
+    }
+
+    /**
+     * Pick the minimum quality a destination asks for: by wealth, raised by its flags
+     * @private
+     */
+    _getMinimumQuality(destination) {
+        const config = this.getConfig();
+        const byWealth = config.minimumQualityByWealth[String(destination.wealth)] || 'Average';
+        return (destination.flags || [])
+            .map(flag => config.flagMinimumQuality[flag])
+            .filter(Boolean)
+            .reduce((highest, quality) =>
+                this._rankQuality(quality, null) > this._rankQuality(highest, null) ? quality : highest, byWealth);
+    }
+
+    /**
+     * Place a quality on the standard Poor-Exceptional scale
+     * @private
+     */
+    _rankQuality(quality, cargoData) {
+        const name = String((typeof quality === 'object' && quality?.tier) || quality || 'Average').trim();
+        const key = name.toLowerCase().replace(/[\s-]+/g, '_');
+
+        let standard = STANDARD_QUALITIES.find(tier => tier.toLowerCase() === key);
+        if (!standard && cargoData?.qualityTiers) {
+            standard = TIERED_QUALITY_ALIASES[key];
+        }
+        if (!standard) {
+            standard = QUALITY_ALIASES[key] || 'Average';
+        }
+        return STANDARD_QUALITIES.indexOf(standard);
+    }
+
+    _getCargoData(cargoName) {
+        return (this.dataManager.cargoTypes || []).find(cargo => cargo.name === cargoName) || null;
+    }
+
+    _requireContract(contractId) {
+        const contract = this.getContract(contractId);
+        if (!contract) {
+            throw new Error(`Unknown delivery contract: ${contractId}`);
+        }
+        return contract;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesDeliveryContracts = DeliveryContracts;
+}
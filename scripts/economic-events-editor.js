@@ -0,0 +1,266 @@
+console.log('Trading Places | Loading economic-events-editor.js');
+
+/**
+ * Trading Places Module - Economic Events Editor
+ * GM window for declaring, reviewing and ending regional economic events
+ */
+
+const MODULE_ID = "fvtt-trading-places";
+
+// Check if ApplicationV2 is available before defining the class
+if (typeof foundry?.applications?.api?.ApplicationV2 === 'undefined' ||
+    typeof foundry?.applications?.api?.HandlebarsApplicationMixin === 'undefined') {
+    console.warn('Trading Places | ApplicationV2 Handlebars mixin not available, economic events editor will not be loaded');
+} else {
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+const HandlebarsApplication = HandlebarsApplicationMixin(ApplicationV2);
+
+const formatPercent = value => `${value > 0 ? '+' : ''}${Math.round(value * 100)}%`;
+
+class EconomicEventsEditor extends HandlebarsApplication {
+
+    static DEFAULT_OPTIONS = {
+        id: "trading-places-economic-events",
+        tag: "div",
+        window: {
+            title: "Economic Events",
+            icon: "fas fa-bolt",
+            resizable: true,
+            minimizable: true,
+            maximizable: false
+        },
+        position: {
+            width: 640,
+            height: 680
+        },
+        classes: ["trading-places", "economic-events-editor", "application-v2"]
+    };
+
+    static PARTS = {
+        content: {
+            template: `modules/${MODULE_ID}/templates/economic-events-editor.hbs`
+        }
+    };
+
+    constructor(dataManager, options = {}) {
+        super(options);
+        this.dataManager = dataManager;
+    }
+
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        const registry = this.dataManager.getEconomicEvents();
+
+        context.events = registry.getEvents().map(event => this._describeEvent(registry, event));
+        context.hasEvents = context.events.length > 0;
+        context.hasExpired = context.events.some(event => event.status === 'expired');
+        context.regions = this.dataManager.getAvailableRegions();
+        context.categories = [...new Set((this.dataManager.cargoTypes || []).map(cargo => cargo.category))].sort();
+        context.presets = this._getPresets();
+        return context;
+    }
+
+    _attachPartListeners(partId, htmlElement, options) {
+        super._attachPartListeners(partId, htmlElement, options);
+
+        const presetSelect = htmlElement.querySelector('#economic-event-preset');
+        if (presetSelect) {
+            presetSelect.addEventListener('change', () => this._applyPreset(htmlElement, presetSelect.value));
+        }
+
+        const addBtn = htmlElement.querySelector('.add-economic-event-btn');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this._onAddEvent(htmlElement));
+        }
+
+        htmlElement.querySelectorAll('.remove-economic-event-btn').forEach(button => {
+            button.addEventListener('click', () => this._onRemoveEvent(button.dataset.eventId));
+        });
+
+        const pruneBtn = htmlElement.querySelector('.prune-economic-events-btn');
+        if (pruneBtn) {
+            pruneBtn.addEventListener('click', () => this._onPruneEvents());
+        }
+    }
+
+    /**
+     * Build the display row for an event
+     * @private
+     */
+    _describeEvent(registry, event) {
+        const status = registry.getStatus(event);
+        const remainingDays = registry.getRemainingDays(event);
+        const scope = [...event.regions, ...event.settlements];
+        const effects = [];
+
+        ['supply', 'demand', 'quality'].forEach(target => {
+            const data = event.increase?.[target] || {};
+            const isQuality = target === 'quality';
+            const format = value => isQuality ? `${value > 0 ? '+' : ''}${value}` : formatPercent(value);
+
+            if (data.overall) {
+                effects.push(`${target} ${format(data.overall)}`);
+            }
+            Object.entries(data['cargo-category'] || {}).forEach(([name, value]) => effects.push(`${name} ${target} ${format(value)}`));
+            Object.entries(data['cargo-types'] || {}).forEach(([name, value]) => effects.push(`${name} ${target} ${format(value)}`));
+        });
+
+        return {
+            id: event.id,
+            name: event.name,
+            description: event.description,
+            status,
+            scope: scope.length > 0 ? scope.join(', ') : 'All settlements',
+            effects: effects.join('; ') || 'No effects',
+            started: window.TradingPlacesClock ? window.TradingPlacesClock.format(event.startTime) : event.startTime,
+            remaining: remainingDays === null ? 'Until removed' : `${Math.ceil(remainingDays)} days left`
+        };
+    }
+
+    _getPresets() {
+        const presets = this.dataManager.tradingConfig?.economicEvents?.presets;
+        return Array.isArray(presets) ? presets : [];
+    }
+
+    /**
+     * Fill the form from a dataset preset
+     * @private
+     */
+    _applyPreset(htmlElement, presetIndex) {
+        const preset = this._getPresets()[Number(presetIndex)];
+        if (!preset) {
+            return;
+        }
+
+        const setValue = (selector, value) => {
+            const input = htmlElement.querySelector(selector);
+            if (input) {
+                input.value = value ?? '';
+            }
+        };
+        const toPercent = value => value ? Math.round(value * 100) : '';
+        const [category, categorySupply] = Object.entries(preset.increase?.supply?.['cargo-category'] || {})[0] || [];
+        const categoryName = category || Object.keys(preset.increase?.demand?.['cargo-category'] || {})[0] || '';
+
+        setValue('#economic-event-name', preset.name);
+        setValue('#economic-event-description', preset.description);
+        setValue('#economic-event-duration', preset.durationDays);
+        setValue('#economic-event-supply', toPercent(preset.increase?.supply?.overall));
+        setValue('#economic-event-demand', toPercent(preset.increase?.demand?.overall));
+        setValue('#economic-event-quality', preset.increase?.quality?.overall || '');
+        setValue('#economic-event-category', categoryName);
+        setValue('#economic-event-category-supply', toPercent(categorySupply));
+        setValue('#economic-event-category-demand', toPercent(preset.increase?.demand?.['cargo-category']?.[categoryName]));
+
+        // Cargo-type shifts are not editable in the form; keep them for the preset that set them
+        this.presetCargoTypes = {
+            name: preset.name,
+            supply: preset.increase?.supply?.['cargo-types'],
+            demand: preset.increase?.demand?.['cargo-types']
+        };
+    }
+
+    /**
+     * Read the form into an event definition
+     * @private
+     */
+    _readForm(htmlElement) {
+        const value = selector => htmlElement.querySelector(selector)?.value?.trim() ?? '';
+        const percent = selector => value(selector) === '' ? 0 : Number(value(selector)) / 100;
+
+        const name = value('#economic-event-name');
+        const category = value('#economic-event-category');
+        const increase = {};
+        const addShift = (target, key, shift) => {
+            if (!shift) {
+                return;
+            }
+            increase[target] = increase[target] || {};
+            if (key === 'overall') {
+                increase[target].overall = shift;
+            } else {
+                increase[target][key] = { ...(increase[target][key] || {}), ...shift };
+            }
+        };
+
+        addShift('supply', 'overall', percent('#economic-event-supply'));
+        addShift('demand', 'overall', percent('#economic-event-demand'));
+        addShift('quality', 'overall', value('#economic-event-quality') === '' ? 0 : Number(value('#economic-event-quality')));
+        if (category) {
+            const categorySupply = percent('#economic-event-category-supply');
+            const categoryDemand = percent('#economic-event-category-demand');
+            addShift('supply', 'cargo-category', categorySupply ? { [category]: categorySupply } : null);
+            addShift('demand', 'cargo-category', categoryDemand ? { [category]: categoryDemand } : null);
+        }
+        if (this.presetCargoTypes?.name === name) {
+            addShift('supply', 'cargo-types', this.presetCargoTypes.supply);
+            addShift('demand', 'cargo-types', this.presetCargoTypes.demand);
+        }
+
+        const regionSelect = htmlElement.querySelector('#economic-event-regions');
+        return {
+            name,
+            description: value('#economic-event-description'),
+            regions: regionSelect ? Array.from(regionSelect.selectedOptions).map(option => option.value) : [],
+            settlements: value('#economic-event-settlements').split(',').map(entry => entry.trim()).filter(Boolean),
+            durationDays: value('#economic-event-duration'),
+            increase
+        };
+    }
+
+    async _onAddEvent(htmlElement) {
+        try {
+            const eventData = this._readForm(htmlElement);
+            const unknown = eventData.settlements.filter(name => !this.dataManager.getSettlement(name));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown settlement: ${unknown.join(', ')}`);
+            }
+
+            const event = this.dataManager.getEconomicEvents().addEvent(eventData);
+            await this.dataManager.saveEconomicEvents();
+            this.presetCargoTypes = null;
+
+            ui.notifications.info(`Economic event declared: ${event.name}`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to add economic event:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    async _onRemoveEvent(eventId) {
+        try {
+            this.dataManager.getEconomicEvents().removeEvent(eventId);
+            await this.dataManager.saveEconomicEvents();
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to remove economic event:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    async _onPruneEvents() {
+        try {
+            const removed = this.dataManager.getEconomicEvents().pruneExpired();
+            await this.dataManager.saveEconomicEvents();
+            ui.notifications.info(`Removed ${removed} expired economic event(s)`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to remove expired economic events:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    static async show(dataManager) {
+        const editor = new EconomicEventsEditor(dataManager);
+        await editor.render(true);
+        return editor;
+    }
+}
+
+// Export class globally
+window.TradingPlacesEconomicEventsEditor = EconomicEventsEditor;
+console.log('Trading Places | Economic events editor registered globally');
+
+} // End of ApplicationV2 availability check
@@ -0,0 +1,268 @@
+/**
+ * Trading Places Module - Economic Events
+ * GM-declared regional events (plague, flooding, war) that shift supply, demand and quality
+ */
+
+console.log('Trading Places | Loading economic-events.js');
+
+import { TradingClock, SECONDS_PER_DAY } from './trading-clock.js';
+import { RecordId } from './record-id.js';
+
+const SHIFT_TARGETS = ['supply', 'demand', 'quality'];
+
+/**
+ * Economic Events class for tracking active regional events
+ *
+ * Event modifiers use the same shape as `source-flags.json`
+ * (`increase.supply.overall`, `increase.demand['cargo-category']`, `increase.quality.overall`, ...)
+ * so they can be applied wherever flag effects are. Negative values reduce the target.
+ * An event applies to its listed regions and settlements, or everywhere when neither is set,
+ * from its start time for `durationDays` of world time (indefinitely when no duration is set).
+ */
+export class EconomicEvents {
+    /**
+     * @param {Object} options - { events, now, logger } where now() returns world time in seconds
+     */
+    constructor(options = {}) {
+        this.events = Array.isArray(options.events) ? options.events : [];
+        this.now = typeof options.now === 'function' ? options.now : () => TradingClock.now();
+        this.logger = options.logger || null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * Get every recorded event
+     * @returns {Array} - Events, including scheduled and expired ones
+     */
+    getEvents() {
+        return this.events;
+    }
+
+    /**
+     * Get an event by id
+     * @param {string} eventId - Event id
+     * @returns {Object|null} - Event or null if not found
+     */
+    getEvent(eventId) {
+        return this.events.find(event => event.id === eventId) || null;
+    }
+
+    /**
+     * Get the events in effect now, optionally limited to one settlement
+     * @param {Object} settlement - Settlement object with name and region (omit for all active events)
+     * @returns {Array} - Active events
+     */
+    getActiveEvents(settlement = null) {
+        const now = this.now();
+        return this.events.filter(event =>
+            this.getStatus(event, now) === 'active' &&
+            (!settlement || this.appliesTo(event, settlement))
+        );
+    }
+
+    /**
+     * Describe whether an event has started or run out
+     * @param {Object} event - Event
+     * @param {number} now - World time in seconds (defaults to now)
+     * @returns {string} - 'scheduled', 'active' or 'expired'
+     */
+    getStatus(event, now = this.now()) {
+        if (now < event.startTime) {
+            return 'scheduled';
+        }
+
+        const endTime = this.getEndTime(event);
+        return endTime !== null && now >= endTime ? 'expired' : 'active';
+    }
+
+    /**
+     * Get the world time an event ends
+     * @param {Object} event - Event
+     * @returns {number|null} - World time in seconds, or null for open-ended events
+     */
+    getEndTime(event) {
+        return typeof event.durationDays === 'number'
+            ? event.startTime + event.durationDays * SECONDS_PER_DAY
+            : null;
+    }
+
+    /**
+     * Get the in-game days left on an event
+     * @param {Object} event - Event
+     * @returns {number|null} - Remaining days (never negative), or null for open-ended events
+     */
+    getRemainingDays(event) {
+        const endTime = this.getEndTime(event);
+        return endTime === null ? null : TradingClock.elapsedDays(this.now(), endTime);
+    }
+
+    /**
+     * Check whether an event covers a settlement
+     * @param {Object} event - Event
+     * @param {Object} settlement - Settlement object with name and region
+     * @returns {boolean} - True if the event applies
+     */
+    appliesTo(event, settlement) {
+        const regions = event.regions || [];
+        const settlements = event.settlements || [];
+        if (regions.length === 0 && settlements.length === 0) {
+            return true;
+        }
+
+        const matches = (list, value) => !!value && list.some(entry => entry.toLowerCase() === String(value).toLowerCase());
+        return matches(regions, settlement?.region) || matches(settlements, settlement?.name);
+    }
+
+    /**
+     * Resolve the shifts an event applies to one cargo
+     * Overall, cargo-category and cargo-types values are added together
+     * @param {Object} event - Event
+     * @param {string} cargoName - Cargo type name
+     * @param {string} category - Cargo category
+     * @returns {Object} - { supply, demand, quality }
+     */
+    static getShifts(event, cargoName, category) {
+        const shifts = {};
+        SHIFT_TARGETS.forEach(target => {
+            const data = event.increase?.[target] || {};
+            shifts[target] = (data.overall ?? 0) +
+                (category ? data['cargo-category']?.[category] ?? 0 : 0) +
+                (cargoName ? data['cargo-types']?.[cargoName] ?? 0 : 0);
+        });
+        return shifts;
+    }
+
+    /**
+     * Declare a new event
+     * @param {Object} eventData - { name, description, regions, settlements, increase, startTime, durationDays }
+     * @returns {Object} - Stored event
+     */
+    addEvent(eventData) {
+        const event = this._normalize({ ...eventData, id: eventData.id || RecordId.generate('event') });
+        this.events.push(event);
+
+        this.getLogger().logSystem('Economic Events', `Event declared: ${event.name}`, {
+            regions: event.regions,
+            settlements: event.settlements,
+            durationDays: event.durationDays
+        });
+
+        return event;
+    }
+
+    /**
+     * Change an existing event
+     * @param {string} eventId - Event id
+     * @param {Object} changes - Fields to replace
+     * @returns {Object} - Updated event
+     */
+    updateEvent(eventId, changes) {
+        const index = this.events.findIndex(event => event.id === eventId);
+        if (index === -1) {
+            throw new Error(`Unknown economic event: ${eventId}`);
+        }
+
+        const event = this._normalize({ ...this.events[index], ...changes, id: eventId });
+        this.events[index] = event;
+        return event;
+    }
+
+    /**
+     * Remove an event
+     * @param {string} eventId - Event id
+     * @returns {boolean} - True if an event was removed
+     */
+    removeEvent(eventId) {
+        const before = this.events.length;
+        this.events = this.events.filter(event => event.id !== eventId);
+        return this.events.length < before;
+    }
+
+    /**
+     * Remove events that have run out
+     * @returns {number} - Number of events removed
+     */
+    pruneExpired() {
+        const now = this.now();
+        const before = this.events.length;
+        this.events = this.events.filter(event => this.getStatus(event, now) !== 'expired');
+        return before - this.events.length;
+    }
+
+    /**
+     * Get the serialisable event list
+     * @returns {Array} - Events
+     */
+    toJSON() {
+        return this.events;
+    }
+
+    /**
+     * Validate an event and fill in defaults
+     * @param {Object} eventData - Raw event
+     * @returns {Object} - Normalized event
+     * @private
+     */
+    _normalize(eventData) {
+        const name = typeof eventData.name === 'string' ? eventData.name.trim() : '';
+        if (!name) {
+            throw new Error('Economic event name is required');
+        }
+
+        const durationDays = eventData.durationDays === null || eventData.durationDays === undefined || eventData.durationDays === ''
+            ? null
+            : Number(eventData.durationDays);
+        if (durationDays !== null && (!Number.isFinite(durationDays) || durationDays <= 0)) {
+            throw new Error('Economic event duration must be a positive number of days');
+        }
+
+        const increase = {};
+        SHIFT_TARGETS.forEach(target => {
+            const data = eventData.increase?.[target];
+            if (!data) {
+                return;
+            }
+
+            const values = [data.overall, ...Object.values(data['cargo-category'] || {}), ...Object.values(data['cargo-types'] || {})];
+            if (values.some(value => value !== undefined && !Number.isFinite(value))) {
+                throw new Error(`Economic event ${target} shifts must be numbers`);
+            }
+            increase[target] = data;
+        });
+
+        const toList = value => (Array.isArray(value) ? value : [])
+            .map(entry => String(entry).trim())
+            .filter(Boolean);
+
+        return {
+            id: eventData.id,
+            name,
+            description: eventData.description || '',
+            regions: toList(eventData.regions),
+            settlements: toList(eventData.settlements),
+            increase,
+            startTime: typeof eventData.startTime === 'number' ? eventData.startTime : this.now(),
+            durationDays
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesEconomicEvents = EconomicEvents;
+}
@@ -5,10 +5,12 @@
 
 console.log('Trading Places | Loading equilibrium-calculator.js');
 
+import { EconomicEvents } from './economic-events.js';
+
 /**
  * Equilibrium Calculator class for supply/demand balance
  */
-class EquilibriumCalculator {
+export class EquilibriumCalculator {
     constructor(tradingConfig, sourceFlags) {
         this.config = tradingConfig?.equilibrium;
         this.sourceFlags = sourceFlags;
@@ -52,7 +54,7 @@ class EquilibriumCalculator {
      * Calculate complete equilibrium for settlement and cargo type
      * @param {Object} settlement - Settlement object
      * @param {string} cargoType - Cargo type name
-     * @param {Object} context - Additional context (season, etc.)
+     * @param {Object} context - Additional context (season, cargoData, active economic events)
      * @returns {Object} - Equilibrium result with metadata
      */
     calculateEquilibrium(settlement, cargoType, context = {}) {
@@ -176,6 +178,42 @@ class EquilibriumCalculator {
             });
         }
 
+        // Apply economic event effects (same shape as source flags; negative values reverse the transfer)
+        if (Array.isArray(context.events)) {
+            const category = context.cargoData?.category;
+            context.events.forEach(event => {
+                const { supply: supplyShift, demand: demandShift } = EconomicEvents.getShifts(event, cargoType, category);
+
+                if (supplyShift) {
+                    const transfer = Math.floor(demand * supplyShift);
+                    supply += transfer;
+                    demand -= transfer;
+
+                    transfers.push({
+                        source: 'event',
+                        event: event.name,
+                        type: 'supply',
+                        amount: transfer,
+                        description: `${event.name} event supply shift`
+                    });
+                }
+
+                if (demandShift) {
+                    const transfer = Math.floor(supply * demandShift);
+                    demand += transfer;
+                    supply -= transfer;
+
+                    transfers.push({
+                        source: 'event',
+                        event: event.name,
+                        type: 'demand',
+                        amount: transfer,
+                        description: `${event.name} event demand shift`
+                    });
+                }
+            });
+        }
+
         // Apply seasonal effects
         const seasonalShifts = this.config.seasonalShifts[season];
         if (seasonalShifts && settlement.flags) {
@@ -375,8 +413,4 @@ if (typeof window !== 'undefined') {
     window.TradingPlacesEquilibriumCalculator = EquilibriumCalculator; // Keep legacy name for compatibility
 }
 
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = EquilibriumCalculator;
-}
-
 console.log('Trading Places | EquilibriumCalculator class loaded');
\ No newline at end of file
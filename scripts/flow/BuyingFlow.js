@@ -31,6 +31,31 @@ export class BuyingFlow {
         }
     }
 
+    /**
+     * Describe how a slot's merchant skill came about, for the roll details in chat
+     * @param {Object} merchant - Slot merchant from the pipeline
+     * @returns {string} - The skill roll, or the regular merchant's standing skill
+     * @private
+     */
+    _describeMerchantRoll(merchant) {
+        if (merchant.calculation) {
+            return `${merchant.calculation.percentileRoll} (+${merchant.calculation.percentileModifier}) → ${merchant.skill}`;
+        }
+        return `regular (${merchant.dealCount} past deals) → ${merchant.skill}`;
+    }
+
+    /**
+     * Check whether the party's reputation lets it trade at the selected settlement
+     * @returns {boolean} - False when a trade market shuns the party
+     * @private
+     */
+    _canTradeHere() {
+        if (typeof this.dataManager.getReputation !== 'function') {
+            return true;
+        }
+        return this.dataManager.getReputation().canAccessMarket(this.app.selectedSettlement);
+    }
+
     async onCheckAvailability(event) {
         event.preventDefault();
         
@@ -61,6 +86,11 @@ export class BuyingFlow {
                 ui.notifications.warn('Please set the current season first');
                 return;
             }
+
+            if (!this._canTradeHere()) {
+                ui.notifications.warn(`The merchants of ${this.app.selectedSettlement.name} will not deal with the party`);
+                return;
+            }
             
             this._logInfo('Cargo Availability', 'Starting availability check', {
                 settlement: this.app.selectedSettlement.name,
@@ -194,15 +224,20 @@ export class BuyingFlow {
                         // Use the skill calculated by the pipeline instead of generating a new random one
                         const merchantData = slot.merchant;
                         const merchantSkill = merchantData.skill;
-                        const merchantName = await this.tradingEngine._generateMerchantName();
+                        // Regular merchants from the settlement's roster keep their own names
+                        const merchantName = merchantData.name || await this.tradingEngine._generateMerchantName();
                         const skillDescription = this.tradingEngine._getSkillDescription(Math.max(5, Math.min(95, merchantSkill)));
 
                         merchant = {
+                            id: merchantData.id || null,
                             name: merchantName,
                             skillDescription: `${merchantSkill}`,
                             hagglingSkill: Math.max(5, Math.min(95, merchantSkill)),
                             baseSkill: merchantSkill,
-                            calculation: merchantData.calculation
+                            calculation: merchantData.calculation,
+                            regular: merchantData.regular === true,
+                            pinned: merchantData.pinned === true,
+                            dealCount: merchantData.dealCount || 0
                         };
                     } catch (error) {
                         console.error('❌ MERCHANT GENERATION FAILED:', error);
@@ -331,6 +366,7 @@ export class BuyingFlow {
                                             <p><strong>Quality:</strong> ${cargo.quality}</p>
                                             <p><strong>Price:</strong> ${cargo.formattedPricePerEP || (cargo.currentPrice + ' BP')} per EP</p>
                                             <p><strong>Merchant:</strong> ${cargo.merchant.name} (${cargo.merchant.skillDescription})</p>
+                                            ${this._describePurchaseTariffs(cargo)}
                                             <p><strong>Market Balance:</strong> ${matchingSlot.balance.state} (${matchingSlot.balance.supply}/${matchingSlot.balance.demand})</p>
                                             ${cargo.slotInfo?.contraband ? '<p><strong>⚠️ Contraband</strong></p>' : ''}
                                             
@@ -339,7 +375,7 @@ export class BuyingFlow {
                                                     <strong>Rolls:</strong><br>
                                                     • Amount: ${matchingSlot.amount.roll} → ${matchingSlot.amount.totalEP} EP<br>
                                                     • Quality: ${matchingSlot.quality.rollDetails.percentileRoll} (+${matchingSlot.quality.rollDetails.percentileModifier}) → ${matchingSlot.quality.tier}<br>
-                                                    • Merchant: ${matchingSlot.merchant.calculation.percentileRoll} (+${matchingSlot.merchant.calculation.percentileModifier}) → ${matchingSlot.merchant.skill}<br>
+                                                    • Merchant: ${this._describeMerchantRoll(matchingSlot.merchant)}<br>
                                                     ${matchingSlot.contraband.roll ? `• Contraband: ${matchingSlot.contraband.roll} ≤ ${matchingSlot.contraband.chance.toFixed(1)}% → ${matchingSlot.contraband.contraband ? 'Yes' : 'No'}` : ''}
                                                 </small>
                                             </div>
@@ -396,6 +432,9 @@ export class BuyingFlow {
                 
                 // Save cargo availability data for persistence
                 await this.app._saveCargoAvailability(availableCargo, successfulCargo, pipelineResult, availabilityResult);
+
+                // Remember the asking prices for the price history charts
+                await this._recordMarketPrices(successfulCargo);
                 
                 // Debug: Log what we're storing
                 console.log('📦 STORING AVAILABLE CARGO:', availableCargo.map(c => ({
@@ -567,7 +606,7 @@ export class BuyingFlow {
                                         <strong>Rolls:</strong><br>
                                         • Amount: ${slot.amount.roll} → ${slot.amount.totalEP} EP<br>
                                         • Quality: ${slot.quality.rollDetails.percentileRoll} (+${slot.quality.rollDetails.percentileModifier}) → ${slot.quality.tier}<br>
-                                        • Merchant: ${slot.merchant.calculation.percentileRoll} (+${slot.merchant.calculation.percentileModifier}) → ${slot.merchant.skill}<br>
+                                        • Merchant: ${this._describeMerchantRoll(slot.merchant)}<br>
                                         ${slot.contraband.roll ? `• Contraband: ${slot.contraband.roll} ≤ ${slot.contraband.chance.toFixed(1)}% → ${slot.contraband.contraband ? 'Yes' : 'No'}` : ''}
                                     </small>
                                 </div>
@@ -623,5 +662,60 @@ export class BuyingFlow {
             console.error('Failed to create roll summary message:', error);
         }
     }
+
+    /**
+     * Describe the taxes a purchase of the cargo would pay at the selected settlement, for the chat card
+     * @param {Object} cargo - Cargo entry generated for the market
+     * @returns {string} - HTML line, or an empty string when the purchase is untaxed
+     * @private
+     */
+    _describePurchaseTariffs(cargo) {
+        if (typeof this.dataManager?.getTariffSchedule !== 'function') {
+            return '';
+        }
+
+        try {
+            const tariffs = this.dataManager.getTariffSchedule().calculateTariffs({
+                settlement: this.app.selectedSettlement,
+                cargoName: cargo.name,
+                category: cargo.category,
+                transactionType: 'purchase'
+            });
+            return tariffs.lines.length > 0
+                ? `<p><strong>Tolls and Taxes:</strong> ${tariffs.lines.map(line => line.description).join(', ')}</p>`
+                : '';
+        } catch (error) {
+            this._logError('Tariffs', 'Failed to describe purchase tariffs', { error: error.message });
+            return '';
+        }
+    }
+
+    /**
+     * Record the merchants' asking prices in the price history
+     * @param {Array} successfulCargo - Cargo entries generated for the market
+     * @private
+     */
+    async _recordMarketPrices(successfulCargo) {
+        if (typeof this.dataManager.recordPrices !== 'function') {
+            return;
+        }
+
+        try {
+            const points = successfulCargo
+                .map(cargo => ({
+                    settlement: this.app.selectedSettlement.name,
+                    cargo: cargo.name,
+                    quality: cargo.quality,
+                    price: cargo.currentPriceCanonical ?? cargo.slotInfo?.pricing?.finalPricePerEP,
+                    source: 'market'
+                }))
+                .filter(point => typeof point.price === 'number');
+
+            await this.dataManager.recordPrices(points);
+        } catch (error) {
+            // Market generation has succeeded, so a history failure is only logged
+            this._logError('Price History', 'Failed to record market prices', { error: error.message });
+        }
+    }
 }
 
@@ -0,0 +1,302 @@
+console.log('Trading Places | Loading InspectionFlow.js');
+
+import { formatCanonicalValue, resolveCurrencyContext } from '../currency-display.js';
+import { ContrabandInspection } from '../contraband-inspection.js';
+
+/**
+ * Runs contraband inspections when the party arrives at a settlement or sells there
+ *
+ * The search roll and the odds are whispered to the GM; what the inspectors find and what
+ * the party does about it is posted to chat like any other trading result.
+ */
+export class InspectionFlow {
+    constructor(app) {
+        this.app = app;
+        this.dataManager = app.dataManager;
+        this.MODULE_ID = "fvtt-trading-places";
+    }
+
+    _formatCurrencyFromCanonical(value, defaultText = 'N/A') {
+        return formatCanonicalValue(value, resolveCurrencyContext(this.dataManager), { defaultText });
+    }
+
+    _logInfo(category, message, data) {
+        if (this.app.debugLogger && this.app.debugLogger.log) {
+            this.app.debugLogger.log('INFO', category, message, data, 'INFO');
+        } else {
+            console.log(`Trading Places | ${category}: ${message}`, data);
+        }
+    }
+
+    _logError(category, message, data) {
+        if (this.app.debugLogger && this.app.debugLogger.log) {
+            this.app.debugLogger.log('ERROR', category, message, data, 'ERROR');
+        } else {
+            console.error(`Trading Places | ${category}: ${message}`, data);
+        }
+    }
+
+    _isEnabled() {
+        try {
+            return game.settings.get(this.MODULE_ID, "contrabandInspections") !== false;
+        } catch (error) {
+            return true;
+        }
+    }
+
+    _getActor() {
+        const controlledTokens = canvas.tokens?.controlled || [];
+        return controlledTokens[0]?.actor || game.user?.character || null;
+    }
+
+    async _roll() {
+        const roll = new Roll("1d100");
+        await roll.evaluate();
+        return roll.total;
+    }
+
+    /**
+     * Post an inspection message to chat
+     * @param {string} content - Message HTML
+     * @param {boolean} gmOnly - Whisper to the GMs regardless of the chat visibility setting
+     * @private
+     */
+    async _postChat(content, gmOnly = false) {
+        let whisper = null;
+        if (gmOnly) {
+            whisper = ChatMessage.getWhisperRecipients("GM").map(user => user.id);
+        } else if (game.settings.get(this.MODULE_ID, "chatVisibility") === "gm") {
+            whisper = [game.user.id];
+        }
+
+        await ChatMessage.create({
+            content,
+            speaker: ChatMessage.getSpeaker(),
+            whisper
+        });
+    }
+
+    /**
+     * Roll for an inspection of the party's cargo at the selected settlement
+     * @param {string} trigger - 'arrival' or 'sale'
+     * @returns {Promise<Object|null>} - { inspection, penalty, choice, resolution, confiscated } or null
+     *                                   when there is nothing to inspect
+     */
+    async runInspection(trigger = 'arrival') {
+        const settlement = this.app.selectedSettlement;
+        if (!settlement || !this._isEnabled() || typeof this.dataManager.getContrabandInspection !== 'function') {
+            return null;
+        }
+
+        const inspector = this.dataManager.getContrabandInspection();
+        const cargoList = this.app.currentCargo || this.dataManager.cargo || [];
+        if (inspector.getContrabandAboard(cargoList).cargo.length === 0) {
+            return null;
+        }
+
+        const inspection = inspector.inspect(settlement, cargoList, { trigger, roll: await this._roll() });
+        await this._postChat(this._renderCheck(inspection), true);
+
+        if (!inspection.found) {
+            this._logInfo('Contraband Inspection', 'No inspection', { settlement: settlement.name, trigger, roll: inspection.roll, chance: inspection.chance });
+            return { inspection, penalty: null, choice: null, resolution: null, confiscated: [] };
+        }
+
+        const penalty = inspector.assessPenalty(settlement, inspection.contraband);
+        await this._postChat(this._renderFound(settlement, inspection, penalty));
+
+        const choice = await this._askForChoice(settlement, inspection, penalty);
+        let resolution;
+        if (choice === 'bribe') {
+            resolution = inspector.resolveBribe(penalty, await this._roll());
+            await this._postChat(`
+                <div class="inspection-result">
+                    <p><strong>Bribe:</strong> ${resolution.roll} ≤ ${resolution.chance.toFixed(0)}% → ${resolution.success ? 'accepted' : 'refused'}</p>
+                </div>
+            `, true);
+        } else {
+            resolution = { success: false, paid: 0, fine: penalty.fine, confiscate: true };
+        }
+
+        const actor = this._getActor();
+        const charge = resolution.paid + resolution.fine;
+        if (charge > 0) {
+            await this._charge(actor, charge, `Contraband ${resolution.paid > 0 ? 'bribe' : 'fine'} at ${settlement.name}`);
+        }
+
+        const confiscated = resolution.confiscate ? await this._confiscate(inspection.contraband, actor) : [];
+        await this._postChat(this._renderOutcome(settlement, choice, resolution, confiscated));
+        if (resolution.confiscate) {
+            // A quietly accepted bribe is no bust; a seizure is the talk of the market
+            await this._recordBust(settlement, inspection);
+        }
+
+        this._logInfo('Contraband Inspection', 'Inspection settled', {
+            settlement: settlement.name,
+            trigger,
+            choice,
+            paid: resolution.paid,
+            fine: resolution.fine,
+            confiscated: confiscated.map(cargo => `${cargo.quantity} EP ${cargo.cargo}`)
+        });
+
+        if (confiscated.length > 0) {
+            await this.app.refreshUI?.();
+        }
+
+        return { inspection, penalty, choice, resolution, confiscated };
+    }
+
+    /**
+     * Ask the party whether to pay the fine or offer a bribe
+     * @returns {Promise<string>} - 'fine' or 'bribe'
+     * @private
+     */
+    async _askForChoice(settlement, inspection, penalty) {
+        const choice = await foundry.applications.api.DialogV2.wait({
+            window: { title: `Inspection at ${settlement.name}` },
+            content: `
+                <p>The inspectors have found ${inspection.contrabandEP} EP of contraband: ${inspection.contraband.map(cargo => cargo.cargo).join(', ')}.</p>
+                <p>Pay the fine of <strong>${this._formatCurrencyFromCanonical(penalty.fine)}</strong> and surrender the contraband,
+                or offer a bribe of <strong>${this._formatCurrencyFromCanonical(penalty.bribe.amount)}</strong> to keep it.
+                If the bribe is refused, the fine is higher and the contraband is taken anyway.</p>
+            `,
+            buttons: [
+                { action: "fine", label: "Pay Fine", icon: "fas fa-gavel", default: true },
+                { action: "bribe", label: "Offer Bribe", icon: "fas fa-coins" }
+            ],
+            rejectClose: false,
+            modal: true
+        });
+
+        return choice === 'bribe' ? 'bribe' : 'fine';
+    }
+
+    /**
+     * Take a fine or bribe from the actor's purse
+     * @param {Object} actor - Paying actor
+     * @param {number} amount - Amount in canonical units (BP)
+     * @param {string} reason - Reason for the deduction
+     * @private
+     */
+    async _charge(actor, amount, reason) {
+        if (!actor || !this.app.systemAdapter) {
+            ui.notifications.warn(`No character to charge: settle ${this._formatCurrencyFromCanonical(amount)} by hand`);
+            return;
+        }
+
+        const result = await this.app.systemAdapter.deductCurrency(actor, this.app.systemAdapter.toPrimaryDenomination(amount), reason);
+        if (!result?.success) {
+            ui.notifications.warn(`Could not take ${this._formatCurrencyFromCanonical(amount)} from ${actor.name}: ${result?.error || 'unknown error'}`);
+        }
+    }
+
+    /**
+     * Let the settlement remember the party was caught with contraband
+     * @private
+     */
+    async _recordBust(settlement, inspection) {
+        if (typeof this.dataManager.recordReputation !== 'function') {
+            return;
+        }
+
+        try {
+            await this.dataManager.recordReputation(settlement, 'contrabandBust', {
+                note: `Caught with ${inspection.contrabandEP} EP of contraband`
+            });
+        } catch (error) {
+            // The inspection itself has been settled, so a reputation failure is only logged
+            this._logError('Contraband Inspection', 'Failed to record bust in reputation', { error: error.message });
+        }
+    }
+
+    /**
+     * Remove confiscated cargo from the actor's inventory and the party's hold
+     * @param {Array} contraband - Contraband cargo entries
+     * @param {Object} actor - Actor carrying the cargo
+     * @returns {Promise<Array>} - Cargo entries removed from the hold
+     * @private
+     */
+    async _confiscate(contraband, actor) {
+        if (actor && this.app.systemAdapter) {
+            for (const cargo of contraband) {
+                try {
+                    const items = this.app.systemAdapter.findCargoInInventory(actor, cargo.cargo, { quality: cargo.quality });
+                    if (items.length > 0) {
+                        await this.app.systemAdapter.removeCargoFromInventory(actor, items[0].id, cargo.quantity);
+                    }
+                } catch (error) {
+                    this._logError('Contraband Inspection', 'Failed to remove confiscated cargo from inventory', { cargo: cargo.cargo, error: error.message });
+                }
+            }
+        }
+
+        const datasetId = this.dataManager?.activeDatasetName || 'default';
+        const allCargoData = await game.settings.get(this.MODULE_ID, "currentCargo") || {};
+        const currentCargo = allCargoData[datasetId] || [];
+        const isConfiscated = entry => contraband.some(cargo =>
+            (cargo.id && entry.id === cargo.id) ||
+            (!cargo.id && entry.cargo === cargo.cargo && entry.quality === cargo.quality && ContrabandInspection.isContraband(entry))
+        );
+
+        const confiscated = currentCargo.filter(isConfiscated);
+        const remaining = currentCargo.filter(entry => !isConfiscated(entry));
+        allCargoData[datasetId] = remaining;
+        await game.settings.set(this.MODULE_ID, "currentCargo", allCargoData);
+
+        this.dataManager.cargo = remaining;
+        this.app.currentCargo = remaining;
+        await this.dataManager.saveCurrentDataset();
+
+        return confiscated;
+    }
+
+    _renderCheck(inspection) {
+        const steps = inspection.steps
+            .map(step => `• ${step.label}: ${step.value >= 0 ? '+' : ''}${(step.value * 100).toFixed(1)}%`)
+            .join('<br>');
+        return `
+            <div class="inspection-check">
+                <h5>Contraband Inspection at ${inspection.settlement} (${inspection.trigger === 'sale' ? 'sale' : 'arrival'})</h5>
+                <p><strong>Search:</strong> ${inspection.roll} ≤ ${inspection.chance.toFixed(1)}% → ${inspection.inspected ? 'Yes' : 'No'}</p>
+                <div class="roll-details"><small>${steps}</small></div>
+            </div>
+        `;
+    }
+
+    _renderFound(settlement, inspection, penalty) {
+        const cargoList = inspection.contraband
+            .map(cargo => `<li>${cargo.quantity} EP of ${cargo.cargo}${cargo.quality ? ` (${cargo.quality})` : ''}</li>`)
+            .join('');
+        return `
+            <div class="inspection-result">
+                <h5>⚖️ Cargo Searched at ${settlement.name}</h5>
+                <p>The authorities have searched the cargo and found contraband:</p>
+                <ul>${cargoList}</ul>
+                <p><strong>Fine:</strong> ${this._formatCurrencyFromCanonical(penalty.fine)}</p>
+            </div>
+        `;
+    }
+
+    _renderOutcome(settlement, choice, resolution, confiscated) {
+        let summary;
+        if (choice === 'bribe' && resolution.success) {
+            summary = `The inspectors pocketed a bribe of ${this._formatCurrencyFromCanonical(resolution.paid)} and looked the other way.`;
+        } else if (choice === 'bribe') {
+            summary = `The inspectors refused the bribe. The fine was raised to ${this._formatCurrencyFromCanonical(resolution.fine)}.`;
+        } else {
+            summary = `A fine of ${this._formatCurrencyFromCanonical(resolution.fine)} was paid.`;
+        }
+
+        const confiscatedText = confiscated.length > 0
+            ? `<p><strong>Confiscated:</strong> ${confiscated.map(cargo => `${cargo.quantity} EP of ${cargo.cargo}`).join(', ')}</p>`
+            : '';
+        return `
+            <div class="inspection-result">
+                <h5>⚖️ Inspection at ${settlement.name}</h5>
+                <p>${summary}</p>
+                ${confiscatedText}
+            </div>
+        `;
+    }
+}
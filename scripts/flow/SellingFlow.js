@@ -7,6 +7,10 @@ import {
     convertDenominationToCanonical,
     resolveCurrencyContext
 } from '../currency-display.js';
+import { TradingClock, SECONDS_PER_DAY } from '../trading-clock.js';
+import { TradeTransactionService } from '../trade-transaction.js';
+import { WarehouseStorage } from '../warehouse-storage.js';
+import { SaleMechanics } from '../sale-mechanics.js';
 
 export class SellingFlow {
     constructor(app) {
@@ -60,7 +64,7 @@ export class SellingFlow {
 
         // Get current cargo from DataManager
         console.log('🚛 CARGO_PERSIST: Loading cargo for selling from DataManager');
-        const currentCargo = this.dataManager?.cargo || [];
+        const currentCargo = this._getSellableCargo();
         console.log('🚛 CARGO_PERSIST: Current cargo:', {
             cargoCount: currentCargo.length,
             cargo: currentCargo
@@ -71,6 +75,14 @@ export class SellingFlow {
             return;
         }
 
+        const reputation = typeof this.dataManager.getReputation === 'function' ? this.dataManager.getReputation() : null;
+        if (reputation && !reputation.canAccessMarket(this.app.selectedSettlement)) {
+            ui.notifications.warn(`The merchants of ${this.app.selectedSettlement.name} will not deal with the party`);
+            return;
+        }
+        // Buyers are easier to find where the party is well thought of
+        const buyerChance = Math.max(0, Math.min(100, 80 + (reputation ? reputation.getBuyerChanceModifier(this.app.selectedSettlement) : 0)));
+
         console.log('🔍 === LOOKING FOR SELLERS (WFRP SELLING ALGORITHM) ===');
         console.log(`Settlement: ${this.app.selectedSettlement.name}`);
         console.log(`Available Cargo: ${currentCargo.length} items`);
@@ -86,19 +98,26 @@ export class SellingFlow {
             const availableSlots = this.dataManager.calculateCargoSlots(this.app.selectedSettlement, this.app.currentSeason);
             console.log(`📊 STEP 1: Available Slots: ${availableSlots}`);
 
-            // Step 2: For each slot, determine if buyer is present (80% chance for now)
+            // The buyers are the settlement's regular merchants, while there are enough of them
+            const regulars = typeof this.dataManager.getMerchantRoster === 'function'
+                ? this.dataManager.getMerchantRoster().drawMerchants(this.app.selectedSettlement.name, availableSlots)
+                : [];
+
+            // Step 2: For each slot, determine if buyer is present (80% chance, adjusted by reputation)
             const sellerOffers = [];
             this.app.sellerOffers = sellerOffers;
             let slotNumber = 1;
 
             for (let slot = 0; slot < availableSlots; slot++) {
-                // Roll for buyer presence (80% chance) using Foundry's Roll system
+                // Roll for buyer presence using Foundry's Roll system
                 const roll = new Roll("1d100");
                 await roll.evaluate();
                 const buyerRoll = roll.total;
-                const buyerPresent = buyerRoll <= 80;
+                const regular = regulars[slot] || null;
+                // Pinned merchants are at the market every time
+                const buyerPresent = regular?.pinned === true || buyerRoll <= buyerChance;
 
-                console.log(`🎲 SLOT ${slotNumber}: Buyer Roll: ${buyerRoll} ${buyerPresent ? '≤ 80 = SUCCESS' : '> 80 = FAILURE'}`);
+                console.log(`🎲 SLOT ${slotNumber}: Buyer Roll: ${buyerRoll} ${buyerPresent ? `≤ ${buyerChance} = SUCCESS` : `> ${buyerChance} = FAILURE`}`);
 
                 if (buyerPresent) {
                     // Step 3: Randomly select cargo from player's inventory
@@ -120,8 +139,8 @@ export class SellingFlow {
                     const rolledDemand = (sizeRating + wealthRating) * Math.ceil(d100Roll / 10) * 10;
                     let maxEP = Math.max(10, rolledDemand);
 
-                    // Step 6: Assign skill rating (same as buying algorithm)
-                    const skillRating = await this._generateSkillRating();
+                    // Step 6: Assign skill rating (same as buying algorithm), or the regular merchant's own
+                    const skillRating = regular ? regular.skill : await this._generateSkillRating();
 
                     const offer = {
                         slotNumber,
@@ -129,7 +148,8 @@ export class SellingFlow {
                         offerPricePerEP,
                         maxEP,
                         skillRating,
-                        buyerName: this._generateBuyerName()
+                        buyerName: regular ? regular.name : this._generateBuyerName(),
+                        merchantId: regular?.id || null
                     };
 
                     sellerOffers.push(offer);
@@ -141,7 +161,7 @@ export class SellingFlow {
                         isAvailable: false,
                         buyerName: "No Buyer Available",
                         roll: buyerRoll,
-                        chance: 80,
+                        chance: buyerChance,
                         success: false
                     });
                 }
@@ -151,6 +171,9 @@ export class SellingFlow {
 
             // Step 7: Save and display results
             await this._saveSellerOffers(sellerOffers);
+            await this._recordPrices(sellerOffers
+                .filter(offer => offer.cargo)
+                .map(offer => ({ cargo: offer.cargo, price: offer.offerPricePerEP, source: 'offer' })));
             await this._displaySellerResults(sellerOffers);
 
             // Restore button
@@ -170,6 +193,34 @@ export class SellingFlow {
         }
     }
 
+    /**
+     * Select a lot in the hold, so buyers are only sought for it
+     * @param {Object|null} lot - Hold lot, or null to seek buyers for the whole hold
+     */
+    selectCargo(lot) {
+        this.app.selectedSellingCargoId = lot?.id || null;
+        this.app.selectedResource = lot?.cargo || null;
+
+        this.app.element?.querySelectorAll?.('#selling-tab .cargo-minimal-item').forEach(element => {
+            element.classList.toggle('selected', Boolean(lot) && element.dataset.cargoId === lot.id);
+        });
+
+        this._logInfo('Cargo Selection', lot ? `Selected ${lot.cargo} for sale` : 'Cleared the cargo selection', { lotId: lot?.id || null });
+    }
+
+    /**
+     * The hold lots buyers are sought for: the selected lot, or everything aboard when none is selected
+     * Cargo left in a warehouse has to be retrieved before it can be sold
+     * @returns {Array} - Hold lots
+     * @private
+     */
+    _getSellableCargo() {
+        const currentCargo = WarehouseStorage.aboard(this.dataManager?.cargo || []);
+        const selectedId = this.app.selectedSellingCargoId;
+        const selected = selectedId ? currentCargo.filter(cargo => cargo.id === selectedId) : [];
+        return selected.length > 0 ? selected : currentCargo;
+    }
+
     /**
      * Calculate offer price for cargo (placeholder algorithm)
      * @param {Object} cargo - Cargo item
@@ -213,14 +264,19 @@ export class SellingFlow {
         const wealthRating = Number(settlement?.wealth || settlement?.wealthRating) || 3;
         const wealthModifier = this.dataManager.getWealthModifier(wealthRating);
         
+        // Recent sales of this cargo at the settlement depress the offer
+        const marketSaturation = SaleMechanics.getMarketSaturation(this.dataManager, settlement, cargo.cargo || cargo.name || cargo.type);
+        const saturationMultiplier = marketSaturation?.priceMultiplier ?? 1;
+
         // Base offer price in BP per 1 EP
-        const pricePerEPInBP = Math.max(1, (basePriceInBP / 10) * wealthModifier);
+        const pricePerEPInBP = Math.max(1, (basePriceInBP / 10) * wealthModifier * saturationMultiplier);
 
         console.log(`Trading Places | Selling Flow | Price calculation for ${cargo.cargo || cargo.name || 'Cargo'}:`, {
             basePriceInBP,
             quality: cargo.quality,
             wealthRating,
             wealthModifier,
+            saturationMultiplier,
             finalPricePerEPInBP: pricePerEPInBP
         });
 
@@ -602,24 +658,39 @@ export class SellingFlow {
         const offer = sellerOffers.find(o => o.slotNumber.toString() === offerId);
         if (!offer) return;
 
+        // Trading in the market may draw the attention of the authorities
+        if (await this._isConfiscatedOnInspection(offer.cargo)) {
+            ui.notifications.warn(`Sale cancelled: the ${offer.cargo.cargo} was confiscated`);
+            return;
+        }
+
         const basePrice = quantity * offer.offerPricePerEP;
         const discountAmount = basePrice * (discountPercent / 100);
         const finalPrice = basePrice + discountAmount;
 
         try {
+            // Tolls and taxes are taken from the proceeds
+            const tariffs = this._calculateTariffs(offer.cargo, finalPrice);
+            const proceeds = Math.round((finalPrice - tariffs.amount) * 100) / 100;
+
             // Add transaction to history
             const transaction = {
                 cargo: offer.cargo.cargo,
+                cargoId: offer.cargo.id || null,
                 category: offer.cargo.category,
+                quality: offer.cargo.quality || null,
                 quantity: quantity,
                 pricePerEP: finalPrice / quantity,
-                totalCost: finalPrice,
+                totalCost: proceeds,
+                tariff: tariffs.amount,
+                tariffLines: tariffs.lines,
                 settlement: this.app.selectedSettlement.name,
                 season: this.app.currentSeason,
-                date: new Date().toISOString(),
+                ...TradingClock.stamp(),
                 discountPercent: discountPercent,
                 isSale: true,
-                contraband: offer.cargo.contraband || false
+                contraband: offer.cargo.contraband || false,
+                merchantId: offer.merchantId || null
             };
             
             // Add formatted currency fields
@@ -628,77 +699,62 @@ export class SellingFlow {
             transaction.pricePerEPCanonical = Math.round(transaction.pricePerEP);
             transaction.totalCostCanonical = Math.round(transaction.totalCost);
 
-            const datasetId = this.dataManager?.activeDatasetName || 'default';
-            const allTransactionData = await game.settings.get(this.MODULE_ID, "transactionHistory") || {};
-            const transactionHistory = allTransactionData[datasetId] || [];
-            transactionHistory.unshift(transaction);
-            allTransactionData[datasetId] = transactionHistory;
-            await game.settings.set(this.MODULE_ID, "transactionHistory", allTransactionData);
-            
-            // Update app's transaction history to keep UI in sync
-            this.app.transactionHistory = transactionHistory;
-            this.dataManager.history = transactionHistory;
-
-            // Remove cargo from actor inventory and add currency at the system/actor level
+            // History, the actor's items and purse, and the hold change together or not at all.
+            // offerPricePerEP (and therefore the proceeds) is in canonical Brass Pennies (BP);
+            // the transaction converts to GC for SystemAdapter.addCurrency().
             const controlledTokens = canvas.tokens?.controlled || [];
-            const actor = controlledTokens[0]?.actor || game.user?.character;
-            if (actor && this.app.systemAdapter) {
-                // Find matching item in actor's inventory
-                const matchingItems = this.app.systemAdapter.findCargoInInventory(actor, offer.cargo.cargo, {
-                    quality: offer.cargo.quality
-                });
-                
-                if (matchingItems.length > 0) {
-                    const itemToRemove = matchingItems[0];
-                    await this.app.systemAdapter.removeCargoFromInventory(actor, itemToRemove.id, quantity);
-                }
+            const actor = controlledTokens[0]?.actor || game.user?.character || null;
 
-                // Add currency to actor. offerPricePerEP (and therefore finalPrice) is expressed
-                // in canonical Brass Pennies (BP). SystemAdapter.addCurrency() expects amount in primary
-                // denomination (GC) and multiplies by 240 internally. Convert finalPrice (BP) to GC (finalPrice / 240).
-                const finalPriceInGC = finalPrice / 240;
-                await this.app.systemAdapter.addCurrency(actor, finalPriceInGC, `Sold ${quantity} EP of ${offer.cargo.cargo}`);
+            // Players cannot write the shared history and hold, so the GM applies their sales
+            const approvals = window.TradingPlaces?.getTradeApprovals?.() || null;
+            if (approvals?.needsApproval()) {
+                await this._requestSaleApproval(approvals, {
+                    offer, offerId, transaction, actor, quantity, proceeds, basePrice, discountAmount, discountPercent, tariffs
+                });
+                return;
             }
 
-            // Update cargo in settings
-            const allCargoData = await game.settings.get(this.MODULE_ID, "currentCargo") || {};
-            const currentCargo = allCargoData[datasetId] || [];
-            
-            // Match by ID, or fallback to matching cargo name + quality, or cargo name
-            const cargoIndex = currentCargo.findIndex(c => 
-                (offer.cargo.id && c.id === offer.cargo.id) ||
-                (c.cargo === offer.cargo.cargo && c.quality === offer.cargo.quality) ||
-                (c.cargo === offer.cargo.cargo)
-            );
-
-            console.log('Trading Places | Selling Flow | Removing sold cargo from settings/dataset:', {
-                targetCargo: offer.cargo,
+            const result = await this._getTradeTransactions().sale({
+                transaction,
+                actor,
+                item: { cargoName: offer.cargo.cargo, quality: offer.cargo.actualTier || offer.cargo.quality, lotId: offer.cargo.id || null },
                 quantity,
-                cargoIndex,
-                foundCargo: cargoIndex !== -1 ? currentCargo[cargoIndex] : null
+                proceeds,
+                updateHold: currentCargo => this._removeSoldCargo(currentCargo, offer.cargo, quantity)
             });
 
-            if (cargoIndex !== -1) {
-                if (currentCargo[cargoIndex].quantity <= quantity) {
-                    currentCargo.splice(cargoIndex, 1);
-                } else {
-                    currentCargo[cargoIndex].quantity -= quantity;
-                }
-                allCargoData[datasetId] = currentCargo;
-                await game.settings.set(this.MODULE_ID, "currentCargo", allCargoData);
-                
-                // Keep dataManager and app state in sync
-                this.dataManager.cargo = currentCargo;
-                this.app.currentCargo = currentCargo;
-            } else {
-                console.warn('Trading Places | Selling Flow | Warning: Could not find matching cargo item in currentCargo array to remove', offer.cargo);
+            if (!result.success) {
+                this._logError('Sale Failed', 'Sale rolled back', {
+                    failedStep: result.failedStep,
+                    error: result.error,
+                    steps: result.steps
+                });
+                ui.notifications.error(`Sale failed: ${result.error}`);
+                return;
             }
 
-            // Save dataset changes to ensure persistence across tab shifts and reloads
-            await this.dataManager.saveCurrentDataset();
+            // Keep the app in sync with what was saved
+            this.app.transactionHistory = this.dataManager.history;
+            this.app.currentCargo = this.dataManager.cargo;
+
+            // Flood the local market with the sold cargo
+            await this._recordMarketSale(offer.cargo.cargo, quantity);
+
+            // Remember what the cargo fetched for the price history charts
+            await this._recordPrices([{ cargo: offer.cargo, price: finalPrice / quantity, source: 'sale' }]);
+
+            // Count the sale towards any delivery contracts due here
+            await this._recordContractDelivery(offer.cargo, quantity, actor);
+
+            // Merchants remember a fair deal, and a hard bargain
+            await this._recordTradeReputation(transaction);
+            await this._recordMerchantDeal(transaction);
 
             // Show success message
-            ui.notifications.success(`Sold ${quantity} EP of ${offer.cargo.cargo} for ${this._formatCurrencyFromCanonical(finalPrice)}`);
+            const tariffText = tariffs.amount > 0
+                ? ` (${this._formatCurrencyFromCanonical(tariffs.amount)} paid in tolls and taxes)`
+                : '';
+            ui.notifications.success(`Sold ${quantity} EP of ${offer.cargo.cargo} for ${this._formatCurrencyFromCanonical(proceeds)}${tariffText}`);
 
             // Update the buyer's "wants to buy" amount
             offer.maxEP -= quantity;
@@ -716,6 +772,7 @@ export class SellingFlow {
                 cargo: offer.cargo.cargo,
                 quantity,
                 finalPrice,
+                tariff: tariffs.amount,
                 discountPercent,
                 buyer: offer.buyerName
             });
@@ -726,6 +783,474 @@ export class SellingFlow {
         }
     }
 
+    /**
+     * Ask the GM to approve a player's sale and show the outcome when it comes back
+     * @param {TradeApprovalService} approvals - Trade approval service
+     * @param {Object} sale - { offer, offerId, transaction, actor, quantity, proceeds, basePrice, discountAmount, discountPercent, tariffs }
+     * @private
+     */
+    async _requestSaleApproval(approvals, { offer, offerId, transaction, actor, quantity, proceeds, basePrice, discountAmount, discountPercent, tariffs }) {
+        const lines = [{ label: `${quantity} EP to ${offer.buyerName || 'the buyer'}`, amount: basePrice }];
+        if (discountAmount !== 0) {
+            lines.push({ label: 'Haggled adjustment', amount: discountAmount });
+        }
+        tariffs.lines.forEach(line => lines.push({ label: line.description, amount: -line.amount }));
+
+        const request = approvals.requestTrade({
+            type: 'sale',
+            actorId: actor?.id || null,
+            actorName: actor?.name || null,
+            cargo: offer.cargo.cargo,
+            quantity,
+            settlement: transaction.settlement,
+            season: transaction.season,
+            breakdown: { lines, discountPercent, total: proceeds },
+            payload: {
+                transaction,
+                item: { cargoName: offer.cargo.cargo, quality: offer.cargo.actualTier || offer.cargo.quality, lotId: offer.cargo.id || null },
+                proceeds,
+                soldCargo: offer.cargo
+            }
+        });
+        ui.notifications.info(`Asked the GM to approve selling ${quantity} EP of ${offer.cargo.cargo}`);
+        await this.app.refreshUI({ focusTab: 'selling' });
+
+        const outcome = await request;
+        if (outcome.status === 'rejected') {
+            ui.notifications.warn(`The GM turned down selling ${quantity} EP of ${offer.cargo.cargo}${outcome.reason ? `: ${outcome.reason}` : ''}`);
+            return;
+        }
+        if (outcome.status !== 'approved') {
+            ui.notifications.error(`Sale failed: ${outcome.error}`);
+            return;
+        }
+
+        // The GM has saved the sale and sent back the history and hold
+        this.app.transactionHistory = this.dataManager.history;
+        this.app.currentCargo = this.dataManager.cargo;
+        offer.maxEP -= quantity;
+        this._updateSellerCard(offerId, offer);
+        (outcome.notes || []).forEach(note => ui.notifications.info(note));
+        ui.notifications.success(`The GM approved selling ${quantity} EP of ${offer.cargo.cargo} for ${this._formatCurrencyFromCanonical(proceeds)}`);
+        await this.app.refreshUI({ focusTab: 'selling' });
+    }
+
+    /**
+     * Sell the selected lot on a rumor, or gossip for one when the party has heard none about it here
+     * Rumors are heard and checked on the GM's client, which holds the rumor board; players ask it over the socket
+     * @param {Event} event - Click event
+     */
+    async onRumorSale(event) {
+        event?.preventDefault?.();
+
+        const settlement = this.app.selectedSettlement;
+        if (!settlement) {
+            ui.notifications.warn('Please select a settlement first');
+            return;
+        }
+        const lot = this._getSellableCargo().find(cargo => cargo.id === this.app.selectedSellingCargoId);
+        if (!lot) {
+            ui.notifications.warn('Select a lot in the hold to sell on a rumor');
+            return;
+        }
+
+        try {
+            const heard = this.dataManager.getRumorJournal(game.user.id)
+                .getEntries({ settlement: settlement.name, cargoName: lot.cargo, status: 'active' })[0];
+            if (heard) {
+                await this._sellOnRumor(lot, heard.rumor);
+            } else {
+                await this._gossipForRumor(lot);
+            }
+        } catch (error) {
+            this._logError('Rumor Sale', 'Rumor sale failed', { error: error.message });
+            ui.notifications.error(`Rumor sale failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Make a Gossip test about a lot's cargo and hear a rumor on a success
+     * @param {Object} lot - Hold lot
+     * @private
+     */
+    async _gossipForRumor(lot) {
+        const settlement = this.app.selectedSettlement;
+        const skill = await this._promptGossipSkill(lot);
+        if (skill === null) {
+            return;
+        }
+
+        const gossipResult = await this.app.tradingEngine.performGossipTest(skill);
+        await this._postRumorChat(this.app.tradingEngine.generateSkillTestMessage(gossipResult));
+        if (!gossipResult.success) {
+            ui.notifications.info(`Nobody in ${settlement.name} has heard anything about ${lot.cargo}`);
+            return;
+        }
+
+        const request = {
+            type: 'gossip',
+            gossipResult: { success: gossipResult.success, degrees: gossipResult.degrees },
+            cargoName: lot.cargo,
+            settlement: settlement.name
+        };
+        const rumor = game.user?.isGM
+            ? await this.app.tradingEngine.generateRumorFromGossip(request.gossipResult, lot.cargo, settlement, { learnerId: game.user.id })
+            : await this._askGM(request);
+
+        const here = String(rumor.settlement).toLowerCase() === String(settlement.name).toLowerCase();
+        ui.notifications.info(`Rumor heard about ${rumor.settlement}: ${rumor.description}${here ? '. Sell on the rumor to find a buyer' : ''}`);
+        this._logInfo('Rumor Sale', 'Heard a rumor from gossip', { rumorId: rumor.id, settlement: rumor.settlement, reliability: rumor.reliability });
+    }
+
+    /**
+     * Offer a lot to a buyer who heard the same rumor, at a premium if the rumor holds true
+     * @param {Object} lot - Hold lot
+     * @param {Object} rumor - Rumor as the player heard it
+     * @private
+     */
+    async _sellOnRumor(lot, rumor) {
+        const settlement = this.app.selectedSettlement;
+        const request = { type: 'premium', rumorId: rumor.id, cargoName: lot.cargo, settlement: settlement.name };
+        const premium = game.user?.isGM
+            ? this.app.tradingEngine.getRumorPremium(rumor.id, lot.cargo, settlement)
+            : await this._askGM(request);
+
+        const offer = {
+            slotNumber: 'rumor',
+            cargo: lot,
+            offerPricePerEP: this._calculateOfferPrice(lot, settlement, this.app.currentSeason) * premium.multiplier,
+            maxEP: lot.quantity,
+            buyerName: 'A buyer who heard the rumor',
+            merchantId: null
+        };
+
+        const quantity = await this._promptRumorSale(offer, rumor, premium);
+        if (quantity > 0) {
+            await this._executeSale('rumor', [offer], quantity, 0);
+        }
+    }
+
+    /**
+     * Ask the GM's client about the rumor board
+     * @param {Object} request - Rumor request for TradeApprovalService.requestRumor()
+     * @returns {Promise<Object>} - The GM's answer
+     * @private
+     */
+    async _askGM(request) {
+        const approvals = window.TradingPlaces?.getTradeApprovals?.();
+        if (!approvals) {
+            throw new Error('Trade approvals are not available');
+        }
+        const outcome = await approvals.requestRumor(request);
+        if (outcome.error) {
+            throw new Error(outcome.error);
+        }
+        return outcome.result;
+    }
+
+    /**
+     * Ask for the Gossip skill of the character asking around
+     * @param {Object} lot - Hold lot the gossip is about
+     * @returns {Promise<number|null>} - Skill value, or null when cancelled
+     * @private
+     */
+    async _promptGossipSkill(lot) {
+        const skill = await foundry.applications.api.DialogV2.wait({
+            window: { title: `Gossip about ${lot.cargo}` },
+            content: `
+                <p>Ask around ${this.app.selectedSettlement.name} for rumors of buyers wanting ${lot.cargo}.</p>
+                <div class="form-group">
+                    <label>Gossip skill</label>
+                    <input type="number" name="skill" min="0" max="100" step="1" value="30" autofocus>
+                </div>
+            `,
+            buttons: [
+                {
+                    action: "gossip",
+                    label: "Gossip",
+                    icon: "fas fa-ear-listen",
+                    default: true,
+                    callback: (event, button, dialog) => Number(dialog.element.querySelector('input[name="skill"]').value)
+                },
+                { action: "cancel", label: "Cancel", icon: "fas fa-times" }
+            ],
+            rejectClose: false,
+            modal: true
+        });
+
+        if (!Number.isFinite(skill)) {
+            return null;
+        }
+        return Math.max(0, Math.min(100, Math.floor(skill)));
+    }
+
+    /**
+     * Ask how many EP to sell to the rumor's buyer
+     * @param {Object} offer - Rumor buyer's offer
+     * @param {Object} rumor - Rumor as the player heard it
+     * @param {Object} premium - { payable, reason, multiplier } from the GM's client
+     * @returns {Promise<number>} - EP to sell, 0 when cancelled
+     * @private
+     */
+    async _promptRumorSale(offer, rumor, premium) {
+        const premiumText = premium.payable
+            ? `The rumor held true: the buyer pays ${Math.round((premium.multiplier - 1) * 100)}% over the market price.`
+            : `${premium.reason}: the buyer pays only the market price.`;
+        const quantity = await foundry.applications.api.DialogV2.wait({
+            window: { title: `Sell ${offer.cargo.cargo} on a rumor` },
+            content: `
+                <p>${rumor.description}</p>
+                <p>${premiumText} ${offer.buyerName} offers ${this._formatCurrencyFromCanonical(offer.offerPricePerEP)} per EP.</p>
+                <div class="form-group">
+                    <label>EP to sell</label>
+                    <input type="number" name="quantity" min="1" max="${offer.maxEP}" step="1" value="${offer.maxEP}" autofocus>
+                </div>
+            `,
+            buttons: [
+                {
+                    action: "sell",
+                    label: "Sell",
+                    icon: "fas fa-coins",
+                    default: true,
+                    callback: (event, button, dialog) => Number(dialog.element.querySelector('input[name="quantity"]').value)
+                },
+                { action: "cancel", label: "Cancel", icon: "fas fa-times" }
+            ],
+            rejectClose: false,
+            modal: true
+        });
+
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+            return 0;
+        }
+        return Math.min(Math.floor(quantity), offer.maxEP);
+    }
+
+    /**
+     * Post a gossip test to chat, following the chat visibility setting
+     * @param {string} content - Message HTML
+     * @private
+     */
+    async _postRumorChat(content) {
+        const chatVisibility = game.settings.get(this.MODULE_ID, "chatVisibility");
+        if (chatVisibility === "disabled") {
+            return;
+        }
+
+        await ChatMessage.create({
+            content,
+            speaker: ChatMessage.getSpeaker(),
+            whisper: chatVisibility === "gm" ? [game.user.id] : null
+        });
+    }
+
+    /**
+     * Get the service that applies sales as a single trade transaction
+     * @returns {TradeTransactionService}
+     * @private
+     */
+    _getTradeTransactions() {
+        return new TradeTransactionService(this.dataManager, this.app.systemAdapter, {
+            logger: this.dataManager?.logger
+        });
+    }
+
+    /**
+     * Take sold cargo out of the hold
+     * @param {Array} currentCargo - Cargo in the hold (changed in place)
+     * @param {Object} soldCargo - The hold entry the offer was made for
+     * @param {number} quantity - EP sold
+     * @returns {Array} - The updated hold
+     * @private
+     */
+    _removeSoldCargo(currentCargo, soldCargo, quantity) {
+        console.log('Trading Places | Selling Flow | Removing sold cargo from settings/dataset:', {
+            targetCargo: soldCargo,
+            quantity
+        });
+
+        return TradeTransactionService.removeFromHold(currentCargo, soldCargo, quantity);
+    }
+
+    /**
+     * Work out the tolls and taxes owed on selling cargo at the selected settlement
+     * @param {Object} cargo - The player's cargo entry (its settlement is where it was bought)
+     * @param {number} value - Sale value before tariffs in BP
+     * @returns {Object} - { lines, rate, amount } as returned by TariffSchedule.calculateTariffs()
+     * @private
+     */
+    _calculateTariffs(cargo, value) {
+        if (typeof this.dataManager.getTariffSchedule !== 'function') {
+            return { lines: [], rate: 0, amount: 0 };
+        }
+
+        try {
+            const origin = cargo.settlement ? this.dataManager.getSettlement(cargo.settlement) : null;
+            return this.dataManager.getTariffSchedule().calculateTariffs({
+                settlement: this.app.selectedSettlement,
+                cargoName: cargo.cargo,
+                category: cargo.category,
+                transactionType: 'sale',
+                originRegion: origin?.region || null,
+                value
+            });
+        } catch (error) {
+            this._logError('Tariffs', 'Failed to calculate tariffs', { error: error.message });
+            return { lines: [], rate: 0, amount: 0 };
+        }
+    }
+
+    /**
+     * Run a post-sale recorder, logging rather than throwing when it fails (see TradeTransactionService.recordSafely)
+     * @param {string} category - Log category
+     * @param {string} message - Log message when the recorder fails
+     * @param {Function} record - Async recorder
+     * @returns {Promise<*>} - The recorder's result, or undefined when it failed
+     * @private
+     */
+    _recordSafely(category, message, record) {
+        return TradeTransactionService.recordSafely(record, error => this._logError(category, message, { error: error.message }));
+    }
+
+    /**
+     * Record a sale in the settlement market ledger
+     * @param {string} cargoName - Name of the cargo sold
+     * @param {number} quantity - Quantity sold in EP
+     * @private
+     */
+    async _recordMarketSale(cargoName, quantity) {
+        if (typeof this.dataManager.recordMarketSale !== 'function') {
+            return;
+        }
+
+        await this._recordSafely('Market Ledger', 'Failed to record sale in market ledger', async () => {
+            const saturation = await this.dataManager.recordMarketSale(this.app.selectedSettlement, cargoName, quantity);
+            this._logInfo('Market Ledger', 'Sale volume recorded', {
+                settlement: saturation.settlement,
+                cargo: cargoName,
+                recentlySold: saturation.volume,
+                priceMultiplier: saturation.priceMultiplier
+            });
+        });
+    }
+
+    /**
+     * Record buyer offers or sale prices at this settlement in the price history
+     * @param {Array} entries - { cargo, price, source } where cargo is the player's cargo entry and price is BP per EP
+     * @private
+     */
+    async _recordPrices(entries) {
+        if (typeof this.dataManager.recordPrices !== 'function' || entries.length === 0) {
+            return;
+        }
+
+        await this._recordSafely('Price History', 'Failed to record prices', () => this.dataManager.recordPrices(entries.map(({ cargo, price, source }) => ({
+            settlement: this.app.selectedSettlement.name,
+            cargo: cargo.cargo,
+            quality: cargo.quality || 'Average',
+            price,
+            source
+        }))));
+    }
+
+    /**
+     * Run a contraband inspection before a sale and report whether the cargo on sale was taken
+     * @param {Object} cargo - Cargo being sold
+     * @returns {Promise<boolean>} - True when the inspectors confiscated the cargo
+     * @private
+     */
+    async _isConfiscatedOnInspection(cargo) {
+        const inspectionFlow = this.app.eventHandlers?.inspectionFlow;
+        if (!inspectionFlow) {
+            return false;
+        }
+
+        try {
+            const result = await inspectionFlow.runInspection('sale');
+            if (!cargo.contraband) {
+                return false;
+            }
+            return (result?.confiscated || []).some(entry =>
+                (cargo.id && entry.id === cargo.id) ||
+                (entry.cargo === cargo.cargo && entry.quality === cargo.quality)
+            );
+        } catch (error) {
+            // Failing to inspect should not stop a lawful sale
+            this._logError('Contraband Inspection', 'Sale inspection failed', { error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Count a sale towards the party's delivery contracts for this settlement
+     * Completed contracts pay their reward (less any late penalty) to the selling actor
+     * @param {Object} cargo - Cargo sold
+     * @param {number} quantity - Quantity sold in EP
+     * @param {Object} actor - Actor receiving the reward
+     * @private
+     */
+    async _recordContractDelivery(cargo, quantity, actor) {
+        if (typeof this.dataManager.recordContractDelivery !== 'function') {
+            return;
+        }
+
+        const deliveries = await this._recordSafely('Delivery Contracts', 'Failed to record contract delivery', () => this.dataManager.recordContractDelivery(
+            { settlement: this.app.selectedSettlement, cargo: cargo.cargo, quality: cargo.quality, quantity },
+            actor,
+            this.app.systemAdapter
+        ));
+        if (!deliveries?.length) {
+            return;
+        }
+
+        for (const delivery of deliveries) {
+            const { contract, settlement } = delivery;
+            if (!settlement) {
+                ui.notifications.info(`Delivered ${delivery.delivered} EP of ${contract.cargoName} towards a contract (${contract.delivered}/${contract.quantity} EP)`);
+                continue;
+            }
+
+            const lateNote = settlement.daysLate > 0 ? ` (${settlement.daysLate} days late, -${this._formatCurrencyFromCanonical(settlement.latePenalty)})` : '';
+            ui.notifications.success(`Delivery contract completed: ${contract.quantity} EP of ${contract.cargoName} to ${contract.destination} for ${this._formatCurrencyFromCanonical(settlement.payout)}${lateNote}`);
+        }
+
+        this._logInfo('Delivery Contracts', 'Sale counted towards contracts', {
+            cargo: cargo.cargo,
+            quantity,
+            contracts: deliveries.map(delivery => ({
+                id: delivery.contract.id,
+                delivered: delivery.contract.delivered,
+                completed: delivery.completed
+            }))
+        });
+    }
+
+    /**
+     * Record a fair or heavily haggled sale in the party's reputation
+     * @param {Object} transaction - The sale transaction
+     * @private
+     */
+    async _recordTradeReputation(transaction) {
+        if (typeof this.dataManager.recordTradeReputation !== 'function') {
+            return;
+        }
+
+        await this._recordSafely('Reputation', 'Failed to record sale in reputation', () => this.dataManager.recordTradeReputation(transaction));
+    }
+
+    /**
+     * Note the sale in the regular buyer's record of deals with the party
+     * @param {Object} transaction - The sale transaction
+     * @private
+     */
+    async _recordMerchantDeal(transaction) {
+        if (!transaction.merchantId || typeof this.dataManager.recordMerchantDeal !== 'function') {
+            return;
+        }
+
+        await this._recordSafely('Merchant Roster', 'Failed to record sale with merchant', () => this.dataManager.recordMerchantDeal(transaction));
+    }
+
     /**
      * Update seller card after a sale
      * @param {string} offerId - Offer ID
@@ -821,7 +1346,7 @@ export class SellingFlow {
             const sellerData = {
                 settlement: this.app.selectedSettlement.name,
                 season: this.app.currentSeason,
-                timestamp: Date.now(),
+                worldTime: TradingClock.now(),
                 sellerOffers: sellerOffers
             };
 
@@ -880,9 +1405,10 @@ export class SellingFlow {
                 return null;
             }
 
-            // Check if data is not too old (24 hours)
-            const maxAge = 24 * 60 * 60 * 1000;
-            if (Date.now() - sellerData.timestamp > maxAge) {
+            // Check if data is not too old (one in-game day). Offers saved before the
+            // world clock was used, or after it was rewound, are treated as stale.
+            const age = TradingClock.now() - sellerData.worldTime;
+            if (typeof sellerData.worldTime !== 'number' || age < 0 || age > SECONDS_PER_DAY) {
                 console.log('🔄 SELLER PERSISTENCE: Seller data is too old, ignoring');
                 return null;
             }
@@ -897,7 +1423,7 @@ export class SellingFlow {
                 settlement: sellerData.settlement,
                 season: sellerData.season,
                 offerCount: sellerData.sellerOffers?.length || 0,
-                age: Math.round((Date.now() - sellerData.timestamp) / 1000 / 60) + ' minutes'
+                age: Math.round(age / 60) + ' minutes'
             });
 
             return sellerData.sellerOffers || [];
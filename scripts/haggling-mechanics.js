@@ -93,7 +93,7 @@ class HagglingMechanics {
      * @param {number} playerSkill - Player's haggle skill
      * @param {number} merchantSkill - Merchant's haggle skill
      * @param {boolean} hasDealmakerTalent - Whether player has Dealmaker talent
-     * @param {Object} options - Additional options
+     * @param {Object} options - Additional options ({ settlement } applies the party's reputation there)
      * @param {Function} rollFunction - Custom roll function for testing
      * @returns {Object} - Haggle test result
      */
@@ -108,8 +108,14 @@ class HagglingMechanics {
             throw new Error('Merchant skill must be a number between 0 and 100');
         }
         
+        // Merchants who know the party drive a softer bargain; those who distrust it, a harder one
+        const reputationModifier = this.getReputationModifier(options.settlement);
+        const playerModifiers = reputationModifier !== 0
+            ? [{ name: 'Reputation', value: reputationModifier, description: `Standing with the merchants of ${options.settlement.name}` }]
+            : [];
+
         // Perform skill tests for both parties
-        const playerTest = await this.performSkillTest(playerSkill, [], 'Player Haggle', rollFunction);
+        const playerTest = await this.performSkillTest(playerSkill, playerModifiers, 'Player Haggle', rollFunction);
         const merchantTest = await this.performSkillTest(merchantSkill, [], 'Merchant Haggle', rollFunction);
         
         let success = false;
@@ -151,6 +157,7 @@ class HagglingMechanics {
         const result = {
             success,
             hasDealmakertTalent: hasDealmakerTalent,
+            reputationModifier,
             player: playerTest,
             merchant: merchantTest,
             resultDescription
@@ -161,6 +168,18 @@ class HagglingMechanics {
         return result;
     }
 
+    /**
+     * Get the modifier the party's reputation at a settlement gives its haggle tests
+     * @param {Object} settlement - Settlement (optional)
+     * @returns {number} - Modifier, 0 without a settlement or reputation
+     */
+    getReputationModifier(settlement) {
+        if (!settlement || typeof this.dataManager?.getReputation !== 'function') {
+            return 0;
+        }
+        return this.dataManager.getReputation().getHaggleModifier(settlement);
+    }
+
     /**
      * Perform a gossip test to find rumors
      * @param {number} playerSkill - Player's gossip skill
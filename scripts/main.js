@@ -8,6 +8,12 @@ import { TradingEngine } from './trading-engine.js';
 import { DataManager } from './data-manager.js';
 import { SystemAdapter } from './system-adapter.js';
 import { TradingPlacesSettings } from './module-settings.js';
+import { TradingClock } from './trading-clock.js';
+import { formatCanonicalValue, resolveCurrencyContext } from './currency-display.js';
+import { TradeApprovalService } from './trade-approval.js';
+import { MarketBroadcastService } from './market-broadcast.js';
+import { CargoItems } from './cargo-items.js';
+import { CargoDragDrop } from './cargo-drag-drop.js';
 //import { TradingPlacesSettingsDialog } from './settings-dialog.js';
 
 // Module constants
@@ -21,6 +27,8 @@ let tradingEngine = null;
 let configValidator = null;
 let errorHandler = null;
 let debugLogger = null;
+let tradeApprovals = null;
+let marketBroadcast = null;
 
 // Module initialization
 Hooks.once('init', () => {
@@ -178,6 +186,40 @@ Hooks.once('ready', async () => {
             }
         });
 
+        // Follow the in-game calendar when the season is derived from world time
+        Hooks.on('updateWorldTime', (worldTime) => syncSeasonWithCalendar(worldTime));
+
+        // Age perishable cargo as world time passes
+        Hooks.on('updateWorldTime', (worldTime) => applyCargoSpoilage(worldTime));
+
+        // Pay crews and upkeep as world time passes
+        Hooks.on('updateWorldTime', (worldTime) => chargeVesselRunningCosts(worldTime));
+
+        // Pay for warehouse storage week by week
+        Hooks.on('updateWorldTime', (worldTime) => chargeWarehouseFees(worldTime));
+
+        // Flag loans that fall overdue
+        Hooks.on('updateWorldTime', (worldTime) => flagOverdueLoans(worldTime));
+
+        // Players' rumor journals live in user flags
+        Hooks.on('updateUser', (user, changes) => {
+            if (changes.flags?.[MODULE_ID]?.rumorJournal) {
+                foundry.applications?.instances?.get('trading-places-rumor-journal')?.render(false);
+            }
+        });
+
+        // Pass players' trades to the GM for approval
+        listenForTradeRequests();
+
+        // Share the GM's market with the players' market view
+        listenForMarketBroadcasts();
+
+        // Keep the hold in step with the cargo items on actor sheets
+        listenForCargoItems();
+        listenForCargoDrops();
+        await syncCargoFromItems();
+        await syncSeasonWithCalendar();
+
         console.log('Trading Places | Setup complete');
         // Note: Removed startup notification to avoid notification spam
 
@@ -228,8 +270,12 @@ function registerHandlebarsHelpers() {
         return a > b;
     });
 
-    // Date formatting helper
-    Handlebars.registerHelper('formatDate', function(dateString) {
+    // Date formatting helper (in-game world time takes precedence over legacy real-world dates)
+    Handlebars.registerHelper('formatDate', function(dateString, worldTime) {
+        if (typeof worldTime === 'number') {
+            return TradingClock.format(worldTime);
+        }
+
         if (!dateString) return 'Unknown';
         
         // If it's already in the correct format (YYYY-MM-DD HH:mm), return as is
@@ -711,6 +757,17 @@ function registerModuleSettings() {
         onChange: onCurrentSeasonChange
     });
 
+    // Derive the season from the in-game calendar
+    game.settings.register(MODULE_ID, "seasonFromCalendar", {
+        name: "TRADING-PLACES.Settings.SeasonFromCalendar.Name",
+        hint: "TRADING-PLACES.Settings.SeasonFromCalendar.Hint",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false,
+        onChange: onSeasonFromCalendarChange
+    });
+
     // Chat visibility setting
     game.settings.register(MODULE_ID, "chatVisibility", {
         name: "TRADING-PLACES.Settings.ChatVisibility.Name",
@@ -726,6 +783,16 @@ function registerModuleSettings() {
         onChange: onChatVisibilityChange
     });
 
+    // Contraband inspections on arrival and sale
+    game.settings.register(MODULE_ID, "contrabandInspections", {
+        name: "TRADING-PLACES.Settings.ContrabandInspections.Name",
+        hint: "TRADING-PLACES.Settings.ContrabandInspections.Hint",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
     // Module version setting (for migration tracking)
     game.settings.register(MODULE_ID, "moduleVersion", {
         name: "Module Version",
@@ -852,6 +919,187 @@ function registerModuleSettings() {
         onChange: () => rerenderOpenTradingWindows()
     });
 
+    // Market ledger setting
+    game.settings.register(MODULE_ID, "marketState", {
+        name: "Market State",
+        hint: "Settlement cargo stock depleted by purchases, by dataset",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    // Economic events setting
+    game.settings.register(MODULE_ID, "economicEvents", {
+        name: "Economic Events",
+        hint: "GM-declared regional economic events, by dataset",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => {
+            // Reload events on every client so availability uses the GM's latest changes
+            if (dataManager) {
+                dataManager.economicEvents = null;
+            }
+            if (tradingEngine) {
+                tradingEngine.planCache.clear();
+            }
+            rerenderOpenTradingWindows();
+        }
+    });
+
+    // Rumor board setting
+    game.settings.register(MODULE_ID, "rumorBoard", {
+        name: "Rumor Board",
+        hint: "Market rumors and whether they are true, by dataset; players' journals are kept in user flags",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => {
+            // Reload the board so the GM's journal window shows the latest rumors
+            if (dataManager) {
+                dataManager.rumorBoard = null;
+            }
+            foundry.applications?.instances?.get('trading-places-rumor-journal')?.render(false);
+        }
+    });
+
+    // Delivery contracts setting
+    game.settings.register(MODULE_ID, "deliveryContracts", {
+        name: "Delivery Contracts",
+        hint: "Delivery contracts offered at settlements and accepted by the party, by dataset",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => {
+            // Reload contracts on every client so the contract board shows the latest offers
+            if (dataManager) {
+                dataManager.deliveryContracts = null;
+            }
+            foundry.applications?.instances?.get('trading-places-delivery-contracts')?.render(false);
+        }
+    });
+
+    // Price history setting
+    game.settings.register(MODULE_ID, "priceHistory", {
+        name: "Price History",
+        hint: "Prices seen per settlement, cargo, quality and date, by dataset",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => {
+            // Reload the history on every client so price charts include other players' trades
+            if (dataManager) {
+                dataManager.priceHistory = null;
+            }
+        }
+    });
+
+    // Vessels setting
+    game.settings.register(MODULE_ID, "vessels", {
+        name: "Vessels",
+        hint: "The party's boats and wagons and which one carries the cargo, by dataset",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => {
+            // Reload the fleet on every client so capacity follows the active vessel
+            if (dataManager) {
+                dataManager.vesselFleet = null;
+            }
+            foundry.applications?.instances?.get('trading-places-vessel-roster')?.render(false);
+            rerenderOpenTradingWindows();
+        }
+    });
+
+    // Warehouses setting
+    game.settings.register(MODULE_ID, "warehouses", {
+        name: "Warehouses",
+        hint: "Warehouses the party rents to store cargo, and the storage fees charged, by dataset",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => {
+            if (dataManager) {
+                dataManager.warehouseStorage = null;
+            }
+            foundry.applications?.instances?.get('trading-places-profit-ledger')?.render(false);
+            rerenderOpenTradingWindows();
+        }
+    });
+
+    // Merchant credit setting
+    game.settings.register(MODULE_ID, "merchantCredit", {
+        name: "Merchant Credit",
+        hint: "The party's loans and letters of credit with merchant houses, by dataset",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => {
+            if (dataManager) {
+                dataManager.merchantCredit = null;
+            }
+            foundry.applications?.instances?.get('trading-places-credit-ledger')?.render(false);
+        }
+    });
+
+    // Reputation setting
+    game.settings.register(MODULE_ID, "reputation", {
+        name: "Reputation",
+        hint: "The party's standing with the merchants of each settlement and region, by dataset",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => {
+            if (dataManager) {
+                dataManager.reputation = null;
+            }
+            foundry.applications?.instances?.get('trading-places-reputation-panel')?.render(false);
+            rerenderOpenTradingWindows();
+        }
+    });
+
+    // Merchant roster setting
+    game.settings.register(MODULE_ID, "merchantRoster", {
+        name: "Merchant Roster",
+        hint: "The recurring merchants of each settlement and their dealings with the party, by dataset",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => {
+            if (dataManager) {
+                dataManager.merchantRoster = null;
+            }
+        }
+    });
+
+    // Trade requests setting
+    game.settings.register(MODULE_ID, "tradeRequests", {
+        name: "Trade Requests",
+        hint: "Players' purchases and sales waiting for the GM's approval, by dataset",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => {
+            // Reload the queue on every client so players see their requests leave it
+            if (dataManager) {
+                dataManager.tradeRequests = null;
+            }
+            foundry.applications?.instances?.get('trading-places-approval-queue')?.render(false);
+            rerenderOpenTradingWindows();
+        }
+    });
+
     // Cargo availability data setting
     game.settings.register(MODULE_ID, "cargoAvailabilityData", {
         name: "Cargo Availability Data",
@@ -1420,6 +1668,360 @@ function rerenderOpenTradingWindows() {
     }
 }
 
+async function onSeasonFromCalendarChange(enabled) {
+    console.log(`Trading Places | Season from calendar ${enabled ? 'enabled' : 'disabled'}`);
+
+    if (tradingEngine) {
+        tradingEngine.setSeasonFollowsCalendar(enabled);
+    }
+
+    await syncSeasonWithCalendar();
+    rerenderOpenTradingWindows();
+}
+
+/**
+ * Update the season from the in-game calendar (GM only, as the season is a world setting)
+ * @param {number} worldTime - World time in seconds (defaults to now)
+ */
+async function syncSeasonWithCalendar(worldTime = TradingClock.now()) {
+    if (!tradingEngine || !game.user?.isGM) {
+        return;
+    }
+
+    try {
+        const season = await tradingEngine.syncSeasonWithCalendar(worldTime);
+        if (season === null && tradingEngine.seasonFollowsCalendar) {
+            console.warn('Trading Places | Season from calendar is enabled but no calendar season was found');
+        }
+    } catch (error) {
+        console.error('Trading Places | Calendar season sync failed:', error);
+    }
+}
+
+/**
+ * Check whether this client is the active GM, so world-time upkeep runs once with several GMs connected
+ * @returns {boolean} - True for the active GM (or any GM when Foundry reports none)
+ */
+function isActiveGM() {
+    if (!game.user?.isGM) {
+        return false;
+    }
+    const activeGM = game.users?.activeGM;
+    return !activeGM || activeGM.id === game.user.id;
+}
+
+/**
+ * Age the perishable cargo in the hold (active GM only, as the hold is stored in world settings)
+ * @param {number} worldTime - World time in seconds (defaults to now)
+ */
+async function applyCargoSpoilage(worldTime = TradingClock.now()) {
+    if (!dataManager || !isActiveGM()) {
+        return;
+    }
+
+    try {
+        const result = await dataManager.applyCargoSpoilage(worldTime);
+        if (!result.changed) {
+            return;
+        }
+
+        const lines = [
+            ...result.changes.map(change => {
+                const losses = [];
+                if (change.to.quality !== change.from.quality) {
+                    losses.push(`${change.from.quality} → ${change.to.quality}`);
+                }
+                if (change.to.quantity !== change.from.quantity) {
+                    losses.push(`${change.from.quantity} → ${change.to.quantity} EP`);
+                }
+                return `<li>${change.cargo.cargo}: ${losses.join(', ')}</li>`;
+            }),
+            ...result.spoiled.map(cargo => `<li>${cargo.quantity} EP of ${cargo.cargo} has spoiled and was thrown out</li>`)
+        ];
+
+        await ChatMessage.create({
+            content: `<div class="cargo-spoilage"><h3>Cargo Spoiling</h3><ul>${lines.join('')}</ul></div>`,
+            whisper: game.settings.get(MODULE_ID, "chatVisibility") === "gm" ? [game.user.id] : null
+        });
+
+        rerenderOpenTradingWindows();
+    } catch (error) {
+        console.error('Trading Places | Cargo spoilage failed:', error);
+    }
+}
+
+/**
+ * Charge the party for crew wages and upkeep (active GM only, as the fleet is stored in world settings)
+ * Each vessel is paid for by the actor recorded on it; days that cannot be paid wear it down
+ * @param {number} worldTime - World time in seconds (defaults to now)
+ */
+async function chargeVesselRunningCosts(worldTime = TradingClock.now()) {
+    if (!dataManager || !isActiveGM()) {
+        return;
+    }
+
+    try {
+        const fleet = dataManager.getVesselFleet();
+        const owed = fleet.calculateRunningCosts(worldTime);
+        if (owed.vessels.length === 0) {
+            return;
+        }
+
+        const currencyContext = resolveCurrencyContext(dataManager);
+        const format = value => formatCanonicalValue(value, currencyContext, { defaultText: `${value} BP` });
+        const lines = [];
+
+        for (const entry of owed.vessels) {
+            const { vessel, days, total } = entry;
+            const actor = vessel.payerId ? game.actors?.get(vessel.payerId) : null;
+            let paid = false;
+            if (actor && systemAdapter && total > 0) {
+                const result = await systemAdapter.deductCurrency(actor, systemAdapter.toPrimaryDenomination(total), `Running costs: ${vessel.name} (${days} days)`);
+                paid = !!result?.success;
+            } else if (total === 0) {
+                paid = true;
+            }
+
+            fleet.settleRunningCosts(vessel.id, days, paid);
+            if (total > 0) {
+                lines.push(paid
+                    ? `<li>${vessel.name}: ${format(total)} for ${days} day${days === 1 ? '' : 's'} paid by ${actor.name}</li>`
+                    : `<li>${vessel.name}: ${format(total)} for ${days} day${days === 1 ? '' : 's'} <strong>unpaid</strong>, condition ${vessel.condition}%</li>`);
+            }
+        }
+
+        await dataManager.saveVesselFleet();
+
+        if (lines.length > 0) {
+            await ChatMessage.create({
+                content: `<div class="vessel-running-costs"><h3>Crew Wages and Upkeep</h3><ul>${lines.join('')}</ul></div>`,
+                whisper: game.settings.get(MODULE_ID, "chatVisibility") === "gm" ? [game.user.id] : null
+            });
+        }
+    } catch (error) {
+        console.error('Trading Places | Vessel running costs failed:', error);
+    }
+}
+
+/**
+ * Charge the party for warehouse storage (active GM only, as warehouses are stored in world settings)
+ * Each warehouse is paid for by the actor who rented it; weeks that cannot be paid are recorded as owed
+ * @param {number} worldTime - World time in seconds (defaults to now)
+ */
+async function chargeWarehouseFees(worldTime = TradingClock.now()) {
+    if (!dataManager || !isActiveGM()) {
+        return;
+    }
+
+    try {
+        const storage = dataManager.getWarehouseStorage();
+        if (storage.calculateFees(worldTime).length === 0) {
+            return;
+        }
+
+        const charges = await storage.collectFees((warehouse, amount, weeks) => payWarehouseFee(warehouse, amount, weeks), worldTime);
+        await dataManager.saveWarehouseStorage();
+
+        const currencyContext = resolveCurrencyContext(dataManager);
+        const format = value => formatCanonicalValue(value, currencyContext, { defaultText: `${value} BP` });
+        const lines = charges
+            .filter(charge => charge.amount > 0)
+            .map(charge => (charge.paid
+                ? `<li>${charge.settlement}: ${format(charge.amount)} for ${charge.weeks} week${charge.weeks === 1 ? '' : 's'} paid by ${charge.payer}</li>`
+                : `<li>${charge.settlement}: ${format(charge.amount)} for ${charge.weeks} week${charge.weeks === 1 ? '' : 's'} <strong>owed</strong></li>`));
+
+        if (lines.length > 0) {
+            await ChatMessage.create({
+                content: `<div class="warehouse-fees"><h3>Warehouse Storage</h3><ul>${lines.join('')}</ul></div>`,
+                whisper: game.settings.get(MODULE_ID, "chatVisibility") === "gm" ? [game.user.id] : null
+            });
+        }
+    } catch (error) {
+        console.error('Trading Places | Warehouse fees failed:', error);
+    }
+}
+
+/**
+ * Take a warehouse fee from the purse of the actor who rented the warehouse
+ * @param {Object} warehouse - Warehouse
+ * @param {number} amount - Fee in canonical units (BP)
+ * @param {number} weeks - Weeks paid for
+ * @returns {Promise<Object>} - { paid, payer }
+ */
+async function payWarehouseFee(warehouse, amount, weeks) {
+    const actor = warehouse.payerId ? game.actors?.get(warehouse.payerId) : null;
+    if (!actor || !systemAdapter) {
+        return { paid: false, payer: null };
+    }
+
+    const result = await systemAdapter.deductCurrency(actor, systemAdapter.toPrimaryDenomination(amount), `Warehouse at ${warehouse.settlement} (${weeks} week${weeks === 1 ? '' : 's'})`);
+    return { paid: !!result?.success, payer: actor.name };
+}
+
+/**
+ * Flag the loans that have gone overdue and post them to chat (active GM only, so the card is posted once)
+ * Penalties and seizing collateral are left to the GM, from the credit window
+ * @param {number} worldTime - Current world time in seconds
+ */
+async function flagOverdueLoans(worldTime = TradingClock.now()) {
+    if (!dataManager || !isActiveGM()) {
+        return;
+    }
+
+    try {
+        const overdue = dataManager.getMerchantCredit().flagOverdue(worldTime);
+        if (overdue.length === 0) {
+            return;
+        }
+        await dataManager.saveMerchantCredit();
+
+        const credit = dataManager.getMerchantCredit();
+        const currencyContext = resolveCurrencyContext(dataManager);
+        const format = value => formatCanonicalValue(value, currencyContext, { defaultText: `${value} BP` });
+        const lines = overdue.map(loan =>
+            `<li>${loan.lender}: ${format(credit.getAmountOwed(loan))} owed, secured on ${loan.collateral.description}</li>`);
+
+        await ChatMessage.create({
+            content: `<div class="loans-overdue"><h3>Loans Overdue</h3><ul>${lines.join('')}</ul></div>`,
+            whisper: game.settings.get(MODULE_ID, "chatVisibility") === "gm" ? [game.user.id] : null
+        });
+    } catch (error) {
+        console.error('Trading Places | Overdue loan check failed:', error);
+    }
+}
+
+/**
+ * Listen on the module socket for players' trade requests and the GM's answers
+ * The GM's approval queue opens when a request arrives
+ */
+function listenForTradeRequests() {
+    if (!dataManager || tradeApprovals) {
+        return;
+    }
+
+    tradeApprovals = new TradeApprovalService(dataManager, systemAdapter, { logger: debugLogger, tradingEngine });
+    tradeApprovals.listen();
+
+    Hooks.on(`${MODULE_ID}.tradeRequestsChanged`, (pending) => {
+        if (!tradeApprovals.isApprover() || pending.length === 0) {
+            return;
+        }
+        const queue = foundry.applications?.instances?.get('trading-places-approval-queue');
+        if (queue) {
+            queue.render(false);
+        } else {
+            window.TradingPlacesApprovalQueue?.show(dataManager);
+        }
+    });
+
+    // Approved trades change the shared history and hold
+    Hooks.on(`${MODULE_ID}.tradeRequestResolved`, (outcome) => {
+        if (outcome.status !== 'approved') {
+            return;
+        }
+        const app = foundry.applications?.instances?.get('trading-places');
+        if (app) {
+            app.transactionHistory = dataManager.history;
+        }
+        rerenderOpenTradingWindows();
+    });
+}
+
+/**
+ * Follow the cargo items on actor sheets: edits, deletions and new flagged items change the hold
+ */
+function listenForCargoItems() {
+    // A purchase or sale touches items and the hold together, so wait for it to finish
+    const sync = foundry.utils.debounce(() => syncCargoFromItems(), 250);
+    const onItemChange = (item, changes) => {
+        if (item.parent?.documentName === 'Actor' && (CargoItems.isCargoItem(item) || changes?.flags?.[MODULE_ID])) {
+            sync();
+        }
+    };
+
+    Hooks.on('createItem', (item) => onItemChange(item));
+    Hooks.on('updateItem', (item, changes) => onItemChange(item, changes));
+    Hooks.on('deleteItem', (item) => onItemChange(item));
+}
+
+/**
+ * Buy from market slots dragged out of the trading window onto actor sheets
+ */
+function listenForCargoDrops() {
+    Hooks.on('dropActorSheetData', (actor, sheet, data) => {
+        if (!CargoDragDrop.isMarketSlot(data)) {
+            return;
+        }
+
+        const app = foundry.applications?.instances?.get('trading-places');
+        if (!app?.eventHandlers) {
+            ui.notifications.warn('Open the Trading Places window to buy from its market');
+            return false;
+        }
+        app.eventHandlers.onMarketSlotDrop(data, actor);
+        // The sheet must not treat the slot as an item of its own
+        return false;
+    });
+}
+
+/**
+ * Read the hold back from the cargo items; only the active GM saves it
+ */
+async function syncCargoFromItems() {
+    if (!dataManager) {
+        return;
+    }
+
+    try {
+        const activeGM = game.users?.activeGM;
+        const save = game.user?.isGM === true && (!activeGM || activeGM.id === game.user.id);
+        const result = await dataManager.syncCargoFromItems(null, { save });
+        if (!result.changed) {
+            return;
+        }
+
+        const app = foundry.applications?.instances?.get('trading-places');
+        if (app) {
+            app.currentCargo = dataManager.cargo;
+        }
+        rerenderOpenTradingWindows();
+    } catch (error) {
+        console.error('Trading Places | Failed to read cargo from actor items:', error);
+    }
+}
+
+/**
+ * Share the market the GM generates with every player's market view
+ */
+function listenForMarketBroadcasts() {
+    if (marketBroadcast) {
+        return;
+    }
+
+    marketBroadcast = new MarketBroadcastService({ logger: debugLogger });
+    marketBroadcast.listen();
+
+    Hooks.on(`${MODULE_ID}.marketChanged`, () => {
+        foundry.applications?.instances?.get('trading-places-market-view')?.render(false);
+    });
+
+    // A player's approved purchase takes stock off the GM's market as well
+    Hooks.on(`${MODULE_ID}.tradeRequestResolved`, async (outcome) => {
+        if (outcome.status !== 'approved' || outcome.type !== 'purchase' || !marketBroadcast.isPublisher()) {
+            return;
+        }
+
+        const purchasedCargo = dataManager?.getTradeRequests().getRequest(outcome.requestId)?.payload?.item?.cargoData || null;
+        const app = foundry.applications?.instances?.get('trading-places');
+        if (purchasedCargo && app?.selectedSettlement?.name === outcome.settlement) {
+            // Saving the GM's cargo availability shares the market again
+            await app.eventHandlers._updateCargoAvailabilityAfterPurchase(purchasedCargo, outcome.quantity);
+        } else {
+            marketBroadcast.recordPurchase(outcome.settlement, outcome.cargo, outcome.quantity, purchasedCargo?.slotNumber ?? null);
+        }
+    });
+}
+
 async function onCurrentSeasonChange(newValue) {
     console.log(`Trading Places | Current season changed to: ${newValue}`);
 
@@ -1893,6 +2495,8 @@ async function initializeCoreComponents() {
                 tradingEngine.setCurrentSeason("spring");
             }
 
+            tradingEngine.setSeasonFollowsCalendar(game.settings.get(MODULE_ID, "seasonFromCalendar"));
+
             console.log('Trading Places | TradingEngine initialized');
         } else {
             throw new Error('DataManager required for TradingEngine initialization');
@@ -2215,6 +2819,15 @@ window.TradingPlaces = {
     getTradingEngine: () => tradingEngine,
     getSystemAdapter: () => systemAdapter,
     getDebugLogger: () => debugLogger,
+    getTradeApprovals: () => tradeApprovals,
+    getMarketBroadcast: () => marketBroadcast,
+
+    // Warehouse storage: charge the fees owed now, as when a warehouse is rented
+    chargeWarehouseFees: () => chargeWarehouseFees(),
+
+    // Price history: one cargo across every settlement, and how a price compares with it
+    getCargoPriceHistory: (cargoName, filters = {}) => dataManager?.getCargoPriceHistory(cargoName, filters) ?? null,
+    evaluatePrice: (cargoName, pricePerEP, filters = {}) => dataManager?.getPriceHistory().evaluatePrice(cargoName, pricePerEP, filters) ?? null,
     
     // Simple utility function
     openTradingDialog: () => openTradingInterface(),
@@ -2230,7 +2843,7 @@ window.TradingPlaces = {
             totalCost: 112.5,
             settlement: "Altdorf",
             season: "spring",
-            date: new Date().toISOString(),
+            ...TradingClock.stamp(),
             contraband: false
         };
         
@@ -0,0 +1,213 @@
+/**
+ * Trading Places Module - Market Broadcast
+ * Shares the market the GM generated with the players' read-only market view
+ */
+
+console.log('Trading Places | Loading market-broadcast.js');
+
+import { TradingClock } from './trading-clock.js';
+
+const MODULE_ID = "fvtt-trading-places";
+
+/**
+ * Market Broadcast Service class for the live market shown to players
+ *
+ * When the GM checks availability, the cargo found is saved in the GM's cargoAvailabilityData and
+ * shown in the GM's window. The service turns that data into a player view — what the party can
+ * see standing in the market — and sends it over the module socket. The true merchant skill, the
+ * real quality behind a merchant's claim and the availability rolls never leave the GM client;
+ * contraband is only marked when the GM does not hide contraband status. Purchases draw the
+ * shared market down and are sent again, so every open market view stays in step.
+ */
+export class MarketBroadcastService {
+    static SOCKET = `module.${MODULE_ID}`;
+
+    /**
+     * @param {Object} options - { socket, now, logger } where socket defaults to game.socket
+     */
+    constructor(options = {}) {
+        this.socket = options.socket || null;
+        this.now = typeof options.now === 'function' ? options.now : () => TradingClock.now();
+        this.logger = options.logger || null;
+        this.market = null; // Latest player view received or published
+    }
+
+    /**
+     * Build what the players may see of a market
+     * @param {Object} cargoData - Saved cargo availability ({ settlement, season, successfulCargo })
+     * @param {Object} options - { hideContraband }
+     * @returns {Object} - { settlement, season, worldTime, cargo: [{ slotNumber, name, category, quality, quantity, pricePerEP, merchant, contraband }] }
+     */
+    static toPlayerView(cargoData = {}, options = {}) {
+        const hideContraband = options.hideContraband === true;
+        const successful = Array.isArray(cargoData.successfulCargo) ? cargoData.successfulCargo : [];
+
+        const cargo = successful
+            .map(entry => ({
+                slotNumber: entry.slotNumber ?? null,
+                name: entry.name,
+                category: entry.category || null,
+                // The quality the merchant claims, not the real tier
+                quality: typeof entry.quality === 'string' ? entry.quality : entry.quality?.tier || 'Average',
+                quantity: Number(entry.totalEP ?? entry.quantity) || 0,
+                pricePerEP: entry.currentPriceCanonical ?? entry.currentPrice ?? null,
+                merchant: { name: entry.merchant?.name || 'Unknown Merchant' },
+                contraband: hideContraband ? null : entry.slotInfo?.contraband?.contraband === true
+            }))
+            .filter(entry => entry.name && entry.quantity > 0);
+
+        return {
+            settlement: cargoData.settlement || null,
+            season: cargoData.season || null,
+            worldTime: cargoData.worldTime ?? null,
+            contrabandHidden: hideContraband,
+            cargo
+        };
+    }
+
+    /**
+     * Take a purchase off a player view
+     * @param {Object} market - Player view
+     * @param {string} cargoName - Cargo bought
+     * @param {number} quantity - EP bought
+     * @param {number|null} slotNumber - Slot bought from, when known
+     * @returns {Object} - New player view (the same one when nothing matched)
+     */
+    static withPurchase(market, cargoName, quantity, slotNumber = null) {
+        const index = market.cargo.findIndex(entry =>
+            entry.name === cargoName && (slotNumber === null || entry.slotNumber === slotNumber));
+        if (index === -1) {
+            return market;
+        }
+
+        const cargo = market.cargo
+            .map((entry, i) => (i === index ? { ...entry, quantity: Math.max(0, entry.quantity - quantity) } : entry))
+            .filter(entry => entry.quantity > 0);
+        return { ...market, cargo };
+    }
+
+    _getSocket() {
+        return this.socket || (typeof game !== 'undefined' ? game.socket : null);
+    }
+
+    /**
+     * Start listening for markets and for players asking for the current one
+     */
+    listen() {
+        const socket = this._getSocket();
+        if (!socket) {
+            console.warn('Trading Places | Socket not available, shared market view disabled');
+            return;
+        }
+        socket.on(MarketBroadcastService.SOCKET, message => this.handleMessage(message));
+    }
+
+    /**
+     * Whether this client publishes the market: the active GM, so players get one market
+     * @returns {boolean}
+     */
+    isPublisher() {
+        if (!game.user?.isGM) {
+            return false;
+        }
+        const activeGM = game.users?.activeGM;
+        return !activeGM || activeGM.id === game.user.id;
+    }
+
+    /**
+     * Handle a message from the module socket
+     * @param {Object} message - { action: 'market', market } or { action: 'marketRequest' }
+     */
+    handleMessage(message) {
+        try {
+            if (message?.action === 'market') {
+                this._receiveMarket(message.market);
+            } else if (message?.action === 'marketRequest' && this.isPublisher() && this.market) {
+                this._send();
+            }
+        } catch (error) {
+            console.error('Trading Places | Failed to handle market message:', error);
+        }
+    }
+
+    _receiveMarket(market) {
+        this.market = market || null;
+        Hooks.callAll(`${MODULE_ID}.marketChanged`, this.market);
+    }
+
+    /**
+     * Share the GM's market with the players (GM only)
+     * @param {Object} cargoData - Saved cargo availability
+     * @param {Object} options - { hideContraband }
+     * @returns {Object|null} - The player view sent, or null when this client does not publish
+     */
+    publish(cargoData, options = {}) {
+        if (!this.isPublisher()) {
+            return null;
+        }
+
+        this.market = { ...MarketBroadcastService.toPlayerView(cargoData, options), publishedAt: this.now() };
+        this._send();
+        Hooks.callAll(`${MODULE_ID}.marketChanged`, this.market);
+
+        this.getLogger().logSystem('Market Broadcast', `Shared the market at ${this.market.settlement}`, {
+            season: this.market.season,
+            cargo: this.market.cargo.length
+        });
+        return this.market;
+    }
+
+    /**
+     * Draw a purchase off the shared market and send it again (GM only)
+     * @param {string} settlement - Settlement the cargo was bought at
+     * @param {string} cargoName - Cargo bought
+     * @param {number} quantity - EP bought
+     * @param {number|null} slotNumber - Slot bought from, when known
+     * @returns {Object|null} - The updated player view, or null when the shared market is elsewhere
+     */
+    recordPurchase(settlement, cargoName, quantity, slotNumber = null) {
+        if (!this.isPublisher() || !this.market || this.market.settlement !== settlement) {
+            return null;
+        }
+
+        this.market = { ...MarketBroadcastService.withPurchase(this.market, cargoName, quantity, slotNumber), publishedAt: this.now() };
+        this._send();
+        Hooks.callAll(`${MODULE_ID}.marketChanged`, this.market);
+        return this.market;
+    }
+
+    /**
+     * Ask the GM for the current market, for a market view opened after it was shared
+     */
+    requestMarket() {
+        if (this.isPublisher()) {
+            return;
+        }
+        this._getSocket()?.emit(MarketBroadcastService.SOCKET, { action: 'marketRequest' });
+    }
+
+    _send() {
+        this._getSocket()?.emit(MarketBroadcastService.SOCKET, { action: 'market', market: this.market });
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesMarketBroadcastService = MarketBroadcastService;
+}
@@ -0,0 +1,413 @@
+/**
+ * Trading Places Module - Market Ledger
+ * Persistent per-settlement cargo stock and sale volume, recovering over time
+ */
+
+console.log('Trading Places | Loading market-ledger.js');
+
+import { EquilibriumCalculator } from './equilibrium-calculator.js';
+import { TradingClock, SECONDS_PER_DAY } from './trading-clock.js';
+
+/**
+ * Market Ledger class for settlement stock tracking
+ *
+ * Each settlement/cargo pair has a baseline stock derived from the settlement size and
+ * its equilibrium supply. Purchases draw the stock down; it recovers toward the baseline
+ * as in-game time passes. Sales are tracked separately: cargo sold at a settlement floods its
+ * market, lowering later offers until the sold volume fades away. Only disturbed markets
+ * are stored — an entry is dropped once it has fully recovered.
+ */
+export class MarketLedger {
+    /**
+     * @param {Object} dataManager - DataManager instance (settlements, cargo types and trading config)
+     * @param {Object} options - { state, now, logger } where now() returns world time in seconds
+     */
+    constructor(dataManager, options = {}) {
+        if (!dataManager) {
+            throw new Error('MarketLedger requires a DataManager instance');
+        }
+
+        this.dataManager = dataManager;
+        this.state = options.state && typeof options.state === 'object' ? options.state : {};
+        this.now = typeof options.now === 'function' ? options.now : () => TradingClock.now();
+        this.logger = options.logger || null;
+        this.equilibriumCalculator = null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * Get the `market` section of the trading config with defaults applied
+     * @returns {Object} - Market configuration
+     */
+    getConfig() {
+        const config = this.dataManager.tradingConfig?.market || {};
+        return {
+            stockPerSize: config.stockPerSize ?? 50,
+            minimumStock: config.minimumStock ?? 10,
+            regenerationPerDay: config.regenerationPerDay ?? 0.1,
+            depletionShift: {
+                supply: config.depletionShift?.supply ?? 0.5,
+                demand: config.depletionShift?.demand ?? 0.5
+            }
+        };
+    }
+
+    /**
+     * Get the `marketFlooding` section of the trading config with defaults applied
+     * @returns {Object} - Market flooding configuration
+     */
+    getFloodingConfig() {
+        const config = this.dataManager.tradingConfig?.marketFlooding || {};
+        return {
+            fadeDays: config.fadeDays ?? 14,
+            volumePerSize: config.volumePerSize ?? 50,
+            maxPriceReduction: config.maxPriceReduction ?? 0.5,
+            supplyShift: config.supplyShift ?? 0.5
+        };
+    }
+
+    _getEquilibriumCalculator() {
+        if (!this.equilibriumCalculator) {
+            this.equilibriumCalculator = new EquilibriumCalculator(this.dataManager.tradingConfig, this.dataManager.sourceFlags || {});
+        }
+        return this.equilibriumCalculator;
+    }
+
+    _resolveSettlement(settlement) {
+        const resolved = typeof settlement === 'string' ? this.dataManager.getSettlement(settlement) : settlement;
+        if (!resolved || !resolved.name) {
+            throw new Error(`Unknown settlement: ${typeof settlement === 'string' ? settlement : settlement?.name}`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Calculate the stock a settlement holds of a cargo when its market is undisturbed
+     * Scales with settlement size and with the equilibrium supply relative to the baseline
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} cargoName - Cargo type name
+     * @param {string} season - Season used for the equilibrium calculation
+     * @returns {number} - Baseline stock in EP
+     */
+    calculateBaselineStock(settlement, cargoName, season = 'spring') {
+        const resolved = this._resolveSettlement(settlement);
+        const config = this.getConfig();
+        const cargoData = (this.dataManager.cargoTypes || []).find(cargo => cargo.name === cargoName) || null;
+
+        const equilibrium = this._getEquilibriumCalculator().calculateEquilibrium(
+            { ...resolved, flags: resolved.flags || [], wealth: resolved.wealth ?? 3 },
+            cargoName,
+            { season, cargoData }
+        );
+
+        const baselineSupply = this.dataManager.tradingConfig?.equilibrium?.baseline?.supply || 100;
+        const sizeRating = Math.max(1, this.dataManager.convertSizeToNumeric(resolved.size) || 1);
+        const stock = Math.round(config.stockPerSize * sizeRating * (equilibrium.supply / baselineSupply));
+
+        return Math.max(config.minimumStock, stock);
+    }
+
+    /**
+     * Get the current market state of a cargo at a settlement, applying regeneration
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} cargoName - Cargo type name
+     * @param {string} season - Season used for the baseline
+     * @returns {Object} - { settlement, cargo, stock, baseline, depletion, lastUpdated }
+     */
+    getEntry(settlement, cargoName, season = 'spring') {
+        const resolved = this._resolveSettlement(settlement);
+        const baseline = this.calculateBaselineStock(resolved, cargoName, season);
+        const stored = this.state[resolved.name]?.[cargoName];
+
+        if (!stored || stored.stock === undefined) {
+            return this._describe(resolved.name, cargoName, baseline, baseline, null);
+        }
+
+        const stock = this._regenerate(stored, baseline);
+        if (stock >= baseline) {
+            delete stored.stock;
+            delete stored.lastUpdated;
+            this._pruneEntry(resolved.name, cargoName);
+            return this._describe(resolved.name, cargoName, baseline, baseline, null);
+        }
+
+        return this._describe(resolved.name, cargoName, stock, baseline, stored.lastUpdated);
+    }
+
+    /**
+     * Record a purchase, drawing down the settlement stock
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} cargoName - Cargo type name
+     * @param {number} quantity - Quantity bought in EP
+     * @param {string} season - Season used for the baseline
+     * @returns {Object} - Updated market entry
+     */
+    recordPurchase(settlement, cargoName, quantity, season = 'spring') {
+        const amount = Number(quantity);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            throw new Error('Purchase quantity must be a positive number');
+        }
+
+        const current = this.getEntry(settlement, cargoName, season);
+        const stock = Math.max(0, current.stock - amount);
+        const timestamp = this.now();
+
+        const stored = this._getOrCreateEntry(current.settlement, cargoName);
+        stored.stock = stock;
+        stored.lastUpdated = timestamp;
+
+        this.getLogger().logSystem('Market', `Purchase recorded: ${amount} EP of ${cargoName} at ${current.settlement}`, {
+            stockBefore: current.stock,
+            stockAfter: stock,
+            baseline: current.baseline
+        });
+
+        return this._describe(current.settlement, cargoName, stock, current.baseline, timestamp);
+    }
+
+    /**
+     * Return bought cargo to a settlement, raising its stock back toward the baseline
+     * Only a market still short of stock takes the cargo back; one that has recovered is left alone
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} cargoName - Cargo type name
+     * @param {number} quantity - Quantity returned in EP
+     * @param {string} season - Season used for the baseline
+     * @returns {Object|null} - Updated market entry, or null if the market had already recovered
+     */
+    returnStock(settlement, cargoName, quantity, season = 'spring') {
+        const amount = Number(quantity);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            throw new Error('Returned quantity must be a positive number');
+        }
+
+        const current = this.getEntry(settlement, cargoName, season);
+        const stored = this.state[current.settlement]?.[cargoName];
+        if (!stored || stored.stock === undefined) {
+            return null;
+        }
+
+        const stock = Math.min(current.baseline, current.stock + amount);
+        let lastUpdated = this.now();
+        if (stock >= current.baseline) {
+            delete stored.stock;
+            delete stored.lastUpdated;
+            this._pruneEntry(current.settlement, cargoName);
+            lastUpdated = null;
+        } else {
+            stored.stock = stock;
+            stored.lastUpdated = lastUpdated;
+        }
+
+        this.getLogger().logSystem('Market', `Stock returned: ${amount} EP of ${cargoName} at ${current.settlement}`, {
+            stockBefore: current.stock,
+            stockAfter: stock,
+            baseline: current.baseline
+        });
+
+        return this._describe(current.settlement, cargoName, stock, current.baseline, lastUpdated);
+    }
+
+    /**
+     * Get how saturated a settlement market is by recent sales of a cargo
+     * Sold volume fades linearly to nothing over `fadeDays`
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} cargoName - Cargo type name
+     * @returns {Object} - { settlement, cargo, volume, capacity, saturation, priceMultiplier, supplyShift, lastUpdated }
+     */
+    getSaleSaturation(settlement, cargoName) {
+        const resolved = this._resolveSettlement(settlement);
+        const config = this.getFloodingConfig();
+        const stored = this.state[resolved.name]?.[cargoName];
+        let volume = 0;
+
+        if (stored?.sold) {
+            volume = this._fadeVolume(stored.sold);
+            if (volume <= 0) {
+                delete stored.sold;
+                this._pruneEntry(resolved.name, cargoName);
+            }
+        }
+
+        const sizeRating = Math.max(1, this.dataManager.convertSizeToNumeric(resolved.size) || 1);
+        const capacity = Math.max(1, config.volumePerSize * sizeRating);
+        const saturation = Math.min(1, volume / capacity);
+
+        return {
+            settlement: resolved.name,
+            cargo: cargoName,
+            volume,
+            capacity,
+            saturation,
+            priceMultiplier: 1 - saturation * config.maxPriceReduction,
+            supplyShift: saturation * config.supplyShift,
+            lastUpdated: volume > 0 ? stored.sold.lastUpdated : null
+        };
+    }
+
+    /**
+     * Record a sale, adding to the volume flooding the settlement market
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} cargoName - Cargo type name
+     * @param {number} quantity - Quantity sold in EP
+     * @returns {Object} - Updated sale saturation
+     */
+    recordSale(settlement, cargoName, quantity) {
+        const amount = Number(quantity);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            throw new Error('Sale quantity must be a positive number');
+        }
+
+        const current = this.getSaleSaturation(settlement, cargoName);
+        const stored = this._getOrCreateEntry(current.settlement, cargoName);
+        stored.sold = { volume: current.volume + amount, lastUpdated: this.now() };
+
+        this.getLogger().logSystem('Market', `Sale recorded: ${amount} EP of ${cargoName} at ${current.settlement}`, {
+            volumeBefore: current.volume,
+            volumeAfter: stored.sold.volume
+        });
+
+        return this.getSaleSaturation(current.settlement, cargoName);
+    }
+
+    /**
+     * Take a sale back out of the volume flooding a settlement market
+     * @param {Object|string} settlement - Settlement object or name
+     * @param {string} cargoName - Cargo type name
+     * @param {number} quantity - Quantity sold in EP
+     * @returns {Object|null} - Updated sale saturation, or null if the sold volume had already faded
+     */
+    withdrawSale(settlement, cargoName, quantity) {
+        const amount = Number(quantity);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            throw new Error('Sale quantity must be a positive number');
+        }
+
+        const current = this.getSaleSaturation(settlement, cargoName);
+        const stored = this.state[current.settlement]?.[cargoName];
+        if (!stored?.sold) {
+            return null;
+        }
+
+        const volume = Math.max(0, current.volume - amount);
+        if (volume > 0) {
+            stored.sold = { volume, lastUpdated: this.now() };
+        } else {
+            delete stored.sold;
+            this._pruneEntry(current.settlement, cargoName);
+        }
+
+        this.getLogger().logSystem('Market', `Sale withdrawn: ${amount} EP of ${cargoName} at ${current.settlement}`, {
+            volumeBefore: current.volume,
+            volumeAfter: volume
+        });
+
+        return this.getSaleSaturation(current.settlement, cargoName);
+    }
+
+    /**
+     * Calculate the supply and demand shifts caused by a depleted market
+     * Supply falls and demand rises in proportion to how far stock is below baseline
+     * @param {Object} entry - Market entry from getEntry()
+     * @returns {Object} - { supply, demand } percentage shifts (supply is negative)
+     */
+    calculateBalanceShift(entry) {
+        const { depletionShift } = this.getConfig();
+        const depletion = entry?.depletion || 0;
+
+        return {
+            supply: depletion > 0 ? -depletion * depletionShift.supply : 0,
+            demand: depletion > 0 ? depletion * depletionShift.demand : 0
+        };
+    }
+
+    /**
+     * Clear recorded depletion for one settlement, or for all settlements
+     * @param {string} settlementName - Settlement name (omit to reset every market)
+     */
+    reset(settlementName = null) {
+        if (settlementName) {
+            delete this.state[settlementName];
+        } else {
+            this.state = {};
+        }
+    }
+
+    /**
+     * Get the serialisable ledger state
+     * @returns {Object} - State keyed by settlement then cargo name
+     */
+    toJSON() {
+        return this.state;
+    }
+
+    _regenerate(stored, baseline) {
+        const { regenerationPerDay } = this.getConfig();
+        const elapsedDays = Math.max(0, (this.now() - (stored.lastUpdated ?? this.now())) / SECONDS_PER_DAY);
+        const recovered = baseline * regenerationPerDay * elapsedDays;
+
+        return Math.min(baseline, Math.round((Number(stored.stock) || 0) + recovered));
+    }
+
+    _fadeVolume(sold) {
+        const { fadeDays } = this.getFloodingConfig();
+        const elapsedDays = Math.max(0, (this.now() - (sold.lastUpdated ?? this.now())) / SECONDS_PER_DAY);
+        const remaining = fadeDays > 0 ? Math.max(0, 1 - elapsedDays / fadeDays) : 0;
+
+        return Math.round((Number(sold.volume) || 0) * remaining);
+    }
+
+    _getOrCreateEntry(settlementName, cargoName) {
+        if (!this.state[settlementName]) {
+            this.state[settlementName] = {};
+        }
+        if (!this.state[settlementName][cargoName]) {
+            this.state[settlementName][cargoName] = {};
+        }
+        return this.state[settlementName][cargoName];
+    }
+
+    _pruneEntry(settlementName, cargoName) {
+        const settlementState = this.state[settlementName];
+        if (!settlementState) {
+            return;
+        }
+
+        if (settlementState[cargoName] && Object.keys(settlementState[cargoName]).length === 0) {
+            delete settlementState[cargoName];
+        }
+        if (Object.keys(settlementState).length === 0) {
+            delete this.state[settlementName];
+        }
+    }
+
+    _describe(settlementName, cargoName, stock, baseline, lastUpdated) {
+        return {
+            settlement: settlementName,
+            cargo: cargoName,
+            stock,
+            baseline,
+            depletion: baseline > 0 ? Math.max(0, 1 - stock / baseline) : 0,
+            lastUpdated
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesMarketLedger = MarketLedger;
+}
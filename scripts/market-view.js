@@ -0,0 +1,92 @@
+console.log('Trading Places | Loading market-view.js');
+
+/**
+ * Trading Places Module - Market View
+ * Read-only window showing the market the GM has shared with the players
+ */
+
+import { formatCanonicalValue, resolveCurrencyContext } from './currency-display.js';
+
+const MODULE_ID = "fvtt-trading-places";
+
+// Check if ApplicationV2 is available before defining the class
+if (typeof foundry?.applications?.api?.ApplicationV2 === 'undefined' ||
+    typeof foundry?.applications?.api?.HandlebarsApplicationMixin === 'undefined') {
+    console.warn('Trading Places | ApplicationV2 Handlebars mixin not available, market view will not be loaded');
+} else {
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+const HandlebarsApplication = HandlebarsApplicationMixin(ApplicationV2);
+
+class MarketView extends HandlebarsApplication {
+
+    static DEFAULT_OPTIONS = {
+        id: "trading-places-market-view",
+        tag: "div",
+        window: {
+            title: "Live Market",
+            icon: "fas fa-store",
+            resizable: true,
+            minimizable: true,
+            maximizable: false
+        },
+        position: {
+            width: 520,
+            height: 560
+        },
+        classes: ["trading-places", "market-view", "application-v2"]
+    };
+
+    static PARTS = {
+        content: {
+            template: `modules/${MODULE_ID}/templates/market-view.hbs`
+        }
+    };
+
+    constructor(dataManager, options = {}) {
+        super(options);
+        this.dataManager = dataManager;
+    }
+
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        const market = window.TradingPlaces?.getMarketBroadcast?.()?.market || null;
+
+        context.hasMarket = Boolean(market);
+        if (!market) {
+            return context;
+        }
+
+        context.settlement = market.settlement;
+        context.season = market.season;
+        context.contrabandHidden = market.contrabandHidden;
+        context.cargo = market.cargo.map(entry => ({
+            ...entry,
+            price: entry.pricePerEP === null ? '—' : this._formatCurrency(entry.pricePerEP),
+            total: entry.pricePerEP === null ? '—' : this._formatCurrency(entry.pricePerEP * entry.quantity)
+        }));
+        return context;
+    }
+
+    _formatCurrency(value) {
+        return formatCanonicalValue(value, resolveCurrencyContext(this.dataManager), { defaultText: `${value} BP` });
+    }
+
+    static async show(dataManager) {
+        const view = new MarketView(dataManager);
+        await view.render(true);
+
+        // A player opening the view after the GM shared the market asks for it again
+        const broadcast = window.TradingPlaces?.getMarketBroadcast?.();
+        if (broadcast && !broadcast.market) {
+            broadcast.requestMarket();
+        }
+        return view;
+    }
+}
+
+// Export class globally
+window.TradingPlacesMarketView = MarketView;
+console.log('Trading Places | Market view registered globally');
+
+} // End of ApplicationV2 availability check
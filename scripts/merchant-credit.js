@@ -0,0 +1,459 @@
+/**
+ * Trading Places Module - Merchant Credit
+ * Loans and letters of credit from the merchant houses of trade and government settlements
+ */
+
+console.log('Trading Places | Loading merchant-credit.js');
+
+import { TradingClock, SECONDS_PER_DAY } from './trading-clock.js';
+import { RecordId } from './record-id.js';
+
+const SECONDS_PER_WEEK = 7 * SECONDS_PER_DAY;
+
+/**
+ * Merchant Credit class for the party's loans and letters of credit
+ *
+ * A settlement lends money when one of its flags appears in the `interestPerWeek` table of the
+ * `credit` config; the lowest rate among its flags applies. How much it lends grows with its
+ * wealth and size, less what the party already owes there. A loan's interest is agreed when it
+ * is taken, for the whole term, and it is pledged against collateral worth at least
+ * `collateralShare` of the sum borrowed. A loan not repaid by its due date is overdue: the GM can
+ * add a penalty of `penaltyRate` of what is owed, or have the lender seize the collateral.
+ *
+ * A letter of credit is bought at a lending settlement for its face value plus `letterFee`, and
+ * drawn on, in part or in full, at any settlement whose merchant houses honour letters (any
+ * lending settlement), so the party need not carry the coin between cities.
+ * All amounts are in canonical units (BP); the caller moves the coin.
+ */
+export class MerchantCredit {
+    static SECONDS_PER_WEEK = SECONDS_PER_WEEK;
+
+    /**
+     * @param {Object} dataManager - DataManager instance (settlements, trading config)
+     * @param {Object} options - { loans, letters, now, logger } where now() returns world time in seconds
+     */
+    constructor(dataManager, options = {}) {
+        if (!dataManager) {
+            throw new Error('MerchantCredit requires a DataManager instance');
+        }
+
+        this.dataManager = dataManager;
+        this.loans = Array.isArray(options.loans) ? options.loans : [];
+        this.letters = Array.isArray(options.letters) ? options.letters : [];
+        this.now = typeof options.now === 'function' ? options.now : () => TradingClock.now();
+        this.logger = options.logger || null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * Get the `credit` section of the trading config with defaults applied
+     * @returns {Object} - Credit configuration
+     */
+    getConfig() {
+        const config = this.dataManager.tradingConfig?.credit || {};
+        return {
+            interestPerWeek: config.interestPerWeek || { trade: 0.05, government: 0.03 },
+            termDays: config.termDays ?? 28,
+            lendingPerRating: config.lendingPerRating ?? 2400,
+            collateralShare: config.collateralShare ?? 0.5,
+            letterFee: config.letterFee ?? 0.02,
+            penaltyRate: config.penaltyRate ?? 0.1
+        };
+    }
+
+    _resolveSettlement(settlement) {
+        const resolved = typeof settlement === 'string' ? this.dataManager.getSettlement(settlement) : settlement;
+        if (!resolved || !resolved.name) {
+            throw new Error(`Unknown settlement: ${typeof settlement === 'string' ? settlement : settlement?.name}`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Get what the merchant houses of a settlement offer
+     * @param {Object|string} settlement - Settlement object or name
+     * @returns {Object|null} - { settlement, interestPerWeek, termDays, maxPrincipal, available, collateralShare, letterFee },
+     *                          or null when nobody there lends
+     */
+    getLenderTerms(settlement) {
+        const resolved = this._resolveSettlement(settlement);
+        const config = this.getConfig();
+        const rates = (resolved.flags || [])
+            .map(flag => config.interestPerWeek[flag])
+            .filter(rate => Number.isFinite(rate));
+        if (rates.length === 0) {
+            return null;
+        }
+
+        const wealth = Math.max(1, Number(resolved.wealth) || 1);
+        const size = Math.max(1, this.dataManager.convertSizeToNumeric?.(resolved.size) || 1);
+        const maxPrincipal = config.lendingPerRating * wealth * size;
+        const lent = this.getOpenLoans()
+            .filter(loan => loan.lender === resolved.name)
+            .reduce((total, loan) => total + loan.principal, 0);
+
+        return {
+            settlement: resolved.name,
+            interestPerWeek: Math.min(...rates),
+            termDays: config.termDays,
+            maxPrincipal,
+            available: Math.max(0, maxPrincipal - lent),
+            collateralShare: config.collateralShare,
+            letterFee: config.letterFee
+        };
+    }
+
+    /**
+     * @param {Object|string} settlement - Settlement object or name
+     * @returns {boolean} - Whether the settlement lends money and honours letters of credit
+     */
+    isLender(settlement) {
+        return this.getLenderTerms(settlement) !== null;
+    }
+
+    /**
+     * Get every loan the party has taken
+     * @returns {Array} - Loans in any status
+     */
+    getLoans() {
+        return this.loans;
+    }
+
+    /**
+     * @param {string} loanId - Loan id
+     * @returns {Object|null} - Loan or null if not found
+     */
+    getLoan(loanId) {
+        return this.loans.find(loan => loan.id === loanId) || null;
+    }
+
+    /**
+     * Get the loans still to be repaid, soonest due first
+     * @returns {Array} - Active loans
+     */
+    getOpenLoans() {
+        return this.loans
+            .filter(loan => loan.status === 'active')
+            .sort((a, b) => a.dueAt - b.dueAt);
+    }
+
+    /**
+     * Get every letter of credit the party has bought
+     * @returns {Array} - Letters in any status
+     */
+    getLetters() {
+        return this.letters;
+    }
+
+    /**
+     * @param {string} letterId - Letter id
+     * @returns {Object|null} - Letter or null if not found
+     */
+    getLetter(letterId) {
+        return this.letters.find(letter => letter.id === letterId) || null;
+    }
+
+    /**
+     * Get the letters of credit with money left on them
+     * @returns {Array} - Open letters
+     */
+    getOpenLetters() {
+        return this.letters.filter(letter => letter.status === 'open');
+    }
+
+    /**
+     * Describe the state of a loan
+     * @param {Object} loan - Loan
+     * @param {number} now - World time in seconds (defaults to now)
+     * @returns {string} - 'active', 'overdue', 'repaid' or 'defaulted'
+     */
+    getStatus(loan, now = this.now()) {
+        if (loan.status === 'active' && now > loan.dueAt) {
+            return 'overdue';
+        }
+        return loan.status;
+    }
+
+    /**
+     * Work out what is still owed on a loan
+     * @param {Object} loan - Loan
+     * @returns {number} - Principal, interest and penalties less repayments
+     */
+    getAmountOwed(loan) {
+        const sum = entries => (entries || []).reduce((total, entry) => total + entry.amount, 0);
+        return Math.max(0, loan.principal + loan.interest + sum(loan.penalties) - sum(loan.payments));
+    }
+
+    /**
+     * Borrow from the merchant houses of a settlement
+     * @param {Object|string} settlement - Lending settlement
+     * @param {number} principal - Sum borrowed
+     * @param {Object} options - { collateral: { description, value }, borrowerId, borrowerName }
+     * @returns {Object} - The new loan
+     */
+    takeLoan(settlement, principal, options = {}) {
+        const resolved = this._resolveSettlement(settlement);
+        const terms = this.getLenderTerms(resolved);
+        if (!terms) {
+            throw new Error(`Nobody in ${resolved.name} lends money`);
+        }
+
+        const amount = Math.round(Number(principal));
+        if (!Number.isFinite(amount) || amount <= 0) {
+            throw new Error('Loan amount must be a positive number');
+        }
+        if (amount > terms.available) {
+            throw new Error(`The merchant houses of ${resolved.name} will not lend that much`);
+        }
+
+        const collateral = options.collateral || {};
+        const description = String(collateral.description || '').trim();
+        const collateralValue = Math.round(Number(collateral.value) || 0);
+        if (!description) {
+            throw new Error('A loan needs collateral');
+        }
+        if (collateralValue < amount * terms.collateralShare) {
+            throw new Error(`Collateral must be worth at least ${Math.round(terms.collateralShare * 100)}% of the loan`);
+        }
+
+        const now = this.now();
+        const loan = {
+            id: RecordId.generate('credit'),
+            lender: resolved.name,
+            principal: amount,
+            interestPerWeek: terms.interestPerWeek,
+            interest: Math.round(amount * terms.interestPerWeek * Math.ceil(terms.termDays / 7)),
+            collateral: { description, value: collateralValue },
+            borrowerId: options.borrowerId || null,
+            borrowerName: options.borrowerName || null,
+            takenAt: now,
+            dueAt: now + terms.termDays * SECONDS_PER_DAY,
+            payments: [],
+            penalties: [],
+            overdueFlagged: false,
+            status: 'active',
+            closedAt: null
+        };
+        this.loans.push(loan);
+
+        this.getLogger().logDecision('Merchant Credit', `Borrowed ${amount} BP from ${resolved.name}`, {
+            interest: loan.interest,
+            dueAt: loan.dueAt,
+            collateral: description
+        });
+        return loan;
+    }
+
+    /**
+     * Pay back some or all of a loan
+     * @param {string} loanId - Loan id
+     * @param {number} amount - Sum offered; anything over what is owed is not taken
+     * @returns {Object} - { loan, paid, owed } where owed is what is left after the payment
+     */
+    repay(loanId, amount) {
+        const loan = this._requireOpenLoan(loanId);
+        const offered = Math.round(Number(amount));
+        if (!Number.isFinite(offered) || offered <= 0) {
+            throw new Error('Repayment must be a positive number');
+        }
+
+        const paid = Math.min(offered, this.getAmountOwed(loan));
+        loan.payments.push({ amount: paid, worldTime: this.now() });
+
+        const owed = this.getAmountOwed(loan);
+        if (owed === 0) {
+            loan.status = 'repaid';
+            loan.closedAt = this.now();
+        }
+
+        this.getLogger().logDecision('Merchant Credit', `Repaid ${paid} BP to ${loan.lender}`, { owed });
+        return { loan, paid, owed };
+    }
+
+    /**
+     * Add the configured penalty to an overdue loan
+     * @param {string} loanId - Loan id
+     * @returns {Object} - The penalty ({ amount, worldTime })
+     */
+    applyPenalty(loanId) {
+        const loan = this._requireOpenLoan(loanId);
+        if (this.getStatus(loan) !== 'overdue') {
+            throw new Error(`The loan from ${loan.lender} is not overdue`);
+        }
+
+        const penalty = {
+            amount: Math.max(1, Math.round(this.getAmountOwed(loan) * this.getConfig().penaltyRate)),
+            worldTime: this.now()
+        };
+        loan.penalties.push(penalty);
+
+        this.getLogger().logDecision('Merchant Credit', `Penalty of ${penalty.amount} BP on the loan from ${loan.lender}`, {
+            owed: this.getAmountOwed(loan)
+        });
+        return penalty;
+    }
+
+    /**
+     * Close an overdue loan by the lender seizing its collateral
+     * @param {string} loanId - Loan id
+     * @returns {Object} - The defaulted loan
+     */
+    forfeitCollateral(loanId) {
+        const loan = this._requireOpenLoan(loanId);
+        if (this.getStatus(loan) !== 'overdue') {
+            throw new Error(`The loan from ${loan.lender} is not overdue`);
+        }
+
+        loan.status = 'defaulted';
+        loan.closedAt = this.now();
+
+        this.getLogger().logDecision('Merchant Credit', `${loan.lender} seized ${loan.collateral.description}`, {
+            owed: this.getAmountOwed(loan)
+        });
+        return loan;
+    }
+
+    /**
+     * Flag the loans that have gone overdue since they were last checked
+     * @param {number} now - World time in seconds (defaults to now)
+     * @returns {Array} - Loans newly overdue
+     */
+    flagOverdue(now = this.now()) {
+        const overdue = this.getOpenLoans().filter(loan => !loan.overdueFlagged && this.getStatus(loan, now) === 'overdue');
+        overdue.forEach(loan => {
+            loan.overdueFlagged = true;
+        });
+        return overdue;
+    }
+
+    /**
+     * Buy a letter of credit at a lending settlement
+     * @param {Object|string} settlement - Issuing settlement
+     * @param {number} amount - Face value of the letter
+     * @param {Object} options - { holderId, holderName }
+     * @returns {Object} - The new letter; the party pays its amount plus its fee
+     */
+    issueLetter(settlement, amount, options = {}) {
+        const resolved = this._resolveSettlement(settlement);
+        const terms = this.getLenderTerms(resolved);
+        if (!terms) {
+            throw new Error(`Nobody in ${resolved.name} issues letters of credit`);
+        }
+
+        const value = Math.round(Number(amount));
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error('Letter of credit amount must be a positive number');
+        }
+
+        const letter = {
+            id: RecordId.generate('credit'),
+            issuer: resolved.name,
+            amount: value,
+            fee: Math.round(value * terms.letterFee),
+            balance: value,
+            holderId: options.holderId || null,
+            holderName: options.holderName || null,
+            issuedAt: this.now(),
+            draws: [],
+            status: 'open'
+        };
+        this.letters.push(letter);
+
+        this.getLogger().logDecision('Merchant Credit', `Letter of credit for ${value} BP issued at ${resolved.name}`, { fee: letter.fee });
+        return letter;
+    }
+
+    /**
+     * Draw funds on a letter of credit
+     * @param {string} letterId - Letter id
+     * @param {Object|string} settlement - Settlement where the letter is presented
+     * @param {number} amount - Sum drawn (defaults to the whole balance)
+     * @returns {Object} - { letter, drawn }
+     */
+    drawLetter(letterId, settlement, amount) {
+        const letter = this.getLetter(letterId);
+        if (!letter) {
+            throw new Error(`Unknown letter of credit: ${letterId}`);
+        }
+        if (letter.status !== 'open') {
+            throw new Error(`The letter of credit from ${letter.issuer} has been spent`);
+        }
+
+        const resolved = this._resolveSettlement(settlement);
+        if (!this.isLender(resolved)) {
+            throw new Error(`Nobody in ${resolved.name} honours letters of credit`);
+        }
+
+        const drawn = amount === undefined || amount === null || amount === '' ? letter.balance : Math.round(Number(amount));
+        if (!Number.isFinite(drawn) || drawn <= 0) {
+            throw new Error('Amount drawn must be a positive number');
+        }
+        if (drawn > letter.balance) {
+            throw new Error(`The letter of credit from ${letter.issuer} has only ${letter.balance} BP left`);
+        }
+
+        letter.balance -= drawn;
+        letter.draws.push({ settlement: resolved.name, amount: drawn, worldTime: this.now() });
+        if (letter.balance === 0) {
+            letter.status = 'spent';
+        }
+
+        this.getLogger().logDecision('Merchant Credit', `Drew ${drawn} BP at ${resolved.name} on a letter from ${letter.issuer}`, {
+            balance: letter.balance
+        });
+        return { letter, drawn };
+    }
+
+    /**
+     * Remove repaid and defaulted loans and spent letters
+     * @returns {number} - Number of entries removed
+     */
+    pruneClosed() {
+        const before = this.loans.length + this.letters.length;
+        this.loans = this.loans.filter(loan => loan.status === 'active');
+        this.letters = this.letters.filter(letter => letter.status === 'open');
+        return before - this.loans.length - this.letters.length;
+    }
+
+    /**
+     * Get the serialisable credit state
+     * @returns {Object} - { loans, letters }
+     */
+    toJSON() {
+        return {
+            loans: this.loans,
+            letters: this.letters
+        };
+    }
+
+    _requireOpenLoan(loanId) {
+        const loan = this.getLoan(loanId);
+        if (!loan) {
+            throw new Error(`Unknown loan: ${loanId}`);
+        }
+        if (loan.status !== 'active') {
+            throw new Error(`The loan from ${loan.lender} is already ${loan.status}`);
+        }
+        return loan;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesMerchantCredit = MerchantCredit;
+}
@@ -0,0 +1,278 @@
+/**
+ * Trading Places Module - Merchant Roster
+ * The recurring merchants of each settlement, with their names, skills, specialities and dealings with the party
+ */
+
+console.log('Trading Places | Loading merchant-roster.js');
+
+import { TradingClock } from './trading-clock.js';
+import { RecordId } from './record-id.js';
+
+const FIRST_NAMES = ['Aldric', 'Beatrix', 'Casper', 'Dalia', 'Eldric', 'Fiona', 'Gareth', 'Helena', 'Ian', 'Jasmine', 'Karl', 'Lena', 'Marcus', 'Nina', 'Otto', 'Paula', 'Quentin', 'Rosa', 'Stefan', 'Tina'];
+const LAST_NAMES = ['Voss', 'Hale', 'Thorne', 'Wren', 'Kane', 'Black', 'Stone', 'Cross', 'Rook', 'Vale', 'Wolf', 'Hart', 'Bear', 'Eagle', 'Fox'];
+
+/**
+ * Merchant Roster class for the merchants a settlement's market is drawn from
+ *
+ * Each settlement keeps a list of merchants. When the market is checked, every cargo slot is given
+ * one of them: pinned merchants first, then the rest in a random order. A slot with no merchant left
+ * to give recruits a newcomer, who joins the roster dealing in whatever they were first found
+ * selling. A merchant's specialities are cargo names or categories; a specialist only offers those
+ * when any are in season. Every purchase from or sale to a merchant is kept in their record of
+ * deals with the party, up to `dealHistoryLimit`.
+ */
+export class MerchantRoster {
+    static MIN_SKILL = 5;
+    static MAX_SKILL = 95;
+
+    /**
+     * @param {Object} config - `merchantRoster` section of the trading config
+     * @param {Object} options - { rosters, now, logger } where rosters maps settlement names to merchant lists
+     */
+    constructor(config = {}, options = {}) {
+        this.config = config || {};
+        this.rosters = options.rosters && typeof options.rosters === 'object' ? options.rosters : {};
+        this.now = typeof options.now === 'function' ? options.now : () => TradingClock.now();
+        this.logger = options.logger || null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * Get the roster config with defaults applied
+     * @returns {Object} - Roster configuration
+     */
+    getConfig() {
+        return {
+            dealHistoryLimit: this.config.dealHistoryLimit ?? 20
+        };
+    }
+
+    /**
+     * Get a settlement's merchants, pinned first
+     * @param {string} settlementName - Settlement name
+     * @returns {Array} - Merchants
+     */
+    getMerchants(settlementName) {
+        const roster = this.rosters[settlementName] || [];
+        return [...roster].sort((a, b) => Number(b.pinned) - Number(a.pinned) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {string} settlementName - Settlement name
+     * @param {string} id - Merchant id
+     * @returns {Object|null} - The merchant, or null when not on the roster
+     */
+    getMerchant(settlementName, id) {
+        return (this.rosters[settlementName] || []).find(merchant => merchant.id === id) || null;
+    }
+
+    /**
+     * Get the names of the settlements that have a roster
+     * @returns {Array} - Settlement names, sorted
+     */
+    getSettlementNames() {
+        return Object.keys(this.rosters).filter(name => this.rosters[name].length > 0).sort();
+    }
+
+    /**
+     * Add a merchant to a settlement's roster
+     * @param {string} settlementName - Settlement name
+     * @param {Object} details - { name, skill, specialities, pinned, notes }
+     * @returns {Object} - The new merchant
+     */
+    addMerchant(settlementName, details = {}) {
+        if (!settlementName) {
+            throw new Error('Merchants need a settlement');
+        }
+
+        const merchant = {
+            id: RecordId.generate('merchant'),
+            ...this._validate(details),
+            deals: [],
+            joinedAt: this.now()
+        };
+        if (!this.rosters[settlementName]) {
+            this.rosters[settlementName] = [];
+        }
+        this.rosters[settlementName].push(merchant);
+
+        this.getLogger().logDecision('Merchant Roster', `${merchant.name} joins the merchants of ${settlementName}`, {
+            skill: merchant.skill,
+            specialities: merchant.specialities
+        });
+        return merchant;
+    }
+
+    /**
+     * Change a merchant's details, keeping their record of deals
+     * @param {string} settlementName - Settlement name
+     * @param {string} id - Merchant id
+     * @param {Object} changes - Any of { name, skill, specialities, pinned, notes }
+     * @returns {Object} - The updated merchant
+     */
+    updateMerchant(settlementName, id, changes = {}) {
+        const merchant = this._require(settlementName, id);
+        Object.assign(merchant, this._validate({ ...merchant, ...changes }));
+        return merchant;
+    }
+
+    /**
+     * Pin or unpin a merchant; pinned merchants are at the market every time it is checked
+     * @param {string} settlementName - Settlement name
+     * @param {string} id - Merchant id
+     * @param {boolean} pinned - Whether to pin
+     * @returns {Object} - The merchant
+     */
+    setPinned(settlementName, id, pinned) {
+        const merchant = this._require(settlementName, id);
+        merchant.pinned = Boolean(pinned);
+        return merchant;
+    }
+
+    /**
+     * Take a merchant off a settlement's roster
+     * @param {string} settlementName - Settlement name
+     * @param {string} id - Merchant id
+     * @returns {Object} - The removed merchant
+     */
+    removeMerchant(settlementName, id) {
+        const merchant = this._require(settlementName, id);
+        this.rosters[settlementName] = this.rosters[settlementName].filter(entry => entry !== merchant);
+        return merchant;
+    }
+
+    /**
+     * Choose the merchants at a settlement's market, one for each slot
+     * @param {string} settlementName - Settlement name
+     * @param {number} count - Number of slots
+     * @param {Function} random - Random number generator returning [0, 1)
+     * @returns {Array} - Up to count merchants, pinned first and the rest shuffled
+     */
+    drawMerchants(settlementName, count, random = Math.random) {
+        const roster = this.rosters[settlementName] || [];
+        const pinned = roster.filter(merchant => merchant.pinned);
+        const others = roster.filter(merchant => !merchant.pinned);
+        for (let i = others.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [others[i], others[j]] = [others[j], others[i]];
+        }
+        return [...pinned, ...others].slice(0, Math.max(0, count));
+    }
+
+    /**
+     * Add a newcomer with a made-up name to a settlement's roster
+     * @param {string} settlementName - Settlement name
+     * @param {Object} details - { skill, specialities }
+     * @param {Function} random - Random number generator returning [0, 1)
+     * @returns {Object} - The new merchant
+     */
+    recruit(settlementName, details = {}, random = Math.random) {
+        return this.addMerchant(settlementName, {
+            name: MerchantRoster.generateName(random),
+            skill: Math.max(MerchantRoster.MIN_SKILL, Math.min(MerchantRoster.MAX_SKILL, Number(details.skill) || 0)),
+            specialities: details.specialities || []
+        });
+    }
+
+    /**
+     * Check whether a merchant deals in a cargo
+     * @param {Object} merchant - Roster merchant
+     * @param {Object} cargo - { name, category }
+     * @returns {boolean} - True when one of the merchant's specialities names the cargo or its category
+     */
+    dealsIn(merchant, cargo) {
+        const names = [cargo?.name, cargo?.category].filter(Boolean).map(name => name.toLowerCase());
+        return (merchant?.specialities || []).some(speciality => names.includes(speciality.toLowerCase()));
+    }
+
+    /**
+     * Note a purchase from or sale to a merchant
+     * @param {string} settlementName - Settlement name
+     * @param {string} id - Merchant id
+     * @param {Object} deal - { type: 'purchase' or 'sale', cargo, quantity, total }
+     * @returns {Object} - The recorded deal
+     */
+    recordDeal(settlementName, id, deal = {}) {
+        const merchant = this._require(settlementName, id);
+        const entry = {
+            type: deal.type === 'sale' ? 'sale' : 'purchase',
+            cargo: deal.cargo || null,
+            quantity: Number(deal.quantity) || 0,
+            total: Number(deal.total) || 0,
+            worldTime: this.now()
+        };
+        merchant.deals = [entry, ...(merchant.deals || [])].slice(0, this.getConfig().dealHistoryLimit);
+        return entry;
+    }
+
+    /**
+     * Get the serialisable roster state
+     * @returns {Object} - Settlement names mapped to merchant lists
+     */
+    toJSON() {
+        return this.rosters;
+    }
+
+    /**
+     * Make up a merchant's name
+     * @param {Function} random - Random number generator returning [0, 1)
+     * @returns {string} - Name
+     */
+    static generateName(random = Math.random) {
+        const first = FIRST_NAMES[Math.floor(random() * FIRST_NAMES.length)];
+        const last = LAST_NAMES[Math.floor(random() * LAST_NAMES.length)];
+        return `${first} ${last}`;
+    }
+
+    _require(settlementName, id) {
+        const merchant = this.getMerchant(settlementName, id);
+        if (!merchant) {
+            throw new Error(`No such merchant in ${settlementName}`);
+        }
+        return merchant;
+    }
+
+    _validate(details) {
+        const name = String(details.name || '').trim();
+        if (!name) {
+            throw new Error('A merchant needs a name');
+        }
+
+        const skill = Number(details.skill);
+        if (!Number.isFinite(skill) || skill < MerchantRoster.MIN_SKILL || skill > MerchantRoster.MAX_SKILL) {
+            throw new Error(`Merchant skill must be a number between ${MerchantRoster.MIN_SKILL} and ${MerchantRoster.MAX_SKILL}`);
+        }
+
+        const specialities = typeof details.specialities === 'string'
+            ? details.specialities.split(',')
+            : (Array.isArray(details.specialities) ? details.specialities : []);
+
+        return {
+            name,
+            skill: Math.round(skill),
+            specialities: [...new Set(specialities.map(speciality => String(speciality).trim()).filter(Boolean))],
+            pinned: Boolean(details.pinned),
+            notes: details.notes ? String(details.notes).trim() : null
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesMerchantRoster = MerchantRoster;
+}
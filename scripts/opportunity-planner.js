@@ -0,0 +1,174 @@
+console.log('Trading Places | Loading opportunity-planner.js');
+
+/**
+ * Trading Places Module - Opportunity Planner
+ * Window ranking the cargo runs open to the party from the selected settlement
+ */
+
+import { convertDenominationToCanonical, formatCanonicalValue, getCurrencyLabel, resolveCurrencyContext } from './currency-display.js';
+import { TradePlanner } from './trade-planner.js';
+
+const MODULE_ID = "fvtt-trading-places";
+
+const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+
+// Check if ApplicationV2 is available before defining the class
+if (typeof foundry?.applications?.api?.ApplicationV2 === 'undefined' ||
+    typeof foundry?.applications?.api?.HandlebarsApplicationMixin === 'undefined') {
+    console.warn('Trading Places | ApplicationV2 Handlebars mixin not available, opportunity planner will not be loaded');
+} else {
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+const HandlebarsApplication = HandlebarsApplicationMixin(ApplicationV2);
+
+class OpportunityPlanner extends HandlebarsApplication {
+
+    static DEFAULT_OPTIONS = {
+        id: "trading-places-opportunity-planner",
+        tag: "div",
+        window: {
+            title: "Trade Planner",
+            icon: "fas fa-route",
+            resizable: true,
+            minimizable: true,
+            maximizable: true
+        },
+        position: {
+            width: 900,
+            height: 640
+        },
+        classes: ["trading-places", "opportunity-planner", "application-v2"]
+    };
+
+    static PARTS = {
+        content: {
+            template: `modules/${MODULE_ID}/templates/opportunity-planner.hbs`
+        }
+    };
+
+    /**
+     * @param {Object} dataManager - DataManager instance
+     * @param {Object} options - { settlement, season, capacity, tradingEngine, pipeline } plus ApplicationV2 options
+     */
+    constructor(dataManager, options = {}) {
+        const { settlement = null, season = 'spring', capacity = 100, tradingEngine = null, pipeline = null, ...appOptions } = options;
+        super(appOptions);
+        this.dataManager = dataManager;
+        this.settlement = settlement;
+        this.planner = new TradePlanner(dataManager, tradingEngine, { pipeline });
+        this.params = {
+            season,
+            capacity,
+            budget: null,
+            maxTravelDays: this.planner.getConfig().maxTravelDays
+        };
+        this.result = null;
+    }
+
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        const currencyContext = resolveCurrencyContext(this.dataManager);
+
+        context.settlementName = this.settlement?.name || null;
+        context.currencyLabel = getCurrencyLabel(currencyContext);
+        context.seasons = SEASONS.map(season => ({
+            value: season,
+            label: season.charAt(0).toUpperCase() + season.slice(1),
+            selected: season === this.params.season
+        }));
+        context.capacity = this.params.capacity;
+        context.budget = this.params.budgetInput ?? '';
+        context.maxTravelDays = this.params.maxTravelDays;
+
+        context.hasResult = !!this.result;
+        context.opportunities = (this.result?.opportunities || []).map(opportunity => this._describeOpportunity(opportunity));
+        context.hasOpportunities = context.opportunities.length > 0;
+        return context;
+    }
+
+    _attachPartListeners(partId, htmlElement, options) {
+        super._attachPartListeners(partId, htmlElement, options);
+
+        const planBtn = htmlElement.querySelector('.plan-opportunities-btn');
+        if (planBtn) {
+            planBtn.addEventListener('click', () => this._onPlan(htmlElement));
+        }
+    }
+
+    /**
+     * Build the display row for an opportunity
+     * @private
+     */
+    _describeOpportunity(opportunity) {
+        const format = value => this._formatCurrency(value);
+        const percent = value => `${Math.round(value * 100)}%`;
+        return {
+            cargo: opportunity.cargo,
+            destination: opportunity.destination,
+            travelDays: opportunity.travelDays,
+            quantity: opportunity.quantity,
+            buyPrice: format(opportunity.buyPricePerEP),
+            sellPrice: format(opportunity.sellPricePerEP),
+            cost: format(opportunity.cost),
+            margin: percent(opportunity.marginPercent),
+            profit: format(opportunity.profit),
+            expectedProfit: format(opportunity.expectedProfit),
+            availability: percent(opportunity.availabilityChance),
+            buyerChance: percent(opportunity.buyerChance),
+            risk: opportunity.risk
+        };
+    }
+
+    _formatCurrency(value) {
+        const rounded = Math.round(value);
+        return formatCanonicalValue(rounded, resolveCurrencyContext(this.dataManager), { defaultText: `${rounded} BP` });
+    }
+
+    /**
+     * Read the plan inputs and rank the opportunities
+     * @private
+     */
+    async _onPlan(htmlElement) {
+        try {
+            if (!this.settlement) {
+                throw new Error('Select a settlement to plan from');
+            }
+
+            const budgetInput = htmlElement.querySelector('#planner-budget')?.value;
+            const budgetValue = budgetInput === '' || budgetInput === undefined ? null : Number(budgetInput);
+            this.params = {
+                season: htmlElement.querySelector('#planner-season')?.value || this.params.season,
+                capacity: Number(htmlElement.querySelector('#planner-capacity')?.value),
+                budgetInput: budgetValue,
+                budget: budgetValue === null
+                    ? null
+                    : convertDenominationToCanonical(budgetValue, resolveCurrencyContext(this.dataManager)),
+                maxTravelDays: Number(htmlElement.querySelector('#planner-travel-days')?.value) || this.params.maxTravelDays
+            };
+
+            this.result = await this.planner.findOpportunities({
+                settlement: this.settlement,
+                season: this.params.season,
+                capacity: this.params.capacity,
+                budget: this.params.budget,
+                maxTravelDays: this.params.maxTravelDays
+            });
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to plan trade opportunities:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    static async show(dataManager, options = {}) {
+        const planner = new OpportunityPlanner(dataManager, options);
+        await planner.render(true);
+        return planner;
+    }
+}
+
+// Export class globally
+window.TradingPlacesOpportunityPlanner = OpportunityPlanner;
+console.log('Trading Places | Opportunity planner registered globally');
+
+} // End of ApplicationV2 availability check
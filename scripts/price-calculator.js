@@ -165,22 +165,25 @@ class PriceCalculator {
             );
         }
 
-        // Calculate total price
+        // Calculate total price, with tariffs on top of the goods
         const totalUnits = Math.ceil(quantity / 10);
-        const totalPrice = Math.round((finalPricePerUnit * totalUnits) * 100) / 100;
+        const subtotal = Math.round((finalPricePerUnit * totalUnits) * 100) / 100;
+        const tariffs = this.calculateTariffs(cargo, subtotal, 'purchase', options.settlement);
+        const totalPrice = Math.round((subtotal + tariffs.amount) * 100) / 100;
 
         logger.logCalculation(
             'Total Buying Price',
-            'Final Price per Unit × Total Units',
+            'Final Price per Unit × Total Units + Tariffs',
             {
                 cargoType,
                 quantity,
                 totalUnits,
                 finalPricePerUnit,
-                modifiers: modifiers.map(m => m.description)
+                modifiers: modifiers.map(m => m.description),
+                tariffs: tariffs.lines.map(line => line.description)
             },
             totalPrice,
-            `${totalUnits} units × ${finalPricePerUnit} GC = ${totalPrice} GC`
+            `${totalUnits} units × ${finalPricePerUnit} GC + ${tariffs.amount} GC tariffs = ${totalPrice} GC`
         );
 
         const result = {
@@ -191,6 +194,8 @@ class PriceCalculator {
             totalUnits,
             basePricePerUnit: basePrice,
             finalPricePerUnit,
+            subtotal,
+            tariffs,
             totalPrice,
             modifiers,
             seasonalComparison,
@@ -205,9 +210,11 @@ class PriceCalculator {
             try {
                 result.basePricePerUnitCanonical = CurrencyUtils.convertToCanonical({ [denominationKey]: basePrice }, config);
                 result.finalPricePerUnitCanonical = CurrencyUtils.convertToCanonical({ [denominationKey]: finalPricePerUnit }, config);
-                result.totalPriceCanonical = Math.round(result.finalPricePerUnitCanonical * totalUnits);
+                result.tariffAmountCanonical = Math.round(result.finalPricePerUnitCanonical * totalUnits * tariffs.rate);
+                result.totalPriceCanonical = Math.round(result.finalPricePerUnitCanonical * totalUnits) + result.tariffAmountCanonical;
                 result.formattedBasePricePerUnit = CurrencyUtils.formatCurrency(result.basePricePerUnitCanonical, config);
                 result.formattedFinalPricePerUnit = CurrencyUtils.formatCurrency(result.finalPricePerUnitCanonical, config);
+                result.formattedTariffAmount = CurrencyUtils.formatCurrency(result.tariffAmountCanonical, config);
                 result.formattedTotalPrice = CurrencyUtils.formatCurrency(result.totalPriceCanonical, config);
                 result.currencyDenomination = primaryDenomination || null;
                 result.currencyDenominationKey = currencyContext.denominationKey || null;
@@ -324,22 +331,25 @@ class PriceCalculator {
             );
         }
 
-        // Calculate total price
+        // Calculate total price, with tariffs taken from the proceeds
         const totalUnits = Math.ceil(quantity / 10);
-        const totalPrice = Math.round((finalPricePerUnit * totalUnits) * 100) / 100;
+        const subtotal = Math.round((finalPricePerUnit * totalUnits) * 100) / 100;
+        const tariffs = this.calculateTariffs(cargo, subtotal, 'sale', settlement, options.origin);
+        const totalPrice = Math.round((subtotal - tariffs.amount) * 100) / 100;
 
         logger.logCalculation(
             'Total Selling Price',
-            'Final Price per Unit × Total Units',
+            'Final Price per Unit × Total Units - Tariffs',
             {
                 cargoType,
                 quantity,
                 totalUnits,
                 finalPricePerUnit,
-                modifiers: modifiers.map(m => m.description)
+                modifiers: modifiers.map(m => m.description),
+                tariffs: tariffs.lines.map(line => line.description)
             },
             totalPrice,
-            `${totalUnits} units × ${finalPricePerUnit} GC = ${totalPrice} GC`
+            `${totalUnits} units × ${finalPricePerUnit} GC - ${tariffs.amount} GC tariffs = ${totalPrice} GC`
         );
 
         const result = {
@@ -351,6 +361,8 @@ class PriceCalculator {
             basePricePerUnit: basePrice,
             wealthAdjustedPrice,
             finalPricePerUnit,
+            subtotal,
+            tariffs,
             totalPrice,
             modifiers,
             seasonalComparison,
@@ -367,9 +379,11 @@ class PriceCalculator {
             try {
                 result.basePricePerUnitCanonical = CurrencyUtils.convertToCanonical({ [denominationKey]: basePrice }, config);
                 result.finalPricePerUnitCanonical = CurrencyUtils.convertToCanonical({ [denominationKey]: finalPricePerUnit }, config);
-                result.totalPriceCanonical = Math.round(result.finalPricePerUnitCanonical * totalUnits);
+                result.tariffAmountCanonical = Math.round(result.finalPricePerUnitCanonical * totalUnits * tariffs.rate);
+                result.totalPriceCanonical = Math.round(result.finalPricePerUnitCanonical * totalUnits) - result.tariffAmountCanonical;
                 result.formattedBasePricePerUnit = CurrencyUtils.formatCurrency(result.basePricePerUnitCanonical, config);
                 result.formattedFinalPricePerUnit = CurrencyUtils.formatCurrency(result.finalPricePerUnitCanonical, config);
+                result.formattedTariffAmount = CurrencyUtils.formatCurrency(result.tariffAmountCanonical, config);
                 result.formattedTotalPrice = CurrencyUtils.formatCurrency(result.totalPriceCanonical, config);
                 result.currencyDenomination = primaryDenomination || null;
                 result.currencyDenominationKey = currencyContext.denominationKey || null;
@@ -381,6 +395,44 @@ class PriceCalculator {
         return result;
     }
 
+    /**
+     * Work out the tariffs owed on a transaction at a settlement
+     * @param {Object} cargo - Cargo type object
+     * @param {number} value - Transaction value before tariffs
+     * @param {string} transactionType - 'purchase' or 'sale'
+     * @param {Object|string} settlement - Settlement where trading (no tariffs when omitted)
+     * @param {Object|string} origin - Settlement where the cargo was bought, for provincial tolls on sales
+     * @returns {Object} - { lines, rate, amount } as returned by TariffSchedule.calculateTariffs()
+     */
+    calculateTariffs(cargo, value, transactionType, settlement, origin = null) {
+        const resolve = place => (typeof place === 'string' ? this.dataManager.getSettlement(place) : place);
+        const resolved = resolve(settlement);
+        if (!resolved || typeof this.dataManager.getTariffSchedule !== 'function') {
+            return { lines: [], rate: 0, amount: 0 };
+        }
+
+        const tariffs = this.dataManager.getTariffSchedule().calculateTariffs({
+            settlement: resolved,
+            cargoName: cargo.name,
+            category: cargo.category,
+            transactionType,
+            originRegion: resolve(origin)?.region || null,
+            value
+        });
+
+        if (tariffs.lines.length > 0) {
+            this.getLogger().logCalculation(
+                'Tariffs',
+                'Transaction Value × Tariff Rate',
+                { settlement: resolved.name, transactionType, value, lines: tariffs.lines },
+                tariffs.amount,
+                tariffs.lines.map(line => line.description).join(', ')
+            );
+        }
+
+        return tariffs;
+    }
+
     /**
      * Calculate seasonal price comparison for a cargo type
      * @param {string} cargoType - Type of cargo
@@ -734,6 +786,11 @@ class PriceCalculator {
             
             // Modifiers with explanations
             modifiers: priceBreakdown.modifiers || [],
+
+            // Market taxes, tolls and duties, kept apart from the price modifiers
+            subtotal: priceBreakdown.subtotal,
+            tariffs: priceBreakdown.tariffs?.lines || [],
+            tariffTotal: priceBreakdown.tariffs?.amount || 0,
             
             // Seasonal comparison
             seasonalComparison: priceBreakdown.seasonalComparison,
@@ -749,6 +806,8 @@ class PriceCalculator {
             formattedPrices: {
                 basePrice: `${priceBreakdown.basePricePerUnit} GC per 10 EP`,
                 finalPrice: `${priceBreakdown.finalPricePerUnit} GC per 10 EP`,
+                subtotal: `${priceBreakdown.subtotal ?? priceBreakdown.totalPrice} GC before tariffs`,
+                tariffTotal: `${priceBreakdown.tariffs?.amount || 0} GC`,
                 totalPrice: `${priceBreakdown.totalPrice} GC total`,
                 quantityDescription: `${priceBreakdown.quantity} EP (${priceBreakdown.totalUnits} units)`
             },
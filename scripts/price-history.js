@@ -0,0 +1,250 @@
+/**
+ * Trading Places Module - Price History
+ * Persistent record of the prices seen per settlement, cargo, quality and in-game date
+ */
+
+console.log('Trading Places | Loading price-history.js');
+
+import { TradingClock, SECONDS_PER_DAY } from './trading-clock.js';
+
+const PRICE_SOURCES = ['market', 'offer', 'purchase', 'sale'];
+
+/**
+ * Price History class for recording and summarising price points
+ *
+ * A price point is recorded whenever a market is generated (merchant asking prices), buyers
+ * make offers, or a trade completes. Points are kept per settlement and cargo, carry their
+ * quality and world time, and are trimmed to `maxPointsPerSeries` per settlement/cargo pair
+ * and to `retentionDays` of in-game time. Prices are canonical Brass Pennies per EP.
+ */
+export class PriceHistory {
+    /**
+     * @param {Object} options - { state, maxPointsPerSeries, retentionDays, fairBand, now, logger }
+     *                           where now() returns world time in seconds
+     */
+    constructor(options = {}) {
+        this.state = options.state && typeof options.state === 'object' ? options.state : {};
+        this.maxPointsPerSeries = options.maxPointsPerSeries ?? 60;
+        this.retentionDays = options.retentionDays ?? 365;
+        this.fairBand = options.fairBand ?? 0.1;
+        this.now = typeof options.now === 'function' ? options.now : () => TradingClock.now();
+        this.logger = options.logger || null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * Record a price point
+     * @param {Object} point - { settlement, cargo, quality, price, source, time }
+     * @returns {Object} - Stored point
+     */
+    recordPrice({ settlement, cargo, quality = 'Average', price, source = 'market', time = this.now() }) {
+        if (!settlement) {
+            throw new Error('Price settlement is required');
+        }
+        if (!cargo) {
+            throw new Error('Price cargo is required');
+        }
+        const value = Number(price);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error('Price must be a non-negative number');
+        }
+        if (!PRICE_SOURCES.includes(source)) {
+            throw new Error(`Unknown price source: ${source}`);
+        }
+
+        if (!this.state[settlement]) {
+            this.state[settlement] = {};
+        }
+        if (!this.state[settlement][cargo]) {
+            this.state[settlement][cargo] = [];
+        }
+
+        const point = { price: Math.round(value * 100) / 100, quality: String(quality), source, time };
+        const series = this.state[settlement][cargo];
+        series.push(point);
+        series.sort((a, b) => a.time - b.time);
+        if (series.length > this.maxPointsPerSeries) {
+            series.splice(0, series.length - this.maxPointsPerSeries);
+        }
+
+        this.getLogger().logSystem('Price History', `Recorded ${source} price for ${cargo} at ${settlement}`, point);
+        return point;
+    }
+
+    /**
+     * Record several price points at once
+     * @param {Array} points - Points as accepted by recordPrice()
+     * @returns {number} - Number of points recorded
+     */
+    recordPrices(points = []) {
+        points.forEach(point => this.recordPrice(point));
+        return points.length;
+    }
+
+    /**
+     * Get the price points for a cargo at a settlement, oldest first
+     * @param {string} settlement - Settlement name
+     * @param {string} cargo - Cargo type name
+     * @param {Object} filters - { quality, source, since } (source may be a list; since is world time in seconds)
+     * @returns {Array} - Matching points
+     */
+    getHistory(settlement, cargo, filters = {}) {
+        const series = this.state[settlement]?.[cargo] || [];
+        return series.filter(point => this._matches(point, filters));
+    }
+
+    /**
+     * Get every cargo with recorded prices at a settlement
+     * @param {string} settlement - Settlement name
+     * @returns {Array} - Cargo names, most recently priced first
+     */
+    getCargoNames(settlement) {
+        const settlementState = this.state[settlement] || {};
+        return Object.keys(settlementState)
+            .filter(cargo => settlementState[cargo].length > 0)
+            .sort((a, b) => this._latestTime(settlementState[b]) - this._latestTime(settlementState[a]));
+    }
+
+    /**
+     * Get the history for one cargo across every settlement
+     * @param {string} cargo - Cargo type name
+     * @param {Object} filters - { quality, source, since }
+     * @returns {Object} - { cargo, settlements: [{ settlement, points, latest, average, min, max }], summary }
+     */
+    getCargoHistory(cargo, filters = {}) {
+        const settlements = Object.keys(this.state)
+            .map(settlement => {
+                const points = this.getHistory(settlement, cargo, filters);
+                return points.length > 0 ? { settlement, points, ...this._summarise(points) } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.settlement.localeCompare(b.settlement));
+
+        const allPoints = settlements.flatMap(entry => entry.points).sort((a, b) => a.time - b.time);
+        return {
+            cargo,
+            settlements,
+            summary: allPoints.length > 0 ? this._summarise(allPoints) : null
+        };
+    }
+
+    /**
+     * Judge a price against the recorded history for the cargo
+     * Within `fairBand` of the average is fair; further below is low and further above is high
+     * @param {string} cargo - Cargo type name
+     * @param {number} price - Price per EP in BP
+     * @param {Object} filters - { quality, source, since }
+     * @returns {Object} - { rating: 'low'|'fair'|'high'|'unknown', average, difference, count }
+     */
+    evaluatePrice(cargo, price, filters = {}) {
+        const { summary } = this.getCargoHistory(cargo, filters);
+        if (!summary || summary.average <= 0) {
+            return { rating: 'unknown', average: null, difference: null, count: 0 };
+        }
+
+        const difference = (Number(price) - summary.average) / summary.average;
+        let rating = 'fair';
+        if (difference > this.fairBand) {
+            rating = 'high';
+        } else if (difference < -this.fairBand) {
+            rating = 'low';
+        }
+
+        return { rating, average: summary.average, difference, count: summary.count };
+    }
+
+    /**
+     * Drop points older than the retention period
+     * @returns {number} - Number of points removed
+     */
+    pruneExpired() {
+        if (!this.retentionDays) {
+            return 0;
+        }
+
+        const cutoff = this.now() - this.retentionDays * SECONDS_PER_DAY;
+        let removed = 0;
+        Object.keys(this.state).forEach(settlement => {
+            Object.keys(this.state[settlement]).forEach(cargo => {
+                const series = this.state[settlement][cargo];
+                const kept = series.filter(point => point.time >= cutoff);
+                removed += series.length - kept.length;
+                if (kept.length > 0) {
+                    this.state[settlement][cargo] = kept;
+                } else {
+                    delete this.state[settlement][cargo];
+                }
+            });
+            if (Object.keys(this.state[settlement]).length === 0) {
+                delete this.state[settlement];
+            }
+        });
+        return removed;
+    }
+
+    /**
+     * Clear the history for one settlement, or for all settlements
+     * @param {string} settlementName - Settlement name (omit to clear everything)
+     */
+    reset(settlementName = null) {
+        if (settlementName) {
+            delete this.state[settlementName];
+        } else {
+            this.state = {};
+        }
+    }
+
+    /**
+     * Get the serialisable history state
+     * @returns {Object} - Points keyed by settlement then cargo name
+     */
+    toJSON() {
+        return this.state;
+    }
+
+    _matches(point, { quality, source, since } = {}) {
+        if (quality && point.quality.toLowerCase() !== String(quality).toLowerCase()) {
+            return false;
+        }
+        if (source && !(Array.isArray(source) ? source : [source]).includes(point.source)) {
+            return false;
+        }
+        return typeof since !== 'number' || point.time >= since;
+    }
+
+    _summarise(points) {
+        const prices = points.map(point => point.price);
+        const average = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+        return {
+            latest: points[points.length - 1],
+            average: Math.round(average * 100) / 100,
+            min: Math.min(...prices),
+            max: Math.max(...prices),
+            count: points.length
+        };
+    }
+
+    _latestTime(series) {
+        return series.length > 0 ? series[series.length - 1].time : -Infinity;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesPriceHistory = PriceHistory;
+}
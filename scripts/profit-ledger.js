@@ -0,0 +1,145 @@
+console.log('Trading Places | Loading profit-ledger.js');
+
+/**
+ * Trading Places Module - Profit Ledger
+ * Window showing the profit and loss report, with CSV and Markdown export
+ */
+
+import { formatCanonicalValue, resolveCurrencyContext } from './currency-display.js';
+import { ProfitReport } from './profit-report.js';
+
+const MODULE_ID = "fvtt-trading-places";
+
+// Check if ApplicationV2 is available before defining the class
+if (typeof foundry?.applications?.api?.ApplicationV2 === 'undefined' ||
+    typeof foundry?.applications?.api?.HandlebarsApplicationMixin === 'undefined') {
+    console.warn('Trading Places | ApplicationV2 Handlebars mixin not available, profit ledger will not be loaded');
+} else {
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+const HandlebarsApplication = HandlebarsApplicationMixin(ApplicationV2);
+
+class ProfitLedger extends HandlebarsApplication {
+
+    static DEFAULT_OPTIONS = {
+        id: "trading-places-profit-ledger",
+        tag: "div",
+        window: {
+            title: "Profit & Loss",
+            icon: "fas fa-balance-scale",
+            resizable: true,
+            minimizable: true,
+            maximizable: true
+        },
+        position: {
+            width: 760,
+            height: 680
+        },
+        classes: ["trading-places", "profit-ledger", "application-v2"]
+    };
+
+    static PARTS = {
+        content: {
+            template: `modules/${MODULE_ID}/templates/profit-ledger.hbs`
+        }
+    };
+
+    constructor(dataManager, options = {}) {
+        super(options);
+        this.dataManager = dataManager;
+    }
+
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        const report = this.dataManager.getProfitReport();
+        const money = value => (value === null || value === undefined ? '—' : this._formatCurrency(value));
+        const withMoney = (entry, fields) => {
+            const formatted = { ...entry };
+            fields.forEach(field => {
+                formatted[field] = money(entry[field]);
+            });
+            formatted.loss = (entry.profit ?? entry.unrealised ?? 0) < 0;
+            return formatted;
+        };
+
+        context.totals = {
+            spent: money(report.totals.spent),
+            received: money(report.totals.received),
+            realised: money(report.totals.realised),
+            storage: money(report.totals.storage),
+            net: money(report.totals.net),
+            costBasis: money(report.totals.costBasis),
+            estimatedValue: money(report.totals.estimatedValue),
+            unrealised: money(report.totals.unrealised),
+            realisedLoss: report.totals.realised < 0,
+            netLoss: report.totals.net < 0,
+            unrealisedLoss: report.totals.unrealised < 0
+        };
+        context.lots = report.lots.map(lot => withMoney(lot, ['cost', 'proceeds', 'profit']));
+        context.trips = report.trips.map(trip => withMoney(trip, ['cost', 'proceeds', 'profit']));
+        context.settlements = report.settlements.map(entry => withMoney(entry, ['spent', 'received', 'profit']));
+        context.seasons = report.seasons.map(entry => withMoney(entry, ['cost', 'proceeds', 'profit']));
+        context.unmatchedSales = report.unmatchedSales.map(sale => withMoney(sale, ['proceeds']));
+        context.holdings = report.holdings.map(holding => withMoney(holding, ['costBasis', 'estimatedValue', 'unrealised']));
+        context.storageCosts = report.storageCosts.map(charge => ({
+            ...charge,
+            amount: money(charge.amount),
+            date: window.TradingPlacesClock ? window.TradingPlacesClock.format(charge.worldTime) : charge.worldTime
+        }));
+        context.hasTransactions = context.lots.length > 0 || context.unmatchedSales.length > 0;
+        return context;
+    }
+
+    _attachPartListeners(partId, htmlElement, options) {
+        super._attachPartListeners(partId, htmlElement, options);
+
+        const csvBtn = htmlElement.querySelector('.export-profit-csv-btn');
+        if (csvBtn) {
+            csvBtn.addEventListener('click', () => this._onExport('csv'));
+        }
+
+        const markdownBtn = htmlElement.querySelector('.export-profit-markdown-btn');
+        if (markdownBtn) {
+            markdownBtn.addEventListener('click', () => this._onExport('markdown'));
+        }
+    }
+
+    _formatCurrency(value) {
+        return formatCanonicalValue(value, resolveCurrencyContext(this.dataManager), { defaultText: `${value} BP` });
+    }
+
+    _onExport(format) {
+        try {
+            const reporter = new ProfitReport();
+            const report = this.dataManager.getProfitReport();
+            const content = format === 'csv'
+                ? reporter.toCSV(report)
+                : reporter.toMarkdown(report, { formatValue: value => this._formatCurrency(value) });
+            const dataBlob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'text/markdown' });
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(dataBlob);
+            link.download = `profit-and-loss.${format === 'csv' ? 'csv' : 'md'}`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            ui.notifications.info('Profit and loss report exported');
+        } catch (error) {
+            console.error('Trading Places | Failed to export profit report:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    static async show(dataManager) {
+        const ledger = new ProfitLedger(dataManager);
+        await ledger.render(true);
+        return ledger;
+    }
+}
+
+// Export class globally
+window.TradingPlacesProfitLedger = ProfitLedger;
+console.log('Trading Places | Profit ledger registered globally');
+
+} // End of ApplicationV2 availability check
@@ -0,0 +1,453 @@
+/**
+ * Trading Places Module - Profit Report
+ * Realised and unrealised profit worked out from the transaction history
+ */
+
+console.log('Trading Places | Loading profit-report.js');
+
+const CSV_COLUMNS = ['section', 'name', 'from', 'to', 'season', 'quantity', 'cost', 'proceeds', 'profit'];
+
+/**
+ * Profit Report class for pairing purchases with the sales that emptied them
+ *
+ * Every purchase in the history opens a lot. Sales are paired with the oldest open lot of the
+ * same cargo first (FIFO): lots with the sale's `cargoId` when it has one, then lots of the same
+ * cargo and quality, then any lot of the same cargo. Each pairing takes its share of the lot's
+ * cost (tariffs included) and of the sale's proceeds (after tariffs), and the difference is the
+ * realised profit. Realised profit is grouped per lot, per trip (where the cargo was bought and
+ * where it was sold), per settlement and per season of the sale. Sales with no purchase to pair
+ * with are reported as unmatched. Cargo still in the hold is valued at cost and at an estimated
+ * market price to give the unrealised profit. Warehouse fees are listed as storage costs and taken
+ * off the realised profit to give the net profit. Reversed transactions are left out. All amounts
+ * are in canonical units (BP).
+ */
+export class ProfitReport {
+    /**
+     * @param {Object} options - { estimatePrice, logger } where estimatePrice(cargo) returns an estimated price per EP or null
+     */
+    constructor(options = {}) {
+        this.estimatePrice = typeof options.estimatePrice === 'function' ? options.estimatePrice : () => null;
+        this.logger = options.logger || null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * Build the report
+     * @param {Array} history - Transactions, newest first as kept by the trading window
+     * @param {Array} holdCargo - Cargo still in the hold
+     * @param {Array} storageCharges - Warehouse fees charged ({ settlement, weeks, amount, paid, payer, worldTime })
+     * @returns {Object} - { lots, trips, settlements, seasons, unmatchedSales, holdings, storageCosts, totals }
+     */
+    build(history = [], holdCargo = [], storageCharges = []) {
+        const recorded = history.filter(transaction => !transaction.reversed);
+        const lots = [];
+        const matches = [];
+        const unmatchedSales = [];
+
+        for (const transaction of this._chronological(recorded)) {
+            const quantity = Number(transaction.quantity) || 0;
+            const amount = Number(transaction.totalCost) || 0;
+            if (quantity <= 0) {
+                continue;
+            }
+
+            if (!transaction.isSale) {
+                lots.push({
+                    cargoId: transaction.cargoId || null,
+                    cargo: transaction.cargo,
+                    quality: transaction.quality || 'Average',
+                    settlement: transaction.settlement,
+                    season: transaction.season,
+                    date: transaction.date,
+                    quantity,
+                    cost: amount,
+                    remaining: quantity,
+                    soldQuantity: 0,
+                    costOfSold: 0,
+                    proceeds: 0
+                });
+                continue;
+            }
+
+            let unpaired = quantity;
+            for (const lot of this._findOpenLots(lots, transaction)) {
+                if (unpaired <= 0) {
+                    break;
+                }
+
+                const taken = Math.min(unpaired, lot.remaining);
+                const match = {
+                    lot,
+                    quantity: taken,
+                    cost: lot.cost * (taken / lot.quantity),
+                    proceeds: amount * (taken / quantity),
+                    from: lot.settlement,
+                    to: transaction.settlement,
+                    season: transaction.season
+                };
+                match.profit = match.proceeds - match.cost;
+                matches.push(match);
+
+                lot.remaining -= taken;
+                lot.soldQuantity += taken;
+                lot.costOfSold += match.cost;
+                lot.proceeds += match.proceeds;
+                unpaired -= taken;
+            }
+
+            if (unpaired > 0) {
+                unmatchedSales.push({
+                    cargo: transaction.cargo,
+                    quality: transaction.quality || null,
+                    settlement: transaction.settlement,
+                    season: transaction.season,
+                    date: transaction.date,
+                    quantity: unpaired,
+                    proceeds: amount * (unpaired / quantity)
+                });
+            }
+        }
+
+        const holdings = this._valueHoldings(holdCargo);
+        const realised = this._sum(matches, 'profit');
+        const costBasis = this._sum(holdings, 'costBasis');
+        const estimated = holdings.filter(holding => holding.estimatedValue !== null);
+        const storageCosts = (storageCharges || []).map(charge => ({
+            settlement: charge.settlement,
+            weeks: charge.weeks,
+            amount: this._round(Number(charge.amount) || 0),
+            paid: charge.paid !== false,
+            payer: charge.payer || null,
+            worldTime: charge.worldTime ?? null
+        }));
+        const storage = this._sum(storageCosts, 'amount');
+
+        const report = {
+            lots: lots.map(lot => ({
+                cargoId: lot.cargoId,
+                cargo: lot.cargo,
+                quality: lot.quality,
+                settlement: lot.settlement,
+                season: lot.season,
+                date: lot.date,
+                quantity: lot.quantity,
+                cost: this._round(lot.cost),
+                soldQuantity: lot.soldQuantity,
+                remaining: lot.remaining,
+                costOfSold: this._round(lot.costOfSold),
+                proceeds: this._round(lot.proceeds),
+                profit: this._round(lot.proceeds - lot.costOfSold)
+            })),
+            trips: this._groupMatches(matches, match => `${match.from}\u0000${match.to}`, match => ({ from: match.from, to: match.to })),
+            settlements: this._groupSettlements(recorded, matches),
+            seasons: this._groupMatches(matches, match => match.season || 'unknown', match => ({ season: match.season || 'unknown' })),
+            unmatchedSales: unmatchedSales.map(sale => ({ ...sale, proceeds: this._round(sale.proceeds) })),
+            holdings,
+            storageCosts,
+            totals: {
+                spent: this._round(this._sum(recorded.filter(transaction => !transaction.isSale), 'totalCost')),
+                received: this._round(this._sum(recorded.filter(transaction => transaction.isSale), 'totalCost')),
+                realised: this._round(realised),
+                storage: this._round(storage),
+                net: this._round(realised - storage),
+                costBasis: this._round(costBasis),
+                estimatedValue: this._round(this._sum(estimated, 'estimatedValue')),
+                unrealised: this._round(this._sum(estimated, 'unrealised'))
+            }
+        };
+
+        this.getLogger().logCalculation('Profit Report', 'Profit report built', {
+            lots: report.lots.length,
+            sales: matches.length,
+            unmatched: unmatchedSales.length,
+            realised: report.totals.realised,
+            storage: report.totals.storage,
+            unrealised: report.totals.unrealised
+        });
+
+        return report;
+    }
+
+    /**
+     * Write a report as CSV, one row per lot, trip, settlement, season, unmatched sale, storage fee and holding
+     * Storage rows give the weeks charged as the quantity
+     * @param {Object} report - Result of build()
+     * @returns {string} - CSV text with a header row
+     */
+    toCSV(report) {
+        const rows = [CSV_COLUMNS];
+        const add = (section, row) => rows.push([
+            section,
+            row.name ?? '',
+            row.from ?? '',
+            row.to ?? '',
+            row.season ?? '',
+            row.quantity ?? '',
+            row.cost ?? '',
+            row.proceeds ?? '',
+            row.profit ?? ''
+        ]);
+
+        report.lots.forEach(lot => add('lot', {
+            name: `${lot.cargo} (${lot.quality})`,
+            from: lot.settlement,
+            season: lot.season,
+            quantity: lot.quantity,
+            cost: lot.cost,
+            proceeds: lot.proceeds,
+            profit: lot.profit
+        }));
+        report.trips.forEach(trip => add('trip', trip));
+        report.settlements.forEach(entry => add('settlement', {
+            name: entry.settlement,
+            cost: entry.spent,
+            proceeds: entry.received,
+            profit: entry.profit
+        }));
+        report.seasons.forEach(entry => add('season', entry));
+        report.unmatchedSales.forEach(sale => add('unmatched sale', {
+            name: sale.cargo,
+            to: sale.settlement,
+            season: sale.season,
+            quantity: sale.quantity,
+            proceeds: sale.proceeds
+        }));
+        (report.storageCosts || []).forEach(charge => add('storage', {
+            name: charge.settlement,
+            quantity: charge.weeks,
+            cost: charge.amount
+        }));
+        report.holdings.forEach(holding => add('hold', {
+            name: `${holding.cargo} (${holding.quality})`,
+            from: holding.settlement,
+            quantity: holding.quantity,
+            cost: holding.costBasis,
+            proceeds: holding.estimatedValue,
+            profit: holding.unrealised
+        }));
+
+        return rows.map(row => row.map(value => this._csvValue(value)).join(',')).join('\n');
+    }
+
+    /**
+     * Write a report as Markdown tables
+     * @param {Object} report - Result of build()
+     * @param {Object} options - { title, formatValue } where formatValue(bp) formats an amount
+     * @returns {string} - Markdown text
+     */
+    toMarkdown(report, options = {}) {
+        const format = typeof options.formatValue === 'function' ? options.formatValue : value => `${value} BP`;
+        const money = value => (value === null || value === undefined ? '—' : format(value));
+        const table = (headers, rows) => [
+            `| ${headers.join(' | ')} |`,
+            `| ${headers.map(() => '---').join(' | ')} |`,
+            ...rows.map(row => `| ${row.map(cell => String(cell ?? '').replace(/\|/g, '\\|')).join(' | ')} |`)
+        ].join('\n');
+
+        const totals = report.totals;
+        const sections = [
+            `# ${options.title || 'Profit and Loss'}`,
+            [
+                `- Spent on cargo: ${money(totals.spent)}`,
+                `- Received from sales: ${money(totals.received)}`,
+                `- Realised profit: ${money(totals.realised)}`,
+                `- Storage fees: ${money(totals.storage)}`,
+                `- Net profit after storage: ${money(totals.net)}`,
+                `- Cargo in the hold at cost: ${money(totals.costBasis)}`,
+                `- Estimated value of the hold: ${money(totals.estimatedValue)}`,
+                `- Unrealised profit: ${money(totals.unrealised)}`
+            ].join('\n')
+        ];
+
+        const addSection = (title, headers, rows) => {
+            if (rows.length > 0) {
+                sections.push(`## ${title}`, table(headers, rows));
+            }
+        };
+
+        addSection('Cargo Lots', ['Cargo', 'Quality', 'Bought at', 'Season', 'EP', 'Sold EP', 'Cost', 'Proceeds', 'Profit'],
+            report.lots.map(lot => [lot.cargo, lot.quality, lot.settlement, lot.season, lot.quantity, lot.soldQuantity,
+                money(lot.cost), money(lot.proceeds), money(lot.profit)]));
+        addSection('Trips', ['From', 'To', 'EP', 'Cost', 'Proceeds', 'Profit'],
+            report.trips.map(trip => [trip.from, trip.to, trip.quantity, money(trip.cost), money(trip.proceeds), money(trip.profit)]));
+        addSection('Settlements', ['Settlement', 'Spent', 'Received', 'Realised profit'],
+            report.settlements.map(entry => [entry.settlement, money(entry.spent), money(entry.received), money(entry.profit)]));
+        addSection('Seasons', ['Season', 'EP', 'Cost', 'Proceeds', 'Profit'],
+            report.seasons.map(entry => [entry.season, entry.quantity, money(entry.cost), money(entry.proceeds), money(entry.profit)]));
+        addSection('Unmatched Sales', ['Cargo', 'Sold at', 'Season', 'EP', 'Proceeds'],
+            report.unmatchedSales.map(sale => [sale.cargo, sale.settlement, sale.season, sale.quantity, money(sale.proceeds)]));
+        addSection('Storage Costs', ['Warehouse at', 'Weeks', 'Fee', 'Paid'],
+            (report.storageCosts || []).map(charge => [charge.settlement, charge.weeks, money(charge.amount), charge.paid ? 'yes' : 'owed']));
+        addSection('In the Hold', ['Cargo', 'Quality', 'Bought at', 'EP', 'Cost', 'Estimated value', 'Unrealised'],
+            report.holdings.map(holding => [holding.cargo, holding.quality, holding.settlement, holding.quantity,
+                money(holding.costBasis), money(holding.estimatedValue), money(holding.unrealised)]));
+
+        return sections.join('\n\n') + '\n';
+    }
+
+    /**
+     * Order transactions oldest first
+     * World time is used when recorded; otherwise history order (newest first) is reversed
+     * @private
+     */
+    _chronological(history) {
+        return history
+            .map((transaction, index) => ({ transaction, index }))
+            .sort((a, b) => {
+                const timeA = typeof a.transaction.worldTime === 'number' ? a.transaction.worldTime : null;
+                const timeB = typeof b.transaction.worldTime === 'number' ? b.transaction.worldTime : null;
+                if (timeA !== null && timeB !== null && timeA !== timeB) {
+                    return timeA - timeB;
+                }
+                return b.index - a.index;
+            })
+            .map(entry => entry.transaction);
+    }
+
+    /**
+     * Find the open lots a sale can be paired with, oldest first
+     * @private
+     */
+    _findOpenLots(lots, sale) {
+        const open = lots.filter(lot => lot.remaining > 0 && lot.cargo === sale.cargo);
+
+        if (sale.cargoId) {
+            const sameLot = open.filter(lot => lot.cargoId === sale.cargoId);
+            if (sameLot.length > 0) {
+                return sameLot;
+            }
+        }
+
+        if (sale.quality) {
+            const sameQuality = open.filter(lot => lot.quality === sale.quality);
+            if (sameQuality.length > 0) {
+                return sameQuality;
+            }
+        }
+
+        return open;
+    }
+
+    /**
+     * Value the cargo still in the hold at cost and at the estimated market price
+     * @private
+     */
+    _valueHoldings(holdCargo) {
+        return (holdCargo || [])
+            .filter(cargo => (Number(cargo.quantity) || 0) > 0)
+            .map(cargo => {
+                const quantity = Number(cargo.quantity);
+                const costBasis = (Number(cargo.pricePerEP) || 0) * quantity;
+                const price = this.estimatePrice(cargo);
+                const estimatedValue = typeof price === 'number' && Number.isFinite(price) ? price * quantity : null;
+                return {
+                    cargoId: cargo.id || null,
+                    cargo: cargo.cargo,
+                    quality: cargo.quality || 'Average',
+                    settlement: cargo.settlement,
+                    stored: cargo.storage === 'warehouse',
+                    quantity,
+                    costBasis: this._round(costBasis),
+                    estimatedValue: estimatedValue === null ? null : this._round(estimatedValue),
+                    unrealised: estimatedValue === null ? null : this._round(estimatedValue - costBasis)
+                };
+            });
+    }
+
+    /**
+     * Total up matched sales by a key
+     * @private
+     */
+    _groupMatches(matches, keyOf, describe) {
+        const groups = new Map();
+        for (const match of matches) {
+            const key = keyOf(match);
+            if (!groups.has(key)) {
+                groups.set(key, { ...describe(match), quantity: 0, cost: 0, proceeds: 0, profit: 0 });
+            }
+            const group = groups.get(key);
+            group.quantity += match.quantity;
+            group.cost += match.cost;
+            group.proceeds += match.proceeds;
+            group.profit += match.profit;
+        }
+
+        return Array.from(groups.values())
+            .map(group => ({
+                ...group,
+                cost: this._round(group.cost),
+                proceeds: this._round(group.proceeds),
+                profit: this._round(group.profit)
+            }))
+            .sort((a, b) => b.profit - a.profit);
+    }
+
+    /**
+     * Total up money spent and received at each settlement, and the profit realised there
+     * @private
+     */
+    _groupSettlements(history, matches) {
+        const groups = new Map();
+        const groupFor = name => {
+            const settlement = name || 'Unknown';
+            if (!groups.has(settlement)) {
+                groups.set(settlement, { settlement, spent: 0, received: 0, profit: 0 });
+            }
+            return groups.get(settlement);
+        };
+
+        history.forEach(transaction => {
+            const amount = Number(transaction.totalCost) || 0;
+            if (transaction.isSale) {
+                groupFor(transaction.settlement).received += amount;
+            } else {
+                groupFor(transaction.settlement).spent += amount;
+            }
+        });
+        matches.forEach(match => {
+            groupFor(match.to).profit += match.profit;
+        });
+
+        return Array.from(groups.values())
+            .map(group => ({
+                settlement: group.settlement,
+                spent: this._round(group.spent),
+                received: this._round(group.received),
+                profit: this._round(group.profit)
+            }))
+            .sort((a, b) => b.profit - a.profit || a.settlement.localeCompare(b.settlement));
+    }
+
+    _sum(entries, field) {
+        return entries.reduce((sum, entry) => sum + (Number(entry[field]) || 0), 0);
+    }
+
+    _round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    _csvValue(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesProfitReport = ProfitReport;
+}
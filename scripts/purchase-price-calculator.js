@@ -98,6 +98,7 @@ class PurchasePriceCalculator {
      * @param {Object} options.haggleResult - Result of haggle test (optional)
      * @param {string} options.quality - Quality tier for wine/brandy (optional)
      * @param {string} options.season - Season override (optional)
+     * @param {Object|string} options.settlement - Settlement where buying, for market taxes (optional)
      * @returns {Object} - Detailed price calculation
      */
     calculatePurchasePrice(cargoName, quantity, options = {}) {
@@ -144,15 +145,19 @@ class PurchasePriceCalculator {
 
         console.log('Trading Places Pricing | Step 2: Modifiers Applied', { basePricePerUnit, finalPricePerUnit, modifiers });
 
-        // Calculate total price
-        const totalPrice = finalPricePerUnit * quantity;
+        // Calculate total price, with tariffs on top of the goods
+        const subtotal = finalPricePerUnit * quantity;
+        const tariffs = this.calculateTariffs(cargo, subtotal, options.settlement);
+        const totalPrice = subtotal + tariffs.amount;
 
         const currencyContext = this.getCurrencyContext();
         let basePricePerUnitCanonical = null;
         let finalPricePerUnitCanonical = null;
+        let tariffAmountCanonical = null;
         let totalPriceCanonical = null;
         let formattedBasePricePerUnit = null;
         let formattedFinalPricePerUnit = null;
+        let formattedTariffAmount = null;
         let formattedTotalPrice = null;
 
         if (currencyContext && currencyContext.denominationKey && CurrencyUtils) {
@@ -162,9 +167,11 @@ class PurchasePriceCalculator {
                 // Fix: getSeasonalPrice returns Brass Pennies (bp). Do not use the dynamic denominationKey which might be 'gc'
                 basePricePerUnitCanonical = CurrencyUtils.convertToCanonical({ bp: basePricePerUnit }, config);
                 finalPricePerUnitCanonical = CurrencyUtils.convertToCanonical({ bp: finalPricePerUnit }, config);
-                totalPriceCanonical = Math.round(finalPricePerUnitCanonical * quantity);
+                tariffAmountCanonical = Math.round(finalPricePerUnitCanonical * quantity * tariffs.rate);
+                totalPriceCanonical = Math.round(finalPricePerUnitCanonical * quantity) + tariffAmountCanonical;
                 formattedBasePricePerUnit = CurrencyUtils.formatCurrency(basePricePerUnitCanonical, config);
                 formattedFinalPricePerUnit = CurrencyUtils.formatCurrency(finalPricePerUnitCanonical, config);
+                formattedTariffAmount = CurrencyUtils.formatCurrency(tariffAmountCanonical, config);
                 formattedTotalPrice = CurrencyUtils.formatCurrency(totalPriceCanonical, config);
                 console.log('Trading Places Pricing | Step 4: Currency Conversion Result', { totalPriceCanonical, formattedTotalPrice });
             } catch (error) {
@@ -179,19 +186,45 @@ class PurchasePriceCalculator {
             quality: quality,
             basePricePerUnit: basePricePerUnit,
             finalPricePerUnit: finalPricePerUnit,
+            subtotal: subtotal,
+            tariffs: tariffs,
             totalPrice: totalPrice,
             modifiers: modifiers,
             basePricePerUnitCanonical,
             finalPricePerUnitCanonical,
+            tariffAmountCanonical,
             totalPriceCanonical,
             formattedBasePricePerUnit,
             formattedFinalPricePerUnit,
+            formattedTariffAmount,
             formattedTotalPrice,
             currencyDenomination: currencyContext?.primaryDenomination || null,
             currencyDenominationKey: currencyContext?.denominationKey || null
         };
     }
 
+    /**
+     * Work out the tariffs owed on a purchase at a settlement
+     * @param {Object} cargo - Cargo type object
+     * @param {number} value - Purchase value before tariffs
+     * @param {Object|string} settlement - Settlement where buying (no tariffs when omitted)
+     * @returns {Object} - { lines, rate, amount } as returned by TariffSchedule.calculateTariffs()
+     */
+    calculateTariffs(cargo, value, settlement) {
+        const resolved = typeof settlement === 'string' ? this.dataManager.getSettlement(settlement) : settlement;
+        if (!resolved || typeof this.dataManager.getTariffSchedule !== 'function') {
+            return { lines: [], rate: 0, amount: 0 };
+        }
+
+        return this.dataManager.getTariffSchedule().calculateTariffs({
+            settlement: resolved,
+            cargoName: cargo.name,
+            category: cargo.category,
+            transactionType: 'purchase',
+            value
+        });
+    }
+
     /**
      * Apply haggle test result to price calculation
      * @param {number} basePrice - Base price per unit
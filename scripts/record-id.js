@@ -0,0 +1,31 @@
+/**
+ * Trading Places Module - Record Ids
+ * Ids for the records the module keeps in its settings (events, loans, contracts, vessels, ...)
+ */
+
+console.log('Trading Places | Loading record-id.js');
+
+/**
+ * Record Id class for generating record ids
+ *
+ * Uses Foundry's random ids; outside Foundry (headless harness, unit tests) the id is built
+ * from the record type, the current time and a random suffix.
+ */
+export class RecordId {
+    /**
+     * Generate a unique record id
+     * @param {string} prefix - Record type, used by the fallback id (e.g. 'rumor')
+     * @returns {string} - Record id
+     */
+    static generate(prefix = 'record') {
+        if (typeof foundry !== 'undefined' && typeof foundry.utils?.randomID === 'function') {
+            return foundry.utils.randomID();
+        }
+        return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesRecordId = RecordId;
+}
@@ -0,0 +1,152 @@
+console.log('Trading Places | Loading reputation-panel.js');
+
+/**
+ * Trading Places Module - Reputation Panel
+ * Window showing where the party stands with the merchants of each settlement and region
+ */
+
+const MODULE_ID = "fvtt-trading-places";
+
+// Check if ApplicationV2 is available before defining the class
+if (typeof foundry?.applications?.api?.ApplicationV2 === 'undefined' ||
+    typeof foundry?.applications?.api?.HandlebarsApplicationMixin === 'undefined') {
+    console.warn('Trading Places | ApplicationV2 Handlebars mixin not available, reputation panel will not be loaded');
+} else {
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+const HandlebarsApplication = HandlebarsApplicationMixin(ApplicationV2);
+
+class ReputationPanel extends HandlebarsApplication {
+
+    static DEFAULT_OPTIONS = {
+        id: "trading-places-reputation-panel",
+        tag: "div",
+        window: {
+            title: "Reputation",
+            icon: "fas fa-handshake",
+            resizable: true,
+            minimizable: true,
+            maximizable: false
+        },
+        position: {
+            width: 560,
+            height: 640
+        },
+        classes: ["trading-places", "reputation-panel", "application-v2"]
+    };
+
+    static PARTS = {
+        content: {
+            template: `modules/${MODULE_ID}/templates/reputation-panel.hbs`
+        }
+    };
+
+    /**
+     * @param {Object} dataManager - DataManager instance
+     * @param {Object} options - { settlement } plus ApplicationV2 options
+     */
+    constructor(dataManager, options = {}) {
+        const { settlement = null, ...appOptions } = options;
+        super(appOptions);
+        this.dataManager = dataManager;
+        this.settlement = settlement;
+    }
+
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        const reputation = this.dataManager.getReputation();
+
+        context.isGM = !!game.user?.isGM;
+        context.settlementName = this.settlement?.name || null;
+        if (this.settlement) {
+            const standing = reputation.getStanding(this.settlement);
+            context.standing = {
+                score: this._signed(standing),
+                tier: reputation.getTier(standing),
+                tierClass: reputation.getTier(standing).toLowerCase(),
+                region: this.settlement.region || null,
+                haggle: this._signed(reputation.getHaggleModifier(this.settlement)),
+                buyers: `${this._signed(reputation.getBuyerChanceModifier(this.settlement))}%`,
+                refused: !reputation.canAccessMarket(this.settlement)
+            };
+        }
+
+        const describe = entry => ({
+            name: entry.name,
+            score: this._signed(entry.score),
+            tier: reputation.getTier(entry.score)
+        });
+        context.settlements = reputation.getSettlementScores().map(describe);
+        context.regions = reputation.getRegionScores().map(describe);
+
+        context.events = reputation.getEvents().slice(0, 20).map(event => ({
+            settlement: event.settlement,
+            type: this._describeType(event.type),
+            change: this._signed(event.change),
+            positive: event.change > 0,
+            note: event.note,
+            when: this._formatTime(event.worldTime)
+        }));
+        context.hasEvents = context.events.length > 0;
+        return context;
+    }
+
+    _attachPartListeners(partId, htmlElement, options) {
+        super._attachPartListeners(partId, htmlElement, options);
+
+        const adjustBtn = htmlElement.querySelector('.adjust-reputation-btn');
+        if (adjustBtn) {
+            adjustBtn.addEventListener('click', () => this._onAdjust(htmlElement));
+        }
+    }
+
+    _describeType(type) {
+        const labels = {
+            contractCompleted: 'Contract completed',
+            contractFailed: 'Contract failed',
+            fairTrade: 'Fair trade',
+            heavyHaggle: 'Hard bargain',
+            contrabandBust: 'Caught with contraband',
+            reversedDeal: 'Deal reversed',
+            adjustment: 'Adjusted by the GM'
+        };
+        return labels[type] || type;
+    }
+
+    _signed(value) {
+        return value > 0 ? `+${value}` : `${value}`;
+    }
+
+    _formatTime(worldTime) {
+        return window.TradingPlacesClock ? window.TradingPlacesClock.format(worldTime) : worldTime;
+    }
+
+    async _onAdjust(htmlElement) {
+        try {
+            const change = Number(htmlElement.querySelector('#reputation-change')?.value);
+            if (!Number.isFinite(change) || change === 0) {
+                throw new Error('Enter a change to the reputation');
+            }
+            const note = htmlElement.querySelector('#reputation-note')?.value?.trim() || null;
+
+            await this.dataManager.recordReputation(this.settlement, 'adjustment', { change, note });
+            ui.notifications.info(`Reputation at ${this.settlement.name} ${change > 0 ? 'raised' : 'lowered'} by ${Math.abs(change)}`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to adjust reputation:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    static async show(dataManager, options = {}) {
+        const panel = new ReputationPanel(dataManager, options);
+        await panel.render(true);
+        return panel;
+    }
+}
+
+// Export class globally
+window.TradingPlacesReputationPanel = ReputationPanel;
+console.log('Trading Places | Reputation panel registered globally');
+
+} // End of ApplicationV2 availability check
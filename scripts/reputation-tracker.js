@@ -0,0 +1,261 @@
+/**
+ * Trading Places Module - Reputation Tracker
+ * The party's standing with the merchants of each settlement and region
+ */
+
+console.log('Trading Places | Loading reputation-tracker.js');
+
+import { TradingClock } from './trading-clock.js';
+import { RecordId } from './record-id.js';
+
+const MIN_SCORE = -100;
+const MAX_SCORE = 100;
+
+const DEFAULT_EVENTS = {
+    contractCompleted: 10,
+    contractFailed: -15,
+    fairTrade: 1,
+    heavyHaggle: -3,
+    contrabandBust: -20,
+    reversedDeal: -5
+};
+
+const DEFAULT_TIERS = [
+    { min: 50, label: 'Renowned' },
+    { min: 20, label: 'Trusted' },
+    { min: -19, label: 'Neutral' },
+    { min: -49, label: 'Distrusted' },
+    { min: MIN_SCORE, label: 'Shunned' }
+];
+
+/**
+ * Reputation Tracker class for remembering how the party has dealt with each market
+ *
+ * Every event (a contract completed or failed, a fair trade or a heavily haggled one, a contraband
+ * bust, a reversed deal, or an adjustment by the GM) changes the score of the settlement where it
+ * happened by its amount from the `reputation.events` config, and the score of the settlement's
+ * region by `regionShare` of that, as word spreads. The party's standing at a settlement is its
+ * settlement score plus its region score, between -100 and 100. Standing adds
+ * `haggleModifierPerPoint` per point to the party's haggle tests and `buyerChancePerPoint` per
+ * point to the chance of finding a buyer; below `tradeAccessMinimum` the merchants of a
+ * `trade`-flagged settlement will not deal with the party at all.
+ */
+export class ReputationTracker {
+    static MIN_SCORE = MIN_SCORE;
+    static MAX_SCORE = MAX_SCORE;
+
+    /**
+     * @param {Object} config - `reputation` section of the trading config
+     * @param {Object} options - { settlements, regions, events, now, logger } where settlements and regions map names to scores
+     */
+    constructor(config = {}, options = {}) {
+        this.config = config || {};
+        this.settlements = options.settlements && typeof options.settlements === 'object' ? options.settlements : {};
+        this.regions = options.regions && typeof options.regions === 'object' ? options.regions : {};
+        this.events = Array.isArray(options.events) ? options.events : [];
+        this.now = typeof options.now === 'function' ? options.now : () => TradingClock.now();
+        this.logger = options.logger || null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * Get the reputation config with defaults applied
+     * @returns {Object} - Reputation configuration
+     */
+    getConfig() {
+        return {
+            regionShare: this.config.regionShare ?? 0.5,
+            haggleModifierPerPoint: this.config.haggleModifierPerPoint ?? 0.2,
+            buyerChancePerPoint: this.config.buyerChancePerPoint ?? 0.2,
+            tradeAccessMinimum: this.config.tradeAccessMinimum ?? -50,
+            fairTradeMaxHaggle: this.config.fairTradeMaxHaggle ?? 5,
+            heavyHaggleMinimum: this.config.heavyHaggleMinimum ?? 15,
+            historyLimit: this.config.historyLimit ?? 100,
+            events: { ...DEFAULT_EVENTS, ...(this.config.events || {}) },
+            tiers: Array.isArray(this.config.tiers) ? this.config.tiers : DEFAULT_TIERS
+        };
+    }
+
+    /**
+     * Get the party's standing at a settlement
+     * @param {Object} settlement - Settlement ({ name, region })
+     * @returns {number} - Settlement score plus region score, between -100 and 100
+     */
+    getStanding(settlement) {
+        if (!settlement?.name) {
+            return 0;
+        }
+        const local = this.settlements[settlement.name] || 0;
+        const regional = settlement.region ? this.regions[settlement.region] || 0 : 0;
+        return this._clamp(local + regional);
+    }
+
+    /**
+     * Name the standing a score gives
+     * @param {number} score - Standing or score
+     * @returns {string} - Tier label, e.g. 'Trusted'
+     */
+    getTier(score) {
+        const tiers = [...this.getConfig().tiers].sort((a, b) => b.min - a.min);
+        return (tiers.find(tier => score >= tier.min) || tiers[tiers.length - 1]).label;
+    }
+
+    /**
+     * @param {Object} settlement - Settlement
+     * @returns {number} - Modifier to the party's haggle tests there
+     */
+    getHaggleModifier(settlement) {
+        return Math.round(this.getStanding(settlement) * this.getConfig().haggleModifierPerPoint);
+    }
+
+    /**
+     * @param {Object} settlement - Settlement
+     * @returns {number} - Percentage points added to the chance of finding a buyer there
+     */
+    getBuyerChanceModifier(settlement) {
+        return Math.round(this.getStanding(settlement) * this.getConfig().buyerChancePerPoint);
+    }
+
+    /**
+     * Check whether the merchants of a settlement will deal with the party
+     * Only `trade`-flagged settlements turn the party away
+     * @param {Object} settlement - Settlement ({ name, region, flags })
+     * @returns {boolean} - False when the settlement is a trade market and the party's standing is too low
+     */
+    canAccessMarket(settlement) {
+        const isTradeMarket = (settlement?.flags || []).some(flag => String(flag).toLowerCase() === 'trade');
+        return !isTradeMarket || this.getStanding(settlement) >= this.getConfig().tradeAccessMinimum;
+    }
+
+    /**
+     * Name the reputation event a completed trade counts as
+     * @param {Object} transaction - Purchase or sale ({ isSale, discountPercent })
+     * @returns {string|null} - 'fairTrade', 'heavyHaggle' or null when neither
+     */
+    classifyTrade(transaction) {
+        const config = this.getConfig();
+        const discount = Number(transaction?.discountPercent) || 0;
+        // A lower purchase price or a higher sale price is haggled in the party's favour
+        const haggled = transaction?.isSale ? discount : -discount;
+        if (haggled >= config.heavyHaggleMinimum) {
+            return 'heavyHaggle';
+        }
+        if (Math.abs(haggled) <= config.fairTradeMaxHaggle) {
+            return 'fairTrade';
+        }
+        return null;
+    }
+
+    /**
+     * Record an event that changes the party's reputation
+     * @param {Object} settlement - Settlement where it happened ({ name, region })
+     * @param {string} type - Event type from the config, or 'adjustment'
+     * @param {Object} options - { change, note } where change overrides the configured amount
+     * @returns {Object|null} - The recorded event, or null when it changes nothing
+     */
+    record(settlement, type, options = {}) {
+        if (!settlement?.name) {
+            throw new Error('Reputation events need a settlement');
+        }
+
+        const change = Number(options.change ?? this.getConfig().events[type]);
+        if (!Number.isFinite(change)) {
+            throw new Error(`Unknown reputation event: ${type}`);
+        }
+        if (change === 0) {
+            return null;
+        }
+
+        this.settlements[settlement.name] = this._clamp((this.settlements[settlement.name] || 0) + change);
+        const regionChange = settlement.region ? Math.round(change * this.getConfig().regionShare) : 0;
+        if (regionChange !== 0) {
+            this.regions[settlement.region] = this._clamp((this.regions[settlement.region] || 0) + regionChange);
+        }
+
+        const event = {
+            id: RecordId.generate('reputation'),
+            settlement: settlement.name,
+            region: settlement.region || null,
+            type,
+            change,
+            regionChange,
+            note: options.note || null,
+            worldTime: this.now()
+        };
+        this.events.unshift(event);
+        this.events = this.events.slice(0, this.getConfig().historyLimit);
+
+        this.getLogger().logDecision('Reputation', `${type} at ${settlement.name}: ${change > 0 ? '+' : ''}${change}`, {
+            standing: this.getStanding(settlement),
+            note: event.note
+        });
+        return event;
+    }
+
+    /**
+     * Get the settlements the party has a reputation with, best first
+     * @returns {Array} - [{ name, score }]
+     */
+    getSettlementScores() {
+        return this._sortedScores(this.settlements);
+    }
+
+    /**
+     * Get the regions the party has a reputation in, best first
+     * @returns {Array} - [{ name, score }]
+     */
+    getRegionScores() {
+        return this._sortedScores(this.regions);
+    }
+
+    /**
+     * Get the recorded events, newest first
+     * @param {string} settlementName - Only the events at this settlement (optional)
+     * @returns {Array} - Events
+     */
+    getEvents(settlementName = null) {
+        return settlementName ? this.events.filter(event => event.settlement === settlementName) : this.events;
+    }
+
+    /**
+     * Get the serialisable reputation state
+     * @returns {Object} - { settlements, regions, events }
+     */
+    toJSON() {
+        return {
+            settlements: this.settlements,
+            regions: this.regions,
+            events: this.events
+        };
+    }
+
+    _sortedScores(scores) {
+        return Object.entries(scores)
+            .map(([name, score]) => ({ name, score }))
+            .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+    }
+
+    _clamp(score) {
+        return Math.max(MIN_SCORE, Math.min(MAX_SCORE, Math.round(score)));
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesReputationTracker = ReputationTracker;
+}
@@ -0,0 +1,278 @@
+/**
+ * Trading Places Module - Route Network
+ * Graph of river and road connections between settlements with path finding
+ */
+
+console.log('Trading Places | Loading route-network.js');
+
+/**
+ * Route Network class for settlement connectivity and travel planning
+ *
+ * Edges come from the optional `routes` section of a dataset. Each edge is
+ * travelled in both directions unless it is marked `oneWay`.
+ */
+export class RouteNetwork {
+    /**
+     * @param {Array} routes - Route edges ({ from, to, type, waterway|road, distance, travelDays, cost? })
+     * @param {Object} routeConfig - `routes` section of the trading config (cost per mile by route type)
+     */
+    constructor(routes = [], routeConfig = {}) {
+        this.routes = Array.isArray(routes) ? routes : [];
+        this.config = routeConfig || {};
+        this.adjacency = new Map();
+        this._buildAdjacency();
+    }
+
+    /**
+     * Normalise a settlement name for lookups (settlement names are matched case-insensitively)
+     * @param {string} name - Settlement name
+     * @returns {string} - Lookup key
+     */
+    static normaliseName(name) {
+        return typeof name === 'string' ? name.trim().toLowerCase() : '';
+    }
+
+    _buildAdjacency() {
+        this.routes.forEach((route, index) => {
+            if (!route || !route.from || !route.to) {
+                return;
+            }
+
+            const leg = this._createLeg(route, index, route.from, route.to);
+            this._addLeg(leg);
+
+            if (!route.oneWay) {
+                this._addLeg(this._createLeg(route, index, route.to, route.from));
+            }
+        });
+    }
+
+    _createLeg(route, index, from, to) {
+        return {
+            index,
+            from,
+            to,
+            type: route.type || 'road',
+            waterway: route.waterway || null,
+            road: route.road || null,
+            distance: Number(route.distance) || 0,
+            travelDays: Number(route.travelDays) || 0,
+            cost: this.calculateLegCost(route)
+        };
+    }
+
+    _addLeg(leg) {
+        const key = RouteNetwork.normaliseName(leg.from);
+        if (!this.adjacency.has(key)) {
+            this.adjacency.set(key, []);
+        }
+        this.adjacency.get(key).push(leg);
+    }
+
+    /**
+     * Calculate the travel cost of a single route edge
+     * Uses an explicit `cost` on the edge, otherwise distance × cost per mile for the route type
+     * @param {Object} route - Route edge
+     * @returns {number} - Cost in canonical currency units
+     */
+    calculateLegCost(route) {
+        if (typeof route.cost === 'number' && route.cost >= 0) {
+            return route.cost;
+        }
+
+        const costPerMile = this.config.costPerMile?.[route.type] ?? this.config.defaultCostPerMile ?? 1;
+        return (Number(route.distance) || 0) * costPerMile;
+    }
+
+    /**
+     * Get all legs leaving a settlement
+     * @param {string} settlementName - Settlement name
+     * @returns {Array} - Array of leg objects
+     */
+    getConnections(settlementName) {
+        return [...(this.adjacency.get(RouteNetwork.normaliseName(settlementName)) || [])];
+    }
+
+    /**
+     * Check whether a settlement appears in the route network
+     * @param {string} settlementName - Settlement name
+     * @returns {boolean} - True if the settlement has at least one connection
+     */
+    hasSettlement(settlementName) {
+        return this.adjacency.has(RouteNetwork.normaliseName(settlementName));
+    }
+
+    /**
+     * Find the lowest-weight path between two settlements (Dijkstra)
+     * @param {string} from - Starting settlement name
+     * @param {string} to - Destination settlement name
+     * @param {string} metric - Leg property to minimise: 'distance', 'travelDays' or 'cost'
+     * @returns {Object|null} - Path result or null if the destination is unreachable
+     */
+    findPath(from, to, metric = 'distance') {
+        const startKey = RouteNetwork.normaliseName(from);
+        const goalKey = RouteNetwork.normaliseName(to);
+
+        if (!startKey || !goalKey) {
+            return null;
+        }
+
+        if (startKey === goalKey) {
+            return this._buildPathResult(from, [], metric);
+        }
+
+        const weights = new Map([[startKey, 0]]);
+        const previous = new Map();
+        const visited = new Set();
+        const queue = [startKey];
+
+        while (queue.length > 0) {
+            // The graphs are small, so a sorted array is an adequate priority queue
+            queue.sort((a, b) => weights.get(a) - weights.get(b));
+            const currentKey = queue.shift();
+
+            if (visited.has(currentKey)) {
+                continue;
+            }
+            visited.add(currentKey);
+
+            if (currentKey === goalKey) {
+                break;
+            }
+
+            for (const leg of this.adjacency.get(currentKey) || []) {
+                const nextKey = RouteNetwork.normaliseName(leg.to);
+                if (visited.has(nextKey)) {
+                    continue;
+                }
+
+                const candidate = weights.get(currentKey) + (leg[metric] || 0);
+                if (!weights.has(nextKey) || candidate < weights.get(nextKey)) {
+                    weights.set(nextKey, candidate);
+                    previous.set(nextKey, leg);
+                    queue.push(nextKey);
+                }
+            }
+        }
+
+        if (!previous.has(goalKey)) {
+            return null;
+        }
+
+        const legs = [];
+        let cursor = goalKey;
+        while (cursor !== startKey) {
+            const leg = previous.get(cursor);
+            legs.unshift(leg);
+            cursor = RouteNetwork.normaliseName(leg.from);
+        }
+
+        return this._buildPathResult(from, legs, metric);
+    }
+
+    _buildPathResult(from, legs, metric) {
+        const settlements = [legs.length > 0 ? legs[0].from : from, ...legs.map(leg => leg.to)];
+        const waterways = [...new Set(legs.map(leg => leg.waterway).filter(Boolean))];
+
+        return {
+            metric,
+            from: settlements[0],
+            to: settlements[settlements.length - 1],
+            settlements,
+            legs: legs.map(leg => ({ ...leg })),
+            waterways,
+            distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+            travelDays: legs.reduce((sum, leg) => sum + leg.travelDays, 0),
+            cost: legs.reduce((sum, leg) => sum + leg.cost, 0)
+        };
+    }
+
+    /**
+     * Find both the shortest and the cheapest path between two settlements
+     * @param {string} from - Starting settlement name
+     * @param {string} to - Destination settlement name
+     * @returns {Object} - { shortest, cheapest } (each null when unreachable)
+     */
+    findRoutes(from, to) {
+        return {
+            shortest: this.findPath(from, to, 'distance'),
+            cheapest: this.findPath(from, to, 'cost')
+        };
+    }
+
+    /**
+     * Check every edge against a list of known settlements
+     * @param {Array} settlements - Settlement objects
+     * @returns {Array} - Array of error messages
+     */
+    validate(settlements = []) {
+        return RouteNetwork.validateRoutes(this.routes, settlements);
+    }
+
+    /**
+     * Validate route edges: structure, and that both ends point to a real settlement
+     * @param {Array} routes - Route edges
+     * @param {Array} settlements - Settlement objects
+     * @returns {Array} - Array of error messages
+     */
+    static validateRoutes(routes, settlements = []) {
+        const errors = [];
+
+        if (routes === undefined || routes === null) {
+            return errors;
+        }
+
+        if (!Array.isArray(routes)) {
+            errors.push('Routes must be an array');
+            return errors;
+        }
+
+        const knownNames = new Set(
+            (settlements || []).map(settlement => RouteNetwork.normaliseName(settlement?.name)).filter(Boolean)
+        );
+
+        routes.forEach((route, index) => {
+            const label = `Route ${index} (${route?.from || '?'} → ${route?.to || '?'})`;
+
+            if (!route || typeof route !== 'object') {
+                errors.push(`Route ${index}: Must be an object`);
+                return;
+            }
+
+            ['from', 'to'].forEach(end => {
+                if (!route[end] || typeof route[end] !== 'string') {
+                    errors.push(`${label}: Missing '${end}' settlement`);
+                } else if (!knownNames.has(RouteNetwork.normaliseName(route[end]))) {
+                    errors.push(`${label}: Unknown settlement '${route[end]}'`);
+                }
+            });
+
+            if (route.from && route.to && RouteNetwork.normaliseName(route.from) === RouteNetwork.normaliseName(route.to)) {
+                errors.push(`${label}: Route cannot connect a settlement to itself`);
+            }
+
+            if (!route.waterway && !route.road) {
+                errors.push(`${label}: Must name a waterway or road`);
+            }
+
+            if (typeof route.distance !== 'number' || route.distance <= 0) {
+                errors.push(`${label}: Distance must be a positive number`);
+            }
+
+            if (typeof route.travelDays !== 'number' || route.travelDays <= 0) {
+                errors.push(`${label}: TravelDays must be a positive number`);
+            }
+
+            if (route.cost !== undefined && (typeof route.cost !== 'number' || route.cost < 0)) {
+                errors.push(`${label}: Cost must be a non-negative number`);
+            }
+        });
+
+        return errors;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesRouteNetwork = RouteNetwork;
+}
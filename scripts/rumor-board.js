@@ -0,0 +1,362 @@
+/**
+ * Trading Places Module - Rumor Board
+ * Persistent market rumors (true or false) and the journal of rumors each player has learned
+ * The board holds the truth and is only read on the GM's client; journals hold what a player was told
+ */
+
+console.log('Trading Places | Loading rumor-board.js');
+
+import { TradingClock, SECONDS_PER_DAY } from './trading-clock.js';
+import { RecordId } from './record-id.js';
+
+/**
+ * Rumor templates used until `datasets/rumors.json` has been loaded
+ * `$cargoName` in a description is replaced with the cargo the rumor concerns
+ */
+export const DEFAULT_RUMOR_TEMPLATES = [
+    { type: 'shortage', description: 'Local shortage of $cargoName due to poor harvest', multiplier: 1.5, weight: 30 },
+    { type: 'demand', description: 'Increased demand for $cargoName from nearby settlements', multiplier: 1.3, weight: 25 },
+    { type: 'festival', description: 'Upcoming festival requires large quantities of $cargoName', multiplier: 1.4, weight: 20 },
+    { type: 'trade_route', description: 'New trade route opened, increasing $cargoName prices', multiplier: 1.2, weight: 15 },
+    { type: 'noble_demand', description: 'Local noble requires $cargoName for special occasion', multiplier: 1.6, weight: 10 }
+];
+
+const DEFAULT_TRUTH_CHANCE = 0.7;
+const DEFAULT_DURATION_DAYS = 14;
+
+/**
+ * Rumor Board class for tracking the rumors going around
+ *
+ * Each rumor names a settlement and cargo, carries a price multiplier from its template,
+ * is secretly true or false, and expires `durationDays` of world time after it started.
+ */
+export class RumorBoard {
+    /**
+     * @param {Object} options - { rumors, templates, truthChance, durationDays, now, random, logger }
+     *   where now() returns world time in seconds and random() returns a number in [0, 1)
+     */
+    constructor(options = {}) {
+        this.rumors = Array.isArray(options.rumors) ? options.rumors : [];
+        this.templates = Array.isArray(options.templates) && options.templates.length > 0
+            ? options.templates
+            : DEFAULT_RUMOR_TEMPLATES;
+        this.truthChance = typeof options.truthChance === 'number' ? options.truthChance : DEFAULT_TRUTH_CHANCE;
+        this.durationDays = typeof options.durationDays === 'number' ? options.durationDays : DEFAULT_DURATION_DAYS;
+        this.now = typeof options.now === 'function' ? options.now : () => TradingClock.now();
+        this.random = typeof options.random === 'function' ? options.random : () => Math.random();
+        this.logger = options.logger || null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * Get the rumor templates new rumors are drawn from
+     * @returns {Array} - Templates with type, description, multiplier and weight
+     */
+    getTemplates() {
+        return this.templates;
+    }
+
+    /**
+     * Get every rumor on the board
+     * @returns {Array} - Rumors, including expired ones
+     */
+    getRumors() {
+        return this.rumors;
+    }
+
+    /**
+     * Get a rumor by id
+     * @param {string} rumorId - Rumor id
+     * @returns {Object|null} - Rumor or null if not found
+     */
+    getRumor(rumorId) {
+        return this.rumors.find(rumor => rumor.id === rumorId) || null;
+    }
+
+    /**
+     * Describe whether a rumor still holds
+     * @param {Object} rumor - Rumor
+     * @param {number} now - World time in seconds (defaults to now)
+     * @returns {string} - 'active' or 'expired'
+     */
+    getStatus(rumor, now = this.now()) {
+        return now >= rumor.expiresAt ? 'expired' : 'active';
+    }
+
+    /**
+     * Get the in-game days left on a rumor
+     * @param {Object} rumor - Rumor
+     * @returns {number} - Remaining days (never negative)
+     */
+    getRemainingDays(rumor) {
+        return TradingClock.elapsedDays(this.now(), rumor.expiresAt);
+    }
+
+    /**
+     * Get the rumors still in effect, optionally limited to a settlement and/or cargo
+     * @param {Object} filter - { settlement, cargoName } (names, case-insensitive)
+     * @returns {Array} - Active rumors
+     */
+    getActiveRumors(filter = {}) {
+        const now = this.now();
+        return this.rumors.filter(rumor =>
+            this.getStatus(rumor, now) === 'active' &&
+            (!filter.settlement || sameName(rumor.settlement, filter.settlement)) &&
+            (!filter.cargoName || sameName(rumor.cargoName, filter.cargoName))
+        );
+    }
+
+    /**
+     * Check whether a rumor would earn a sale premium: it must be true and still active
+     * @param {Object} rumor - Rumor
+     * @returns {boolean} - True if the rumor pays
+     */
+    isPayable(rumor) {
+        return !!rumor && rumor.isTrue === true && this.getStatus(rumor) === 'active';
+    }
+
+    /**
+     * Start a new rumor from a weighted template
+     * @param {Object} rumorData - { settlement, cargoName, type, isTrue, durationDays, startTime }
+     * @returns {Object} - Stored rumor
+     */
+    spreadRumor(rumorData) {
+        const settlement = typeof rumorData?.settlement === 'string' ? rumorData.settlement.trim() : '';
+        if (!settlement) {
+            throw new Error('Rumor settlement is required');
+        }
+
+        const cargoName = typeof rumorData.cargoName === 'string' ? rumorData.cargoName.trim() : '';
+        if (!cargoName) {
+            throw new Error('Rumor cargo is required');
+        }
+
+        const durationDays = rumorData.durationDays ?? this.durationDays;
+        if (!Number.isFinite(durationDays) || durationDays <= 0) {
+            throw new Error('Rumor duration must be a positive number of days');
+        }
+
+        const template = this._pickTemplate(rumorData.type);
+        const createdAt = typeof rumorData.startTime === 'number' ? rumorData.startTime : this.now();
+        const rumor = {
+            id: RecordId.generate('rumor'),
+            settlement,
+            cargoName,
+            type: template.type,
+            description: template.description.replace(/\$cargoName/g, cargoName),
+            multiplier: template.multiplier,
+            isTrue: typeof rumorData.isTrue === 'boolean' ? rumorData.isTrue : this.random() < this.truthChance,
+            createdAt,
+            expiresAt: createdAt + durationDays * SECONDS_PER_DAY
+        };
+        this.rumors.push(rumor);
+
+        this.getLogger().logSystem('Rumor Board', `Rumor spread: ${rumor.description}`, {
+            settlement,
+            cargoName,
+            isTrue: rumor.isTrue,
+            durationDays
+        });
+
+        return rumor;
+    }
+
+    /**
+     * Remove a rumor
+     * @param {string} rumorId - Rumor id
+     * @returns {boolean} - True if a rumor was removed
+     */
+    removeRumor(rumorId) {
+        const before = this.rumors.length;
+        this.rumors = this.rumors.filter(rumor => rumor.id !== rumorId);
+        return this.rumors.length < before;
+    }
+
+    /**
+     * Remove rumors that have expired
+     * @returns {number} - Number of rumors removed
+     */
+    pruneExpired() {
+        const now = this.now();
+        const before = this.rumors.length;
+        this.rumors = this.rumors.filter(rumor => this.getStatus(rumor, now) === 'active');
+        return before - this.rumors.length;
+    }
+
+    /**
+     * Get the serialisable board state
+     * @returns {Object} - { rumors }
+     */
+    toJSON() {
+        return {
+            rumors: this.rumors
+        };
+    }
+
+    /**
+     * Pick a template by type, or by weight when no type is given
+     * @param {string} type - Template type (optional)
+     * @returns {Object} - Template
+     * @private
+     */
+    _pickTemplate(type) {
+        if (type) {
+            const template = this.templates.find(entry => entry.type === type);
+            if (!template) {
+                throw new Error(`Unknown rumor type: ${type}`);
+            }
+            return template;
+        }
+
+        const totalWeight = this.templates.reduce((sum, template) => sum + (template.weight || 0), 0);
+        let roll = this.random() * totalWeight;
+        for (const template of this.templates) {
+            roll -= template.weight || 0;
+            if (roll < 0) {
+                return template;
+            }
+        }
+        return this.templates[0];
+    }
+}
+
+/**
+ * Player Rumor Journal class for the rumors one player has heard
+ *
+ * Each entry keeps a copy of the rumor as the player was told it, so the journal can be shown
+ * without the rumor board. Whether a rumor is true is only copied once the player has verified it.
+ */
+export class PlayerRumorJournal {
+    /**
+     * @param {Object} options - { entries, now } where now() returns world time in seconds
+     */
+    constructor(options = {}) {
+        this.entries = Array.isArray(options.entries) ? options.entries : [];
+        this.now = typeof options.now === 'function' ? options.now : () => TradingClock.now();
+    }
+
+    /**
+     * Describe a board rumor as a player hears it
+     * @param {Object} rumor - Rumor board entry
+     * @param {boolean} verified - Whether the player knows if the rumor is true
+     * @returns {Object} - Rumor details, with isTrue only when verified
+     */
+    static describe(rumor, verified = false) {
+        const described = {
+            id: rumor.id,
+            type: rumor.type,
+            description: rumor.description,
+            multiplier: rumor.multiplier,
+            settlement: rumor.settlement,
+            cargoName: rumor.cargoName,
+            expiresAt: rumor.expiresAt,
+            premiumPercentage: Math.round((rumor.multiplier - 1) * 100)
+        };
+        if (verified) {
+            described.isTrue = rumor.isTrue;
+        }
+        return described;
+    }
+
+    /**
+     * Record that the player has heard a rumor
+     * Hearing it again keeps the original entry, but a verified hearing upgrades it
+     * @param {Object} rumor - Rumor board entry
+     * @param {Object} details - { learnedIn, verified } where verified means the player knows whether it is true
+     * @returns {Object} - Journal entry
+     */
+    record(rumor, details = {}) {
+        if (!rumor?.id) {
+            throw new Error('Rumor is required');
+        }
+
+        let entry = this.getEntry(rumor.id);
+        if (!entry) {
+            entry = { rumorId: rumor.id, learnedAt: this.now(), learnedIn: details.learnedIn || null, verified: false };
+            this.entries.push(entry);
+        }
+        entry.verified = entry.verified || !!details.verified;
+        entry.rumor = PlayerRumorJournal.describe(rumor, entry.verified);
+
+        return entry;
+    }
+
+    /**
+     * Get the entry for a rumor
+     * @param {string} rumorId - Rumor id
+     * @returns {Object|null} - Journal entry or null if the player has not heard it
+     */
+    getEntry(rumorId) {
+        return this.entries.find(entry => entry.rumorId === rumorId) || null;
+    }
+
+    /**
+     * Check whether the player has heard a rumor
+     * @param {string} rumorId - Rumor id
+     * @returns {boolean} - True if the rumor is in the journal
+     */
+    hasHeard(rumorId) {
+        return !!this.getEntry(rumorId);
+    }
+
+    /**
+     * Get the rumors the player has heard, newest first
+     * @param {Object} filter - { settlement, cargoName, status } (names, case-insensitive)
+     * @returns {Array} - { rumorId, rumor, learnedAt, learnedIn, verified, status }
+     */
+    getEntries(filter = {}) {
+        const now = this.now();
+        return this.entries
+            .map(entry => ({ ...entry, status: now >= entry.rumor.expiresAt ? 'expired' : 'active' }))
+            .filter(entry =>
+                (!filter.status || entry.status === filter.status) &&
+                (!filter.settlement || sameName(entry.rumor.settlement, filter.settlement)) &&
+                (!filter.cargoName || sameName(entry.rumor.cargoName, filter.cargoName))
+            )
+            .sort((a, b) => b.learnedAt - a.learnedAt);
+    }
+
+    /**
+     * Drop the entries for rumors that are no longer on the board
+     * @param {Array} rumorIds - Removed rumor ids
+     * @returns {number} - Number of entries dropped
+     */
+    forget(rumorIds) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => !rumorIds.includes(entry.rumorId));
+        return before - this.entries.length;
+    }
+
+    /**
+     * Get the serialisable journal entries
+     * @returns {Array} - Entries
+     */
+    toJSON() {
+        return this.entries;
+    }
+}
+
+function sameName(a, b) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesRumorBoard = RumorBoard;
+    window.TradingPlacesPlayerRumorJournal = PlayerRumorJournal;
+}
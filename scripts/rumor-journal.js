@@ -0,0 +1,157 @@
+console.log('Trading Places | Loading rumor-journal.js');
+
+/**
+ * Trading Places Module - Rumor Journal
+ * Lists the rumors a player has learned; the GM also sees the whole rumor board
+ */
+
+const MODULE_ID = "fvtt-trading-places";
+
+// Check if ApplicationV2 is available before defining the class
+if (typeof foundry?.applications?.api?.ApplicationV2 === 'undefined' ||
+    typeof foundry?.applications?.api?.HandlebarsApplicationMixin === 'undefined') {
+    console.warn('Trading Places | ApplicationV2 Handlebars mixin not available, rumor journal will not be loaded');
+} else {
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+const HandlebarsApplication = HandlebarsApplicationMixin(ApplicationV2);
+
+const formatTime = value => window.TradingPlacesClock ? window.TradingPlacesClock.format(value) : value;
+
+class RumorJournal extends HandlebarsApplication {
+
+    static DEFAULT_OPTIONS = {
+        id: "trading-places-rumor-journal",
+        tag: "div",
+        window: {
+            title: "Rumor Journal",
+            icon: "fas fa-ear-listen",
+            resizable: true,
+            minimizable: true,
+            maximizable: false
+        },
+        position: {
+            width: 560,
+            height: 600
+        },
+        classes: ["trading-places", "rumor-journal", "application-v2"]
+    };
+
+    static PARTS = {
+        content: {
+            template: `modules/${MODULE_ID}/templates/rumor-journal.hbs`
+        }
+    };
+
+    constructor(dataManager, options = {}) {
+        super(options);
+        this.dataManager = dataManager;
+    }
+
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        const isGM = !!game.user?.isGM;
+
+        context.isGM = isGM;
+        context.entries = this.dataManager.getRumorJournal(game.user?.id).getEntries().map(entry => ({
+            ...this._describeRumor(entry.rumor, entry.status, entry.verified),
+            learned: formatTime(entry.learnedAt),
+            learnedIn: entry.learnedIn
+        }));
+        context.hasEntries = context.entries.length > 0;
+
+        if (isGM) {
+            const board = this.dataManager.getRumorBoard();
+            context.rumors = board.getRumors().map(rumor => ({
+                ...this._describeRumor(rumor, board.getStatus(rumor), true),
+                heardBy: this._getLearnerNames(rumor.id)
+            }));
+            context.hasRumors = context.rumors.length > 0;
+            context.hasExpired = context.rumors.some(rumor => rumor.status === 'expired');
+        }
+        return context;
+    }
+
+    _attachPartListeners(partId, htmlElement, options) {
+        super._attachPartListeners(partId, htmlElement, options);
+
+        htmlElement.querySelectorAll('.remove-rumor-btn').forEach(button => {
+            button.addEventListener('click', () => this._onRemoveRumor(button.dataset.rumorId));
+        });
+
+        const pruneBtn = htmlElement.querySelector('.prune-rumors-btn');
+        if (pruneBtn) {
+            pruneBtn.addEventListener('click', () => this._onPruneRumors());
+        }
+    }
+
+    /**
+     * Build the display row for a rumor
+     * @private
+     */
+    _describeRumor(rumor, status, showTruth) {
+        const remainingDays = window.TradingPlacesClock
+            ? window.TradingPlacesClock.elapsedDays(window.TradingPlacesClock.now(), rumor.expiresAt)
+            : 0;
+        return {
+            id: rumor.id,
+            description: rumor.description,
+            settlement: rumor.settlement,
+            cargoName: rumor.cargoName,
+            premium: `+${Math.round((rumor.multiplier - 1) * 100)}%`,
+            status,
+            remaining: status === 'expired' ? 'Expired' : `${Math.ceil(remainingDays)} days left`,
+            truth: showTruth ? (rumor.isTrue ? 'True' : 'False') : 'Unverified'
+        };
+    }
+
+    /**
+     * List the players who have heard a rumor
+     * @private
+     */
+    _getLearnerNames(rumorId) {
+        return (game.users?.contents || [])
+            .filter(user => this.dataManager.getRumorJournal(user.id).hasHeard(rumorId))
+            .map(user => user.name)
+            .join(', ') || 'Nobody';
+    }
+
+    async _onRemoveRumor(rumorId) {
+        try {
+            this.dataManager.getRumorBoard().removeRumor(rumorId);
+            await this.dataManager.saveRumorBoard();
+            await this.dataManager.forgetRumors([rumorId]);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to remove rumor:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    async _onPruneRumors() {
+        try {
+            const board = this.dataManager.getRumorBoard();
+            const expired = board.getRumors().filter(rumor => board.getStatus(rumor) === 'expired').map(rumor => rumor.id);
+            const removed = board.pruneExpired();
+            await this.dataManager.saveRumorBoard();
+            await this.dataManager.forgetRumors(expired);
+            ui.notifications.info(`Removed ${removed} expired rumor(s)`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to remove expired rumors:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    static async show(dataManager) {
+        const journal = new RumorJournal(dataManager);
+        await journal.render(true);
+        return journal;
+    }
+}
+
+// Export class globally
+window.TradingPlacesRumorJournal = RumorJournal;
+console.log('Trading Places | Rumor journal registered globally');
+
+} // End of ApplicationV2 availability check
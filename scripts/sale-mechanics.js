@@ -4,6 +4,9 @@ console.log('Trading Places | Loading sale-mechanics.js');
  * Trading Places Module - Sale Mechanics
  * Handles all sale-related calculations and validations
  */
+import { TradingClock, SECONDS_PER_DAY } from './trading-clock.js';
+import { RumorBoard, PlayerRumorJournal } from './rumor-board.js';
+
 let CurrencyUtils = null;
 try {
     CurrencyUtils = require('./currency-utils');
@@ -61,8 +64,8 @@ class SaleMechanics {
      * Step 1: Check sale eligibility (location and time restrictions)
      * @param {Object} cargo - Cargo object with purchase information
      * @param {Object} currentSettlement - Settlement where attempting to sell
-     * @param {Object} purchaseData - Original purchase data
-     * @param {number} currentTime - Current game time (optional, for time restrictions)
+     * @param {Object} purchaseData - Original purchase data (purchaseTime is world time in seconds)
+     * @param {number} currentTime - Current world time in seconds (optional, for time restrictions)
      * @returns {Object} - Sale eligibility result
      */
     checkSaleEligibility(cargo, currentSettlement, purchaseData, currentTime = null) {
@@ -73,15 +76,17 @@ class SaleMechanics {
         const errors = [];
         const warnings = [];
 
+        const hasTimes = typeof currentTime === 'number' && typeof purchaseData.purchaseTime === 'number';
+
         // Location restriction: cannot sell where purchased
         if (purchaseData.settlementName === currentSettlement.name) {
-            // Check if minimum time has passed (1 week)
-            if (currentTime && purchaseData.purchaseTime) {
+            // Check if minimum time has passed (1 week of world time)
+            if (hasTimes) {
                 const timeElapsed = currentTime - purchaseData.purchaseTime;
-                const oneWeekInMs = 7 * 24 * 60 * 60 * 1000; // 1 week in milliseconds
+                const oneWeek = 7 * SECONDS_PER_DAY;
 
-                if (timeElapsed < oneWeekInMs) {
-                    errors.push(`Cannot sell in same settlement (${currentSettlement.name}) until 1 week has passed. Time remaining: ${Math.ceil((oneWeekInMs - timeElapsed) / (24 * 60 * 60 * 1000))} days`);
+                if (timeElapsed < oneWeek) {
+                    errors.push(`Cannot sell in same settlement (${currentSettlement.name}) until 1 week has passed. Time remaining: ${Math.ceil((oneWeek - timeElapsed) / SECONDS_PER_DAY)} days`);
                 } else {
                     warnings.push(`Selling in same settlement after waiting period`);
                 }
@@ -94,7 +99,7 @@ class SaleMechanics {
             eligible: errors.length === 0,
             errors: errors,
             warnings: warnings,
-            timeRestriction: currentTime && purchaseData.purchaseTime ? {
+            timeRestriction: hasTimes ? {
                 required: true,
                 currentTime: currentTime,
                 purchaseTime: purchaseData.purchaseTime,
@@ -106,7 +111,7 @@ class SaleMechanics {
 
     /**
      * Step 2: Calculate buyer availability chance
-     * Formula: Size × 10 (+30 if Trade settlement)
+     * Formula: Size × 10 (+30 if Trade settlement), plus or minus the party's reputation there
      * @param {Object} settlement - Settlement object
      * @param {string} cargoName - Name of cargo being sold
      * @returns {number} - Buyer availability percentage
@@ -116,6 +121,11 @@ class SaleMechanics {
             throw new Error('Settlement object is required');
         }
 
+        const reputation = typeof this.dataManager.getReputation === 'function' ? this.dataManager.getReputation() : null;
+        if (reputation && !reputation.canAccessMarket(settlement)) {
+            return 0; // The merchants of a trade market will not deal with a party they shun
+        }
+
         const properties = this.dataManager.getSettlementProperties(settlement);
         let chance = properties.sizeNumeric * 10;
 
@@ -124,6 +134,10 @@ class SaleMechanics {
             chance += 30;
         }
 
+        if (reputation) {
+            chance = Math.max(0, chance + reputation.getBuyerChanceModifier(settlement));
+        }
+
         // Village restrictions for non-Grain goods
         if (properties.sizeNumeric === 1) { // Village
             const cargo = this.tradingEngine.getCargoByName(cargoName);
@@ -211,6 +225,7 @@ class SaleMechanics {
      * @param {string} options.quality - Quality tier (optional)
      * @param {string} options.season - Season override (optional)
      * @param {Object} options.haggleResult - Haggle test result (optional)
+     * @param {Object|string} options.origin - Settlement where the cargo was bought, for provincial tolls (optional)
      * @returns {Object} - Sale price calculation
      */
     calculateSalePrice(cargoName, quantity, settlement, options = {}) {
@@ -242,6 +257,20 @@ class SaleMechanics {
             percentage: Math.round((wealthModifier - 1) * 100)
         }];
 
+        // Apply market saturation from recent sales of this cargo at the settlement
+        const marketSaturation = SaleMechanics.getMarketSaturation(this.dataManager, settlement, cargoName, this.getLogger());
+        if (marketSaturation && marketSaturation.priceMultiplier < 1) {
+            const reduction = finalPricePerUnit * (1 - marketSaturation.priceMultiplier);
+            const percentage = Math.round((marketSaturation.priceMultiplier - 1) * 100);
+            finalPricePerUnit -= reduction;
+            modifiers.push({
+                type: 'market_saturation',
+                description: `Market flooded by recent sales (${marketSaturation.volume} EP, ${percentage}%)`,
+                amount: -reduction,
+                percentage
+            });
+        }
+
         // Apply haggle test results (increases sale price if successful)
         if (options.haggleResult) {
             const haggleModifier = this.applySaleHaggleResult(basePricePerUnit, options.haggleResult);
@@ -249,16 +278,20 @@ class SaleMechanics {
             modifiers.push(haggleModifier);
         }
 
-        // Calculate total price
-        const totalPrice = finalPricePerUnit * quantity;
+        // Calculate total price, with tariffs taken from the proceeds
+        const subtotal = finalPricePerUnit * quantity;
+        const tariffs = this.calculateTariffs(cargo || { name: cargoName }, subtotal, settlement, options.origin);
+        const totalPrice = subtotal - tariffs.amount;
 
         const currencyContext = this.getCurrencyContext();
         let basePricePerUnitCanonical = null;
         let wealthAdjustedPriceCanonical = null;
         let finalPricePerUnitCanonical = null;
+        let tariffAmountCanonical = null;
         let totalPriceCanonical = null;
         let formattedBasePricePerUnit = null;
         let formattedFinalPricePerUnit = null;
+        let formattedTariffAmount = null;
         let formattedTotalPrice = null;
 
         if (currencyContext && currencyContext.denominationKey && CurrencyUtils) {
@@ -267,9 +300,11 @@ class SaleMechanics {
                 basePricePerUnitCanonical = CurrencyUtils.convertToCanonical({ [denominationKey]: basePricePerUnit }, config);
                 wealthAdjustedPriceCanonical = CurrencyUtils.convertToCanonical({ [denominationKey]: finalPricePerUnit }, config);
                 finalPricePerUnitCanonical = CurrencyUtils.convertToCanonical({ [denominationKey]: finalPricePerUnit }, config);
-                totalPriceCanonical = Math.round(finalPricePerUnitCanonical * quantity);
+                tariffAmountCanonical = Math.round(finalPricePerUnitCanonical * quantity * tariffs.rate);
+                totalPriceCanonical = Math.round(finalPricePerUnitCanonical * quantity) - tariffAmountCanonical;
                 formattedBasePricePerUnit = CurrencyUtils.formatCurrency(basePricePerUnitCanonical, config);
                 formattedFinalPricePerUnit = CurrencyUtils.formatCurrency(finalPricePerUnitCanonical, config);
+                formattedTariffAmount = CurrencyUtils.formatCurrency(tariffAmountCanonical, config);
                 formattedTotalPrice = CurrencyUtils.formatCurrency(totalPriceCanonical, config);
             } catch (error) {
                 console.error('SaleMechanics: Currency conversion failed', error);
@@ -284,22 +319,77 @@ class SaleMechanics {
             settlement: settlement.name,
             basePricePerUnit: basePricePerUnit,
             finalPricePerUnit: finalPricePerUnit,
+            subtotal: subtotal,
+            tariffs: tariffs,
             totalPrice: totalPrice,
             modifiers: modifiers,
             wealthModifier: wealthModifier,
+            marketSaturation,
             wealthAdjustedPrice: finalPricePerUnit,
             basePricePerUnitCanonical,
             wealthAdjustedPriceCanonical,
             finalPricePerUnitCanonical,
+            tariffAmountCanonical,
             totalPriceCanonical,
             formattedBasePricePerUnit,
             formattedFinalPricePerUnit,
+            formattedTariffAmount,
             formattedTotalPrice,
             currencyDenomination: currencyContext?.primaryDenomination || null,
             currencyDenominationKey: currencyContext?.denominationKey || null
         };
     }
 
+    /**
+     * Work out the tariffs owed on a sale at a settlement
+     * @param {Object} cargo - Cargo type object
+     * @param {number} value - Sale value before tariffs
+     * @param {Object} settlement - Settlement where selling
+     * @param {Object|string} origin - Settlement where the cargo was bought (optional)
+     * @returns {Object} - { lines, rate, amount } as returned by TariffSchedule.calculateTariffs()
+     */
+    calculateTariffs(cargo, value, settlement, origin = null) {
+        if (!this.dataManager || typeof this.dataManager.getTariffSchedule !== 'function') {
+            return { lines: [], rate: 0, amount: 0 };
+        }
+
+        const originSettlement = typeof origin === 'string' ? this.dataManager.getSettlement(origin) : origin;
+        return this.dataManager.getTariffSchedule().calculateTariffs({
+            settlement,
+            cargoName: cargo.name,
+            category: cargo.category,
+            transactionType: 'sale',
+            originRegion: originSettlement?.region || null,
+            value
+        });
+    }
+
+    /**
+     * Get how far recent sales have flooded the settlement market for a cargo
+     * Shared by every sale price calculation, so a missing or broken market ledger never blocks a sale
+     * @param {Object} dataManager - DataManager instance
+     * @param {Object} settlement - Settlement object
+     * @param {string} cargoName - Name of the cargo type
+     * @param {Object} logger - Debug logger (falls back to the console)
+     * @returns {Object|null} - Sale saturation from the market ledger, or null when unavailable
+     */
+    static getMarketSaturation(dataManager, settlement, cargoName, logger = null) {
+        if (!dataManager || typeof dataManager.getMarketSaturation !== 'function') {
+            return null;
+        }
+
+        try {
+            return dataManager.getMarketSaturation(settlement, cargoName);
+        } catch (error) {
+            if (logger) {
+                logger.logSystem('Market', 'Market saturation unavailable', { error: error.message });
+            } else {
+                console.warn('Trading Places | Market saturation unavailable:', error.message);
+            }
+            return null;
+        }
+    }
+
     /**
      * Apply haggle test result to sale price calculation
      * @param {number} basePrice - Base price per unit
@@ -451,7 +541,7 @@ class SaleMechanics {
             { name: cargoName, quantity: quantity },
             settlement,
             purchaseData,
-            options.currentTime
+            options.currentTime ?? TradingClock.now()
         );
 
         if (!eligibilityCheck.eligible) {
@@ -628,10 +718,12 @@ class SaleMechanics {
 
     /**
      * Process rumor-based premium sale
+     * The premium is only paid when the rumor is true, still active and concerns this cargo and settlement
      * @param {string} cargoName - Name of the cargo type
      * @param {number} quantity - Quantity to sell
      * @param {Object} settlement - Settlement where selling
-     * @param {Object} rumorData - Rumor information
+     * @param {Object} rumorData - Rumor information, as heard from the rumor board
+     * @param {string} rumorData.id - Rumor board id
      * @param {string} rumorData.type - Type of rumor (shortage, demand, etc.)
      * @param {number} rumorData.multiplier - Price multiplier (e.g., 1.5 for 50% premium)
      * @param {string} rumorData.description - Description of the rumor
@@ -647,20 +739,28 @@ class SaleMechanics {
             throw new Error('Rumor multiplier must be positive');
         }
 
-        const cargo = this.tradingEngine.getCargoByName(cargoName);
         const season = options.season || this.tradingEngine.getCurrentSeason();
         const quality = options.quality || 'average';
+        const verification = this.verifyRumor(rumorData, cargoName, settlement);
 
         // Calculate base price with normal wealth modifiers
         const normalSalePrice = this.calculateSalePrice(cargoName, quantity, settlement, options);
 
-        // Apply rumor multiplier to the final price (after wealth modifiers)
-        const rumorPricePerUnit = normalSalePrice.finalPricePerUnit * rumorData.multiplier;
+        // Apply the board rumor's multiplier to the final price (after wealth modifiers)
+        const multiplier = verification.payable ? verification.rumor.multiplier : 1;
+        const rumorPricePerUnit = normalSalePrice.finalPricePerUnit * multiplier;
         const totalPrice = rumorPricePerUnit * quantity;
 
         // Calculate the premium amount
         const premiumAmount = rumorPricePerUnit - normalSalePrice.finalPricePerUnit;
-        const premiumPercentage = Math.round((rumorData.multiplier - 1) * 100);
+        const premiumPercentage = Math.round((multiplier - 1) * 100);
+
+        this.getLogger().logDecision('Rumor Sale', verification.payable ? 'Premium paid' : 'No premium', {
+            cargoName,
+            settlement: settlement.name,
+            rumorId: rumorData.id || null,
+            reason: verification.reason
+        });
 
         return {
             success: true,
@@ -674,9 +774,12 @@ class SaleMechanics {
             totalPrice: totalPrice,
             saleType: 'rumor',
             rumor: {
+                id: rumorData.id || null,
                 type: rumorData.type,
                 description: rumorData.description,
-                multiplier: rumorData.multiplier,
+                multiplier: verification.rumor?.multiplier ?? rumorData.multiplier,
+                premiumPaid: verification.payable,
+                reason: verification.reason,
                 premiumAmount: premiumAmount,
                 premiumPercentage: premiumPercentage,
                 targetSettlement: settlement.name,
@@ -686,15 +789,137 @@ class SaleMechanics {
         };
     }
 
+    /**
+     * Check whether a rumor would earn a premium for this cargo at this settlement
+     * Only the board record counts, so a player cannot claim a premium from a rumor the
+     * board does not hold, or from one that is false or expired whatever the player says
+     * @param {Object} rumorData - Rumor information ({ id } of a board rumor)
+     * @param {string} cargoName - Name of the cargo being sold
+     * @param {Object} settlement - Settlement where selling
+     * @returns {Object} - { payable, reason, rumor } where rumor is the board record
+     */
+    verifyRumor(rumorData, cargoName, settlement) {
+        const board = this.getRumorBoard();
+        const tracked = rumorData?.id ? board.getRumor(rumorData.id) : null;
+        if (!tracked) {
+            return { payable: false, reason: 'The rumor is not on the rumor board', rumor: null };
+        }
+
+        const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+        if (!sameName(tracked.cargoName, cargoName)) {
+            return { payable: false, reason: `The rumor concerns ${tracked.cargoName}`, rumor: tracked };
+        }
+        if (!sameName(tracked.settlement, settlement?.name)) {
+            return { payable: false, reason: `The rumor concerns ${tracked.settlement}`, rumor: tracked };
+        }
+        if (board.getStatus(tracked) === 'expired') {
+            return { payable: false, reason: 'The rumor has expired', rumor: tracked };
+        }
+        if (tracked.isTrue !== true) {
+            return { payable: false, reason: 'The rumor was false', rumor: tracked };
+        }
+
+        return { payable: true, reason: 'The rumor held true', rumor: tracked };
+    }
+
+    /**
+     * Tell a player what a buyer will pay on a rumor, without handing over the board record
+     * @param {string} rumorId - Rumor board id
+     * @param {string} cargoName - Name of the cargo being sold
+     * @param {Object} settlement - Settlement where selling
+     * @returns {Object} - { payable, reason, multiplier } where multiplier is 1 when no premium is paid
+     */
+    getRumorPremium(rumorId, cargoName, settlement) {
+        const verification = this.verifyRumor({ id: rumorId }, cargoName, settlement);
+        return {
+            payable: verification.payable,
+            reason: verification.reason,
+            multiplier: verification.payable ? verification.rumor.multiplier : 1
+        };
+    }
+
+    /**
+     * Get the rumor board rumors are spread on and revealed from
+     * The board knows which rumors are true, so rumors are heard and verified on the GM's client
+     * Uses the data manager's persistent board, or a board held in memory when none is available
+     * @returns {RumorBoard} - Rumor board
+     */
+    getRumorBoard() {
+        if (this.dataManager && typeof this.dataManager.getRumorBoard === 'function') {
+            return this.dataManager.getRumorBoard();
+        }
+
+        if (!this.rumorBoard) {
+            this.rumorBoard = new RumorBoard({ logger: this.logger });
+        }
+        return this.rumorBoard;
+    }
+
+    /**
+     * Persist the rumor board without holding up the calling sale
+     * @private
+     */
+    _saveRumorBoard() {
+        if (!this.dataManager || typeof this.dataManager.saveRumorBoard !== 'function') {
+            return;
+        }
+
+        Promise.resolve(this.dataManager.saveRumorBoard()).catch(error => {
+            console.error('Trading Places | Failed to save rumor board:', error);
+        });
+    }
+
+    /**
+     * Get the id rumors are recorded against in a player's journal
+     * @param {string} learnerId - Explicit learner id
+     * @returns {string|null} - Learner id, defaulting to the current Foundry user
+     * @private
+     */
+    _getLearnerId(learnerId) {
+        if (learnerId) {
+            return learnerId;
+        }
+        return typeof game !== 'undefined' && game.user?.id ? game.user.id : null;
+    }
+
+    /**
+     * Get the journal of rumors a player has heard
+     * @param {string} learnerId - Player (user) id
+     * @returns {PlayerRumorJournal} - Journal, empty when the data manager keeps none
+     * @private
+     */
+    _getRumorJournal(learnerId) {
+        if (learnerId && this.dataManager && typeof this.dataManager.getRumorJournal === 'function') {
+            return this.dataManager.getRumorJournal(learnerId);
+        }
+        return new PlayerRumorJournal();
+    }
+
+    /**
+     * Record a rumor in a player's journal
+     * @param {string} learnerId - Player (user) id
+     * @param {Object} rumor - Rumor board entry
+     * @param {Object} details - { learnedIn, verified }
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _recordHeardRumor(learnerId, rumor, details) {
+        if (!learnerId || !this.dataManager || typeof this.dataManager.recordHeardRumor !== 'function') {
+            return;
+        }
+        await this.dataManager.recordHeardRumor(learnerId, rumor, details);
+    }
+
     /**
      * Check for available rumors at settlement
      * @param {string} cargoName - Name of the cargo type
      * @param {Object} settlement - Settlement object
      * @param {Function} rollFunction - Function that returns 1d100 result (for testing)
+     * @param {Object} options - { learnerId } journal the rumor is recorded in (defaults to the current user)
      * @returns {Object} - Rumor check result
      */
-    checkForRumors(cargoName, settlement, rollFunction = null) {
-        const rumor = this.generateRandomRumor(cargoName, settlement, rollFunction);
+    checkForRumors(cargoName, settlement, rollFunction = null, options = {}) {
+        const rumor = this.generateRandomRumor(cargoName, settlement, rollFunction, options);
 
         return {
             hasRumor: rumor !== null,
@@ -705,13 +930,16 @@ class SaleMechanics {
     }
 
     /**
-     * Generate random rumor for cargo type and settlement
+     * Hear a rumor about a cargo at a settlement
+     * Returns the rumor already on the board for that settlement and cargo, or spreads a new one
+     * drawn from the rumor templates, and records it in the player's journal
      * @param {string} cargoName - Name of the cargo type
      * @param {Object} settlement - Settlement object
      * @param {Function} rollFunction - Function that returns 1d100 result (for testing)
-     * @returns {Object|null} - Generated rumor or null if no rumor
+     * @param {Object} options - { learnerId } journal the rumor is recorded in (defaults to the current user)
+     * @returns {Object|null} - Rumor or null if no rumor
      */
-    generateRandomRumor(cargoName, settlement, rollFunction = null) {
+    generateRandomRumor(cargoName, settlement, rollFunction = null, options = {}) {
         // Use provided roll function or default to random
         const roll = rollFunction ? rollFunction() : Math.floor(Math.random() * 100) + 1;
 
@@ -720,139 +948,55 @@ class SaleMechanics {
             return null;
         }
 
-        const cargo = this.tradingEngine.getCargoByName(cargoName);
-        const rumorTypes = [
-            {
-                type: 'shortage',
-                description: `Local shortage of ${cargoName} due to poor harvest`,
-                multiplier: 1.5,
-                weight: 30
-            },
-            {
-                type: 'demand',
-                description: `Increased demand for ${cargoName} from nearby settlements`,
-                multiplier: 1.3,
-                weight: 25
-            },
-            {
-                type: 'festival',
-                description: `Upcoming festival requires large quantities of ${cargoName}`,
-                multiplier: 1.4,
-                weight: 20
-            },
-            {
-                type: 'trade_route',
-                description: `New trade route opened, increasing ${cargoName} prices`,
-                multiplier: 1.2,
-                weight: 15
-            },
-            {
-                type: 'noble_demand',
-                description: `Local noble requires ${cargoName} for special occasion`,
-                multiplier: 1.6,
-                weight: 10
-            }
-        ];
-
-        // Select rumor based on weighted probability
-        const totalWeight = rumorTypes.reduce((sum, rumor) => sum + rumor.weight, 0);
-        const rumorRoll = Math.floor(Math.random() * totalWeight) + 1;
-
-        let currentWeight = 0;
-        for (const rumor of rumorTypes) {
-            currentWeight += rumor.weight;
-            if (rumorRoll <= currentWeight) {
-                return {
-                    type: rumor.type,
-                    description: rumor.description,
-                    multiplier: rumor.multiplier,
-                    settlement: settlement.name,
-                    cargoName: cargoName,
-                    premiumPercentage: Math.round((rumor.multiplier - 1) * 100)
-                };
-            }
-        }
+        const board = this.getRumorBoard();
+        const rumor = board.getActiveRumors({ settlement: settlement.name, cargoName })[0] ||
+            board.spreadRumor({ settlement: settlement.name, cargoName });
+
+        this._saveRumorBoard();
+        this._recordHeardRumor(this._getLearnerId(options.learnerId), rumor, { learnedIn: settlement.name }).catch(error => {
+            console.error('Trading Places | Failed to record rumor in journal:', error);
+        });
 
-        // Fallback (should not reach here)
-        return rumorTypes[0];
+        return PlayerRumorJournal.describe(rumor);
     }
 
     /**
-     * Generate rumor from successful gossip test
+     * Reveal a rumor from a successful gossip test
+     * Reveals an active rumor about the cargo that the player has not heard yet, spreading a new one
+     * at the settlement when there is none. Three or more degrees of success reveal whether it is true.
      * @param {Object} gossipResult - Result from performGossipTest
-     * @param {string} cargoName - Name of cargo to generate rumor about
-     * @param {Object} settlement - Settlement object
-     * @returns {Object|null} - Generated rumor or null if gossip failed
+     * @param {string} cargoName - Name of cargo to ask about
+     * @param {Object} settlement - Settlement where the gossip test was made
+     * @param {Object} options - { learnerId } journal the rumor is recorded in (defaults to the current user)
+     * @returns {Object|null} - Revealed rumor or null if gossip failed
      */
-    async generateRumorFromGossip(gossipResult, cargoName, settlement) {
+    async generateRumorFromGossip(gossipResult, cargoName, settlement, options = {}) {
         if (!gossipResult.success) {
             return null;
         }
 
-        // Higher degrees of success = better rumors
-        const rumorQuality = gossipResult.degrees;
-
-        const rumors = [
-            // Basic rumors (degrees 1-2)
-            {
-                type: 'minor_demand',
-                description: `Slight increase in demand for ${cargoName}`,
-                multiplier: 1.1,
-                minDegrees: 1
-            },
-            {
-                type: 'local_shortage',
-                description: `Local merchants are running low on ${cargoName}`,
-                multiplier: 1.2,
-                minDegrees: 1
-            },
-            // Good rumors (degrees 2-3)
-            {
-                type: 'increased_demand',
-                description: `Growing demand for ${cargoName} in the region`,
-                multiplier: 1.3,
-                minDegrees: 2
-            },
-            {
-                type: 'merchant_shortage',
-                description: `Several merchants are seeking ${cargoName}`,
-                multiplier: 1.4,
-                minDegrees: 2
-            },
-            // Excellent rumors (degrees 3+)
-            {
-                type: 'major_shortage',
-                description: `Critical shortage of ${cargoName} due to recent events`,
-                multiplier: 1.5,
-                minDegrees: 3
-            },
-            {
-                type: 'noble_requirement',
-                description: `Local nobility requires large quantities of ${cargoName}`,
-                multiplier: 1.6,
-                minDegrees: 3
-            }
-        ];
+        const board = this.getRumorBoard();
+        const learnerId = this._getLearnerId(options.learnerId);
+        const verified = gossipResult.degrees >= 3;
 
-        // Filter rumors by minimum degrees
-        const availableRumors = rumors.filter(rumor => rumorQuality >= rumor.minDegrees);
+        const journal = this._getRumorJournal(learnerId);
+        const unheard = board.getActiveRumors({ cargoName })
+            .filter(rumor => !journal.hasHeard(rumor.id));
+        // Prefer rumors about the settlement the gossip was heard in
+        const rumor = unheard.find(candidate => candidate.settlement === settlement.name) ||
+            unheard[0] ||
+            board.spreadRumor({ settlement: settlement.name, cargoName });
 
-        if (availableRumors.length === 0) {
-            return null;
+        if (this.dataManager && typeof this.dataManager.saveRumorBoard === 'function') {
+            await this.dataManager.saveRumorBoard();
         }
-
-        // Select random rumor from available options
-        const selectedRumor = availableRumors[Math.floor(Math.random() * availableRumors.length)];
+        await this._recordHeardRumor(learnerId, rumor, { learnedIn: settlement.name, verified });
 
         return {
-            type: selectedRumor.type,
-            description: selectedRumor.description,
-            multiplier: selectedRumor.multiplier,
-            cargoName: cargoName,
-            settlement: settlement.name,
+            ...PlayerRumorJournal.describe(rumor, verified),
             gossipDegrees: gossipResult.degrees,
             discoveredBy: 'gossip_test',
-            reliability: rumorQuality >= 3 ? 'reliable' : 'unreliable'
+            reliability: verified ? 'reliable' : 'unreliable'
         };
     }
 
@@ -932,13 +1076,16 @@ class SaleMechanics {
                 break;
 
             case 'rumor':
-                // Rumor sale: use rumor multiplier for premium pricing
+                // Rumor sale: use rumor multiplier for premium pricing when the rumor holds
                 if (rumorData && rumorData.multiplier) {
                     const basePrice = this.calculateSalePrice(cargoType, quantity, settlement, rollOptions).totalPrice;
+                    const verification = this.verifyRumor(rumorData, cargoType, settlement);
                     result.success = true;
-                    result.price = basePrice * rumorData.multiplier;
+                    result.price = verification.payable ? basePrice * rumorData.multiplier : basePrice;
                     result.quantitySold = quantity;
-                    result.message = `Rumor sale successful: ${rumorData.description}`;
+                    result.message = verification.payable
+                        ? `Rumor sale successful: ${rumorData.description}`
+                        : `Sold without a premium: ${verification.reason}`;
                 } else {
                     result.message = 'No valid rumor data provided';
                 }
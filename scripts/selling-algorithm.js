@@ -1,5 +1,8 @@
 console.log('Trading Places | Loading selling-algorithm.js');
 
+import { TradingClock } from './trading-clock.js';
+import { SaleMechanics } from './sale-mechanics.js';
+
 /**
  * Trading Places Module - WFRP Selling Algorithm Implementation
  * Implements the complete WFRP selling algorithm from official-algorithm.md
@@ -47,7 +50,7 @@ class WFRPSellingAlgorithm {
      * Step 1: Check selling eligibility (location/time restrictions)
      * @param {Object} settlement - Current settlement object
      * @param {string} cargoType - Type of cargo being sold
-     * @param {Object} cargoHistory - Cargo purchase history
+     * @param {Object} cargoHistory - Cargo purchase history (purchaseLocation, purchaseTime in world seconds)
      * @returns {Object} - Eligibility check result
      */
     checkSellingEligibility(settlement, cargoType, cargoHistory = {}) {
@@ -61,7 +64,8 @@ class WFRPSellingAlgorithm {
                 settlementName: settlement.name,
                 cargoType: cargoType,
                 purchaseLocation: cargoHistory.purchaseLocation,
-                purchaseDate: cargoHistory.purchaseDate
+                purchaseDate: cargoHistory.purchaseDate,
+                purchaseTime: cargoHistory.purchaseTime
             },
             'Death on the Reik Companion - Selling Algorithm Step 1'
         );
@@ -96,17 +100,16 @@ class WFRPSellingAlgorithm {
         }
 
         // Check 2: One week waiting period (only applies if same location)
-        if (cargoHistory.purchaseDate && cargoHistory.purchaseLocation === settlement.name) {
-            const purchaseDate = new Date(cargoHistory.purchaseDate);
-            const currentDate = new Date();
-            const daysDifference = Math.floor((currentDate - purchaseDate) / (1000 * 60 * 60 * 24));
+        // Only world time can be compared; a legacy purchaseDate is a display string, not a clock reading
+        if (typeof cargoHistory.purchaseTime === 'number' && cargoHistory.purchaseLocation === settlement.name) {
+            const daysDifference = Math.floor(TradingClock.elapsedDays(cargoHistory.purchaseTime));
             
             if (daysDifference < 7) {
                 canSell = false;
                 restrictions.push({
                     type: 'waiting_period',
                     description: 'Must wait one week before selling at same location',
-                    purchaseDate: cargoHistory.purchaseDate,
+                    purchaseDate: TradingClock.format(cargoHistory.purchaseTime),
                     daysSincePurchase: daysDifference,
                     daysRemaining: 7 - daysDifference
                 });
@@ -127,7 +130,7 @@ class WFRPSellingAlgorithm {
             eligibilityChecks.push({
                 check: 'Waiting Period',
                 passed: true,
-                reason: 'No waiting period restriction (different location or no purchase date)'
+                reason: 'No waiting period restriction (different location or no world-time purchase record)'
             });
         }
 
@@ -436,7 +439,7 @@ class WFRPSellingAlgorithm {
 
         // Apply wealth modifier to base price
         const wealthModifier = settlementInfo.wealthModifier;
-        const adjustedPrice = Math.round((basePrice * wealthModifier) * 100) / 100;
+        let adjustedPrice = Math.round((basePrice * wealthModifier) * 100) / 100;
 
         logger.logCalculation(
             'Wealth-Adjusted Offer Price',
@@ -453,6 +456,29 @@ class WFRPSellingAlgorithm {
             `${basePrice} GC × ${wealthModifier} = ${adjustedPrice} GC per 10 EP`
         );
 
+        // Apply market saturation from recent sales of this cargo at the settlement
+        const marketSaturation = SaleMechanics.getMarketSaturation(this.dataManager, settlement, cargoType, logger);
+        const saturationMultiplier = marketSaturation?.priceMultiplier ?? 1;
+        if (saturationMultiplier < 1) {
+            const saturatedPrice = Math.round((adjustedPrice * saturationMultiplier) * 100) / 100;
+
+            logger.logCalculation(
+                'Market Saturation',
+                'Wealth-Adjusted Price × Saturation Multiplier',
+                {
+                    cargoType: cargoType,
+                    recentlySold: marketSaturation.volume,
+                    saturation: marketSaturation.saturation,
+                    saturationMultiplier: saturationMultiplier,
+                    adjustedPrice: adjustedPrice
+                },
+                saturatedPrice,
+                `${adjustedPrice} GC × ${saturationMultiplier.toFixed(2)} = ${saturatedPrice} GC per 10 EP (${marketSaturation.volume} EP sold recently)`
+            );
+
+            adjustedPrice = saturatedPrice;
+        }
+
         // Calculate total offer based on quantity
         const totalUnits = Math.ceil(quantity / 10); // Convert EP to 10-EP units
         const totalOffer = Math.round((adjustedPrice * totalUnits) * 100) / 100;
@@ -479,6 +505,8 @@ class WFRPSellingAlgorithm {
             totalUnits: totalUnits,
             basePricePerTenEP: basePrice,
             wealthModifier: wealthModifier,
+            marketSaturation: marketSaturation,
+            saturationMultiplier: saturationMultiplier,
             adjustedPricePerTenEP: adjustedPrice,
             totalOffer: totalOffer,
             settlement: settlementInfo.name,
@@ -882,7 +910,7 @@ class WFRPSellingAlgorithm {
                 cargoType: cargoType,
                 quantity: quantity,
                 season: season,
-                timestamp: new Date().toISOString()
+                ...TradingClock.stamp()
             };
 
             // Step 1: Check selling eligibility
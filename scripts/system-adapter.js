@@ -3,6 +3,9 @@
  * Configuration-driven adapter for currency and inventory management across different game systems
  */
 
+import { TradingClock } from './trading-clock.js';
+import { CargoItems } from './cargo-items.js';
+
 let CurrencyUtils = null;
 try {
     CurrencyUtils = require('./currency-utils');
@@ -460,6 +463,18 @@ class SystemAdapter {
         }
     }
 
+    /**
+     * Convert an amount in canonical units (BP) to the primary denomination (GC)
+     * that addCurrency() and deductCurrency() take, at the currency schema's rate
+     * @param {number} amount - Amount in canonical units
+     * @returns {number} - Amount in the primary denomination
+     */
+    toPrimaryDenomination(amount) {
+        const schema = this.getCurrencySchema();
+        const primaryDenom = schema.denominations.find(d => d.abbreviation === 'GC');
+        return amount / (primaryDenom?.value || 240);
+    }
+
     /**
      * Check if actor has sufficient currency
      * @param {Object} actor - FoundryVTT Actor object
@@ -685,14 +700,27 @@ class SystemAdapter {
             itemData.system.purchaseLocation = purchaseInfo.settlement;
         }
 
-        // Add trading metadata
+        // Add trading metadata (purchase time is world time in seconds)
+        const purchaseTime = TradingClock.now();
         itemData.system.tradingData = {
             originalQuantity: quantity,
             purchasePrice: purchaseInfo.totalPrice || 0,
-            purchaseDate: new Date().toISOString(),
+            purchaseTime: purchaseTime,
+            purchaseDate: TradingClock.format(purchaseTime),
             isTradingCargo: true
         };
 
+        // Provenance the hold is read back from
+        itemData.flags = {
+            [CargoItems.FLAG_SCOPE]: {
+                [CargoItems.FLAG_KEY]: CargoItems.buildFlags(cargoName, cargoData, {
+                    purchaseTime,
+                    purchaseDate: TradingClock.format(purchaseTime),
+                    ...purchaseInfo
+                })
+            }
+        };
+
         return itemData;
     }
 
@@ -720,6 +748,12 @@ class SystemAdapter {
         }
 
         try {
+            // More of a lot the actor already carries goes onto the same item
+            const [existing] = purchaseInfo.lotId ? this.findCargoInInventory(actor, cargoName, { lotId: purchaseInfo.lotId }) : [];
+            if (existing) {
+                return this._addToCargoItem(existing, quantity, purchaseInfo);
+            }
+
             const itemData = this.createCargoItemData(cargoName, quantity, cargoData, purchaseInfo);
             
             // Use configured method for creating items
@@ -744,6 +778,36 @@ class SystemAdapter {
         }
     }
 
+    /**
+     * Add more of a lot to the item already carrying it
+     * @param {Object} item - Flagged cargo item
+     * @param {number} quantity - Quantity to add
+     * @param {Object} purchaseInfo - Purchase transaction information
+     * @returns {Promise<Object>} - Operation result, with the item's previous quantity and flag to restore it
+     * @private
+     */
+    async _addToCargoItem(item, quantity, purchaseInfo) {
+        const flags = CargoItems.getFlags(item);
+        const previousQuantity = item.system.quantity.value;
+        const purchasePrice = (Number(flags.purchasePrice) || 0) + (Number(purchaseInfo.totalPrice) || 0);
+
+        await item.update({
+            'system.quantity.value': previousQuantity + quantity,
+            [`flags.${CargoItems.FLAG_SCOPE}.${CargoItems.FLAG_KEY}.purchasePrice`]: purchasePrice,
+            [`flags.${CargoItems.FLAG_SCOPE}.${CargoItems.FLAG_KEY}.pricePerEP`]: purchasePrice / (previousQuantity + quantity)
+        });
+
+        return {
+            success: true,
+            itemId: item.id,
+            itemName: item.name,
+            quantity: quantity,
+            cargoName: flags.cargoType,
+            merged: true,
+            previous: { quantity: previousQuantity, flags: { ...flags } }
+        };
+    }
+
     /**
      * Find cargo items in actor inventory
      * @param {Object} actor - FoundryVTT Actor object
@@ -757,8 +821,17 @@ class SystemAdapter {
         }
 
         return actor.items.filter(item => {
+            // Items bought through the module are matched on their flags, whatever the sheet has renamed them to
+            const flags = CargoItems.getFlags(item);
+            if (flags?.cargoType) {
+                return flags.cargoType === cargoName &&
+                    (!filters.lotId || flags.lotId === filters.lotId) &&
+                    (!filters.quality || String(flags.quality).toLowerCase() === String(filters.quality).toLowerCase()) &&
+                    (!filters.minQuantity || item.system.quantity.value >= filters.minQuantity);
+            }
+
             // Check if it's trading cargo
-            if (!item.system?.tradingData?.isTradingCargo) {
+            if (!item.system?.tradingData?.isTradingCargo || filters.lotId) {
                 return false;
             }
 
@@ -1030,10 +1103,7 @@ class SystemAdapter {
         }
 
         // Deduct currency (expects amount in primary currency (GC))
-        const schema = this.getCurrencySchema();
-        const primaryDenom = schema.denominations.find(d => d.abbreviation === 'GC');
-        const primaryDenomValue = primaryDenom?.value || 240;
-        const costInPrimary = totalCost / primaryDenomValue;
+        const costInPrimary = this.toPrimaryDenomination(totalCost);
 
         const currencyResult = await this.deductCurrency(
             actor, 
@@ -0,0 +1,167 @@
+/**
+ * Trading Places Module - Tariff Schedule
+ * Market taxes, provincial tolls and cargo duties levied on purchases and sales
+ */
+
+console.log('Trading Places | Loading tariff-schedule.js');
+
+/**
+ * Tariff Schedule class for working out what a transaction owes in tolls and taxes
+ *
+ * Rates come from the `tariffs` section of the trading config and are fractions of the
+ * transaction value. Three kinds of tariff are levied:
+ * - market tax, charged on every purchase and sale at a settlement. A rate for the settlement
+ *   itself wins over one for its ruler, which wins over the highest rate among its flags;
+ * - provincial toll, charged on a sale when the cargo was bought in another region. The rate
+ *   belongs to the region the cargo is entering;
+ * - duty on particular cargo or cargo categories, charged on sales at settlements that
+ *   regulate trade (those with `requiredFlag`, `government` by default).
+ * Purchasers pay tariffs on top of the price; sellers have them taken from the proceeds.
+ */
+export class TariffSchedule {
+    /**
+     * @param {Object} config - `tariffs` section of the trading config
+     *                          ({ marketTax: { rate, flags, rulers, settlements }, provincialTolls: { rate, regions },
+     *                          duties: { requiredFlag, categories, cargo } })
+     */
+    constructor(config = {}) {
+        this.config = config || {};
+    }
+
+    /**
+     * Normalise a name for lookups (names are matched case-insensitively)
+     * @param {string} name - Settlement, ruler, region or cargo name
+     * @returns {string} - Lookup key
+     */
+    static normaliseName(name) {
+        return typeof name === 'string' ? name.trim().toLowerCase() : '';
+    }
+
+    /**
+     * Work out the tariffs owed on a transaction
+     * @param {Object} params - { settlement, cargoName, category, transactionType, originRegion, value }
+     *                          transactionType is 'purchase' or 'sale'; originRegion is the region the
+     *                          cargo was bought in; value is the transaction value before tariffs
+     * @returns {Object} - { lines: [{ type, description, rate, amount }], rate, amount }
+     */
+    calculateTariffs({ settlement, cargoName = null, category = null, transactionType = 'purchase', originRegion = null, value = 0 }) {
+        if (!settlement) {
+            throw new Error('Tariff settlement is required');
+        }
+        if (!['purchase', 'sale'].includes(transactionType)) {
+            throw new Error(`Unknown transaction type: ${transactionType}`);
+        }
+
+        const lines = [];
+        const addLine = (type, description, rate) => {
+            if (rate > 0) {
+                lines.push({ type, description: `${description} (${Math.round(rate * 1000) / 10}%)`, rate, amount: this._round(value * rate) });
+            }
+        };
+
+        addLine('market_tax', `Market tax at ${settlement.name}`, this.getMarketTaxRate(settlement));
+
+        if (transactionType === 'sale') {
+            if (originRegion && settlement.region &&
+                TariffSchedule.normaliseName(originRegion) !== TariffSchedule.normaliseName(settlement.region)) {
+                addLine('provincial_toll', `Provincial toll entering ${settlement.region}`, this.getTollRate(settlement.region));
+            }
+
+            const duty = this.getDuty(settlement, cargoName, category);
+            if (duty) {
+                addLine('duty', `Duty on ${duty.subject}`, duty.rate);
+            }
+        }
+
+        return {
+            lines,
+            rate: lines.reduce((sum, line) => sum + line.rate, 0),
+            amount: this._round(lines.reduce((sum, line) => sum + line.amount, 0))
+        };
+    }
+
+    /**
+     * Get the market tax rate charged at a settlement
+     * @param {Object} settlement - Settlement object
+     * @returns {number} - Rate as a fraction
+     */
+    getMarketTaxRate(settlement) {
+        const marketTax = this.config.marketTax || {};
+
+        const settlementRate = this._lookup(marketTax.settlements, settlement.name);
+        if (settlementRate !== null) {
+            return settlementRate;
+        }
+
+        const rulerRate = this._lookup(marketTax.rulers, settlement.ruler);
+        if (rulerRate !== null) {
+            return rulerRate;
+        }
+
+        const flagRates = (settlement.flags || [])
+            .map(flag => this._lookup(marketTax.flags, flag))
+            .filter(rate => rate !== null);
+        if (flagRates.length > 0) {
+            return Math.max(...flagRates);
+        }
+
+        return Number(marketTax.rate) || 0;
+    }
+
+    /**
+     * Get the toll rate for cargo entering a region
+     * @param {string} region - Region name
+     * @returns {number} - Rate as a fraction
+     */
+    getTollRate(region) {
+        const tolls = this.config.provincialTolls || {};
+        return this._lookup(tolls.regions, region) ?? (Number(tolls.rate) || 0);
+    }
+
+    /**
+     * Get the duty levied on a cargo at a settlement
+     * A rate for the cargo itself wins over one for its category
+     * @param {Object} settlement - Settlement object
+     * @param {string} cargoName - Cargo type name
+     * @param {string} category - Cargo category
+     * @returns {Object|null} - { subject, rate } or null when no duty is levied
+     */
+    getDuty(settlement, cargoName, category) {
+        const duties = this.config.duties || {};
+        const requiredFlag = duties.requiredFlag ?? 'government';
+        if (requiredFlag && !(settlement.flags || []).includes(requiredFlag)) {
+            return null;
+        }
+
+        const cargoRate = this._lookup(duties.cargo, cargoName);
+        if (cargoRate !== null) {
+            return { subject: cargoName, rate: cargoRate };
+        }
+
+        const categoryRate = this._lookup(duties.categories, category);
+        if (categoryRate !== null) {
+            return { subject: category, rate: categoryRate };
+        }
+
+        return null;
+    }
+
+    _lookup(table, name) {
+        if (!table || !name) {
+            return null;
+        }
+
+        const key = TariffSchedule.normaliseName(name);
+        const match = Object.keys(table).find(entry => TariffSchedule.normaliseName(entry) === key);
+        return match === undefined ? null : Number(table[match]) || 0;
+    }
+
+    _round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesTariffSchedule = TariffSchedule;
+}
@@ -0,0 +1,628 @@
+/**
+ * Trading Places Module - Trade Approval
+ * Players ask the GM to approve purchases and sales; the GM client applies them
+ */
+
+console.log('Trading Places | Loading trade-approval.js');
+
+import { TradingClock } from './trading-clock.js';
+import { TradeTransactionService } from './trade-transaction.js';
+import { RecordId } from './record-id.js';
+
+const MODULE_ID = "fvtt-trading-places";
+
+const REQUEST_TYPES = ['purchase', 'sale'];
+const RESOLVED_STATUSES = ['approved', 'rejected', 'failed'];
+
+/**
+ * Trade Approval Queue class for players' trade requests
+ *
+ * A request describes a purchase or sale a player wants to make: who asked, for which actor,
+ * the price breakdown the player was shown, and the payload the GM client needs to apply it.
+ * Requests stay pending until the GM approves or rejects them. Approved requests that cannot
+ * be applied are marked failed. Only the most recent resolved requests are kept.
+ */
+export class TradeApprovalQueue {
+    /**
+     * @param {Object} config - `tradeApproval` section of the trading config ({ resolvedLimit })
+     * @param {Object} options - { requests, now, logger } where now() returns world time in seconds
+     */
+    constructor(config = {}, options = {}) {
+        this.config = {
+            resolvedLimit: config?.resolvedLimit ?? 20
+        };
+        this.requests = Array.isArray(options.requests) ? options.requests.map(request => ({ ...request })) : [];
+        this.now = typeof options.now === 'function' ? options.now : () => TradingClock.now();
+        this.logger = options.logger || null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * Add a player's request to the queue
+     * @param {Object} request - { id, type, userId, userName, actorId, actorName, cargo, quantity, settlement, season, breakdown, payload }
+     * @returns {Object} - The queued request
+     */
+    submit(request = {}) {
+        if (!REQUEST_TYPES.includes(request.type)) {
+            throw new Error('Trade request type must be purchase or sale');
+        }
+        if (!request.cargo) {
+            throw new Error('Trade request must name the cargo');
+        }
+        const quantity = Number(request.quantity);
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+            throw new Error('Trade request quantity must be a positive number');
+        }
+        if (request.id && this.getRequest(request.id)) {
+            throw new Error(`Trade request ${request.id} has already been made`);
+        }
+
+        const queued = {
+            id: request.id || RecordId.generate('request'),
+            type: request.type,
+            userId: request.userId || null,
+            userName: request.userName || 'Unknown player',
+            actorId: request.actorId || null,
+            actorName: request.actorName || null,
+            cargo: request.cargo,
+            quantity,
+            settlement: request.settlement || null,
+            season: request.season || null,
+            breakdown: {
+                lines: Array.isArray(request.breakdown?.lines) ? request.breakdown.lines : [],
+                discountPercent: request.breakdown?.discountPercent || 0,
+                total: Number(request.breakdown?.total) || 0
+            },
+            payload: request.payload || {},
+            status: 'pending',
+            requestedAt: this.now(),
+            resolvedAt: null,
+            resolvedBy: null,
+            reason: null
+        };
+
+        this.requests.push(queued);
+        this.getLogger().logSystem('Trade Approval', `${queued.userName} asks to ${queued.type === 'sale' ? 'sell' : 'buy'} ${quantity} EP of ${queued.cargo}`, {
+            id: queued.id,
+            total: queued.breakdown.total
+        });
+        return queued;
+    }
+
+    /**
+     * @param {string} id - Request id
+     * @returns {Object|null} - The request
+     */
+    getRequest(id) {
+        return this.requests.find(request => request.id === id) || null;
+    }
+
+    /**
+     * @returns {Array} - Requests waiting for the GM, oldest first
+     */
+    getPending() {
+        return this.requests
+            .filter(request => request.status === 'pending')
+            .sort((a, b) => a.requestedAt - b.requestedAt);
+    }
+
+    /**
+     * @returns {Array} - Approved, rejected and failed requests, newest first
+     */
+    getResolved() {
+        return this.requests
+            .filter(request => request.status !== 'pending')
+            .sort((a, b) => (b.resolvedAt ?? 0) - (a.resolvedAt ?? 0));
+    }
+
+    /**
+     * @param {string} userId - Foundry user id
+     * @returns {Array} - The user's requests still waiting for the GM
+     */
+    getPendingForUser(userId) {
+        return this.getPending().filter(request => request.userId === userId);
+    }
+
+    /**
+     * Record the GM's decision on a pending request
+     * @param {string} id - Request id
+     * @param {string} status - 'approved', 'rejected' or 'failed'
+     * @param {Object} details - { resolvedBy, reason }
+     * @returns {Object} - The resolved request
+     */
+    resolve(id, status, details = {}) {
+        if (!RESOLVED_STATUSES.includes(status)) {
+            throw new Error(`Unknown trade request status: ${status}`);
+        }
+
+        const request = this.requirePending(id);
+        request.status = status;
+        request.resolvedAt = this.now();
+        request.resolvedBy = details.resolvedBy || null;
+        request.reason = details.reason || null;
+        this._trimResolved();
+
+        this.getLogger().logDecision('Trade Approval', `Request ${status}`, {
+            id,
+            cargo: request.cargo,
+            quantity: request.quantity,
+            reason: request.reason
+        });
+        return request;
+    }
+
+    /**
+     * Get a request that is still waiting for the GM
+     * @param {string} id - Request id
+     * @returns {Object} - The pending request
+     */
+    requirePending(id) {
+        const request = this.getRequest(id);
+        if (!request) {
+            throw new Error(`Trade request not found: ${id}`);
+        }
+        if (request.status !== 'pending') {
+            throw new Error(`Trade request ${id} has already been ${request.status}`);
+        }
+        return request;
+    }
+
+    _trimResolved() {
+        const keep = new Set(this.getResolved().slice(0, this.config.resolvedLimit).map(request => request.id));
+        this.requests = this.requests.filter(request => request.status === 'pending' || keep.has(request.id));
+    }
+
+    /**
+     * Get the serialisable queue state
+     * @returns {Object} - { requests }
+     */
+    toJSON() {
+        return { requests: this.requests };
+    }
+}
+
+/**
+ * Trade Approval Service class for passing trade requests between players and the GM
+ *
+ * Players cannot write world settings or other users' actors, so their purchases and sales
+ * are sent over the module socket. The active GM's client queues each request, and applies it
+ * as a trade transaction when the GM approves it. The outcome is sent back to every client with
+ * the saved history and hold, so open trading windows update at once; the player who asked has
+ * the promise returned by requestTrade() resolved with it.
+ */
+export class TradeApprovalService {
+    static SOCKET = `module.${MODULE_ID}`;
+
+    /**
+     * @param {Object} dataManager - DataManager instance
+     * @param {Object} systemAdapter - SystemAdapter instance
+     * @param {Object} options - { socket, logger, tradingEngine } where socket defaults to game.socket
+     *   and tradingEngine answers players' rumor requests
+     */
+    constructor(dataManager, systemAdapter, options = {}) {
+        if (!dataManager) {
+            throw new Error('TradeApprovalService requires a DataManager instance');
+        }
+
+        this.dataManager = dataManager;
+        this.systemAdapter = systemAdapter || null;
+        this.socket = options.socket || null;
+        this.logger = options.logger || null;
+        this.tradingEngine = options.tradingEngine || null;
+        this.waiting = new Map(); // Request id -> resolve() of the promise returned by requestTrade()
+    }
+
+    _getSocket() {
+        return this.socket || (typeof game !== 'undefined' ? game.socket : null);
+    }
+
+    /**
+     * Start listening for trade requests and outcomes
+     */
+    listen() {
+        const socket = this._getSocket();
+        if (!socket) {
+            console.warn('Trading Places | Socket not available, trade approvals disabled');
+            return;
+        }
+        socket.on(TradeApprovalService.SOCKET, message => this.handleMessage(message));
+    }
+
+    /**
+     * Whether a user's trades have to be approved by the GM
+     * @param {Object} user - Foundry user (defaults to the current user)
+     * @returns {boolean}
+     */
+    needsApproval(user = game.user) {
+        return !user?.isGM;
+    }
+
+    /**
+     * Whether this client answers trade requests: the active GM, so that only one GM applies each trade
+     * @returns {boolean}
+     */
+    isApprover() {
+        if (!game.user?.isGM) {
+            return false;
+        }
+        const activeGM = game.users?.activeGM;
+        return !activeGM || activeGM.id === game.user.id;
+    }
+
+    /**
+     * Ask the GM to approve a purchase or sale
+     * @param {Object} request - { type, actorId, actorName, cargo, quantity, settlement, season, breakdown, payload }
+     * Throws at once when the request cannot be sent, rather than rejecting the returned promise
+     * @returns {Promise<Object>} - Resolves with the outcome ({ requestId, status, error, reason }) once the GM has decided
+     */
+    requestTrade(request) {
+        const { id, outcome } = this._sendToGM('request', request, {
+            noGM: 'No GM is connected to approve the trade',
+            noSocket: 'Trade requests need the module socket'
+        });
+
+        this.getLogger().logSystem('Trade Approval', `Asked the GM to approve a ${request.type}`, { id, cargo: request.cargo });
+        return outcome;
+    }
+
+    /**
+     * Ask the GM's client to accept or settle a delivery contract, which players cannot save themselves
+     * Contract changes are applied as soon as they arrive; they do not wait in the approval queue
+     * @param {Object} request - { type: 'accept' or 'settle', contractId, actorId }
+     * Throws at once when the request cannot be sent, rather than rejecting the returned promise
+     * @returns {Promise<Object>} - Resolves with the outcome ({ requestId, result, error }) once the GM's client has applied it
+     */
+    requestContract(request) {
+        return this._sendToGM('contract', request, {
+            noGM: 'No GM is connected to record the contract',
+            noSocket: 'Contract requests need the module socket'
+        }).outcome;
+    }
+
+    /**
+     * Ask the GM's client about the rumor board, which only the GM's client reads
+     * A gossip request reveals a rumor and records it in the player's journal; a premium request
+     * checks what a buyer pays on a rumor the player has heard
+     * @param {Object} request - { type: 'gossip', gossipResult, cargoName, settlement }
+     *   or { type: 'premium', rumorId, cargoName, settlement }
+     * Throws at once when the request cannot be sent, rather than rejecting the returned promise
+     * @returns {Promise<Object>} - Resolves with the outcome ({ requestId, result, error }) once the GM's client has answered
+     */
+    requestRumor(request) {
+        return this._sendToGM('rumor', request, {
+            noGM: 'No GM is connected to ask about rumors',
+            noSocket: 'Rumor requests need the module socket'
+        }).outcome;
+    }
+
+    /**
+     * Send a request to the active GM's client and wait for the answer
+     * @param {string} action - Socket action
+     * @param {Object} request - Request details
+     * @param {Object} errors - { noGM, noSocket } messages thrown when the request cannot be sent
+     * @returns {Object} - { id, outcome } where outcome resolves with the GM's answer
+     * @private
+     */
+    _sendToGM(action, request, errors) {
+        if (!game.users?.activeGM) {
+            throw new Error(errors.noGM);
+        }
+        const socket = this._getSocket();
+        if (!socket) {
+            throw new Error(errors.noSocket);
+        }
+
+        const id = RecordId.generate('request');
+        const outcome = new Promise(resolve => this.waiting.set(id, resolve));
+        socket.emit(TradeApprovalService.SOCKET, {
+            action,
+            request: { ...request, id, userId: game.user.id, userName: game.user.name }
+        });
+        return { id, outcome };
+    }
+
+    /**
+     * Handle a message from the module socket
+     * @param {Object} message - { action: 'request', request }, { action: 'outcome', outcome },
+     *   { action: 'contract' or 'rumor', request } or { action: 'contractOutcome' or 'rumorOutcome', outcome }
+     */
+    async handleMessage(message) {
+        try {
+            if (message?.action === 'request' && this.isApprover()) {
+                await this._receiveRequest(message.request);
+            } else if (message?.action === 'outcome') {
+                this._receiveOutcome(message.outcome);
+            } else if (message?.action === 'contract' && this.isApprover()) {
+                await this._receiveContractRequest(message.request);
+            } else if (message?.action === 'rumor' && this.isApprover()) {
+                await this._receiveRumorRequest(message.request);
+            } else if (message?.action === 'contractOutcome' || message?.action === 'rumorOutcome') {
+                this._resolveWaiting(message.outcome);
+            }
+        } catch (error) {
+            console.error('Trading Places | Failed to handle trade approval message:', error);
+        }
+    }
+
+    async _receiveRequest(request) {
+        const queue = this.dataManager.getTradeRequests();
+        const queued = queue.submit(request);
+        await this.dataManager.saveTradeRequests();
+
+        ui.notifications.info(`${queued.userName} asks to ${queued.type === 'sale' ? 'sell' : 'buy'} ${queued.quantity} EP of ${queued.cargo}`);
+        Hooks.callAll(`${MODULE_ID}.tradeRequestsChanged`, queue.getPending());
+    }
+
+    _receiveOutcome(outcome) {
+        if (!outcome) {
+            return;
+        }
+
+        // Every client picks up the saved history and hold so open windows show the trade
+        if (outcome.status === 'approved') {
+            this.dataManager.history = outcome.history;
+            this.dataManager.cargo = outcome.hold;
+        }
+
+        this._resolveWaiting(outcome);
+        Hooks.callAll(`${MODULE_ID}.tradeRequestResolved`, outcome);
+    }
+
+    _resolveWaiting(outcome) {
+        const resolve = outcome ? this.waiting.get(outcome.requestId) : null;
+        if (resolve) {
+            this.waiting.delete(outcome.requestId);
+            resolve(outcome);
+        }
+    }
+
+    /**
+     * Accept or settle a delivery contract for a player and send them the result
+     * @private
+     */
+    async _receiveContractRequest(request) {
+        let result = null;
+        let error = null;
+        try {
+            if (request.type === 'settle') {
+                const actor = request.actorId ? game.actors?.get(request.actorId) || null : null;
+                result = await this.dataManager.settleDeliveryContract(request.contractId, actor, this.systemAdapter);
+            } else {
+                result = await this.dataManager.acceptDeliveryContract(request.contractId, request.userId);
+            }
+        } catch (contractError) {
+            error = contractError.message;
+        }
+
+        this.getLogger().logSystem('Trade Approval', `Contract ${request.type} for ${request.userName}`, { contractId: request.contractId, error });
+        this._getSocket()?.emit(TradeApprovalService.SOCKET, {
+            action: 'contractOutcome',
+            outcome: { requestId: request.id, userId: request.userId, type: request.type, result, error }
+        });
+    }
+
+    /**
+     * Answer a player's rumor request from the rumor board and send the answer back
+     * @param {Object} request - Rumor request from requestRumor()
+     * @private
+     */
+    async _receiveRumorRequest(request) {
+        let result = null;
+        let error = null;
+        try {
+            if (!this.tradingEngine) {
+                throw new Error('The GM has no trading engine to answer rumor requests');
+            }
+            const settlement = this.dataManager.getSettlement(request.settlement);
+            if (!settlement) {
+                throw new Error(`Unknown settlement: ${request.settlement}`);
+            }
+
+            if (request.type === 'gossip') {
+                result = await this.tradingEngine.generateRumorFromGossip(request.gossipResult, request.cargoName, settlement, { learnerId: request.userId });
+            } else {
+                result = this.tradingEngine.getRumorPremium(request.rumorId, request.cargoName, settlement);
+            }
+        } catch (rumorError) {
+            error = rumorError.message;
+        }
+
+        this.getLogger().logSystem('Trade Approval', `Rumor ${request.type} for ${request.userName}`, { cargoName: request.cargoName, error });
+        this._getSocket()?.emit(TradeApprovalService.SOCKET, {
+            action: 'rumorOutcome',
+            outcome: { requestId: request.id, userId: request.userId, type: request.type, result, error }
+        });
+    }
+
+    /**
+     * Approve a pending request and apply it (GM only)
+     * @param {string} id - Request id
+     * @returns {Promise<Object>} - The outcome sent to the players
+     */
+    async approve(id) {
+        const queue = this.dataManager.getTradeRequests();
+        const request = queue.requirePending(id);
+        const actor = request.actorId ? game.actors?.get(request.actorId) || null : null;
+        const transactions = new TradeTransactionService(this.dataManager, this.systemAdapter, { logger: this.logger });
+        const { payload } = request;
+
+        const result = request.type === 'sale'
+            ? await transactions.sale({
+                transaction: payload.transaction,
+                actor,
+                item: payload.item,
+                quantity: request.quantity,
+                proceeds: payload.proceeds,
+                updateHold: hold => TradeTransactionService.removeFromHold(hold, payload.soldCargo, request.quantity)
+            })
+            : await transactions.purchase({
+                transaction: payload.transaction,
+                actor,
+                item: payload.item,
+                cost: payload.cost,
+                updateHold: hold => TradeTransactionService.mergeIntoHold(hold, payload.transaction)
+            });
+
+        const notes = [];
+        if (result.success) {
+            await this._recordMarket(request);
+            await this._recordReputation(payload.transaction);
+            await this._recordMerchantDeal(payload.transaction);
+            if (request.type === 'sale') {
+                notes.push(...await this._recordContractDelivery(request, actor));
+            }
+        }
+
+        queue.resolve(id, result.success ? 'approved' : 'failed', {
+            resolvedBy: game.user?.name,
+            reason: result.success ? null : result.error
+        });
+        return this._finish(request, result.success ? null : result.error, notes);
+    }
+
+    /**
+     * Turn a pending request down (GM only)
+     * @param {string} id - Request id
+     * @param {string} reason - Why, shown to the player
+     * @returns {Promise<Object>} - The outcome sent to the players
+     */
+    async reject(id, reason = null) {
+        const queue = this.dataManager.getTradeRequests();
+        const request = queue.resolve(id, 'rejected', { resolvedBy: game.user?.name, reason });
+        return this._finish(request, null);
+    }
+
+    async _finish(request, error, notes = []) {
+        await this.dataManager.saveTradeRequests();
+
+        const outcome = {
+            requestId: request.id,
+            userId: request.userId,
+            type: request.type,
+            cargo: request.cargo,
+            quantity: request.quantity,
+            settlement: request.settlement,
+            status: request.status,
+            reason: request.reason,
+            error,
+            resolvedBy: request.resolvedBy,
+            notes,
+            // Saved history and hold, for the other clients' DataManagers
+            history: request.status === 'approved' ? this.dataManager.history : null,
+            hold: request.status === 'approved' ? this.dataManager.cargo : null
+        };
+
+        this._getSocket()?.emit(TradeApprovalService.SOCKET, { action: 'outcome', outcome });
+        // The socket does not echo to the sender, so the GM's own windows are told here
+        Hooks.callAll(`${MODULE_ID}.tradeRequestResolved`, outcome);
+        Hooks.callAll(`${MODULE_ID}.tradeRequestsChanged`, this.dataManager.getTradeRequests().getPending());
+        return outcome;
+    }
+
+    /**
+     * Run a recorder that follows an approved trade, logging rather than throwing when it fails
+     * (see TradeTransactionService.recordSafely)
+     * @param {string} message - Log message when the recorder fails
+     * @param {Function} record - Async recorder
+     * @returns {Promise<*>} - The recorder's result, or undefined when it failed
+     * @private
+     */
+    _recordSafely(message, record) {
+        return TradeTransactionService.recordSafely(record, error => console.error(`Trading Places | ${message}:`, error));
+    }
+
+    /**
+     * Draw down or flood the settlement market and note the price, as the trading window does for the GM's own trades
+     * @private
+     */
+    async _recordMarket(request) {
+        const { transaction } = request.payload;
+        await this._recordSafely('Failed to record approved trade in the market', async () => {
+            if (request.type === 'sale') {
+                await this.dataManager.recordMarketSale?.(request.settlement, request.cargo, request.quantity);
+            } else {
+                await this.dataManager.recordMarketPurchase?.(request.settlement, request.cargo, request.quantity, request.season);
+            }
+            await this.dataManager.recordPrices?.([{
+                settlement: request.settlement,
+                cargo: request.cargo,
+                quality: transaction.quality || 'Average',
+                price: transaction.pricePerEPCanonical ?? transaction.pricePerEP,
+                source: request.type
+            }]);
+        });
+    }
+
+    /**
+     * Note a fair or heavily haggled approved trade in the party's reputation
+     * @private
+     */
+    async _recordReputation(transaction) {
+        await this._recordSafely('Failed to record approved trade in reputation', () => this.dataManager.recordTradeReputation?.(transaction));
+    }
+
+    /**
+     * Note an approved trade in the regular merchant's record of deals with the party
+     * @private
+     */
+    async _recordMerchantDeal(transaction) {
+        await this._recordSafely('Failed to record approved trade with merchant', () => this.dataManager.recordMerchantDeal?.(transaction));
+    }
+
+    /**
+     * Count an approved sale towards delivery contracts due where it was made, paying out any completed
+     * @returns {Promise<Array>} - Messages for the player about the contracts credited
+     * @private
+     */
+    async _recordContractDelivery(request, actor) {
+        if (typeof this.dataManager.recordContractDelivery !== 'function') {
+            return [];
+        }
+
+        const deliveries = await this._recordSafely('Failed to record contract delivery for approved sale', () => this.dataManager.recordContractDelivery(
+            { settlement: request.settlement, cargo: request.cargo, quality: request.payload.transaction.quality, quantity: request.quantity },
+            actor,
+            this.systemAdapter
+        ));
+        return (deliveries || []).map(({ contract, delivered, settlement }) => (settlement
+            ? `Delivery contract completed: ${contract.quantity} EP of ${contract.cargoName} to ${contract.destination}`
+            : `Delivered ${delivered} EP of ${contract.cargoName} towards a contract (${contract.delivered}/${contract.quantity} EP)`));
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesTradeApprovalQueue = TradeApprovalQueue;
+    window.TradingPlacesTradeApprovalService = TradeApprovalService;
+}
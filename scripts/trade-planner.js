@@ -0,0 +1,322 @@
+/**
+ * Trading Places Module - Trade Planner
+ * Ranks buy-here/sell-there cargo runs by expected profit
+ */
+
+console.log('Trading Places | Loading trade-planner.js');
+
+import { EquilibriumCalculator } from './equilibrium-calculator.js';
+
+// Median of 1d100, used wherever the pipeline would roll
+const EXPECTED_ROLL = 50;
+
+/**
+ * Trade Planner class for comparing trade opportunities between settlements
+ *
+ * Works from expected values rather than live rolls. At the starting settlement the cargo
+ * availability pipeline supplies the slot count, the candidate table, the supply/demand
+ * balance and the typical cargo amount; the purchase price comes from the
+ * PurchasePriceCalculator with the pipeline's quality and market-state multipliers. At each
+ * reachable destination the EquilibriumCalculator rules out blocked markets and the
+ * SaleMechanics supply the sale price and buyer chance. Prices include tolls and taxes at both
+ * ends. Expected profit is the margin on the quantity the party can carry and afford, weighted
+ * by the chance the cargo is on offer and the chance a buyer is found.
+ */
+export class TradePlanner {
+    /**
+     * @param {Object} dataManager - DataManager instance
+     * @param {Object} tradingEngine - TradingEngine instance (purchase price calculator and sale mechanics)
+     * @param {Object} options - { pipeline, logger } where pipeline is a CargoAvailabilityPipeline
+     */
+    constructor(dataManager, tradingEngine, options = {}) {
+        if (!dataManager) {
+            throw new Error('TradePlanner requires a DataManager instance');
+        }
+        if (!tradingEngine) {
+            throw new Error('TradePlanner requires a TradingEngine instance');
+        }
+        if (!options.pipeline) {
+            throw new Error('TradePlanner requires a CargoAvailabilityPipeline instance');
+        }
+
+        this.dataManager = dataManager;
+        this.tradingEngine = tradingEngine;
+        this.pipeline = options.pipeline;
+        this.logger = options.logger || null;
+        this.equilibriumCalculator = null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * Get the `planner` section of the trading config with defaults applied
+     * @returns {Object} - Planner configuration
+     */
+    getConfig() {
+        const config = this.dataManager.tradingConfig?.planner || {};
+        return {
+            maxTravelDays: config.maxTravelDays ?? 14,
+            defaultTravelDays: config.defaultTravelDays ?? 7,
+            maxResults: config.maxResults ?? 25,
+            risk: {
+                safeBuyerChance: config.risk?.safeBuyerChance ?? 70,
+                riskyBuyerChance: config.risk?.riskyBuyerChance ?? 40,
+                safeMargin: config.risk?.safeMargin ?? 0.25,
+                thinMargin: config.risk?.thinMargin ?? 0.1
+            }
+        };
+    }
+
+    _getEquilibriumCalculator() {
+        if (!this.equilibriumCalculator) {
+            this.equilibriumCalculator = new EquilibriumCalculator(this.dataManager.tradingConfig, this.dataManager.sourceFlags || {});
+        }
+        return this.equilibriumCalculator;
+    }
+
+    _resolveSettlement(settlement) {
+        const resolved = typeof settlement === 'string' ? this.dataManager.getSettlement(settlement) : settlement;
+        if (!resolved || !resolved.name) {
+            throw new Error(`Unknown settlement: ${typeof settlement === 'string' ? settlement : settlement?.name}`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Rank trade opportunities from a starting settlement
+     * @param {Object} params - { settlement, season, capacity, budget, quality, maxTravelDays, limit }
+     *                          capacity is in EP; budget is in BP (omit for no budget limit)
+     * @returns {Promise<Object>} - { origin, season, capacity, budget, opportunities } best first
+     */
+    async findOpportunities({ settlement, season = 'spring', capacity, budget = null, quality = 'Average', maxTravelDays = null, limit = null } = {}) {
+        const origin = this._resolveSettlement(settlement);
+        const config = this.getConfig();
+        const hold = Number(capacity);
+        if (!Number.isFinite(hold) || hold <= 0) {
+            throw new Error('Hold capacity must be a positive number of EP');
+        }
+        if (budget !== null && (!Number.isFinite(Number(budget)) || Number(budget) < 0)) {
+            throw new Error('Budget must be a non-negative number');
+        }
+
+        const normalizedSeason = String(season || 'spring').toLowerCase();
+        const travelLimit = maxTravelDays ?? config.maxTravelDays;
+        const offers = await this.getExpectedOffers(origin, normalizedSeason, quality);
+        const destinations = this._findDestinations(origin, travelLimit);
+
+        const opportunities = [];
+        offers.forEach(offer => {
+            const quantity = this._getAffordableQuantity(offer, hold, budget);
+            if (quantity <= 0) {
+                return;
+            }
+
+            destinations.forEach(({ destination, travelDays }) => {
+                let opportunity = null;
+                try {
+                    opportunity = this._evaluateSale(origin, offer, quantity, destination, travelDays, normalizedSeason, quality);
+                } catch (error) {
+                    // Settlements with incomplete data (e.g. no valid size) cannot be priced
+                    this.getLogger().logDecision('Trade Planner', `Skipped ${destination.name}: ${error.message}`, { cargo: offer.cargo });
+                }
+                if (opportunity && opportunity.profit > 0) {
+                    opportunities.push(opportunity);
+                }
+            });
+        });
+
+        opportunities.sort((a, b) => b.expectedProfit - a.expectedProfit);
+        const ranked = opportunities.slice(0, limit ?? config.maxResults);
+
+        this.getLogger().logCalculation('Trade Planner', `Ranked opportunities from ${origin.name}`, {
+            season: normalizedSeason,
+            capacity: hold,
+            budget,
+            cargoTypes: offers.length,
+            destinations: destinations.length,
+            considered: opportunities.length
+        });
+
+        return {
+            origin: origin.name,
+            season: normalizedSeason,
+            capacity: hold,
+            budget,
+            opportunities: ranked
+        };
+    }
+
+    /**
+     * Work out what each cargo is expected to cost at a settlement and how likely it is on offer
+     * @param {Object} settlement - Settlement object
+     * @param {string} season - Season
+     * @param {string} quality - Quality tier assumed for the cargo
+     * @returns {Promise<Array>} - { cargo, category, availabilityChance, typicalAmount, buyPricePerEP, marketState }
+     */
+    async getExpectedOffers(settlement, season, quality = 'Average') {
+        const props = this.dataManager.getSettlementProperties(settlement);
+        const flags = props.productionCategories || [];
+        const slotPlan = this.pipeline._calculateCargoSlots(props, flags, season);
+        const candidateTable = this.pipeline._buildCandidateTable(props, flags, season);
+        const slotChance = Math.min(((props.sizeNumeric || 1) + (props.wealthRating || 3)) * 10, 100) / 100;
+        const pricingConfig = this.dataManager.tradingConfig?.pricing || {};
+
+        const offers = [];
+        for (const entry of candidateTable.entries) {
+            const selection = { name: entry.name, category: entry.category, cargoData: entry.cargo };
+            const balance = this.pipeline._calculateBalance(selection, props, flags, season);
+            const amount = await this.pipeline._rollCargoAmount(balance, props, season, async () => EXPECTED_ROLL);
+
+            // Chance the cargo turns up in at least one of the settlement's slots
+            const perSlot = slotChance * (entry.probability / 100);
+            const availabilityChance = 1 - Math.pow(1 - perSlot, slotPlan.producerSlots);
+
+            const purchase = this.tradingEngine.purchasePriceCalculator.calculatePurchasePrice(entry.name, 1, { season, quality, settlement });
+            const qualityMultiplier = entry.cargo?.qualityTiers ? 1 : (pricingConfig.qualityMultipliers?.[quality] ?? 1);
+            const marketMultiplier = pricingConfig.desperationPenalties?.[balance.state] ?? 1;
+            const tariffMultiplier = 1 + (purchase.tariffs?.rate || 0);
+
+            offers.push({
+                cargo: entry.name,
+                category: entry.category,
+                availabilityChance,
+                typicalAmount: amount.totalEP,
+                buyPricePerEP: (purchase.finalPricePerUnit * qualityMultiplier * marketMultiplier * tariffMultiplier) / 10,
+                marketState: balance.state
+            });
+        }
+        return offers;
+    }
+
+    /**
+     * Find the settlements reachable from the origin within the travel limit
+     * Uses the route network, falling back to `defaultTravelDays` within the same region
+     * @private
+     */
+    _findDestinations(origin, maxTravelDays) {
+        const config = this.getConfig();
+        const network = typeof this.dataManager.getRouteNetwork === 'function' ? this.dataManager.getRouteNetwork() : null;
+
+        return (this.dataManager.settlements || [])
+            .filter(destination => destination.name !== origin.name)
+            .map(destination => {
+                const path = network ? network.findPath(origin.name, destination.name, 'travelDays') : null;
+                let travelDays = path ? path.travelDays : null;
+                if (travelDays === null && origin.region && origin.region === destination.region) {
+                    travelDays = config.defaultTravelDays;
+                }
+                return { destination, travelDays };
+            })
+            .filter(({ travelDays }) => travelDays !== null && travelDays <= maxTravelDays);
+    }
+
+    _getAffordableQuantity(offer, capacity, budget) {
+        let quantity = Math.min(capacity, offer.typicalAmount);
+        if (budget !== null && offer.buyPricePerEP > 0) {
+            quantity = Math.min(quantity, Math.floor(Number(budget) / offer.buyPricePerEP));
+        }
+        // Cargo trades in lots of 10 EP
+        return Math.floor(quantity / 10) * 10;
+    }
+
+    /**
+     * Price a sale of the offer at a destination
+     * @private
+     */
+    _evaluateSale(origin, offer, quantity, destination, travelDays, season, quality) {
+        const cargoData = (this.dataManager.cargoTypes || []).find(cargo => cargo.name === offer.cargo) || null;
+        const equilibrium = this._getEquilibriumCalculator().calculateEquilibrium(
+            { ...destination, flags: destination.flags || [], wealth: destination.wealth ?? 3 },
+            offer.cargo,
+            { season, cargoData, events: this._getActiveEvents(destination) }
+        );
+        if (equilibrium.state === 'blocked') {
+            return null;
+        }
+
+        const saleMechanics = this.tradingEngine.saleMechanics;
+        const buyerChance = saleMechanics.calculateBuyerAvailabilityChance(destination, offer.cargo) / 100;
+        if (buyerChance <= 0) {
+            return null;
+        }
+
+        const sale = saleMechanics.calculateSalePrice(offer.cargo, quantity, destination, { season, quality, origin });
+        const sellPricePerEP = sale.totalPrice / quantity / 10;
+        const margin = sellPricePerEP - offer.buyPricePerEP;
+        const marginPercent = offer.buyPricePerEP > 0 ? margin / offer.buyPricePerEP : 0;
+        const profit = margin * quantity;
+        const successChance = offer.availabilityChance * buyerChance;
+
+        return {
+            cargo: offer.cargo,
+            category: offer.category,
+            origin: origin.name,
+            destination: destination.name,
+            travelDays,
+            quantity,
+            buyPricePerEP: offer.buyPricePerEP,
+            sellPricePerEP,
+            cost: offer.buyPricePerEP * quantity,
+            revenue: sellPricePerEP * quantity,
+            margin,
+            marginPercent,
+            profit,
+            profitPerDay: travelDays > 0 ? profit / travelDays : profit,
+            availabilityChance: offer.availabilityChance,
+            buyerChance,
+            successChance,
+            expectedProfit: profit * successChance,
+            originMarket: offer.marketState,
+            destinationMarket: equilibrium.state,
+            risk: this._rateRisk(buyerChance, marginPercent, equilibrium.state)
+        };
+    }
+
+    /**
+     * Rate how likely a run is to disappoint: few buyers, a thin margin or a glutted market
+     * @private
+     */
+    _rateRisk(buyerChance, marginPercent, destinationState) {
+        const { risk } = this.getConfig();
+        const buyerPercent = buyerChance * 100;
+
+        if (buyerPercent < risk.riskyBuyerChance || marginPercent < risk.thinMargin || destinationState === 'glut') {
+            return 'high';
+        }
+        if (buyerPercent >= risk.safeBuyerChance && marginPercent >= risk.safeMargin) {
+            return 'low';
+        }
+        return 'medium';
+    }
+
+    _getActiveEvents(settlement) {
+        if (typeof this.dataManager.getActiveEconomicEvents !== 'function') {
+            return [];
+        }
+
+        try {
+            return this.dataManager.getActiveEconomicEvents(settlement);
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesTradePlanner = TradePlanner;
+}
@@ -0,0 +1,657 @@
+/**
+ * Trading Places Module - Trade Transactions
+ * All-or-nothing purchases and sales across history, inventory, currency and the hold
+ */
+
+console.log('Trading Places | Loading trade-transaction.js');
+
+import { TradingClock } from './trading-clock.js';
+import { RecordId } from './record-id.js';
+
+const MODULE_ID = "fvtt-trading-places";
+
+/**
+ * Trade Transaction class for applying a set of changes as one unit
+ *
+ * Each step may have a `prepare` function, an `apply` function and a `rollback` function.
+ * Every step is prepared before any is applied, so a change that cannot be worked out stops
+ * the transaction before anything is touched. Steps are then applied in the order they were
+ * added. If one throws, or returns `{ success: false }` as the SystemAdapter does, the steps
+ * already applied are rolled back in reverse order. `rollback` receives what `prepare` and
+ * `apply` returned. A step that fails is expected to leave nothing of itself behind.
+ */
+export class TradeTransaction {
+    /**
+     * @param {string} name - Transaction name, e.g. 'purchase'
+     * @param {Object} options - { logger }
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.steps = [];
+        this.logger = options.logger || null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * Add a step to the transaction
+     * @param {string} name - Step name, used in the result
+     * @param {Object} handlers - { prepare(), apply(prepared), rollback(prepared, applied) }
+     * @returns {TradeTransaction} - This transaction, for chaining
+     */
+    addStep(name, handlers = {}) {
+        if (typeof handlers.apply !== 'function') {
+            throw new Error(`Transaction step ${name} needs an apply function`);
+        }
+
+        this.steps.push({ name, ...handlers });
+        return this;
+    }
+
+    /**
+     * Prepare and apply every step, rolling back on failure
+     * @returns {Promise<Object>} - { success, name, error, failedStep, rolledBack, steps: [{ name, status, error }], results }
+     *   where status is 'applied', 'failed', 'rolled-back', 'rollback-failed' or 'skipped'
+     */
+    async commit() {
+        const states = this.steps.map(step => ({ step, status: 'skipped', error: null, prepared: undefined, applied: undefined }));
+        const result = { success: false, name: this.name, error: null, failedStep: null, rolledBack: false, steps: [], results: {} };
+
+        const fail = (state, error) => {
+            state.status = 'failed';
+            state.error = error;
+            result.error = error;
+            result.failedStep = state.step.name;
+        };
+
+        for (const state of states) {
+            try {
+                state.prepared = state.step.prepare ? await state.step.prepare() : undefined;
+            } catch (error) {
+                fail(state, error.message);
+                return this._finish(result, states);
+            }
+        }
+
+        const applied = [];
+        for (const state of states) {
+            try {
+                state.applied = await state.step.apply(state.prepared);
+                if (state.applied && state.applied.success === false) {
+                    fail(state, state.applied.error || `${state.step.name} failed`);
+                    break;
+                }
+                state.status = 'applied';
+                applied.push(state);
+            } catch (error) {
+                fail(state, error.message);
+                break;
+            }
+        }
+
+        if (result.failedStep) {
+            await this._rollback(applied);
+            result.rolledBack = applied.length > 0;
+        } else {
+            result.success = true;
+        }
+
+        return this._finish(result, states);
+    }
+
+    /**
+     * Undo applied steps, newest first
+     * A rollback that fails is recorded and the remaining steps are still rolled back
+     * @private
+     */
+    async _rollback(applied) {
+        for (const state of [...applied].reverse()) {
+            try {
+                if (state.step.rollback) {
+                    const undone = await state.step.rollback(state.prepared, state.applied);
+                    if (undone && undone.success === false) {
+                        throw new Error(undone.error || `${state.step.name} could not be undone`);
+                    }
+                }
+                state.status = 'rolled-back';
+            } catch (error) {
+                state.status = 'rollback-failed';
+                state.error = error.message;
+                console.error(`Trading Places | Failed to roll back ${this.name} step ${state.step.name}:`, error);
+            }
+        }
+    }
+
+    _finish(result, states) {
+        result.steps = states.map(state => ({ name: state.step.name, status: state.status, error: state.error }));
+        states.forEach(state => {
+            if (state.applied !== undefined) {
+                result.results[state.step.name] = state.applied;
+            }
+        });
+
+        this.getLogger().logDecision('Trade Transaction', `${this.name} ${result.success ? 'committed' : 'rolled back'}`, {
+            failedStep: result.failedStep,
+            error: result.error,
+            steps: result.steps.map(step => `${step.name}: ${step.status}`)
+        });
+
+        return result;
+    }
+}
+
+/**
+ * Trade Transaction Service class for running purchases and sales as trade transactions
+ *
+ * A purchase or sale has four steps, applied in this order: the history entry is written to
+ * the transactionHistory setting and the DataManager; the cargo item is added to or removed
+ * from the actor; the actor's currency is changed; and the hold is updated in the DataManager,
+ * the currentCargo setting and the saved dataset. The actor steps are left out when there is
+ * no actor. How the hold changes is up to the caller: `updateHold` receives a copy of the hold
+ * while the transaction is prepared and returns the new hold. Amounts are in canonical units (BP).
+ * Reversing a recorded purchase or sale runs the same four steps the other way round.
+ */
+export class TradeTransactionService {
+    /**
+     * @param {Object} dataManager - DataManager instance
+     * @param {Object} systemAdapter - SystemAdapter instance
+     * @param {Object} options - { logger }
+     */
+    constructor(dataManager, systemAdapter, options = {}) {
+        if (!dataManager) {
+            throw new Error('TradeTransactionService requires a DataManager instance');
+        }
+
+        this.dataManager = dataManager;
+        this.systemAdapter = systemAdapter || null;
+        this.logger = options.logger || null;
+    }
+
+    /**
+     * Buy cargo: record it, add the item, pay for it and put it in the hold
+     * @param {Object} params - { transaction, actor, item: { cargoName, quantity, cargoData, purchaseInfo }, cost, updateHold }
+     * @returns {Promise<Object>} - Result of TradeTransaction.commit()
+     */
+    async purchase({ transaction, actor = null, item, cost, updateHold }) {
+        const unit = new TradeTransaction('purchase', { logger: this.logger });
+        this._addHistoryStep(unit, history => [transaction, ...history]);
+
+        if (actor && this.systemAdapter) {
+            const reason = `Purchased ${item.quantity} EP of ${item.cargoName}`;
+            // The hold step is prepared before any step is applied, so the lot is known when the item is made
+            this._addItemStep(unit, actor, item, () => transaction.cargoId);
+            this._addCurrencyStep(unit, actor, -cost, reason);
+        }
+
+        this._addHoldStep(unit, updateHold);
+        return unit.commit();
+    }
+
+    /**
+     * Sell cargo: record it, remove the item, take the proceeds and take it out of the hold
+     * @param {Object} params - { transaction, actor, item: { cargoName, quality, lotId }, quantity, proceeds, updateHold }
+     * @returns {Promise<Object>} - Result of TradeTransaction.commit()
+     */
+    async sale({ transaction, actor = null, item, quantity, proceeds, updateHold }) {
+        const unit = new TradeTransaction('sale', { logger: this.logger });
+        this._addHistoryStep(unit, history => [transaction, ...history]);
+
+        if (actor && this.systemAdapter) {
+            const reason = `Sold ${quantity} EP of ${item.cargoName}`;
+            this._addRemoveItemStep(unit, actor, item, quantity);
+            this._addCurrencyStep(unit, actor, proceeds, reason);
+        }
+
+        this._addHoldStep(unit, updateHold);
+        return unit.commit();
+    }
+
+    /**
+     * Undo a recorded purchase or sale: give back the money, move the cargo back and mark the entry reversed
+     *
+     * The history entry is kept and marked with who reversed it and when. A purchase can only be
+     * reversed while its cargo is still in the hold; a sale puts its cargo back into the lot it came
+     * from, or into a new lot if that one has since been emptied.
+     * @param {Object} params - { index, actor, reversedBy: { id, name } }
+     * @returns {Promise<Object>} - Result of TradeTransaction.commit(), with the reversed entry as `transaction`
+     */
+    async reverse({ index, actor = null, reversedBy = null }) {
+        const history = Array.isArray(this.dataManager.history) ? this.dataManager.history : [];
+        const entry = history[index];
+        if (!entry) {
+            throw new Error(`No transaction at history index ${index}`);
+        }
+        if (entry.reversed) {
+            throw new Error('Transaction has already been reversed');
+        }
+
+        const unit = new TradeTransaction('reverse', { logger: this.logger });
+        const stamp = TradingClock.stamp();
+        const reversal = {
+            ...entry,
+            reversed: true,
+            reversedBy: reversedBy?.name || null,
+            reversedByUserId: reversedBy?.id || null,
+            reversedAt: stamp.date,
+            reversedWorldTime: stamp.worldTime
+        };
+
+        this._addHistoryStep(unit, current => {
+            const next = [...current];
+            next[index] = reversal;
+            return next;
+        });
+
+        if (actor && this.systemAdapter) {
+            const reason = `Reversed ${entry.isSale ? 'sale' : 'purchase'} of ${entry.quantity} EP of ${entry.cargo}`;
+            if (entry.isSale) {
+                this._addItemStep(unit, actor, {
+                    cargoName: entry.cargo,
+                    quantity: entry.quantity,
+                    cargoData: (this.dataManager.cargoTypes || []).find(cargo => cargo.name === entry.cargo) || { name: entry.cargo, category: entry.category },
+                    purchaseInfo: { quality: entry.quality || 'average', season: entry.season, settlement: entry.settlement, contraband: entry.contraband === true }
+                }, () => entry.cargoId);
+                this._addCurrencyStep(unit, actor, -entry.totalCost, reason);
+            } else {
+                // The item was created with the real quality, whatever the merchant claimed
+                this._addRemoveItemStep(unit, actor, { cargoName: entry.cargo, quality: entry.actualTier || entry.quality, lotId: entry.cargoId }, entry.quantity);
+                this._addCurrencyStep(unit, actor, entry.totalCost, reason);
+            }
+        }
+
+        this._addHoldStep(unit, hold => this._reverseInHold(hold, entry, history));
+        const result = await unit.commit();
+        result.transaction = reversal;
+        return result;
+    }
+
+    /**
+     * Replace the history with `change(history)`, e.g. a new entry at the front
+     * @private
+     */
+    _addHistoryStep(unit, change) {
+        unit.addStep('history', {
+            prepare: async () => ({
+                history: Array.isArray(this.dataManager.history) ? this.dataManager.history : [],
+                setting: await this._getSetting('transactionHistory')
+            }),
+            apply: async before => {
+                const history = change(before.history);
+                this.dataManager.history = history;
+                try {
+                    await this._setSetting('transactionHistory', history);
+                } catch (error) {
+                    this.dataManager.history = before.history;
+                    throw error;
+                }
+                return { history };
+            },
+            rollback: async before => {
+                this.dataManager.history = before.history;
+                await this._setSetting('transactionHistory', before.setting);
+                // The hold step may have saved the dataset with the new entry before failing
+                await this.dataManager.saveCurrentDataset();
+            }
+        });
+    }
+
+    /**
+     * Create a cargo item on the actor, flagged with the lot `getLotId()` returns when the step is applied
+     * @private
+     */
+    _addItemStep(unit, actor, item, getLotId = () => null) {
+        unit.addStep('inventory', {
+            apply: () => this.systemAdapter.addCargoToInventory(actor, item.cargoName, item.quantity, item.cargoData, {
+                ...item.purchaseInfo,
+                lotId: getLotId() || item.purchaseInfo?.lotId || null
+            }),
+            rollback: (prepared, added) => (added?.merged
+                ? this._restoreMergedItem(actor, added)
+                : this.systemAdapter.removeCargoFromInventory(actor, added.itemId))
+        });
+    }
+
+    /**
+     * Put an item that more of its lot was added to back as it was
+     * @private
+     */
+    async _restoreMergedItem(actor, added) {
+        const item = actor.items?.get(added.itemId);
+        if (item) {
+            await item.update({
+                'system.quantity.value': added.previous.quantity,
+                [`flags.${MODULE_ID}.cargo`]: added.previous.flags
+            });
+        }
+    }
+
+    /**
+     * Take cargo off the actor's matching item, if the actor has one
+     * @private
+     */
+    _addRemoveItemStep(unit, actor, item, quantity) {
+        unit.addStep('inventory', {
+            prepare: () => {
+                // The lot's own item first, then any item of the cargo and quality (bought before items were flagged)
+                const [match] = [
+                    ...(item.lotId ? this.systemAdapter.findCargoInInventory(actor, item.cargoName, { lotId: item.lotId }) : []),
+                    ...this.systemAdapter.findCargoInInventory(actor, item.cargoName, { quality: item.quality })
+                ];
+                if (!match) {
+                    return null;
+                }
+                return {
+                    itemId: match.id,
+                    quantity: match.system?.quantity?.value ?? null,
+                    data: typeof match.toObject === 'function' ? match.toObject() : null
+                };
+            },
+            apply: before => (before ? this.systemAdapter.removeCargoFromInventory(actor, before.itemId, quantity) : null),
+            rollback: (before, removed) => this._restoreItem(actor, before, removed)
+        });
+    }
+
+    /**
+     * Pay the actor a positive amount, or charge them a negative one (in BP)
+     * @private
+     */
+    _addCurrencyStep(unit, actor, amount, reason) {
+        const gold = this.systemAdapter.toPrimaryDenomination(Math.abs(amount));
+        const [give, take] = amount >= 0
+            ? [() => this.systemAdapter.addCurrency(actor, gold, reason), () => this.systemAdapter.deductCurrency(actor, gold, `Rollback: ${reason}`)]
+            : [() => this.systemAdapter.deductCurrency(actor, gold, reason), () => this.systemAdapter.addCurrency(actor, gold, `Rollback: ${reason}`)];
+
+        unit.addStep('currency', { apply: give, rollback: take });
+    }
+
+    /**
+     * Replace the hold with the caller's updated copy and save the dataset
+     * @private
+     */
+    _addHoldStep(unit, updateHold) {
+        unit.addStep('hold', {
+            prepare: async () => {
+                const cargo = Array.isArray(this.dataManager.cargo) ? this.dataManager.cargo : [];
+                const copy = JSON.parse(JSON.stringify(cargo));
+                return {
+                    cargo,
+                    setting: await this._getSetting('currentCargo'),
+                    next: typeof updateHold === 'function' ? await updateHold(copy) : copy
+                };
+            },
+            apply: async before => {
+                this.dataManager.cargo = before.next;
+                try {
+                    await this._setSetting('currentCargo', before.next);
+                    await this.dataManager.saveCurrentDataset();
+                } catch (error) {
+                    await this._restoreHold(before);
+                    throw error;
+                }
+                return { cargo: before.next };
+            },
+            rollback: before => this._restoreHold(before)
+        });
+    }
+
+    async _restoreHold(before) {
+        this.dataManager.cargo = before.cargo;
+        await this._setSetting('currentCargo', before.setting);
+        await this.dataManager.saveCurrentDataset();
+    }
+
+    /**
+     * Undo a history entry's change to the hold
+     * @param {Array} hold - Copy of the hold (changed in place)
+     * @param {Object} entry - Purchase or sale being reversed
+     * @param {Array} history - Transaction history, used to find where sold cargo was bought
+     * @returns {Array} - The updated hold
+     * @private
+     */
+    _reverseInHold(hold, entry, history) {
+        const quality = entry.quality || 'Average';
+        const index = [
+            lot => entry.cargoId && lot.id === entry.cargoId,
+            lot => lot.cargo === entry.cargo && (lot.quality || 'Average') === quality && (entry.isSale || lot.settlement === entry.settlement),
+            lot => lot.cargo === entry.cargo
+        ].reduce((found, matches) => (found !== -1 ? found : hold.findIndex(matches)), -1);
+
+        if (!entry.isSale) {
+            const lot = hold[index];
+            if (!lot) {
+                throw new Error(`${entry.cargo} is no longer in the hold`);
+            }
+            if (lot.quantity < entry.quantity) {
+                throw new Error(`Only ${lot.quantity} EP of ${entry.cargo} is left in the hold`);
+            }
+
+            if (lot.quantity === entry.quantity) {
+                hold.splice(index, 1);
+            } else {
+                lot.quantity -= entry.quantity;
+                lot.totalCost = Math.max(0, (lot.totalCost || 0) - (entry.totalCost || 0));
+                lot.tariff = Math.max(0, (lot.tariff || 0) - (entry.tariff || 0));
+                lot.pricePerEP = lot.totalCost / lot.quantity;
+                // Formatted prices are worked out again when the hold is shown
+                ['formattedPricePerEP', 'formattedTotalCost', 'pricePerEPCanonical', 'totalCostCanonical'].forEach(field => delete lot[field]);
+            }
+            return hold;
+        }
+
+        if (index !== -1) {
+            hold[index].quantity += entry.quantity;
+            return hold;
+        }
+
+        // The lot was sold out; rebuild it from its purchase where there is one
+        const bought = entry.cargoId ? history.find(record => !record.isSale && record.cargoId === entry.cargoId) : null;
+        const pricePerEP = bought && bought.quantity > 0 ? bought.totalCost / bought.quantity : 0;
+        hold.push({
+            id: entry.cargoId || RecordId.generate('cargo'),
+            cargo: entry.cargo,
+            category: entry.category,
+            quantity: entry.quantity,
+            pricePerEP,
+            totalCost: pricePerEP * entry.quantity,
+            settlement: bought?.settlement || null,
+            season: bought?.season || entry.season,
+            date: bought?.date || entry.date,
+            worldTime: bought?.worldTime ?? entry.worldTime,
+            contraband: entry.contraband || false,
+            merchant: bought?.merchant || 'Unknown Merchant',
+            quality,
+            actualTier: bought?.actualTier || quality,
+            merchantQuality: bought?.merchantQuality,
+            dishonest: bought?.dishonest || false,
+            system: bought?.system
+        });
+        return hold;
+    }
+
+    /**
+     * Put back a cargo item that a sale removed or reduced
+     * @private
+     */
+    async _restoreItem(actor, before, removed) {
+        if (!before || !removed) {
+            return;
+        }
+
+        if (removed.itemRemoved) {
+            if (!before.data) {
+                throw new Error(`Cannot restore removed item ${before.itemId}`);
+            }
+            const method = this.systemAdapter.config?.inventory?.method || 'createEmbeddedDocuments';
+            await actor[method]('Item', [before.data]);
+            return;
+        }
+
+        const item = actor.items?.get(before.itemId);
+        if (item && before.quantity !== null) {
+            await item.update({ 'system.quantity.value': before.quantity });
+        }
+    }
+
+    /**
+     * Read this dataset's entry of a per-dataset setting
+     * @private
+     */
+    async _getSetting(key) {
+        if (typeof game === 'undefined' || !game.settings) {
+            return undefined;
+        }
+
+        const allData = await game.settings.get(MODULE_ID, key) || {};
+        return allData[this._datasetId()];
+    }
+
+    /**
+     * Write this dataset's entry of a per-dataset setting
+     * @private
+     */
+    async _setSetting(key, value) {
+        if (typeof game === 'undefined' || !game.settings) {
+            return;
+        }
+
+        const allData = { ...(await game.settings.get(MODULE_ID, key) || {}) };
+        if (value === undefined) {
+            delete allData[this._datasetId()];
+        } else {
+            allData[this._datasetId()] = value;
+        }
+        await game.settings.set(MODULE_ID, key, allData);
+    }
+
+    _datasetId() {
+        return this.dataManager.activeDatasetName || 'default';
+    }
+
+    /**
+     * Put purchased cargo into the hold, combining it with a matching lot when there is one
+     * @param {Array} hold - Cargo in the hold (changed in place)
+     * @param {Object} transaction - Purchase transaction; its cargoId is set to the lot's id
+     * @returns {Array} - The updated hold
+     */
+    static mergeIntoHold(hold, transaction) {
+        // Only lots bought at the same place and time with the same quality attributes are combined,
+        // and never with a lot left in a warehouse
+        const existing = hold.find(cargo =>
+            cargo.storage !== 'warehouse' &&
+            cargo.cargo === transaction.cargo &&
+            cargo.category === transaction.category &&
+            cargo.settlement === transaction.settlement &&
+            cargo.season === transaction.season &&
+            cargo.contraband === transaction.contraband &&
+            (cargo.quality || 'Average') === (transaction.quality || 'Average') &&
+            (cargo.merchantQuality || null) === (transaction.merchantQuality || null) &&
+            (cargo.dishonest || false) === (transaction.dishonest || false)
+        );
+
+        if (existing) {
+            existing.quantity += transaction.quantity;
+            existing.totalCost += transaction.totalCost;
+            existing.tariff = (existing.tariff || 0) + (transaction.tariff || 0);
+            existing.pricePerEP = existing.totalCost / existing.quantity;
+            existing.date = transaction.date; // Latest purchase date
+            existing.worldTime = transaction.worldTime;
+            existing.merchant = transaction.merchant || existing.merchant || 'Unknown Merchant';
+            existing.actualTier = transaction.actualTier || existing.actualTier;
+            // Formatted prices are worked out again when the hold is shown
+            ['formattedPricePerEP', 'formattedTotalCost', 'pricePerEPCanonical', 'totalCostCanonical'].forEach(field => delete existing[field]);
+            // Lot id pairs the purchase with its later sales in the profit report
+            transaction.cargoId = existing.id || null;
+            return hold;
+        }
+
+        const lot = {
+            id: RecordId.generate('cargo'),
+            cargo: transaction.cargo,
+            category: transaction.category,
+            quantity: transaction.quantity,
+            pricePerEP: transaction.pricePerEP,
+            totalCost: transaction.totalCost,
+            tariff: transaction.tariff || 0,
+            settlement: transaction.settlement,
+            season: transaction.season,
+            date: transaction.date,
+            worldTime: transaction.worldTime,
+            contraband: transaction.contraband || false,
+            merchant: transaction.merchant || 'Unknown Merchant',
+            quality: transaction.quality,
+            actualTier: transaction.actualTier,
+            merchantQuality: transaction.merchantQuality,
+            dishonest: transaction.dishonest,
+            system: transaction.system,
+            formattedPricePerEP: transaction.formattedPricePerEP,
+            formattedTotalCost: transaction.formattedTotalCost,
+            pricePerEPCanonical: transaction.pricePerEPCanonical,
+            totalCostCanonical: transaction.totalCostCanonical
+        };
+        hold.push(lot);
+        transaction.cargoId = lot.id;
+        return hold;
+    }
+
+    /**
+     * Run one of the recorders that follow a trade (market ledger, price history, reputation, merchant roster,
+     * delivery contracts). The trade itself has already been saved, so a recorder that fails is only logged.
+     * @param {Function} record - Async recorder
+     * @param {Function} logError - Called with the error when the recorder fails
+     * @returns {Promise<*>} - The recorder's result, or undefined when it failed
+     */
+    static async recordSafely(record, logError) {
+        try {
+            return await record();
+        } catch (error) {
+            logError(error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Take sold cargo out of the hold
+     * Matches the lot by id, then by cargo name and quality, then by cargo name
+     * @param {Array} hold - Cargo in the hold (changed in place)
+     * @param {Object} soldCargo - The hold entry that was sold
+     * @param {number} quantity - EP sold
+     * @returns {Array} - The updated hold
+     */
+    static removeFromHold(hold, soldCargo, quantity) {
+        const index = [
+            cargo => soldCargo.id && cargo.id === soldCargo.id,
+            cargo => cargo.cargo === soldCargo.cargo && cargo.quality === soldCargo.quality,
+            cargo => cargo.cargo === soldCargo.cargo
+        ].reduce((found, matches) => (found !== -1 ? found : hold.findIndex(matches)), -1);
+
+        if (index === -1) {
+            console.warn('Trading Places | Could not find the sold cargo in the hold', soldCargo);
+        } else if (hold[index].quantity <= quantity) {
+            hold.splice(index, 1);
+        } else {
+            hold[index].quantity -= quantity;
+        }
+
+        return hold;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesTradeTransaction = TradeTransaction;
+    window.TradingPlacesTradeTransactionService = TradeTransactionService;
+}
@@ -13,6 +13,8 @@ import {
     formatCanonicalValue,
     convertDenominationToCanonical
 } from './currency-display.js';
+import { TradingClock, SECONDS_PER_DAY } from './trading-clock.js';
+import { WarehouseStorage } from './warehouse-storage.js';
 
 /**
  * Trading Places Module - V2 Application Framework
@@ -98,6 +100,7 @@ class TradingPlacesApplication extends foundry.applications.api.HandlebarsApplic
         this.selectedSettlement = null;
         this.selectedCargo = null;
         this.selectedResource = null;
+        this.selectedSellingCargoId = null; // Hold lot the selling tab looks for buyers of
         this.availableCargo = [];
         this.successfulCargo = [];
         this.transactionHistory = [];
@@ -330,6 +333,11 @@ class TradingPlacesApplication extends foundry.applications.api.HandlebarsApplic
                     normalized.formattedTotalCost = this._formatCurrencyFromDenomination(normalized.totalCost);
                 }
             }
+
+            const tariff = this._coerceNumber(normalized.tariff);
+            if (typeof normalized.formattedTariff !== 'string' && tariff) {
+                normalized.formattedTariff = this._formatCurrencyFromDenomination(tariff);
+            }
         }
 
         return normalized;
@@ -348,6 +356,9 @@ class TradingPlacesApplication extends foundry.applications.api.HandlebarsApplic
             return [];
         }
 
+        const spoilage = typeof this.dataManager?.getCargoSpoilage === 'function' ? this.dataManager.getCargoSpoilage() : null;
+        const now = TradingClock.now();
+
         return cargoList.map(cargo => {
             const prepared = this._prepareCurrencyRecord(cargo, { deriveTotalFromQuantity: true });
             if (!prepared || typeof prepared !== 'object') return prepared;
@@ -361,10 +372,61 @@ class TradingPlacesApplication extends foundry.applications.api.HandlebarsApplic
             const qualityStr = typeof rawQuality === 'object' ? (rawQuality.tier || 'Average') : String(rawQuality);
             prepared.quality = qualityStr.charAt(0).toUpperCase() + qualityStr.slice(1);
 
+            // Warn before perishable goods lose quality or quantity
+            const status = spoilage ? spoilage.getStatus(cargo, now) : null;
+            if (status?.warning) {
+                const days = Math.max(1, Math.ceil(status.daysUntilDecay));
+                prepared.spoilageWarning = `${status.decaying ? 'Spoiling' : 'Spoils'} within ${days} day${days === 1 ? '' : 's'}`;
+            }
+
             return prepared;
         });
     }
 
+    /**
+     * Build the vessel choices for the cargo tab
+     * @returns {Array} Vessels with an `active` flag, empty when the party has none
+     * @private
+     */
+    _prepareVesselList() {
+        if (typeof this.dataManager?.getVesselFleet !== 'function') {
+            return [];
+        }
+
+        const fleet = this.dataManager.getVesselFleet();
+        return fleet.getVessels().map(vessel => ({
+            id: vessel.id,
+            name: vessel.name,
+            type: vessel.type,
+            capacity: vessel.capacity,
+            condition: vessel.condition,
+            active: vessel.id === fleet.activeVesselId
+        }));
+    }
+
+    /**
+     * Build the cargo tab's list of warehouses and the cargo stored in each
+     * @returns {Array} - [{ id, settlement, weeklyFee, paidUntil, here, cargo }]
+     * @private
+     */
+    _prepareWarehouseList() {
+        if (typeof this.dataManager?.getWarehouseStorage !== 'function') {
+            return [];
+        }
+
+        const storage = this.dataManager.getWarehouseStorage();
+        const hold = this.dataManager.cargo || [];
+        const context = resolveCurrencyContext(this.dataManager);
+        return storage.getWarehouses().map(warehouse => ({
+            id: warehouse.id,
+            settlement: warehouse.settlement,
+            weeklyFee: formatCanonicalValue(warehouse.weeklyFee, context, { defaultText: `${warehouse.weeklyFee} BP` }),
+            paidUntil: TradingClock.format(warehouse.feesPaidUntil),
+            here: warehouse.settlement === this.selectedSettlement?.name,
+            cargo: this._prepareCurrentCargoList(storage.getStoredLots(hold, warehouse.id))
+        }));
+    }
+
     /**
      * Initialize cargo availability pipeline asynchronously
      * @private
@@ -532,6 +594,7 @@ class TradingPlacesApplication extends foundry.applications.api.HandlebarsApplic
 
         // Add trading-specific data for templates
         context.currentSeason = this.getCurrentSeason();
+        context.seasonFromCalendar = !!this.tradingEngine?.seasonFollowsCalendar;
         context.selectedSettlement = this.selectedSettlement;
         context.selectedRegion = this.selectedRegion || '';
         context.activeTab = this.activeTab;
@@ -550,7 +613,16 @@ class TradingPlacesApplication extends foundry.applications.api.HandlebarsApplic
         
         // Also update the app instance with the loaded data
         this.currentCargo = context.currentCargo;
-        context.cargoCapacity = await game.settings.get(MODULE_ID, "cargoCapacity") || 400;
+        if (this.selectedSellingCargoId && !context.currentCargo.some(cargo => cargo.id === this.selectedSellingCargoId)) {
+            // The selected lot has been sold or spoiled away
+            this.selectedSellingCargoId = null;
+        }
+        context.selectedSellingCargoId = this.selectedSellingCargoId;
+        context.cargoCapacity = typeof this.dataManager?.getCargoCapacity === 'function'
+            ? this.dataManager.getCargoCapacity()
+            : await game.settings.get(MODULE_ID, "cargoCapacity") || 400;
+        context.vessels = this._prepareVesselList();
+        context.warehouses = this._prepareWarehouseList();
         context.currentLoad = this._calculateCurrentLoad(context.currentCargo);
         context.capacityPercentage = Math.min((context.currentLoad / context.cargoCapacity) * 100, 100);
         context.isOverCapacity = context.currentLoad > context.cargoCapacity;
@@ -621,6 +693,12 @@ class TradingPlacesApplication extends foundry.applications.api.HandlebarsApplic
         context.chatVisibility = game.settings.get(MODULE_ID, "chatVisibility");
         context.isGM = game.user.isGM;
 
+        // Trades waiting for the GM: the whole queue for the GM, a player's own requests otherwise
+        const tradeRequests = typeof this.dataManager?.getTradeRequests === 'function' ? this.dataManager.getTradeRequests() : null;
+        context.pendingTradeRequests = tradeRequests
+            ? (context.isGM ? tradeRequests.getPending() : tradeRequests.getPendingForUser(game.user.id))
+            : [];
+
         // Add ALL cargo types for selling (not just settlement sources)
     const allCargoTypes = this.dataManager ? this.dataManager.getCargoTypes() : [];
     context.allCargoTypes = allCargoTypes;
@@ -644,12 +722,13 @@ class TradingPlacesApplication extends foundry.applications.api.HandlebarsApplic
 
     /**
      * Get current cargo data for the cargo tab
+     * Cargo left in a warehouse is not aboard, so it is left out
      * @returns {Array} Current cargo array with formatted data
      * @private
      */
     async _getCurrentCargoData() {
         try {
-            const currentCargo = this.dataManager?.cargo || [];
+            const currentCargo = WarehouseStorage.aboard(this.dataManager?.cargo || []);
             const processedCargo = this._prepareCurrentCargoList(currentCargo);
             return processedCargo;
         } catch (error) {
@@ -956,14 +1035,15 @@ class TradingPlacesApplication extends foundry.applications.api.HandlebarsApplic
     }
 
     /**
-     * Save cargo availability data to game settings
+     * Save cargo availability data to game settings, and share it with the players' market view
+     * Arguments left out are taken from the window's current cargo
      * @param {Array} availableCargo - Available cargo array
      * @param {Array} successfulCargo - Successful cargo array
      * @param {Object} pipelineResult - Pipeline result data
      * @param {Object} availabilityResult - Availability check result
      * @private
      */
-    async _saveCargoAvailability(availableCargo, successfulCargo, pipelineResult, availabilityResult) {
+    async _saveCargoAvailability(availableCargo = this.availableCargo, successfulCargo = this.successfulCargo, pipelineResult = this.lastPipelineResult, availabilityResult = this.lastAvailabilityResult) {
         try {
         if (!this.selectedSettlement || !this.currentSeason) {
             return;
@@ -971,7 +1051,7 @@ class TradingPlacesApplication extends foundry.applications.api.HandlebarsApplic
             const cargoData = {
                 settlement: this.selectedSettlement.name,
             season: this.currentSeason,
-            timestamp: Date.now(),
+            worldTime: TradingClock.now(),
             availableCargo: availableCargo,
             successfulCargo: successfulCargo,
             pipelineResult: pipelineResult,
@@ -987,6 +1067,13 @@ class TradingPlacesApplication extends foundry.applications.api.HandlebarsApplic
 
             await game.settings.set(MODULE_ID, "cargoAvailabilityData", allCargoData);
 
+            // Players' market views follow the GM's market
+            if (game.user?.isGM) {
+                window.TradingPlaces?.getMarketBroadcast?.()?.publish(cargoData, {
+                    hideContraband: game.settings.get(MODULE_ID, "hideContrabandStatus") === true
+                });
+            }
+
             this._logDebug('Cargo Persistence', 'Cargo availability data saved', {
                 dataset: datasetId,
                 settlement: this.selectedSettlement.name,
@@ -1025,9 +1112,10 @@ class TradingPlacesApplication extends foundry.applications.api.HandlebarsApplic
         if (cargoData.settlement !== this.selectedSettlement.name ||
             cargoData.season !== this.currentSeason) {
             return null;
-        }        // Check if data is not too old (optional - could be configurable)
-        const maxAge = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-        if (Date.now() - cargoData.timestamp > maxAge) {
+        }        // Check if data is not too old (one in-game day). Data saved before the world
+        // clock was used, or after it was rewound, is treated as stale.
+        const age = TradingClock.now() - cargoData.worldTime;
+        if (typeof cargoData.worldTime !== 'number' || age < 0 || age > SECONDS_PER_DAY) {
             // Don't delete old data, just ignore it
             return null;
         }            this._logDebug('Cargo Persistence', 'Cargo availability data loaded', {
@@ -1035,7 +1123,7 @@ class TradingPlacesApplication extends foundry.applications.api.HandlebarsApplic
                 settlement: cargoData.settlement,
                 season: cargoData.season,
                 cargoCount: cargoData.successfulCargo?.length || 0,
-                age: Math.round((Date.now() - cargoData.timestamp) / 1000 / 60) + ' minutes'
+                age: Math.round(age / 60) + ' minutes'
             });
 
             return cargoData;
@@ -0,0 +1,178 @@
+/**
+ * Trading Places Module - Trading Clock
+ * In-game time source for purchase dates, sale restrictions, market expiry and history
+ */
+
+console.log('Trading Places | Loading trading-clock.js');
+
+export const SECONDS_PER_HOUR = 60 * 60;
+export const SECONDS_PER_DAY = 24 * SECONDS_PER_HOUR;
+
+// Used when Foundry's world clock is not available (headless harness, unit tests)
+let fallbackWorldTime = 0;
+
+/**
+ * Trading Clock class for reading and formatting world time
+ *
+ * All trading timestamps are Foundry world time in seconds (`game.time.worldTime`), so a
+ * week of in-game travel is a week for the markets no matter how quickly it is played.
+ */
+export class TradingClock {
+    /**
+     * Check whether Foundry's world clock is available
+     * @returns {boolean} - True if game.time.worldTime can be read
+     */
+    static isWorldTimeAvailable() {
+        return typeof game !== 'undefined' && typeof game?.time?.worldTime === 'number';
+    }
+
+    /**
+     * Get the current world time
+     * @returns {number} - World time in seconds
+     */
+    static now() {
+        return TradingClock.isWorldTimeAvailable() ? game.time.worldTime : fallbackWorldTime;
+    }
+
+    /**
+     * Advance the clock, using Foundry's world clock when available
+     * @param {number} seconds - Seconds to advance
+     * @returns {Promise<number>} - New world time in seconds
+     */
+    static async advance(seconds) {
+        const delta = Number(seconds);
+        if (!Number.isFinite(delta)) {
+            throw new Error('Time advance must be a number of seconds');
+        }
+
+        if (TradingClock.isWorldTimeAvailable() && typeof game.time.advance === 'function') {
+            await game.time.advance(delta);
+        } else {
+            fallbackWorldTime += delta;
+        }
+
+        return TradingClock.now();
+    }
+
+    /**
+     * Set the fallback clock used when Foundry's world clock is not available
+     * @param {number} seconds - World time in seconds
+     */
+    static setFallbackTime(seconds) {
+        fallbackWorldTime = Number(seconds) || 0;
+    }
+
+    /**
+     * Calculate whole and fractional in-game days between two world times
+     * @param {number} from - Earlier world time in seconds
+     * @param {number} to - Later world time in seconds (defaults to now)
+     * @returns {number} - Elapsed days (never negative)
+     */
+    static elapsedDays(from, to = TradingClock.now()) {
+        return Math.max(0, (to - from) / SECONDS_PER_DAY);
+    }
+
+    /**
+     * Format a world time for display using the calendar in use
+     * Prefers Simple Calendar, then Foundry's core calendar, then a plain day count
+     * @param {number} worldTime - World time in seconds (defaults to now)
+     * @returns {string} - Formatted date
+     */
+    static format(worldTime = TradingClock.now()) {
+        if (typeof worldTime !== 'number' || !Number.isFinite(worldTime)) {
+            return 'Unknown';
+        }
+
+        try {
+            const simpleCalendar = globalThis.SimpleCalendar?.api;
+            if (simpleCalendar && typeof simpleCalendar.formatTimestamp === 'function') {
+                const formatted = simpleCalendar.formatTimestamp(worldTime);
+                if (formatted?.date) {
+                    return formatted.time ? `${formatted.date} ${formatted.time}` : formatted.date;
+                }
+            }
+
+            const calendar = typeof game !== 'undefined' ? game?.time?.calendar : null;
+            if (calendar && typeof calendar.format === 'function') {
+                const formatted = calendar.format(worldTime);
+                if (typeof formatted === 'string' && formatted) {
+                    return formatted;
+                }
+            }
+        } catch (error) {
+            console.warn('Trading Places | Calendar formatting failed, using day count:', error.message);
+        }
+
+        return TradingClock.formatDayCount(worldTime);
+    }
+
+    /**
+     * Get the calendar month of a world time
+     * Prefers Simple Calendar, then Foundry's core calendar
+     * @param {number} worldTime - World time in seconds (defaults to now)
+     * @returns {Object|null} - { month, monthName } with a 1-based month, or null when no calendar is available
+     */
+    static getCalendarMonth(worldTime = TradingClock.now()) {
+        if (typeof worldTime !== 'number' || !Number.isFinite(worldTime)) {
+            return null;
+        }
+
+        try {
+            const simpleCalendar = globalThis.SimpleCalendar?.api;
+            if (simpleCalendar && typeof simpleCalendar.timestampToDate === 'function') {
+                const date = simpleCalendar.timestampToDate(worldTime);
+                if (date && Number.isInteger(date.month)) {
+                    return { month: date.month + 1, monthName: date.display?.monthName || null };
+                }
+            }
+
+            const calendar = typeof game !== 'undefined' ? game?.time?.calendar : null;
+            if (calendar && typeof calendar.timeToComponents === 'function') {
+                const components = calendar.timeToComponents(worldTime);
+                if (components && Number.isInteger(components.month)) {
+                    const monthName = calendar.months?.values?.[components.month]?.name || null;
+                    return {
+                        month: components.month + 1,
+                        monthName: monthName && game.i18n?.localize ? game.i18n.localize(monthName) : monthName
+                    };
+                }
+            }
+        } catch (error) {
+            console.warn('Trading Places | Calendar month lookup failed:', error.message);
+        }
+
+        return null;
+    }
+
+    /**
+     * Format a world time as a day count with time of day (calendar-independent)
+     * @param {number} worldTime - World time in seconds
+     * @returns {string} - e.g. "Day 8, 14:30"
+     */
+    static formatDayCount(worldTime) {
+        const totalSeconds = Math.max(0, Math.floor(worldTime));
+        const day = Math.floor(totalSeconds / SECONDS_PER_DAY) + 1;
+        const secondsOfDay = totalSeconds % SECONDS_PER_DAY;
+        const hours = Math.floor(secondsOfDay / SECONDS_PER_HOUR).toString().padStart(2, '0');
+        const minutes = Math.floor((secondsOfDay % SECONDS_PER_HOUR) / 60).toString().padStart(2, '0');
+
+        return `Day ${day}, ${hours}:${minutes}`;
+    }
+
+    /**
+     * Build the timestamp fields stored on transactions and cargo
+     * @param {number} worldTime - World time in seconds (defaults to now)
+     * @returns {Object} - { worldTime, date } where date is the formatted calendar date
+     */
+    static stamp(worldTime = TradingClock.now()) {
+        return {
+            worldTime,
+            date: TradingClock.format(worldTime)
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesClock = TradingClock;
+}
@@ -2,6 +2,7 @@ console.log('Trading Places | Loading trading-engine.js');
 
 import { PurchasePriceCalculator } from './purchase-price-calculator.js';
 import { SaleMechanics } from './sale-mechanics.js';
+import { TradingClock } from './trading-clock.js';
 
 const MODULE_ID = "fvtt-trading-places";
 
@@ -42,6 +43,7 @@ class TradingEngine {
 
         this.dataManager = dataManager;
         this.currentSeason = options.currentSeason || null;
+        this.seasonFollowsCalendar = options.seasonFollowsCalendar === true;
         this.logger = options.logger || null; // Will be set by integration
 
         this.pipeline = options.pipeline || null;
@@ -237,6 +239,66 @@ class TradingEngine {
         return persistSeason();
     }
 
+    /**
+     * Enable or disable deriving the season from the in-game calendar
+     * @param {boolean} enabled - True to follow world time
+     */
+    setSeasonFollowsCalendar(enabled) {
+        this.seasonFollowsCalendar = enabled === true;
+    }
+
+    /**
+     * Look up the season for a world time in the dataset's month-to-season table
+     * Month names are matched first (case-insensitive), then 1-based month numbers
+     * @param {number} worldTime - World time in seconds (defaults to now)
+     * @returns {string|null} - Season, or null when no calendar or table entry is available
+     */
+    getSeasonForWorldTime(worldTime = TradingClock.now()) {
+        const table = this.dataManager?.tradingConfig?.seasonCalendar;
+        if (!table) {
+            return null;
+        }
+
+        const date = TradingClock.getCalendarMonth(worldTime);
+        if (!date) {
+            return null;
+        }
+
+        const monthName = date.monthName ? date.monthName.toLowerCase() : null;
+        const namedEntry = Object.entries(table.months || {})
+            .find(([name]) => name.toLowerCase() === monthName);
+        const season = namedEntry ? namedEntry[1] : table.monthNumbers?.[date.month];
+
+        if (!season) {
+            this.getLogger().logSystem('Season Change', `No season mapped for calendar month ${date.monthName || date.month}`, date);
+            return null;
+        }
+
+        return this._normalizeSeason(season);
+    }
+
+    /**
+     * Update the season from world time when following the calendar
+     * Changing the season clears cached availability plans and persists the new season,
+     * which fires the `fvtt-trading-places.seasonChanged` hook
+     * @param {number} worldTime - World time in seconds (defaults to now)
+     * @param {Object} options - Options passed to setCurrentSeason
+     * @returns {Promise<string|null>} - Calendar season, or null when not following the calendar
+     */
+    async syncSeasonWithCalendar(worldTime = TradingClock.now(), options = {}) {
+        if (!this.seasonFollowsCalendar) {
+            return null;
+        }
+
+        const season = this.getSeasonForWorldTime(worldTime);
+        if (!season || season === this.currentSeason) {
+            return season;
+        }
+
+        await this.setCurrentSeason(season, options);
+        return season;
+    }
+
     /**
      * Get the current trading season
      * @returns {string|null} - Current season or null if not set
@@ -1220,7 +1282,7 @@ class TradingEngine {
      * @param {Object} cargo - Cargo object with purchase information
      * @param {Object} currentSettlement - Settlement where attempting to sell
      * @param {Object} purchaseData - Original purchase data
-     * @param {number} currentTime - Current game time (optional, for time restrictions)
+     * @param {number} currentTime - Current world time in seconds (optional, for time restrictions)
      * @returns {Object} - Sale eligibility result
      */
     checkSaleEligibility(cargo, currentSettlement, purchaseData, currentTime = null) {
@@ -1343,7 +1405,7 @@ class TradingEngine {
     }
 
     /**
-     * Process rumor-based premium sale
+     * Process rumor-based premium sale (premium only paid for true, active rumors)
      * @param {string} cargoName - Name of the cargo type
      * @param {number} quantity - Quantity to sell
      * @param {Object} settlement - Settlement where selling
@@ -1358,37 +1420,51 @@ class TradingEngine {
         return this.saleMechanics.processRumorSale(cargoName, quantity, settlement, rumorData, options);
     }
 
+    /**
+     * Get the premium a buyer pays on a rumor (only for true, active rumors on the board)
+     * @param {string} rumorId - Rumor board id
+     * @param {string} cargoName - Name of the cargo being sold
+     * @param {Object} settlement - Settlement where selling
+     * @returns {Object} - { payable, reason, multiplier }
+     */
+    getRumorPremium(rumorId, cargoName, settlement) {
+        return this.saleMechanics.getRumorPremium(rumorId, cargoName, settlement);
+    }
+
     /**
      * Check for available rumors at settlement
      * @param {string} cargoName - Name of the cargo type
      * @param {Object} settlement - Settlement object
      * @param {Function} rollFunction - Function that returns 1d100 result (for testing)
+     * @param {Object} options - { learnerId } journal the rumor is recorded in
      * @returns {Object} - Rumor check result
      */
-    checkForRumors(cargoName, settlement, rollFunction = null) {
-        return this.saleMechanics.checkForRumors(cargoName, settlement, rollFunction);
+    checkForRumors(cargoName, settlement, rollFunction = null, options = {}) {
+        return this.saleMechanics.checkForRumors(cargoName, settlement, rollFunction, options);
     }
 
     /**
-     * Generate random rumor for cargo type and settlement
+     * Hear a rumor from the rumor board for cargo type and settlement
      * @param {string} cargoName - Name of the cargo type
      * @param {Object} settlement - Settlement object
      * @param {Function} rollFunction - Function that returns 1d100 result (for testing)
-     * @returns {Object|null} - Generated rumor or null if no rumor
+     * @param {Object} options - { learnerId } journal the rumor is recorded in
+     * @returns {Object|null} - Rumor or null if no rumor
      */
-    generateRandomRumor(cargoName, settlement, rollFunction = null) {
-        return this.saleMechanics.generateRandomRumor(cargoName, settlement, rollFunction);
+    generateRandomRumor(cargoName, settlement, rollFunction = null, options = {}) {
+        return this.saleMechanics.generateRandomRumor(cargoName, settlement, rollFunction, options);
     }
 
     /**
-     * Generate rumor from successful gossip test
+     * Reveal a rumor from the rumor board after a successful gossip test
      * @param {Object} gossipResult - Result from performGossipTest
-     * @param {string} cargoName - Name of cargo to generate rumor about
+     * @param {string} cargoName - Name of cargo to ask about
      * @param {Object} settlement - Settlement object
-     * @returns {Object|null} - Generated rumor or null if gossip failed
+     * @param {Object} options - { learnerId } journal the rumor is recorded in
+     * @returns {Object|null} - Revealed rumor or null if gossip failed
      */
-    async generateRumorFromGossip(gossipResult, cargoName, settlement) {
-        return this.saleMechanics.generateRumorFromGossip(gossipResult, cargoName, settlement);
+    async generateRumorFromGossip(gossipResult, cargoName, settlement, options = {}) {
+        return this.saleMechanics.generateRumorFromGossip(gossipResult, cargoName, settlement, options);
     }
 
     /**
@@ -1704,7 +1780,7 @@ class TradingEngine {
      * @param {number} quantity - Quantity involved
      * @param {number} price - Total price
      * @param {Object} settlement - Settlement object
-     * @param {Object} options - Additional options
+     * @param {Object} options - Additional options (currency, modifiers, specialType, tariffs)
      * @returns {string} - Formatted transaction message
      */
     generateTransactionResultMessage(transactionType, cargoType, quantity, price, settlement, options = {}) {
@@ -1722,6 +1798,11 @@ class TradingEngine {
         if (options.specialType) {
             message += ` (${options.specialType} sale)`;
         }
+
+        if (options.tariffs && options.tariffs.lines?.length > 0) {
+            const tariffDescriptions = options.tariffs.lines.map(line => line.description).join(', ');
+            message += `; tolls and taxes ${options.tariffs.amount} ${currency}: ${tariffDescriptions}`;
+        }
         
         return message;
     }
@@ -2,6 +2,7 @@ console.log('Trading Places | Loading TradingUIEventHandlers.js');
 
 import { BuyingFlow } from '../flow/BuyingFlow.js';
 import { SellingFlow } from '../flow/SellingFlow.js';
+import { InspectionFlow } from '../flow/InspectionFlow.js';
 import {
     resolveCurrencyContext,
     formatDenominationValue,
@@ -10,6 +11,10 @@ import {
     convertDenominationToCanonical,
     getCurrencyLabel
 } from '../currency-display.js';
+import { TradingClock } from '../trading-clock.js';
+import { TradeTransactionService } from '../trade-transaction.js';
+import { CargoDragDrop } from '../cargo-drag-drop.js';
+import { WarehouseStorage } from '../warehouse-storage.js';
 
 const MODULE_ID = "fvtt-trading-places";
 
@@ -18,6 +23,7 @@ export class TradingUIEventHandlers {
         this.app = app;
         this.buyingFlow = new BuyingFlow(app);
         this.sellingFlow = new SellingFlow(app);
+        this.inspectionFlow = new InspectionFlow(app);
     }
 
     _getCurrencyContext() {
@@ -195,6 +201,12 @@ export class TradingUIEventHandlers {
             this._logError('Event Listeners', 'Error attaching delete transaction listeners', { error: error.message });
         }
 
+        // Reverse transaction buttons
+        const reverseTransactionBtns = html.querySelectorAll('#history-tab .reverse-transaction-btn');
+        reverseTransactionBtns.forEach(btn => {
+            btn.addEventListener('click', this._onReverseTransaction.bind(this));
+        });
+
         // Manual entry collapsible toggle
         const manualEntryToggle = html.querySelector('.manual-entry-toggle');
         if (manualEntryToggle) {
@@ -255,6 +267,14 @@ export class TradingUIEventHandlers {
             btn.addEventListener('click', this._onDeleteCargo.bind(this));
         });
 
+        html.querySelectorAll('.store-cargo-btn').forEach(btn => {
+            btn.addEventListener('click', this._onStoreCargo.bind(this));
+        });
+
+        html.querySelectorAll('.retrieve-cargo-btn').forEach(btn => {
+            btn.addEventListener('click', this._onRetrieveCargo.bind(this));
+        });
+
         // Add cargo section event listeners
         const addCargoToggle = html.querySelector('.add-cargo-toggle');
         if (addCargoToggle) {
@@ -299,6 +319,72 @@ export class TradingUIEventHandlers {
             this._logDebug('Event Listeners', 'Attached data management button listener');
         }
 
+        // GM Tools - Economic Events Button
+        const economicEventsBtn = html.querySelector('#open-economic-events');
+        if (economicEventsBtn) {
+            economicEventsBtn.addEventListener('click', this._onOpenEconomicEvents.bind(this));
+            this._logDebug('Event Listeners', 'Attached economic events button listener');
+        }
+
+        const rumorJournalBtn = html.querySelector('#open-rumor-journal');
+        if (rumorJournalBtn) {
+            rumorJournalBtn.addEventListener('click', this._onOpenRumorJournal.bind(this));
+            this._logDebug('Event Listeners', 'Attached rumor journal button listener');
+        }
+
+        const deliveryContractsBtn = html.querySelector('#open-delivery-contracts');
+        if (deliveryContractsBtn) {
+            deliveryContractsBtn.addEventListener('click', this._onOpenDeliveryContracts.bind(this));
+            this._logDebug('Event Listeners', 'Attached delivery contracts button listener');
+        }
+
+        const creditLedgerBtn = html.querySelector('#open-credit-ledger');
+        if (creditLedgerBtn) {
+            creditLedgerBtn.addEventListener('click', this._onOpenCreditLedger.bind(this));
+            this._logDebug('Event Listeners', 'Attached credit ledger button listener');
+        }
+
+        const reputationBtn = html.querySelector('#open-reputation-panel');
+        if (reputationBtn) {
+            reputationBtn.addEventListener('click', this._onOpenReputationPanel.bind(this));
+            this._logDebug('Event Listeners', 'Attached reputation panel button listener');
+        }
+
+        const activeVesselSelect = html.querySelector('#active-vessel');
+        if (activeVesselSelect) {
+            activeVesselSelect.addEventListener('change', this._onActiveVesselChange.bind(this));
+        }
+
+        const vesselRosterBtn = html.querySelector('#open-vessel-roster');
+        if (vesselRosterBtn) {
+            vesselRosterBtn.addEventListener('click', this._onOpenVesselRoster.bind(this));
+            this._logDebug('Event Listeners', 'Attached vessel roster button listener');
+        }
+
+        const profitLedgerBtn = html.querySelector('#open-profit-ledger');
+        if (profitLedgerBtn) {
+            profitLedgerBtn.addEventListener('click', this._onOpenProfitLedger.bind(this));
+            this._logDebug('Event Listeners', 'Attached profit ledger button listener');
+        }
+
+        const marketViewBtn = html.querySelector('#open-market-view');
+        if (marketViewBtn) {
+            marketViewBtn.addEventListener('click', this._onOpenMarketView.bind(this));
+            this._logDebug('Event Listeners', 'Attached market view button listener');
+        }
+
+        const approvalQueueBtn = html.querySelector('#open-approval-queue');
+        if (approvalQueueBtn) {
+            approvalQueueBtn.addEventListener('click', this._onOpenApprovalQueue.bind(this));
+            this._logDebug('Event Listeners', 'Attached approval queue button listener');
+        }
+
+        const tradePlannerBtn = html.querySelector('#open-trade-planner');
+        if (tradePlannerBtn) {
+            tradePlannerBtn.addEventListener('click', this._onOpenTradePlanner.bind(this));
+            this._logDebug('Event Listeners', 'Attached trade planner button listener');
+        }
+
         // Post Cargo to Chat Button
         const postCargoToChatBtn = html.querySelector('#post-cargo-to-chat');
         if (postCargoToChatBtn) {
@@ -376,6 +462,33 @@ export class TradingUIEventHandlers {
             lookForSellersBtn.addEventListener('click', this._onLookForSellers.bind(this));
         }
 
+        // Clicking a lot seeks buyers for it alone; clicking it again seeks buyers for the whole hold
+        html.querySelectorAll('#selling-tab .cargo-minimal-item[data-cargo-id]').forEach(element => {
+            element.addEventListener('click', () => {
+                const selected = element.dataset.cargoId === this.app.selectedSellingCargoId;
+                const lot = (this.app.dataManager?.cargo || []).find(cargo => cargo.id === element.dataset.cargoId);
+                this.sellingFlow.selectCargo(selected ? null : lot);
+            });
+        });
+
+        // Cargo items dragged from an actor sheet are offered to buyers here
+        const sellingTab = html.querySelector('#selling-tab');
+        if (sellingTab) {
+            sellingTab.addEventListener('dragover', (event) => {
+                event.preventDefault();
+                sellingTab.classList.add('cargo-drop-target');
+            });
+            sellingTab.addEventListener('dragleave', (event) => {
+                if (!sellingTab.contains(event.relatedTarget)) {
+                    sellingTab.classList.remove('cargo-drop-target');
+                }
+            });
+            sellingTab.addEventListener('drop', (event) => {
+                sellingTab.classList.remove('cargo-drop-target');
+                this._onSellingTabDrop(event);
+            });
+        }
+
         const negotiateSellBtn = html.querySelector('#negotiate-sell');
         if (negotiateSellBtn) {
             negotiateSellBtn.addEventListener('click', this._onNegotiateSell.bind(this));
@@ -470,6 +583,7 @@ export class TradingUIEventHandlers {
                 throw new Error(`Settlement not found: ${settlementName}`);
             }
 
+            const arriving = this.app.selectedSettlement?.name !== settlement.name;
             this.app.selectedSettlement = settlement;
 
             // Clear previous cargo and saved data
@@ -493,6 +607,11 @@ export class TradingUIEventHandlers {
             // Update selling tab with new settlement
             this.app.renderer._updateSellingTab();
 
+            // The authorities may search the cargo of a newly arrived party
+            if (arriving) {
+                await this._runArrivalInspection();
+            }
+
             this._logInfo('Settlement Selection', 'Settlement selected successfully', {
                 settlement: settlement.name,
                 region: settlement.region
@@ -504,6 +623,19 @@ export class TradingUIEventHandlers {
         }
     }
 
+    /**
+     * Run a contraband inspection for a party arriving at the selected settlement
+     * @private
+     */
+    async _runArrivalInspection() {
+        try {
+            await this.inspectionFlow.runInspection('arrival');
+        } catch (error) {
+            // Arrival has already succeeded, so an inspection failure is only logged
+            this._logError('Contraband Inspection', 'Arrival inspection failed', { error: error.message });
+        }
+    }
+
     /**
      * Handle settlement search
      * @param {Event} event - Input event
@@ -627,6 +759,107 @@ export class TradingUIEventHandlers {
         await this.sellingFlow.onLookForSellers(event);
     }
 
+    /**
+     * Handle a cargo item dropped on the selling tab: select its lot and look for buyers for it
+     * @param {DragEvent} event - Drop event
+     * @private
+     */
+    async _onSellingTabDrop(event) {
+        event.preventDefault();
+        const data = CargoDragDrop.readDropData(event);
+        if (data?.type !== 'Item' || !data.uuid) {
+            return;
+        }
+
+        try {
+            const item = await fromUuid(data.uuid);
+            const lot = CargoDragDrop.findLot(this.app.dataManager?.cargo || [], item);
+            if (!lot) {
+                ui.notifications.warn(`${item?.name || 'That item'} is not cargo in the party's hold`);
+                return;
+            }
+            if (WarehouseStorage.isStored(lot)) {
+                ui.notifications.warn(`${lot.cargo} is in storage; retrieve it before selling it`);
+                return;
+            }
+
+            this.sellingFlow.selectCargo(lot);
+            const button = this.app.element?.querySelector('#look-for-sellers');
+            await this.sellingFlow.onLookForSellers({ preventDefault: () => {}, target: button || document.createElement('button') });
+        } catch (error) {
+            this._logError('Selling Drop', 'Failed to sell dropped cargo', { error: error.message });
+            ui.notifications.error(`Failed to sell dropped cargo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Buy from a market slot dropped on an actor or vessel, after asking how much to buy
+     * @param {Object} data - Market slot drag data from CargoDragDrop.slotDragData()
+     * @param {Object|null} actor - Actor to buy for, or null for the controlled token's or the user's character
+     * @returns {Promise<boolean>} - Whether a purchase was attempted
+     */
+    async onMarketSlotDrop(data, actor = null) {
+        if (!this.app.selectedSettlement || data.settlement !== this.app.selectedSettlement.name) {
+            ui.notifications.warn(`The market at ${data.settlement || 'that settlement'} is no longer open`);
+            return false;
+        }
+
+        const cargo = CargoDragDrop.findSlot(this.app.successfulCargo, data);
+        const available = CargoDragDrop.availableQuantity(cargo);
+        if (!cargo || available <= 0) {
+            ui.notifications.warn(`${data.name} is sold out`);
+            return false;
+        }
+
+        const buyer = actor || this._getActor();
+        const quantity = await this._promptPurchaseQuantity(cargo, available, buyer);
+        if (!quantity) {
+            return false;
+        }
+
+        const totalCost = parseFloat((quantity * this.app.renderer._getPricePerEP(cargo)).toFixed(2));
+        await this._onCargoPurchase(cargo, quantity, totalCost, 0, buyer);
+        return true;
+    }
+
+    /**
+     * Ask how many EP of a dropped market slot to buy
+     * @param {Object} cargo - Successful cargo entry
+     * @param {number} available - EP the merchant has
+     * @param {Object|null} actor - Actor buying
+     * @returns {Promise<number>} - EP to buy, 0 when cancelled
+     * @private
+     */
+    async _promptPurchaseQuantity(cargo, available, actor) {
+        const quantity = await foundry.applications.api.DialogV2.wait({
+            window: { title: `Buy ${cargo.name}` },
+            content: `
+                <p>${cargo.merchant?.name || 'The merchant'} has ${available} EP of ${cargo.name} at ${this.app.renderer._formatPricePerEP(cargo)} per EP.</p>
+                <div class="form-group">
+                    <label>EP to buy${actor ? ` for ${actor.name}` : ''}</label>
+                    <input type="number" name="quantity" min="1" max="${available}" step="1" value="${available}" autofocus>
+                </div>
+            `,
+            buttons: [
+                {
+                    action: "buy",
+                    label: "Buy",
+                    icon: "fas fa-shopping-cart",
+                    default: true,
+                    callback: (event, button, dialog) => Number(dialog.element.querySelector('input[name="quantity"]').value)
+                },
+                { action: "cancel", label: "Cancel", icon: "fas fa-times" }
+            ],
+            rejectClose: false,
+            modal: true
+        });
+
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+            return 0;
+        }
+        return Math.min(Math.floor(quantity), available);
+    }
+
     _onSellQuantityChange(event) {
         this._logDebug('Event Handler', 'Sell quantity change', { value: event.target.value });
     }
@@ -659,6 +892,11 @@ export class TradingUIEventHandlers {
             // Save the checkbox state to Foundry settings
             await game.settings.set(MODULE_ID, "hideContrabandStatus", hideContraband);
             this._logDebug('UI Settings', 'Hide contraband status setting saved', { hideContraband });
+
+            // Share the market again so the players' market view hides or shows contraband too
+            if (game.user.isGM && this.app.successfulCargo?.length) {
+                await this.app._saveCargoAvailability();
+            }
         } catch (error) {
             this._logError('UI Settings', 'Failed to save hide contraband status setting', { error: error.message });
         }
@@ -709,8 +947,14 @@ export class TradingUIEventHandlers {
         this._logDebug('Event Handler', 'Desperate sale attempt');
     }
 
-    _onRumorSaleAttempt(event) {
+    /**
+     * Handle the rumor sale button: sell the selected lot on a rumor, or gossip for one
+     * @param {Event} event - Click event
+     * @private
+     */
+    async _onRumorSaleAttempt(event) {
         this._logDebug('Event Handler', 'Rumor sale attempt');
+        await this.sellingFlow.onRumorSale(event);
     }
 
     /**
@@ -719,9 +963,10 @@ export class TradingUIEventHandlers {
      * @param {number} quantity - Quantity to purchase
      * @param {number} totalCost - Total cost of the purchase
      * @param {number} discountPercent - Discount percentage applied (-10 to +10)
+     * @param {Object|null} buyer - Actor to buy for, instead of the controlled token's or the user's character
      * @private
      */
-    async _onCargoPurchase(cargo, quantity, totalCost, discountPercent = 0) {
+    async _onCargoPurchase(cargo, quantity, totalCost, discountPercent = 0, buyer = null) {
         this._logDebug('Event Handler', 'Cargo purchase attempt', {
             cargo: cargo.name,
             quantity,
@@ -731,12 +976,16 @@ export class TradingUIEventHandlers {
         });
 
         try {
+            // Market taxes are paid on top of the goods
+            const tariffs = this._calculateTariffs(cargo, totalCost, 'purchase');
+            const amountDue = Math.round((totalCost + tariffs.amount) * 100) / 100;
+
             // Validate purchase
             const validation = await this.app.systemAdapter.validatePurchase(
                 this.app.selectedSettlement,
                 cargo,
                 quantity,
-                totalCost
+                amountDue
             );
 
             if (!validation.valid) {
@@ -744,95 +993,231 @@ export class TradingUIEventHandlers {
                 return;
             }
 
-            // Perform the purchase
-            const result = await this.app.systemAdapter.performPurchase(
-                this.app.selectedSettlement,
-                cargo,
-                quantity,
-                totalCost
+            // Create transaction object with merchant information
+            // Find the merchant info from the successful cargo data
+            const successfulCargoItem = this.app.successfulCargo?.find(sc => 
+                sc.name === cargo.name && 
+                sc.category === cargo.category
             );
+            const merchantName = successfulCargoItem?.merchant?.name || 'Unknown Merchant';
+            
+            const transaction = this._augmentTransaction({
+                cargo: cargo.name,
+                category: cargo.category,
+                quantity: quantity,
+                pricePerEP: totalCost / quantity,
+                totalCost: amountDue,
+                tariff: tariffs.amount,
+                tariffLines: tariffs.lines,
+                settlement: this.app.selectedSettlement.name,
+                season: this.app.currentSeason,
+                ...TradingClock.stamp(),
+                discountPercent: discountPercent,
+                isSale: false,
+                contraband: cargo.contraband === true || cargo.slotInfo?.contraband?.contraband === true,
+                merchant: merchantName,
+                merchantId: successfulCargoItem?.merchant?.id || null,
+                quality: cargo.quality?.tier || (typeof cargo.quality === 'string' ? cargo.quality : 'Average'),
+                actualTier: cargo.actualTier || cargo.quality?.actualTier || (typeof cargo.quality === 'string' ? cargo.quality : 'Average'),
+                dishonest: cargo.dishonest || cargo.quality?.dishonest || false,
+                system: cargo.system || cargo.quality?.system || 'standard'
+            });
 
-            if (result.success) {
-                // Update cargo availability (reduce available quantity)
-                await this._updateCargoAvailabilityAfterPurchase(cargo, quantity);
-
-                // Show success message
-                const formattedTotalCost = this._formatCurrencyFromDenomination(totalCost, `${totalCost} ${this._getCurrencyLabel()}`);
-                const discountText = discountPercent !== 0 ? ` (${discountPercent >= 0 ? '+' : ''}${discountPercent}% adjustment)` : '';
-                ui.notifications.success(`Successfully purchased ${quantity} EP of ${cargo.name} for ${formattedTotalCost}${discountText}`);
+            const purchase = {
+                transaction,
+                actor: buyer || this._getActor(),
+                item: {
+                    cargoName: cargo.name,
+                    quantity,
+                    cargoData: cargo,
+                    purchaseInfo: {
+                        totalPrice: amountDue,
+                        pricePerUnit: amountDue / quantity,
+                        // The item carries the real quality, whatever the merchant claimed
+                        quality: cargo.actualTier || cargo.quality?.tier || cargo.quality || 'average',
+                        claimedQuality: transaction.quality,
+                        season: this.app.currentSeason,
+                        settlement: this.app.selectedSettlement.name,
+                        contraband: transaction.contraband === true,
+                        merchant: merchantName
+                    }
+                },
+                cost: amountDue
+            };
 
-                // Update the cargo card to reflect reduced availability
-                this._updateBuyingCargoCard(cargo, quantity);
-                
-                // Create transaction object with merchant information
-                // Find the merchant info from the successful cargo data
-                const successfulCargoItem = this.app.successfulCargo?.find(sc => 
-                    sc.name === cargo.name && 
-                    sc.category === cargo.category
-                );
-                const merchantName = successfulCargoItem?.merchant?.name || 'Unknown Merchant';
-                
-                const transaction = this._augmentTransaction({
-                    cargo: cargo.name,
-                    category: cargo.category,
-                    quantity: quantity,
-                    pricePerEP: totalCost / quantity,
-                    totalCost: totalCost,
-                    settlement: this.app.selectedSettlement.name,
-                    season: this.app.currentSeason,
-                    date: new Date().toISOString(),
-                    discountPercent: discountPercent,
-                    isSale: false,
-                    contraband: cargo.contraband || false,
-                    merchant: merchantName,
-                    quality: cargo.quality?.tier || (typeof cargo.quality === 'string' ? cargo.quality : 'Average'),
-                    actualTier: cargo.actualTier || cargo.quality?.actualTier || (typeof cargo.quality === 'string' ? cargo.quality : 'Average'),
-                    dishonest: cargo.dishonest || cargo.quality?.dishonest || false,
-                    system: cargo.system || cargo.quality?.system || 'standard'
-                });
-                
-                // Add to transaction history
-                if (!this.app.transactionHistory) {
-                    this.app.transactionHistory = [];
-                }
-                this.app.transactionHistory.unshift(transaction);
-                
-                // Add cargo to inventory with merchant information
-                await this._addCargoToInventory(transaction);
-                
-                // Update the app's cargo data and let it re-render naturally
-                const datasetId = this.app.dataManager.activeDatasetName;
-                const allCargoData = await game.settings.get(MODULE_ID, "currentCargo") || {};
-                const updatedCargo = allCargoData[datasetId] || [];
-                this.app.currentCargo = updatedCargo;
+            // Players cannot write the shared history and hold, so the GM applies their purchases
+            const approvals = this._getTradeApprovals();
+            if (approvals?.needsApproval()) {
+                await this._requestPurchaseApproval(approvals, purchase, { cargo, quantity, totalCost, tariffs, discountPercent });
+                return;
+            }
 
-                await this.app.refreshUI({ focusTab: 'buying' });
+            // History, the actor's items and purse, and the hold change together or not at all
+            const result = await this._getTradeTransactions().purchase({
+                ...purchase,
+                updateHold: currentCargo => this._mergeCargoIntoHold(currentCargo, transaction)
+            });
 
-                this._logInfo('Purchase Success', 'Cargo purchased successfully', {
-                    cargo: cargo.name,
-                    quantity,
-                    totalCost,
-                    discountPercent,
-                    merchant: merchantName,
-                    remainingEP: (cargo.totalEP ?? cargo.quantity ?? 0) - quantity
+            if (!result.success) {
+                this._logError('Purchase Error', 'Purchase rolled back', {
+                    failedStep: result.failedStep,
+                    error: result.error,
+                    steps: result.steps
                 });
-            } else {
                 ui.notifications.error(`Purchase failed: ${result.error}`);
+                return;
             }
 
+            this.app.transactionHistory = this.app.dataManager.history;
+            this.app.currentCargo = this.app.dataManager.cargo;
+
+            // Update cargo availability (reduce available quantity)
+            await this._updateCargoAvailabilityAfterPurchase(cargo, quantity);
+
+            // Draw down the settlement's persistent market stock
+            await this._recordMarketPurchase(cargo, quantity);
+
+            // Show success message
+            const formattedTotalCost = this._formatCurrencyFromDenomination(amountDue, `${amountDue} ${this._getCurrencyLabel()}`);
+            const discountText = discountPercent !== 0 ? ` (${discountPercent >= 0 ? '+' : ''}${discountPercent}% adjustment)` : '';
+            const tariffText = tariffs.amount > 0
+                ? `, including ${this._formatCurrencyFromDenomination(tariffs.amount, `${tariffs.amount} ${this._getCurrencyLabel()}`)} in taxes`
+                : '';
+            ui.notifications.success(`Successfully purchased ${quantity} EP of ${cargo.name} for ${formattedTotalCost}${discountText}${tariffText}`);
+
+            // Update the cargo card to reflect reduced availability
+            this._updateBuyingCargoCard(cargo, quantity);
+
+            // Remember what the cargo cost for the price history charts
+            await this._recordPurchasePrice(transaction);
+
+            // Merchants remember a fair deal, and a hard bargain
+            await this._recordTradeReputation(transaction);
+            await this._recordMerchantDeal(transaction);
+
+            await this.app.refreshUI({ focusTab: 'buying' });
+
+            this._logInfo('Purchase Success', 'Cargo purchased successfully', {
+                cargo: cargo.name,
+                quantity,
+                totalCost: amountDue,
+                tariff: tariffs.amount,
+                discountPercent,
+                merchant: merchantName,
+                remainingEP: (cargo.totalEP ?? cargo.quantity ?? 0) - quantity
+            });
+
         } catch (error) {
             this._logError('Purchase Error', 'Failed to complete purchase', { error: error.message });
             ui.notifications.error(`Purchase failed: ${error.message}`);
         }
     }
 
+    /**
+     * Work out the tolls and taxes owed on a transaction at the selected settlement
+     * @param {Object} cargo - Cargo data ({ name, category })
+     * @param {number} value - Transaction value before tariffs
+     * @param {string} transactionType - 'purchase' or 'sale'
+     * @returns {Object} - { lines, rate, amount } as returned by TariffSchedule.calculateTariffs()
+     * @private
+     */
+    _calculateTariffs(cargo, value, transactionType) {
+        const dataManager = this.app.dataManager;
+        if (typeof dataManager?.getTariffSchedule !== 'function' || !this.app.selectedSettlement) {
+            return { lines: [], rate: 0, amount: 0 };
+        }
+
+        try {
+            return dataManager.getTariffSchedule().calculateTariffs({
+                settlement: this.app.selectedSettlement,
+                cargoName: cargo.name,
+                category: cargo.category,
+                transactionType,
+                value
+            });
+        } catch (error) {
+            this._logError('Tariffs', 'Failed to calculate tariffs', { error: error.message });
+            return { lines: [], rate: 0, amount: 0 };
+        }
+    }
+
+    /**
+     * Get the service that applies purchases as a single trade transaction
+     * @returns {TradeTransactionService}
+     * @private
+     */
+    _getTradeTransactions() {
+        return new TradeTransactionService(this.app.dataManager, this.app.systemAdapter, {
+            logger: this.app.dataManager?.logger
+        });
+    }
+
+    _getActor() {
+        const controlledTokens = canvas.tokens?.controlled || [];
+        return controlledTokens[0]?.actor || game.user?.character || null;
+    }
+
+    _getTradeApprovals() {
+        return window.TradingPlaces?.getTradeApprovals?.() || null;
+    }
+
+    /**
+     * Ask the GM to approve a player's purchase and show the outcome when it comes back
+     * @param {TradeApprovalService} approvals - Trade approval service
+     * @param {Object} purchase - { transaction, actor, item, cost } as for TradeTransactionService.purchase()
+     * @param {Object} details - { cargo, quantity, totalCost, tariffs, discountPercent } for the price breakdown
+     * @private
+     */
+    async _requestPurchaseApproval(approvals, purchase, { cargo, quantity, totalCost, tariffs, discountPercent }) {
+        const { transaction, actor, item, cost } = purchase;
+        const request = approvals.requestTrade({
+            type: 'purchase',
+            actorId: actor?.id || null,
+            actorName: actor?.name || null,
+            cargo: cargo.name,
+            quantity,
+            settlement: transaction.settlement,
+            season: transaction.season,
+            breakdown: {
+                lines: [
+                    { label: `${quantity} EP at ${transaction.merchant}`, amount: totalCost },
+                    ...tariffs.lines.map(line => ({ label: line.description, amount: line.amount }))
+                ],
+                discountPercent,
+                total: cost
+            },
+            payload: { transaction, item, cost }
+        });
+        ui.notifications.info(`Asked the GM to approve buying ${quantity} EP of ${cargo.name}`);
+        await this.app.refreshUI({ focusTab: 'buying' });
+
+        const outcome = await request;
+        if (outcome.status === 'rejected') {
+            ui.notifications.warn(`The GM turned down buying ${quantity} EP of ${cargo.name}${outcome.reason ? `: ${outcome.reason}` : ''}`);
+            return;
+        }
+        if (outcome.status !== 'approved') {
+            ui.notifications.error(`Purchase failed: ${outcome.error}`);
+            return;
+        }
+
+        // The GM has saved the purchase, the hold and its own market; only the local market view is updated here
+        this.app.transactionHistory = this.app.dataManager.history;
+        this.app.currentCargo = this.app.dataManager.cargo;
+        await this._updateCargoAvailabilityAfterPurchase(cargo, quantity, { save: false });
+        this._updateBuyingCargoCard(cargo, quantity);
+        ui.notifications.success(`The GM approved buying ${quantity} EP of ${cargo.name}`);
+        await this.app.refreshUI({ focusTab: 'buying' });
+    }
+
     /**
      * Update cargo availability after a successful purchase
      * @param {Object} purchasedCargo - The cargo that was purchased
      * @param {number} purchasedQuantity - How much was purchased
+     * @param {Object} options - { save: false to skip saving the world setting, which players cannot write }
      * @private
      */
-    async _updateCargoAvailabilityAfterPurchase(purchasedCargo, purchasedQuantity) {
+    async _updateCargoAvailabilityAfterPurchase(purchasedCargo, purchasedQuantity, { save = true } = {}) {
         // Find the cargo in available cargo and reduce its quantity
         const cargoIndex = this.app.successfulCargo.findIndex(cargo =>
             cargo.name === purchasedCargo.name &&
@@ -856,7 +1241,9 @@ export class TradingUIEventHandlers {
             }
 
             // Save the updated cargo availability
-            await this.app._saveCargoAvailability();
+            if (save) {
+                await this.app._saveCargoAvailability();
+            }
 
             this._logDebug('Cargo Update', 'Cargo availability updated after purchase', {
                 cargo: purchasedCargo.name,
@@ -866,6 +1253,102 @@ export class TradingUIEventHandlers {
         }
     }
 
+    /**
+     * Run a post-trade recorder, logging rather than throwing when it fails (see TradeTransactionService.recordSafely)
+     * @param {string} category - Log category
+     * @param {string} message - Log message when the recorder fails
+     * @param {Function} record - Async recorder
+     * @returns {Promise<*>} - The recorder's result, or undefined when it failed
+     * @private
+     */
+    _recordSafely(category, message, record) {
+        return TradeTransactionService.recordSafely(record, error => this._logError(category, message, { error: error.message }));
+    }
+
+    /**
+     * Record a purchase in the settlement market ledger
+     * @param {Object} purchasedCargo - The cargo that was purchased
+     * @param {number} purchasedQuantity - How much was purchased
+     * @private
+     */
+    async _recordMarketPurchase(purchasedCargo, purchasedQuantity) {
+        await this._recordSafely('Market Ledger', 'Failed to record purchase in market ledger', async () => {
+            const entry = await this.app.dataManager.recordMarketPurchase(
+                this.app.selectedSettlement,
+                purchasedCargo.name,
+                purchasedQuantity,
+                this.app.currentSeason
+            );
+
+            this._logDebug('Market Ledger', 'Settlement stock reduced after purchase', {
+                settlement: entry.settlement,
+                cargo: entry.cargo,
+                stock: entry.stock,
+                baseline: entry.baseline
+            });
+        });
+    }
+
+    /**
+     * Record the price paid for a purchase in the price history
+     * @param {Object} transaction - The purchase transaction
+     * @private
+     */
+    async _recordPurchasePrice(transaction) {
+        if (typeof this.app.dataManager.recordPrices !== 'function') {
+            return;
+        }
+
+        await this._recordSafely('Price History', 'Failed to record purchase price', () => this.app.dataManager.recordPrices([{
+            settlement: transaction.settlement,
+            cargo: transaction.cargo,
+            quality: transaction.quality,
+            price: transaction.pricePerEPCanonical ?? transaction.pricePerEP,
+            source: 'purchase'
+        }]));
+    }
+
+    /**
+     * Record a fair or heavily haggled purchase in the party's reputation
+     * @param {Object} transaction - The purchase transaction
+     * @private
+     */
+    async _recordTradeReputation(transaction) {
+        if (typeof this.app.dataManager.recordTradeReputation !== 'function') {
+            return;
+        }
+
+        await this._recordSafely('Reputation', 'Failed to record purchase in reputation', () => this.app.dataManager.recordTradeReputation(transaction));
+    }
+
+    /**
+     * Note the purchase in the regular merchant's record of deals with the party
+     * @param {Object} transaction - The purchase transaction
+     * @private
+     */
+    async _recordMerchantDeal(transaction) {
+        if (!transaction.merchantId || typeof this.app.dataManager.recordMerchantDeal !== 'function') {
+            return;
+        }
+
+        await this._recordSafely('Merchant Roster', 'Failed to record purchase from merchant', () => this.app.dataManager.recordMerchantDeal(transaction));
+    }
+
+    /**
+     * Record a reputation event at a settlement
+     * @param {string} settlement - Settlement name
+     * @param {string} type - Event type from the reputation config
+     * @param {Object} options - { note }
+     * @private
+     */
+    async _recordReputation(settlement, type, options = {}) {
+        if (typeof this.app.dataManager.recordReputation !== 'function') {
+            return;
+        }
+
+        await this._recordSafely('Reputation', `Failed to record reputation event ${type}`, () => this.app.dataManager.recordReputation(settlement, type, options));
+    }
+
     _onRegionChange(event) {
         const selectedRegion = event.target.value;
         this._logDebug('Event Handler', 'Region change', { value: selectedRegion });
@@ -994,7 +1477,7 @@ export class TradingUIEventHandlers {
                 totalCostCanonical: typeof totalCostCanonical === 'number' ? totalCostCanonical : null,
                 settlement: settlement,
                 season: season,
-                date: new Date().toISOString(),
+                ...TradingClock.stamp(),
                 discountPercent: 0,
                 isSale: transactionType === 'sale',
                 contraband: isContraband,
@@ -1269,6 +1752,113 @@ export class TradingUIEventHandlers {
         }
     }
 
+    /**
+     * Handle reverse transaction button click
+     * Gives back the money and the cargo and marks the history entry as reversed
+     * @param {Event} event - Click event
+     * @private
+     */
+    async _onReverseTransaction(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const transactionIndex = parseInt(event.currentTarget.dataset.transactionIndex);
+        const transaction = this.app.transactionHistory?.[transactionIndex];
+        if (!transaction) {
+            this._logError('Reverse Transaction', 'Invalid transaction index', { transactionIndex });
+            return;
+        }
+
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: "Reverse Transaction" },
+            content: `<p>Reverse the ${transaction.isSale ? 'sale' : 'purchase'} of ${transaction.quantity} EP of ${transaction.cargo}? The money and the cargo will be given back, and the transaction will stay in the history marked as reversed.</p>`,
+            rejectClose: false,
+            modal: true
+        });
+
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            this.app.dataManager.history = this.app.transactionHistory;
+            const result = await this._getTradeTransactions().reverse({
+                index: transactionIndex,
+                actor: this._getActor(),
+                reversedBy: game.user ? { id: game.user.id, name: game.user.name } : null
+            });
+
+            if (!result.success) {
+                this._logError('Reverse Transaction', 'Reversal rolled back', {
+                    failedStep: result.failedStep,
+                    error: result.error,
+                    steps: result.steps
+                });
+                ui.notifications.error(`Could not reverse transaction: ${result.error}`);
+                return;
+            }
+
+            this.app.transactionHistory = this.app.dataManager.history;
+            this.app.currentCargo = this.app.dataManager.cargo;
+
+            await this._returnReversedStockToMarket(transaction);
+
+            // Backing out of a deal is remembered where it was struck
+            await this._recordReputation(transaction.settlement, 'reversedDeal', {
+                note: `Reversed ${transaction.isSale ? 'sale' : 'purchase'} of ${transaction.quantity} EP of ${transaction.cargo}`
+            });
+
+            ui.notifications.info(`Reversed ${transaction.isSale ? 'sale' : 'purchase'} of ${transaction.quantity} EP of ${transaction.cargo}`);
+            await this.app.refreshUI({ focusTab: 'history' });
+
+            this._logInfo('Reverse Transaction', 'Transaction reversed', {
+                cargo: transaction.cargo,
+                quantity: transaction.quantity,
+                isSale: transaction.isSale,
+                reversedBy: result.transaction.reversedBy
+            });
+        } catch (error) {
+            this._logError('Reverse Transaction', 'Failed to reverse transaction', {
+                error: error.message,
+                index: transactionIndex
+            });
+            ui.notifications.error(`Failed to reverse transaction: ${error.message}`);
+        }
+    }
+
+    /**
+     * Undo a reversed transaction's effect on the settlement market where it still shows
+     * A purchase's stock goes back to the market ledger and to the cached cargo availability;
+     * a sale is taken out of the volume flooding the market
+     * @param {Object} transaction - The reversed purchase or sale
+     * @private
+     */
+    async _returnReversedStockToMarket(transaction) {
+        const dataManager = this.app.dataManager;
+
+        await this._recordSafely('Market Ledger', 'Failed to return reversed cargo to the market', async () => {
+            if (transaction.isSale) {
+                await dataManager.withdrawMarketSale?.(transaction.settlement, transaction.cargo, transaction.quantity);
+                return;
+            }
+
+            await dataManager.returnMarketStock?.(transaction.settlement, transaction.cargo, transaction.quantity, transaction.season);
+
+            // The cargo shown for sale is only cached for the selected settlement
+            const cached = transaction.settlement === this.app.selectedSettlement?.name
+                ? this.app.successfulCargo?.find(cargo => cargo.name === transaction.cargo && cargo.category === transaction.category)
+                : null;
+            if (cached) {
+                if (cached.totalEP !== undefined) {
+                    cached.totalEP += transaction.quantity;
+                } else if (cached.quantity !== undefined) {
+                    cached.quantity += transaction.quantity;
+                }
+                await this.app._saveCargoAvailability();
+            }
+        });
+    }
+
     // ===== CARGO MANAGEMENT METHODS =====
 
     /**
@@ -1279,8 +1869,15 @@ export class TradingUIEventHandlers {
     async _onCargoCapacityChange(event) {
         const newCapacity = parseInt(event.target.value) || 0;
         
-        // Save cargo capacity to game settings
-        await game.settings.set(MODULE_ID, "cargoCapacity", newCapacity);
+        // The hold size belongs to the active vessel; the setting is only used without one
+        const fleet = this.app.dataManager?.getVesselFleet?.();
+        const activeVessel = fleet?.getActiveVessel();
+        if (activeVessel) {
+            fleet.updateVessel(activeVessel.id, { capacity: newCapacity });
+            await this.app.dataManager.saveVesselFleet();
+        } else {
+            await game.settings.set(MODULE_ID, "cargoCapacity", newCapacity);
+        }
         
         // Update the capacity display immediately
         await this._updateCapacityDisplayReal();
@@ -1423,76 +2020,97 @@ export class TradingUIEventHandlers {
         });
     }
 
+    /**
+     * Leave a lot in the party's warehouse at the selected settlement, renting one there if needed
+     * @param {Event} event - Click event
+     * @private
+     */
+    async _onStoreCargo(event) {
+        event.preventDefault();
+        const cargoId = event.currentTarget.dataset.cargoId;
+        const settlement = this.app.selectedSettlement;
+        if (!cargoId || !settlement) {
+            ui.notifications.warn('Select the settlement to store the cargo at first');
+            return;
+        }
+
+        try {
+            const dataManager = this.app.dataManager;
+            const lot = (dataManager.cargo || []).find(cargo => cargo.id === cargoId);
+            if (!lot) {
+                ui.notifications.error('Cargo not found in inventory');
+                return;
+            }
+
+            const existing = dataManager.getWarehouseStorage().getWarehouseAt(settlement.name);
+            if (!existing) {
+                const weeklyFee = dataManager.tradingConfig?.warehouses?.weeklyFee ?? 120;
+                const confirmed = await foundry.applications.api.DialogV2.confirm({
+                    window: { title: "Rent a Warehouse" },
+                    content: `<p>Rent a warehouse at <strong>${settlement.name}</strong> for <strong>${this._formatCurrencyFromCanonical(weeklyFee)}</strong> a week, paid in advance, and store ${lot.quantity} EP of ${lot.cargo} there?</p>`,
+                    rejectClose: false,
+                    modal: true
+                });
+                if (!confirmed) {
+                    return;
+                }
+            }
+
+            const result = await dataManager.storeCargo(cargoId, settlement.name, { payerId: this._getActor()?.id || null });
+            if (result.rented) {
+                // The first week is owed as soon as the warehouse is rented
+                await window.TradingPlaces?.chargeWarehouseFees?.();
+            }
+
+            this.app.currentCargo = dataManager.cargo;
+            ui.notifications.info(`Stored ${lot.quantity} EP of ${lot.cargo} at ${settlement.name}`);
+            await this.app.refreshUI({ focusTab: 'cargo' });
+        } catch (error) {
+            this._logError('Warehouse Storage', 'Failed to store cargo', { error: error.message });
+            ui.notifications.error(`Failed to store cargo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Take a lot out of storage and back aboard at the selected settlement
+     * @param {Event} event - Click event
+     * @private
+     */
+    async _onRetrieveCargo(event) {
+        event.preventDefault();
+        const cargoId = event.currentTarget.dataset.cargoId;
+        const settlement = this.app.selectedSettlement;
+        if (!cargoId || !settlement) {
+            ui.notifications.warn('Travel to the settlement the cargo is stored at first');
+            return;
+        }
+
+        try {
+            const dataManager = this.app.dataManager;
+            const { lot, closed } = await dataManager.retrieveCargo(cargoId, settlement.name);
+
+            const aboard = WarehouseStorage.aboard(dataManager.cargo).reduce((total, cargo) => total + (cargo.quantity || 0), 0);
+            const capacity = this._getCargoCapacity();
+            if (aboard > capacity) {
+                ui.notifications.warn(`The hold is over capacity: ${aboard} of ${capacity} EP`);
+            }
+
+            this.app.currentCargo = dataManager.cargo;
+            ui.notifications.info(`Retrieved ${lot.quantity} EP of ${lot.cargo} from ${settlement.name}${closed ? '; the warehouse is empty and has been given up' : ''}`);
+            await this.app.refreshUI({ focusTab: 'cargo' });
+        } catch (error) {
+            this._logError('Warehouse Storage', 'Failed to retrieve cargo', { error: error.message });
+            ui.notifications.error(`Failed to retrieve cargo: ${error.message}`);
+        }
+    }
+
     /**
      * Add cargo to inventory after purchase
      * @param {Object} transaction - Transaction object
      * @private
      */
     async _addCargoToInventory(transaction) {
-        const currentCargo = await this._getCurrentCargo();
-        
-        // Check if we already have this cargo type with the same quality attributes - if so, combine quantities
-        const existingCargoIndex = currentCargo.findIndex(cargo => 
-            cargo.cargo === transaction.cargo && 
-            cargo.category === transaction.category &&
-            cargo.settlement === transaction.settlement &&
-            cargo.season === transaction.season &&
-            cargo.contraband === transaction.contraband &&
-            (cargo.quality || 'Average') === (transaction.quality || 'Average') &&
-            (cargo.merchantQuality || null) === (transaction.merchantQuality || null) &&
-            (cargo.dishonest || false) === (transaction.dishonest || false)
-        );
-        
-        if (existingCargoIndex !== -1) {
-            // Combine with existing cargo
-            const existingCargo = currentCargo[existingCargoIndex];
-            const totalQuantity = existingCargo.quantity + transaction.quantity;
-            const totalCost = existingCargo.totalCost + transaction.totalCost;
-            
-            existingCargo.quantity = totalQuantity;
-            existingCargo.totalCost = totalCost;
-            existingCargo.pricePerEP = totalCost / totalQuantity;
-            existingCargo.date = transaction.date; // Update to latest purchase date
-            existingCargo.merchant = transaction.merchant || existingCargo.merchant || 'Unknown Merchant'; // Keep latest merchant
-            existingCargo.actualTier = transaction.actualTier || existingCargo.actualTier;
-            // Quality information should already match since we checked it above
-            
-            // Add formatted currency fields
-            existingCargo.formattedPricePerEP = this._formatCurrencyFromDenomination(existingCargo.pricePerEP);
-            existingCargo.formattedTotalCost = this._formatCurrencyFromDenomination(existingCargo.totalCost);
-            const priceCanonical = this._convertDenominationToCanonical(existingCargo.pricePerEP);
-            const totalCanonical = this._convertDenominationToCanonical(existingCargo.totalCost);
-            if (priceCanonical !== null) existingCargo.pricePerEPCanonical = priceCanonical;
-            if (totalCanonical !== null) existingCargo.totalCostCanonical = totalCanonical;
-        } else {
-            // Add as new cargo
-            const newCargo = {
-                id: foundry.utils.randomID(),
-                cargo: transaction.cargo,
-                category: transaction.category,
-                quantity: transaction.quantity,
-                pricePerEP: transaction.pricePerEP,
-                totalCost: transaction.totalCost,
-                settlement: transaction.settlement,
-                season: transaction.season,
-                date: transaction.date,
-                contraband: transaction.contraband || false,
-                merchant: transaction.merchant || 'Unknown Merchant',
-                // Include quality information - ALL fields from transaction
-                quality: transaction.quality,
-                actualTier: transaction.actualTier,
-                merchantQuality: transaction.merchantQuality,
-                dishonest: transaction.dishonest,
-                system: transaction.system,
-                // Copy formatted fields from transaction
-                formattedPricePerEP: transaction.formattedPricePerEP || this._formatCurrencyFromDenomination(transaction.pricePerEP),
-                formattedTotalCost: transaction.formattedTotalCost || this._formatCurrencyFromDenomination(transaction.totalCost),
-                pricePerEPCanonical: transaction.pricePerEPCanonical,
-                totalCostCanonical: transaction.totalCostCanonical
-            };
-            
-            currentCargo.push(newCargo);
-        }
+        const currentCargo = this._mergeCargoIntoHold(await this._getCurrentCargo(), transaction);
         
         // Cargo added to inventory
         
@@ -1513,6 +2131,30 @@ export class TradingUIEventHandlers {
         });
     }
 
+    /**
+     * Put purchased cargo into the hold, combining it with a matching lot when there is one
+     * @param {Array} currentCargo - Cargo in the hold (changed in place)
+     * @param {Object} transaction - Purchase transaction; its cargoId is set to the lot's id
+     * @returns {Array} - The updated hold
+     * @private
+     */
+    _mergeCargoIntoHold(currentCargo, transaction) {
+        TradeTransactionService.mergeIntoHold(currentCargo, transaction);
+
+        // Add formatted currency fields to the lot the purchase went into
+        const lot = currentCargo.find(cargo => cargo.id === transaction.cargoId);
+        if (lot && !lot.formattedTotalCost) {
+            lot.formattedPricePerEP = this._formatCurrencyFromDenomination(lot.pricePerEP);
+            lot.formattedTotalCost = this._formatCurrencyFromDenomination(lot.totalCost);
+            const priceCanonical = this._convertDenominationToCanonical(lot.pricePerEP);
+            const totalCanonical = this._convertDenominationToCanonical(lot.totalCost);
+            if (priceCanonical !== null) lot.pricePerEPCanonical = priceCanonical;
+            if (totalCanonical !== null) lot.totalCostCanonical = totalCanonical;
+        }
+
+        return currentCargo;
+    }
+
     /**
      * Remove cargo from inventory after sale
      * @param {Object} transaction - Transaction object
@@ -1586,13 +2228,42 @@ export class TradingUIEventHandlers {
         });
     }
 
+    /**
+     * Get the party's hold size from the active vessel
+     * @returns {number} Capacity in EP
+     * @private
+     */
+    _getCargoCapacity() {
+        if (typeof this.app.dataManager?.getCargoCapacity === 'function') {
+            return this.app.dataManager.getCargoCapacity();
+        }
+        return parseInt(this.app.element.querySelector('#cargo-capacity')?.value) || 400;
+    }
+
+    /**
+     * Handle switching the vessel that carries the party's cargo
+     * @param {Event} event - Change event
+     * @private
+     */
+    async _onActiveVesselChange(event) {
+        try {
+            const vessel = this.app.dataManager.getVesselFleet().setActiveVessel(event.target.value);
+            await this.app.dataManager.saveVesselFleet();
+            ui.notifications.info(`Now sailing with ${vessel.name} (${vessel.capacity} EP)`);
+            await this.app.render(false);
+        } catch (error) {
+            this._logError('Vessels', 'Failed to switch vessel', { error: error.message });
+            ui.notifications.error(error.message);
+        }
+    }
+
     /**
      * Update capacity display in real-time
      * @private
      */
     async _updateCapacityDisplayReal() {
-        const currentCargo = await this._getCurrentCargo();
-        const cargoCapacity = parseInt(this.app.element.querySelector('#cargo-capacity')?.value) || 400;
+        const currentCargo = WarehouseStorage.aboard(await this._getCurrentCargo());
+        const cargoCapacity = this._getCargoCapacity();
         const currentLoad = currentCargo.reduce((total, cargo) => total + (cargo.quantity || 0), 0);
         const capacityPercentage = Math.min((currentLoad / cargoCapacity) * 100, 100);
         const isOverCapacity = currentLoad > cargoCapacity;
@@ -1665,7 +2336,7 @@ export class TradingUIEventHandlers {
             totalCost: 60,
             settlement: "Altdorf",
             season: "spring",
-            date: new Date().toISOString(),
+            ...TradingClock.stamp(),
             contraband: false
         };
 
@@ -2098,7 +2769,7 @@ export class TradingUIEventHandlers {
                 totalCostCanonical: typeof totalCostCanonical === 'number' ? totalCostCanonical : null,
                 settlement: settlement,
                 season: season,
-                date: new Date().toISOString(),
+                ...TradingClock.stamp(),
                 contraband: false // TODO: Add contraband detection
             });
             
@@ -2119,7 +2790,7 @@ export class TradingUIEventHandlers {
                 totalCostCanonical: typeof totalCostCanonical === 'number' ? totalCostCanonical : null,
                 settlement: settlement,
                 season: season,
-                date: new Date().toISOString(),
+                ...TradingClock.stamp(),
                 discountPercent: 0,
                 isSale: false,
                 contraband: false,
@@ -2345,6 +3016,263 @@ export class TradingUIEventHandlers {
         }
     }
 
+    /**
+     * Handle opening the economic events editor (GM only)
+     * @param {Event} event - Click event
+     * @private
+     */
+    async _onOpenEconomicEvents(event) {
+        event.preventDefault();
+
+        try {
+            if (!window.TradingPlacesEconomicEventsEditor) {
+                throw new Error('Economic events editor not loaded');
+            }
+
+            const dataManager = window.TradingPlaces?.getDataManager();
+            if (!dataManager) {
+                throw new Error('DataManager not available - module may not be fully initialized');
+            }
+
+            await window.TradingPlacesEconomicEventsEditor.show(dataManager);
+            this._logDebug('Economic Events', 'Opened economic events editor');
+        } catch (error) {
+            console.error('Failed to open economic events editor:', error);
+            this._logError('Economic Events', 'Failed to open economic events editor', error);
+            ui.notifications.error('Failed to open economic events editor');
+        }
+    }
+
+    async _onOpenRumorJournal(event) {
+        event.preventDefault();
+
+        try {
+            if (!window.TradingPlacesRumorJournal) {
+                throw new Error('Rumor journal not loaded');
+            }
+
+            const dataManager = window.TradingPlaces?.getDataManager();
+            if (!dataManager) {
+                throw new Error('DataManager not available - module may not be fully initialized');
+            }
+
+            await window.TradingPlacesRumorJournal.show(dataManager);
+            this._logDebug('Rumors', 'Opened rumor journal');
+        } catch (error) {
+            console.error('Failed to open rumor journal:', error);
+            this._logError('Rumors', 'Failed to open rumor journal', error);
+            ui.notifications.error('Failed to open rumor journal');
+        }
+    }
+
+    async _onOpenVesselRoster(event) {
+        event.preventDefault();
+
+        try {
+            if (!window.TradingPlacesVesselRoster) {
+                throw new Error('Vessel roster not loaded');
+            }
+
+            const dataManager = window.TradingPlaces?.getDataManager();
+            if (!dataManager) {
+                throw new Error('DataManager not available - module may not be fully initialized');
+            }
+
+            await window.TradingPlacesVesselRoster.show(dataManager);
+            this._logDebug('Vessels', 'Opened vessel roster');
+        } catch (error) {
+            console.error('Failed to open vessel roster:', error);
+            this._logError('Vessels', 'Failed to open vessel roster', error);
+            ui.notifications.error('Failed to open vessel roster');
+        }
+    }
+
+    async _onOpenProfitLedger(event) {
+        event.preventDefault();
+
+        try {
+            if (!window.TradingPlacesProfitLedger) {
+                throw new Error('Profit ledger not loaded');
+            }
+
+            const dataManager = window.TradingPlaces?.getDataManager();
+            if (!dataManager) {
+                throw new Error('DataManager not available - module may not be fully initialized');
+            }
+
+            await window.TradingPlacesProfitLedger.show(dataManager);
+            this._logDebug('Profit Report', 'Opened profit ledger');
+        } catch (error) {
+            console.error('Failed to open profit ledger:', error);
+            this._logError('Profit Report', 'Failed to open profit ledger', error);
+            ui.notifications.error('Failed to open profit ledger');
+        }
+    }
+
+    async _onOpenMarketView(event) {
+        event.preventDefault();
+
+        try {
+            if (!window.TradingPlacesMarketView) {
+                throw new Error('Market view not loaded');
+            }
+
+            const dataManager = window.TradingPlaces?.getDataManager();
+            if (!dataManager) {
+                throw new Error('DataManager not available - module may not be fully initialized');
+            }
+
+            await window.TradingPlacesMarketView.show(dataManager);
+            this._logDebug('Market View', 'Opened market view');
+        } catch (error) {
+            console.error('Failed to open market view:', error);
+            this._logError('Market View', 'Failed to open market view', error);
+            ui.notifications.error('Failed to open market view');
+        }
+    }
+
+    async _onOpenApprovalQueue(event) {
+        event.preventDefault();
+
+        try {
+            if (!window.TradingPlacesApprovalQueue) {
+                throw new Error('Approval queue not loaded');
+            }
+
+            const dataManager = window.TradingPlaces?.getDataManager();
+            if (!dataManager) {
+                throw new Error('DataManager not available - module may not be fully initialized');
+            }
+
+            await window.TradingPlacesApprovalQueue.show(dataManager);
+            this._logDebug('Trade Approval', 'Opened approval queue');
+        } catch (error) {
+            console.error('Failed to open approval queue:', error);
+            this._logError('Trade Approval', 'Failed to open approval queue', error);
+            ui.notifications.error('Failed to open approval queue');
+        }
+    }
+
+    async _onOpenDeliveryContracts(event) {
+        event.preventDefault();
+
+        try {
+            if (!window.TradingPlacesContractBoard) {
+                throw new Error('Contract board not loaded');
+            }
+
+            const dataManager = window.TradingPlaces?.getDataManager();
+            if (!dataManager) {
+                throw new Error('DataManager not available - module may not be fully initialized');
+            }
+
+            await window.TradingPlacesContractBoard.show(dataManager, {
+                settlement: this.app.selectedSettlement,
+                season: this.app.currentSeason,
+                systemAdapter: this.app.systemAdapter
+            });
+            this._logDebug('Delivery Contracts', 'Opened contract board', {
+                settlement: this.app.selectedSettlement?.name
+            });
+        } catch (error) {
+            console.error('Failed to open contract board:', error);
+            this._logError('Delivery Contracts', 'Failed to open contract board', error);
+            ui.notifications.error('Failed to open contract board');
+        }
+    }
+
+    async _onOpenCreditLedger(event) {
+        event.preventDefault();
+
+        try {
+            if (!window.TradingPlacesCreditLedger) {
+                throw new Error('Credit ledger not loaded');
+            }
+
+            const dataManager = window.TradingPlaces?.getDataManager();
+            if (!dataManager) {
+                throw new Error('DataManager not available - module may not be fully initialized');
+            }
+
+            await window.TradingPlacesCreditLedger.show(dataManager, {
+                settlement: this.app.selectedSettlement,
+                systemAdapter: this.app.systemAdapter
+            });
+            this._logDebug('Merchant Credit', 'Opened credit ledger', {
+                settlement: this.app.selectedSettlement?.name
+            });
+        } catch (error) {
+            console.error('Failed to open credit ledger:', error);
+            this._logError('Merchant Credit', 'Failed to open credit ledger', error);
+            ui.notifications.error('Failed to open credit ledger');
+        }
+    }
+
+    async _onOpenReputationPanel(event) {
+        event.preventDefault();
+
+        try {
+            if (!window.TradingPlacesReputationPanel) {
+                throw new Error('Reputation panel not loaded');
+            }
+
+            const dataManager = window.TradingPlaces?.getDataManager();
+            if (!dataManager) {
+                throw new Error('DataManager not available - module may not be fully initialized');
+            }
+
+            await window.TradingPlacesReputationPanel.show(dataManager, {
+                settlement: this.app.selectedSettlement
+            });
+            this._logDebug('Reputation', 'Opened reputation panel', {
+                settlement: this.app.selectedSettlement?.name
+            });
+        } catch (error) {
+            console.error('Failed to open reputation panel:', error);
+            this._logError('Reputation', 'Failed to open reputation panel', error);
+            ui.notifications.error('Failed to open reputation panel');
+        }
+    }
+
+    /**
+     * Open the trade planner for the selected settlement
+     * @param {Event} event - Click event
+     * @private
+     */
+    async _onOpenTradePlanner(event) {
+        event.preventDefault();
+
+        try {
+            if (!window.TradingPlacesOpportunityPlanner) {
+                throw new Error('Trade planner not loaded');
+            }
+
+            const dataManager = window.TradingPlaces?.getDataManager();
+            if (!dataManager) {
+                throw new Error('DataManager not available - module may not be fully initialized');
+            }
+
+            // Plan for the free space in the hold
+            const cargoCapacity = dataManager.getCargoCapacity();
+            const currentLoad = this.app._calculateCurrentLoad(this.app.currentCargo);
+
+            await window.TradingPlacesOpportunityPlanner.show(dataManager, {
+                settlement: this.app.selectedSettlement,
+                season: this.app.currentSeason,
+                capacity: Math.max(cargoCapacity - currentLoad, 10),
+                tradingEngine: this.app.tradingEngine,
+                pipeline: this.app.cargoAvailabilityPipeline
+            });
+            this._logDebug('Trade Planner', 'Opened trade planner', {
+                settlement: this.app.selectedSettlement?.name
+            });
+        } catch (error) {
+            console.error('Failed to open trade planner:', error);
+            this._logError('Trade Planner', 'Failed to open trade planner', error);
+            ui.notifications.error('Failed to open trade planner');
+        }
+    }
+
     /**
      * Handle posting cargo contents to chat
      * @param {Event} event - Click event
@@ -2354,8 +3282,8 @@ export class TradingUIEventHandlers {
         event.preventDefault();
 
         try {
-            // Get current cargo data
-            const currentCargo = await this._getCurrentCargo();
+            // Get the cargo aboard; stored cargo is not part of the manifest
+            const currentCargo = WarehouseStorage.aboard(await this._getCurrentCargo());
             
             console.log('📦 CARGO MANIFEST:', {
                 cargoCount: currentCargo.length,
@@ -2378,7 +3306,7 @@ export class TradingUIEventHandlers {
             const hideContraband = hideContrabandCheckbox?.checked || false;
 
             // Calculate total load and capacity
-            const cargoCapacity = await game.settings.get(MODULE_ID, "cargoCapacity") || 400;
+            const cargoCapacity = this._getCargoCapacity();
             const currentLoad = currentCargo.reduce((total, cargo) => total + (cargo.quantity || 0), 0);
             const capacityPercentage = Math.min((currentLoad / cargoCapacity) * 100, 100);
 
@@ -2399,6 +3327,7 @@ export class TradingUIEventHandlers {
                     <td class="cargo-item-cell">
                         <div class="cargo-title"><strong>${cargo.cargo}</strong> (${cargo.category}): <strong>${cargo.quantity} EP</strong></div>
                         <div class="cargo-cost">Cost: ${formattedTotal} (${formattedPrice} per EP)</div>
+                        ${cargo.tariff > 0 ? `<div class="cargo-tariff">Tolls and taxes: ${this._formatCurrencyFromDenomination(cargo.tariff, '--')}</div>` : ''}
                         <div class="cargo-origin">${cargo.settlement}</div>
                         <div class="cargo-merchant">Merchant: ${cargo.merchant || 'Unknown'}</div>
                         ${contrabandStatus ? `<div class="cargo-contraband">${contrabandStatus}</div>` : ''}
@@ -7,6 +7,8 @@ import {
     convertDenominationToCanonical,
     getCurrencyLabel
 } from '../currency-display.js';
+import { TradingClock } from '../trading-clock.js';
+import { CargoDragDrop } from '../cargo-drag-drop.js';
 
 console.log('Trading Places | Loading TradingUIRenderer.js');
 
@@ -718,8 +720,8 @@ export default class TradingUIRenderer {
 
         // Basic info (always visible) - matches original layout
         let basicInfo = `
-            <div class="cargo-header">
-                <div class="trading-places-cargo-name">${cargo.name}</div>
+            <div class="cargo-header"${isSoldOut ? '' : ' draggable="true" title="Drag onto an actor or vessel to buy"'}>
+                <div class="trading-places-cargo-name">${isSoldOut ? '' : '<i class="fas fa-grip-vertical cargo-drag-handle"></i> '}${cargo.name}</div>
                 <div class="cargo-category">${cargo.category || 'Goods'}</div>
             </div>
             <div class="trading-places-cargo-details">`;
@@ -820,11 +822,33 @@ export default class TradingUIRenderer {
 
         // Add event listeners for the buying interface
         this._attachBuyingInterfaceListeners(card, cargo);
+        this._attachCargoDragListeners(card, cargo);
         // Tooltips handled by unified system in constructor
 
         return card;
     }
 
+    /**
+     * Let a cargo card's header be dragged onto an actor sheet or vessel to buy from the slot
+     * @param {HTMLElement} card - Cargo card element
+     * @param {Object} cargo - Cargo data
+     * @private
+     */
+    _attachCargoDragListeners(card, cargo) {
+        const header = card.querySelector('.cargo-header[draggable="true"]');
+        if (!header) {
+            return;
+        }
+
+        header.addEventListener('dragstart', (event) => {
+            const data = CargoDragDrop.slotDragData(cargo, this.app.selectedSettlement);
+            event.dataTransfer.setData('text/plain', JSON.stringify(data));
+            event.dataTransfer.effectAllowed = 'copy';
+            card.classList.add('dragging');
+        });
+        header.addEventListener('dragend', () => card.classList.remove('dragging'));
+    }
+
     /**
      * Attach event listeners for the buying interface on a cargo card
      * @param {HTMLElement} card - The cargo card element
@@ -1008,7 +1032,7 @@ export default class TradingUIRenderer {
             totalCost: roundedTotalCost,
             settlement: this.app.selectedSettlement?.name || 'Unknown',
             season: this.app.currentSeason || 'Unknown',
-            date: new Date().toISOString(),
+            ...TradingClock.stamp(),
             discountPercent: discountPercent,
             isSale: false,
             contraband: cargo.slotInfo?.contraband?.contraband || false,
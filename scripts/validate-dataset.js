@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { RouteNetwork } from './route-network.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,8 +21,10 @@ class DatasetValidator {
             regionCount: 0,
             sizeDistribution: {},
             wealthDistribution: {},
-            productionCategories: new Set()
+            productionCategories: new Set(),
+            routeCount: 0
         };
+        this.settlements = [];
     }
 
     validateDataset() {
@@ -30,6 +33,9 @@ class DatasetValidator {
         // Validate settlements data
         this.validateSettlements();
         
+        // Validate route network
+        this.validateRoutes();
+
         // Validate cargo types
         this.validateCargoTypes();
         
@@ -157,6 +163,8 @@ class DatasetValidator {
     }
 
     updateStats(settlement) {
+        this.settlements.push(settlement);
+
         // Size distribution
         if (settlement.size) {
             this.stats.sizeDistribution[settlement.size] = (this.stats.sizeDistribution[settlement.size] || 0) + 1;
@@ -175,6 +183,37 @@ class DatasetValidator {
         }
     }
 
+    validateRoutes() {
+        console.log('🛶 Validating route network...');
+
+        const routesPath = path.join(this.datasetPath, 'routes.json');
+
+        // The route network is optional
+        if (!fs.existsSync(routesPath)) {
+            console.log('  - routes.json not present, skipping');
+            return;
+        }
+
+        try {
+            const routeData = JSON.parse(fs.readFileSync(routesPath, 'utf8'));
+
+            if (!routeData.routes || !Array.isArray(routeData.routes)) {
+                this.errors.push('routes.json must contain a routes array');
+                return;
+            }
+
+            RouteNetwork.validateRoutes(routeData.routes, this.settlements).forEach(error => {
+                this.errors.push(`routes.json: ${error}`);
+            });
+
+            this.stats.routeCount = routeData.routes.length;
+            console.log(`  ✓ Found ${routeData.routes.length} routes`);
+
+        } catch (error) {
+            this.errors.push(`routes.json: JSON parsing error - ${error.message}`);
+        }
+    }
+
     validateCargoTypes() {
         console.log('📦 Validating cargo types...');
         
@@ -317,6 +356,7 @@ class DatasetValidator {
         console.log(`  Total Settlements: ${this.stats.totalSettlements}`);
         console.log(`  Regional Files: ${this.stats.regionCount}`);
         console.log(`  Production Categories: ${this.stats.productionCategories.size}`);
+        console.log(`  Routes: ${this.stats.routeCount}`);
         
         console.log('\n🏘️  Size Distribution:');
         Object.entries(this.stats.sizeDistribution).forEach(([size, count]) => {
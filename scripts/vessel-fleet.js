@@ -0,0 +1,291 @@
+/**
+ * Trading Places Module - Vessel Fleet
+ * The party's boats and wagons, with their holds, crews and running costs
+ */
+
+console.log('Trading Places | Loading vessel-fleet.js');
+
+import { TradingClock, SECONDS_PER_DAY } from './trading-clock.js';
+import { RecordId } from './record-id.js';
+
+const VESSEL_TYPES = ['boat', 'wagon'];
+
+/**
+ * Vessel Fleet class for keeping the party's vessels and working out what they cost to run
+ *
+ * One vessel is active at a time: its capacity is the party's hold size. Every vessel in the
+ * fleet costs its crew's wages and its upkeep for each in-game day, whether it is sailing or
+ * not. Costs are settled in whole days from `costsPaidUntil`; days that cannot be paid wear the
+ * vessel's condition down by `unpaidConditionLossPerDay` from the `vessels` section of the
+ * trading config. Wages and upkeep are in canonical units (BP) per day.
+ */
+export class VesselFleet {
+    /**
+     * @param {Object} config - `vessels` section of the trading config
+     * @param {Object} options - { vessels, activeVesselId, now, logger } where now() returns world time in seconds
+     */
+    constructor(config = {}, options = {}) {
+        this.config = config || {};
+        this.vessels = Array.isArray(options.vessels) ? options.vessels : [];
+        this.activeVesselId = options.activeVesselId ?? null;
+        this.now = typeof options.now === 'function' ? options.now : () => TradingClock.now();
+        this.logger = options.logger || null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * Get every vessel in the fleet
+     * @returns {Array} - Vessels
+     */
+    getVessels() {
+        return this.vessels;
+    }
+
+    /**
+     * Get a vessel by id
+     * @param {string} vesselId - Vessel id
+     * @returns {Object|null} - Vessel or null if not found
+     */
+    getVessel(vesselId) {
+        return this.vessels.find(vessel => vessel.id === vesselId) || null;
+    }
+
+    /**
+     * Get the vessel carrying the party's cargo
+     * @returns {Object|null} - Active vessel, or null when the fleet is empty
+     */
+    getActiveVessel() {
+        return this.getVessel(this.activeVesselId);
+    }
+
+    /**
+     * Switch the party to another vessel
+     * @param {string} vesselId - Vessel id
+     * @returns {Object} - Newly active vessel
+     */
+    setActiveVessel(vesselId) {
+        const vessel = this._requireVessel(vesselId);
+        this.activeVesselId = vessel.id;
+
+        this.getLogger().logSystem('Vessel Fleet', `Active vessel: ${vessel.name}`, { capacity: vessel.capacity });
+        return vessel;
+    }
+
+    /**
+     * Get the hold size of the active vessel
+     * @returns {number|null} - Capacity in EP, or null when the fleet is empty
+     */
+    getCapacity() {
+        return this.getActiveVessel()?.capacity ?? null;
+    }
+
+    /**
+     * Add a vessel to the fleet; the first vessel becomes the active one
+     * @param {Object} vesselData - { name, type, capacity, crew: { size, wagePerDay }, upkeepPerDay, condition, homePort, payerId }
+     * @returns {Object} - Stored vessel
+     */
+    addVessel(vesselData) {
+        const vessel = this._normalize({
+            ...vesselData,
+            id: vesselData.id || RecordId.generate('vessel'),
+            costsPaidUntil: vesselData.costsPaidUntil ?? this.now()
+        });
+        this.vessels.push(vessel);
+
+        if (!this.getActiveVessel()) {
+            this.activeVesselId = vessel.id;
+        }
+
+        this.getLogger().logSystem('Vessel Fleet', `Vessel added: ${vessel.name}`, {
+            capacity: vessel.capacity,
+            crew: vessel.crew.size,
+            homePort: vessel.homePort
+        });
+
+        return vessel;
+    }
+
+    /**
+     * Change an existing vessel
+     * @param {string} vesselId - Vessel id
+     * @param {Object} changes - Fields to replace
+     * @returns {Object} - Updated vessel
+     */
+    updateVessel(vesselId, changes) {
+        const index = this.vessels.findIndex(vessel => vessel.id === vesselId);
+        if (index === -1) {
+            throw new Error(`Unknown vessel: ${vesselId}`);
+        }
+
+        const current = this.vessels[index];
+        const vessel = this._normalize({
+            ...current,
+            ...changes,
+            crew: { ...current.crew, ...(changes.crew || {}) },
+            id: vesselId
+        });
+        this.vessels[index] = vessel;
+        return vessel;
+    }
+
+    /**
+     * Remove a vessel; if it was active, the next vessel in the fleet takes over
+     * @param {string} vesselId - Vessel id
+     * @returns {boolean} - True if a vessel was removed
+     */
+    removeVessel(vesselId) {
+        const before = this.vessels.length;
+        this.vessels = this.vessels.filter(vessel => vessel.id !== vesselId);
+
+        if (this.activeVesselId === vesselId) {
+            this.activeVesselId = this.vessels[0]?.id ?? null;
+        }
+        return this.vessels.length < before;
+    }
+
+    /**
+     * Get what a vessel costs for each day it is kept
+     * @param {Object} vessel - Vessel
+     * @returns {Object} - { wages, upkeep, total } in canonical units per day
+     */
+    getDailyCost(vessel) {
+        const wages = vessel.crew.size * vessel.crew.wagePerDay;
+        return {
+            wages,
+            upkeep: vessel.upkeepPerDay,
+            total: wages + vessel.upkeepPerDay
+        };
+    }
+
+    /**
+     * Work out the running costs owed since each vessel was last paid for
+     * Only whole days are owed; the part-day carries over to the next settlement
+     * @param {number} now - World time in seconds (defaults to now)
+     * @returns {Object} - { vessels: [{ vessel, days, wages, upkeep, total }], total } for vessels with days owed
+     */
+    calculateRunningCosts(now = this.now()) {
+        const owed = this.vessels
+            .map(vessel => {
+                const days = Math.floor(TradingClock.elapsedDays(vessel.costsPaidUntil, now));
+                const daily = this.getDailyCost(vessel);
+                return {
+                    vessel,
+                    days,
+                    wages: daily.wages * days,
+                    upkeep: daily.upkeep * days,
+                    total: daily.total * days
+                };
+            })
+            .filter(entry => entry.days > 0);
+
+        return {
+            vessels: owed,
+            total: owed.reduce((sum, entry) => sum + entry.total, 0)
+        };
+    }
+
+    /**
+     * Settle a vessel's running costs for a number of days
+     * @param {string} vesselId - Vessel id
+     * @param {number} days - Whole days settled
+     * @param {boolean} paid - False when the party could not pay, wearing the vessel down
+     * @returns {Object} - Updated vessel
+     */
+    settleRunningCosts(vesselId, days, paid = true) {
+        const vessel = this._requireVessel(vesselId);
+        vessel.costsPaidUntil += days * SECONDS_PER_DAY;
+
+        if (!paid) {
+            const loss = days * (this.config.unpaidConditionLossPerDay ?? 5);
+            vessel.condition = Math.max(0, vessel.condition - loss);
+        }
+
+        this.getLogger().logDecision('Vessel Fleet', `Running costs ${paid ? 'paid' : 'unpaid'}: ${vessel.name}`, {
+            days,
+            condition: vessel.condition
+        });
+
+        return vessel;
+    }
+
+    /**
+     * Get the serialisable fleet
+     * @returns {Object} - { vessels, activeVesselId }
+     */
+    toJSON() {
+        return {
+            vessels: this.vessels,
+            activeVesselId: this.activeVesselId
+        };
+    }
+
+    _requireVessel(vesselId) {
+        const vessel = this.getVessel(vesselId);
+        if (!vessel) {
+            throw new Error(`Unknown vessel: ${vesselId}`);
+        }
+        return vessel;
+    }
+
+    /**
+     * Validate a vessel and fill in defaults
+     * @param {Object} vesselData - Raw vessel
+     * @returns {Object} - Normalized vessel
+     * @private
+     */
+    _normalize(vesselData) {
+        const name = typeof vesselData.name === 'string' ? vesselData.name.trim() : '';
+        if (!name) {
+            throw new Error('Vessel name is required');
+        }
+
+        const type = vesselData.type || 'boat';
+        if (!VESSEL_TYPES.includes(type)) {
+            throw new Error(`Unknown vessel type: ${type}`);
+        }
+
+        const number = (value, fallback, label) => {
+            const result = value === undefined || value === null || value === '' ? fallback : Number(value);
+            if (!Number.isFinite(result) || result < 0) {
+                throw new Error(`Vessel ${label} must be a number of at least 0`);
+            }
+            return result;
+        };
+
+        return {
+            id: vesselData.id,
+            name,
+            type,
+            capacity: number(vesselData.capacity, this.config.defaultCapacity ?? 400, 'capacity'),
+            crew: {
+                size: number(vesselData.crew?.size, 0, 'crew size'),
+                wagePerDay: number(vesselData.crew?.wagePerDay, this.config.defaultWagePerDay ?? 12, 'crew wage')
+            },
+            upkeepPerDay: number(vesselData.upkeepPerDay, 0, 'upkeep'),
+            condition: Math.min(100, number(vesselData.condition, 100, 'condition')),
+            homePort: vesselData.homePort || '',
+            payerId: vesselData.payerId || null,
+            costsPaidUntil: typeof vesselData.costsPaidUntil === 'number' ? vesselData.costsPaidUntil : this.now()
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesVesselFleet = VesselFleet;
+}
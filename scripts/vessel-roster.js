@@ -0,0 +1,270 @@
+console.log('Trading Places | Loading vessel-roster.js');
+
+/**
+ * Trading Places Module - Vessel Roster
+ * Window for adding, editing and switching between the party's boats and wagons
+ */
+
+import { formatCanonicalValue, resolveCurrencyContext } from './currency-display.js';
+import { CargoDragDrop } from './cargo-drag-drop.js';
+
+const MODULE_ID = "fvtt-trading-places";
+
+// Check if ApplicationV2 is available before defining the class
+if (typeof foundry?.applications?.api?.ApplicationV2 === 'undefined' ||
+    typeof foundry?.applications?.api?.HandlebarsApplicationMixin === 'undefined') {
+    console.warn('Trading Places | ApplicationV2 Handlebars mixin not available, vessel roster will not be loaded');
+} else {
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+const HandlebarsApplication = HandlebarsApplicationMixin(ApplicationV2);
+
+// Condition below which a vessel is flagged as worn
+const WORN_CONDITION = 50;
+
+class VesselRoster extends HandlebarsApplication {
+
+    static DEFAULT_OPTIONS = {
+        id: "trading-places-vessel-roster",
+        tag: "div",
+        window: {
+            title: "Vessels",
+            icon: "fas fa-ship",
+            resizable: true,
+            minimizable: true,
+            maximizable: false
+        },
+        position: {
+            width: 600,
+            height: 680
+        },
+        classes: ["trading-places", "vessel-roster", "application-v2"]
+    };
+
+    static PARTS = {
+        content: {
+            template: `modules/${MODULE_ID}/templates/vessel-roster.hbs`
+        }
+    };
+
+    constructor(dataManager, options = {}) {
+        super(options);
+        this.dataManager = dataManager;
+        this.editingId = null;
+    }
+
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        const fleet = this.dataManager.getVesselFleet();
+        const editing = this.editingId ? fleet.getVessel(this.editingId) : null;
+
+        context.vessels = fleet.getVessels().map(vessel => this._describeVessel(fleet, vessel));
+        context.hasVessels = context.vessels.length > 0;
+        context.dailyTotal = this._formatCurrency(fleet.getVessels().reduce((sum, vessel) => sum + fleet.getDailyCost(vessel).total, 0));
+        context.settlements = (this.dataManager.settlements || []).map(settlement => settlement.name).sort();
+        context.editing = editing;
+        context.form = editing || {
+            type: 'boat',
+            capacity: this.dataManager.tradingConfig?.vessels?.defaultCapacity ?? 400,
+            crew: { size: 0, wagePerDay: this.dataManager.tradingConfig?.vessels?.defaultWagePerDay ?? 12 },
+            upkeepPerDay: 0,
+            condition: 100,
+            homePort: ''
+        };
+        return context;
+    }
+
+    _attachPartListeners(partId, htmlElement, options) {
+        super._attachPartListeners(partId, htmlElement, options);
+
+        htmlElement.querySelectorAll('.activate-vessel-btn').forEach(button => {
+            button.addEventListener('click', () => this._onActivateVessel(button.dataset.vesselId));
+        });
+
+        htmlElement.querySelectorAll('.edit-vessel-btn').forEach(button => {
+            button.addEventListener('click', () => this._onEditVessel(button.dataset.vesselId));
+        });
+
+        htmlElement.querySelectorAll('.remove-vessel-btn').forEach(button => {
+            button.addEventListener('click', () => this._onRemoveVessel(button.dataset.vesselId));
+        });
+
+        const saveBtn = htmlElement.querySelector('.save-vessel-btn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this._onSaveVessel(htmlElement));
+        }
+
+        const cancelBtn = htmlElement.querySelector('.cancel-vessel-btn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this._onEditVessel(null));
+        }
+
+        // Market slots dragged from the trading window are bought into the vessel's hold
+        htmlElement.querySelectorAll('.vessel-entry[data-vessel-id]').forEach(entry => {
+            entry.addEventListener('dragover', (event) => {
+                event.preventDefault();
+                entry.classList.add('cargo-drop-target');
+            });
+            entry.addEventListener('dragleave', () => entry.classList.remove('cargo-drop-target'));
+            entry.addEventListener('drop', (event) => {
+                entry.classList.remove('cargo-drop-target');
+                this._onDropMarketSlot(event, entry.dataset.vesselId);
+            });
+        });
+    }
+
+    /**
+     * Buy a dropped market slot into a vessel, switching the party's cargo to it first
+     * The vessel's payer buys, or the controlled token's or the user's character when nobody pays for it
+     * @private
+     */
+    async _onDropMarketSlot(event, vesselId) {
+        event.preventDefault();
+        const data = CargoDragDrop.readDropData(event);
+        if (!CargoDragDrop.isMarketSlot(data)) {
+            return;
+        }
+
+        const app = foundry.applications?.instances?.get('trading-places');
+        if (!app?.eventHandlers) {
+            ui.notifications.warn('Open the Trading Places window to buy from its market');
+            return;
+        }
+
+        try {
+            const fleet = this.dataManager.getVesselFleet();
+            const vessel = fleet.getVessel(vesselId);
+            if (!vessel) {
+                throw new Error(`Vessel not found: ${vesselId}`);
+            }
+            if (fleet.activeVesselId !== vesselId) {
+                await this._onActivateVessel(vesselId);
+            }
+
+            const payer = vessel.payerId ? game.actors?.get(vessel.payerId) : null;
+            await app.eventHandlers.onMarketSlotDrop(data, payer || this._getActor());
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to buy into vessel:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    /**
+     * Build the display row for a vessel
+     * @private
+     */
+    _describeVessel(fleet, vessel) {
+        const daily = fleet.getDailyCost(vessel);
+        const payer = vessel.payerId ? game.actors?.get(vessel.payerId) : null;
+        return {
+            id: vessel.id,
+            name: vessel.name,
+            type: vessel.type,
+            icon: vessel.type === 'wagon' ? 'fa-horse' : 'fa-ship',
+            capacity: vessel.capacity,
+            crewSize: vessel.crew.size,
+            wagePerDay: this._formatCurrency(vessel.crew.wagePerDay),
+            upkeepPerDay: this._formatCurrency(vessel.upkeepPerDay),
+            dailyCost: this._formatCurrency(daily.total),
+            condition: vessel.condition,
+            homePort: vessel.homePort || 'None',
+            payer: payer?.name || 'Nobody',
+            paidUntil: window.TradingPlacesClock ? window.TradingPlacesClock.format(vessel.costsPaidUntil) : vessel.costsPaidUntil,
+            active: vessel.id === fleet.activeVesselId,
+            worn: vessel.condition < WORN_CONDITION
+        };
+    }
+
+    _formatCurrency(value) {
+        return formatCanonicalValue(value, resolveCurrencyContext(this.dataManager), { defaultText: `${value} BP` });
+    }
+
+    _getActor() {
+        const controlledTokens = canvas.tokens?.controlled || [];
+        return controlledTokens[0]?.actor || game.user?.character || null;
+    }
+
+    /**
+     * Read the form into a vessel definition
+     * @private
+     */
+    _readForm(htmlElement) {
+        const value = selector => htmlElement.querySelector(selector)?.value?.trim() ?? '';
+        return {
+            name: value('#vessel-name'),
+            type: value('#vessel-type') || 'boat',
+            capacity: value('#vessel-capacity'),
+            crew: {
+                size: value('#vessel-crew-size'),
+                wagePerDay: value('#vessel-crew-wage')
+            },
+            upkeepPerDay: value('#vessel-upkeep'),
+            condition: value('#vessel-condition'),
+            homePort: value('#vessel-home-port')
+        };
+    }
+
+    async _onSaveVessel(htmlElement) {
+        try {
+            const fleet = this.dataManager.getVesselFleet();
+            const vesselData = this._readForm(htmlElement);
+            // Running costs come out of the purse of whoever brings the vessel into the fleet
+            const actorId = this._getActor()?.id || null;
+            const vessel = this.editingId
+                ? fleet.updateVessel(this.editingId, { ...vesselData, payerId: fleet.getVessel(this.editingId)?.payerId || actorId })
+                : fleet.addVessel({ ...vesselData, payerId: actorId });
+
+            await this.dataManager.saveVesselFleet();
+            ui.notifications.info(`Vessel ${this.editingId ? 'updated' : 'added'}: ${vessel.name}`);
+            this.editingId = null;
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to save vessel:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    async _onEditVessel(vesselId) {
+        this.editingId = vesselId;
+        await this.render(false);
+    }
+
+    async _onActivateVessel(vesselId) {
+        try {
+            const vessel = this.dataManager.getVesselFleet().setActiveVessel(vesselId);
+            await this.dataManager.saveVesselFleet();
+            ui.notifications.info(`Now sailing with ${vessel.name} (${vessel.capacity} EP)`);
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to switch vessel:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    async _onRemoveVessel(vesselId) {
+        try {
+            this.dataManager.getVesselFleet().removeVessel(vesselId);
+            await this.dataManager.saveVesselFleet();
+            if (this.editingId === vesselId) {
+                this.editingId = null;
+            }
+            await this.render(false);
+        } catch (error) {
+            console.error('Trading Places | Failed to remove vessel:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    static async show(dataManager) {
+        const roster = new VesselRoster(dataManager);
+        await roster.render(true);
+        return roster;
+    }
+}
+
+// Export class globally
+window.TradingPlacesVesselRoster = VesselRoster;
+console.log('Trading Places | Vessel roster registered globally');
+
+} // End of ApplicationV2 availability check
@@ -0,0 +1,291 @@
+/**
+ * Trading Places Module - Warehouse Storage
+ * Warehouses rented at settlements to leave cargo in, with weekly storage fees
+ */
+
+console.log('Trading Places | Loading warehouse-storage.js');
+
+import { TradingClock, SECONDS_PER_DAY } from './trading-clock.js';
+import { RecordId } from './record-id.js';
+
+const SECONDS_PER_WEEK = 7 * SECONDS_PER_DAY;
+const STORAGE = 'warehouse';
+
+/**
+ * Warehouse Storage class for keeping the party's warehouses and what they cost
+ *
+ * Stored cargo stays in the hold list, marked with `storage: 'warehouse'` and the warehouse it
+ * is in, so it keeps its provenance, its cargo items and its spoilage (at the `warehouse`
+ * storage modifier) but no longer counts against the vessel's capacity and cannot be sold until
+ * it is retrieved at the same settlement. A warehouse is rented the first time cargo is stored at
+ * a settlement and given up when the last lot is retrieved. Fees are paid a week in advance, from
+ * the day the warehouse is rented, by the actor who rented it; a week that cannot be paid is
+ * still recorded as owed. Every week charged is kept in `charges` for the profit ledger. The
+ * weekly fee comes from the `warehouses` section of the trading config and is in canonical units (BP).
+ */
+export class WarehouseStorage {
+    static STORAGE = STORAGE;
+    static SECONDS_PER_WEEK = SECONDS_PER_WEEK;
+
+    /**
+     * @param {Object} config - `warehouses` section of the trading config ({ weeklyFee })
+     * @param {Object} options - { warehouses, charges, now, logger } where now() returns world time in seconds
+     */
+    constructor(config = {}, options = {}) {
+        this.config = config || {};
+        this.warehouses = Array.isArray(options.warehouses) ? options.warehouses : [];
+        this.charges = Array.isArray(options.charges) ? options.charges : [];
+        this.now = typeof options.now === 'function' ? options.now : () => TradingClock.now();
+        this.logger = options.logger || null;
+    }
+
+    /**
+     * Get logger or create a no-op logger if none set
+     * @returns {Object} - Logger instance
+     */
+    getLogger() {
+        if (this.logger) {
+            return this.logger;
+        }
+
+        return {
+            logSystem: () => {},
+            logCalculation: () => {},
+            logDecision: () => {}
+        };
+    }
+
+    /**
+     * @param {Object} lot - Hold lot
+     * @returns {boolean} - Whether the lot is in a warehouse rather than aboard
+     */
+    static isStored(lot) {
+        return lot?.storage === STORAGE;
+    }
+
+    /**
+     * @param {Array} hold - Hold lots
+     * @returns {Array} - The lots aboard the vessel
+     */
+    static aboard(hold = []) {
+        return (hold || []).filter(lot => !WarehouseStorage.isStored(lot));
+    }
+
+    /**
+     * Get every warehouse the party rents
+     * @returns {Array} - Warehouses
+     */
+    getWarehouses() {
+        return this.warehouses;
+    }
+
+    /**
+     * @param {string} warehouseId - Warehouse id
+     * @returns {Object|null} - Warehouse or null if not found
+     */
+    getWarehouse(warehouseId) {
+        return this.warehouses.find(warehouse => warehouse.id === warehouseId) || null;
+    }
+
+    /**
+     * @param {string} settlement - Settlement name
+     * @returns {Object|null} - The party's warehouse at the settlement
+     */
+    getWarehouseAt(settlement) {
+        return this.warehouses.find(warehouse => warehouse.settlement === settlement) || null;
+    }
+
+    /**
+     * Get every storage fee charged, newest first
+     * @returns {Array} - [{ id, warehouseId, settlement, weeks, amount, paid, payer, worldTime }]
+     */
+    getCharges() {
+        return [...this.charges].sort((a, b) => (b.worldTime ?? 0) - (a.worldTime ?? 0));
+    }
+
+    /**
+     * Get the lots stored in a warehouse
+     * @param {Array} hold - Hold lots
+     * @param {string} warehouseId - Warehouse id
+     * @returns {Array} - Stored lots
+     */
+    getStoredLots(hold, warehouseId) {
+        return (hold || []).filter(lot => WarehouseStorage.isStored(lot) && lot.warehouseId === warehouseId);
+    }
+
+    /**
+     * Rent a warehouse at a settlement, or return the one the party already has there
+     * @param {string} settlement - Settlement name
+     * @param {Object} options - { payerId, weeklyFee } where weeklyFee defaults to the config's
+     * @returns {Object} - Warehouse
+     */
+    rent(settlement, options = {}) {
+        if (typeof settlement !== 'string' || !settlement.trim()) {
+            throw new Error('Warehouse settlement is required');
+        }
+
+        const existing = this.getWarehouseAt(settlement);
+        if (existing) {
+            return existing;
+        }
+
+        const weeklyFee = Number(options.weeklyFee ?? this.config.weeklyFee ?? 120);
+        if (!Number.isFinite(weeklyFee) || weeklyFee < 0) {
+            throw new Error('Warehouse weekly fee must be a number of at least 0');
+        }
+
+        const warehouse = {
+            id: RecordId.generate('warehouse'),
+            settlement,
+            weeklyFee,
+            payerId: options.payerId || null,
+            rentedAt: this.now(),
+            // Nothing is paid yet: the first week is owed as soon as the warehouse is rented
+            feesPaidUntil: this.now()
+        };
+        this.warehouses.push(warehouse);
+
+        this.getLogger().logSystem('Warehouse Storage', `Warehouse rented at ${settlement}`, { weeklyFee });
+        return warehouse;
+    }
+
+    /**
+     * Put a lot into the party's warehouse at a settlement
+     * @param {Array} hold - Hold lots
+     * @param {string} lotId - Lot to store
+     * @param {Object} warehouse - Warehouse to store it in
+     * @returns {Object} - The stored lot (replaced in the hold)
+     */
+    store(hold, lotId, warehouse) {
+        const index = hold.findIndex(lot => lot.id === lotId);
+        if (index === -1) {
+            throw new Error(`Cargo not found in the hold: ${lotId}`);
+        }
+        if (WarehouseStorage.isStored(hold[index])) {
+            throw new Error(`${hold[index].cargo} is already in storage`);
+        }
+
+        const lot = {
+            ...hold[index],
+            storage: STORAGE,
+            warehouseId: warehouse.id,
+            storedAt: this.now()
+        };
+        hold[index] = lot;
+
+        this.getLogger().logDecision('Warehouse Storage', `Stored ${lot.quantity} EP of ${lot.cargo} at ${warehouse.settlement}`, { lotId });
+        return lot;
+    }
+
+    /**
+     * Take a lot out of storage and back aboard; the warehouse is given up when it is empty
+     * @param {Array} hold - Hold lots
+     * @param {string} lotId - Lot to retrieve
+     * @param {string} settlement - Settlement the party is at
+     * @returns {Object} - { lot, warehouse, closed } where closed is true when the warehouse was given up
+     */
+    retrieve(hold, lotId, settlement) {
+        const index = hold.findIndex(lot => lot.id === lotId);
+        if (index === -1 || !WarehouseStorage.isStored(hold[index])) {
+            throw new Error(`Cargo not found in storage: ${lotId}`);
+        }
+
+        const warehouse = this.getWarehouse(hold[index].warehouseId);
+        if (warehouse && warehouse.settlement !== settlement) {
+            throw new Error(`${hold[index].cargo} is stored at ${warehouse.settlement}`);
+        }
+
+        const { storage, warehouseId, storedAt, ...lot } = hold[index];
+        hold[index] = lot;
+
+        const closed = Boolean(warehouse) && this.getStoredLots(hold, warehouse.id).length === 0;
+        if (closed) {
+            this.warehouses = this.warehouses.filter(entry => entry.id !== warehouse.id);
+        }
+
+        this.getLogger().logDecision('Warehouse Storage', `Retrieved ${lot.quantity} EP of ${lot.cargo}`, {
+            lotId,
+            settlement,
+            closed
+        });
+        return { lot, warehouse, closed };
+    }
+
+    /**
+     * Work out the storage fees owed; a week is owed as soon as it starts
+     * @param {number} now - World time in seconds (defaults to now)
+     * @returns {Array} - [{ warehouse, weeks, amount }] for warehouses with weeks owed
+     */
+    calculateFees(now = this.now()) {
+        return this.warehouses
+            .filter(warehouse => now >= warehouse.feesPaidUntil)
+            .map(warehouse => {
+                const weeks = Math.floor((now - warehouse.feesPaidUntil) / SECONDS_PER_WEEK) + 1;
+                return { warehouse, weeks, amount: weeks * warehouse.weeklyFee };
+            });
+    }
+
+    /**
+     * Settle the fees owed on a warehouse and record them
+     * @param {string} warehouseId - Warehouse id
+     * @param {number} weeks - Whole weeks settled
+     * @param {Object} options - { paid, payer } where paid is false when the party could not pay
+     * @returns {Object} - The recorded charge
+     */
+    settleFees(warehouseId, weeks, options = {}) {
+        const warehouse = this.getWarehouse(warehouseId);
+        if (!warehouse) {
+            throw new Error(`Unknown warehouse: ${warehouseId}`);
+        }
+
+        warehouse.feesPaidUntil += weeks * SECONDS_PER_WEEK;
+        const charge = {
+            id: RecordId.generate('warehouse'),
+            warehouseId,
+            settlement: warehouse.settlement,
+            weeks,
+            amount: weeks * warehouse.weeklyFee,
+            paid: options.paid !== false,
+            payer: options.payer || null,
+            worldTime: this.now()
+        };
+        this.charges.push(charge);
+
+        this.getLogger().logDecision('Warehouse Storage', `Storage fees ${charge.paid ? 'paid' : 'unpaid'} at ${warehouse.settlement}`, {
+            weeks,
+            amount: charge.amount
+        });
+        return charge;
+    }
+
+    /**
+     * Charge every warehouse the fees it owes
+     * @param {Function} pay - async (warehouse, amount, weeks) => { paid, payer }, taking the money from the payer
+     * @param {number} now - World time in seconds (defaults to now)
+     * @returns {Promise<Array>} - Recorded charges
+     */
+    async collectFees(pay, now = this.now()) {
+        const charges = [];
+        for (const { warehouse, weeks, amount } of this.calculateFees(now)) {
+            const result = amount === 0 ? { paid: true } : await pay(warehouse, amount, weeks);
+            charges.push(this.settleFees(warehouse.id, weeks, { paid: result?.paid !== false, payer: result?.payer || null }));
+        }
+        return charges;
+    }
+
+    /**
+     * Get the serialisable storage state
+     * @returns {Object} - { warehouses, charges }
+     */
+    toJSON() {
+        return {
+            warehouses: this.warehouses,
+            charges: this.charges
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TradingPlacesWarehouseStorage = WarehouseStorage;
+}
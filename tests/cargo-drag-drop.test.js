@@ -0,0 +1,102 @@
+/**
+ * Unit tests for dragging market slots and cargo items, and for selling a selected lot
+ */
+
+global.window = global.window || {};
+
+const { CargoDragDrop } = require('../scripts/cargo-drag-drop.js');
+const { SellingFlow } = require('../scripts/flow/SellingFlow.js');
+
+function cargoItem(id, flags) {
+    return { id, name: flags.cargoType, flags: { 'fvtt-trading-places': { cargo: flags } } };
+}
+
+describe('CargoDragDrop', () => {
+    const market = [
+        { slotNumber: 1, name: 'Wine', category: 'Wine/Brandy', totalEP: 30 },
+        { slotNumber: 2, name: 'Grain', category: 'Grain', totalEP: 0 },
+        { slotNumber: 3, name: 'Wine', category: 'Wine/Brandy', quantity: 12 }
+    ];
+
+    test('should carry only what identifies a market slot', () => {
+        const data = CargoDragDrop.slotDragData({ ...market[0], currentPrice: 48, merchant: { name: 'Hans' } }, { name: 'Altdorf' });
+
+        expect(data).toEqual({ type: 'TradingPlacesCargo', settlement: 'Altdorf', slotNumber: 1, name: 'Wine', category: 'Wine/Brandy' });
+        expect(CargoDragDrop.isMarketSlot(data)).toBe(true);
+        expect(CargoDragDrop.isMarketSlot({ type: 'Item', uuid: 'Actor.a.Item.b' })).toBe(false);
+    });
+
+    test('should read drag data from a drop and ignore anything else', () => {
+        const dropOf = text => ({ dataTransfer: { getData: () => text } });
+
+        expect(CargoDragDrop.readDropData(dropOf('{"type":"Item","uuid":"Item.x"}'))).toEqual({ type: 'Item', uuid: 'Item.x' });
+        expect(CargoDragDrop.readDropData(dropOf('just some text'))).toBeNull();
+        expect(CargoDragDrop.readDropData(dropOf(''))).toBeNull();
+    });
+
+    test('should find the dropped slot again and what is left of it', () => {
+        const slot = CargoDragDrop.findSlot(market, { name: 'Wine', slotNumber: 3 });
+
+        expect(slot).toBe(market[2]);
+        expect(CargoDragDrop.availableQuantity(slot)).toBe(12);
+        expect(CargoDragDrop.findSlot(market, { name: 'Wine', slotNumber: null })).toBe(market[0]);
+        expect(CargoDragDrop.availableQuantity(CargoDragDrop.findSlot(market, { name: 'Grain', slotNumber: 2 }))).toBe(0);
+        expect(CargoDragDrop.findSlot(market, { name: 'Wool', slotNumber: 1 })).toBeNull();
+    });
+
+    test('should match a cargo item to its lot by lot id, item reference, then type and quality', () => {
+        const hold = [
+            { id: 'lot-1', cargo: 'Wine', quality: 'Good', actualTier: 'Poor', items: [{ actorId: 'a1', itemId: 'item-1', quantity: 10 }] },
+            { id: 'lot-2', cargo: 'Wine', quality: 'Average' },
+            { id: 'lot-3', cargo: 'Grain', quality: 'Average', items: [{ actorId: 'a1', itemId: 'item-3', quantity: 5 }] }
+        ];
+
+        expect(CargoDragDrop.findLot(hold, cargoItem('item-9', { cargoType: 'Wine', quality: 'Average', lotId: 'lot-1' }))).toBe(hold[0]);
+        expect(CargoDragDrop.findLot(hold, cargoItem('item-3', { cargoType: 'Grain', quality: 'Average' }))).toBe(hold[2]);
+        expect(CargoDragDrop.findLot(hold, cargoItem('item-7', { cargoType: 'Wine', quality: 'poor' }))).toBe(hold[0]);
+        expect(CargoDragDrop.findLot(hold, cargoItem('item-8', { cargoType: 'Wool', quality: 'Average' }))).toBeNull();
+        expect(CargoDragDrop.findLot(hold, { id: 'sword', name: 'Sword', flags: {} })).toBeNull();
+    });
+});
+
+describe('SellingFlow cargo selection', () => {
+    let app;
+    let flow;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        app = {
+            selectedSellingCargoId: null,
+            selectedResource: null,
+            dataManager: {
+                cargo: [
+                    { id: 'lot-1', cargo: 'Wine', quantity: 10 },
+                    { id: 'lot-2', cargo: 'Grain', quantity: 20 }
+                ]
+            }
+        };
+        flow = new SellingFlow(app);
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    test('should seek buyers for the whole hold until a lot is selected', () => {
+        expect(flow._getSellableCargo().map(lot => lot.id)).toEqual(['lot-1', 'lot-2']);
+
+        flow.selectCargo(app.dataManager.cargo[1]);
+        expect(app.selectedSellingCargoId).toBe('lot-2');
+        expect(app.selectedResource).toBe('Grain');
+        expect(flow._getSellableCargo().map(lot => lot.id)).toEqual(['lot-2']);
+
+        flow.selectCargo(null);
+        expect(flow._getSellableCargo()).toHaveLength(2);
+    });
+
+    test('should fall back to the whole hold when the selected lot has gone', () => {
+        app.selectedSellingCargoId = 'lot-9';
+
+        expect(flow._getSellableCargo()).toHaveLength(2);
+    });
+});
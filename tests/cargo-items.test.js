@@ -0,0 +1,141 @@
+/**
+ * Unit tests for reading the hold back from flagged cargo items
+ */
+
+global.window = global.window || {};
+
+const { CargoItems } = require('../scripts/cargo-items.js');
+
+function cargoItem(id, quantity, flags) {
+    return {
+        id,
+        system: { quantity: { value: quantity } },
+        flags: { 'fvtt-trading-places': { cargo: { cargoType: 'Wine', category: 'Wine', quality: 'Poor', purchasePrice: 480, ...flags } } }
+    };
+}
+
+function actor(id, items) {
+    return { id, items: new Map(items.map(item => [item.id, item])) };
+}
+
+describe('CargoItems', () => {
+    test('should build the provenance flag from the purchase', () => {
+        const flags = CargoItems.buildFlags('Wine', { category: 'Wine' }, {
+            lotId: 'lot-1',
+            quality: 'Poor',
+            claimedQuality: 'Excellent',
+            settlement: 'Altdorf',
+            season: 'spring',
+            purchaseDate: '1 Nachexen',
+            purchaseTime: 3600,
+            totalPrice: 480,
+            pricePerUnit: 48,
+            contraband: true,
+            merchant: 'Hans'
+        });
+
+        expect(flags).toEqual({
+            lotId: 'lot-1',
+            cargoType: 'Wine',
+            category: 'Wine',
+            quality: 'Poor',
+            claimedQuality: 'Excellent',
+            settlement: 'Altdorf',
+            season: 'spring',
+            purchaseDate: '1 Nachexen',
+            purchaseTime: 3600,
+            purchasePrice: 480,
+            pricePerEP: 48,
+            contraband: true,
+            merchant: 'Hans'
+        });
+    });
+
+    test('should only collect flagged items', () => {
+        const found = CargoItems.collect([
+            actor('actor-1', [cargoItem('item-1', 10, { lotId: 'lot-1' }), { id: 'sword', system: { quantity: { value: 1 } }, flags: {} }])
+        ]);
+
+        expect(found).toEqual([{ actorId: 'actor-1', itemId: 'item-1', quantity: 10, flags: expect.objectContaining({ lotId: 'lot-1' }) }]);
+        expect(CargoItems.isCargoItem(cargoItem('item-2', 1, {}))).toBe(true);
+        expect(CargoItems.isCargoItem({ flags: {} })).toBe(false);
+    });
+
+    test('should take the quantity and real quality of a lot from its items', () => {
+        const hold = [{ id: 'lot-1', cargo: 'Wine', quality: 'Excellent', actualTier: 'Average', quantity: 10, totalCost: 480, pricePerEP: 48, spoilage: { ageDays: 3 } }];
+        const items = CargoItems.collect([actor('actor-1', [cargoItem('item-1', 8, { lotId: 'lot-1' })])]);
+
+        const { cargo, changed } = CargoItems.reconcile(hold, items);
+
+        expect(changed).toBe(true);
+        expect(cargo).toEqual([{
+            ...hold[0],
+            quantity: 8,
+            actualTier: 'Poor',
+            pricePerEP: 60,
+            items: [{ actorId: 'actor-1', itemId: 'item-1', quantity: 8 }]
+        }]);
+    });
+
+    test('should report no change when the hold already matches', () => {
+        const hold = [{ id: 'lot-1', cargo: 'Wine', quality: 'Poor', quantity: 10, items: [{ actorId: 'actor-1', itemId: 'item-1', quantity: 10 }] }];
+        const items = CargoItems.collect([actor('actor-1', [cargoItem('item-1', 10, { lotId: 'lot-1' })])]);
+
+        expect(CargoItems.reconcile(hold, items)).toEqual({ cargo: hold, changed: false });
+    });
+
+    test('should drop lots whose items are gone and keep lots that never had any', () => {
+        const hold = [
+            { id: 'lot-1', cargo: 'Wine', quantity: 10, items: [{ actorId: 'actor-1', itemId: 'item-1', quantity: 10 }] },
+            { id: 'lot-2', cargo: 'Grain', quantity: 30 }
+        ];
+
+        const { cargo, changed } = CargoItems.reconcile(hold, []);
+
+        expect(changed).toBe(true);
+        expect(cargo.map(lot => lot.id)).toEqual(['lot-2']);
+    });
+
+    test('should add a lot for flagged items the hold does not know about', () => {
+        const items = CargoItems.collect([
+            actor('actor-1', [cargoItem('item-1', 6, { lotId: 'lot-9', claimedQuality: 'Good', settlement: 'Nuln', contraband: true, purchasePrice: 300 })]),
+            actor('actor-2', [cargoItem('item-2', 4, { lotId: 'lot-9', claimedQuality: 'Good', settlement: 'Nuln', contraband: true, purchasePrice: 200 })])
+        ]);
+
+        const { cargo } = CargoItems.reconcile([], items);
+
+        expect(cargo).toEqual([expect.objectContaining({
+            id: 'lot-9',
+            cargo: 'Wine',
+            quantity: 10,
+            totalCost: 500,
+            pricePerEP: 50,
+            settlement: 'Nuln',
+            contraband: true,
+            quality: 'Good',
+            actualTier: 'Poor',
+            items: [
+                { actorId: 'actor-1', itemId: 'item-1', quantity: 6 },
+                { actorId: 'actor-2', itemId: 'item-2', quantity: 4 }
+            ]
+        })]);
+    });
+
+    test('should share a lot out over its items', () => {
+        const lot = {
+            quantity: 7,
+            quality: 'Good',
+            actualTier: 'Poor',
+            items: [
+                { actorId: 'actor-1', itemId: 'item-1', quantity: 6 },
+                { actorId: 'actor-2', itemId: 'item-2', quantity: 4 }
+            ]
+        };
+
+        expect(CargoItems.planItemUpdates(lot)).toEqual([
+            { actorId: 'actor-1', itemId: 'item-1', quantity: 5, quality: 'Poor' },
+            { actorId: 'actor-2', itemId: 'item-2', quantity: 2, quality: 'Poor' }
+        ]);
+        expect(CargoItems.planItemUpdates({ ...lot, quantity: 0 }).map(update => update.quantity)).toEqual([0, 0]);
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for cargo spoilage over world time
+ */
+
+global.window = global.window || {};
+
+const { CargoSpoilage } = require('../scripts/cargo-spoilage.js');
+const { createDataManager } = require('./foundry-harness/dataset-fixture.js');
+
+const DAY = 24 * 60 * 60;
+
+const cargoTypes = [
+    { name: 'Sustenance', perishability: { shelfLifeDays: 28, qualityStepsPerWeek: 1 } },
+    { name: 'Cheese', perishability: { shelfLifeDays: 42, qualityStepsPerWeek: 0.5 } },
+    { name: 'Cattle', perishability: { shelfLifeDays: 14, quantityLossPerWeek: 0.1, storageModifiers: { warehouse: 1 } } },
+    { name: 'Wine', qualitySystem: 'wine_brandy', qualityTiers: { swill: 0.33, passable: 0.66, average: 1, good: 2 }, perishability: { shelfLifeDays: 7, qualityStepsPerWeek: 1 } },
+    { name: 'Iron' }
+];
+
+const config = { warningDays: 3, storageModifiers: { hold: 1, warehouse: 0.5 } };
+
+describe('CargoSpoilage', () => {
+    let spoilage;
+
+    beforeEach(() => {
+        spoilage = new CargoSpoilage(config, cargoTypes);
+    });
+
+    test('should only treat cargo with perishability fields as perishable', () => {
+        expect(spoilage.getPerishability({ cargo: 'Iron' })).toBeNull();
+        expect(spoilage.getPerishability({ cargo: 'Unknown' })).toBeNull();
+        expect(spoilage.getPerishability({ cargo: 'Cattle' })).toEqual({
+            shelfLifeDays: 14,
+            qualityStepsPerWeek: 0,
+            quantityLossPerWeek: 0.1,
+            warningDays: 3,
+            storageModifiers: { hold: 1, warehouse: 1 }
+        });
+    });
+
+    test('should step down through the quality tiers of each quality system', () => {
+        const standard = spoilage.getQualityTiers({ cargo: 'Sustenance' });
+        expect(spoilage.stepQuality(standard, 'High', 2)).toBe('Common');
+        expect(spoilage.stepQuality(standard, 'average', 1)).toBe('common');
+        expect(spoilage.stepQuality(standard, 'Poor', 1)).toBeNull();
+
+        const wine = spoilage.getQualityTiers({ cargo: 'Wine' });
+        expect(spoilage.stepQuality(wine, 'good', 1)).toBe('average');
+        expect(spoilage.stepQuality(wine, 'Passable', 1)).toBe('Swill');
+    });
+
+    test('should keep goods within their shelf life and drop a tier each week past it', () => {
+        const hold = [
+            { id: 'food', cargo: 'Sustenance', quality: 'High', actualTier: 'High', quantity: 40, worldTime: 0 },
+            { id: 'iron', cargo: 'Iron', quality: 'Average', quantity: 20, worldTime: 0 }
+        ];
+
+        const fresh = spoilage.applyDecay(hold, 27 * DAY);
+        expect(fresh.changed).toBe(false);
+        expect(fresh.cargo[0].quality).toBe('High');
+
+        const stale = spoilage.applyDecay(hold, 42 * DAY);
+        expect(stale.changed).toBe(true);
+        expect(stale.cargo[0]).toMatchObject({ quality: 'Common', actualTier: 'Common', quantity: 40 });
+        expect(stale.changes).toEqual([expect.objectContaining({ from: { quality: 'High', quantity: 40 }, to: { quality: 'Common', quantity: 40 } })]);
+        expect(stale.cargo[1]).toBe(hold[1]);
+    });
+
+    test('should not decay twice for the same span of time', () => {
+        const hold = [{ id: 'cheese', cargo: 'Cheese', quality: 'Average', quantity: 10, worldTime: 0 }];
+
+        const first = spoilage.applyDecay(hold, 56 * DAY);
+        expect(first.cargo[0].quality).toBe('Common');
+
+        const again = spoilage.applyDecay(first.cargo, 56 * DAY);
+        expect(again.changed).toBe(false);
+        expect(again.cargo[0].quality).toBe('Common');
+
+        const later = spoilage.applyDecay(first.cargo, 70 * DAY);
+        expect(later.cargo[0].quality).toBe('Poor');
+    });
+
+    test('should lose livestock by quantity and keep what was paid with what is left', () => {
+        const hold = [{ id: 'herd', cargo: 'Cattle', quality: 'Average', quantity: 50, totalCost: 5000, pricePerEP: 100, worldTime: 0 }];
+
+        const result = spoilage.applyDecay(hold, 28 * DAY);
+        expect(result.cargo[0]).toMatchObject({ quantity: 40, totalCost: 5000, pricePerEP: 125 });
+    });
+
+    test('should throw out goods that fall below the lowest tier', () => {
+        const hold = [{ id: 'food', cargo: 'Sustenance', quality: 'Common', quantity: 40, worldTime: 0 }];
+
+        const result = spoilage.applyDecay(hold, 42 * DAY);
+        expect(result.cargo).toEqual([]);
+        expect(result.spoiled.map(cargo => cargo.id)).toEqual(['food']);
+        expect(result.changed).toBe(true);
+        expect(() => spoilage.applyDecay(hold)).toThrow('Spoilage time must be a number of seconds');
+    });
+
+    test('should age goods more slowly in a warehouse', () => {
+        const stored = { id: 'food', cargo: 'Sustenance', quality: 'Average', quantity: 40, worldTime: 0, storage: 'warehouse' };
+
+        expect(spoilage.applyDecay([stored], 42 * DAY).changed).toBe(false);
+        expect(spoilage.applyDecay([stored], 70 * DAY).cargo[0].quality).toBe('Common');
+    });
+
+    test('should warn a few days before goods lose quality', () => {
+        const cargo = { cargo: 'Sustenance', quality: 'Average', quantity: 40, worldTime: 0 };
+
+        expect(spoilage.getStatus(cargo, 10 * DAY)).toMatchObject({ perishable: true, warning: false, decaying: false, daysUntilDecay: 25 });
+        expect(spoilage.getStatus(cargo, 33 * DAY)).toMatchObject({ warning: true, decaying: true, daysUntilDecay: 2 });
+        expect(spoilage.getStatus({ cargo: 'Iron' }, 33 * DAY)).toEqual({ perishable: false, warning: false, decaying: false });
+    });
+});
+
+describe('DataManager cargo spoilage', () => {
+    let dataManager;
+    let settingsStore;
+
+    beforeEach(() => {
+        settingsStore = { currentCargo: {} };
+        global.game = {
+            settings: {
+                get: jest.fn((module, key) => settingsStore[key]),
+                set: jest.fn(async (module, key, value) => { settingsStore[key] = value; })
+            }
+        };
+
+        dataManager = createDataManager();
+        dataManager.activeDatasetName = 'wfrp4e';
+        dataManager.saveCurrentDataset = jest.fn().mockResolvedValue(undefined);
+    });
+
+    afterEach(() => {
+        delete global.game;
+    });
+
+    test('should give the dataset perishable goods shelf lives', () => {
+        const spoilage = dataManager.getCargoSpoilage();
+
+        ['Sustenance', 'Cheese', 'Herbs', 'Cattle', 'Goats', 'Hogs', 'Horses', 'Sheep'].forEach(cargo => {
+            expect(spoilage.getPerishability({ cargo })).not.toBeNull();
+        });
+        expect(spoilage.getPerishability({ cargo: 'Iron' })).toBeNull();
+    });
+
+    test('should save the hold only when goods were lost', async () => {
+        dataManager.cargo = [
+            { id: 'herbs', cargo: 'Herbs', quality: 'Average', quantity: 10, worldTime: 0 },
+            { id: 'iron', cargo: 'Iron', quality: 'Average', quantity: 20, worldTime: 0 }
+        ];
+
+        const fresh = await dataManager.applyCargoSpoilage(5 * DAY);
+        expect(fresh.changed).toBe(false);
+        expect(dataManager.saveCurrentDataset).not.toHaveBeenCalled();
+
+        await dataManager.applyCargoSpoilage(28 * DAY);
+        expect(dataManager.cargo[0].quality).toBe('Common');
+        expect(dataManager.saveCurrentDataset).toHaveBeenCalled();
+        expect(settingsStore.currentCargo.wfrp4e.map(cargo => cargo.quality)).toEqual(['Common', 'Average']);
+    });
+});
@@ -827,15 +827,15 @@ describe('Comprehensive FoundryVTT Integration Tests', () => {
             
             const purchaseData = {
                 settlementName: 'Averheim',
-                purchaseTime: Date.now() - (8 * 24 * 60 * 60 * 1000) // 8 days ago
+                purchaseTime: 0 // World time in seconds
             };
             
-            // Step 1: Check sale eligibility
+            // Step 1: Check sale eligibility (8 days of world time later)
             const saleEligibility = tradingEngine.checkSaleEligibility(
                 { name: 'Wine', quantity: 20 },
                 settlement,
                 purchaseData,
-                Date.now()
+                8 * 24 * 60 * 60
             );
             
             expect(saleEligibility.eligible).toBe(true);
@@ -0,0 +1,247 @@
+/**
+ * Unit tests for contraband inspections, fines, confiscation and bribes
+ */
+
+global.window = global.window || {};
+
+const { ContrabandInspection } = require('../scripts/contraband-inspection.js');
+const { InspectionFlow } = require('../scripts/flow/InspectionFlow.js');
+const { createDataManager } = require('./foundry-harness/dataset-fixture.js');
+
+const config = {
+    baseChance: 0.05,
+    triggers: { arrival: 0, sale: 0.1 },
+    forces: { weights: { a: 3, b: 2, c: 1 }, militiaFactor: 0.5, chancePer100: 0.02, maxBonus: 0.25 },
+    flagBonuses: { government: 0.1, fort: 0.15, smuggling: -0.1 },
+    contraband: { chancePer10EP: 0.01, maxBonus: 0.2 },
+    maxChance: 0.9,
+    fine: { rate: 0.5, minimum: 240 },
+    bribe: { rate: 0.25, minimum: 120, baseChance: 0.7, minChance: 0.1, flagPenalties: { government: 0.2 }, failedFineMultiplier: 2 }
+};
+
+const hold = [
+    { id: 'wine', cargo: 'Wine', quality: 'Average', quantity: 30, totalCost: 3600, contraband: true },
+    { id: 'grain', cargo: 'Grain', quality: 'Average', quantity: 50, totalCost: 1000, contraband: false },
+    { id: 'silk', cargo: 'Silks', quality: 'High', quantity: 20, pricePerEP: 200, contraband: true }
+];
+
+describe('ContrabandInspection', () => {
+    let inspector;
+
+    beforeEach(() => {
+        inspector = new ContrabandInspection(config);
+    });
+
+    test('should find the contraband aboard', () => {
+        const aboard = inspector.getContrabandAboard(hold);
+        expect(aboard.cargo.map(cargo => cargo.id)).toEqual(['wine', 'silk']);
+        expect(aboard.quantity).toBe(50);
+
+        expect(inspector.getContrabandAboard([]).quantity).toBe(0);
+        expect(ContrabandInspection.isContraband({ contraband: { contraband: true } })).toBe(true);
+    });
+
+    test('should weigh garrisons and militias in either form', () => {
+        expect(inspector.getForceStrength({ a: 10, b: 20, c: 100 })).toBe(170);
+        expect(inspector.getForceStrength(['10a', '20b', '100c'])).toBe(170);
+        expect(inspector.getForceStrength(undefined)).toBe(0);
+    });
+
+    test('should raise the chance for strong forces, regulating flags, selling and a full hold', () => {
+        const sleepy = { name: 'Hamlet', flags: [], garrison: {}, militia: {} };
+        const fortress = { name: 'Keep', flags: ['government', 'fort'], garrison: { a: 100, b: 200 }, militia: { c: 400 } };
+
+        const quiet = inspector.calculateChance(sleepy, [], 'arrival');
+        expect(quiet.chance).toBeCloseTo(5);
+        expect(quiet.steps.map(step => step.label)).toEqual(['Base chance']);
+
+        // 5% + 10% sale + garrison 700 → 14% + militia 200 → 4% + 10% + 15% flags + 5% contraband
+        const strict = inspector.calculateChance(fortress, hold, 'sale');
+        expect(strict.chance).toBeCloseTo(63);
+        expect(strict.contrabandEP).toBe(50);
+        expect(strict.steps.map(step => step.label)).toEqual([
+            'Base chance', 'Selling in the market', 'Garrison', 'Militia', 'Flag: government', 'Flag: fort', 'Contraband aboard (50 EP)'
+        ]);
+
+        const den = inspector.calculateChance({ name: 'Den', flags: ['smuggling'] }, [], 'arrival');
+        expect(den.chance).toBe(0);
+    });
+
+    test('should only find contraband when the search roll succeeds', () => {
+        const settlement = { name: 'Keep', flags: ['government'], garrison: { b: 100 } };
+
+        const searched = inspector.inspect(settlement, hold, { trigger: 'arrival', roll: 10 });
+        expect(searched.inspected).toBe(true);
+        expect(searched.found).toBe(true);
+        expect(searched.contraband.map(cargo => cargo.id)).toEqual(['wine', 'silk']);
+        expect(searched.contrabandEP).toBe(50);
+
+        const missed = inspector.inspect(settlement, hold, { trigger: 'arrival', roll: 95 });
+        expect(missed.inspected).toBe(false);
+        expect(missed.found).toBe(false);
+        expect(missed.contraband).toEqual([]);
+
+        expect(() => inspector.inspect(settlement, hold, { trigger: 'smuggling', roll: 10 })).toThrow('Unknown inspection trigger: smuggling');
+        expect(() => inspector.inspect(settlement, hold, { trigger: 'arrival' })).toThrow('Inspection roll must be a number');
+        expect(() => inspector.calculateChance(null)).toThrow('Inspection settlement is required');
+    });
+
+    test('should fine on the contraband value and price bribes by how strict the settlement is', () => {
+        const contraband = inspector.getContrabandAboard(hold).cargo;
+
+        // Wine 3600 BP + Silks 20 EP * 200 BP = 7600 BP
+        const penalty = inspector.assessPenalty({ name: 'Keep', flags: ['government'] }, contraband);
+        expect(penalty).toEqual({ value: 7600, fine: 3800, bribe: { amount: 1900, chance: 50 } });
+
+        const cheap = inspector.assessPenalty({ name: 'Hamlet', flags: [] }, [{ cargo: 'Herbs', quantity: 10, pricePerEP: 2 }]);
+        expect(cheap.fine).toBe(240);
+        expect(cheap.bribe).toEqual({ amount: 120, chance: 70 });
+    });
+
+    test('should keep the cargo when a bribe is accepted and raise the fine when it is refused', () => {
+        const penalty = { fine: 3800, bribe: { amount: 1900, chance: 50 } };
+
+        expect(inspector.resolveBribe(penalty, 30)).toEqual({ success: true, roll: 30, chance: 50, paid: 1900, fine: 0, confiscate: false });
+        expect(inspector.resolveBribe(penalty, 80)).toEqual({ success: false, roll: 80, chance: 50, paid: 0, fine: 7600, confiscate: true });
+    });
+
+    test('should be built from the dataset trading config', () => {
+        const dataManager = createDataManager();
+
+        const averheim = { name: 'Averheim', flags: ['trade', 'government', 'agriculture'], garrison: { a: 35, b: 80, c: 350 } };
+        const result = dataManager.getContrabandInspection().calculateChance(averheim, hold, 'arrival');
+
+        // 5% + garrison 615 → 12.3% + government 10% + 50 EP contraband 5%
+        expect(result.chance).toBeCloseTo(32.3);
+    });
+});
+
+describe('InspectionFlow', () => {
+    let app;
+    let flow;
+    let rolls;
+    let choice;
+    let settingsStore;
+    let systemAdapter;
+    let chat;
+
+    beforeEach(() => {
+        rolls = [];
+        choice = 'fine';
+        chat = [];
+        settingsStore = { currentCargo: { default: hold.map(cargo => ({ ...cargo })) }, chatVisibility: 'all' };
+
+        global.Roll = class {
+            async evaluate() {
+                this.total = rolls.shift();
+            }
+        };
+        global.ChatMessage = {
+            create: jest.fn(async message => chat.push(message)),
+            getSpeaker: jest.fn(() => ({ alias: 'Inspector' })),
+            getWhisperRecipients: jest.fn(() => [{ id: 'gm-1' }])
+        };
+        global.foundry = { applications: { api: { DialogV2: { wait: jest.fn(async () => choice) } } } };
+        global.game = {
+            user: { id: 'player-1', character: { id: 'actor-1', name: 'Captain' } },
+            settings: {
+                get: jest.fn((module, key) => settingsStore[key]),
+                set: jest.fn(async (module, key, value) => { settingsStore[key] = value; })
+            }
+        };
+        global.canvas = { tokens: { controlled: [] } };
+        global.ui = { notifications: { warn: jest.fn(), info: jest.fn() } };
+
+        systemAdapter = {
+            deductCurrency: jest.fn().mockResolvedValue({ success: true }),
+            toPrimaryDenomination: amount => amount / 240,
+            findCargoInInventory: jest.fn((actor, cargoName) => [{ id: `item-${cargoName}` }]),
+            removeCargoFromInventory: jest.fn().mockResolvedValue({ success: true })
+        };
+
+        const dataManager = {
+            activeDatasetName: 'default',
+            cargo: settingsStore.currentCargo.default,
+            getContrabandInspection: () => new ContrabandInspection(config),
+            saveCurrentDataset: jest.fn().mockResolvedValue(undefined)
+        };
+        app = {
+            dataManager,
+            systemAdapter,
+            selectedSettlement: { name: 'Keep', flags: ['government'], garrison: { b: 100 } },
+            currentCargo: settingsStore.currentCargo.default,
+            refreshUI: jest.fn().mockResolvedValue(undefined)
+        };
+        flow = new InspectionFlow(app);
+        flow._formatCurrencyFromCanonical = jest.fn(value => `${value} BP`);
+        flow._logInfo = jest.fn();
+    });
+
+    test('should do nothing when there is no contraband aboard', async () => {
+        app.currentCargo = [hold[1]];
+
+        expect(await flow.runInspection('arrival')).toBeNull();
+        expect(ChatMessage.create).not.toHaveBeenCalled();
+    });
+
+    test('should whisper the search roll to the GM and stop when no search is made', async () => {
+        rolls = [99];
+
+        const result = await flow.runInspection('arrival');
+
+        expect(result.inspection.inspected).toBe(false);
+        expect(chat).toHaveLength(1);
+        expect(chat[0].whisper).toEqual(['gm-1']);
+        expect(chat[0].content).toContain('Search:</strong> 99');
+        expect(systemAdapter.deductCurrency).not.toHaveBeenCalled();
+    });
+
+    test('should fine the party and confiscate the contraband', async () => {
+        rolls = [5];
+
+        const result = await flow.runInspection('arrival');
+
+        expect(result.choice).toBe('fine');
+        expect(systemAdapter.deductCurrency).toHaveBeenCalledWith(game.user.character, 3800 / 240, 'Contraband fine at Keep');
+        expect(systemAdapter.removeCargoFromInventory).toHaveBeenCalledWith(game.user.character, 'item-Wine', 30);
+        expect(systemAdapter.removeCargoFromInventory).toHaveBeenCalledWith(game.user.character, 'item-Silks', 20);
+        expect(result.confiscated.map(cargo => cargo.id)).toEqual(['wine', 'silk']);
+        expect(settingsStore.currentCargo.default.map(cargo => cargo.id)).toEqual(['grain']);
+        expect(app.currentCargo.map(cargo => cargo.id)).toEqual(['grain']);
+        expect(app.refreshUI).toHaveBeenCalled();
+
+        expect(chat.map(message => message.whisper)).toEqual([['gm-1'], null, null]);
+        expect(chat[2].content).toContain('Confiscated:</strong> 30 EP of Wine, 20 EP of Silks');
+    });
+
+    test('should keep the cargo when a bribe is accepted', async () => {
+        rolls = [5, 20];
+        choice = 'bribe';
+
+        const result = await flow.runInspection('sale');
+
+        expect(result.resolution.success).toBe(true);
+        expect(systemAdapter.deductCurrency).toHaveBeenCalledWith(game.user.character, 1900 / 240, 'Contraband bribe at Keep');
+        expect(systemAdapter.removeCargoFromInventory).not.toHaveBeenCalled();
+        expect(settingsStore.currentCargo.default).toHaveLength(3);
+        expect(chat[2].whisper).toEqual(['gm-1']);
+        expect(chat[3].content).toContain('looked the other way');
+    });
+
+    test('should double the fine and confiscate the contraband when a bribe is refused', async () => {
+        rolls = [5, 90];
+        choice = 'bribe';
+
+        const result = await flow.runInspection('sale');
+
+        expect(result.resolution.success).toBe(false);
+        expect(systemAdapter.deductCurrency).toHaveBeenCalledWith(game.user.character, 7600 / 240, 'Contraband fine at Keep');
+        expect(result.confiscated).toHaveLength(2);
+    });
+
+    test('should skip inspections when they are turned off', async () => {
+        settingsStore.contrabandInspections = false;
+
+        expect(await flow.runInspection('arrival')).toBeNull();
+    });
+});
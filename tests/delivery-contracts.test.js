@@ -0,0 +1,218 @@
+/**
+ * Unit tests for settlement delivery contracts
+ */
+
+global.window = global.window || {};
+
+const { DeliveryContracts } = require('../scripts/delivery-contracts.js');
+const { createDataManager } = require('./foundry-harness/dataset-fixture.js');
+
+const DAY = 24 * 60 * 60;
+
+describe('DeliveryContracts', () => {
+    let dataManager;
+    let clock;
+    let contracts;
+
+    beforeEach(() => {
+        dataManager = createDataManager();
+        clock = 0;
+        contracts = new DeliveryContracts(dataManager, { now: () => clock, random: () => 0.1 });
+    });
+
+    function acceptFirstOffer() {
+        const [offer] = contracts.generateOffers('Averheim', { season: 'spring', count: 1 });
+        return contracts.acceptContract(offer.id, 'player1');
+    }
+
+    test('should offer contracts to nearby settlements that demand a cargo', () => {
+        const offers = contracts.generateOffers('Averheim', { season: 'spring' });
+
+        expect(offers).toHaveLength(3);
+        offers.forEach(offer => {
+            const destination = dataManager.getSettlement(offer.destination);
+            expect(offer.origin).toBe('Averheim');
+            expect(destination.demands).toContain('Grain');
+            // Grain is not a cargo type; the dataset maps it onto Sustenance
+            expect(offer.cargoName).toBe('Sustenance');
+            expect(offer.status).toBe('offered');
+            expect(offer.reward).toBeGreaterThan(0);
+            expect(offer.offerExpiresAt).toBe(7 * DAY);
+            expect(offer.durationDays).toBe(7 + 5);
+        });
+        expect(contracts.getOffers('Averheim')).toEqual(offers);
+    });
+
+    test('should resolve category demands and respect the travel limit', () => {
+        dataManager.tradingConfig.contracts.demandAliases = {};
+        const candidates = contracts._findCandidates(dataManager.getSettlement('Averheim'), 'spring');
+
+        expect(candidates.map(candidate => candidate.destination.name)).toEqual(['WISSENBURG']);
+        expect(candidates[0].cargoData.category).toBe('Luxuries');
+
+        dataManager.tradingConfig.contracts.maxTravelDays = 1;
+        expect(contracts.generateOffers('Averheim', { season: 'spring' })).toEqual([]);
+    });
+
+    test('should set the minimum quality from destination wealth and flags', () => {
+        expect(contracts._getMinimumQuality({ wealth: 1, flags: [] })).toBe('Poor');
+        expect(contracts._getMinimumQuality({ wealth: 3, flags: ['trade'] })).toBe('Average');
+        expect(contracts._getMinimumQuality({ wealth: 2, flags: ['government'] })).toBe('High');
+        expect(contracts._getMinimumQuality({ wealth: 5, flags: ['government'] })).toBe('High');
+    });
+
+    test('should start the deadline on acceptance and let unaccepted offers lapse', () => {
+        const [first, second] = contracts.generateOffers('Averheim', { season: 'spring', count: 2 });
+
+        clock = DAY;
+        const accepted = contracts.acceptContract(first.id, 'player1');
+        expect(accepted.acceptedBy).toBe('player1');
+        expect(accepted.deadline).toBe(DAY + accepted.durationDays * DAY);
+        expect(contracts.getAcceptedContracts()).toEqual([accepted]);
+        expect(() => contracts.acceptContract(first.id)).toThrow('Contract cannot be accepted: it is accepted');
+
+        clock = 8 * DAY;
+        expect(contracts.getStatus(second)).toBe('lapsed');
+        expect(() => contracts.acceptContract(second.id)).toThrow('Contract cannot be accepted: it is lapsed');
+
+        contracts.generateOffers('Averheim', { season: 'spring', count: 0 });
+        expect(contracts.getContract(second.id)).toBeNull();
+        expect(contracts.getContract(first.id)).toBe(accepted);
+    });
+
+    test('should count matching sales at the destination and pay on completion', () => {
+        const contract = acceptFirstOffer();
+
+        expect(contracts.recordDelivery('Averheim', contract.cargoName, 'Average', contract.quantity)).toEqual([]);
+        expect(contracts.recordDelivery(contract.destination, 'Wine', 'Average', contract.quantity)).toEqual([]);
+
+        const partial = contracts.recordDelivery(contract.destination, contract.cargoName, 'Average', 10);
+        expect(partial).toEqual([expect.objectContaining({ delivered: 10, completed: false, settlement: null })]);
+
+        const [final] = contracts.recordDelivery(contract.destination, contract.cargoName, 'Average', contract.quantity);
+        expect(final.delivered).toBe(contract.quantity - 10);
+        expect(final.completed).toBe(true);
+        expect(final.settlement.payout).toBe(contract.reward);
+        expect(contract.status).toBe('completed');
+        expect(contract.payout).toBe(contract.reward);
+    });
+
+    test('should reduce the reward for each day late', () => {
+        const contract = acceptFirstOffer();
+
+        clock = contract.deadline + 2 * DAY;
+        expect(contracts.getStatus(contract)).toBe('overdue');
+
+        const [result] = contracts.recordDelivery(contract.destination, contract.cargoName, 'Average', contract.quantity);
+        expect(result.settlement.daysLate).toBe(2);
+        expect(result.settlement.latePenalty).toBe(Math.round(contract.reward * 0.2));
+        expect(result.settlement.payout).toBe(contract.reward - Math.round(contract.reward * 0.2));
+    });
+
+    test('should charge a penalty when settling a short delivery', () => {
+        const contract = acceptFirstOffer();
+        contracts.recordDelivery(contract.destination, contract.cargoName, 'Average', contract.quantity / 2);
+
+        const result = contracts.settleContract(contract.id);
+        const half = Math.round(contract.reward / 2);
+        expect(result.reward).toBe(half);
+        expect(result.shortfallPenalty).toBe(Math.round(contract.reward * 0.5 * 0.5));
+        expect(result.payout).toBe(half - result.shortfallPenalty);
+        expect(contract.status).toBe('failed');
+
+        const empty = acceptFirstOffer();
+        expect(contracts.settleContract(empty.id).payout).toBeLessThan(0);
+        expect(() => contracts.settleContract(empty.id)).toThrow('Contract cannot be settled: it is failed');
+    });
+
+    test('should only accept cargo of the minimum quality or better', () => {
+        const contract = { cargoName: 'Wine', minimumQuality: 'High' };
+
+        expect(contracts.meetsQuality(contract, 'average')).toBe(false);
+        expect(contracts.meetsQuality(contract, 'excellent')).toBe(true);
+        expect(contracts.meetsQuality(contract, { tier: 'Top Shelf' })).toBe(true);
+        expect(contracts.meetsQuality({ cargoName: 'Iron', minimumQuality: 'High' }, 'good')).toBe(true);
+        expect(contracts.meetsQuality({ cargoName: 'Iron', minimumQuality: 'High' }, 'Common')).toBe(false);
+    });
+
+    test('should prune closed contracts and round-trip through its serialised state', () => {
+        const contract = acceptFirstOffer();
+        contracts.generateOffers('Averheim', { season: 'spring', count: 1 });
+
+        clock = 8 * DAY;
+        expect(contracts.pruneClosed()).toBe(1);
+
+        const restored = new DeliveryContracts(dataManager, { contracts: JSON.parse(JSON.stringify(contracts.toJSON())), now: () => clock });
+        expect(restored.getAcceptedContracts()).toEqual([contract]);
+
+        expect(() => new DeliveryContracts()).toThrow('DeliveryContracts requires a DataManager instance');
+        expect(() => contracts.generateOffers('Atlantis')).toThrow('Unknown settlement: Atlantis');
+        expect(() => contracts.acceptContract('missing')).toThrow('Unknown delivery contract: missing');
+    });
+});
+
+describe('DataManager contract deliveries', () => {
+    let settingsStore;
+
+    beforeEach(() => {
+        settingsStore = { deliveryContracts: {}, reputation: {} };
+        global.game = {
+            settings: {
+                get: jest.fn((module, key) => settingsStore[key]),
+                set: jest.fn(async (module, key, value) => { settingsStore[key] = value; })
+            }
+        };
+    });
+
+    afterEach(() => {
+        delete global.game;
+    });
+
+    test('should pay completed contracts, credit the destination and save', async () => {
+        const dataManager = createDataManager();
+        dataManager.activeDatasetName = 'wfrp4e';
+        const registry = new DeliveryContracts(dataManager, { now: () => 0, random: () => 0.1 });
+        dataManager.deliveryContracts = registry;
+        const [offer] = registry.generateOffers('Averheim', { season: 'spring', count: 1 });
+        const contract = registry.acceptContract(offer.id, 'player1');
+        const actor = { name: 'Seller' };
+        const systemAdapter = {
+            addCurrency: jest.fn().mockResolvedValue({ success: true }),
+            toPrimaryDenomination: amount => amount / 240
+        };
+        const sale = { settlement: contract.destination, cargo: contract.cargoName, quality: 'Average' };
+
+        const partial = await dataManager.recordContractDelivery({ ...sale, quantity: 10 }, actor, systemAdapter);
+        expect(partial[0].settlement).toBeNull();
+        expect(systemAdapter.addCurrency).not.toHaveBeenCalled();
+
+        const [final] = await dataManager.recordContractDelivery({ ...sale, quantity: contract.quantity }, actor, systemAdapter);
+        expect(final.completed).toBe(true);
+        expect(systemAdapter.addCurrency).toHaveBeenCalledWith(actor, contract.reward / 240, `Delivery contract: ${contract.quantity} EP of ${contract.cargoName} to ${contract.destination}`);
+        expect(settingsStore.deliveryContracts.wfrp4e[0].status).toBe('completed');
+        expect(settingsStore.reputation.wfrp4e.events[0]).toMatchObject({ settlement: contract.destination, type: 'contractCompleted' });
+    });
+
+    test('should accept and settle contracts, charging a short delivery and noting the purse failing', async () => {
+        const dataManager = createDataManager();
+        dataManager.activeDatasetName = 'wfrp4e';
+        const registry = new DeliveryContracts(dataManager, { now: () => 0, random: () => 0.1 });
+        dataManager.deliveryContracts = registry;
+        const [offer] = registry.generateOffers('Averheim', { season: 'spring', count: 1 });
+        const actor = { name: 'Gunther' };
+        const systemAdapter = {
+            deductCurrency: jest.fn().mockResolvedValue({ success: false, error: 'Insufficient currency' }),
+            toPrimaryDenomination: amount => amount / 240
+        };
+
+        const contract = await dataManager.acceptDeliveryContract(offer.id, 'player1');
+        expect(settingsStore.deliveryContracts.wfrp4e[0]).toMatchObject({ id: contract.id, status: 'accepted' });
+
+        const result = await dataManager.settleDeliveryContract(contract.id, actor, systemAdapter);
+        expect(result.payout).toBeLessThan(0);
+        expect(systemAdapter.deductCurrency).toHaveBeenCalledWith(actor, -result.payout / 240, `Delivery contract: ${contract.cargoName} to ${contract.destination}`);
+        expect(result.purseError).toBe('Could not update Gunther\'s purse: Insufficient currency');
+        expect(settingsStore.deliveryContracts.wfrp4e[0].status).toBe('failed');
+        expect(settingsStore.reputation.wfrp4e.events[0].type).toBe('contractFailed');
+    });
+});
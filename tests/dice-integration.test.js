@@ -347,5 +347,20 @@ describe('TradingEngine - Dice Integration', () => {
             
             expect(result).toContain('sold 20 EP of Wine to Nuln for 100 GC');
         });
+
+        test('should include tolls and taxes', () => {
+            const result = tradingEngine.generateTransactionResultMessage(
+                'purchase',
+                'Grain',
+                50,
+                90,
+                { name: 'Averheim' },
+                {
+                    tariffs: { amount: 3.6, lines: [{ description: 'Market tax at Averheim (4%)' }] }
+                }
+            );
+
+            expect(result).toContain('tolls and taxes 3.6 GC: Market tax at Averheim (4%)');
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for regional economic events and their effect on equilibrium
+ */
+
+global.window = global.window || {};
+
+const { EconomicEvents } = require('../scripts/economic-events.js');
+const { EquilibriumCalculator } = require('../scripts/equilibrium-calculator.js');
+const CargoAvailabilityPipeline = require('../scripts/cargo-availability-pipeline.js');
+const QualitySystem = require('../scripts/quality-system.js');
+const { createDataManager, readDatasetFile } = require('./foundry-harness/dataset-fixture.js');
+
+const DAY = 24 * 60 * 60;
+
+const plague = {
+    name: 'Plague in Ostland',
+    regions: ['Ostland'],
+    durationDays: 30,
+    increase: {
+        supply: { overall: -0.3 },
+        demand: { 'cargo-types': { Herbs: 0.5 } },
+        quality: { overall: -1 }
+    }
+};
+
+describe('EconomicEvents', () => {
+    let clock;
+    let events;
+
+    beforeEach(() => {
+        clock = 0;
+        events = new EconomicEvents({ now: () => clock });
+    });
+
+    test('should be active for its duration of world time', () => {
+        const event = events.addEvent({ ...plague, startTime: DAY });
+
+        expect(events.getStatus(event)).toBe('scheduled');
+        clock = 10 * DAY;
+        expect(events.getStatus(event)).toBe('active');
+        expect(events.getRemainingDays(event)).toBe(21);
+        clock = 31 * DAY;
+        expect(events.getStatus(event)).toBe('expired');
+        expect(events.getActiveEvents()).toEqual([]);
+    });
+
+    test('should stay active until removed when no duration is set', () => {
+        const event = events.addEvent({ ...plague, durationDays: '' });
+
+        clock = 1000 * DAY;
+        expect(events.getStatus(event)).toBe('active');
+        expect(events.getRemainingDays(event)).toBeNull();
+        expect(events.removeEvent(event.id)).toBe(true);
+        expect(events.getEvents()).toEqual([]);
+    });
+
+    test('should apply to its regions and settlements, or everywhere when neither is set', () => {
+        const regional = events.addEvent(plague);
+        const local = events.addEvent({ name: 'Flooding at Altdorf', settlements: ['Altdorf'] });
+        const global = events.addEvent({ name: 'Imperial tax' });
+
+        expect(events.appliesTo(regional, { name: 'Wolfenburg', region: 'ostland' })).toBe(true);
+        expect(events.appliesTo(regional, { name: 'Altdorf', region: 'Reikland' })).toBe(false);
+        expect(events.appliesTo(local, { name: 'altdorf', region: 'Reikland' })).toBe(true);
+        expect(events.appliesTo(global, { name: 'Anywhere', region: 'Nowhere' })).toBe(true);
+        expect(events.getActiveEvents({ name: 'Altdorf', region: 'Reikland' }).map(event => event.name))
+            .toEqual(['Flooding at Altdorf', 'Imperial tax']);
+    });
+
+    test('should add overall, category and cargo-type shifts together', () => {
+        const event = events.addEvent({
+            name: 'War',
+            increase: {
+                supply: { overall: -0.1, 'cargo-category': { Metal: -0.2 } },
+                demand: { 'cargo-types': { Armaments: 0.5 } }
+            }
+        });
+
+        const shifts = EconomicEvents.getShifts(event, 'Armaments', 'Metal');
+        expect(shifts.supply).toBeCloseTo(-0.3);
+        expect(shifts.demand).toBe(0.5);
+        expect(shifts.quality).toBe(0);
+        expect(EconomicEvents.getShifts(event, 'Wool', 'Manufactured Goods')).toEqual({ supply: -0.1, demand: 0, quality: 0 });
+    });
+
+    test('should prune expired events', () => {
+        events.addEvent({ ...plague, durationDays: 5 });
+        events.addEvent({ ...plague, name: 'Long plague', durationDays: 50 });
+
+        clock = 10 * DAY;
+        expect(events.pruneExpired()).toBe(1);
+        expect(events.getEvents().map(event => event.name)).toEqual(['Long plague']);
+    });
+
+    test('should update events and reject invalid ones', () => {
+        const event = events.addEvent(plague);
+
+        expect(events.updateEvent(event.id, { durationDays: 60 }).durationDays).toBe(60);
+        expect(() => events.updateEvent('missing', {})).toThrow('Unknown economic event: missing');
+        expect(() => events.addEvent({ name: ' ' })).toThrow('Economic event name is required');
+        expect(() => events.addEvent({ name: 'Bad', durationDays: -1 })).toThrow('Economic event duration must be a positive number of days');
+        expect(() => events.addEvent({ name: 'Bad', increase: { supply: { overall: 'lots' } } })).toThrow('Economic event supply shifts must be numbers');
+    });
+});
+
+describe('EquilibriumCalculator economic events', () => {
+    const tradingConfig = readDatasetFile('trading-config.json');
+    const calculator = new EquilibriumCalculator(tradingConfig, {});
+    const settlement = { name: 'Wolfenburg', region: 'Ostland', wealth: 3, flags: [], produces: [], demands: [] };
+
+    test('should record events as named transfers', () => {
+        const before = calculator.calculateEquilibrium(settlement, 'Herbs', { cargoData: { category: 'Provisions' } });
+        const after = calculator.calculateEquilibrium(settlement, 'Herbs', { cargoData: { category: 'Provisions' }, events: [plague] });
+
+        expect(after.supply).toBeLessThan(before.supply);
+        expect(after.demand).toBeGreaterThan(before.demand);
+        expect(after.transfers.filter(transfer => transfer.source === 'event').map(transfer => transfer.description))
+            .toEqual(['Plague in Ostland event supply shift', 'Plague in Ostland event demand shift']);
+    });
+});
+
+describe('CargoAvailabilityPipeline economic events', () => {
+    let dataManager;
+    let pipeline;
+    const selection = { name: 'Grain', category: 'Provisions' };
+
+    beforeEach(() => {
+        dataManager = createDataManager();
+        dataManager.economicEvents = new EconomicEvents({ now: () => 0 });
+        pipeline = new CargoAvailabilityPipeline(dataManager);
+    });
+
+    test('should apply events covering the settlement to the balance', () => {
+        const settlementProps = dataManager.getSettlementProperties(dataManager.getSettlement('Altdorf'));
+        const before = pipeline._calculateBalance(selection, settlementProps, settlementProps.productionCategories, 'spring');
+        dataManager.getEconomicEvents().addEvent({ ...plague, regions: [settlementProps.region] });
+        const after = pipeline._calculateBalance(selection, settlementProps, settlementProps.productionCategories, 'spring');
+
+        expect(after.supply).toBeLessThan(before.supply);
+        expect(after.events).toEqual(['Plague in Ostland']);
+        expect(after.history.some(step => step.label === 'Event: Plague in Ostland supply')).toBe(true);
+    });
+
+    test('should ignore events elsewhere', () => {
+        const settlementProps = dataManager.getSettlementProperties(dataManager.getSettlement('Altdorf'));
+        dataManager.getEconomicEvents().addEvent({ ...plague, regions: ['Nowhere'] });
+        const balance = pipeline._calculateBalance(selection, settlementProps, settlementProps.productionCategories, 'spring');
+
+        expect(balance.events).toEqual([]);
+    });
+
+    test('should shift cargo quality', async () => {
+        const settlementProps = dataManager.getSettlementProperties(dataManager.getSettlement('Altdorf'));
+        dataManager.getEconomicEvents().addEvent({ ...plague, regions: [] });
+        const balance = pipeline._calculateBalance(selection, settlementProps, settlementProps.productionCategories, 'spring');
+        pipeline.qualitySystem = new QualitySystem(dataManager, { random: () => 0.5 });
+
+        const quality = await pipeline._evaluateQuality(balance, settlementProps, settlementProps.productionCategories, async () => 50, 1, null);
+
+        expect(quality.components).toEqual(expect.arrayContaining([{ label: 'Event: Plague in Ostland quality', value: -1 }]));
+    });
+
+    test('should shift cargo quality by category and cargo type', async () => {
+        const settlementProps = dataManager.getSettlementProperties(dataManager.getSettlement('Altdorf'));
+        dataManager.getEconomicEvents().addEvent({
+            name: 'Bumper harvest',
+            increase: { quality: { 'cargo-category': { Provisions: 1 }, 'cargo-types': { Grain: 1 } } }
+        });
+        const balance = pipeline._calculateBalance(selection, settlementProps, settlementProps.productionCategories, 'spring');
+        pipeline.qualitySystem = new QualitySystem(dataManager, { random: () => 0.5 });
+
+        const grain = await pipeline._evaluateQuality(balance, settlementProps, settlementProps.productionCategories, async () => 50, 1, { name: 'Grain', category: 'Provisions' });
+        const wool = await pipeline._evaluateQuality(balance, settlementProps, settlementProps.productionCategories, async () => 50, 1, { name: 'Wool', category: 'Textiles' });
+
+        expect(grain.components).toEqual(expect.arrayContaining([{ label: 'Event: Bumper harvest quality', value: 2 }]));
+        expect(wool.components.some(component => component.label === 'Event: Bumper harvest quality')).toBe(false);
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * WFRP4e dataset fixture for the Jest unit tests
+ * Loads the bundled dataset from disk into a DataManager, as the module does from its settings
+ */
+
+import fs from 'fs';
+import path from 'path';
+import '../../scripts/data-manager.js';
+
+export const datasetDir = path.join(__dirname, '../../datasets/wfrp4e');
+
+/**
+ * Read a JSON file from the dataset
+ * @param {string} file - File name relative to the dataset directory
+ * @returns {*} - Parsed JSON
+ */
+export function readDatasetFile(file) {
+    return JSON.parse(fs.readFileSync(path.join(datasetDir, file), 'utf8'));
+}
+
+/**
+ * Load every settlement in the dataset, flattened across the region files
+ * @returns {Array} - Settlements
+ */
+export function loadSettlements() {
+    const settlementsDir = path.join(datasetDir, 'settlements');
+    return fs.readdirSync(settlementsDir)
+        .filter(file => file.endsWith('.json'))
+        .flatMap(file => readDatasetFile(path.join('settlements', file)));
+}
+
+/**
+ * Create a DataManager holding the dataset's settlements, cargo types, config, source flags and routes
+ * @returns {Object} - DataManager instance
+ */
+export function createDataManager() {
+    const dataManager = new window.TradingPlacesDataManager();
+    dataManager.settlements = loadSettlements();
+    dataManager.cargoTypes = readDatasetFile('cargo-types.json').cargoTypes;
+    dataManager.tradingConfig = readDatasetFile('trading-config.json');
+    dataManager.sourceFlags = readDatasetFile('source-flags.json');
+    dataManager.routes = readDatasetFile('routes.json').routes;
+    return dataManager;
+}
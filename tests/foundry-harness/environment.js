@@ -8,6 +8,7 @@ import { createActorStub, createItemStub } from './stubs/actors.js';
 import { createChatStub } from './stubs/chat.js';
 import { createUIStub } from './stubs/ui.js';
 import { createHooksStub } from './stubs/hooks.js';
+import { createTimeStub } from './stubs/time.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -78,6 +79,9 @@ class FoundryHarness {
 
         globalThis.ui = createUIStub();
         globalThis.Hooks = createHooksStub();
+
+        // World clock (trading timestamps are world time in seconds)
+        globalThis.game.time = createTimeStub();
         
         // Foundry classes
         globalThis.Actor = createActorStub();
@@ -0,0 +1,30 @@
+/**
+ * World clock stub for Foundry harness
+ * Provides game.time so trading timestamps advance with in-game time
+ */
+
+class HarnessGameTime {
+    constructor(worldTime = 0) {
+        this.worldTime = worldTime;
+    }
+
+    /**
+     * Advance the world clock and fire the updateWorldTime hook
+     */
+    async advance(seconds) {
+        this.worldTime += seconds;
+        console.log(`Foundry Harness | World time advanced by ${seconds}s to ${this.worldTime}`);
+
+        if (globalThis.Hooks && typeof globalThis.Hooks.call === 'function') {
+            await globalThis.Hooks.call('updateWorldTime', this.worldTime, seconds);
+        }
+
+        return this.worldTime;
+    }
+}
+
+export function createTimeStub(worldTime = 0) {
+    return new HarnessGameTime(worldTime);
+}
+
+export { HarnessGameTime };
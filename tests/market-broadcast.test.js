@@ -0,0 +1,144 @@
+/**
+ * Unit tests for the market shared with the players
+ */
+
+global.window = global.window || {};
+
+const { MarketBroadcastService } = require('../scripts/market-broadcast.js');
+
+function cargoData() {
+    return {
+        settlement: 'Altdorf',
+        season: 'spring',
+        worldTime: 500,
+        successfulCargo: [
+            {
+                slotNumber: 1,
+                name: 'Wine',
+                category: 'Wine',
+                quality: 'Excellent',
+                actualTier: 'Poor',
+                dishonest: true,
+                totalEP: 20,
+                currentPrice: 50,
+                currentPriceCanonical: 50,
+                merchant: { name: 'Hans', skillDescription: '62', hagglingSkill: 62, baseSkill: 62 },
+                slotInfo: { contraband: { contraband: true, roll: 3, chance: 5 }, balance: { state: 'glut' } }
+            },
+            {
+                slotNumber: 2,
+                name: 'Grain',
+                category: 'Grain',
+                quality: 'Average',
+                totalEP: 40,
+                currentPrice: 8,
+                merchant: { name: 'Greta', hagglingSkill: 35 },
+                slotInfo: { contraband: { contraband: false } }
+            }
+        ]
+    };
+}
+
+describe('MarketBroadcastService', () => {
+    let socket;
+    let service;
+
+    beforeEach(() => {
+        global.game = {
+            user: { id: 'gm-1', isGM: true },
+            users: { activeGM: { id: 'gm-1' } }
+        };
+        global.Hooks = { callAll: jest.fn() };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        socket = { emit: jest.fn(), on: jest.fn() };
+        service = new MarketBroadcastService({ socket, now: () => 900 });
+    });
+
+    afterEach(() => {
+        delete global.game;
+        delete global.Hooks;
+        console.log.mockRestore();
+    });
+
+    test('should leave the GM-only fields out of the player view', () => {
+        const view = MarketBroadcastService.toPlayerView(cargoData());
+
+        expect(view).toMatchObject({ settlement: 'Altdorf', season: 'spring', worldTime: 500, contrabandHidden: false });
+        expect(view.cargo[0]).toEqual({
+            slotNumber: 1,
+            name: 'Wine',
+            category: 'Wine',
+            quality: 'Excellent',
+            quantity: 20,
+            pricePerEP: 50,
+            merchant: { name: 'Hans' },
+            contraband: true
+        });
+        expect(JSON.stringify(view)).not.toMatch(/Poor|dishonest|Skill|balance|roll/);
+    });
+
+    test('should not mark contraband when its status is hidden', () => {
+        const view = MarketBroadcastService.toPlayerView(cargoData(), { hideContraband: true });
+
+        expect(view.contrabandHidden).toBe(true);
+        expect(view.cargo.map(entry => entry.contraband)).toEqual([null, null]);
+    });
+
+    test('should take a purchase off the view and drop sold out cargo', () => {
+        const view = MarketBroadcastService.toPlayerView(cargoData());
+
+        const bought = MarketBroadcastService.withPurchase(view, 'Grain', 15);
+        expect(bought.cargo.map(entry => entry.quantity)).toEqual([20, 25]);
+        expect(view.cargo[1].quantity).toBe(40);
+
+        expect(MarketBroadcastService.withPurchase(bought, 'Wine', 20, 1).cargo.map(entry => entry.name)).toEqual(['Grain']);
+        expect(MarketBroadcastService.withPurchase(bought, 'Wine', 5, 2)).toBe(bought);
+    });
+
+    test('should send the player view from the active GM', () => {
+        const market = service.publish(cargoData());
+
+        expect(market.publishedAt).toBe(900);
+        expect(socket.emit).toHaveBeenCalledWith('module.fvtt-trading-places', { action: 'market', market });
+        expect(Hooks.callAll).toHaveBeenCalledWith('fvtt-trading-places.marketChanged', market);
+    });
+
+    test('should not publish from a player or a second GM', () => {
+        game.users.activeGM = { id: 'gm-2' };
+        expect(service.publish(cargoData())).toBeNull();
+
+        game.user = { id: 'player-1', isGM: false };
+        expect(service.publish(cargoData())).toBeNull();
+        expect(socket.emit).not.toHaveBeenCalled();
+    });
+
+    test('should send the market again after a purchase at its settlement', () => {
+        service.publish(cargoData());
+        socket.emit.mockClear();
+
+        expect(service.recordPurchase('Nuln', 'Wine', 5)).toBeNull();
+        const market = service.recordPurchase('Altdorf', 'Wine', 5, 1);
+
+        expect(market.cargo[0].quantity).toBe(15);
+        expect(socket.emit).toHaveBeenCalledTimes(1);
+        expect(socket.emit).toHaveBeenCalledWith('module.fvtt-trading-places', { action: 'market', market });
+    });
+
+    test('should keep a received market and answer players asking for it', () => {
+        game.user = { id: 'player-1', isGM: false };
+        const market = MarketBroadcastService.toPlayerView(cargoData());
+
+        service.handleMessage({ action: 'market', market });
+        expect(service.market).toBe(market);
+        expect(Hooks.callAll).toHaveBeenCalledWith('fvtt-trading-places.marketChanged', market);
+
+        service.requestMarket();
+        expect(socket.emit).toHaveBeenCalledWith('module.fvtt-trading-places', { action: 'marketRequest' });
+
+        game.user = { id: 'gm-1', isGM: true };
+        socket.emit.mockClear();
+        service.handleMessage({ action: 'marketRequest' });
+        expect(socket.emit).toHaveBeenCalledWith('module.fvtt-trading-places', { action: 'market', market });
+    });
+});
@@ -0,0 +1,267 @@
+/**
+ * Unit tests for the persistent settlement market ledger (stock depletion and sale flooding)
+ */
+
+global.window = global.window || {};
+
+const { MarketLedger } = require('../scripts/market-ledger.js');
+const CargoAvailabilityPipeline = require('../scripts/cargo-availability-pipeline.js');
+const { createDataManager } = require('./foundry-harness/dataset-fixture.js');
+
+const DAY = 24 * 60 * 60;
+
+describe('MarketLedger', () => {
+    let dataManager;
+    let clock;
+    let ledger;
+
+    beforeEach(() => {
+        dataManager = createDataManager();
+        clock = 0;
+        ledger = new MarketLedger(dataManager, { now: () => clock });
+    });
+
+    test('should report an undisturbed market at its baseline', () => {
+        const entry = ledger.getEntry('Altdorf', 'Grain', 'spring');
+
+        expect(entry.settlement).toBe('Altdorf');
+        expect(entry.baseline).toBeGreaterThan(0);
+        expect(entry.stock).toBe(entry.baseline);
+        expect(entry.depletion).toBe(0);
+        expect(ledger.toJSON()).toEqual({});
+    });
+
+    test('should give producing settlements a larger baseline stock', () => {
+        const producer = { name: 'Producer', region: 'Test', size: 3, wealth: 3, flags: [], produces: ['Grain'], demands: [] };
+        const consumer = { name: 'Consumer', region: 'Test', size: 3, wealth: 3, flags: [], produces: [], demands: ['Grain'] };
+
+        expect(ledger.calculateBaselineStock(producer, 'Grain'))
+            .toBeGreaterThan(ledger.calculateBaselineStock(consumer, 'Grain'));
+    });
+
+    test('should lower stock when cargo is bought', () => {
+        const before = ledger.getEntry('Altdorf', 'Grain', 'spring');
+        const after = ledger.recordPurchase('Altdorf', 'Grain', 100, 'spring');
+
+        expect(after.stock).toBe(before.baseline - 100);
+        expect(after.depletion).toBeGreaterThan(0);
+        expect(ledger.getEntry('altdorf', 'Grain', 'spring').stock).toBe(after.stock);
+    });
+
+    test('should not let stock fall below zero', () => {
+        const entry = ledger.recordPurchase('Altdorf', 'Grain', 100000, 'spring');
+        expect(entry.stock).toBe(0);
+        expect(entry.depletion).toBe(1);
+    });
+
+    test('should regenerate stock toward the baseline as time passes', () => {
+        const depleted = ledger.recordPurchase('Altdorf', 'Grain', 100000, 'spring');
+        const perDay = depleted.baseline * dataManager.tradingConfig.market.regenerationPerDay;
+
+        clock = 2 * DAY;
+        expect(ledger.getEntry('Altdorf', 'Grain', 'spring').stock).toBe(Math.round(2 * perDay));
+
+        clock = 365 * DAY;
+        const recovered = ledger.getEntry('Altdorf', 'Grain', 'spring');
+        expect(recovered.stock).toBe(recovered.baseline);
+        expect(ledger.toJSON()).toEqual({});
+    });
+
+    test('should shift the balance toward demand when stock is depleted', () => {
+        const entry = ledger.recordPurchase('Altdorf', 'Grain', 100000, 'spring');
+        const shift = ledger.calculateBalanceShift(entry);
+
+        expect(shift.supply).toBeLessThan(0);
+        expect(shift.demand).toBeGreaterThan(0);
+        expect(ledger.calculateBalanceShift(ledger.getEntry('Altdorf', 'Wool', 'spring'))).toEqual({ supply: 0, demand: 0 });
+    });
+
+    test('should reject invalid purchases and unknown settlements', () => {
+        expect(() => ledger.recordPurchase('Altdorf', 'Grain', 0)).toThrow('Purchase quantity must be a positive number');
+        expect(() => ledger.getEntry('Atlantis', 'Grain')).toThrow('Unknown settlement: Atlantis');
+    });
+
+    test('should take returned stock back only while the market is short', () => {
+        const baseline = ledger.getEntry('Altdorf', 'Grain', 'spring').baseline;
+        ledger.recordPurchase('Altdorf', 'Grain', 60, 'spring');
+
+        expect(ledger.returnStock('Altdorf', 'Grain', 20, 'spring').stock).toBe(baseline - 40);
+        expect(ledger.returnStock('Altdorf', 'Grain', 100, 'spring').stock).toBe(baseline);
+        expect(ledger.toJSON()).toEqual({});
+        expect(ledger.returnStock('Altdorf', 'Grain', 20, 'spring')).toBeNull();
+        expect(() => ledger.returnStock('Altdorf', 'Grain', 0)).toThrow('Returned quantity must be a positive number');
+    });
+
+    test('should restore persisted state', () => {
+        ledger.recordPurchase('Altdorf', 'Grain', 50, 'spring');
+        const restored = new MarketLedger(dataManager, { state: JSON.parse(JSON.stringify(ledger.toJSON())), now: () => clock });
+
+        expect(restored.getEntry('Altdorf', 'Grain', 'spring').stock).toBe(ledger.getEntry('Altdorf', 'Grain', 'spring').stock);
+    });
+});
+
+describe('MarketLedger sale flooding', () => {
+    let dataManager;
+    let clock;
+    let ledger;
+
+    beforeEach(() => {
+        dataManager = createDataManager();
+        clock = 0;
+        ledger = new MarketLedger(dataManager, { now: () => clock });
+    });
+
+    test('should report an unsaturated market when nothing has been sold', () => {
+        const saturation = ledger.getSaleSaturation('Altdorf', 'Grain');
+
+        expect(saturation.volume).toBe(0);
+        expect(saturation.saturation).toBe(0);
+        expect(saturation.priceMultiplier).toBe(1);
+    });
+
+    test('should lower the price multiplier as more cargo is sold', () => {
+        const first = ledger.recordSale('Altdorf', 'Grain', 50);
+        const second = ledger.recordSale('Altdorf', 'Grain', 50);
+
+        expect(second.volume).toBe(100);
+        expect(first.priceMultiplier).toBeLessThan(1);
+        expect(second.priceMultiplier).toBeLessThan(first.priceMultiplier);
+        expect(second.supplyShift).toBeGreaterThan(first.supplyShift);
+    });
+
+    test('should cap the price reduction at the configured maximum', () => {
+        const { maxPriceReduction } = dataManager.tradingConfig.marketFlooding;
+        const saturation = ledger.recordSale('Altdorf', 'Grain', 100000);
+
+        expect(saturation.saturation).toBe(1);
+        expect(saturation.priceMultiplier).toBeCloseTo(1 - maxPriceReduction);
+    });
+
+    test('should fade sold volume over the configured number of days', () => {
+        const { fadeDays } = dataManager.tradingConfig.marketFlooding;
+        ledger.recordSale('Altdorf', 'Grain', 100);
+
+        clock = (fadeDays / 2) * DAY;
+        expect(ledger.getSaleSaturation('Altdorf', 'Grain').volume).toBe(50);
+
+        clock = fadeDays * DAY;
+        expect(ledger.getSaleSaturation('Altdorf', 'Grain').volume).toBe(0);
+        expect(ledger.toJSON()).toEqual({});
+    });
+
+    test('should keep sales and purchases of the same cargo independent', () => {
+        const purchase = ledger.recordPurchase('Altdorf', 'Grain', 100, 'spring');
+        ledger.recordSale('Altdorf', 'Grain', 100);
+
+        expect(ledger.getEntry('Altdorf', 'Grain', 'spring').stock).toBe(purchase.stock);
+        expect(ledger.toJSON().Altdorf.Grain).toEqual({ stock: purchase.stock, lastUpdated: 0, sold: { volume: 100, lastUpdated: 0 } });
+
+        clock = 365 * DAY;
+        ledger.getEntry('Altdorf', 'Grain', 'spring');
+        ledger.getSaleSaturation('Altdorf', 'Grain');
+        expect(ledger.toJSON()).toEqual({});
+    });
+
+    test('should withdraw a sale from the volume still flooding the market', () => {
+        ledger.recordSale('Altdorf', 'Grain', 100);
+
+        expect(ledger.withdrawSale('Altdorf', 'Grain', 40).volume).toBe(60);
+        expect(ledger.withdrawSale('Altdorf', 'Grain', 100).volume).toBe(0);
+        expect(ledger.toJSON()).toEqual({});
+        expect(ledger.withdrawSale('Altdorf', 'Grain', 10)).toBeNull();
+    });
+
+    test('should reject invalid sales', () => {
+        expect(() => ledger.recordSale('Altdorf', 'Grain', -5)).toThrow('Sale quantity must be a positive number');
+    });
+});
+
+describe('SaleMechanics market flooding', () => {
+    const { SaleMechanics } = require('../scripts/sale-mechanics.js');
+    let dataManager;
+    let saleMechanics;
+
+    beforeEach(() => {
+        dataManager = createDataManager();
+        dataManager.marketLedger = new MarketLedger(dataManager, { now: () => 0 });
+        saleMechanics = new SaleMechanics(dataManager, {
+            getCargoByName: name => dataManager.cargoTypes.find(cargo => cargo.name === name),
+            getCurrentSeason: () => 'spring',
+            calculateBasePrice: () => 100
+        });
+    });
+
+    test('should depress later sale prices at the same settlement', () => {
+        const altdorf = dataManager.getSettlement('Altdorf');
+        const before = saleMechanics.calculateSalePrice('Grain', 50, altdorf);
+        dataManager.getMarketLedger().recordSale(altdorf, 'Grain', 100);
+        const after = saleMechanics.calculateSalePrice('Grain', 50, altdorf);
+
+        expect(after.finalPricePerUnit).toBeLessThan(before.finalPricePerUnit);
+        expect(after.modifiers.some(modifier => modifier.type === 'market_saturation')).toBe(true);
+        expect(after.marketSaturation.volume).toBe(100);
+    });
+
+    test('should not affect other settlements', () => {
+        const altdorf = dataManager.getSettlement('Altdorf');
+        const middenheim = dataManager.getSettlement('Middenheim');
+        const before = saleMechanics.calculateSalePrice('Grain', 50, middenheim);
+        dataManager.getMarketLedger().recordSale(altdorf, 'Grain', 100);
+
+        expect(saleMechanics.calculateSalePrice('Grain', 50, middenheim).finalPricePerUnit).toBe(before.finalPricePerUnit);
+    });
+
+    test('should price sales without saturation when the ledger cannot be read', () => {
+        const altdorf = dataManager.getSettlement('Altdorf');
+        const before = saleMechanics.calculateSalePrice('Grain', 50, altdorf);
+        dataManager.getMarketSaturation = () => { throw new Error('Ledger unavailable'); };
+
+        expect(SaleMechanics.getMarketSaturation(dataManager, altdorf, 'Grain', saleMechanics.getLogger())).toBeNull();
+        expect(saleMechanics.calculateSalePrice('Grain', 50, altdorf).finalPricePerUnit).toBe(before.finalPricePerUnit);
+    });
+});
+
+describe('CargoAvailabilityPipeline market integration', () => {
+    let dataManager;
+    let pipeline;
+    let settlementProps;
+    const selection = { name: 'Grain', category: 'Bulk Goods' };
+
+    beforeEach(() => {
+        dataManager = createDataManager();
+        dataManager.marketLedger = new MarketLedger(dataManager, { now: () => 0 });
+        pipeline = new CargoAvailabilityPipeline(dataManager);
+        settlementProps = dataManager.getSettlementProperties(dataManager.getSettlement('Altdorf'));
+    });
+
+    test('should raise demand relative to supply after a purchase', () => {
+        const before = pipeline._calculateBalance(selection, settlementProps, settlementProps.productionCategories, 'spring');
+        dataManager.getMarketLedger().recordPurchase('Altdorf', 'Grain', 100000, 'spring');
+        const after = pipeline._calculateBalance(selection, settlementProps, settlementProps.productionCategories, 'spring');
+
+        expect(after.ratio).toBeLessThan(before.ratio);
+        expect(after.market.depletion).toBe(1);
+        expect(after.history.some(step => step.label.startsWith('Market stock depleted'))).toBe(true);
+    });
+
+    test('should limit the rolled amount to the remaining stock', async () => {
+        const baseline = dataManager.getMarketEntry('Altdorf', 'Grain', 'spring').baseline;
+        dataManager.getMarketLedger().recordPurchase('Altdorf', 'Grain', baseline - 30, 'spring');
+        const balance = pipeline._calculateBalance(selection, settlementProps, settlementProps.productionCategories, 'spring');
+
+        const amount = await pipeline._rollCargoAmount(balance, settlementProps, 'spring', async () => 100);
+
+        expect(amount.totalEP).toBe(30);
+        expect(amount.units).toBe(3);
+        expect(amount.notes.some(note => note.startsWith('Market stock'))).toBe(true);
+    });
+
+    test('should raise supply after recent sales', () => {
+        const before = pipeline._calculateBalance(selection, settlementProps, settlementProps.productionCategories, 'spring');
+        dataManager.getMarketLedger().recordSale('Altdorf', 'Grain', 200);
+        const after = pipeline._calculateBalance(selection, settlementProps, settlementProps.productionCategories, 'spring');
+
+        expect(after.supply).toBeGreaterThan(before.supply);
+        expect(after.history.some(step => step.label.startsWith('Recent sales flooded market'))).toBe(true);
+    });
+});
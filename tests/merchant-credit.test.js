@@ -0,0 +1,151 @@
+/**
+ * Unit tests for loans and letters of credit
+ */
+
+global.window = global.window || {};
+
+const { MerchantCredit } = require('../scripts/merchant-credit.js');
+const { createDataManager } = require('./foundry-harness/dataset-fixture.js');
+
+const DAY = 24 * 60 * 60;
+
+const collateral = { description: 'The Reik Maiden', value: 2000 };
+
+describe('MerchantCredit', () => {
+    let clock;
+    let credit;
+
+    beforeEach(() => {
+        clock = 0;
+        credit = new MerchantCredit(createDataManager(), { now: () => clock });
+    });
+
+    test('should only lend at trade and government settlements, at the lowest rate of their flags', () => {
+        // Averheim: trade and government, size 3, wealth 4
+        expect(credit.getLenderTerms('Averheim')).toEqual({
+            settlement: 'Averheim',
+            interestPerWeek: 0.03,
+            termDays: 28,
+            maxPrincipal: 28800,
+            available: 28800,
+            collateralShare: 0.5,
+            letterFee: 0.02
+        });
+        expect(credit.getLenderTerms('Schoninghagen').interestPerWeek).toBe(0.05);
+        expect(credit.getLenderTerms('Dunstigfurt')).toBeNull();
+        expect(() => credit.takeLoan('Dunstigfurt', 100, { collateral })).toThrow('Nobody in Dunstigfurt lends money');
+    });
+
+    test('should take a loan with interest for the term, a due date and collateral', () => {
+        clock = 5 * DAY;
+        const loan = credit.takeLoan('Averheim', 2400, { collateral: { description: ' The Reik Maiden ', value: '1200' }, borrowerId: 'actor-1', borrowerName: 'Gunther' });
+
+        expect(loan).toMatchObject({
+            lender: 'Averheim',
+            principal: 2400,
+            interest: 288,
+            collateral: { description: 'The Reik Maiden', value: 1200 },
+            borrowerName: 'Gunther',
+            takenAt: 5 * DAY,
+            dueAt: 33 * DAY,
+            status: 'active'
+        });
+        expect(credit.getAmountOwed(loan)).toBe(2688);
+        expect(credit.getLenderTerms('Averheim').available).toBe(26400);
+    });
+
+    test('should refuse loans that are too large or poorly secured', () => {
+        expect(() => credit.takeLoan('Averheim', 0, { collateral })).toThrow('Loan amount must be a positive number');
+        expect(() => credit.takeLoan('Averheim', 30000, { collateral: { description: 'Everything', value: 30000 } }))
+            .toThrow('The merchant houses of Averheim will not lend that much');
+        expect(() => credit.takeLoan('Averheim', 2400, {})).toThrow('A loan needs collateral');
+        expect(() => credit.takeLoan('Averheim', 2400, { collateral: { description: 'A mule', value: 1000 } }))
+            .toThrow('Collateral must be worth at least 50% of the loan');
+        expect(credit.getLoans()).toEqual([]);
+    });
+
+    test('should close a loan once it is repaid in full, taking no more than is owed', () => {
+        const loan = credit.takeLoan('Averheim', 2400, { collateral });
+
+        expect(credit.repay(loan.id, 1000)).toMatchObject({ paid: 1000, owed: 1688 });
+        expect(credit.repay(loan.id, 5000)).toMatchObject({ paid: 1688, owed: 0 });
+        expect(loan.status).toBe('repaid');
+        expect(credit.getOpenLoans()).toEqual([]);
+        expect(() => credit.repay(loan.id, 10)).toThrow('The loan from Averheim is already repaid');
+    });
+
+    test('should flag overdue loans once and let penalties and seizure follow', () => {
+        const loan = credit.takeLoan('Averheim', 2400, { collateral });
+        expect(() => credit.applyPenalty(loan.id)).toThrow('The loan from Averheim is not overdue');
+
+        clock = 29 * DAY;
+        expect(credit.getStatus(loan)).toBe('overdue');
+        expect(credit.flagOverdue()).toEqual([loan]);
+        expect(credit.flagOverdue()).toEqual([]);
+
+        expect(credit.applyPenalty(loan.id)).toEqual({ amount: 269, worldTime: 29 * DAY });
+        expect(credit.getAmountOwed(loan)).toBe(2957);
+
+        credit.forfeitCollateral(loan.id);
+        expect(credit.getStatus(loan)).toBe('defaulted');
+        expect(credit.getLenderTerms('Averheim').available).toBe(28800);
+    });
+
+    test('should issue a letter of credit in one city and draw on it in another', () => {
+        const letter = credit.issueLetter('Averheim', 5000, { holderName: 'Gunther' });
+        expect(letter).toMatchObject({ issuer: 'Averheim', amount: 5000, fee: 100, balance: 5000, status: 'open' });
+
+        expect(() => credit.drawLetter(letter.id, 'Dunstigfurt', 100)).toThrow('Nobody in Dunstigfurt honours letters of credit');
+        expect(() => credit.drawLetter(letter.id, 'Schoninghagen', 6000)).toThrow('The letter of credit from Averheim has only 5000 BP left');
+
+        expect(credit.drawLetter(letter.id, 'Schoninghagen', 2000).drawn).toBe(2000);
+        expect(credit.drawLetter(letter.id, 'Schoninghagen').drawn).toBe(3000);
+        expect(letter.status).toBe('spent');
+        expect(letter.draws.map(draw => draw.settlement)).toEqual(['Schoninghagen', 'Schoninghagen']);
+        expect(() => credit.drawLetter(letter.id, 'Averheim', 1)).toThrow('The letter of credit from Averheim has been spent');
+    });
+
+    test('should prune closed entries and round-trip through JSON', () => {
+        const open = credit.takeLoan('Averheim', 2400, { collateral });
+        const repaid = credit.takeLoan('Averheim', 100, { collateral });
+        credit.repay(repaid.id, 200);
+        credit.issueLetter('Averheim', 500);
+
+        expect(credit.pruneClosed()).toBe(1);
+
+        const restored = new MerchantCredit(createDataManager(), JSON.parse(JSON.stringify(credit.toJSON())));
+        expect(restored.getOpenLoans().map(loan => loan.id)).toEqual([open.id]);
+        expect(restored.getOpenLetters()).toHaveLength(1);
+    });
+});
+
+describe('DataManager merchant credit', () => {
+    let settingsStore;
+
+    beforeEach(() => {
+        settingsStore = { merchantCredit: {} };
+        global.game = {
+            settings: {
+                get: jest.fn((module, key) => settingsStore[key]),
+                set: jest.fn(async (module, key, value) => { settingsStore[key] = value; })
+            }
+        };
+    });
+
+    afterEach(() => {
+        delete global.game;
+    });
+
+    test('should persist loans and letters per dataset', async () => {
+        const dataManager = createDataManager();
+        dataManager.activeDatasetName = 'wfrp4e';
+
+        dataManager.getMerchantCredit().takeLoan('Averheim', 2400, { collateral });
+        await dataManager.saveMerchantCredit();
+
+        expect(settingsStore.merchantCredit.wfrp4e.loans).toHaveLength(1);
+
+        dataManager.merchantCredit = null;
+        expect(dataManager.getMerchantCredit().getOpenLoans()[0]).toMatchObject({ lender: 'Averheim', principal: 2400 });
+    });
+});
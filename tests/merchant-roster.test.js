@@ -0,0 +1,152 @@
+/**
+ * Unit tests for the recurring merchants of each settlement
+ */
+
+global.window = global.window || {};
+
+const { MerchantRoster } = require('../scripts/merchant-roster.js');
+const CargoAvailabilityPipeline = require('../scripts/cargo-availability-pipeline.js');
+const QualitySystem = require('../scripts/quality-system.js');
+const { createDataManager } = require('./foundry-harness/dataset-fixture.js');
+
+function createPipeline(dataManager) {
+    const pipeline = new CargoAvailabilityPipeline(dataManager, { random: () => 0.5 });
+    pipeline.qualitySystem = new QualitySystem(dataManager, { random: () => 0.5 });
+    return pipeline;
+}
+
+// Every Foundry roll comes up the same, so only the roster decides who holds each slot
+function fixRolls(total) {
+    global.Roll = class {
+        async evaluate() {
+            this.total = total;
+            return this;
+        }
+    };
+}
+
+describe('MerchantRoster', () => {
+    let roster;
+
+    beforeEach(() => {
+        roster = new MerchantRoster({ dealHistoryLimit: 2 }, { now: () => 50 });
+    });
+
+    test('should add merchants with tidied specialities and reject bad details', () => {
+        const merchant = roster.addMerchant('Altdorf', { name: ' Greta Voss ', skill: '62', specialities: 'Wine, Brandy, Wine, ' });
+
+        expect(merchant).toMatchObject({ name: 'Greta Voss', skill: 62, specialities: ['Wine', 'Brandy'], pinned: false, deals: [], joinedAt: 50 });
+        expect(() => roster.addMerchant('Altdorf', { name: '', skill: 40 })).toThrow('A merchant needs a name');
+        expect(() => roster.addMerchant('Altdorf', { name: 'Otto', skill: 120 })).toThrow('Merchant skill must be a number between 5 and 95');
+        expect(() => roster.updateMerchant('Altdorf', 'nobody', { skill: 40 })).toThrow('No such merchant in Altdorf');
+        expect(roster.getMerchants('Altdorf')).toHaveLength(1);
+    });
+
+    test('should draw pinned merchants first and never more than the slots', () => {
+        const pinned = roster.addMerchant('Altdorf', { name: 'Zelda Hart', skill: 50, pinned: true });
+        roster.addMerchant('Altdorf', { name: 'Anna Wren', skill: 30 });
+        roster.addMerchant('Altdorf', { name: 'Bruno Kane', skill: 30 });
+
+        const drawn = roster.drawMerchants('Altdorf', 2, () => 0);
+        expect(drawn).toHaveLength(2);
+        expect(drawn[0]).toBe(pinned);
+        expect(roster.drawMerchants('Nuln', 3)).toEqual([]);
+        expect(roster.getMerchants('Altdorf').map(merchant => merchant.name)).toEqual(['Zelda Hart', 'Anna Wren', 'Bruno Kane']);
+    });
+
+    test('should match specialities by cargo name or category', () => {
+        const merchant = roster.addMerchant('Altdorf', { name: 'Greta Voss', skill: 40, specialities: ['wine', 'Bulk Goods'] });
+
+        expect(roster.dealsIn(merchant, { name: 'Wine', category: 'Luxury Goods' })).toBe(true);
+        expect(roster.dealsIn(merchant, { name: 'Grain', category: 'Bulk Goods' })).toBe(true);
+        expect(roster.dealsIn(merchant, { name: 'Metal', category: 'Raw Materials' })).toBe(false);
+    });
+
+    test('should keep only the newest deals, and keep them through edits', () => {
+        const merchant = roster.addMerchant('Altdorf', { name: 'Greta Voss', skill: 40 });
+        roster.recordDeal('Altdorf', merchant.id, { type: 'purchase', cargo: 'Wine', quantity: 10, total: 500 });
+        roster.recordDeal('Altdorf', merchant.id, { type: 'sale', cargo: 'Grain', quantity: 20, total: 300 });
+        roster.recordDeal('Altdorf', merchant.id, { type: 'purchase', cargo: 'Wool', quantity: 5, total: 100 });
+
+        roster.updateMerchant('Altdorf', merchant.id, { skill: 70, pinned: true });
+
+        expect(merchant.deals.map(deal => deal.cargo)).toEqual(['Wool', 'Grain']);
+        expect(merchant).toMatchObject({ skill: 70, pinned: true });
+
+        const restored = new MerchantRoster({}, { rosters: JSON.parse(JSON.stringify(roster.toJSON())) });
+        expect(restored.getMerchant('Altdorf', merchant.id).deals).toHaveLength(2);
+        restored.removeMerchant('Altdorf', merchant.id);
+        expect(restored.getSettlementNames()).toEqual([]);
+    });
+});
+
+describe('DataManager merchant roster', () => {
+    let settingsStore;
+
+    beforeEach(() => {
+        settingsStore = { merchantRoster: {} };
+        global.game = {
+            settings: {
+                get: jest.fn((module, key) => settingsStore[key]),
+                set: jest.fn(async (module, key, value) => { settingsStore[key] = value; })
+            }
+        };
+    });
+
+    afterEach(() => {
+        delete global.game;
+        delete global.Roll;
+    });
+
+    test('should note deals with roster merchants and ignore strangers', async () => {
+        const dataManager = createDataManager();
+        dataManager.activeDatasetName = 'wfrp4e';
+        const merchant = dataManager.getMerchantRoster().addMerchant('Altdorf', { name: 'Greta Voss', skill: 40 });
+
+        await dataManager.recordMerchantDeal({ settlement: 'Altdorf', merchantId: merchant.id, isSale: true, cargo: 'Wine', quantity: 10, totalCost: 480 });
+        expect(await dataManager.recordMerchantDeal({ settlement: 'Altdorf', merchantId: null, cargo: 'Wine', quantity: 1, totalCost: 10 })).toBeNull();
+
+        dataManager.merchantRoster = null;
+        expect(dataManager.getMerchantRoster().getMerchant('Altdorf', merchant.id).deals)
+            .toEqual([expect.objectContaining({ type: 'sale', cargo: 'Wine', quantity: 10, total: 480 })]);
+    });
+
+    test('should recruit a newcomer for each slot once and draw the same merchants after', async () => {
+        const dataManager = createDataManager();
+        dataManager.activeDatasetName = 'wfrp4e';
+        const pipeline = createPipeline(dataManager);
+        const altdorf = dataManager.getSettlement('Altdorf');
+        fixRolls(1);
+
+        const first = await pipeline.run({ settlement: altdorf, season: 'spring' });
+        const newcomers = first.slots.map(slot => slot.merchant);
+        expect(newcomers.length).toBeGreaterThan(0);
+        newcomers.forEach((merchant, index) => {
+            expect(merchant).toMatchObject({ regular: true, newcomer: true, specialities: [first.slots[index].cargo.name] });
+        });
+        expect(settingsStore.merchantRoster.wfrp4e.Altdorf).toHaveLength(newcomers.length);
+
+        const second = await pipeline.run({ settlement: altdorf, season: 'spring' });
+        expect(second.slots.map(slot => slot.merchant.id).sort()).toEqual(newcomers.map(merchant => merchant.id).sort());
+        expect(second.slots.every(slot => slot.merchant.newcomer === undefined && slot.merchant.calculation === null)).toBe(true);
+        expect(dataManager.getMerchantRoster().getMerchants('Altdorf')).toHaveLength(newcomers.length);
+    });
+
+    test('should always seat pinned merchants, selling their speciality', async () => {
+        const dataManager = createDataManager();
+        dataManager.activeDatasetName = 'wfrp4e';
+        const pipeline = createPipeline(dataManager);
+        const pinned = dataManager.getMerchantRoster().addMerchant('Dunstigfurt', { name: 'Greta Voss', skill: 65, specialities: ['Wine'], pinned: true });
+        // A roll of 100 fails every availability check at a village
+        fixRolls(100);
+
+        const result = await pipeline.run({ settlement: dataManager.getSettlement('Dunstigfurt'), season: 'spring' });
+        const open = result.slots.filter(slot => slot.isSlotAvailable);
+
+        expect(open).toHaveLength(1);
+        expect(open[0].merchant).toMatchObject({ id: pinned.id, name: 'Greta Voss', skill: 65, pinned: true });
+        expect(open[0].cargo.name).toBe('Wine');
+        // Nobody is recruited for the slots nobody turned up to
+        expect(dataManager.getMerchantRoster().getMerchants('Dunstigfurt')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the recorded price history
+ */
+
+global.window = global.window || {};
+
+require('../scripts/data-manager.js');
+const DataManager = window.TradingPlacesDataManager;
+const { PriceHistory } = require('../scripts/price-history.js');
+
+const DAY = 24 * 60 * 60;
+
+describe('PriceHistory', () => {
+    let clock;
+    let history;
+
+    beforeEach(() => {
+        clock = 0;
+        history = new PriceHistory({ now: () => clock });
+    });
+
+    test('should record price points per settlement, cargo and quality in date order', () => {
+        history.recordPrice({ settlement: 'Altdorf', cargo: 'Wine', quality: 'Average', price: 12.345, source: 'market' });
+        clock = 2 * DAY;
+        history.recordPrice({ settlement: 'Altdorf', cargo: 'Wine', quality: 'High', price: 20, source: 'purchase' });
+        history.recordPrice({ settlement: 'Altdorf', cargo: 'Wine', quality: 'Average', price: 10, source: 'sale', time: DAY });
+
+        expect(history.getHistory('Altdorf', 'Wine').map(point => point.time)).toEqual([0, DAY, 2 * DAY]);
+        expect(history.getHistory('Altdorf', 'Wine', { quality: 'average' }).map(point => point.price)).toEqual([12.35, 10]);
+        expect(history.getHistory('Altdorf', 'Wine', { source: ['market', 'purchase'] })).toHaveLength(2);
+        expect(history.getHistory('Altdorf', 'Wine', { since: DAY })).toHaveLength(2);
+        expect(history.getHistory('Nuln', 'Wine')).toEqual([]);
+    });
+
+    test('should list the cargo priced at a settlement, most recent first', () => {
+        history.recordPrice({ settlement: 'Altdorf', cargo: 'Wine', price: 10 });
+        clock = DAY;
+        history.recordPrice({ settlement: 'Altdorf', cargo: 'Iron', price: 5 });
+
+        expect(history.getCargoNames('Altdorf')).toEqual(['Iron', 'Wine']);
+        expect(history.getCargoNames('Nuln')).toEqual([]);
+    });
+
+    test('should return the history of one cargo across all settlements', () => {
+        history.recordPrices([
+            { settlement: 'Nuln', cargo: 'Wine', price: 8 },
+            { settlement: 'Altdorf', cargo: 'Wine', price: 10 },
+            { settlement: 'Altdorf', cargo: 'Wine', price: 14, time: DAY },
+            { settlement: 'Altdorf', cargo: 'Iron', price: 4 }
+        ]);
+
+        const wine = history.getCargoHistory('Wine');
+
+        expect(wine.settlements.map(entry => entry.settlement)).toEqual(['Altdorf', 'Nuln']);
+        expect(wine.settlements[0]).toEqual(expect.objectContaining({ average: 12, min: 10, max: 14, count: 2 }));
+        expect(wine.settlements[0].latest.price).toBe(14);
+        expect(wine.summary).toEqual(expect.objectContaining({ average: 10.67, min: 8, max: 14, count: 3 }));
+        expect(history.getCargoHistory('Salt')).toEqual({ cargo: 'Salt', settlements: [], summary: null });
+    });
+
+    test('should judge whether a price is high or low against the history', () => {
+        history.recordPrices([
+            { settlement: 'Altdorf', cargo: 'Wine', price: 9 },
+            { settlement: 'Nuln', cargo: 'Wine', price: 11 }
+        ]);
+
+        expect(history.evaluatePrice('Wine', 10.5).rating).toBe('fair');
+        expect(history.evaluatePrice('Wine', 12)).toEqual({ rating: 'high', average: 10, difference: 0.2, count: 2 });
+        expect(history.evaluatePrice('Wine', 8).rating).toBe('low');
+        expect(history.evaluatePrice('Iron', 8).rating).toBe('unknown');
+    });
+
+    test('should keep a bounded number of points and drop expired ones', () => {
+        const bounded = new PriceHistory({ maxPointsPerSeries: 3, retentionDays: 30, now: () => clock });
+        for (let day = 0; day < 5; day++) {
+            bounded.recordPrice({ settlement: 'Altdorf', cargo: 'Wine', price: day, time: day * DAY });
+        }
+        bounded.recordPrice({ settlement: 'Nuln', cargo: 'Iron', price: 5, time: 0 });
+
+        expect(bounded.getHistory('Altdorf', 'Wine').map(point => point.price)).toEqual([2, 3, 4]);
+
+        clock = 33 * DAY;
+        expect(bounded.pruneExpired()).toBe(2);
+        expect(bounded.getHistory('Altdorf', 'Wine').map(point => point.price)).toEqual([3, 4]);
+        expect(bounded.toJSON().Nuln).toBeUndefined();
+    });
+
+    test('should round-trip through its serialised state and reject invalid points', () => {
+        history.recordPrice({ settlement: 'Altdorf', cargo: 'Wine', price: 10 });
+        const restored = new PriceHistory({ state: JSON.parse(JSON.stringify(history.toJSON())), now: () => clock });
+        expect(restored.getHistory('Altdorf', 'Wine')).toEqual(history.getHistory('Altdorf', 'Wine'));
+
+        expect(() => history.recordPrice({ cargo: 'Wine', price: 1 })).toThrow('Price settlement is required');
+        expect(() => history.recordPrice({ settlement: 'Altdorf', price: 1 })).toThrow('Price cargo is required');
+        expect(() => history.recordPrice({ settlement: 'Altdorf', cargo: 'Wine', price: -1 }))
+            .toThrow('Price must be a non-negative number');
+        expect(() => history.recordPrice({ settlement: 'Altdorf', cargo: 'Wine', price: 1, source: 'rumor' }))
+            .toThrow('Unknown price source: rumor');
+    });
+});
+
+describe('DataManager price history', () => {
+    test('should build the history from the trading config and expose one cargo across settlements', async () => {
+        const dataManager = new DataManager();
+        dataManager.tradingConfig = { priceHistory: { maxPointsPerSeries: 2, fairBand: 0.25 } };
+
+        await dataManager.recordPrices([
+            { settlement: 'Altdorf', cargo: 'Wine', price: 10, source: 'purchase' },
+            { settlement: 'Nuln', cargo: 'Wine', price: 14, source: 'sale' }
+        ]);
+
+        const history = dataManager.getPriceHistory();
+        expect(history.maxPointsPerSeries).toBe(2);
+        expect(history.fairBand).toBe(0.25);
+        expect(dataManager.getCargoPriceHistory('Wine').summary.average).toBe(12);
+        expect(dataManager.getCargoPriceHistory('Wine', { source: 'sale' }).settlements.map(entry => entry.settlement)).toEqual(['Nuln']);
+    });
+});
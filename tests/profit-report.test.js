@@ -0,0 +1,178 @@
+/**
+ * Unit tests for the profit and loss report built from the transaction history
+ */
+
+global.window = global.window || {};
+
+require('../scripts/data-manager.js');
+const DataManager = window.TradingPlacesDataManager;
+const { ProfitReport } = require('../scripts/profit-report.js');
+
+const DAY = 24 * 60 * 60;
+
+function purchase(fields) {
+    return { isSale: false, quality: 'Average', season: 'spring', ...fields };
+}
+
+function sale(fields) {
+    return { isSale: true, season: 'spring', ...fields };
+}
+
+describe('ProfitReport', () => {
+    let reporter;
+
+    beforeEach(() => {
+        reporter = new ProfitReport();
+    });
+
+    test('should pair sales with the oldest purchases first', () => {
+        // History is kept newest first
+        const history = [
+            sale({ cargo: 'Wool', quantity: 30, totalCost: 900, settlement: 'Altdorf', season: 'summer', worldTime: 3 * DAY }),
+            purchase({ cargo: 'Wool', quantity: 20, totalCost: 400, settlement: 'Bögenhafen', worldTime: 2 * DAY }),
+            purchase({ cargo: 'Wool', quantity: 20, totalCost: 200, settlement: 'Grünburg', worldTime: DAY })
+        ];
+
+        const report = reporter.build(history);
+
+        expect(report.lots.map(lot => [lot.settlement, lot.soldQuantity, lot.costOfSold, lot.proceeds, lot.profit])).toEqual([
+            ['Grünburg', 20, 200, 600, 400],
+            ['Bögenhafen', 10, 200, 300, 100]
+        ]);
+        expect(report.trips).toEqual([
+            { from: 'Grünburg', to: 'Altdorf', quantity: 20, cost: 200, proceeds: 600, profit: 400 },
+            { from: 'Bögenhafen', to: 'Altdorf', quantity: 10, cost: 200, proceeds: 300, profit: 100 }
+        ]);
+        expect(report.seasons).toEqual([{ season: 'summer', quantity: 30, cost: 400, proceeds: 900, profit: 500 }]);
+        expect(report.settlements).toEqual([
+            { settlement: 'Altdorf', spent: 0, received: 900, profit: 500 },
+            { settlement: 'Bögenhafen', spent: 400, received: 0, profit: 0 },
+            { settlement: 'Grünburg', spent: 200, received: 0, profit: 0 }
+        ]);
+        expect(report.totals).toMatchObject({ spent: 600, received: 900, realised: 500 });
+    });
+
+    test('should prefer the sold lot, then the same quality, over the oldest purchase', () => {
+        const history = [
+            sale({ cargo: 'Wine', quality: 'High', quantity: 10, totalCost: 500, settlement: 'Altdorf', worldTime: 4 * DAY }),
+            sale({ cargo: 'Wine', cargoId: 'lot-b', quantity: 10, totalCost: 300, settlement: 'Altdorf', worldTime: 3 * DAY }),
+            purchase({ cargo: 'Wine', cargoId: 'lot-c', quality: 'High', quantity: 10, totalCost: 300, settlement: 'Nuln', worldTime: 2 * DAY }),
+            purchase({ cargo: 'Wine', cargoId: 'lot-b', quantity: 10, totalCost: 100, settlement: 'Ubersreik', worldTime: DAY }),
+            purchase({ cargo: 'Wine', cargoId: 'lot-a', quantity: 10, totalCost: 50, settlement: 'Kemperbad', worldTime: 0 })
+        ];
+
+        const report = reporter.build(history);
+
+        expect(report.lots.map(lot => [lot.cargoId, lot.soldQuantity, lot.profit])).toEqual([
+            ['lot-a', 0, 0],
+            ['lot-b', 10, 200],
+            ['lot-c', 10, 200]
+        ]);
+    });
+
+    test('should leave out reversed transactions', () => {
+        const history = [
+            sale({ cargo: 'Wool', quantity: 10, totalCost: 300, settlement: 'Altdorf', reversed: true, reversedBy: 'Gamemaster', worldTime: DAY }),
+            purchase({ cargo: 'Wool', quantity: 10, totalCost: 100, settlement: 'Grünburg', worldTime: 0 })
+        ];
+
+        const report = reporter.build(history);
+
+        expect(report.totals).toMatchObject({ spent: 100, received: 0, realised: 0 });
+        expect(report.lots[0].soldQuantity).toBe(0);
+    });
+
+    test('should report sales with no purchase to pair with', () => {
+        const history = [
+            sale({ cargo: 'Iron', quantity: 15, totalCost: 300, settlement: 'Nuln' }),
+            purchase({ cargo: 'Iron', quantity: 10, totalCost: 100, settlement: 'Altdorf' })
+        ];
+
+        const report = reporter.build(history);
+
+        expect(report.totals.realised).toBe(100);
+        expect(report.unmatchedSales).toEqual([
+            expect.objectContaining({ cargo: 'Iron', settlement: 'Nuln', quantity: 5, proceeds: 100 })
+        ]);
+    });
+
+    test('should value cargo in the hold at cost and at the estimated price', () => {
+        reporter = new ProfitReport({ estimatePrice: cargo => (cargo.cargo === 'Wool' ? 15 : null) });
+
+        const report = reporter.build([], [
+            { id: 'lot-a', cargo: 'Wool', quality: 'Average', settlement: 'Altdorf', quantity: 20, pricePerEP: 10 },
+            { id: 'lot-b', cargo: 'Relics', quality: 'High', settlement: 'Nuln', quantity: 5, pricePerEP: 40 },
+            { id: 'lot-c', cargo: 'Grain', quantity: 0, pricePerEP: 5 }
+        ]);
+
+        expect(report.holdings).toEqual([
+            { cargoId: 'lot-a', cargo: 'Wool', quality: 'Average', settlement: 'Altdorf', quantity: 20, costBasis: 200, estimatedValue: 300, unrealised: 100, stored: false },
+            { cargoId: 'lot-b', cargo: 'Relics', quality: 'High', settlement: 'Nuln', quantity: 5, costBasis: 200, estimatedValue: null, unrealised: null, stored: false }
+        ]);
+        expect(report.totals).toMatchObject({ costBasis: 400, estimatedValue: 300, unrealised: 100 });
+    });
+
+    test('should export CSV and Markdown', () => {
+        const report = reporter.build([
+            sale({ cargo: 'Wool', quantity: 10, totalCost: 300, settlement: 'Altdorf, Reikland', worldTime: DAY }),
+            purchase({ cargo: 'Wool', quantity: 10, totalCost: 100, settlement: 'Grünburg', worldTime: 0 })
+        ]);
+
+        const csv = reporter.toCSV(report).split('\n');
+        expect(csv[0]).toBe('section,name,from,to,season,quantity,cost,proceeds,profit');
+        expect(csv).toContain('lot,Wool (Average),Grünburg,,spring,10,100,300,200');
+        expect(csv).toContain('trip,,Grünburg,"Altdorf, Reikland",,10,100,300,200');
+
+        const markdown = reporter.toMarkdown(report, { formatValue: value => `${value} bp` });
+        expect(markdown).toContain('# Profit and Loss');
+        expect(markdown).toContain('- Realised profit: 200 bp');
+        expect(markdown).toContain('| Grünburg | Altdorf, Reikland | 10 | 100 bp | 300 bp | 200 bp |');
+        expect(markdown).not.toContain('## In the Hold');
+    });
+});
+
+describe('DataManager profit report', () => {
+    let dataManager;
+    let settingsStore;
+
+    beforeEach(() => {
+        settingsStore = { priceHistory: {} };
+        global.game = {
+            settings: {
+                get: jest.fn((module, key) => settingsStore[key]),
+                set: jest.fn(async (module, key, value) => { settingsStore[key] = value; })
+            }
+        };
+
+        dataManager = new DataManager();
+        dataManager.activeDatasetName = 'wfrp4e';
+        dataManager.tradingConfig = {};
+        dataManager.cargoTypes = [
+            { name: 'Wool', category: 'Textiles', basePrice: 100, seasonalModifiers: { spring: 1, summer: 1.2, autumn: 1, winter: 0.8 } }
+        ];
+        dataManager.history = [purchase({ cargo: 'Wool', cargoId: 'lot-a', quantity: 20, totalCost: 160, settlement: 'Altdorf' })];
+        dataManager.cargo = [{ id: 'lot-a', cargo: 'Wool', quality: 'Average', settlement: 'Altdorf', quantity: 20, pricePerEP: 8 }];
+    });
+
+    afterEach(() => {
+        delete global.game;
+    });
+
+    test('should value held cargo at its seasonal base price without recorded prices', () => {
+        const report = dataManager.getProfitReport('summer');
+
+        expect(report.holdings[0]).toMatchObject({ costBasis: 160, estimatedValue: 240, unrealised: 80 });
+    });
+
+    test('should prefer recorded sale and offer prices', async () => {
+        await dataManager.recordPrices([
+            { settlement: 'Nuln', cargo: 'Wool', quality: 'Average', price: 14, source: 'offer' },
+            { settlement: 'Nuln', cargo: 'Wool', quality: 'Average', price: 16, source: 'sale' },
+            { settlement: 'Nuln', cargo: 'Wool', quality: 'Average', price: 2, source: 'purchase' }
+        ]);
+
+        const report = dataManager.getProfitReport('summer');
+
+        expect(report.holdings[0]).toMatchObject({ estimatedValue: 300, unrealised: 140 });
+    });
+});
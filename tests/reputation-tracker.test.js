@@ -0,0 +1,163 @@
+/**
+ * Unit tests for the party's reputation with settlements and regions
+ */
+
+global.window = global.window || {};
+
+const { ReputationTracker } = require('../scripts/reputation-tracker.js');
+const HagglingMechanics = require('../scripts/haggling-mechanics.js');
+const { SaleMechanics } = require('../scripts/sale-mechanics.js');
+const { createDataManager } = require('./foundry-harness/dataset-fixture.js');
+
+const averheim = { name: 'Averheim', region: 'Averland', flags: ['trade', 'government'] };
+const streissen = { name: 'Streissen', region: 'Averland', flags: [] };
+const altdorf = { name: 'Altdorf', region: 'Reikland', flags: ['trade'] };
+
+describe('ReputationTracker', () => {
+    let tracker;
+
+    beforeEach(() => {
+        tracker = new ReputationTracker({}, { now: () => 100 });
+    });
+
+    test('should change the settlement by the event and its region by half as much', () => {
+        const event = tracker.record(averheim, 'contractCompleted', { note: 'Grain delivered' });
+
+        expect(event).toMatchObject({
+            settlement: 'Averheim',
+            region: 'Averland',
+            type: 'contractCompleted',
+            change: 10,
+            regionChange: 5,
+            note: 'Grain delivered',
+            worldTime: 100
+        });
+        expect(tracker.getStanding(averheim)).toBe(15);
+        expect(tracker.getStanding(streissen)).toBe(5);
+        expect(tracker.getStanding(altdorf)).toBe(0);
+    });
+
+    test('should keep scores between -100 and 100 and name their tier', () => {
+        for (let i = 0; i < 10; i++) {
+            tracker.record(averheim, 'contrabandBust');
+        }
+
+        expect(tracker.getSettlementScores()).toEqual([{ name: 'Averheim', score: -100 }]);
+        expect(tracker.getStanding(averheim)).toBe(-100);
+        expect(tracker.getTier(-100)).toBe('Shunned');
+        expect(tracker.getTier(0)).toBe('Neutral');
+        expect(tracker.getTier(20)).toBe('Trusted');
+        expect(tracker.getTier(75)).toBe('Renowned');
+    });
+
+    test('should tell fair trades from hard bargains', () => {
+        expect(tracker.classifyTrade({ isSale: false, discountPercent: 0 })).toBe('fairTrade');
+        expect(tracker.classifyTrade({ isSale: true, discountPercent: -5 })).toBe('fairTrade');
+        expect(tracker.classifyTrade({ isSale: false, discountPercent: -20 })).toBe('heavyHaggle');
+        expect(tracker.classifyTrade({ isSale: true, discountPercent: 15 })).toBe('heavyHaggle');
+        expect(tracker.classifyTrade({ isSale: true, discountPercent: 10 })).toBeNull();
+        // Paying over the odds is no hard bargain
+        expect(tracker.classifyTrade({ isSale: false, discountPercent: 20 })).toBeNull();
+    });
+
+    test('should turn away a shunned party only at trade markets', () => {
+        tracker.record(averheim, 'adjustment', { change: -60 });
+        tracker.record(streissen, 'adjustment', { change: -60 });
+
+        expect(tracker.canAccessMarket(averheim)).toBe(false);
+        expect(tracker.canAccessMarket(streissen)).toBe(true);
+        // -60 here and -60 across Averland
+        expect(tracker.getStanding(averheim)).toBe(-100);
+        expect(tracker.getHaggleModifier(averheim)).toBe(-20);
+        expect(tracker.getBuyerChanceModifier(averheim)).toBe(-20);
+    });
+
+    test('should reject unknown events and ignore ones that change nothing', () => {
+        expect(() => tracker.record(null, 'fairTrade')).toThrow('Reputation events need a settlement');
+        expect(() => tracker.record(averheim, 'bribery')).toThrow('Unknown reputation event: bribery');
+        expect(tracker.record(averheim, 'adjustment', { change: 0 })).toBeNull();
+        expect(tracker.getEvents()).toEqual([]);
+    });
+
+    test('should keep only the newest events and round-trip through JSON', () => {
+        tracker = new ReputationTracker({ historyLimit: 2 }, { now: () => 0 });
+        tracker.record(averheim, 'fairTrade');
+        tracker.record(altdorf, 'reversedDeal');
+        tracker.record(averheim, 'heavyHaggle');
+
+        expect(tracker.getEvents().map(event => event.type)).toEqual(['heavyHaggle', 'reversedDeal']);
+        expect(tracker.getEvents('Altdorf')).toHaveLength(1);
+
+        const restored = new ReputationTracker({}, JSON.parse(JSON.stringify(tracker.toJSON())));
+        expect(restored.getStanding(averheim)).toBe(tracker.getStanding(averheim));
+        expect(restored.getRegionScores()).toEqual(tracker.getRegionScores());
+    });
+});
+
+describe('DataManager reputation', () => {
+    let settingsStore;
+
+    beforeEach(() => {
+        settingsStore = { reputation: {} };
+        global.game = {
+            settings: {
+                get: jest.fn((module, key) => settingsStore[key]),
+                set: jest.fn(async (module, key, value) => { settingsStore[key] = value; })
+            }
+        };
+    });
+
+    afterEach(() => {
+        delete global.game;
+    });
+
+    test('should record events by settlement name and persist them per dataset', async () => {
+        const dataManager = createDataManager();
+        dataManager.activeDatasetName = 'wfrp4e';
+
+        await dataManager.recordReputation('Averheim', 'contractCompleted');
+        await dataManager.recordTradeReputation({ settlement: 'Averheim', cargo: 'Grain', quantity: 20, isSale: false, discountPercent: -20 });
+
+        expect(settingsStore.reputation.wfrp4e.settlements).toEqual({ Averheim: 7 });
+        expect(settingsStore.reputation.wfrp4e.regions).toEqual({ Averland: 4 });
+        expect(settingsStore.reputation.wfrp4e.events[0].note).toBe('Bought 20 EP of Grain');
+
+        dataManager.reputation = null;
+        expect(dataManager.getReputation().getStanding(dataManager.getSettlement('Averheim'))).toBe(11);
+    });
+});
+
+describe('Reputation in haggling and selling', () => {
+    let dataManager;
+
+    beforeEach(() => {
+        dataManager = createDataManager();
+        dataManager.getReputation().record(dataManager.getSettlement('Averheim'), 'adjustment', { change: 50 });
+    });
+
+    test('should add the haggle modifier to the party\'s test at the settlement', async () => {
+        const haggling = new HagglingMechanics(dataManager, dataManager.tradingConfig);
+        const settlement = dataManager.getSettlement('Averheim');
+
+        const result = await haggling.performHaggleTest(40, 40, false, { settlement }, async () => 45);
+
+        // Standing 75 (50 here and 25 across Averland) at 0.2 a point
+        expect(result.reputationModifier).toBe(15);
+        expect(result.player.modifiedSkill).toBe(55);
+        expect(result.merchant.modifiedSkill).toBe(40);
+        // A roll of 45 fails at 40 but succeeds with the party's good name
+        expect(result.success).toBe(true);
+    });
+
+    test('should sway the chance of finding a buyer, down to none at a shunned trade market', () => {
+        const saleMechanics = new SaleMechanics(dataManager, { getCargoByName: () => ({ name: 'Wine' }) });
+        const settlement = dataManager.getSettlement('Averheim');
+
+        const without = new SaleMechanics(createDataManager(), { getCargoByName: () => ({ name: 'Wine' }) })
+            .calculateBuyerAvailabilityChance(settlement, 'Wine');
+        expect(saleMechanics.calculateBuyerAvailabilityChance(settlement, 'Wine')).toBe(without + 15);
+
+        dataManager.getReputation().record(settlement, 'adjustment', { change: -150 });
+        expect(saleMechanics.calculateBuyerAvailabilityChance(settlement, 'Wine')).toBe(0);
+    });
+});
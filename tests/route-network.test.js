@@ -0,0 +1,161 @@
+/**
+ * Unit tests for the river/road route network and DataManager route finding
+ */
+
+global.window = global.window || {};
+
+require('../scripts/data-manager.js');
+const DataManager = window.TradingPlacesDataManager;
+const { RouteNetwork } = require('../scripts/route-network.js');
+const ConfigValidator = require('../scripts/config-validator.js');
+const { loadSettlements, readDatasetFile } = require('./foundry-harness/dataset-fixture.js');
+
+const testSettlements = ['Alpha', 'Beta', 'Gamma', 'Delta'].map(name => ({ name, region: 'Test' }));
+
+const testRoutes = [
+    // Short but expensive road
+    { from: 'Alpha', to: 'Gamma', type: 'road', road: 'High Road', distance: 50, travelDays: 3 },
+    // Longer but cheaper river
+    { from: 'Alpha', to: 'Beta', type: 'river', waterway: 'Blue', distance: 40, travelDays: 2 },
+    { from: 'Beta', to: 'Gamma', type: 'river', waterway: 'Blue', distance: 30, travelDays: 1 }
+];
+
+const testConfig = { costPerMile: { river: 1, road: 4 } };
+
+describe('RouteNetwork', () => {
+    test('should build connections in both directions', () => {
+        const network = new RouteNetwork(testRoutes, testConfig);
+
+        expect(network.getConnections('Alpha').map(leg => leg.to)).toEqual(['Gamma', 'Beta']);
+        expect(network.getConnections('gamma').map(leg => leg.to)).toEqual(['Alpha', 'Beta']);
+        expect(network.hasSettlement('Delta')).toBe(false);
+    });
+
+    test('should respect one-way routes', () => {
+        const network = new RouteNetwork([
+            { from: 'Alpha', to: 'Beta', type: 'river', waterway: 'Blue', distance: 10, travelDays: 1, oneWay: true }
+        ], testConfig);
+
+        expect(network.findPath('Alpha', 'Beta')).not.toBeNull();
+        expect(network.findPath('Beta', 'Alpha')).toBeNull();
+    });
+
+    test('should find different shortest and cheapest paths', () => {
+        const network = new RouteNetwork(testRoutes, testConfig);
+        const { shortest, cheapest } = network.findRoutes('Alpha', 'Gamma');
+
+        expect(shortest.settlements).toEqual(['Alpha', 'Gamma']);
+        expect(shortest.distance).toBe(50);
+        expect(shortest.cost).toBe(200);
+
+        expect(cheapest.settlements).toEqual(['Alpha', 'Beta', 'Gamma']);
+        expect(cheapest.distance).toBe(70);
+        expect(cheapest.travelDays).toBe(3);
+        expect(cheapest.cost).toBe(70);
+        expect(cheapest.waterways).toEqual(['Blue']);
+    });
+
+    test('should prefer an explicit edge cost over the per-mile rate', () => {
+        const network = new RouteNetwork([
+            { from: 'Alpha', to: 'Beta', type: 'road', road: 'Toll Road', distance: 10, travelDays: 1, cost: 5 }
+        ], testConfig);
+
+        expect(network.findPath('Alpha', 'Beta', 'cost').cost).toBe(5);
+    });
+
+    test('should return null for unreachable settlements', () => {
+        const network = new RouteNetwork(testRoutes, testConfig);
+        expect(network.findRoutes('Alpha', 'Delta')).toEqual({ shortest: null, cheapest: null });
+    });
+
+    test('should return an empty path for the same settlement', () => {
+        const network = new RouteNetwork(testRoutes, testConfig);
+        const path = network.findPath('Alpha', 'Alpha');
+
+        expect(path.settlements).toEqual(['Alpha']);
+        expect(path.legs).toHaveLength(0);
+        expect(path.distance).toBe(0);
+    });
+
+    describe('validateRoutes', () => {
+        test('should accept routes between known settlements', () => {
+            expect(RouteNetwork.validateRoutes(testRoutes, testSettlements)).toEqual([]);
+        });
+
+        test('should treat missing routes as valid', () => {
+            expect(RouteNetwork.validateRoutes(undefined, testSettlements)).toEqual([]);
+        });
+
+        test('should reject edges pointing to unknown settlements', () => {
+            const errors = RouteNetwork.validateRoutes([
+                { from: 'Alpha', to: 'Atlantis', type: 'river', waterway: 'Blue', distance: 10, travelDays: 1 }
+            ], testSettlements);
+
+            expect(errors).toHaveLength(1);
+            expect(errors[0]).toContain("Unknown settlement 'Atlantis'");
+        });
+
+        test('should reject malformed edges', () => {
+            const errors = RouteNetwork.validateRoutes([
+                { from: 'Alpha', to: 'Alpha', type: 'road', distance: -1 }
+            ], testSettlements);
+
+            expect(errors.some(error => error.includes('to itself'))).toBe(true);
+            expect(errors.some(error => error.includes('waterway or road'))).toBe(true);
+            expect(errors.some(error => error.includes('Distance'))).toBe(true);
+            expect(errors.some(error => error.includes('TravelDays'))).toBe(true);
+        });
+    });
+});
+
+describe('DataManager route finding', () => {
+    let dataManager;
+
+    beforeEach(() => {
+        dataManager = new DataManager();
+        dataManager.settlements = loadSettlements();
+        dataManager.routes = readDatasetFile('routes.json').routes;
+        dataManager.tradingConfig = readDatasetFile('trading-config.json');
+    });
+
+    test('should have a valid route network in the bundled dataset', () => {
+        expect(dataManager.routes.length).toBeGreaterThan(0);
+        expect(dataManager.validateRoutes()).toEqual({ valid: true, errors: [] });
+    });
+
+    test('should find a route along the Reik', () => {
+        const result = dataManager.findRoutes('Altdorf', 'Kemperbad');
+
+        expect(result.from).toBe('Altdorf');
+        expect(result.to).toBe('KEMPERBAD');
+        expect(result.shortest.settlements).toEqual(['Altdorf', 'Castle Reikguard', 'GRÜNBURG', 'KEMPERBAD']);
+        expect(result.shortest.waterways).toEqual(['Reik']);
+        expect(result.cheapest.cost).toBeGreaterThan(0);
+    });
+
+    test('should list direct connections of a settlement', () => {
+        const connections = dataManager.getRoutesFrom('Altdorf');
+        expect(connections.map(leg => leg.to)).toEqual(expect.arrayContaining(['EILHART', 'Castle Reikguard', 'HERGIG']));
+    });
+
+    test('should throw for unknown settlements', () => {
+        expect(() => dataManager.findRoutes('Altdorf', 'Atlantis')).toThrow('Unknown settlement: Atlantis');
+    });
+});
+
+describe('ConfigValidator route validation', () => {
+    test('should report edges that point to missing settlements', () => {
+        const validator = new ConfigValidator();
+        const result = validator.validateDatasetContent(
+            { currency: { canonicalUnit: { value: 1 }, denominations: [{ value: 1 }] }, inventory: { field: 'items' } },
+            { settlements: testSettlements.map(settlement => ({ ...settlement, size: 1, ruler: 'x', population: 10, wealth: 1, garrison: {}, notes: '', produces: [] })) },
+            { cargoTypes: [] },
+            { routes: [{ from: 'Alpha', to: 'Nowhere', type: 'road', road: 'Lost Road', distance: 10, travelDays: 1 }] }
+        );
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toContain('Routes validation failed:');
+        expect(result.errors.some(error => error.includes("Unknown settlement 'Nowhere'"))).toBe(true);
+        expect(result.statistics.routes).toBe(1);
+    });
+});
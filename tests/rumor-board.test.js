@@ -0,0 +1,261 @@
+/**
+ * Unit tests for the persistent rumor board and rumor-based sales
+ */
+
+global.window = global.window || {};
+
+const { RumorBoard, PlayerRumorJournal, DEFAULT_RUMOR_TEMPLATES } = require('../scripts/rumor-board.js');
+const { TradingEngine } = require('../scripts/trading-engine.js');
+const fs = require('fs');
+const path = require('path');
+const { createDataManager } = require('./foundry-harness/dataset-fixture.js');
+
+const DAY = 24 * 60 * 60;
+
+describe('RumorBoard', () => {
+    let clock;
+    let board;
+
+    beforeEach(() => {
+        clock = 0;
+        board = new RumorBoard({ now: () => clock, random: () => 0.1 });
+    });
+
+    test('should spread rumors naming a settlement and cargo from the templates', () => {
+        const rumor = board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine' });
+
+        expect(rumor).toEqual(expect.objectContaining({
+            settlement: 'Altdorf',
+            cargoName: 'Wine',
+            type: 'shortage',
+            description: 'Local shortage of Wine due to poor harvest',
+            multiplier: 1.5,
+            isTrue: true,
+            createdAt: 0,
+            expiresAt: 14 * DAY
+        }));
+        expect(board.getRumor(rumor.id)).toBe(rumor);
+    });
+
+    test('should use the dataset templates and truth chance', () => {
+        const templates = JSON.parse(fs.readFileSync(path.join(__dirname, '../datasets/rumors.json'), 'utf8')).rumors;
+        const strictBoard = new RumorBoard({ templates, truthChance: 0, now: () => clock, random: () => 0.99 });
+
+        const rumor = strictBoard.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine', durationDays: 3 });
+
+        expect(rumor.type).toBe('noble_demand');
+        expect(rumor.isTrue).toBe(false);
+        expect(rumor.expiresAt).toBe(3 * DAY);
+        expect(templates.map(template => template.type)).toEqual(DEFAULT_RUMOR_TEMPLATES.map(template => template.type));
+    });
+
+    test('should only be payable while true and active', () => {
+        const trueRumor = board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine', isTrue: true });
+        const falseRumor = board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine', isTrue: false });
+
+        expect(board.isPayable(trueRumor)).toBe(true);
+        expect(board.isPayable(falseRumor)).toBe(false);
+        expect(board.getActiveRumors({ settlement: 'altdorf', cargoName: 'wine' })).toHaveLength(2);
+
+        clock = 14 * DAY;
+        expect(board.getStatus(trueRumor)).toBe('expired');
+        expect(board.isPayable(trueRumor)).toBe(false);
+        expect(board.getActiveRumors()).toEqual([]);
+    });
+
+    test('should prune expired rumors', () => {
+        board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine', durationDays: 2 });
+        board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Ale', durationDays: 20 });
+
+        clock = 5 * DAY;
+        expect(board.pruneExpired()).toBe(1);
+        expect(board.getRumors().map(rumor => rumor.cargoName)).toEqual(['Ale']);
+    });
+
+    test('should round-trip through its serialised state and reject invalid rumors', () => {
+        const rumor = board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine' });
+
+        const restored = new RumorBoard({ ...JSON.parse(JSON.stringify(board.toJSON())), now: () => clock });
+        expect(restored.getRumor(rumor.id)).toEqual(rumor);
+
+        expect(() => board.spreadRumor({ cargoName: 'Wine' })).toThrow('Rumor settlement is required');
+        expect(() => board.spreadRumor({ settlement: 'Altdorf' })).toThrow('Rumor cargo is required');
+        expect(() => board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine', durationDays: 0 }))
+            .toThrow('Rumor duration must be a positive number of days');
+        expect(() => board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine', type: 'gossip' }))
+            .toThrow('Unknown rumor type: gossip');
+    });
+});
+
+describe('PlayerRumorJournal', () => {
+    let clock;
+    let board;
+    let journal;
+
+    beforeEach(() => {
+        clock = 0;
+        board = new RumorBoard({ now: () => clock, random: () => 0.1 });
+        journal = new PlayerRumorJournal({ now: () => clock });
+    });
+
+    test('should keep the rumors a player has heard, hiding the truth until verified', () => {
+        const first = board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine' });
+        const second = board.spreadRumor({ settlement: 'Nuln', cargoName: 'Iron' });
+
+        journal.record(first, { learnedIn: 'Altdorf' });
+        expect(journal.getEntry(first.id).rumor.isTrue).toBeUndefined();
+        clock = DAY;
+        journal.record(second, { learnedIn: 'Altdorf' });
+        journal.record(first, { verified: true });
+
+        const entries = journal.getEntries();
+        expect(entries.map(entry => entry.rumorId)).toEqual([second.id, first.id]);
+        expect(entries[1]).toEqual(expect.objectContaining({ learnedAt: 0, learnedIn: 'Altdorf', verified: true, status: 'active' }));
+        expect(entries[1].rumor.isTrue).toBe(true);
+        expect(journal.getEntries({ settlement: 'nuln', cargoName: 'iron' })).toHaveLength(1);
+        expect(journal.hasHeard('missing')).toBe(false);
+        expect(() => journal.record(null)).toThrow('Rumor is required');
+    });
+
+    test('should mark expired entries and forget removed rumors', () => {
+        const short = board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine', durationDays: 2 });
+        const long = board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Ale', durationDays: 20 });
+        journal.record(short);
+        journal.record(long);
+
+        clock = 5 * DAY;
+        expect(journal.getEntries({ status: 'active' }).map(entry => entry.rumorId)).toEqual([long.id]);
+        expect(journal.forget([short.id])).toBe(1);
+
+        const restored = new PlayerRumorJournal({ entries: JSON.parse(JSON.stringify(journal.toJSON())) });
+        expect(restored.getEntries().map(entry => entry.rumorId)).toEqual([long.id]);
+    });
+});
+
+describe('SaleMechanics rumor board', () => {
+    let dataManager;
+    let tradingEngine;
+    let board;
+    let settlement;
+
+    function createUser(id) {
+        const flags = {};
+        return {
+            id,
+            name: id,
+            getFlag: (scope, key) => flags[key],
+            setFlag: jest.fn(async (scope, key, value) => {
+                flags[key] = { ...flags[key], ...value };
+            })
+        };
+    }
+
+    beforeEach(() => {
+        const users = new Map([['player1', createUser('player1')], ['player2', createUser('player2')]]);
+        global.game = { users: { get: id => users.get(id), [Symbol.iterator]: () => users.values() } };
+        dataManager = createDataManager();
+        dataManager.rumorBoard = new RumorBoard({ now: () => 0, random: () => 0.1 });
+        board = dataManager.getRumorBoard();
+        tradingEngine = new TradingEngine(dataManager);
+        tradingEngine.setCurrentSeason('spring');
+        settlement = dataManager.getSettlement('Altdorf');
+    });
+
+    afterEach(() => {
+        delete global.game;
+    });
+
+    test('should reveal existing board rumors from gossip instead of inventing new ones', async () => {
+        const rumor = board.spreadRumor({ settlement: 'Nuln', cargoName: 'Wine' });
+
+        const heard = await tradingEngine.generateRumorFromGossip({ success: true, degrees: 1 }, 'Wine', settlement, { learnerId: 'player1' });
+
+        expect(heard.id).toBe(rumor.id);
+        expect(heard.settlement).toBe('Nuln');
+        expect(heard.isTrue).toBeUndefined();
+        expect(heard.reliability).toBe('unreliable');
+        expect(board.getRumors()).toHaveLength(1);
+        const entry = dataManager.getRumorJournal('player1').getEntry(rumor.id);
+        expect(entry).toEqual(expect.objectContaining({ learnedIn: 'Altdorf', verified: false }));
+        expect(entry.rumor.isTrue).toBeUndefined();
+        expect(game.users.get('player1').setFlag).toHaveBeenCalledWith('fvtt-trading-places', 'rumorJournal', { [dataManager.activeDatasetName]: [entry] });
+
+        // A second gossip test turns up a rumor this player has not heard yet
+        const next = await tradingEngine.generateRumorFromGossip({ success: true, degrees: 1 }, 'Wine', settlement, { learnerId: 'player1' });
+        expect(next.id).not.toBe(rumor.id);
+        expect(dataManager.getRumorJournal('player2').getEntries()).toEqual([]);
+    });
+
+    test('should spread a rumor when gossip finds nothing unheard, and verify it on a strong success', async () => {
+        const heard = await tradingEngine.generateRumorFromGossip({ success: true, degrees: 3 }, 'Wine', settlement, { learnerId: 'player1' });
+
+        expect(heard.settlement).toBe('Altdorf');
+        expect(heard.isTrue).toBe(true);
+        expect(heard.reliability).toBe('reliable');
+        expect(dataManager.getRumorJournal('player1').getEntry(heard.id).rumor.isTrue).toBe(true);
+        expect(await tradingEngine.generateRumorFromGossip({ success: false, degrees: 0 }, 'Wine', settlement)).toBeNull();
+    });
+
+    test('should reuse the active rumor for a settlement and cargo when one is heard during a sale', async () => {
+        const first = tradingEngine.checkForRumors('Wine', settlement, () => 5, { learnerId: 'player1' });
+        await Promise.resolve();
+        const second = tradingEngine.checkForRumors('Wine', settlement, () => 5, { learnerId: 'player1' });
+        await Promise.resolve();
+
+        expect(second.rumor.id).toBe(first.rumor.id);
+        expect(board.getRumors()).toHaveLength(1);
+        expect(dataManager.getRumorJournal('player1').getEntries()).toHaveLength(1);
+    });
+
+    test('should drop removed rumors from every player journal', async () => {
+        const rumor = board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine' });
+        await dataManager.recordHeardRumor('player1', rumor, { learnedIn: 'Altdorf' });
+        await dataManager.recordHeardRumor('player2', rumor, { learnedIn: 'Nuln' });
+
+        await dataManager.forgetRumors([rumor.id]);
+
+        expect(dataManager.getRumorJournal('player1').getEntries()).toEqual([]);
+        expect(dataManager.getRumorJournal('player2').getEntries()).toEqual([]);
+    });
+
+    test('should pay a premium only for true, active rumors about this cargo and settlement', () => {
+        const trueRumor = board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine', isTrue: true });
+        const falseRumor = board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine', isTrue: false });
+        const elsewhere = board.spreadRumor({ settlement: 'Nuln', cargoName: 'Wine', isTrue: true });
+
+        const paid = tradingEngine.processRumorSale('Wine', 10, settlement, trueRumor);
+        expect(paid.rumor.premiumPaid).toBe(true);
+        expect(paid.rumorPricePerUnit).toBeCloseTo(paid.normalPrice * 1.5);
+
+        const unpaid = tradingEngine.processRumorSale('Wine', 10, settlement, falseRumor);
+        expect(unpaid.rumor.premiumPaid).toBe(false);
+        expect(unpaid.rumor.reason).toBe('The rumor was false');
+        expect(unpaid.rumorPricePerUnit).toBe(unpaid.normalPrice);
+
+        expect(tradingEngine.processRumorSale('Wine', 10, settlement, elsewhere).rumor.reason).toBe('The rumor concerns Nuln');
+        // The board record wins over what the player claims
+        expect(tradingEngine.processRumorSale('Wine', 10, settlement, { ...falseRumor, isTrue: true }).rumor.premiumPaid).toBe(false);
+    });
+
+    test('should not pay a premium for rumors the board does not hold', () => {
+        const untracked = { type: 'shortage', description: 'A tale from the tavern', multiplier: 2, isTrue: true, settlement: 'Altdorf', cargoName: 'Wine' };
+        const trueRumor = board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine', isTrue: true });
+
+        const sale = tradingEngine.processRumorSale('Wine', 10, settlement, untracked);
+        expect(sale.rumor.premiumPaid).toBe(false);
+        expect(sale.rumor.reason).toBe('The rumor is not on the rumor board');
+        expect(sale.rumorPricePerUnit).toBe(sale.normalPrice);
+
+        const inflated = tradingEngine.processRumorSale('Wine', 10, settlement, { ...trueRumor, multiplier: 3 });
+        expect(inflated.rumorPricePerUnit).toBeCloseTo(inflated.normalPrice * 1.5);
+    });
+
+    test('should not pay a premium for expired rumors', () => {
+        const rumor = board.spreadRumor({ settlement: 'Altdorf', cargoName: 'Wine', isTrue: true, startTime: -20 * DAY });
+
+        const sale = tradingEngine.processRumorSale('Wine', 10, settlement, rumor);
+
+        expect(sale.rumor.premiumPaid).toBe(false);
+        expect(sale.rumor.reason).toBe('The rumor has expired');
+    });
+});
@@ -299,5 +299,87 @@ describe('Season Management', () => {
     });
 });
 
+describe('Season from calendar', () => {
+    const { TradingEngine } = require('../scripts/trading-engine.js');
+    const DAY = 24 * 60 * 60;
+    const imperialMonths = ['Nachexen', 'Jahrdrung', 'Pflugzeit', 'Sigmarzeit', 'Sommerzeit', 'Vorgeheim',
+        'Nachgeheim', 'Erntezeit', 'Brauzeit', 'Kaldezeit', 'Ulriczeit', 'Vorhexen'];
+    const originalTime = global.game.time;
+    const originalHooks = global.Hooks;
+    let dataManager;
+    let engine;
+
+    beforeEach(async () => {
+        // 30-day months, named by index
+        global.game.time = {
+            worldTime: 0,
+            calendar: {
+                months: { values: imperialMonths.map(name => ({ name })) },
+                timeToComponents: time => ({ month: Math.floor(time / (30 * DAY)) % 12 })
+            }
+        };
+        global.Hooks = { callAll: jest.fn() };
+
+        dataManager = new DataManager();
+        dataManager.tradingConfig = JSON.parse(fs.readFileSync(path.join(__dirname, '../datasets/wfrp4e/trading-config.json'), 'utf8'));
+        await dataManager.setCurrentSeason('winter');
+
+        engine = new TradingEngine(dataManager, { currentSeason: 'winter', seasonFollowsCalendar: true });
+        global.Hooks.callAll.mockClear();
+    });
+
+    afterEach(() => {
+        global.game.time = originalTime;
+        global.Hooks = originalHooks;
+    });
+
+    test('should map calendar months to seasons from the dataset table', () => {
+        expect(engine.getSeasonForWorldTime(0)).toBe('winter');
+        expect(engine.getSeasonForWorldTime(2 * 30 * DAY)).toBe('spring');
+        expect(engine.getSeasonForWorldTime(5 * 30 * DAY)).toBe('summer');
+        expect(engine.getSeasonForWorldTime(8 * 30 * DAY)).toBe('autumn');
+    });
+
+    test('should fall back to month numbers for unnamed months', () => {
+        global.game.time.calendar.months = { values: [] };
+        expect(engine.getSeasonForWorldTime(4 * 30 * DAY)).toBe('summer');
+    });
+
+    test('should return null without a calendar or season table', () => {
+        delete global.game.time.calendar;
+        expect(engine.getSeasonForWorldTime(0)).toBeNull();
+
+        global.game.time.calendar = { timeToComponents: () => ({ month: 0 }) };
+        dataManager.tradingConfig = {};
+        expect(engine.getSeasonForWorldTime(0)).toBeNull();
+    });
+
+    test('should change season, clear cached plans and fire the hook as world time passes', async () => {
+        engine.planCache.set('Altdorf', {});
+
+        expect(await engine.syncSeasonWithCalendar(3 * 30 * DAY)).toBe('spring');
+        expect(engine.getCurrentSeason()).toBe('spring');
+        expect(engine.planCache.size).toBe(0);
+        expect(await game.settings.get('fvtt-trading-places', 'currentSeason')).toBe('spring');
+        expect(global.Hooks.callAll).toHaveBeenCalledWith('fvtt-trading-places.seasonChanged',
+            expect.objectContaining({ newSeason: 'spring', oldSeason: 'winter' }));
+    });
+
+    test('should not change season within the same season', async () => {
+        engine.planCache.set('Altdorf', {});
+
+        expect(await engine.syncSeasonWithCalendar(11 * 30 * DAY)).toBe('winter');
+        expect(engine.planCache.size).toBe(1);
+        expect(global.Hooks.callAll).not.toHaveBeenCalled();
+    });
+
+    test('should leave the season alone when not following the calendar', async () => {
+        engine.setSeasonFollowsCalendar(false);
+
+        expect(await engine.syncSeasonWithCalendar(3 * 30 * DAY)).toBeNull();
+        expect(engine.getCurrentSeason()).toBe('winter');
+    });
+});
+
 // Export for manual testing
 module.exports = { DataManager };
\ No newline at end of file
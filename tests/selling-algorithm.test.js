@@ -4,6 +4,7 @@
  */
 
 const { WFRPSellingAlgorithm } = require('../scripts/selling-algorithm.js');
+const { TradingClock, SECONDS_PER_DAY } = require('../scripts/trading-clock.js');
 
 // Mock DataManager for testing
 class MockDataManager {
@@ -206,15 +207,14 @@ describe('WFRPSellingAlgorithm', () => {
         });
 
         test('should enforce one week waiting period at same location', () => {
-            const yesterday = new Date();
-            yesterday.setDate(yesterday.getDate() - 1);
-            
+            const yesterday = TradingClock.now() - SECONDS_PER_DAY;
+
             const result = algorithm.checkSellingEligibility(
                 testSettlements.altdorf,
                 'Grain',
                 { 
                     purchaseLocation: 'ALTDORF', 
-                    purchaseDate: yesterday.toISOString().split('T')[0]
+                    purchaseTime: yesterday
                 }
             );
 
@@ -222,6 +222,17 @@ describe('WFRPSellingAlgorithm', () => {
             expect(result.restrictions.some(r => r.type === 'waiting_period')).toBe(true);
         });
 
+        test('should not read the waiting period from a legacy purchase date', () => {
+            const result = algorithm.checkSellingEligibility(
+                testSettlements.altdorf,
+                'Grain',
+                { purchaseLocation: 'ALTDORF', purchaseDate: new Date().toISOString() }
+            );
+
+            expect(result.restrictions.some(r => r.type === 'waiting_period')).toBe(false);
+            expect(result.eligibilityChecks[1].passed).toBe(true);
+        });
+
         test('should allow selling after one week waiting period', () => {
             const eightDaysAgo = new Date();
             eightDaysAgo.setDate(eightDaysAgo.getDate() - 8);
@@ -445,6 +456,17 @@ describe('WFRPSellingAlgorithm', () => {
             expect(calculationLogs.some(log => log.title === 'Wealth-Adjusted Offer Price')).toBe(true);
             expect(calculationLogs.some(log => log.title === 'Total Offer Price')).toBe(true);
         });
+
+        test('should lower offers when the market is flooded by recent sales', () => {
+            mockDataManager.getMarketSaturation = () => ({ volume: 100, saturation: 0.5, priceMultiplier: 0.75 });
+
+            const result = algorithm.calculateOfferPrice('Grain', testSettlements.normalTown, 'Spring', 100);
+
+            expect(result.saturationMultiplier).toBe(0.75);
+            expect(result.adjustedPricePerTenEP).toBe(1.5); // 2 GC × 0.75
+            expect(result.totalOffer).toBe(15);
+            expect(mockLogger.logs.some(log => log.title === 'Market Saturation')).toBe(true);
+        });
     });
 
     describe('Step 4: Haggling Application', () => {
@@ -650,7 +672,7 @@ describe('WFRPSellingAlgorithm', () => {
                 50,
                 'Summer',
                 {
-                    cargoHistory: { purchaseLocation: 'Marienburg', purchaseDate: new Date().toISOString() }
+                    cargoHistory: { purchaseLocation: 'Marienburg', purchaseTime: TradingClock.now() }
                 }
             );
 
@@ -659,6 +681,20 @@ describe('WFRPSellingAlgorithm', () => {
             expect(result.restrictions).toBeDefined();
         });
 
+        test('should stamp results with world time', async () => {
+            const result = await algorithm.executeSellingAlgorithm(
+                testSettlements.tradeCenter,
+                'Wine',
+                50,
+                'Summer',
+                { cargoHistory: { purchaseLocation: 'ALTDORF' }, rollFunction: () => 30 }
+            );
+
+            expect(result.worldTime).toBe(TradingClock.now());
+            expect(result.date).toBe(TradingClock.format(result.worldTime));
+            expect(result).not.toHaveProperty('timestamp');
+        });
+
         test('should handle no buyer found', async () => {
             const mockRoll = () => 90; // Will fail for normal town (20% chance)
             
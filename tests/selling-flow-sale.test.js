@@ -7,6 +7,7 @@
  */
 
 import { SellingFlow } from '../scripts/flow/SellingFlow.js';
+import { TariffSchedule } from '../scripts/tariff-schedule.js';
 
 describe('SellingFlow._executeSale currency crediting', () => {
     let flow;
@@ -46,6 +47,7 @@ describe('SellingFlow._executeSale currency crediting', () => {
                 findCargoInInventory: jest.fn().mockReturnValue([{ id: 'item-1' }]),
                 removeCargoFromInventory: jest.fn().mockResolvedValue(undefined),
                 addCurrency,
+                toPrimaryDenomination: amount => amount / 240,
             },
         };
 
@@ -91,4 +93,139 @@ describe('SellingFlow._executeSale currency crediting', () => {
         expect(addCurrency).toHaveBeenCalledTimes(1);
         expect(addCurrency.mock.calls[0][1]).toBe(11); // 2640 BP / 240 = 11 GC
     });
+
+    it('credits the proceeds left after tolls and taxes', async () => {
+        // Fresh settings objects so the sold cargo is not removed from the history array
+        game.settings.get = jest.fn(async () => ({}));
+        flow.app.selectedSettlement = { name: 'Ubersreik', region: 'Reikland', flags: ['trade'] };
+        flow.dataManager.getSettlement = jest.fn(() => ({ name: 'Averheim', region: 'Averland' }));
+        flow.dataManager.getTariffSchedule = () => new TariffSchedule({
+            marketTax: { flags: { trade: 0.05 } },
+            provincialTolls: { rate: 0.05 }
+        });
+        const offer = makeOffer({ cargo: { cargo: 'Wine', category: 'Brews', quality: 'average', id: 'cargo-1', quantity: 100, settlement: 'Averheim' } });
+
+        // 20 EP * 120 BP = 2400 BP, less 5% market tax and 5% toll = 2160 BP (9 GC)
+        await flow._executeSale('1', [offer], 20, 0);
+
+        expect(addCurrency.mock.calls[0][1]).toBe(9);
+        const [transaction] = flow.app.transactionHistory;
+        expect(transaction.totalCost).toBe(2160);
+        expect(transaction.tariff).toBe(240);
+        expect(transaction.tariffLines.map(line => line.type)).toEqual(['market_tax', 'provincial_toll']);
+    });
+
+    it('cancels the sale when an inspection confiscates the cargo', async () => {
+        const cargo = { cargo: 'Wine', category: 'brews', quality: 'average', id: 'cargo-1', quantity: 100, contraband: true };
+        const runInspection = jest.fn().mockResolvedValue({ confiscated: [cargo] });
+        flow.app.eventHandlers = { inspectionFlow: { runInspection } };
+        ui.notifications.warn = jest.fn();
+
+        await flow._executeSale('1', [makeOffer({ cargo })], 10, 0);
+
+        expect(runInspection).toHaveBeenCalledWith('sale');
+        expect(addCurrency).not.toHaveBeenCalled();
+        expect(ui.notifications.warn).toHaveBeenCalledWith('Sale cancelled: the Wine was confiscated');
+    });
+});
+
+describe('SellingFlow rumor sales', () => {
+    let flow;
+    let app;
+    let journal;
+    let approvals;
+    const lot = { id: 'lot-1', cargo: 'Wine', category: 'brews', quality: 'average', quantity: 30 };
+
+    beforeEach(() => {
+        journal = { getEntries: jest.fn().mockReturnValue([]) };
+        approvals = { requestRumor: jest.fn() };
+        global.game = {
+            user: { id: 'player-1', isGM: false },
+            settings: { get: jest.fn().mockReturnValue('all') }
+        };
+        global.window = global.window || {};
+        window.TradingPlaces = { getTradeApprovals: () => approvals };
+        global.ui = { notifications: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } };
+        global.ChatMessage = { create: jest.fn().mockResolvedValue({}), getSpeaker: jest.fn(() => ({})) };
+        global.foundry = { applications: { api: { DialogV2: { wait: jest.fn() } } } };
+
+        app = {
+            selectedSettlement: { name: 'Altdorf' },
+            selectedSellingCargoId: 'lot-1',
+            currentSeason: 'spring',
+            dataManager: { cargo: [lot], getRumorJournal: jest.fn(() => journal) },
+            tradingEngine: {
+                performGossipTest: jest.fn().mockResolvedValue({ success: true, degrees: 2 }),
+                generateSkillTestMessage: jest.fn(() => '<p>Gossip Test</p>'),
+                generateRumorFromGossip: jest.fn(),
+                getRumorPremium: jest.fn()
+            }
+        };
+        flow = new SellingFlow(app);
+        flow._calculateOfferPrice = jest.fn(() => 100);
+        flow._formatCurrencyFromCanonical = jest.fn(() => 'formatted');
+        flow._executeSale = jest.fn().mockResolvedValue(undefined);
+        flow._logInfo = jest.fn();
+        flow._logError = jest.fn();
+    });
+
+    afterEach(() => {
+        delete global.ChatMessage;
+        delete global.foundry;
+        delete window.TradingPlaces;
+    });
+
+    it('gossips for a rumor through the GM when the player has heard none here', async () => {
+        foundry.applications.api.DialogV2.wait.mockResolvedValue(45);
+        approvals.requestRumor.mockResolvedValue({
+            result: { id: 'rumor-1', settlement: 'Altdorf', description: 'Local shortage of Wine' },
+            error: null
+        });
+
+        await flow.onRumorSale({ preventDefault: jest.fn() });
+
+        expect(journal.getEntries).toHaveBeenCalledWith({ settlement: 'Altdorf', cargoName: 'Wine', status: 'active' });
+        expect(app.tradingEngine.performGossipTest).toHaveBeenCalledWith(45);
+        expect(ChatMessage.create).toHaveBeenCalledWith(expect.objectContaining({ content: '<p>Gossip Test</p>' }));
+        expect(approvals.requestRumor).toHaveBeenCalledWith({
+            type: 'gossip',
+            gossipResult: { success: true, degrees: 2 },
+            cargoName: 'Wine',
+            settlement: 'Altdorf'
+        });
+        expect(app.tradingEngine.generateRumorFromGossip).not.toHaveBeenCalled();
+        expect(ui.notifications.info).toHaveBeenCalledWith(expect.stringContaining('Local shortage of Wine'));
+        expect(flow._executeSale).not.toHaveBeenCalled();
+    });
+
+    it('sells to the rumor buyer at the premium the GM confirms', async () => {
+        journal.getEntries.mockReturnValue([{ rumor: { id: 'rumor-1', description: 'Local shortage of Wine' } }]);
+        approvals.requestRumor.mockResolvedValue({ result: { payable: true, reason: 'The rumor held true', multiplier: 1.5 }, error: null });
+        foundry.applications.api.DialogV2.wait.mockResolvedValue(20);
+
+        await flow.onRumorSale({ preventDefault: jest.fn() });
+
+        expect(approvals.requestRumor).toHaveBeenCalledWith({ type: 'premium', rumorId: 'rumor-1', cargoName: 'Wine', settlement: 'Altdorf' });
+        const [offerId, offers, quantity, discount] = flow._executeSale.mock.calls[0];
+        expect([offerId, quantity, discount]).toEqual(['rumor', 20, 0]);
+        expect(offers[0]).toMatchObject({ slotNumber: 'rumor', cargo: lot, offerPricePerEP: 150, maxEP: 30 });
+    });
+
+    it('checks the premium on the GM client itself, and reports a missing GM', async () => {
+        game.user = { id: 'gm-1', isGM: true };
+        journal.getEntries.mockReturnValue([{ rumor: { id: 'rumor-1', description: 'Local shortage of Wine' } }]);
+        app.tradingEngine.getRumorPremium.mockReturnValue({ payable: false, reason: 'The rumor was false', multiplier: 1 });
+        foundry.applications.api.DialogV2.wait.mockResolvedValue(null);
+
+        await flow.onRumorSale({ preventDefault: jest.fn() });
+
+        expect(app.tradingEngine.getRumorPremium).toHaveBeenCalledWith('rumor-1', 'Wine', app.selectedSettlement);
+        expect(approvals.requestRumor).not.toHaveBeenCalled();
+        expect(flow._executeSale).not.toHaveBeenCalled();
+
+        game.user = { id: 'player-1', isGM: false };
+        approvals.requestRumor.mockImplementation(() => { throw new Error('No GM is connected to ask about rumors'); });
+        await flow.onRumorSale({ preventDefault: jest.fn() });
+        expect(ui.notifications.error).toHaveBeenCalledWith('Rumor sale failed: No GM is connected to ask about rumors');
+    });
 });
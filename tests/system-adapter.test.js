@@ -219,6 +219,17 @@ describe('SystemAdapter Currency Operations', () => {
         expect(result.newAmount).toBe(390);
         expect(result.amountAdded).toBe(1);
     });
+
+    test('convert canonical amounts at the currency schema\'s rate', () => {
+        const adapter = new SystemAdapter();
+        expect(adapter.toPrimaryDenomination(600)).toBe(2.5);
+
+        adapter.currencySchema = {
+            canonicalUnit: { name: 'Copper', abbreviation: 'CP', value: 1 },
+            denominations: [{ name: 'Gold Crown', abbreviation: 'GC', value: 100 }]
+        };
+        expect(adapter.toPrimaryDenomination(600)).toBe(6);
+    });
 });
 
 describe('SystemAdapter Inventory Operations', () => {
@@ -250,6 +261,17 @@ describe('SystemAdapter Inventory Operations', () => {
         expect(itemData.system.price.gc).toBe(15);
         expect(itemData.system.tradingData.isTradingCargo).toBe(true);
         expect(itemData.system.purchaseLocation).toBe('Ubersreik');
+        expect(itemData.flags['fvtt-trading-places'].cargo).toMatchObject({
+            cargoType: 'Wine',
+            category: 'Agriculture',
+            quality: 'good',
+            settlement: 'Ubersreik',
+            season: 'spring',
+            purchasePrice: 300,
+            pricePerEP: 15,
+            contraband: false,
+            purchaseTime: expect.any(Number)
+        });
     });
 
     test('add cargo to inventory', async () => {
@@ -407,6 +429,47 @@ describe('SystemAdapter Inventory Operations', () => {
         expect(Array.isArray(summary.cargoItems)).toBe(true);
         expect(typeof summary.totalCargoValue).toBe('number');
     });
+
+    test('add more of a lot to the item already carrying it', async () => {
+        const adapter = new SystemAdapter();
+        const actor = new MockActor({
+            system: { money: { gc: 0, ss: 0, bp: 500 } }
+        });
+        const item = new MockItem({
+            id: 'item1',
+            name: 'Wine (Poor)',
+            system: { quantity: { value: 10 }, tradingData: { isTradingCargo: true } }
+        });
+        item.flags = { 'fvtt-trading-places': { cargo: { lotId: 'lot-1', cargoType: 'Wine', quality: 'Poor', purchasePrice: 400 } } };
+        actor.items.set(item.id, item);
+
+        const result = await adapter.addCargoToInventory(actor, 'Wine', 5, {}, { lotId: 'lot-1', totalPrice: 200, quality: 'Poor' });
+
+        expect(result).toMatchObject({ success: true, itemId: 'item1', merged: true, previous: { quantity: 10 } });
+        expect(actor.items.size).toBe(1);
+        expect(item.system.quantity.value).toBe(15);
+        expect(item.flags['fvtt-trading-places'].cargo.purchasePrice).toBe(600);
+        expect(item.flags['fvtt-trading-places'].cargo.pricePerEP).toBe(40);
+    });
+
+    test('find flagged cargo by its type, lot and real quality whatever it is called', () => {
+        const adapter = new SystemAdapter();
+        const actor = new MockActor({
+            system: { money: { gc: 0, ss: 0, bp: 500 } }
+        });
+        const item = new MockItem({
+            id: 'item1',
+            name: 'Barrels of Reikland red',
+            system: { quantity: { value: 10 } }
+        });
+        item.flags = { 'fvtt-trading-places': { cargo: { lotId: 'lot-1', cargoType: 'Wine', quality: 'Poor' } } };
+        actor.items.set(item.id, item);
+
+        expect(adapter.findCargoInInventory(actor, 'Wine', { quality: 'poor' })).toEqual([item]);
+        expect(adapter.findCargoInInventory(actor, 'Wine', { lotId: 'lot-1' })).toEqual([item]);
+        expect(adapter.findCargoInInventory(actor, 'Wine', { lotId: 'lot-2' })).toEqual([]);
+        expect(adapter.findCargoInInventory(actor, 'Wine', { quality: 'Excellent' })).toEqual([]);
+    });
 });
 
 describe('SystemAdapter Transaction Validation', () => {
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for market taxes, provincial tolls and cargo duties
+ */
+
+global.window = global.window || {};
+
+const { TariffSchedule } = require('../scripts/tariff-schedule.js');
+const { TradingEngine } = require('../scripts/trading-engine.js');
+const { createDataManager } = require('./foundry-harness/dataset-fixture.js');
+
+const config = {
+    marketTax: {
+        rate: 0.01,
+        flags: { trade: 0.02, government: 0.04 },
+        rulers: { 'Town Council': 0.03 },
+        settlements: { Altdorf: 0.05 }
+    },
+    provincialTolls: { rate: 0.03, regions: { Reikland: 0.05 } },
+    duties: { requiredFlag: 'government', categories: { Luxuries: 0.1 }, cargo: { Tobacco: 0.15 } }
+};
+
+const altdorf = { name: 'Altdorf', region: 'Reikland', ruler: 'Emperor', flags: ['trade', 'government'] };
+const averheim = { name: 'Averheim', region: 'Averland', ruler: 'Grand Count', flags: ['trade', 'government'] };
+const village = { name: 'Hamlet', region: 'Averland', ruler: 'Town Council', flags: ['trade'] };
+const outpost = { name: 'Outpost', region: 'Averland', ruler: 'Nobody', flags: [] };
+
+describe('TariffSchedule', () => {
+    let schedule;
+
+    beforeEach(() => {
+        schedule = new TariffSchedule(config);
+    });
+
+    test('should prefer settlement, then ruler, then flag market tax rates', () => {
+        expect(schedule.getMarketTaxRate(altdorf)).toBe(0.05);
+        expect(schedule.getMarketTaxRate({ ...altdorf, name: 'ALTDORF' })).toBe(0.05);
+        expect(schedule.getMarketTaxRate(village)).toBe(0.03);
+        expect(schedule.getMarketTaxRate(averheim)).toBe(0.04);
+        expect(schedule.getMarketTaxRate(outpost)).toBe(0.01);
+    });
+
+    test('should charge only market tax on purchases', () => {
+        const tariffs = schedule.calculateTariffs({
+            settlement: averheim,
+            cargoName: 'Tobacco',
+            category: 'Luxuries',
+            transactionType: 'purchase',
+            originRegion: 'Reikland',
+            value: 200
+        });
+
+        expect(tariffs.lines).toEqual([
+            { type: 'market_tax', description: 'Market tax at Averheim (4%)', rate: 0.04, amount: 8 }
+        ]);
+        expect(tariffs.amount).toBe(8);
+    });
+
+    test('should charge tolls on cargo crossing into another region and duties where trade is regulated', () => {
+        const tariffs = schedule.calculateTariffs({
+            settlement: altdorf,
+            cargoName: 'Silks',
+            category: 'Luxuries',
+            transactionType: 'sale',
+            originRegion: 'Averland',
+            value: 100
+        });
+
+        expect(tariffs.lines.map(line => [line.type, line.amount])).toEqual([
+            ['market_tax', 5],
+            ['provincial_toll', 5],
+            ['duty', 10]
+        ]);
+        expect(tariffs.rate).toBeCloseTo(0.2);
+        expect(tariffs.amount).toBe(20);
+
+        const local = schedule.calculateTariffs({ settlement: altdorf, cargoName: 'Tobacco', category: 'Luxuries', transactionType: 'sale', originRegion: 'reikland', value: 100 });
+        expect(local.lines.map(line => line.type)).toEqual(['market_tax', 'duty']);
+        expect(local.lines[1]).toEqual(expect.objectContaining({ description: 'Duty on Tobacco (15%)', amount: 15 }));
+
+        const unregulated = schedule.calculateTariffs({ settlement: village, cargoName: 'Tobacco', category: 'Luxuries', transactionType: 'sale', originRegion: 'Averland', value: 100 });
+        expect(unregulated.lines.map(line => line.type)).toEqual(['market_tax']);
+    });
+
+    test('should charge nothing when no tariffs are configured', () => {
+        const tariffs = new TariffSchedule().calculateTariffs({ settlement: altdorf, cargoName: 'Wine', transactionType: 'sale', originRegion: 'Averland', value: 100 });
+        expect(tariffs).toEqual({ lines: [], rate: 0, amount: 0 });
+    });
+
+    test('should reject missing settlements and unknown transaction types', () => {
+        expect(() => schedule.calculateTariffs({ value: 10 })).toThrow('Tariff settlement is required');
+        expect(() => schedule.calculateTariffs({ settlement: altdorf, transactionType: 'barter' })).toThrow('Unknown transaction type: barter');
+    });
+});
+
+describe('Tariffs in price calculations', () => {
+    let dataManager;
+    let tradingEngine;
+
+    beforeEach(() => {
+        dataManager = createDataManager();
+        tradingEngine = new TradingEngine(dataManager);
+        tradingEngine.setCurrentSeason('spring');
+    });
+
+    test('should add market tax to the purchase total at the buying settlement', () => {
+        const untaxed = tradingEngine.purchasePriceCalculator.calculatePurchasePrice('Cattle', 20, { season: 'spring' });
+        const taxed = tradingEngine.purchasePriceCalculator.calculatePurchasePrice('Cattle', 20, { season: 'spring', settlement: 'Averheim' });
+
+        expect(untaxed.tariffs.amount).toBe(0);
+        expect(taxed.subtotal).toBe(untaxed.totalPrice);
+        expect(taxed.tariffs.lines.map(line => line.type)).toEqual(['market_tax']);
+        expect(taxed.totalPrice).toBeCloseTo(taxed.subtotal * 1.04);
+    });
+
+    test('should take tolls, taxes and duties from the sale proceeds', () => {
+        const averheimSettlement = dataManager.getSettlement('Averheim');
+        const sale = tradingEngine.saleMechanics.calculateSalePrice('Wine', 20, averheimSettlement, { season: 'spring', origin: 'Altdorf' });
+
+        expect(sale.tariffs.lines.map(line => line.type)).toEqual(['market_tax', 'provincial_toll', 'duty']);
+        expect(sale.tariffs.rate).toBeCloseTo(0.04 + 0.03 + 0.05);
+        expect(sale.totalPrice).toBeCloseTo(sale.subtotal - sale.tariffs.amount);
+    });
+});
@@ -0,0 +1,334 @@
+/**
+ * Unit tests for players' trade requests and the GM's approval of them
+ */
+
+global.window = global.window || {};
+
+const { TradeApprovalQueue, TradeApprovalService } = require('../scripts/trade-approval.js');
+
+function purchaseRequest(overrides = {}) {
+    return {
+        type: 'purchase',
+        userId: 'player-1',
+        userName: 'Anna',
+        actorId: 'actor-1',
+        actorName: 'Gunther',
+        cargo: 'Wine',
+        quantity: 10,
+        settlement: 'Altdorf',
+        season: 'spring',
+        breakdown: { lines: [{ label: '10 EP at Hans', amount: 480 }], total: 480 },
+        payload: {
+            transaction: { cargo: 'Wine', quantity: 10, quality: 'Average', pricePerEP: 48, totalCost: 480, settlement: 'Altdorf', season: 'spring', isSale: false },
+            item: { cargoName: 'Wine', quantity: 10, cargoData: {}, purchaseInfo: { quality: 'Average' } },
+            cost: 480
+        },
+        ...overrides
+    };
+}
+
+describe('TradeApprovalQueue', () => {
+    let time;
+    let queue;
+
+    beforeEach(() => {
+        time = 1000;
+        queue = new TradeApprovalQueue({ resolvedLimit: 2 }, { now: () => time });
+    });
+
+    test('should queue a request as pending with its breakdown', () => {
+        const queued = queue.submit(purchaseRequest({ id: 'req-1' }));
+
+        expect(queued).toMatchObject({
+            id: 'req-1',
+            type: 'purchase',
+            userName: 'Anna',
+            cargo: 'Wine',
+            quantity: 10,
+            status: 'pending',
+            requestedAt: 1000,
+            breakdown: { lines: [{ label: '10 EP at Hans', amount: 480 }], discountPercent: 0, total: 480 }
+        });
+        expect(queue.getPending()).toEqual([queued]);
+    });
+
+    test('should refuse malformed and repeated requests', () => {
+        expect(() => queue.submit(purchaseRequest({ type: 'gift' }))).toThrow('Trade request type must be purchase or sale');
+        expect(() => queue.submit(purchaseRequest({ cargo: '' }))).toThrow('Trade request must name the cargo');
+        expect(() => queue.submit(purchaseRequest({ quantity: 0 }))).toThrow('Trade request quantity must be a positive number');
+
+        queue.submit(purchaseRequest({ id: 'req-1' }));
+        expect(() => queue.submit(purchaseRequest({ id: 'req-1' }))).toThrow('Trade request req-1 has already been made');
+    });
+
+    test('should list pending requests oldest first and per user', () => {
+        queue.submit(purchaseRequest({ id: 'req-1' }));
+        time = 2000;
+        queue.submit(purchaseRequest({ id: 'req-2', userId: 'player-2' }));
+
+        expect(queue.getPending().map(request => request.id)).toEqual(['req-1', 'req-2']);
+        expect(queue.getPendingForUser('player-2').map(request => request.id)).toEqual(['req-2']);
+    });
+
+    test('should resolve a request once and keep only the latest resolved', () => {
+        ['req-1', 'req-2', 'req-3'].forEach(id => queue.submit(purchaseRequest({ id })));
+
+        time = 2000;
+        queue.resolve('req-1', 'approved', { resolvedBy: 'GM' });
+        time = 3000;
+        queue.resolve('req-2', 'rejected', { resolvedBy: 'GM', reason: 'Too cheap' });
+        time = 4000;
+        queue.resolve('req-3', 'failed', { reason: 'Not enough money' });
+
+        expect(queue.getPending()).toEqual([]);
+        expect(queue.getResolved().map(request => [request.id, request.status])).toEqual([['req-3', 'failed'], ['req-2', 'rejected']]);
+        expect(queue.getRequest('req-2')).toMatchObject({ resolvedAt: 3000, resolvedBy: 'GM', reason: 'Too cheap' });
+        expect(() => queue.resolve('req-2', 'approved')).toThrow('Trade request req-2 has already been rejected');
+        expect(() => queue.resolve('req-9', 'approved')).toThrow('Trade request not found: req-9');
+        expect(() => queue.resolve('req-2', 'maybe')).toThrow('Unknown trade request status: maybe');
+    });
+
+    test('should restore from its saved state', () => {
+        queue.submit(purchaseRequest({ id: 'req-1' }));
+        const restored = new TradeApprovalQueue({}, { requests: JSON.parse(JSON.stringify(queue.toJSON())).requests });
+
+        expect(restored.getPending().map(request => request.id)).toEqual(['req-1']);
+    });
+});
+
+describe('TradeApprovalService', () => {
+    let settingsStore;
+    let socket;
+    let dataManager;
+    let systemAdapter;
+    let actor;
+    let service;
+
+    beforeEach(() => {
+        settingsStore = {
+            transactionHistory: { wfrp4e: [] },
+            currentCargo: { wfrp4e: [] }
+        };
+        actor = { id: 'actor-1', createEmbeddedDocuments: jest.fn().mockResolvedValue([]) };
+        global.game = {
+            user: { id: 'gm-1', name: 'GM', isGM: true },
+            users: { activeGM: { id: 'gm-1' } },
+            actors: { get: jest.fn(id => (id === actor.id ? actor : undefined)) },
+            settings: {
+                get: jest.fn((module, key) => settingsStore[key]),
+                set: jest.fn(async (module, key, value) => { settingsStore[key] = value; })
+            }
+        };
+        global.ui = { notifications: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } };
+        global.Hooks = { callAll: jest.fn() };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const queue = new TradeApprovalQueue({}, { now: () => 1000 });
+        dataManager = {
+            activeDatasetName: 'wfrp4e',
+            history: [],
+            cargo: [],
+            saveCurrentDataset: jest.fn().mockResolvedValue(undefined),
+            getTradeRequests: () => queue,
+            saveTradeRequests: jest.fn().mockResolvedValue(undefined),
+            recordMarketPurchase: jest.fn().mockResolvedValue(undefined),
+            recordPrices: jest.fn().mockResolvedValue(undefined)
+        };
+        systemAdapter = {
+            config: { inventory: { method: 'createEmbeddedDocuments' } },
+            addCargoToInventory: jest.fn().mockResolvedValue({ success: true, itemId: 'item-1' }),
+            removeCargoFromInventory: jest.fn().mockResolvedValue({ success: true }),
+            addCurrency: jest.fn().mockResolvedValue({ success: true }),
+            deductCurrency: jest.fn().mockResolvedValue({ success: true }),
+            toPrimaryDenomination: amount => amount / 240
+        };
+        socket = { emit: jest.fn(), on: jest.fn() };
+        service = new TradeApprovalService(dataManager, systemAdapter, { socket });
+    });
+
+    afterEach(() => {
+        delete global.game;
+        delete global.ui;
+        delete global.Hooks;
+        console.log.mockRestore();
+        console.error.mockRestore();
+    });
+
+    test('should only ask players for approval, and answer on the active GM', () => {
+        expect(service.needsApproval({ isGM: false })).toBe(true);
+        expect(service.needsApproval({ isGM: true })).toBe(false);
+        expect(service.isApprover()).toBe(true);
+
+        game.users.activeGM = { id: 'gm-2' };
+        expect(service.isApprover()).toBe(false);
+    });
+
+    test('should send a request and resolve once the outcome arrives', async () => {
+        game.user = { id: 'player-1', name: 'Anna', isGM: false };
+
+        const pending = service.requestTrade(purchaseRequest({ userId: undefined, userName: undefined }));
+        const [channel, message] = socket.emit.mock.calls[0];
+        expect(channel).toBe('module.fvtt-trading-places');
+        expect(message).toMatchObject({ action: 'request', request: { userId: 'player-1', userName: 'Anna', cargo: 'Wine' } });
+
+        const history = [{ cargo: 'Wine' }];
+        await service.handleMessage({ action: 'outcome', outcome: { requestId: message.request.id, status: 'approved', history, hold: [] } });
+
+        await expect(pending).resolves.toMatchObject({ status: 'approved' });
+        expect(dataManager.history).toBe(history);
+        expect(Hooks.callAll).toHaveBeenCalledWith('fvtt-trading-places.tradeRequestResolved', expect.objectContaining({ status: 'approved' }));
+    });
+
+    test('should refuse to send a request when no GM is connected', () => {
+        game.users.activeGM = null;
+
+        expect(() => service.requestTrade(purchaseRequest())).toThrow('No GM is connected to approve the trade');
+        expect(socket.emit).not.toHaveBeenCalled();
+    });
+
+    test('should queue requests only on the approving client', async () => {
+        await service.handleMessage({ action: 'request', request: purchaseRequest({ id: 'req-1' }) });
+        expect(dataManager.getTradeRequests().getPending().map(request => request.id)).toEqual(['req-1']);
+        expect(dataManager.saveTradeRequests).toHaveBeenCalled();
+
+        game.users.activeGM = { id: 'gm-2' };
+        await service.handleMessage({ action: 'request', request: purchaseRequest({ id: 'req-2' }) });
+        expect(dataManager.getTradeRequests().getPending()).toHaveLength(1);
+    });
+
+    test('should apply an approved purchase and send the saved hold back', async () => {
+        dataManager.getTradeRequests().submit(purchaseRequest({ id: 'req-1' }));
+
+        const outcome = await service.approve('req-1');
+
+        expect(outcome).toMatchObject({ requestId: 'req-1', status: 'approved', settlement: 'Altdorf', resolvedBy: 'GM', error: null });
+        expect(systemAdapter.deductCurrency).toHaveBeenCalledWith(actor, 2, 'Purchased 10 EP of Wine');
+        expect(outcome.hold).toHaveLength(1);
+        expect(outcome.hold[0]).toMatchObject({ cargo: 'Wine', quantity: 10 });
+        expect(outcome.history.map(entry => entry.cargo)).toEqual(['Wine']);
+        expect(dataManager.recordMarketPurchase).toHaveBeenCalledWith('Altdorf', 'Wine', 10, 'spring');
+        expect(socket.emit).toHaveBeenCalledWith('module.fvtt-trading-places', { action: 'outcome', outcome });
+    });
+
+    test('should mark the request failed when the purchase cannot be applied', async () => {
+        systemAdapter.deductCurrency.mockResolvedValue({ success: false, error: 'Insufficient currency. Has 1 GC, needs 2 GC' });
+        dataManager.getTradeRequests().submit(purchaseRequest({ id: 'req-1' }));
+
+        const outcome = await service.approve('req-1');
+
+        expect(outcome).toMatchObject({ status: 'failed', history: null, hold: null });
+        expect(dataManager.cargo).toEqual([]);
+        expect(dataManager.recordMarketPurchase).not.toHaveBeenCalled();
+        expect(dataManager.getTradeRequests().getRequest('req-1').reason).toBe(outcome.error);
+    });
+
+    test('should reject a request with the reason and change nothing', async () => {
+        dataManager.getTradeRequests().submit(purchaseRequest({ id: 'req-1' }));
+
+        const outcome = await service.reject('req-1', 'The price is too good to be true');
+
+        expect(outcome).toMatchObject({ status: 'rejected', reason: 'The price is too good to be true', userId: 'player-1' });
+        expect(systemAdapter.addCargoToInventory).not.toHaveBeenCalled();
+        expect(dataManager.saveTradeRequests).toHaveBeenCalled();
+    });
+
+    test('should have the GM client accept a player\'s contract and send the result back', async () => {
+        const contract = { id: 'contract-1', status: 'accepted' };
+        dataManager.acceptDeliveryContract = jest.fn().mockResolvedValue(contract);
+        game.user = { id: 'player-1', name: 'Anna', isGM: false };
+
+        const pending = service.requestContract({ type: 'accept', contractId: 'contract-1' });
+        const [, message] = socket.emit.mock.calls[0];
+        expect(message).toMatchObject({ action: 'contract', request: { type: 'accept', contractId: 'contract-1', userId: 'player-1' } });
+
+        // Only the active GM applies it
+        await service.handleMessage(message);
+        expect(dataManager.acceptDeliveryContract).not.toHaveBeenCalled();
+
+        game.user = { id: 'gm-1', name: 'GM', isGM: true };
+        await service.handleMessage(message);
+        expect(dataManager.acceptDeliveryContract).toHaveBeenCalledWith('contract-1', 'player-1');
+
+        const [, reply] = socket.emit.mock.calls[1];
+        expect(reply).toMatchObject({ action: 'contractOutcome', outcome: { requestId: message.request.id, result: contract, error: null } });
+        await service.handleMessage(reply);
+        await expect(pending).resolves.toMatchObject({ result: contract });
+    });
+
+    test('should send back why a contract could not be settled', async () => {
+        dataManager.settleDeliveryContract = jest.fn().mockRejectedValue(new Error('Unknown delivery contract: missing'));
+
+        await service.handleMessage({ action: 'contract', request: { id: 'req-1', type: 'settle', contractId: 'missing', actorId: 'actor-1', userId: 'player-1' } });
+
+        expect(dataManager.settleDeliveryContract).toHaveBeenCalledWith('missing', actor, systemAdapter);
+        expect(socket.emit.mock.calls[0][1].outcome).toMatchObject({ requestId: 'req-1', result: null, error: 'Unknown delivery contract: missing' });
+    });
+
+    test('should have the GM client answer a player\'s rumor requests from the rumor board', async () => {
+        const settlement = { name: 'Altdorf' };
+        const rumor = { id: 'rumor-1', settlement: 'Altdorf', cargoName: 'Wine', reliability: 'unreliable' };
+        const tradingEngine = {
+            generateRumorFromGossip: jest.fn().mockResolvedValue(rumor),
+            getRumorPremium: jest.fn().mockReturnValue({ payable: true, reason: 'The rumor held true', multiplier: 1.5 })
+        };
+        dataManager.getSettlement = jest.fn(name => (name === 'Altdorf' ? settlement : null));
+        service = new TradeApprovalService(dataManager, systemAdapter, { socket, tradingEngine });
+        game.user = { id: 'player-1', name: 'Anna', isGM: false };
+
+        const pending = service.requestRumor({ type: 'gossip', gossipResult: { success: true, degrees: 1 }, cargoName: 'Wine', settlement: 'Altdorf' });
+        const [, message] = socket.emit.mock.calls[0];
+        expect(message).toMatchObject({ action: 'rumor', request: { type: 'gossip', userId: 'player-1' } });
+
+        game.user = { id: 'gm-1', name: 'GM', isGM: true };
+        await service.handleMessage(message);
+        expect(tradingEngine.generateRumorFromGossip).toHaveBeenCalledWith({ success: true, degrees: 1 }, 'Wine', settlement, { learnerId: 'player-1' });
+        const [, reply] = socket.emit.mock.calls[1];
+        expect(reply).toMatchObject({ action: 'rumorOutcome', outcome: { requestId: message.request.id, result: rumor, error: null } });
+        await service.handleMessage(reply);
+        await expect(pending).resolves.toMatchObject({ result: rumor });
+
+        await service.handleMessage({ action: 'rumor', request: { id: 'req-2', type: 'premium', rumorId: 'rumor-1', cargoName: 'Wine', settlement: 'Altdorf', userId: 'player-1' } });
+        expect(tradingEngine.getRumorPremium).toHaveBeenCalledWith('rumor-1', 'Wine', settlement);
+        expect(socket.emit.mock.calls[2][1].outcome).toMatchObject({ requestId: 'req-2', result: { payable: true, multiplier: 1.5 } });
+
+        await service.handleMessage({ action: 'rumor', request: { id: 'req-3', type: 'premium', rumorId: 'rumor-1', cargoName: 'Wine', settlement: 'Atlantis', userId: 'player-1' } });
+        expect(socket.emit.mock.calls[3][1].outcome).toMatchObject({ requestId: 'req-3', result: null, error: 'Unknown settlement: Atlantis' });
+    });
+});
+
+describe('TradingUIEventHandlers purchase approval', () => {
+    const { TradingUIEventHandlers } = require('../scripts/ui/TradingUIEventHandlers.js');
+
+    beforeEach(() => {
+        global.ui = { notifications: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), success: jest.fn() } };
+    });
+
+    afterEach(() => {
+        delete global.ui;
+    });
+
+    test('should update the player\'s market view without saving the world setting', async () => {
+        const wine = { name: 'Wine', category: 'Wine', totalEP: 30, slotNumber: 1 };
+        const app = {
+            dataManager: { history: [], cargo: [] },
+            successfulCargo: [wine],
+            element: document.createElement('div'),
+            refreshUI: jest.fn().mockResolvedValue(undefined),
+            _saveCargoAvailability: jest.fn().mockResolvedValue(undefined)
+        };
+        const handlers = new TradingUIEventHandlers(app);
+        const approvals = { requestTrade: jest.fn(() => Promise.resolve({ status: 'approved' })) };
+        const { payload } = purchaseRequest();
+
+        await handlers._requestPurchaseApproval(
+            approvals,
+            { ...payload, actor: { id: 'actor-1', name: 'Gunther' } },
+            { cargo: wine, quantity: 10, totalCost: 480, tariffs: { lines: [] }, discountPercent: 0 }
+        );
+
+        expect(wine.totalEP).toBe(20);
+        expect(app._saveCargoAvailability).not.toHaveBeenCalled();
+        expect(ui.notifications.success).toHaveBeenCalledWith('The GM approved buying 10 EP of Wine');
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for the trade opportunity planner
+ */
+
+global.window = global.window || {};
+
+const CargoAvailabilityPipeline = require('../scripts/cargo-availability-pipeline.js');
+const { TradingEngine } = require('../scripts/trading-engine.js');
+const { TradePlanner } = require('../scripts/trade-planner.js');
+const { createDataManager } = require('./foundry-harness/dataset-fixture.js');
+
+describe('TradePlanner', () => {
+    let dataManager;
+    let tradingEngine;
+    let planner;
+
+    beforeEach(() => {
+        dataManager = createDataManager();
+        // Rank on the raw market margins; tariffs are covered in their own test
+        delete dataManager.tradingConfig.tariffs;
+        tradingEngine = new TradingEngine(dataManager);
+        tradingEngine.setCurrentSeason('spring');
+        planner = new TradePlanner(dataManager, tradingEngine, { pipeline: new CargoAvailabilityPipeline(dataManager) });
+    });
+
+    test('should rank profitable runs from the starting settlement by expected profit', async () => {
+        const result = await planner.findOpportunities({ settlement: 'Averheim', season: 'Spring', capacity: 100 });
+
+        expect(result).toEqual(expect.objectContaining({ origin: 'Averheim', season: 'spring', capacity: 100, budget: null }));
+        expect(result.opportunities.length).toBeGreaterThan(0);
+        expect(result.opportunities.length).toBeLessThanOrEqual(25);
+
+        const expected = result.opportunities.map(opportunity => opportunity.expectedProfit);
+        expect(expected).toEqual([...expected].sort((a, b) => b - a));
+
+        result.opportunities.forEach(opportunity => {
+            expect(opportunity.origin).toBe('Averheim');
+            expect(opportunity.profit).toBeGreaterThan(0);
+            expect(opportunity.sellPricePerEP).toBeGreaterThan(opportunity.buyPricePerEP);
+            expect(opportunity.travelDays).toBeLessThanOrEqual(14);
+            expect(opportunity.expectedProfit).toBeCloseTo(opportunity.profit * opportunity.availabilityChance * opportunity.buyerChance);
+            expect(['low', 'medium', 'high']).toContain(opportunity.risk);
+        });
+    });
+
+    test('should size each run to the hold and the budget in whole lots', async () => {
+        const budget = 5000;
+        const { opportunities } = await planner.findOpportunities({ settlement: 'Averheim', season: 'spring', capacity: 100, budget, limit: 100 });
+
+        opportunities.forEach(opportunity => {
+            expect(opportunity.quantity % 10).toBe(0);
+            expect(opportunity.quantity).toBeLessThanOrEqual(100);
+            expect(opportunity.cost).toBeLessThanOrEqual(budget);
+        });
+
+        // Cattle costs 216 BP per EP, so 5000 BP only buys two lots
+        const cattle = opportunities.find(opportunity => opportunity.cargo === 'Cattle');
+        expect(cattle.quantity).toBe(20);
+
+        const broke = await planner.findOpportunities({ settlement: 'Averheim', season: 'spring', capacity: 100, budget: 10 });
+        expect(broke.opportunities).toEqual([]);
+    });
+
+    test('should estimate availability from the pipeline without rolling', async () => {
+        const offers = await planner.getExpectedOffers(dataManager.getSettlement('Averheim'), 'spring');
+
+        expect(offers.length).toBeGreaterThan(0);
+        offers.forEach(offer => {
+            expect(offer.availabilityChance).toBeGreaterThan(0);
+            expect(offer.availabilityChance).toBeLessThanOrEqual(1);
+            expect(offer.typicalAmount).toBeGreaterThan(0);
+            expect(offer.buyPricePerEP).toBeGreaterThan(0);
+        });
+
+        const again = await planner.getExpectedOffers(dataManager.getSettlement('Averheim'), 'spring');
+        expect(again).toEqual(offers);
+    });
+
+    test('should only consider destinations within the travel limit', async () => {
+        const near = await planner.findOpportunities({ settlement: 'Averheim', season: 'spring', capacity: 100, maxTravelDays: 8 });
+        near.opportunities.forEach(opportunity => expect(opportunity.travelDays).toBeLessThanOrEqual(8));
+
+        const destinations = planner._findDestinations(dataManager.getSettlement('Averheim'), 3);
+        expect(destinations).toEqual([]);
+    });
+
+    test('should skip destinations where no buyer can be found', async () => {
+        tradingEngine.saleMechanics.calculateBuyerAvailabilityChance = () => 0;
+
+        const result = await planner.findOpportunities({ settlement: 'Averheim', season: 'spring', capacity: 100 });
+        expect(result.opportunities).toEqual([]);
+    });
+
+    test('should count tolls and taxes against the margin', async () => {
+        dataManager.tradingConfig.tariffs = { marketTax: { rate: 0.04 }, provincialTolls: { rate: 0.03 } };
+
+        const offers = await planner.getExpectedOffers(dataManager.getSettlement('Averheim'), 'spring');
+        expect(offers.find(offer => offer.cargo === 'Cattle').buyPricePerEP).toBeCloseTo(216 * 1.04);
+
+        // The 5% wealth premium at the best markets no longer covers the taxes at both ends
+        const result = await planner.findOpportunities({ settlement: 'Averheim', season: 'spring', capacity: 100 });
+        expect(result.opportunities).toEqual([]);
+    });
+
+    test('should rate risk from buyer chance, margin and the destination market', () => {
+        expect(planner._rateRisk(0.8, 0.3, 'balanced')).toBe('low');
+        expect(planner._rateRisk(0.5, 0.3, 'balanced')).toBe('medium');
+        expect(planner._rateRisk(0.8, 0.15, 'balanced')).toBe('medium');
+        expect(planner._rateRisk(0.3, 0.3, 'balanced')).toBe('high');
+        expect(planner._rateRisk(0.8, 0.05, 'balanced')).toBe('high');
+        expect(planner._rateRisk(0.8, 0.3, 'glut')).toBe('high');
+    });
+
+    test('should reject missing dependencies and invalid plans', async () => {
+        expect(() => new TradePlanner()).toThrow('TradePlanner requires a DataManager instance');
+        expect(() => new TradePlanner(dataManager)).toThrow('TradePlanner requires a TradingEngine instance');
+        expect(() => new TradePlanner(dataManager, tradingEngine)).toThrow('TradePlanner requires a CargoAvailabilityPipeline instance');
+
+        await expect(planner.findOpportunities({ settlement: 'Atlantis', capacity: 100 })).rejects.toThrow('Unknown settlement: Atlantis');
+        await expect(planner.findOpportunities({ settlement: 'Averheim', capacity: 0 }))
+            .rejects.toThrow('Hold capacity must be a positive number of EP');
+        await expect(planner.findOpportunities({ settlement: 'Averheim', capacity: 100, budget: -1 }))
+            .rejects.toThrow('Budget must be a non-negative number');
+    });
+});
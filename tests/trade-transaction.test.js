@@ -0,0 +1,473 @@
+/**
+ * Unit tests for all-or-nothing purchases and sales
+ */
+
+global.window = global.window || {};
+
+const { TradeTransaction, TradeTransactionService } = require('../scripts/trade-transaction.js');
+
+describe('TradeTransaction', () => {
+    let calls;
+
+    function step(name, { failOn = null, result } = {}) {
+        return {
+            prepare: jest.fn(async () => {
+                calls.push(`prepare ${name}`);
+                if (failOn === 'prepare') throw new Error(`${name} cannot be prepared`);
+                return `${name} prepared`;
+            }),
+            apply: jest.fn(async prepared => {
+                calls.push(`apply ${name}`);
+                if (failOn === 'apply') throw new Error(`${name} failed`);
+                return result ?? { prepared };
+            }),
+            rollback: jest.fn(async () => {
+                calls.push(`rollback ${name}`);
+                if (failOn === 'rollback') throw new Error(`${name} stuck`);
+            })
+        };
+    }
+
+    beforeEach(() => {
+        calls = [];
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    test('should prepare every step before applying any', async () => {
+        const result = await new TradeTransaction('purchase')
+            .addStep('history', step('history'))
+            .addStep('hold', step('hold'))
+            .commit();
+
+        expect(calls).toEqual(['prepare history', 'prepare hold', 'apply history', 'apply hold']);
+        expect(result).toMatchObject({ success: true, name: 'purchase', error: null, failedStep: null, rolledBack: false });
+        expect(result.results.hold).toEqual({ prepared: 'hold prepared' });
+        expect(result.steps.map(entry => entry.status)).toEqual(['applied', 'applied']);
+    });
+
+    test('should apply nothing when a step cannot be prepared', async () => {
+        const result = await new TradeTransaction('sale')
+            .addStep('history', step('history'))
+            .addStep('hold', step('hold', { failOn: 'prepare' }))
+            .commit();
+
+        expect(calls).toEqual(['prepare history', 'prepare hold']);
+        expect(result).toMatchObject({ success: false, failedStep: 'hold', error: 'hold cannot be prepared', rolledBack: false });
+    });
+
+    test('should roll back finished steps newest first and skip the rest', async () => {
+        const result = await new TradeTransaction('purchase')
+            .addStep('history', step('history'))
+            .addStep('inventory', step('inventory'))
+            .addStep('currency', step('currency', { result: { success: false, error: 'Insufficient currency' } }))
+            .addStep('hold', step('hold'))
+            .commit();
+
+        expect(calls.slice(4)).toEqual(['apply history', 'apply inventory', 'apply currency', 'rollback inventory', 'rollback history']);
+        expect(result).toMatchObject({ success: false, failedStep: 'currency', error: 'Insufficient currency', rolledBack: true });
+        expect(result.steps.map(entry => entry.status)).toEqual(['rolled-back', 'rolled-back', 'failed', 'skipped']);
+    });
+
+    test('should keep rolling back when one rollback fails', async () => {
+        const result = await new TradeTransaction('sale')
+            .addStep('history', step('history'))
+            .addStep('inventory', step('inventory', { failOn: 'rollback' }))
+            .addStep('hold', step('hold', { failOn: 'apply' }))
+            .commit();
+
+        expect(calls).toContain('rollback history');
+        expect(result.steps).toEqual([
+            { name: 'history', status: 'rolled-back', error: null },
+            { name: 'inventory', status: 'rollback-failed', error: 'inventory stuck' },
+            { name: 'hold', status: 'failed', error: 'hold failed' }
+        ]);
+    });
+
+    test('should reject steps without an apply function', () => {
+        expect(() => new TradeTransaction('sale').addStep('history', {})).toThrow('Transaction step history needs an apply function');
+    });
+});
+
+describe('TradeTransactionService', () => {
+    let settingsStore;
+    let dataManager;
+    let systemAdapter;
+    let actor;
+    let service;
+    let item;
+
+    beforeEach(() => {
+        settingsStore = {
+            transactionHistory: { wfrp4e: [{ cargo: 'Grain', isSale: false }] },
+            currentCargo: { wfrp4e: [{ id: 'lot-1', cargo: 'Wine', quality: 'Average', quantity: 20 }] }
+        };
+        global.game = {
+            settings: {
+                get: jest.fn((module, key) => settingsStore[key]),
+                set: jest.fn(async (module, key, value) => { settingsStore[key] = value; })
+            }
+        };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        dataManager = {
+            activeDatasetName: 'wfrp4e',
+            history: [...settingsStore.transactionHistory.wfrp4e],
+            cargo: JSON.parse(JSON.stringify(settingsStore.currentCargo.wfrp4e)),
+            saveCurrentDataset: jest.fn().mockResolvedValue(undefined)
+        };
+
+        item = { id: 'item-1', system: { quantity: { value: 20 } }, toObject: () => ({ name: 'Wine', system: { quantity: { value: 20 } } }), update: jest.fn() };
+        actor = {
+            id: 'actor-1',
+            items: { get: jest.fn(id => (id === item.id ? item : undefined)) },
+            createEmbeddedDocuments: jest.fn().mockResolvedValue([])
+        };
+        systemAdapter = {
+            config: { inventory: { method: 'createEmbeddedDocuments' } },
+            addCargoToInventory: jest.fn().mockResolvedValue({ success: true, itemId: 'item-2' }),
+            findCargoInInventory: jest.fn(() => [item]),
+            removeCargoFromInventory: jest.fn().mockResolvedValue({ success: true, itemRemoved: false, removedQuantity: 5 }),
+            addCurrency: jest.fn().mockResolvedValue({ success: true }),
+            deductCurrency: jest.fn().mockResolvedValue({ success: true }),
+            toPrimaryDenomination: amount => amount / 240
+        };
+        service = new TradeTransactionService(dataManager, systemAdapter);
+    });
+
+    afterEach(() => {
+        delete global.game;
+        console.log.mockRestore();
+        console.error.mockRestore();
+    });
+
+    function purchase() {
+        return service.purchase({
+            transaction: { cargo: 'Wine', quantity: 10, totalCost: 480, isSale: false },
+            actor,
+            item: { cargoName: 'Wine', quantity: 10, cargoData: {}, purchaseInfo: { quality: 'Average' } },
+            cost: 480,
+            updateHold: cargo => [...cargo, { id: 'lot-2', cargo: 'Wine', quantity: 10 }]
+        });
+    }
+
+    function sale() {
+        return service.sale({
+            transaction: { cargo: 'Wine', quantity: 5, totalCost: 240, isSale: true },
+            actor,
+            item: { cargoName: 'Wine', quality: 'Average' },
+            quantity: 5,
+            proceeds: 240,
+            updateHold: cargo => cargo.map(entry => ({ ...entry, quantity: entry.quantity - 5 }))
+        });
+    }
+
+    function expectUnchanged() {
+        expect(dataManager.history).toEqual([{ cargo: 'Grain', isSale: false }]);
+        expect(settingsStore.transactionHistory.wfrp4e).toEqual([{ cargo: 'Grain', isSale: false }]);
+        expect(dataManager.cargo).toEqual([{ id: 'lot-1', cargo: 'Wine', quality: 'Average', quantity: 20 }]);
+        expect(settingsStore.currentCargo.wfrp4e).toEqual([{ id: 'lot-1', cargo: 'Wine', quality: 'Average', quantity: 20 }]);
+    }
+
+    test('should record, stock, charge and store a purchase', async () => {
+        const result = await purchase();
+
+        expect(result.success).toBe(true);
+        expect(result.steps.map(entry => entry.name)).toEqual(['history', 'inventory', 'currency', 'hold']);
+        expect(dataManager.history.map(entry => entry.cargo)).toEqual(['Wine', 'Grain']);
+        expect(settingsStore.transactionHistory.wfrp4e).toBe(dataManager.history);
+        expect(settingsStore.currentCargo.wfrp4e.map(entry => entry.id)).toEqual(['lot-1', 'lot-2']);
+        expect(systemAdapter.deductCurrency).toHaveBeenCalledWith(actor, 2, 'Purchased 10 EP of Wine');
+        expect(dataManager.saveCurrentDataset).toHaveBeenCalled();
+    });
+
+    test('should flag the new item with the lot the hold puts it in', async () => {
+        const transaction = { cargo: 'Wine', category: 'Wine', quantity: 10, totalCost: 480, isSale: false, settlement: 'Altdorf', season: 'spring' };
+
+        await service.purchase({
+            transaction,
+            actor,
+            item: { cargoName: 'Wine', quantity: 10, cargoData: {}, purchaseInfo: { quality: 'Average' } },
+            cost: 480,
+            updateHold: cargo => TradeTransactionService.mergeIntoHold(cargo, transaction)
+        });
+
+        expect(transaction.cargoId).toEqual(expect.any(String));
+        expect(systemAdapter.addCargoToInventory).toHaveBeenCalledWith(actor, 'Wine', 10, {}, { quality: 'Average', lotId: transaction.cargoId });
+    });
+
+    test('should put a merged item back as it was when the party cannot pay', async () => {
+        const flags = { lotId: 'lot-1', cargoType: 'Wine', purchasePrice: 960 };
+        systemAdapter.addCargoToInventory.mockResolvedValue({ success: true, itemId: 'item-1', merged: true, previous: { quantity: 20, flags } });
+        systemAdapter.deductCurrency.mockResolvedValue({ success: false, error: 'Insufficient currency' });
+
+        const result = await purchase();
+
+        expect(result).toMatchObject({ success: false, failedStep: 'currency', rolledBack: true });
+        expect(item.update).toHaveBeenCalledWith({ 'system.quantity.value': 20, 'flags.fvtt-trading-places.cargo': flags });
+        expect(systemAdapter.removeCargoFromInventory).not.toHaveBeenCalled();
+    });
+
+    test('should leave everything as it was when the history cannot be written', async () => {
+        game.settings.set.mockRejectedValueOnce(new Error('Settings are read-only'));
+
+        const result = await purchase();
+
+        expect(result).toMatchObject({ success: false, failedStep: 'history', error: 'Settings are read-only', rolledBack: false });
+        expect(systemAdapter.addCargoToInventory).not.toHaveBeenCalled();
+        expectUnchanged();
+    });
+
+    test('should roll back the history when the item cannot be added', async () => {
+        systemAdapter.addCargoToInventory.mockResolvedValue({ success: false, error: 'Failed to add cargo to inventory: no space' });
+
+        const result = await purchase();
+
+        expect(result).toMatchObject({ success: false, failedStep: 'inventory', error: 'Failed to add cargo to inventory: no space' });
+        expect(systemAdapter.deductCurrency).not.toHaveBeenCalled();
+        expectUnchanged();
+    });
+
+    test('should take the item back when the party cannot pay', async () => {
+        systemAdapter.deductCurrency.mockResolvedValue({ success: false, error: 'Insufficient currency. Has 1 GC, needs 2 GC' });
+
+        const result = await purchase();
+
+        expect(result).toMatchObject({ success: false, failedStep: 'currency', rolledBack: true });
+        expect(systemAdapter.removeCargoFromInventory).toHaveBeenCalledWith(actor, 'item-2');
+        expect(systemAdapter.addCurrency).not.toHaveBeenCalled();
+        expectUnchanged();
+    });
+
+    test('should refund and take the item back when the hold cannot be saved', async () => {
+        dataManager.saveCurrentDataset.mockRejectedValueOnce(new Error('World flags unavailable'));
+
+        const result = await purchase();
+
+        expect(result).toMatchObject({ success: false, failedStep: 'hold', error: 'World flags unavailable' });
+        expect(systemAdapter.addCurrency).toHaveBeenCalledWith(actor, 2, 'Rollback: Purchased 10 EP of Wine');
+        expect(systemAdapter.removeCargoFromInventory).toHaveBeenCalledWith(actor, 'item-2');
+        expectUnchanged();
+    });
+
+    test('should not touch the hold when its update cannot be worked out', async () => {
+        const result = await service.purchase({
+            transaction: { cargo: 'Wine', quantity: 10 },
+            actor,
+            item: { cargoName: 'Wine', quantity: 10 },
+            cost: 480,
+            updateHold: () => { throw new Error('No room in the hold'); }
+        });
+
+        expect(result).toMatchObject({ success: false, failedStep: 'hold', error: 'No room in the hold' });
+        expect(systemAdapter.addCargoToInventory).not.toHaveBeenCalled();
+        expectUnchanged();
+    });
+
+    test('should leave out the actor steps without an actor', async () => {
+        const result = await service.purchase({
+            transaction: { cargo: 'Wine', quantity: 10 },
+            item: { cargoName: 'Wine', quantity: 10 },
+            cost: 480
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.steps.map(entry => entry.name)).toEqual(['history', 'hold']);
+    });
+
+    test('should record, remove, credit and unload a sale', async () => {
+        const result = await sale();
+
+        expect(result.success).toBe(true);
+        expect(systemAdapter.removeCargoFromInventory).toHaveBeenCalledWith(actor, 'item-1', 5);
+        expect(systemAdapter.addCurrency).toHaveBeenCalledWith(actor, 1, 'Sold 5 EP of Wine');
+        expect(settingsStore.currentCargo.wfrp4e[0].quantity).toBe(15);
+    });
+
+    test('should roll back the history when the item cannot be removed', async () => {
+        systemAdapter.removeCargoFromInventory.mockResolvedValue({ success: false, error: "Item with ID 'item-1' not found in actor inventory" });
+
+        const result = await sale();
+
+        expect(result).toMatchObject({ success: false, failedStep: 'inventory' });
+        expect(systemAdapter.addCurrency).not.toHaveBeenCalled();
+        expectUnchanged();
+    });
+
+    test('should restore the item quantity when the proceeds cannot be paid', async () => {
+        systemAdapter.addCurrency.mockRejectedValue(new Error('Currency operations require FoundryVTT environment'));
+
+        const result = await sale();
+
+        expect(result).toMatchObject({ success: false, failedStep: 'currency', error: 'Currency operations require FoundryVTT environment' });
+        expect(item.update).toHaveBeenCalledWith({ 'system.quantity.value': 20 });
+        expectUnchanged();
+    });
+
+    test('should recreate a removed item and take back the proceeds when the hold cannot be saved', async () => {
+        systemAdapter.removeCargoFromInventory.mockResolvedValue({ success: true, itemRemoved: true, removedQuantity: 20 });
+        dataManager.saveCurrentDataset.mockRejectedValueOnce(new Error('World flags unavailable'));
+
+        const result = await sale();
+
+        expect(result).toMatchObject({ success: false, failedStep: 'hold' });
+        expect(systemAdapter.deductCurrency).toHaveBeenCalledWith(actor, 1, 'Rollback: Sold 5 EP of Wine');
+        expect(actor.createEmbeddedDocuments).toHaveBeenCalledWith('Item', [{ name: 'Wine', system: { quantity: { value: 20 } } }]);
+        expect(result.steps.map(entry => entry.status)).toEqual(['rolled-back', 'rolled-back', 'rolled-back', 'failed']);
+        expectUnchanged();
+    });
+});
+
+describe('TradeTransactionService reversal', () => {
+    let settingsStore;
+    let dataManager;
+    let systemAdapter;
+    let actor;
+    let service;
+    const bought = { cargo: 'Wine', category: 'Wine', cargoId: 'lot-1', quantity: 10, totalCost: 480, tariff: 20, quality: 'Average', actualTier: 'Poor', settlement: 'Altdorf', season: 'spring', isSale: false };
+    const sold = { cargo: 'Wine', category: 'Wine', cargoId: 'lot-1', quantity: 5, totalCost: 240, quality: 'Average', settlement: 'Nuln', season: 'summer', isSale: true };
+
+    beforeEach(() => {
+        settingsStore = {
+            transactionHistory: { wfrp4e: [sold, bought] },
+            currentCargo: { wfrp4e: [{ id: 'lot-1', cargo: 'Wine', category: 'Wine', quality: 'Average', settlement: 'Altdorf', quantity: 15, totalCost: 720, tariff: 30, pricePerEP: 48 }] }
+        };
+        global.game = {
+            settings: {
+                get: jest.fn((module, key) => settingsStore[key]),
+                set: jest.fn(async (module, key, value) => { settingsStore[key] = value; })
+            }
+        };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        dataManager = {
+            activeDatasetName: 'wfrp4e',
+            history: [...settingsStore.transactionHistory.wfrp4e],
+            cargo: JSON.parse(JSON.stringify(settingsStore.currentCargo.wfrp4e)),
+            cargoTypes: [{ name: 'Wine', category: 'Wine' }],
+            saveCurrentDataset: jest.fn().mockResolvedValue(undefined)
+        };
+        actor = { id: 'actor-1', items: { get: jest.fn() } };
+        systemAdapter = {
+            addCargoToInventory: jest.fn().mockResolvedValue({ success: true, itemId: 'item-2' }),
+            findCargoInInventory: jest.fn(() => [{ id: 'item-1', system: { quantity: { value: 10 } } }]),
+            removeCargoFromInventory: jest.fn().mockResolvedValue({ success: true, itemRemoved: true }),
+            addCurrency: jest.fn().mockResolvedValue({ success: true }),
+            deductCurrency: jest.fn().mockResolvedValue({ success: true }),
+            toPrimaryDenomination: amount => amount / 240
+        };
+        service = new TradeTransactionService(dataManager, systemAdapter);
+    });
+
+    afterEach(() => {
+        delete global.game;
+        console.log.mockRestore();
+        console.error.mockRestore();
+    });
+
+    test('should refund a purchase, take the cargo back and mark the entry reversed', async () => {
+        const result = await service.reverse({ index: 1, actor, reversedBy: { id: 'user-1', name: 'Gamemaster' } });
+
+        expect(result.success).toBe(true);
+        expect(systemAdapter.findCargoInInventory).toHaveBeenCalledWith(actor, 'Wine', { quality: 'Poor' });
+        expect(systemAdapter.removeCargoFromInventory).toHaveBeenCalledWith(actor, 'item-1', 10);
+        expect(systemAdapter.addCurrency).toHaveBeenCalledWith(actor, 2, 'Reversed purchase of 10 EP of Wine');
+        expect(settingsStore.currentCargo.wfrp4e[0]).toMatchObject({ quantity: 5, totalCost: 240, tariff: 10, pricePerEP: 48 });
+        expect(dataManager.history).toHaveLength(2);
+        expect(dataManager.history[1]).toMatchObject({ ...bought, reversed: true, reversedBy: 'Gamemaster', reversedByUserId: 'user-1' });
+        expect(settingsStore.transactionHistory.wfrp4e[1].reversed).toBe(true);
+    });
+
+    test('should put sold cargo back into its lot and take back the proceeds', async () => {
+        const result = await service.reverse({ index: 0, actor });
+
+        expect(result.success).toBe(true);
+        expect(systemAdapter.addCargoToInventory).toHaveBeenCalledWith(actor, 'Wine', 5, { name: 'Wine', category: 'Wine' }, expect.objectContaining({ quality: 'Average' }));
+        expect(systemAdapter.deductCurrency).toHaveBeenCalledWith(actor, 1, 'Reversed sale of 5 EP of Wine');
+        expect(dataManager.cargo[0].quantity).toBe(20);
+    });
+
+    test('should rebuild a sold-out lot from its purchase', async () => {
+        dataManager.cargo = [];
+
+        await service.reverse({ index: 0 });
+
+        expect(dataManager.cargo).toEqual([expect.objectContaining({ id: 'lot-1', cargo: 'Wine', quantity: 5, pricePerEP: 48, totalCost: 240, settlement: 'Altdorf', actualTier: 'Poor' })]);
+    });
+
+    test('should not reverse a purchase whose cargo has been sold', async () => {
+        dataManager.cargo[0].quantity = 4;
+
+        const result = await service.reverse({ index: 1, actor });
+
+        expect(result).toMatchObject({ success: false, failedStep: 'hold', error: 'Only 4 EP of Wine is left in the hold' });
+        expect(systemAdapter.addCurrency).not.toHaveBeenCalled();
+        expect(dataManager.history[1].reversed).toBeUndefined();
+    });
+
+    test('should give the cargo back when the party cannot repay the proceeds', async () => {
+        systemAdapter.deductCurrency.mockResolvedValue({ success: false, error: 'Insufficient currency. Has 0 GC, needs 1 GC' });
+
+        const result = await service.reverse({ index: 0, actor });
+
+        expect(result).toMatchObject({ success: false, failedStep: 'currency', rolledBack: true });
+        expect(systemAdapter.removeCargoFromInventory).toHaveBeenCalledWith(actor, 'item-2');
+        expect(dataManager.history).toEqual([sold, bought]);
+        expect(dataManager.cargo[0].quantity).toBe(15);
+    });
+
+    test('should refuse to reverse an entry twice', async () => {
+        await service.reverse({ index: 1 });
+
+        await expect(service.reverse({ index: 1 })).rejects.toThrow('Transaction has already been reversed');
+        await expect(service.reverse({ index: 7 })).rejects.toThrow('No transaction at history index 7');
+    });
+});
+
+describe('TradeTransactionService.removeFromHold', () => {
+    test('should take sold cargo from the lot with its id before other lots of the same cargo', () => {
+        const hold = [
+            { id: 'lot-1', cargo: 'Wine', quality: 'Average', quantity: 10 },
+            { id: 'lot-2', cargo: 'Wine', quality: 'Good', quantity: 10 }
+        ];
+
+        TradeTransactionService.removeFromHold(hold, { id: 'lot-2', cargo: 'Wine', quality: 'Good' }, 4);
+
+        expect(hold.map(lot => lot.quantity)).toEqual([10, 6]);
+    });
+
+    test('should fall back to cargo and quality, then to cargo alone', () => {
+        const hold = [
+            { id: 'lot-1', cargo: 'Wine', quality: 'Average', quantity: 10 },
+            { id: 'lot-2', cargo: 'Wine', quality: 'Good', quantity: 10 }
+        ];
+
+        TradeTransactionService.removeFromHold(hold, { cargo: 'Wine', quality: 'Good' }, 10);
+        expect(hold.map(lot => lot.id)).toEqual(['lot-1']);
+
+        TradeTransactionService.removeFromHold(hold, { cargo: 'Wine', quality: 'Poor' }, 3);
+        expect(hold[0].quantity).toBe(7);
+    });
+});
+
+describe('TradeTransactionService.recordSafely', () => {
+    test('should return the recorder\'s result', async () => {
+        const logError = jest.fn();
+
+        await expect(TradeTransactionService.recordSafely(async () => 'recorded', logError)).resolves.toBe('recorded');
+        expect(logError).not.toHaveBeenCalled();
+    });
+
+    test('should log a failed recorder instead of throwing', async () => {
+        const logError = jest.fn();
+        const failure = new Error('Ledger unavailable');
+
+        await expect(TradeTransactionService.recordSafely(async () => { throw failure; }, logError)).resolves.toBeUndefined();
+        expect(logError).toHaveBeenCalledWith(failure);
+    });
+});
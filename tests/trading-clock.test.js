@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the world-time trading clock
+ */
+
+global.window = global.window || {};
+
+const { TradingClock, SECONDS_PER_DAY } = require('../scripts/trading-clock.js');
+const { SaleMechanics } = require('../scripts/sale-mechanics.js');
+
+describe('TradingClock', () => {
+    const originalGame = global.game;
+
+    afterEach(() => {
+        global.game = originalGame;
+        delete global.SimpleCalendar;
+        TradingClock.setFallbackTime(0);
+    });
+
+    test('should read Foundry world time when available', () => {
+        global.game = { time: { worldTime: 12345 } };
+
+        expect(TradingClock.isWorldTimeAvailable()).toBe(true);
+        expect(TradingClock.now()).toBe(12345);
+    });
+
+    test('should use the fallback clock without Foundry world time', async () => {
+        global.game = undefined;
+        TradingClock.setFallbackTime(100);
+
+        expect(TradingClock.isWorldTimeAvailable()).toBe(false);
+        expect(TradingClock.now()).toBe(100);
+        expect(await TradingClock.advance(SECONDS_PER_DAY)).toBe(100 + SECONDS_PER_DAY);
+    });
+
+    test('should advance Foundry world time when available', async () => {
+        global.game = {
+            time: {
+                worldTime: 0,
+                advance: jest.fn(async function (seconds) { this.worldTime += seconds; })
+            }
+        };
+
+        expect(await TradingClock.advance(3600)).toBe(3600);
+        expect(global.game.time.advance).toHaveBeenCalledWith(3600);
+        await expect(TradingClock.advance('soon')).rejects.toThrow('Time advance must be a number of seconds');
+    });
+
+    test('should measure elapsed in-game days', () => {
+        expect(TradingClock.elapsedDays(0, 3 * SECONDS_PER_DAY)).toBe(3);
+        expect(TradingClock.elapsedDays(SECONDS_PER_DAY, 0)).toBe(0);
+    });
+
+    test('should format as a day count without a calendar', () => {
+        global.game = { time: { worldTime: 0 } };
+
+        expect(TradingClock.format(7 * SECONDS_PER_DAY + 14 * 3600 + 30 * 60)).toBe('Day 8, 14:30');
+        expect(TradingClock.format(null)).toBe('Unknown');
+    });
+
+    test('should prefer Simple Calendar, then the core calendar', () => {
+        global.game = { time: { worldTime: 0, calendar: { format: () => '1 Nachexen 2512' } } };
+        expect(TradingClock.format(0)).toBe('1 Nachexen 2512');
+
+        global.SimpleCalendar = { api: { formatTimestamp: () => ({ date: '33 Sigmarzeit 2512', time: '08:00' }) } };
+        expect(TradingClock.format(0)).toBe('33 Sigmarzeit 2512 08:00');
+    });
+
+    test('should read the calendar month from Simple Calendar or the core calendar', () => {
+        global.game = { time: { worldTime: 0 } };
+        expect(TradingClock.getCalendarMonth(0)).toBeNull();
+
+        global.game.time.calendar = { months: { values: [{ name: 'Nachexen' }, { name: 'Jahrdrung' }] }, timeToComponents: () => ({ month: 1 }) };
+        expect(TradingClock.getCalendarMonth(0)).toEqual({ month: 2, monthName: 'Jahrdrung' });
+
+        global.SimpleCalendar = { api: { timestampToDate: () => ({ month: 3, display: { monthName: 'Sigmarzeit' } }) } };
+        expect(TradingClock.getCalendarMonth(0)).toEqual({ month: 4, monthName: 'Sigmarzeit' });
+    });
+
+    test('should stamp transactions with world time and a formatted date', () => {
+        global.game = { time: { worldTime: SECONDS_PER_DAY } };
+
+        expect(TradingClock.stamp()).toEqual({ worldTime: SECONDS_PER_DAY, date: 'Day 2, 00:00' });
+    });
+});
+
+describe('SaleMechanics world-time sale restrictions', () => {
+    const saleMechanics = new SaleMechanics({}, {});
+    const settlement = { name: 'Altdorf', region: 'Reikland' };
+    const cargo = { name: 'Grain', quantity: 10 };
+    const purchaseData = { settlementName: 'Altdorf', purchaseTime: 0 };
+
+    test('should block selling at the purchase settlement within a week of world time', () => {
+        const result = saleMechanics.checkSaleEligibility(cargo, settlement, purchaseData, 6 * SECONDS_PER_DAY);
+        expect(result.eligible).toBe(false);
+        expect(result.errors[0]).toContain('Time remaining: 1 days');
+    });
+
+    test('should allow selling at the purchase settlement after a week of world time', () => {
+        const result = saleMechanics.checkSaleEligibility(cargo, settlement, purchaseData, 7 * SECONDS_PER_DAY);
+        expect(result.eligible).toBe(true);
+    });
+});
@@ -1042,7 +1042,7 @@ async function runSaleRestrictionsTests() {
 
     // Time-based sale (same settlement after waiting)
     const timePurchaseData = { settlementName: 'Averheim', purchaseTime: 1000 };
-    const timeBasedSale = engine.checkSaleEligibility(cargo, { name: 'Averheim' }, timePurchaseData, 1000 + 8 * 24 * 60 * 60 * 1000);
+    const timeBasedSale = engine.checkSaleEligibility(cargo, { name: 'Averheim' }, timePurchaseData, 1000 + 8 * 24 * 60 * 60);
     console.log(`Time-based sale (after 8 days): ${timeBasedSale.eligible}`);
     console.assert(timeBasedSale.eligible === true, 'Should allow sale after 1 week wait');
 
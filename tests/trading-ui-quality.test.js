@@ -14,8 +14,9 @@
  *      into the transaction, instead of reading cargo.quality?.tier and defaulting
  *      to 'Average' / 'standard'.
  *  (2) The purchase button wired up by TradingUIRenderer routes clicks through
- *      eventHandlers._onCargoPurchase (which routes to systemAdapter.performPurchase,
- *      the code path that applies the quality suffix to the item name).
+ *      eventHandlers._onCargoPurchase (which adds the item through
+ *      systemAdapter.addCargoToInventory, the code path that applies the quality
+ *      suffix to the item name).
  */
 
 import { TradingUIEventHandlers } from '../scripts/ui/TradingUIEventHandlers.js';
@@ -25,8 +26,11 @@ function makeApp() {
     return {
         dataManager: {
             activeDatasetName: 'test-dataset',
+            history: [],
+            cargo: [],
             getCargoTypes: () => [],
-            isTradeSettlement: () => false
+            isTradeSettlement: () => false,
+            saveCurrentDataset: jest.fn().mockResolvedValue(undefined)
         },
         selectedSettlement: { name: 'Bogenhafen' },
         currentSeason: 'Spring',
@@ -58,31 +62,45 @@ function makeWineCargo() {
 
 beforeEach(() => {
     global.ui = { notifications: { success: jest.fn(), error: jest.fn(), info: jest.fn() } };
-    global.game = { settings: { get: jest.fn().mockResolvedValue({}), set: jest.fn().mockResolvedValue(undefined) } };
+    global.game = {
+        user: { character: { id: 'actor-1', name: 'Buyer' } },
+        settings: { get: jest.fn().mockResolvedValue({}), set: jest.fn().mockResolvedValue(undefined) }
+    };
+    global.canvas = { tokens: { controlled: [] } };
+    global.foundry = { utils: { randomID: () => 'lot-1' } };
 });
 
+function makeSystemAdapter() {
+    return {
+        validatePurchase: jest.fn().mockResolvedValue({ valid: true }),
+        addCargoToInventory: jest.fn().mockResolvedValue({ success: true, itemId: 'item-1' }),
+        deductCurrency: jest.fn().mockResolvedValue({ success: true }),
+        toPrimaryDenomination: amount => amount / 240
+    };
+}
+
 describe('_onCargoPurchase quality extraction (sub-issue 1)', () => {
     test('reads quality/actualTier/dishonest/system from the cargo root, not defaults', async () => {
         const app = makeApp();
         const handlers = new TradingUIEventHandlers(app);
 
-        // System adapter approves and performs the purchase (name suffix path).
-        app.systemAdapter = {
-            validatePurchase: jest.fn().mockResolvedValue({ valid: true }),
-            performPurchase: jest.fn().mockResolvedValue({ success: true })
-        };
+        // System adapter approves the purchase and adds the item (name suffix path).
+        app.systemAdapter = makeSystemAdapter();
 
         // Stub currency + peripheral UI helpers so we isolate quality extraction.
         handlers._augmentTransaction = (t) => t;
         handlers._formatCurrencyFromDenomination = () => '1GC';
         handlers._getCurrencyLabel = () => 'BP';
         handlers._updateBuyingCargoCard = jest.fn();
-        handlers._addCargoToInventory = jest.fn().mockResolvedValue(undefined);
 
-        await handlers._onCargoPurchase(makeWineCargo(), 5, 200, 0);
+        const cargo = makeWineCargo();
+        await handlers._onCargoPurchase(cargo, 5, 200, 0);
 
-        // The purchase must route through performPurchase (applies the name suffix).
-        expect(app.systemAdapter.performPurchase).toHaveBeenCalledTimes(1);
+        // The item must be added through the system adapter with its real quality (applies the name suffix).
+        expect(app.systemAdapter.addCargoToInventory).toHaveBeenCalledTimes(1);
+        expect(app.systemAdapter.addCargoToInventory).toHaveBeenCalledWith(
+            game.user.character, 'Wine', 5, cargo, expect.objectContaining({ quality: 'Average' })
+        );
 
         expect(app.transactionHistory).toHaveLength(1);
         const tx = app.transactionHistory[0];
@@ -94,22 +112,24 @@ describe('_onCargoPurchase quality extraction (sub-issue 1)', () => {
         // System is preserved from the root, NOT defaulted to 'standard'.
         expect(tx.system).toBe('wine_brandy');
 
-        // The inventory item is built from this same (correct) transaction.
-        expect(handlers._addCargoToInventory).toHaveBeenCalledWith(tx);
+        // The hold entry is built from this same (correct) transaction.
+        expect(app.dataManager.cargo).toEqual([expect.objectContaining({
+            id: tx.cargoId,
+            quality: 'Good',
+            actualTier: 'Average',
+            dishonest: true,
+            system: 'wine_brandy'
+        })]);
     });
 
     test('honest non-wine cargo still carries its tier through', async () => {
         const app = makeApp();
         const handlers = new TradingUIEventHandlers(app);
-        app.systemAdapter = {
-            validatePurchase: jest.fn().mockResolvedValue({ valid: true }),
-            performPurchase: jest.fn().mockResolvedValue({ success: true })
-        };
+        app.systemAdapter = makeSystemAdapter();
         handlers._augmentTransaction = (t) => t;
         handlers._formatCurrencyFromDenomination = () => '1GC';
         handlers._getCurrencyLabel = () => 'BP';
         handlers._updateBuyingCargoCard = jest.fn();
-        handlers._addCargoToInventory = jest.fn().mockResolvedValue(undefined);
 
         const cargo = {
             name: 'Cloth',
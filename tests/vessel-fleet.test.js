@@ -0,0 +1,208 @@
+/**
+ * Unit tests for the party's vessels, their capacity and running costs
+ */
+
+global.window = global.window || {};
+
+require('../scripts/data-manager.js');
+const DataManager = window.TradingPlacesDataManager;
+const { VesselFleet } = require('../scripts/vessel-fleet.js');
+const { TradingUIEventHandlers } = require('../scripts/ui/TradingUIEventHandlers.js');
+
+const DAY = 24 * 60 * 60;
+const config = { defaultCapacity: 400, defaultWagePerDay: 12, unpaidConditionLossPerDay: 5 };
+
+describe('VesselFleet', () => {
+    let fleet;
+    let now;
+
+    beforeEach(() => {
+        now = 0;
+        fleet = new VesselFleet(config, { now: () => now });
+    });
+
+    test('should make the first vessel active and fill in defaults', () => {
+        const boat = fleet.addVessel({ name: 'Reik Maiden', capacity: 600, crew: { size: 4 }, upkeepPerDay: 24, homePort: 'Altdorf' });
+        fleet.addVessel({ name: 'Old Cart', type: 'wagon', capacity: '80' });
+
+        expect(fleet.getActiveVessel()).toBe(boat);
+        expect(fleet.getCapacity()).toBe(600);
+        expect(boat).toMatchObject({
+            type: 'boat',
+            crew: { size: 4, wagePerDay: 12 },
+            upkeepPerDay: 24,
+            condition: 100,
+            homePort: 'Altdorf',
+            costsPaidUntil: 0
+        });
+        expect(fleet.getVessels()[1].capacity).toBe(80);
+    });
+
+    test('should reject vessels without a name or with bad numbers', () => {
+        expect(() => fleet.addVessel({ name: ' ' })).toThrow('Vessel name is required');
+        expect(() => fleet.addVessel({ name: 'Raft', type: 'balloon' })).toThrow('Unknown vessel type: balloon');
+        expect(() => fleet.addVessel({ name: 'Raft', capacity: -10 })).toThrow('Vessel capacity must be a number of at least 0');
+        expect(() => fleet.updateVessel('missing', { capacity: 10 })).toThrow('Unknown vessel: missing');
+        expect(fleet.getCapacity()).toBeNull();
+    });
+
+    test('should switch vessels and hand over when the active one is removed', () => {
+        const boat = fleet.addVessel({ name: 'Reik Maiden', capacity: 600 });
+        const wagon = fleet.addVessel({ name: 'Old Cart', type: 'wagon', capacity: 80 });
+
+        fleet.setActiveVessel(wagon.id);
+        expect(fleet.getCapacity()).toBe(80);
+
+        fleet.updateVessel(wagon.id, { capacity: 120, crew: { size: 1 } });
+        expect(fleet.getCapacity()).toBe(120);
+        expect(fleet.getVessel(wagon.id).crew).toEqual({ size: 1, wagePerDay: 12 });
+
+        expect(fleet.removeVessel(wagon.id)).toBe(true);
+        expect(fleet.getActiveVessel()).toBe(boat);
+        expect(() => fleet.setActiveVessel(wagon.id)).toThrow(`Unknown vessel: ${wagon.id}`);
+    });
+
+    test('should owe wages and upkeep for whole days only', () => {
+        const boat = fleet.addVessel({ name: 'Reik Maiden', crew: { size: 4, wagePerDay: 12 }, upkeepPerDay: 24 });
+        fleet.addVessel({ name: 'Old Cart', type: 'wagon', crew: { size: 1, wagePerDay: 6 } });
+
+        expect(fleet.getDailyCost(boat)).toEqual({ wages: 48, upkeep: 24, total: 72 });
+
+        now = 0.5 * DAY;
+        expect(fleet.calculateRunningCosts().vessels).toEqual([]);
+
+        now = 3.5 * DAY;
+        const owed = fleet.calculateRunningCosts();
+        expect(owed.vessels.map(entry => [entry.vessel.name, entry.days, entry.total])).toEqual([
+            ['Reik Maiden', 3, 216],
+            ['Old Cart', 3, 18]
+        ]);
+        expect(owed.total).toBe(234);
+    });
+
+    test('should carry part-days over and wear down vessels that go unpaid', () => {
+        const boat = fleet.addVessel({ name: 'Reik Maiden', crew: { size: 4 } });
+
+        now = 3.5 * DAY;
+        fleet.settleRunningCosts(boat.id, 3, true);
+        expect(boat.costsPaidUntil).toBe(3 * DAY);
+        expect(boat.condition).toBe(100);
+
+        now = 5 * DAY;
+        expect(fleet.calculateRunningCosts().vessels[0].days).toBe(2);
+
+        fleet.settleRunningCosts(boat.id, 2, false);
+        expect(boat.condition).toBe(90);
+        expect(fleet.calculateRunningCosts().vessels).toEqual([]);
+    });
+
+    test('should round-trip through JSON', () => {
+        const boat = fleet.addVessel({ name: 'Reik Maiden', capacity: 600 });
+        const restored = new VesselFleet(config, JSON.parse(JSON.stringify(fleet.toJSON())));
+
+        expect(restored.getActiveVessel()).toEqual(boat);
+    });
+});
+
+describe('DataManager vessels', () => {
+    let dataManager;
+    let settingsStore;
+
+    beforeEach(() => {
+        settingsStore = { vessels: {}, cargoCapacity: 250 };
+        global.game = {
+            settings: {
+                get: jest.fn((module, key) => settingsStore[key]),
+                set: jest.fn(async (module, key, value) => { settingsStore[key] = value; })
+            }
+        };
+
+        dataManager = new DataManager();
+        dataManager.activeDatasetName = 'wfrp4e';
+        dataManager.tradingConfig = { vessels: config };
+    });
+
+    afterEach(() => {
+        delete global.game;
+    });
+
+    test('should use the cargoCapacity setting until the party has a vessel', async () => {
+        expect(dataManager.getCargoCapacity()).toBe(250);
+
+        dataManager.getVesselFleet().addVessel({ name: 'Reik Maiden', capacity: 600 });
+        await dataManager.saveVesselFleet();
+        expect(dataManager.getCargoCapacity()).toBe(600);
+
+        dataManager.vesselFleet = null;
+        expect(settingsStore.vessels.wfrp4e.vessels).toHaveLength(1);
+        expect(dataManager.getCargoCapacity()).toBe(600);
+    });
+});
+
+describe('TradingUIEventHandlers capacity', () => {
+    let handlers;
+    let app;
+    let dataManager;
+    let settingsStore;
+
+    beforeEach(() => {
+        settingsStore = { vessels: {}, cargoCapacity: 400 };
+        global.game = {
+            settings: {
+                get: jest.fn((module, key) => settingsStore[key]),
+                set: jest.fn(async (module, key, value) => { settingsStore[key] = value; })
+            }
+        };
+        global.ui = { notifications: { info: jest.fn(), error: jest.fn() } };
+
+        document.body.innerHTML = `
+            <div class="capacity-used"></div>
+            <span class="current-load"></span>
+            <span class="max-capacity"></span>
+            <span class="over-capacity-warning"></span>
+        `;
+
+        dataManager = new DataManager();
+        dataManager.activeDatasetName = 'wfrp4e';
+        dataManager.tradingConfig = { vessels: config };
+        app = { dataManager, element: document.body, render: jest.fn().mockResolvedValue(undefined) };
+        handlers = new TradingUIEventHandlers(app);
+        handlers._getCurrentCargo = jest.fn().mockResolvedValue([{ cargo: 'Iron', quantity: 100 }]);
+    });
+
+    afterEach(() => {
+        delete global.game;
+    });
+
+    test('should resize the active vessel rather than the setting', async () => {
+        dataManager.getVesselFleet().addVessel({ name: 'Reik Maiden', capacity: 600 });
+
+        await handlers._onCargoCapacityChange({ target: { value: '80' } });
+
+        expect(dataManager.getVesselFleet().getActiveVessel().capacity).toBe(80);
+        expect(settingsStore.cargoCapacity).toBe(400);
+        expect(settingsStore.vessels.wfrp4e.vessels[0].capacity).toBe(80);
+        expect(document.querySelector('.max-capacity').textContent).toBe('80');
+        expect(document.querySelector('.over-capacity-warning').style.display).toBe('inline');
+    });
+
+    test('should fall back to the setting without a vessel', async () => {
+        await handlers._onCargoCapacityChange({ target: { value: '150' } });
+
+        expect(settingsStore.cargoCapacity).toBe(150);
+        expect(document.querySelector('.max-capacity').textContent).toBe('150');
+        expect(document.querySelector('.over-capacity-warning').style.display).toBe('none');
+    });
+
+    test('should switch the active vessel from the cargo tab', async () => {
+        const fleet = dataManager.getVesselFleet();
+        fleet.addVessel({ name: 'Reik Maiden', capacity: 600 });
+        const wagon = fleet.addVessel({ name: 'Old Cart', type: 'wagon', capacity: 80 });
+
+        await handlers._onActiveVesselChange({ target: { value: wagon.id } });
+
+        expect(dataManager.getCargoCapacity()).toBe(80);
+        expect(settingsStore.vessels.wfrp4e.activeVesselId).toBe(wagon.id);
+        expect(app.render).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit tests for warehouses, stored cargo and storage fees
+ */
+
+global.window = global.window || {};
+
+require('../scripts/data-manager.js');
+const DataManager = window.TradingPlacesDataManager;
+const { WarehouseStorage } = require('../scripts/warehouse-storage.js');
+const { TradeTransactionService } = require('../scripts/trade-transaction.js');
+
+const DAY = 24 * 60 * 60;
+const WEEK = 7 * DAY;
+
+function hold() {
+    return [
+        { id: 'lot-1', cargo: 'Wine', category: 'Wine/Brandy', quantity: 40, quality: 'Average', settlement: 'Altdorf', season: 'spring', merchant: 'Hans', pricePerEP: 48, totalCost: 1920, contraband: false },
+        { id: 'lot-2', cargo: 'Grain', category: 'Grain', quantity: 100, quality: 'Average', settlement: 'Altdorf', season: 'spring', contraband: false }
+    ];
+}
+
+describe('WarehouseStorage', () => {
+    let now;
+    let storage;
+
+    beforeEach(() => {
+        now = 10 * DAY;
+        storage = new WarehouseStorage({ weeklyFee: 120 }, { now: () => now });
+    });
+
+    test('should rent one warehouse per settlement at the configured fee', () => {
+        const warehouse = storage.rent('Ubersreik', { payerId: 'actor-1' });
+
+        expect(warehouse).toMatchObject({ settlement: 'Ubersreik', weeklyFee: 120, payerId: 'actor-1', rentedAt: now, feesPaidUntil: now });
+        expect(storage.rent('Ubersreik')).toBe(warehouse);
+        expect(storage.getWarehouseAt('Altdorf')).toBeNull();
+        expect(() => storage.rent('')).toThrow('Warehouse settlement is required');
+        expect(() => storage.rent('Nuln', { weeklyFee: -1 })).toThrow('Warehouse weekly fee must be a number of at least 0');
+    });
+
+    test('should store a lot with its provenance and leave it out of what is aboard', () => {
+        const cargo = hold();
+        const warehouse = storage.rent('Ubersreik');
+
+        const lot = storage.store(cargo, 'lot-1', warehouse);
+
+        expect(lot).toMatchObject({ id: 'lot-1', settlement: 'Altdorf', merchant: 'Hans', totalCost: 1920, storage: 'warehouse', warehouseId: warehouse.id, storedAt: now });
+        expect(WarehouseStorage.aboard(cargo).map(entry => entry.id)).toEqual(['lot-2']);
+        expect(storage.getStoredLots(cargo, warehouse.id)).toEqual([lot]);
+        expect(() => storage.store(cargo, 'lot-1', warehouse)).toThrow('Wine is already in storage');
+        expect(() => storage.store(cargo, 'lot-9', warehouse)).toThrow('Cargo not found in the hold: lot-9');
+    });
+
+    test('should only retrieve at the warehouse and give it up once empty', () => {
+        const cargo = hold();
+        const warehouse = storage.rent('Ubersreik');
+        storage.store(cargo, 'lot-1', warehouse);
+        storage.store(cargo, 'lot-2', warehouse);
+
+        expect(() => storage.retrieve(cargo, 'lot-1', 'Altdorf')).toThrow('Wine is stored at Ubersreik');
+
+        const first = storage.retrieve(cargo, 'lot-1', 'Ubersreik');
+        expect(first.closed).toBe(false);
+        expect(first.lot).not.toHaveProperty('storage');
+        expect(first.lot).toMatchObject({ id: 'lot-1', settlement: 'Altdorf', quantity: 40 });
+
+        expect(storage.retrieve(cargo, 'lot-2', 'Ubersreik').closed).toBe(true);
+        expect(storage.getWarehouses()).toEqual([]);
+        expect(() => storage.retrieve(cargo, 'lot-2', 'Ubersreik')).toThrow('Cargo not found in storage: lot-2');
+    });
+
+    test('should charge each week in advance and record what could not be paid', async () => {
+        const warehouse = storage.rent('Ubersreik', { payerId: 'actor-1' });
+        expect(storage.calculateFees(now)).toEqual([{ warehouse, weeks: 1, amount: 120 }]);
+
+        const pay = jest.fn().mockResolvedValue({ paid: true, payer: 'Gunther' });
+        await storage.collectFees(pay);
+        expect(warehouse.feesPaidUntil).toBe(now + WEEK);
+        expect(storage.calculateFees(now + 6 * DAY)).toEqual([]);
+
+        now += 2 * WEEK;
+        pay.mockResolvedValue({ paid: false, payer: null });
+        const [charge] = await storage.collectFees(pay);
+
+        expect(pay).toHaveBeenLastCalledWith(warehouse, 240, 2);
+        expect(charge).toMatchObject({ settlement: 'Ubersreik', weeks: 2, amount: 240, paid: false });
+        expect(storage.getCharges().map(entry => [entry.amount, entry.paid, entry.payer])).toEqual([[240, false, null], [120, true, 'Gunther']]);
+    });
+
+    test('should round-trip through JSON', () => {
+        const cargo = hold();
+        storage.store(cargo, 'lot-1', storage.rent('Ubersreik'));
+        storage.settleFees(storage.getWarehouses()[0].id, 1, { payer: 'Gunther' });
+
+        const restored = new WarehouseStorage({}, JSON.parse(JSON.stringify(storage.toJSON())));
+
+        expect(restored.getWarehouseAt('Ubersreik')).toMatchObject({ weeklyFee: 120 });
+        expect(restored.getCharges()).toHaveLength(1);
+    });
+});
+
+describe('Stored cargo', () => {
+    test('should not take in new purchases', () => {
+        const cargo = hold();
+        cargo[0] = { ...cargo[0], storage: 'warehouse', warehouseId: 'w-1' };
+        const transaction = { cargo: 'Wine', category: 'Wine/Brandy', quantity: 10, pricePerEP: 48, totalCost: 480, settlement: 'Altdorf', season: 'spring', contraband: false, quality: 'Average', merchant: 'Hans' };
+
+        TradeTransactionService.mergeIntoHold(cargo, transaction);
+
+        expect(cargo).toHaveLength(3);
+        expect(cargo[0].quantity).toBe(40);
+        expect(transaction.cargoId).toBe(cargo[2].id);
+    });
+});
+
+describe('DataManager warehouses', () => {
+    let dataManager;
+    let settingsStore;
+
+    beforeEach(() => {
+        settingsStore = { warehouses: {}, currentCargo: {} };
+        global.game = {
+            settings: {
+                get: jest.fn((module, key) => settingsStore[key]),
+                set: jest.fn(async (module, key, value) => { settingsStore[key] = value; })
+            }
+        };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        dataManager = new DataManager();
+        dataManager.activeDatasetName = 'wfrp4e';
+        dataManager.tradingConfig = { warehouses: { weeklyFee: 60 } };
+        dataManager.cargo = hold();
+        dataManager.saveCurrentDataset = jest.fn().mockResolvedValue(undefined);
+    });
+
+    afterEach(() => {
+        delete global.game;
+        console.log.mockRestore();
+    });
+
+    test('should store and retrieve cargo and persist both the hold and the warehouses', async () => {
+        const stored = await dataManager.storeCargo('lot-1', 'Ubersreik', { payerId: 'actor-1' });
+
+        expect(stored.rented).toBe(true);
+        expect(stored.warehouse).toMatchObject({ settlement: 'Ubersreik', weeklyFee: 60 });
+        expect(settingsStore.currentCargo.wfrp4e.find(lot => lot.id === 'lot-1').storage).toBe('warehouse');
+        expect(settingsStore.warehouses.wfrp4e.warehouses).toHaveLength(1);
+
+        dataManager.warehouseStorage = null;
+        const retrieved = await dataManager.retrieveCargo('lot-1', 'Ubersreik');
+
+        expect(retrieved.closed).toBe(true);
+        expect(dataManager.cargo.find(lot => lot.id === 'lot-1').storage).toBeUndefined();
+        expect(settingsStore.warehouses.wfrp4e.warehouses).toEqual([]);
+    });
+
+    test('should show storage fees in the profit report', async () => {
+        const storage = dataManager.getWarehouseStorage();
+        storage.rent('Ubersreik');
+        storage.settleFees(storage.getWarehouses()[0].id, 2, { payer: 'Gunther' });
+
+        const report = dataManager.getProfitReport();
+
+        expect(report.storageCosts).toEqual([expect.objectContaining({ settlement: 'Ubersreik', weeks: 2, amount: 120, paid: true, payer: 'Gunther' })]);
+        expect(report.totals).toMatchObject({ storage: 120, net: -120 });
+    });
+});